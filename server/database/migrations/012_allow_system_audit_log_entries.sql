@@ -0,0 +1,24 @@
+-- ============================================
+-- Migration 012: Allow System-Generated Audit Log Entries
+-- ============================================
+-- 
+-- Automatic jobs such as waitlist processing write audit_log entries
+-- without an acting user. performed_by becomes nullable; a NULL
+-- performer is shown as "System" in the audit log view.
+-- 
+-- Created: 2026-10-19
+-- 
+-- Changes:
+--   - Drop NOT NULL from audit_log.performed_by
+--   - Index waitlisted enrollments for waitlist processing
+-- 
+-- ============================================
+
+ALTER TABLE audit_log
+    ALTER COLUMN performed_by DROP NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_enrollments_waitlisted
+    ON enrollments(class_id, enrolled_at)
+    WHERE status = 'waitlisted';
+
+COMMENT ON COLUMN audit_log.performed_by IS 'User who performed the action (NULL for system-generated entries)';
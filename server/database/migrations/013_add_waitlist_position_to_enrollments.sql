@@ -0,0 +1,37 @@
+-- ============================================
+-- Migration 013: Add Waitlist Position to Enrollments
+-- ============================================
+-- 
+-- Waitlist order used to be derived from enrolled_at only, so registrars
+-- had no way to reorder a queue. waitlist_position stores an explicit
+-- 1-based position per section; it is NULL for non-waitlisted rows.
+-- 
+-- Created: 2026-10-19
+-- 
+-- Changes:
+--   - Add enrollments.waitlist_position
+--   - Backfill positions for existing waitlisted rows by enrolled_at
+--   - Index waitlisted enrollments by position
+-- 
+-- ============================================
+
+ALTER TABLE enrollments
+    ADD COLUMN IF NOT EXISTS waitlist_position INTEGER;
+
+UPDATE enrollments e
+SET waitlist_position = ranked.position
+FROM (
+    SELECT class_id, student_id,
+           ROW_NUMBER() OVER (PARTITION BY class_id ORDER BY enrolled_at ASC NULLS LAST, student_id) AS position
+    FROM enrollments
+    WHERE status = 'waitlisted'
+) ranked
+WHERE e.class_id = ranked.class_id
+  AND e.student_id = ranked.student_id
+  AND e.waitlist_position IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_enrollments_waitlist_position
+    ON enrollments(class_id, waitlist_position)
+    WHERE status = 'waitlisted';
+
+COMMENT ON COLUMN enrollments.waitlist_position IS '1-based position in the section waitlist (NULL unless status = waitlisted)';
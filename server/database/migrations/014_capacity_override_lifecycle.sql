@@ -0,0 +1,27 @@
+-- ============================================
+-- Migration 014: Capacity Override Lifecycle
+-- ============================================
+-- 
+-- Capacity overrides used to be permanent once granted. They can now
+-- expire, are consumed by the registration they allow, and can be
+-- revoked by a registrar. An override is usable only while it is not
+-- expired, consumed or revoked.
+-- 
+-- Created: 2026-10-19
+-- 
+-- Changes:
+--   - Add expires_at, consumed_at, revoked_at, revoked_by_user_id and
+--     revoke_reason to capacity_overrides
+-- 
+-- ============================================
+
+ALTER TABLE capacity_overrides
+    ADD COLUMN IF NOT EXISTS expires_at DATE,
+    ADD COLUMN IF NOT EXISTS consumed_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS revoked_by_user_id INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS revoke_reason TEXT;
+
+COMMENT ON COLUMN capacity_overrides.expires_at IS 'Last date the override may be used (NULL = no expiry)';
+COMMENT ON COLUMN capacity_overrides.consumed_at IS 'When a registration used this override; a consumed override cannot be reused';
+COMMENT ON COLUMN capacity_overrides.revoked_at IS 'When a registrar revoked the override';
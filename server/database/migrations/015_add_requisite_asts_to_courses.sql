@@ -0,0 +1,30 @@
+-- ============================================
+-- Migration 015: Add Parsed Requisite Trees to Courses
+-- ============================================
+-- 
+-- Prerequisite, corequisite and anti-requisite text is parsed once, at
+-- catalog scrape time, into a boolean expression tree stored as JSONB.
+-- Enrollment checks, the auto-planner and degree progress read these
+-- trees instead of re-parsing the text on every request.
+-- 
+-- Created: 2026-10-19
+-- 
+-- Changes:
+--   - Add prerequisite_ast, corequisite_ast, anti_requisite_ast
+--   - Add requisite_parse_errors (text the parser could not understand)
+--   - Add requisites_parsed_at
+-- 
+-- ============================================
+
+ALTER TABLE courses
+    ADD COLUMN IF NOT EXISTS prerequisite_ast JSONB,
+    ADD COLUMN IF NOT EXISTS corequisite_ast JSONB,
+    ADD COLUMN IF NOT EXISTS anti_requisite_ast JSONB,
+    ADD COLUMN IF NOT EXISTS requisite_parse_errors JSONB NOT NULL DEFAULT '[]'::jsonb,
+    ADD COLUMN IF NOT EXISTS requisites_parsed_at TIMESTAMP;
+
+COMMENT ON COLUMN courses.prerequisite_ast IS 'Parsed prerequisites expression tree (see server/services/requisiteParser.js)';
+COMMENT ON COLUMN courses.corequisite_ast IS 'Parsed corequisites expression tree';
+COMMENT ON COLUMN courses.anti_requisite_ast IS 'Parsed anti-requisites expression tree';
+COMMENT ON COLUMN courses.requisite_parse_errors IS 'Array of {field, message} for requisite text that could not be parsed';
+COMMENT ON COLUMN courses.requisites_parsed_at IS 'When the requisite trees were last parsed (NULL = never; parse on read)';
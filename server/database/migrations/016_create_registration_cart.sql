@@ -0,0 +1,27 @@
+-- ============================================
+-- Migration 016: Registration Cart
+-- ============================================
+-- 
+-- Students collect sections in a per-term cart before their registration
+-- window opens and submit the cart as a batch once it does. Submitted
+-- sections that register (or waitlist) are removed from the cart.
+-- 
+-- Created: 2026-10-19
+-- 
+-- Changes:
+--   - Create registration_cart_items
+-- 
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS registration_cart_items (
+    student_user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    class_id INTEGER NOT NULL REFERENCES class_sections(class_id) ON DELETE CASCADE,
+    term_id INTEGER NOT NULL REFERENCES terms(term_id) ON DELETE CASCADE,
+    added_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (student_user_id, class_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_registration_cart_items_student_term
+    ON registration_cart_items(student_user_id, term_id);
+
+COMMENT ON TABLE registration_cart_items IS 'Sections a student plans to register for, submitted together as a batch';
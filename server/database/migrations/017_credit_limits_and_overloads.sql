@@ -0,0 +1,49 @@
+-- ============================================
+-- Migration 017: Term Credit Limits and Overload Requests
+-- ============================================
+-- 
+-- The term credit cap was a hard-coded 19 credits. Registrars now define
+-- caps per term, optionally narrowed to a class standing and/or a minimum
+-- cumulative GPA; the most specific matching rule applies and 19 remains
+-- the fallback. Students over the cap can request an overload, which an
+-- advisor or registrar approves for a specific number of credits.
+-- 
+-- Created: 2026-10-19
+-- 
+-- Changes:
+--   - Create term_credit_limits
+--   - Create credit_overload_requests
+-- 
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS term_credit_limits (
+    limit_id SERIAL PRIMARY KEY,
+    term_id INTEGER NOT NULL REFERENCES terms(term_id) ON DELETE CASCADE,
+    class_standing VARCHAR(2) CHECK (class_standing IN ('U1', 'U2', 'U3', 'U4')), -- NULL applies to every standing
+    min_gpa NUMERIC(4, 3), -- NULL applies regardless of GPA
+    max_credits INTEGER NOT NULL CHECK (max_credits > 0),
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_term_credit_limits_term
+    ON term_credit_limits(term_id);
+
+CREATE TABLE IF NOT EXISTS credit_overload_requests (
+    request_id SERIAL PRIMARY KEY,
+    student_user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    term_id INTEGER NOT NULL REFERENCES terms(term_id) ON DELETE CASCADE,
+    requested_credits INTEGER NOT NULL CHECK (requested_credits > 0),
+    reason TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'denied')),
+    requested_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    reviewed_by_user_id INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP,
+    review_note TEXT,
+    CONSTRAINT unique_credit_overload_request UNIQUE (student_user_id, term_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_credit_overload_requests_status
+    ON credit_overload_requests(status);
+
+COMMENT ON TABLE term_credit_limits IS 'Per-term credit caps by class standing and minimum GPA; the most specific matching rule applies';
+COMMENT ON TABLE credit_overload_requests IS 'Student requests to exceed the term credit cap, approved by an advisor or registrar';
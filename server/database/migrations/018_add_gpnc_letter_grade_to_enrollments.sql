@@ -0,0 +1,19 @@
+-- ============================================
+-- Migration 018: Keep the Letter Grade Behind GPNC Grades
+-- ============================================
+-- 
+-- Enrollments taken GPNC store P or NC as their grade once grades are
+-- posted. The instructor's letter grade is kept alongside so the
+-- conversion can be re-applied if the GPNC threshold or selection changes.
+-- 
+-- Created: 2026-10-19
+-- 
+-- Changes:
+--   - Add enrollments.gpnc_letter_grade
+-- 
+-- ============================================
+
+ALTER TABLE enrollments
+    ADD COLUMN IF NOT EXISTS gpnc_letter_grade VARCHAR(5);
+
+COMMENT ON COLUMN enrollments.gpnc_letter_grade IS 'Letter grade posted for a GPNC enrollment before conversion to P/NC';
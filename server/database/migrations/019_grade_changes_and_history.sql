@@ -0,0 +1,58 @@
+-- ============================================
+-- Migration 019: Grade Change Requests and Grade History
+-- ============================================
+-- 
+-- Posted grades could not be corrected: instructors may only edit missing
+-- or incomplete (I) grades. Instructors now request a change to a posted
+-- grade with a justification, and a registrar approves or denies it.
+-- Every grade written to an enrollment is also recorded in grade_history
+-- so an enrollment's grade can be traced over time.
+-- 
+-- Created: 2026-10-19
+-- 
+-- Changes:
+--   - Create grade_change_requests (one pending request per enrollment)
+--   - Create grade_history
+-- 
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS grade_change_requests (
+    request_id SERIAL PRIMARY KEY,
+    class_id INTEGER NOT NULL REFERENCES class_sections(class_id) ON DELETE CASCADE,
+    student_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    old_grade VARCHAR(5) NOT NULL,
+    new_grade VARCHAR(5) NOT NULL,
+    justification TEXT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'denied')),
+    requested_by_user_id INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    requested_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    reviewed_by_user_id INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP,
+    review_note TEXT
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_grade_change_requests_one_pending
+    ON grade_change_requests(class_id, student_id)
+    WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_grade_change_requests_status
+    ON grade_change_requests(status);
+
+CREATE TABLE IF NOT EXISTS grade_history (
+    history_id SERIAL PRIMARY KEY,
+    class_id INTEGER NOT NULL REFERENCES class_sections(class_id) ON DELETE CASCADE,
+    student_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    old_grade VARCHAR(5),
+    new_grade VARCHAR(5),
+    letter_grade VARCHAR(5), -- letter behind a GPNC P/NC
+    source VARCHAR(30) NOT NULL, -- 'roster', 'bulk_upload', 'grade_change', ...
+    change_request_id INTEGER REFERENCES grade_change_requests(request_id) ON DELETE SET NULL,
+    changed_by_user_id INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    changed_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_grade_history_enrollment
+    ON grade_history(class_id, student_id, changed_at);
+
+COMMENT ON TABLE grade_change_requests IS 'Instructor requests to change a posted grade, approved or denied by a registrar';
+COMMENT ON TABLE grade_history IS 'Every grade written to an enrollment, oldest first per enrollment';
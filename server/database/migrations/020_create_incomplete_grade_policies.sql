@@ -0,0 +1,27 @@
+-- ============================================
+-- Migration 020: Incomplete Grade Policies
+-- ============================================
+-- 
+-- Incomplete (I) grades were never resolved. Each term now has a deadline
+-- for resolving incompletes, set as a number of days after the term's
+-- academic_calendar.semester_end, and a lapse grade (F or NC). When SAM's
+-- current date passes the deadline, unresolved I grades are converted to
+-- the lapse grade. Terms without a row use the defaults in
+-- services/incompleteLapse.js.
+-- 
+-- Created: 2026-10-19
+-- 
+-- Changes:
+--   - Create incomplete_grade_policies
+-- 
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS incomplete_grade_policies (
+    term_id INTEGER PRIMARY KEY REFERENCES terms(term_id) ON DELETE CASCADE,
+    resolution_days INTEGER NOT NULL CHECK (resolution_days >= 0),
+    lapse_grade VARCHAR(5) NOT NULL DEFAULT 'F' CHECK (lapse_grade IN ('F', 'NC')),
+    updated_by_user_id INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON TABLE incomplete_grade_policies IS 'Per-term deadline (days after semester_end) and lapse grade for unresolved incompletes';
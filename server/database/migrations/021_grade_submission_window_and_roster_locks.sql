@@ -0,0 +1,45 @@
+-- ============================================
+-- Migration 021: Grade Submission Window and Roster Locks
+-- ============================================
+--
+-- Rosters could never be finalized. The academic calendar now has a grade
+-- submission window (grade_submission_begins .. grade_submission_ends).
+-- An instructor submits final grades for a section once every enrolled
+-- student has a grade, which locks the roster. Only a registrar can unlock
+-- it again, and every unlock is recorded with its reason.
+--
+-- Created: 2026-10-19
+--
+-- Changes:
+--   - Add grade_submission_begins / grade_submission_ends to academic_calendar
+--   - Add grades_submitted_at / grades_submitted_by_user_id to class_sections
+--   - Create roster_unlocks
+--
+-- ============================================
+
+ALTER TABLE academic_calendar
+    ADD COLUMN IF NOT EXISTS grade_submission_begins DATE,
+    ADD COLUMN IF NOT EXISTS grade_submission_ends DATE;
+
+COMMENT ON COLUMN academic_calendar.grade_submission_begins IS 'First day instructors may submit final grades';
+COMMENT ON COLUMN academic_calendar.grade_submission_ends IS 'Last day to submit final grades on time';
+
+ALTER TABLE class_sections
+    ADD COLUMN IF NOT EXISTS grades_submitted_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS grades_submitted_by_user_id INTEGER REFERENCES users(user_id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN class_sections.grades_submitted_at IS 'When final grades were submitted; the roster is locked while set';
+
+CREATE TABLE IF NOT EXISTS roster_unlocks (
+    unlock_id SERIAL PRIMARY KEY,
+    class_id INTEGER NOT NULL REFERENCES class_sections(class_id) ON DELETE CASCADE,
+    reason TEXT NOT NULL,
+    grades_submitted_at TIMESTAMP, -- submission that was undone
+    unlocked_by_user_id INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    unlocked_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_roster_unlocks_class
+    ON roster_unlocks(class_id, unlocked_at);
+
+COMMENT ON TABLE roster_unlocks IS 'Registrar unlocks of finalized rosters, with the recorded reason';
@@ -0,0 +1,31 @@
+-- ============================================
+-- Migration 022: Section Instructor Roles
+-- ============================================
+--
+-- Rosters and grading only recognized class_sections.instructor_id, so
+-- co-instructors listed in class_section_instructors could not see or grade
+-- their sections. Each row in the junction table now carries a role:
+--   - primary        the section's instructor of record (class_sections.instructor_id)
+--   - co_instructor  shares the roster and grading, including final submission
+--   - grader         may view the roster and enter grades only (e.g. a TA)
+-- Permissions per role are defined in services/sectionStaff.js.
+--
+-- Created: 2026-10-19
+--
+-- Changes:
+--   - Add role to class_section_instructors
+--   - Mark each section's instructor of record as primary
+--
+-- ============================================
+
+ALTER TABLE class_section_instructors
+    ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'co_instructor'
+        CHECK (role IN ('primary', 'co_instructor', 'grader'));
+
+INSERT INTO class_section_instructors (class_id, instructor_id, role)
+SELECT class_id, instructor_id, 'primary'
+FROM class_sections
+WHERE instructor_id IS NOT NULL
+ON CONFLICT (class_id, instructor_id) DO UPDATE SET role = 'primary';
+
+COMMENT ON COLUMN class_section_instructors.role IS 'primary, co_instructor or grader; see services/sectionStaff.js for permissions';
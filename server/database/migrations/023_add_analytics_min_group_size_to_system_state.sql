@@ -0,0 +1,21 @@
+-- ============================================
+-- Migration 023: Grade Analytics Minimum Group Size
+-- ============================================
+--
+-- Grade distribution analytics hide the histogram, mean GPA and rates for
+-- any section, course or instructor with fewer graded enrollments than this
+-- minimum, so individual grades cannot be inferred from small groups.
+-- Registrars can change it from the analytics page.
+--
+-- Created: 2026-10-19
+--
+-- Changes:
+--   - Add analytics_min_group_size to system_state (default 5)
+--
+-- ============================================
+
+ALTER TABLE system_state
+    ADD COLUMN IF NOT EXISTS analytics_min_group_size INTEGER NOT NULL DEFAULT 5
+        CHECK (analytics_min_group_size >= 1);
+
+COMMENT ON COLUMN system_state.analytics_min_group_size IS 'Smallest group whose grade distribution is shown in analytics';
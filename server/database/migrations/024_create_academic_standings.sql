@@ -0,0 +1,49 @@
+-- ============================================
+-- Migration 024: Academic Standing
+-- ============================================
+--
+-- Academic standing was never recorded. Once a term's
+-- academic_calendar.semester_end has passed, every student enrolled that
+-- term is assigned one standing for it, computed from term and cumulative
+-- GPA:
+--   - probation      cumulative GPA below the probation threshold; an
+--                    academic_advising registration hold is placed
+--   - deans_list     term GPA at or above the dean's list threshold over at
+--                    least the minimum GPA credits, with no incompletes
+--   - good_standing  everyone else
+-- Thresholds live in system_state so registrars can change them; defaults
+-- are also in services/academicStanding.js.
+--
+-- Created: 2026-10-19
+--
+-- Changes:
+--   - Add standing thresholds to system_state
+--   - Create academic_standings (one row per student per term)
+--
+-- ============================================
+
+ALTER TABLE system_state
+    ADD COLUMN IF NOT EXISTS standing_probation_gpa NUMERIC(4, 3) NOT NULL DEFAULT 2.000
+        CHECK (standing_probation_gpa BETWEEN 0 AND 4),
+    ADD COLUMN IF NOT EXISTS standing_deans_list_gpa NUMERIC(4, 3) NOT NULL DEFAULT 3.500
+        CHECK (standing_deans_list_gpa BETWEEN 0 AND 4),
+    ADD COLUMN IF NOT EXISTS standing_deans_list_min_credits INTEGER NOT NULL DEFAULT 12
+        CHECK (standing_deans_list_min_credits >= 0);
+
+CREATE TABLE IF NOT EXISTS academic_standings (
+    student_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    term_id INTEGER NOT NULL REFERENCES terms(term_id) ON DELETE CASCADE,
+    standing VARCHAR(20) NOT NULL CHECK (standing IN ('good_standing', 'probation', 'deans_list')),
+    term_gpa NUMERIC(4, 3),
+    term_gpa_credits NUMERIC(5, 1) NOT NULL DEFAULT 0,
+    cumulative_gpa NUMERIC(4, 3),
+    cumulative_gpa_credits NUMERIC(6, 1) NOT NULL DEFAULT 0,
+    hold_id INTEGER REFERENCES registration_holds(hold_id) ON DELETE SET NULL,
+    computed_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (student_id, term_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_academic_standings_term ON academic_standings(term_id, standing);
+
+COMMENT ON TABLE academic_standings IS 'End-of-term academic standing per student; see services/academicStanding.js';
+COMMENT ON COLUMN academic_standings.hold_id IS 'Registration hold placed automatically for probation';
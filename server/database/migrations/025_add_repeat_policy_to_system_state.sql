@@ -0,0 +1,27 @@
+-- ============================================
+-- Migration 025: Repeat-Course Policy
+-- ============================================
+--
+-- Every attempt at a course used to count: a retaken course entered GPA and
+-- earned credits once per attempt. Registrars now pick which graded attempt
+-- counts when a course is repeated and how many times it may be repeated:
+--   - latest  the most recent graded attempt replaces earlier ones
+--   - best    the highest graded attempt counts
+-- Earlier attempts stay on the record; degree progress, the auto-planner
+-- and prerequisite checks leave them out (services/repeatPolicy.js).
+--
+-- Created: 2026-10-19
+--
+-- Changes:
+--   - Add repeat_policy and repeat_max_repeats to system_state
+--
+-- ============================================
+
+ALTER TABLE system_state
+    ADD COLUMN IF NOT EXISTS repeat_policy VARCHAR(10) NOT NULL DEFAULT 'latest'
+        CHECK (repeat_policy IN ('latest', 'best')),
+    ADD COLUMN IF NOT EXISTS repeat_max_repeats INTEGER NOT NULL DEFAULT 2
+        CHECK (repeat_max_repeats >= 0);
+
+COMMENT ON COLUMN system_state.repeat_policy IS 'Which graded attempt of a repeated course counts: latest or best';
+COMMENT ON COLUMN system_state.repeat_max_repeats IS 'Times a course may be taken again after the first attempt';
@@ -0,0 +1,29 @@
+-- ============================================
+-- Migration 026: University Graduation Requirements
+-- ============================================
+--
+-- The university-level rules from graduation_requirements.yaml (minimum
+-- credits, SBC categories, colleges exempt from LANG) were hard-coded in the
+-- degree progress and schedule planner routes. They are now imported through
+-- POST /api/import/graduation-requirements. Each import adds a row and the
+-- newest row is the one in force; until the first import the defaults in
+-- services/graduationRequirements.js apply.
+--
+-- Created: 2026-10-19
+--
+-- Changes:
+--   - Create graduation_requirements
+--
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS graduation_requirements (
+    graduation_requirements_id SERIAL PRIMARY KEY,
+    minimum_credits INTEGER NOT NULL CHECK (minimum_credits > 0),
+    sbc_categories JSONB NOT NULL DEFAULT '[]'::jsonb,
+    lang_exempt_colleges JSONB NOT NULL DEFAULT '[]'::jsonb,
+    imported_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    imported_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON TABLE graduation_requirements IS 'University graduation rules; the newest row is in force';
+COMMENT ON COLUMN graduation_requirements.lang_exempt_colleges IS 'College codes whose majors are exempt from LANG when all of a student''s majors are in them';
@@ -0,0 +1,52 @@
+-- ============================================
+-- Migration 027: Degree Requirement Versions
+-- ============================================
+--
+-- degree_requirements allowed only one row per subject + degree_type, so a
+-- new catalog year could not be imported next to the one students already
+-- follow. Requirement versions are now keyed by effective_term, and each
+-- declared program records the version the student follows:
+--   - set at declaration to the newest version in effect for the current
+--     term (services/degreeRequirementVersions.js)
+--   - moved to a newer catalog year by an advisor
+-- Existing declarations are pointed at the newest matching version.
+--
+-- Created: 2026-10-19
+--
+-- Changes:
+--   - Unique degree_requirements version per program and effective term
+--   - Add degree_requirement_id to student_programs and backfill it
+--
+-- ============================================
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_degree_requirements_version
+    ON degree_requirements (
+        UPPER(subject),
+        UPPER(degree_type),
+        LOWER(program_type),
+        LOWER(effective_term->>'semester'),
+        (effective_term->>'year')
+    );
+
+ALTER TABLE student_programs
+    ADD COLUMN IF NOT EXISTS degree_requirement_id INTEGER REFERENCES degree_requirements(id) ON DELETE SET NULL;
+
+UPDATE student_programs sp
+SET degree_requirement_id = (
+    SELECT dr.id
+    FROM programs p
+    JOIN degree_requirements dr
+      ON UPPER(dr.subject) = UPPER(SPLIT_PART(p.code, '-', 1))
+     AND UPPER(dr.degree_type) = UPPER(SPLIT_PART(p.code, '-', 2))
+     AND LOWER(dr.program_type) = CASE WHEN p.type = 'MINOR' THEN 'minor' ELSE 'major' END
+    WHERE p.program_id = sp.program_id
+    ORDER BY (dr.effective_term->>'year')::int DESC NULLS LAST,
+             CASE LOWER(dr.effective_term->>'semester')
+                 WHEN 'spring' THEN 1 WHEN 'summer' THEN 2 WHEN 'fall' THEN 4 WHEN 'winter' THEN 5 ELSE 0
+             END DESC,
+             dr.id DESC
+    LIMIT 1
+)
+WHERE sp.degree_requirement_id IS NULL;
+
+COMMENT ON COLUMN student_programs.degree_requirement_id IS 'Degree requirement version (catalog year) the student follows for this program';
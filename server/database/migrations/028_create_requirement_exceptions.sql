@@ -0,0 +1,51 @@
+-- ============================================
+-- Migration 028: Requirement Exceptions
+-- ============================================
+--
+-- Advisors had no way to record per-student exceptions to a program's
+-- degree requirements. Each exception applies to one declared program:
+--   - substitute      substitute_course counts wherever requirement_course
+--                     is required (e.g. AMS361 for MAT303)
+--   - waive_group     the group_key requirement group is satisfied
+--   - reduce_minimum  the group's min_courses / min_credits becomes
+--                     reduced_minimum
+-- group_key is the key under degree_requirements ('core' for
+-- required_courses). Revoked exceptions are kept for the record. Degree
+-- progress and the auto-planner apply active exceptions; see
+-- services/requirementExceptions.js.
+--
+-- Created: 2026-10-19
+--
+-- Changes:
+--   - Create requirement_exceptions
+--
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS requirement_exceptions (
+    exception_id SERIAL PRIMARY KEY,
+    student_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    program_id INTEGER NOT NULL REFERENCES programs(program_id) ON DELETE CASCADE,
+    exception_type VARCHAR(20) NOT NULL
+        CHECK (exception_type IN ('substitute', 'waive_group', 'reduce_minimum')),
+    group_key VARCHAR(100),
+    requirement_course VARCHAR(20),
+    substitute_course VARCHAR(20),
+    reduced_minimum NUMERIC(5, 1) CHECK (reduced_minimum >= 0),
+    note TEXT,
+    granted_by_user_id INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    granted_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    revoked_at TIMESTAMP,
+    revoked_by_user_id INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    CONSTRAINT requirement_exceptions_fields CHECK (
+        (exception_type = 'substitute' AND requirement_course IS NOT NULL AND substitute_course IS NOT NULL)
+        OR (exception_type = 'waive_group' AND group_key IS NOT NULL)
+        OR (exception_type = 'reduce_minimum' AND group_key IS NOT NULL AND reduced_minimum IS NOT NULL)
+    )
+);
+
+CREATE INDEX IF NOT EXISTS idx_requirement_exceptions_student
+    ON requirement_exceptions(student_id, program_id)
+    WHERE revoked_at IS NULL;
+
+COMMENT ON TABLE requirement_exceptions IS 'Advisor-granted exceptions to a student''s degree requirements; see services/requirementExceptions.js';
+COMMENT ON COLUMN requirement_exceptions.group_key IS 'Key under degree_requirements, or core for required_courses';
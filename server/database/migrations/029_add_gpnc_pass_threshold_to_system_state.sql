@@ -0,0 +1,21 @@
+-- ============================================
+-- Migration 029: GPNC Pass Threshold
+-- ============================================
+--
+-- The lowest letter grade that converts to P for a GPNC enrollment was
+-- fixed at C. Registrars now set it in system_state, next to the other
+-- registrar settings; services/gpnc.js falls back to C when it is unset.
+-- users1.yaml records the same threshold as the GPNC field on class entries.
+--
+-- Created: 2026-10-19
+--
+-- Changes:
+--   - Add gpnc_pass_threshold to system_state
+--
+-- ============================================
+
+ALTER TABLE system_state
+    ADD COLUMN IF NOT EXISTS gpnc_pass_threshold VARCHAR(2) NOT NULL DEFAULT 'C'
+        CHECK (gpnc_pass_threshold IN ('A+', 'A', 'A-', 'B+', 'B', 'B-', 'C+', 'C', 'C-', 'D+', 'D', 'D-'));
+
+COMMENT ON COLUMN system_state.gpnc_pass_threshold IS 'Lowest letter grade that converts to P for a GPNC enrollment';
@@ -30,7 +30,11 @@ import waiversHoldsRoutes from './routes/waiversHoldsRoutes.js';
 import auditLogRoutes from './routes/auditLogRoutes.js';
 import currentDateRoutes from './routes/currentDateRoutes.js';
 import schedulePlanRoutes from './routes/schedulePlanRoutes.js';
+import gradeAnalyticsRoutes from './routes/gradeAnalyticsRoutes.js';
+import academicStandingRoutes from './routes/academicStandingRoutes.js';
 import authUser from "./middleware/authUser.js";
+import { processWaitlistsIfDateAdvanced } from './services/waitlistProcessor.js';
+import { processAcademicStandingIfDateAdvanced } from './services/academicStanding.js';
 
 
 
@@ -117,11 +121,24 @@ app.use('/api/waivers-holds', waiversHoldsRoutes);
 app.use('/api/audit-log', auditLogRoutes);
 app.use('/api/current-date', currentDateRoutes);
 app.use('/api/schedule-plan', schedulePlanRoutes);
+app.use('/api/analytics', gradeAnalyticsRoutes);
+app.use('/api/academic-standing', academicStandingRoutes);
 app.use("/api/auth", authRoutes);
 
 
 
 
+// Waitlist processing follows SAM's current date; check hourly whether the date has moved forward
+setInterval(() => {
+  processWaitlistsIfDateAdvanced(pool).catch((err) => {
+    console.error('[Waitlist] Scheduled processing failed:', err);
+  });
+  // Terms whose grade submission window has closed get their academic standings
+  processAcademicStandingIfDateAdvanced(pool).catch((err) => {
+    console.error('[AcademicStanding] Scheduled processing failed:', err);
+  });
+}, 60 * 60 * 1000);
+
 app.listen(PORT, () => {
   console.log(`[Server] SAM backend running on port ${PORT} (${ENV})`);
 }).on('error', (err) => {
@@ -253,7 +253,9 @@ router.get('/academic-calendar/:term_id', async (req, res) => {
         course_withdrawal_ends,
         major_and_minor_changes_begin,
         advanced_registration_begins,
-        semester_end
+        semester_end,
+        grade_submission_begins,
+        grade_submission_ends
       FROM academic_calendar
       WHERE LOWER(TRIM(term->>'semester')) = LOWER(TRIM($1)) 
         AND (term->>'year')::text = $2
@@ -331,7 +333,9 @@ router.get('/academic-calendar/:term_id', async (req, res) => {
         GPNCSelectionEnds: calendar.GPNC_selection_ends,
         courseWithdrawalEnds: calendar.course_withdrawal_ends,
         advancedRegistrationBegins: calendar.advanced_registration_begins,
-        semesterEnd: calendar.semester_end
+        semesterEnd: calendar.semester_end,
+        gradeSubmissionBegins: calendar.grade_submission_begins,
+        gradeSubmissionEnds: calendar.grade_submission_ends
       }
     });
   } catch (e) {
@@ -0,0 +1,116 @@
+/**
+ * @file academicStandingRoutes.js
+ * @description Express routes for end-of-term academic standing.
+ * Handles:
+ *   - Standings recorded for a term (registrars and advisors)
+ *   - Probation and dean's list thresholds (registrars)
+ * Standings themselves are assigned by services/academicStanding.js when the
+ * current date moves past a term's semester_end.
+ */
+
+import { Router } from 'express';
+import {
+  ACADEMIC_STANDINGS,
+  getStandingThresholds,
+  listTermStandings,
+} from '../services/academicStanding.js';
+import { termCompare } from '../services/termCalendar.js';
+
+const router = Router();
+
+const roleOf = (req) => String(req.user?.role ?? '').trim().toLowerCase();
+
+/**
+ * GET /api/academic-standing
+ * Query params: termId (defaults to the latest term with standings)
+ */
+router.get('/', async (req, res) => {
+  if (!req.user) return res.status(401).json({ ok: false, error: 'Not authenticated' });
+  if (!['registrar', 'advisor'].includes(roleOf(req))) {
+    return res.status(403).json({ ok: false, error: 'Only registrars and advisors can view academic standing.' });
+  }
+
+  let termId = req.query.termId ? Number(req.query.termId) : null;
+  if (req.query.termId && !Number.isInteger(termId)) {
+    return res.status(400).json({ ok: false, error: 'termId must be an integer' });
+  }
+
+  try {
+    const thresholds = await getStandingThresholds(req.db);
+
+    const { rows: termRows } = await req.db.query(
+      `
+      SELECT DISTINCT t.term_id, t.semester, t.year
+      FROM academic_standings s
+      JOIN terms t ON t.term_id = s.term_id
+      `
+    );
+    const closedTerms = termRows
+      .map((r) => ({ termId: Number(r.term_id), semester: r.semester, year: Number(r.year) }))
+      .sort((a, b) => termCompare(b.semester, b.year, a.semester, a.year));
+
+    if (termId == null) termId = closedTerms[0]?.termId ?? null;
+
+    const standings = termId == null ? [] : await listTermStandings(req.db, termId);
+    const counts = Object.fromEntries(
+      ACADEMIC_STANDINGS.map((s) => [s, standings.filter((row) => row.standing === s).length])
+    );
+
+    return res.json({ ok: true, thresholds, closedTerms, termId, counts, standings });
+  } catch (e) {
+    console.error('[academic-standing] GET failed:', e);
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+/**
+ * PUT /api/academic-standing/settings
+ * Body: { probationGpa, deansListGpa, deansListMinCredits }
+ * Applies to terms that close afterwards; recorded standings are kept.
+ */
+router.put('/settings', async (req, res) => {
+  if (!req.user) return res.status(401).json({ ok: false, error: 'Not authenticated' });
+  if (roleOf(req) !== 'registrar') {
+    return res.status(403).json({ ok: false, error: 'Only registrars can change academic standing thresholds.' });
+  }
+
+  const probationGpa = Number(req.body?.probationGpa);
+  const deansListGpa = Number(req.body?.deansListGpa);
+  const deansListMinCredits = Number(req.body?.deansListMinCredits);
+
+  const isGpa = (v) => Number.isFinite(v) && v >= 0 && v <= 4;
+  if (!isGpa(probationGpa) || !isGpa(deansListGpa)) {
+    return res.status(400).json({ ok: false, error: 'probationGpa and deansListGpa must be between 0 and 4' });
+  }
+  if (deansListGpa <= probationGpa) {
+    return res.status(400).json({ ok: false, error: "The dean's list GPA must be above the probation GPA" });
+  }
+  if (!Number.isInteger(deansListMinCredits) || deansListMinCredits < 0) {
+    return res.status(400).json({ ok: false, error: 'deansListMinCredits must be a non-negative integer' });
+  }
+
+  try {
+    const { rowCount } = await req.db.query(
+      `
+      UPDATE system_state
+      SET standing_probation_gpa = $1,
+          standing_deans_list_gpa = $2,
+          standing_deans_list_min_credits = $3,
+          updated_at = NOW()
+      WHERE system_state_id = (SELECT MAX(system_state_id) FROM system_state)
+      `,
+      [probationGpa, deansListGpa, deansListMinCredits]
+    );
+
+    if (!rowCount) {
+      return res.status(500).json({ ok: false, error: 'System state has not been initialized' });
+    }
+
+    return res.json({ ok: true, thresholds: { probationGpa, deansListGpa, deansListMinCredits } });
+  } catch (e) {
+    console.error('[academic-standing] /settings failed:', e);
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+export default router;
@@ -1,5 +1,7 @@
 // server/routes/classManageRoutes.js
 import express from 'express';
+import { checkRoomCapacity } from '../services/capacityService.js';
+import { syncPrimaryInstructor } from '../services/sectionStaff.js';
 
 const router = express.Router();
 
@@ -609,15 +611,15 @@ router.post('/sections', async (req, res) => {
         return res.status(400).json({ ok: false, error: 'roomId must be numeric if provided.' });
       }
 
-      const roomRes = await db.query('SELECT capacity FROM rooms WHERE room_id = $1', [roomIdNum]);
-      if (roomRes.rows.length === 0) {
+      const roomCheck = await checkRoomCapacity(db, roomIdNum, capNum);
+      if (!roomCheck.exists) {
         return res.status(400).json({ ok: false, error: `Room ${roomIdNum} does not exist.` });
       }
 
-      const roomCapacity = Number(roomRes.rows[0].capacity) || 0;
+      const { roomCapacity } = roomCheck;
 
       // ✅ NEW behavior: confirm on UI, then allow bump
-      if (capNum > roomCapacity && !allowRoomCapacityIncrease) {
+      if (!roomCheck.fits && !allowRoomCapacityIncrease) {
         return res.status(409).json({
           ok: false,
           code: 'ROOM_CAPACITY_EXCEEDED',
@@ -663,9 +665,8 @@ router.post('/sections', async (req, res) => {
         );
       } else if (roomIdNum) {
         // still enforce in case capacity changed between checks
-        const roomRes2 = await db.query('SELECT capacity FROM rooms WHERE room_id = $1', [roomIdNum]);
-        const roomCapacity2 = Number(roomRes2.rows[0]?.capacity) || 0;
-        if (capNum > roomCapacity2) {
+        const { roomCapacity: roomCapacity2, fits } = await checkRoomCapacity(db, roomIdNum, capNum);
+        if (!fits) {
           await db.query('ROLLBACK');
           return res.status(409).json({
             ok: false,
@@ -798,14 +799,14 @@ router.put('/sections/:classId', async (req, res) => {
         return res.status(400).json({ ok: false, error: 'roomId must be numeric if provided.' });
       }
 
-      const roomRes = await db.query('SELECT capacity FROM rooms WHERE room_id = $1', [roomIdNum]);
-      if (roomRes.rows.length === 0) {
+      const roomCheck = await checkRoomCapacity(db, roomIdNum, capNum);
+      if (!roomCheck.exists) {
         return res.status(400).json({ ok: false, error: `Room ${roomIdNum} does not exist.` });
       }
 
-      const roomCapacity = Number(roomRes.rows[0].capacity) || 0;
+      const { roomCapacity } = roomCheck;
 
-      if (capNum > roomCapacity && !allowRoomCapacityIncrease) {
+      if (!roomCheck.fits && !allowRoomCapacityIncrease) {
         return res.status(409).json({
           ok: false,
           code: 'ROOM_CAPACITY_EXCEEDED',
@@ -835,11 +836,13 @@ router.put('/sections/:classId', async (req, res) => {
 
     const requiresPerm = Boolean(requiresDeptPermission);
 
-    await db.query('BEGIN');
+    const client = await db.connect();
 
     try {
+      await client.query('BEGIN');
+
       if (roomIdNum && allowRoomCapacityIncrease) {
-        await db.query(
+        await client.query(
           `
           UPDATE rooms
           SET capacity = GREATEST(capacity, $1)
@@ -849,10 +852,9 @@ router.put('/sections/:classId', async (req, res) => {
         );
       } else if (roomIdNum) {
         // enforce again in case room changed concurrently
-        const roomRes2 = await db.query('SELECT capacity FROM rooms WHERE room_id = $1', [roomIdNum]);
-        const roomCapacity2 = Number(roomRes2.rows[0]?.capacity) || 0;
-        if (capNum > roomCapacity2) {
-          await db.query('ROLLBACK');
+        const { roomCapacity: roomCapacity2, fits } = await checkRoomCapacity(client, roomIdNum, capNum);
+        if (!fits) {
+          await client.query('ROLLBACK');
           return res.status(409).json({
             ok: false,
             code: 'ROOM_CAPACITY_EXCEEDED',
@@ -865,7 +867,7 @@ router.put('/sections/:classId', async (req, res) => {
       }
 
       try {
-        await db.query(
+        await client.query(
           `
           UPDATE class_sections
           SET
@@ -893,7 +895,7 @@ router.put('/sections/:classId', async (req, res) => {
         );
       } catch (e) {
         if (e.code === '23505') {
-          await db.query('ROLLBACK');
+          await client.query('ROLLBACK');
           return res.status(409).json({
             ok: false,
             error: 'A section with this term, course, and section number already exists.',
@@ -902,7 +904,10 @@ router.put('/sections/:classId', async (req, res) => {
         throw e;
       }
 
-      await db.query('COMMIT');
+      // The previous instructor's primary row would otherwise keep their access
+      await syncPrimaryInstructor(client, classIdNum, instructorIdNum);
+
+      await client.query('COMMIT');
 
       const section = await fetchSectionById(db, classIdNum);
 
@@ -912,8 +917,10 @@ router.put('/sections/:classId', async (req, res) => {
         message: 'Class section updated successfully.',
       });
     } catch (e) {
-      await db.query('ROLLBACK');
+      await client.query('ROLLBACK');
       throw e;
+    } finally {
+      client.release();
     }
   } catch (e) {
     console.error('[class-manage] PUT /sections/:classId failed:', e);
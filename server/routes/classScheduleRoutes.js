@@ -10,6 +10,8 @@
  */
 
 import { Router } from 'express';
+import { nextWaitlistPosition } from '../services/waitlistProcessor.js';
+import { getSectionCapacity } from '../services/capacityService.js';
 
 const router = Router();
 
@@ -794,22 +796,16 @@ router.post('/enrollments', async (req, res) => {
       });
     }
 
-    // Count current enrollments
-    const enrollmentCount = await req.db.query(
-      `SELECT COUNT(*) as count FROM enrollments 
-       WHERE class_id = $1 AND status = 'registered'`,
-      [class_id]
-    );
-
-    const enrolled = parseInt(enrollmentCount.rows[0].count) || 0;
-    const available = section.capacity - enrolled;
+    // Seats left against the lesser of section and room capacity
+    const { seatsLeft } = await getSectionCapacity(req.db, class_id);
 
-    if (available <= 0) {
+    if (seatsLeft <= 0) {
       // Add to waitlist
+      const waitlistPosition = await nextWaitlistPosition(req.db, class_id);
       await req.db.query(
-        `INSERT INTO enrollments (student_id, class_id, status, gpnc, credits)
-         VALUES ($1, $2, 'waitlisted', $3, (SELECT credits FROM courses WHERE course_id = $4))`,
-        [student_id, class_id, gpnc || false, section.course_id]
+        `INSERT INTO enrollments (student_id, class_id, status, gpnc, credits, waitlist_position)
+         VALUES ($1, $2, 'waitlisted', $3, (SELECT credits FROM courses WHERE course_id = $4), $5)`,
+        [student_id, class_id, gpnc || false, section.course_id, waitlistPosition]
       );
 
       return res.status(201).json({ 
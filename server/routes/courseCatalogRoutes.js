@@ -1,6 +1,12 @@
 
 import { Router } from 'express';
 import { scrapeCatalog } from '../services/catalogScraper.js';
+import {
+  parseCourseRequisites,
+  refreshCourseRequisites,
+  listUnparsedCourses,
+  toJsonb,
+} from '../services/courseRequisites.js';
 
 const router = Router();
 
@@ -148,6 +154,7 @@ router.post('/scrape', async (req, res) => {
         const antiRequisites = course.anti_req || '';
         const advisoryPrerequisites = course.advisory_prereq || '';
         const sbc = course.sbc || '';
+        const requisites = parseCourseRequisites({ prerequisites, corequisites, antiRequisites });
 
         coursesToInsert.push({
           departmentId,
@@ -162,6 +169,7 @@ router.post('/scrape', async (req, res) => {
           antiRequisites,
           advisoryPrerequisites,
           sbc,
+          ...requisites,
         });
       }
     }
@@ -180,7 +188,7 @@ router.post('/scrape', async (req, res) => {
 
       for (const course of chunk) {
         values.push(
-          `($${paramIndex}, $${paramIndex + 1}, $${paramIndex + 2}, $${paramIndex + 3}, $${paramIndex + 4}, $${paramIndex + 5}, $${paramIndex + 6}, $${paramIndex + 7}, $${paramIndex + 8}, $${paramIndex + 9}, $${paramIndex + 10}, $${paramIndex + 11})`
+          `($${paramIndex}, $${paramIndex + 1}, $${paramIndex + 2}, $${paramIndex + 3}, $${paramIndex + 4}, $${paramIndex + 5}, $${paramIndex + 6}, $${paramIndex + 7}, $${paramIndex + 8}, $${paramIndex + 9}, $${paramIndex + 10}, $${paramIndex + 11}, $${paramIndex + 12}, $${paramIndex + 13}, $${paramIndex + 14}, $${paramIndex + 15}, NOW())`
         );
         params.push(
           course.departmentId,
@@ -194,9 +202,13 @@ router.post('/scrape', async (req, res) => {
           course.corequisites,
           course.antiRequisites,
           course.advisoryPrerequisites,
-          course.sbc
+          course.sbc,
+          toJsonb(course.prerequisiteAst),
+          toJsonb(course.corequisiteAst),
+          toJsonb(course.antiRequisiteAst),
+          JSON.stringify(course.parseErrors)
         );
-        paramIndex += 12;
+        paramIndex += 16;
       }
 
       const sql = `
@@ -212,7 +224,12 @@ router.post('/scrape', async (req, res) => {
           corequisites,
           anti_requisites,
           advisory_prerequisites,
-          sbc
+          sbc,
+          prerequisite_ast,
+          corequisite_ast,
+          anti_requisite_ast,
+          requisite_parse_errors,
+          requisites_parsed_at
         )
         VALUES ${values.join(', ')}
         ON CONFLICT (subject, course_num, catalog_term_id)
@@ -225,7 +242,12 @@ router.post('/scrape', async (req, res) => {
           corequisites           = EXCLUDED.corequisites,
           anti_requisites        = EXCLUDED.anti_requisites,
           advisory_prerequisites = EXCLUDED.advisory_prerequisites,
-          sbc                    = EXCLUDED.sbc
+          sbc                    = EXCLUDED.sbc,
+          prerequisite_ast       = EXCLUDED.prerequisite_ast,
+          corequisite_ast        = EXCLUDED.corequisite_ast,
+          anti_requisite_ast     = EXCLUDED.anti_requisite_ast,
+          requisite_parse_errors = EXCLUDED.requisite_parse_errors,
+          requisites_parsed_at   = EXCLUDED.requisites_parsed_at
       `;
 
       await db.query(sql, params);
@@ -662,6 +684,54 @@ router.get('/subjects', async (req, res) => {
   }
 });
 
+/**
+ * GET /requisites/unparsed
+ * Courses whose prerequisite, corequisite or anti-requisite text could not be
+ * fully parsed, with the parser's messages.
+ *
+ * Query params:
+ *   - subject: Filter by subject code (e.g., "CSE")
+ *   - term_id: Filter by catalog term
+ *
+ * @route GET /requisites/unparsed
+ * @returns {Object} 200 - { ok, count, courses }
+ * @returns {Object} 500 - Query failure
+ */
+router.get('/requisites/unparsed', async (req, res) => {
+  try {
+    const subject = req.query.subject ? String(req.query.subject).trim() : null;
+    const termId = req.query.term_id ? Number(req.query.term_id) : null;
+
+    const courses = await listUnparsedCourses(req.db, { subject, termId });
+    return res.json({ ok: true, count: courses.length, courses });
+  } catch (e) {
+    console.error('[catalog] /requisites/unparsed failed:', e);
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+/**
+ * POST /requisites/reparse
+ * Re-parses stored requisite text into expression trees, e.g. for courses
+ * added before trees were stored or after a parser change.
+ *
+ * Body:
+ *   - onlyUnparsed: only courses never parsed (default false)
+ *
+ * @route POST /requisites/reparse
+ * @returns {Object} 200 - { ok, parsed, withErrors }
+ * @returns {Object} 500 - Query failure
+ */
+router.post('/requisites/reparse', async (req, res) => {
+  try {
+    const result = await refreshCourseRequisites(req.db, { onlyUnparsed: !!req.body?.onlyUnparsed });
+    return res.json({ ok: true, ...result });
+  } catch (e) {
+    console.error('[catalog] /requisites/reparse failed:', e);
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
 /**
  * DELETE /courses
  * Delete all courses from the database.
@@ -1,11 +1,16 @@
 /**
  * @file currentDateRoutes.js
  * @description Express routes for managing SAM's current date and resolving the active term
- * from academic_calendar based on the chosen date.
+ * from academic_calendar based on the chosen date. Moving the date forward triggers
+ * waitlist processing, incomplete (I) grade lapse processing and end-of-term academic
+ * standing.
  */
 
 import { Router } from "express";
 import { getCurrentDate, setCustomDate, getCurrentDateString } from "../utils/dateWrapper.js";
+import { processWaitlistsIfDateAdvanced } from "../services/waitlistProcessor.js";
+import { processIncompleteLapsesIfDateAdvanced } from "../services/incompleteLapse.js";
+import { processAcademicStandingIfDateAdvanced } from "../services/academicStanding.js";
 
 const router = Router();
 
@@ -234,6 +239,44 @@ async function resolveActiveTermForDate(db, currentYmd, targetYmd) {
   return { calendar: cal, term, warning: null };
 }
 
+async function runWaitlistProcessing(req) {
+  if (!req.db) return null;
+  try {
+    return await processWaitlistsIfDateAdvanced(req.db, {
+      performedBy: req.user?.user_id ?? req.user?.userId ?? null,
+    });
+  } catch (e) {
+    console.error("[current-date] waitlist processing failed:", e);
+    return null;
+  }
+}
+
+async function runIncompleteLapseProcessing(req) {
+  if (!req.db) return null;
+  try {
+    return await processIncompleteLapsesIfDateAdvanced(req.db, {
+      performedBy: req.user?.user_id ?? req.user?.userId ?? null,
+    });
+  } catch (e) {
+    console.error("[current-date] incomplete lapse processing failed:", e);
+    return null;
+  }
+}
+
+// Standings close with grade submission, long before I grades lapse, so an
+// I is counted as an I whichever of the two runs first
+async function runAcademicStandingProcessing(req) {
+  if (!req.db) return null;
+  try {
+    return await processAcademicStandingIfDateAdvanced(req.db, {
+      performedBy: req.user?.user_id ?? req.user?.userId ?? null,
+    });
+  } catch (e) {
+    console.error("[current-date] academic standing processing failed:", e);
+    return null;
+  }
+}
+
 router.get("/", async (req, res) => {
   try {
     const currentDate = getCurrentDate();
@@ -290,12 +333,19 @@ router.post("/", async (req, res) => {
         }
       }
 
+      const waitlistProcessing = await runWaitlistProcessing(req);
+      const incompleteLapses = await runIncompleteLapseProcessing(req);
+      const academicStanding = await runAcademicStandingProcessing(req);
+
       return res.json({
         ok: true,
         message: "Current date reset to actual current date",
         currentDate: dateString,
         displayDate: currentDate.toDateString(),
         activeTerm: termInfo,
+        waitlistProcessing,
+        incompleteLapses,
+        academicStanding,
       });
     }
 
@@ -344,12 +394,19 @@ router.post("/", async (req, res) => {
       }
     }
 
+    const waitlistProcessing = await runWaitlistProcessing(req);
+    const incompleteLapses = await runIncompleteLapseProcessing(req);
+    const academicStanding = await runAcademicStandingProcessing(req);
+
     return res.json({
       ok: true,
       message: `Current date set to ${dateString}`,
       currentDate: dateString,
       displayDate: currentDate.toDateString(),
       activeTerm: termInfo,
+      waitlistProcessing,
+      incompleteLapses,
+      academicStanding,
       warning: warning || undefined,
     });
   } catch (e) {
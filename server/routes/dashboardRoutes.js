@@ -1,50 +1,11 @@
 // server/routes/dashboardRoutes.js
 import express from 'express';
+import { getStudentStandings } from '../services/academicStanding.js';
+import { getGraduationRequirements } from '../services/graduationRequirements.js';
+import { getAcademicTotals } from '../services/registrationChecks.js';
 
 const router = express.Router();
 
-/**
- * Helper: map letter grades to GPA points.
- * You can tune this to match SBU’s exact scale.
- */
-const gradePoints = {
-  'A+': 4.0,
-  A: 4.0,
-  'A-': 3.7,
-  'B+': 3.3,
-  B: 3.0,
-  'B-': 2.7,
-  'C+': 2.3,
-  C: 2.0,
-  'C-': 1.7,
-  'D+': 1.3,
-  D: 1.0,
-  'D-': 0.7,
-  F: 0.0,
-  // other enum values (P/NP, W, etc.) will be ignored in GPA
-};
-
-function computeGpa(enrollments) {
-  let totalPoints = 0;
-  let totalCredits = 0;
-
-  for (const row of enrollments) {
-    if (!row.grade) continue;
-    const gp = gradePoints[row.grade];
-    if (gp === undefined) continue;
-
-    // credits may come from a "credits" column or from the joined course
-    const credits = Number(row.credits || row.course_credits || 0);
-    if (!credits) continue;
-
-    totalPoints += gp * credits;
-    totalCredits += credits;
-  }
-
-  if (totalCredits === 0) return null;
-  return totalPoints / totalCredits;
-}
-
 /**
  * STUDENT DASHBOARD
  */
@@ -83,19 +44,15 @@ async function getStudentDashboard(db, userId) {
     // "Currently enrolled" courses (status = 'registered')
     const enrolledCourses = enrollments.filter((e) => e.status === 'registered').length;
 
-    // Completed credits (status = 'completed')
-    const completedEnrollments = enrollments.filter((e) => e.status === 'completed');
-
-    const totalCompletedCredits = completedEnrollments.reduce((sum, e) => {
-      const cr = Number(e.credits || e.course_credits || 0);
-      return sum + cr;
-    }, 0);
+    // Earned credits and GPA over every graded course, as registration sees them
+    const { cumulativeCredits: totalCompletedCredits, gpa: currentGpa } = await getAcademicTotals(client, userId);
 
-    const currentGpa = computeGpa(completedEnrollments);
+    const gradReq = await getGraduationRequirements(client);
+    const creditsToGraduate = Math.max(0, gradReq.minimumCredits - totalCompletedCredits);
 
-    // Simple: assume 120 credits to graduate
-    const assumedCreditsToGrad = 120;
-    const creditsToGraduate = Math.max(0, assumedCreditsToGrad - totalCompletedCredits);
+    // Standing from the most recently closed term
+    const standings = await getStudentStandings(client, userId);
+    const latestStanding = standings[standings.length - 1] ?? null;
 
     // Recent activity: last 5 enrollments / grade changes
     const recentActivity = enrollments.slice(0, 5).map((e) => {
@@ -122,6 +79,9 @@ async function getStudentDashboard(db, userId) {
         totalCompletedCredits,
         currentGpa,
         creditsToGraduate,
+        academicStanding: latestStanding
+          ? { standing: latestStanding.standing, label: latestStanding.label, term: latestStanding.termCode }
+          : null,
       },
       recentActivity,
     };
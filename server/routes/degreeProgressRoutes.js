@@ -1,4 +1,28 @@
 import express from "express";
+import { effectiveGrade, getGpncPassThreshold } from "../services/gpnc.js";
+import { applyRepeatPolicy, getRepeatPolicy } from "../services/repeatPolicy.js";
+import { getStudentGraduationRequirements, LANG_CATEGORY } from "../services/graduationRequirements.js";
+import { requisitesFromCourseRow } from "../services/courseRequisites.js";
+import { allocationCreditsRemaining, estimateCompletion, laterTerm } from "../services/completionEstimate.js";
+import { loadCurrentTerm, resolveDeclarationVersion, versionLabel } from "../services/degreeRequirementVersions.js";
+import { allocateRequirements, titleFromKey } from "../services/requirementAllocation.js";
+import {
+  applyRequirementExceptions,
+  getActiveExceptionStudentId,
+  grantRequirementException,
+  listRequirementExceptions,
+  revokeRequirementException,
+  validateRequirementException,
+} from "../services/requirementExceptions.js";
+import { termCompare } from "../services/termCalendar.js";
+import {
+  evaluateRequisite,
+  describeRequisite,
+  compactCourseCode,
+  meetsMinGrade,
+} from "../services/requisiteParser.js";
+import { canAdvisorPlaceHold } from "./registrationScheduleRoutes.js";
+
 const router = express.Router();
 
 const GRADE_POINTS = {
@@ -17,32 +41,6 @@ const GRADE_POINTS = {
   F: 0.0,
 };
 
-const UNIVERSITY_GRAD_REQ = {
-  minimumCredits: 120,
-  sbcs: [
-    "ARTS",
-    "GLO",
-    "HUM",
-    "LANG",
-    "QPS",
-    "SBS",
-    "SNW",
-    "TECH",
-    "USA",
-    "WRT",
-    "STAS",
-    "EXP+",
-    "HFA+",
-    "SBS+",
-    "STEM+",
-    "CER",
-    "DIV",
-    "ESI",
-    "SPK",
-    "WRTD",
-  ],
-};
-
 const normStr = (x) => (x ?? "").toString().trim();
 const normUpper = (x) => {
   const s = normStr(x);
@@ -61,6 +59,9 @@ function normProgramType(x) {
   return t;
 }
 
+const STAFF_ROLES = ["advisor", "registrar"];
+const roleOf = (req) => String(req.user?.role ?? "").trim().toLowerCase();
+
 function getStudentId(req) {
   return req.user?.userId ?? req.user?.user_id ?? req.session?.user?.user_id ?? null;
 }
@@ -105,12 +106,13 @@ function computeGpa(rows) {
     const credits = Number(r.credits) || 0;
     if (!credits) continue;
 
-    const g = normUpper(r.grade);
+    // GPNC courses earn credit on a P but never enter GPA
+    const g = normUpper(effectiveGrade(r));
     if (!g) continue;
 
     if (isPassing(g)) completed += credits;
 
-    if (GRADE_POINTS[g] != null) {
+    if (!r.gpnc && GRADE_POINTS[g] != null) {
       num += GRADE_POINTS[g] * credits;
       denom += credits;
     }
@@ -123,9 +125,9 @@ function computeGpa(rows) {
   };
 }
 
-function computeSbcSummary(rows) {
+function computeSbcSummary(rows, gradReq) {
   const sbcMap = new Map(
-    UNIVERSITY_GRAD_REQ.sbcs.map((c) => [c, { code: c, completedCourses: [], inProgressCourses: [] }])
+    gradReq.sbcs.map((c) => [c, { code: c, completedCourses: [], inProgressCourses: [] }])
   );
 
   for (const r of rows) {
@@ -152,14 +154,20 @@ function computeSbcSummary(rows) {
   }
 
   return {
-    minimumCredits: UNIVERSITY_GRAD_REQ.minimumCredits,
-    sbcCategories: [...sbcMap.values()].map((cat) => ({
-      ...cat,
-      completed: (cat.completedCourses?.length || 0) > 0,
-      inProgress: (cat.inProgressCourses?.length || 0) > 0,
-      completedCourses: cat.completedCourses || [],
-      inProgressCourses: cat.inProgressCourses || [],
-    })),
+    minimumCredits: gradReq.minimumCredits,
+    langExempt: gradReq.langExempt,
+    sbcCategories: [...sbcMap.values()].map((cat) => {
+      // Students whose majors are all in LANG-exempt colleges satisfy LANG outright
+      const exempt = cat.code === LANG_CATEGORY && gradReq.langExempt;
+      return {
+        ...cat,
+        exempt,
+        completed: exempt || (cat.completedCourses?.length || 0) > 0,
+        inProgress: (cat.inProgressCourses?.length || 0) > 0,
+        completedCourses: cat.completedCourses || [],
+        inProgressCourses: cat.inProgressCourses || [],
+      };
+    }),
   };
 }
 
@@ -225,11 +233,6 @@ function buildEnrollmentIndex(enrollments) {
   return idx;
 }
 
-function titleFromKey(key) {
-  const s = normStr(key).replace(/_/g, " ");
-  return s ? s.charAt(0).toUpperCase() + s.slice(1) : "Requirement";
-}
-
 function collectCodesFromReqObj(reqObj) {
   const codes = new Set();
 
@@ -281,7 +284,8 @@ async function fetchCourseInfoMap(db, codes) {
       WITH req(subject, course_num) AS (
         VALUES ${valuesSql}
       )
-      SELECT c.subject, c.course_num, c.title, c.credits
+      SELECT c.subject, c.course_num, c.title, c.credits,
+             c.prerequisites, c.prerequisite_ast, c.requisites_parsed_at
       FROM courses c
       JOIN req r ON r.subject = c.subject AND r.course_num = c.course_num
       `,
@@ -291,7 +295,11 @@ async function fetchCourseInfoMap(db, codes) {
     const map = new Map();
     for (const r of rows) {
       const code = `${normUpper(r.subject)}${normStr(r.course_num)}`;
-      map.set(code, { title: r.title ?? null, credits: r.credits ?? null });
+      map.set(code, {
+        title: r.title ?? null,
+        credits: r.credits ?? null,
+        prerequisiteAst: requisitesFromCourseRow(r).prerequisiteAst,
+      });
     }
     return map;
   } catch {
@@ -306,6 +314,16 @@ function buildCourseNode(codeRaw, enrollmentIdx, courseInfoMap) {
   const enr = code ? enrollmentIdx.get(code) : null;
   const info = code ? courseInfoMap.get(code) : null;
 
+  // Whether the student could take this course next: prerequisite courses
+  // must be completed with the required grade or currently in progress
+  const prereqAst = info?.prerequisiteAst ?? null;
+  const prerequisitesMet = evaluateRequisite(prereqAst, {
+    course: (node) => {
+      const taken = enrollmentIdx.get(compactCourseCode(node));
+      return !!taken && (taken.inProgress || (taken.completed && meetsMinGrade(taken.grade, node.minGrade)));
+    },
+  }).satisfied;
+
   return {
     id: code || `course-${Math.random().toString(36).slice(2)}`,
     code: code || null,
@@ -316,13 +334,28 @@ function buildCourseNode(codeRaw, enrollmentIdx, courseInfoMap) {
     completed: !!enr?.completed,
     inProgress: !!enr?.inProgress,
     grade: enr?.grade ?? null,
+    prerequisites: describeRequisite(prereqAst),
+    prerequisitesMet,
   };
 }
 
+// Whether a course node counts toward `groupId` in the allocation, and where it went
+function withPlacement(node, allocation, groupId) {
+  const placement = node.code ? allocation?.courseGroup.get(node.code) : null;
+  return {
+    ...node,
+    counted: placement?.groupId === groupId,
+    countsToward: placement ? { groupId: placement.groupId, title: placement.groupTitle } : null,
+  };
+}
+
+const countsCompleted = (c) => !!c.counted && !!c.completed;
+const countsTaken = (c) => !!c.counted && (!!c.completed || !!c.inProgress);
+
 function groupStatusFromCourses(courses, requiredCount, mode) {
   const items = Array.isArray(courses) ? courses : [];
-  const completedCount = items.filter((c) => !!c.completed).length;
-  const inProgressAny = items.some((c) => !!c.inProgress) || items.some((c) => !!c.completed);
+  const completedCount = items.filter(countsCompleted).length;
+  const inProgressAny = items.some(countsTaken);
 
   let completed = false;
   if (mode === "all") completed = completedCount === items.length && items.length > 0;
@@ -336,16 +369,50 @@ function groupStatusFromCourses(courses, requiredCount, mode) {
   };
 }
 
-function buildGroupsForProgram(reqObj, enrollments, enrollmentIdx, courseInfoMap, programId) {
+// The approved substitute the allocation counts in place of `code` in `groupId`
+function substituteIn(allocation, groupId, code) {
+  for (const [substitute, placement] of allocation?.courseGroup ?? []) {
+    if (placement.groupId === groupId && placement.substituteFor === code) return substitute;
+  }
+  return null;
+}
+
+/**
+ * Requirement groups of one program. Only courses the allocation assigns
+ * to a group count toward it; see services/requirementAllocation.js.
+ * A listed course met by an approved substitute reports the substitute's
+ * enrollment, and waived groups are complete.
+ */
+function buildGroupsForProgram(reqObj, enrollmentIdx, courseInfoMap, programId, allocation, waivedGroups = new Set()) {
   const groups = [];
+  const node = (code, groupId) => {
+    const built = withPlacement(buildCourseNode(code, enrollmentIdx, courseInfoMap), allocation, groupId);
+    const substitute = built.counted || !built.code ? null : substituteIn(allocation, groupId, built.code);
+    if (!substitute) return built;
+
+    const taken = enrollmentIdx.get(substitute);
+    const placement = allocation.courseGroup.get(substitute);
+    return {
+      ...built,
+      completed: !!taken?.completed,
+      inProgress: !!taken?.inProgress,
+      grade: taken?.grade ?? null,
+      counted: true,
+      countsToward: { groupId: placement.groupId, title: placement.groupTitle },
+      substitutedBy: substitute,
+    };
+  };
+  const placedIn = (groupId) => allocation?.groups.get(groupId) ?? [];
+
   const requiredList = reqObj?.required_courses ?? reqObj?.requiredCourses ?? reqObj?.required ?? [];
 
+  const coreId = `${programId}-core`;
   const coreCodes = Array.isArray(requiredList) ? requiredList : [];
-  const coreItems = coreCodes.map((c) => buildCourseNode(c, enrollmentIdx, courseInfoMap));
+  const coreItems = coreCodes.map((c) => node(c, coreId));
   const coreStatus = groupStatusFromCourses(coreItems, null, "all");
 
   groups.push({
-    id: `${programId}-core`,
+    id: coreId,
     title: "Required Courses",
     type: "all",
     items: coreItems,
@@ -356,39 +423,17 @@ function buildGroupsForProgram(reqObj, enrollments, enrollmentIdx, courseInfoMap
     if (key === "required_courses" || key === "requiredCourses") continue;
     if (!rawVal || typeof rawVal !== "object") continue;
 
+    const id = `${programId}-${key}`;
+
     if (key === "electives") {
       const minLevel = Number(rawVal.min_level) || 0;
       const minCourses = Number(rawVal.min_courses) || 0;
       const fromSubject = normUpper(rawVal.from_subject);
       const exclude = new Set((rawVal.exclude_courses || []).map((x) => splitCourseCode(x).code).filter(Boolean));
 
-      const completed = [];
-      const inProgress = [];
-      const seenCompleted = new Set();
-      const seenInProgress = new Set();
-
-      for (const r of enrollments) {
-        const code = courseCodeFromRow(r);
-        if (!code) continue;
-        if (fromSubject && normUpper(r.subject) !== fromSubject) continue;
-
-        const num = Number(r.course_num);
-        if (minLevel && (!Number.isFinite(num) || num < minLevel)) continue;
-        if (exclude.has(code)) continue;
-
-        const grade = normUpper(r.grade);
-        if (grade && isPassing(grade)) {
-          if (!seenCompleted.has(code)) {
-            completed.push(buildCourseNode(code, enrollmentIdx, courseInfoMap));
-            seenCompleted.add(code);
-          }
-        } else if (!grade && isInProgressStatus(r.status)) {
-          if (!seenInProgress.has(code)) {
-            inProgress.push(buildCourseNode(code, enrollmentIdx, courseInfoMap));
-            seenInProgress.add(code);
-          }
-        }
-      }
+      const placed = placedIn(id);
+      const completed = placed.filter((c) => c.completed).map((c) => node(c.code, id));
+      const inProgress = placed.filter((c) => !c.completed).map((c) => node(c.code, id));
 
       const status = {
         completed: completed.length >= minCourses && minCourses > 0,
@@ -398,7 +443,7 @@ function buildGroupsForProgram(reqObj, enrollments, enrollmentIdx, courseInfoMap
       };
 
       groups.push({
-        id: `${programId}-${key}`,
+        id,
         title: "Electives",
         type: "electives",
         minLevel,
@@ -417,13 +462,13 @@ function buildGroupsForProgram(reqObj, enrollments, enrollmentIdx, courseInfoMap
       const seq = rawVal.required_sequence;
       const steps = seq.map((step, idx) => {
         const options = Array.isArray(step) ? step : [step];
-        const items = options.map((c) => buildCourseNode(c, enrollmentIdx, courseInfoMap));
+        const items = options.map((c) => node(c, id));
 
-        const stepCompleted = items.some((c) => !!c.completed);
-        const stepInProgress = !stepCompleted && items.some((c) => !!c.inProgress);
+        const stepCompleted = items.some(countsCompleted);
+        const stepInProgress = !stepCompleted && items.some(countsTaken);
 
         return {
-          id: `${programId}-${key}-step-${idx}`,
+          id: `${id}-step-${idx}`,
           options: items,
           status: {
             completed: stepCompleted,
@@ -436,7 +481,7 @@ function buildGroupsForProgram(reqObj, enrollments, enrollmentIdx, courseInfoMap
       const inProgress = !completed && steps.some((s) => s.status.inProgress || s.status.completed);
 
       groups.push({
-        id: `${programId}-${key}`,
+        id,
         title: titleFromKey(key),
         type: "sequence",
         steps,
@@ -452,12 +497,12 @@ function buildGroupsForProgram(reqObj, enrollments, enrollmentIdx, courseInfoMap
 
       const optionGroups = options.map((arr, idx) => {
         const list = Array.isArray(arr) ? arr : [arr];
-        const items = list.map((c) => buildCourseNode(c, enrollmentIdx, courseInfoMap));
-        const optCompleted = items.length > 0 && items.every((c) => !!c.completed);
-        const optInProgress = !optCompleted && items.some((c) => !!c.completed || !!c.inProgress);
+        const items = list.map((c) => node(c, id));
+        const optCompleted = items.length > 0 && items.every(countsCompleted);
+        const optInProgress = !optCompleted && items.some(countsTaken);
 
         return {
-          id: `${programId}-${key}-opt-${idx}`,
+          id: `${id}-opt-${idx}`,
           items,
           status: { completed: optCompleted, inProgress: optInProgress },
         };
@@ -467,39 +512,13 @@ function buildGroupsForProgram(reqObj, enrollments, enrollmentIdx, courseInfoMap
 
       if (rawVal.min_credits != null) {
         const minCredits = Number(rawVal.min_credits) || 0;
-        const additional = Array.isArray(rawVal.additional_allowed_courses) ? rawVal.additional_allowed_courses : [];
-
-        const allowed = new Set();
-        for (const g of optionGroups) {
-          for (const c of g.items) if (c.code) allowed.add(c.code);
-        }
-        for (const c of additional) {
-          const code = splitCourseCode(c).code;
-          if (code) allowed.add(code);
-        }
 
-        const countedCompleted = [];
-        const countedInProgress = [];
-        const seen = new Set();
-
-        let creditsCompleted = 0;
-
-        for (const r of enrollments) {
-          const code = courseCodeFromRow(r);
-          if (!code || !allowed.has(code)) continue;
-
-          const grade = normUpper(r.grade);
-          if (grade && isPassing(grade)) {
-            if (!seen.has(code)) {
-              const credits = Number(r.credits) || 0;
-              creditsCompleted += credits;
-              countedCompleted.push(buildCourseNode(code, enrollmentIdx, courseInfoMap));
-              seen.add(code);
-            }
-          } else if (!grade && isInProgressStatus(r.status)) {
-            countedInProgress.push(buildCourseNode(code, enrollmentIdx, courseInfoMap));
-          }
-        }
+        const placed = placedIn(id);
+        const countedCompleted = placed.filter((c) => c.completed).map((c) => node(c.code, id));
+        const countedInProgress = placed.filter((c) => !c.completed).map((c) => node(c.code, id));
+        const creditsCompleted = placed
+          .filter((c) => c.completed)
+          .reduce((sum, c) => sum + (Number(c.credits) || 0), 0);
 
         const coreSatisfied = optionGroups.filter((g) => g.status.completed).length >= required;
         const completed = coreSatisfied && creditsCompleted >= minCredits;
@@ -510,7 +529,7 @@ function buildGroupsForProgram(reqObj, enrollments, enrollmentIdx, courseInfoMap
             countedCompleted.length > 0);
 
         groups.push({
-          id: `${programId}-${key}`,
+          id,
           title: titleFromKey(key),
           type: "credits_core",
           minCredits,
@@ -536,7 +555,7 @@ function buildGroupsForProgram(reqObj, enrollments, enrollmentIdx, courseInfoMap
         const inProgress = !anySatisfied && optionGroups.some((g) => g.status.inProgress || g.status.completed);
 
         groups.push({
-          id: `${programId}-${key}`,
+          id,
           title: titleFromKey(key),
           type: "choose_sequence",
           required: 1,
@@ -558,7 +577,7 @@ function buildGroupsForProgram(reqObj, enrollments, enrollmentIdx, courseInfoMap
       const status = groupStatusFromCourses(pool, required, "atleast");
 
       groups.push({
-        id: `${programId}-${key}`,
+        id,
         title: titleFromKey(key),
         type: required === 1 ? "choose_one" : "choose_n",
         required,
@@ -570,7 +589,12 @@ function buildGroupsForProgram(reqObj, enrollments, enrollmentIdx, courseInfoMap
     }
   }
 
-  return groups;
+  const keyOf = (group) => group.id.slice(`${programId}-`.length);
+  return groups.map((group) =>
+    waivedGroups.has(keyOf(group))
+      ? { ...group, waived: true, status: { ...group.status, completed: true, inProgress: false } }
+      : group
+  );
 }
 
 function inferSubjectDegreeType(programType, programCode, programName) {
@@ -633,86 +657,223 @@ function bestMatchDegreeRequirements(drRows, programType, programCode, programNa
   return best;
 }
 
+/**
+ * A student's declared majors and minors, each with the degree_requirements
+ * row it follows: the recorded catalog version, else the newest matching one.
+ */
+async function loadStudentPrograms(db, studentId) {
+  const { rows: studentPrograms } = await db.query(
+    `
+    SELECT
+      sp.program_id,
+      sp.kind,
+      sp.degree_requirement_id,
+      p.code AS program_code,
+      p.name AS program_name,
+      p.type AS program_table_type
+    FROM student_programs sp
+    JOIN programs p ON p.program_id = sp.program_id
+    WHERE sp.student_id = $1
+    ORDER BY sp.program_id ASC
+    `,
+    [studentId]
+  );
+
+  const { rows: drRowsRaw } = await db.query(
+    `
+    SELECT id, subject, degree_type, program_type, degree_requirements, effective_term, admission_requirements
+    FROM degree_requirements
+    `
+  );
+  // Newest version first, so programs without a recorded version follow the latest catalog
+  const drRows = [...drRowsRaw].sort((a, b) => {
+    const ta = safeJson(a.effective_term) ?? {};
+    const tb = safeJson(b.effective_term) ?? {};
+    return termCompare(tb.semester, tb.year, ta.semester, ta.year) || Number(b.id) - Number(a.id);
+  });
+
+  const chosen = [];
+  for (const sp of studentPrograms) {
+    const programId = Number(sp.program_id);
+    const programType = normProgramType(sp.kind ?? sp.program_table_type);
+    if (programType !== "major" && programType !== "minor") continue;
+
+    const inf = inferSubjectDegreeType(programType, sp.program_code, sp.program_name);
+    let dr = null;
+
+    // The version recorded when the student declared (their catalog year)
+    if (sp.degree_requirement_id != null) {
+      dr = drRows.find((r) => Number(r.id) === Number(sp.degree_requirement_id)) ?? null;
+    }
+
+    if (!dr && inf.subject && inf.degreeType) {
+      dr = drRows.find(
+        (r) =>
+          normUpper(r.subject) === inf.subject &&
+          normUpper(r.degree_type) === inf.degreeType &&
+          normProgramType(r.program_type) === programType
+      );
+      if (!dr) {
+        dr = drRows.find((r) => normUpper(r.subject) === inf.subject && normUpper(r.degree_type) === inf.degreeType);
+      }
+    }
+
+    if (!dr) {
+      dr = bestMatchDegreeRequirements(drRows, programType, sp.program_code, sp.program_name);
+    }
+
+    chosen.push({
+      programId,
+      programType,
+      programCode: sp.program_code ?? null,
+      programName: sp.program_name ?? null,
+      degreeRow: dr ?? null,
+    });
+  }
+
+  return chosen;
+}
+
+// Programs a what-if audit may combine
+const MAX_WHAT_IF_PROGRAMS = 4;
+
+// "3,4" or ?x=3&x=4 -> [3, 4]; null when any id is not an integer
+function parseIdList(value) {
+  if (value == null || value === "") return [];
+  const ids = (Array.isArray(value) ? value : [value])
+    .flatMap((v) => String(v).split(","))
+    .map((v) => v.trim())
+    .filter(Boolean)
+    .map(Number);
+  return ids.every(Number.isInteger) ? [...new Set(ids)] : null;
+}
+
+/**
+ * Hypothetical programs for a what-if audit, in the shape of
+ * loadStudentPrograms. Programs follow the version a declaration would get
+ * today; degree_requirements ids are used as given.
+ * @returns {Promise<{programs: Array} | {status: number, error: string}>}
+ */
+async function loadWhatIfPrograms(db, { degreeRequirementIds, programIds }) {
+  const ids = [...degreeRequirementIds];
+  for (const programId of programIds) {
+    const id = await resolveDeclarationVersion(db, programId);
+    if (id == null) return { status: 404, error: `No degree requirements found for program ${programId}` };
+    ids.push(id);
+  }
+
+  const { rows } = await db.query(
+    `
+    SELECT
+      dr.id, dr.subject, dr.degree_type, dr.program_type, dr.degree_requirements, dr.effective_term,
+      p.program_id, p.code AS program_code, p.name AS program_name
+    FROM degree_requirements dr
+    LEFT JOIN programs p
+      ON UPPER(SPLIT_PART(p.code, '-', 1)) = UPPER(dr.subject)
+     AND UPPER(SPLIT_PART(p.code, '-', 2)) = UPPER(dr.degree_type)
+     AND CASE WHEN p.type = 'MINOR' THEN 'minor' ELSE 'major' END = LOWER(dr.program_type)
+    WHERE dr.id = ANY($1::int[])
+    ORDER BY dr.id, p.program_id
+    `,
+    [[...new Set(ids)]]
+  );
+
+  const programs = [];
+  for (const id of new Set(ids)) {
+    const dr = rows.find((r) => Number(r.id) === id);
+    if (!dr) return { status: 404, error: `Degree requirements ${id} not found` };
+    programs.push({
+      // Requirements no program uses yet get a stand-in id
+      programId: dr.program_id != null ? Number(dr.program_id) : -id,
+      programType: normProgramType(dr.program_type) === "minor" ? "minor" : "major",
+      programCode: dr.program_code ?? null,
+      programName: dr.program_name ?? null,
+      degreeRow: dr,
+    });
+  }
+
+  const programIdsSeen = new Set(programs.map((p) => p.programId));
+  if (programIdsSeen.size < programs.length) {
+    return { status: 400, error: "A what-if audit can include only one version of each program" };
+  }
+  return { programs };
+}
+
+/* -------------------------------------
+   DEGREE PROGRESS
+   Students see their own; advisors and registrars may pass ?studentId.
+
+   What-if audit: ?degreeRequirementId=<id>[,<id>] and/or ?programIds=<id>[,<id>]
+   evaluate the student's courses against those programs instead of the
+   declared ones, and add an estimate of the credits and terms remaining.
+-------------------------------------- */
 router.get("/progress", async (req, res) => {
-  const studentId = getStudentId(req);
+  let studentId = getStudentId(req);
   if (!studentId) return res.status(401).json({ ok: false, error: "Not authenticated" });
 
+  if (req.query.studentId != null && req.query.studentId !== "") {
+    if (!STAFF_ROLES.includes(roleOf(req))) {
+      return res.status(403).json({ ok: false, error: "Only advisors and registrars can view another student's progress" });
+    }
+    studentId = Number(req.query.studentId);
+    if (!Number.isInteger(studentId)) return res.status(400).json({ ok: false, error: "studentId must be an integer" });
+  }
+
+  const whatIfRequirementIds = parseIdList(req.query.degreeRequirementId);
+  const whatIfProgramIds = parseIdList(req.query.programIds);
+  if (!whatIfRequirementIds || !whatIfProgramIds) {
+    return res.status(400).json({ ok: false, error: "degreeRequirementId and programIds must be integer ids" });
+  }
+  const whatIf = whatIfRequirementIds.length + whatIfProgramIds.length > 0;
+  if (whatIfRequirementIds.length + whatIfProgramIds.length > MAX_WHAT_IF_PROGRAMS) {
+    return res.status(400).json({ ok: false, error: `A what-if audit can include at most ${MAX_WHAT_IF_PROGRAMS} programs` });
+  }
+
   try {
     const db = req.db;
 
     const { rows: enrollmentsRaw } = await db.query(
       `
-      SELECT e.grade, e.status, c.subject, c.course_num, c.title, c.credits, c.sbc
+      SELECT e.grade, e.gpnc, e.status, c.subject, c.course_num, c.title, c.credits, c.sbc, t.semester, t.year
       FROM enrollments e
       JOIN class_sections cs ON e.class_id = cs.class_id
       JOIN courses c ON cs.course_id = c.course_id
+      LEFT JOIN terms t ON cs.term_id = t.term_id
       WHERE e.student_id = $1
       `,
       [studentId]
     );
 
-    const enrollments = enrollmentsRaw.map((r) => ({ ...r, grade: normUpper(r.grade) || null }));
-
-    const overview = computeGpa(enrollments);
-    const sbcRequirements = computeSbcSummary(enrollments);
-    const enrollmentIdx = buildEnrollmentIndex(enrollments);
+    // Repeated courses count once, per the registrar's repeat policy
+    const { policy: repeatPolicy } = await getRepeatPolicy(db);
+    const gpncPassThreshold = await getGpncPassThreshold(db);
+    const enrollments = applyRepeatPolicy(enrollmentsRaw, repeatPolicy, gpncPassThreshold).map((r) => ({
+      ...r,
+      grade: normUpper(effectiveGrade(r, gpncPassThreshold)) || null,
+    }));
 
-    const { rows: studentPrograms } = await db.query(
-      `
-      SELECT
-        sp.program_id,
-        sp.kind,
-        p.code AS program_code,
-        p.name AS program_name,
-        p.type AS program_table_type
-      FROM student_programs sp
-      JOIN programs p ON p.program_id = sp.program_id
-      WHERE sp.student_id = $1
-      ORDER BY sp.program_id ASC
-      `,
-      [studentId]
-    );
+    let chosen;
+    if (whatIf) {
+      const loaded = await loadWhatIfPrograms(db, {
+        degreeRequirementIds: whatIfRequirementIds,
+        programIds: whatIfProgramIds,
+      });
+      if (loaded.error) return res.status(loaded.status).json({ ok: false, error: loaded.error });
+      chosen = loaded.programs;
+    } else {
+      chosen = await loadStudentPrograms(db, studentId);
+    }
 
-    const { rows: drRows } = await db.query(
-      `
-      SELECT id, subject, degree_type, program_type, degree_requirements, effective_term, admission_requirements
-      FROM degree_requirements
-      `
+    // A what-if audit's majors decide the LANG exemption, not the declared ones
+    const gradReq = await getStudentGraduationRequirements(
+      db,
+      studentId,
+      whatIf ? { majorProgramIds: chosen.filter((p) => p.programType === "major").map((p) => p.programId) } : {}
     );
 
-    const chosen = [];
-    for (const sp of studentPrograms) {
-      const programId = Number(sp.program_id);
-      const programType = normProgramType(sp.kind ?? sp.program_table_type);
-      if (programType !== "major" && programType !== "minor") continue;
-
-      const inf = inferSubjectDegreeType(programType, sp.program_code, sp.program_name);
-      let dr = null;
-
-      if (inf.subject && inf.degreeType) {
-        dr = drRows.find(
-          (r) =>
-            normUpper(r.subject) === inf.subject &&
-            normUpper(r.degree_type) === inf.degreeType &&
-            normProgramType(r.program_type) === programType
-        );
-        if (!dr) {
-          dr = drRows.find((r) => normUpper(r.subject) === inf.subject && normUpper(r.degree_type) === inf.degreeType);
-        }
-      }
-
-      if (!dr) {
-        dr = bestMatchDegreeRequirements(drRows, programType, sp.program_code, sp.program_name);
-      }
-
-      chosen.push({
-        programId,
-        programType,
-        programCode: sp.program_code ?? null,
-        programName: sp.program_name ?? null,
-        degreeRow: dr ?? null,
-      });
-    }
+    const overview = computeGpa(enrollments);
+    const sbcRequirements = computeSbcSummary(enrollments, gradReq);
+    const enrollmentIdx = buildEnrollmentIndex(enrollments);
 
     const allCodes = new Set();
     for (const item of chosen) {
@@ -723,11 +884,38 @@ router.get("/progress", async (req, res) => {
 
     const courseInfoMap = await fetchCourseInfoMap(db, [...allCodes]);
 
+    // Advisor-granted substitutions, waivers and reduced minimums
+    const exceptions = await listRequirementExceptions(db, studentId);
+    for (const item of chosen) {
+      item.exceptions = exceptions.filter((e) => e.programId === item.programId);
+      if (item.degreeRow) {
+        item.applied = applyRequirementExceptions(safeJson(item.degreeRow.degree_requirements) || {}, item.exceptions);
+      }
+    }
+
+    const programLabel = (item) => (item.programType === "minor" ? "Minor" : "Major");
+    const programDisplayName = (item) =>
+      `${normUpper(item.degreeRow.subject)} ${normUpper(item.degreeRow.degree_type)} ${programLabel(item)}`.trim();
+
+    // Each course counts toward one requirement per program
+    const allocation = allocateRequirements(
+      chosen
+        .filter((item) => item.degreeRow)
+        .map((item) => ({
+          programId: item.programId,
+          programType: item.programType,
+          name: programDisplayName(item),
+          reqObj: item.applied.reqObj,
+          exceptions: item.applied,
+        })),
+      [...enrollmentIdx.values()]
+    );
+
     const majors = [];
     const minors = [];
 
     for (const item of chosen) {
-      const label = item.programType === "minor" ? "Minor" : "Major";
+      const label = programLabel(item);
 
       if (!item.degreeRow) {
         const fallback = {
@@ -746,6 +934,7 @@ router.get("/progress", async (req, res) => {
             },
           ],
           requiredCourses: [],
+          exceptions: item.exceptions,
         };
         if (item.programType === "major") majors.push(fallback);
         else minors.push(fallback);
@@ -754,9 +943,16 @@ router.get("/progress", async (req, res) => {
 
       const subject = normUpper(item.degreeRow.subject);
       const degreeType = normUpper(item.degreeRow.degree_type);
-      const reqObj = safeJson(item.degreeRow.degree_requirements) || {};
-
-      const groups = buildGroupsForProgram(reqObj, enrollments, enrollmentIdx, courseInfoMap, item.programId);
+      const programAllocation = allocation.get(item.programId);
+
+      const groups = buildGroupsForProgram(
+        item.applied.reqObj,
+        enrollmentIdx,
+        courseInfoMap,
+        item.programId,
+        programAllocation,
+        item.applied.waivedGroups
+      );
       const core = groups.find((g) => g.type === "all")?.items ?? [];
 
       const programPayload = {
@@ -764,22 +960,49 @@ router.get("/progress", async (req, res) => {
         programType: item.programType,
         subject,
         degreeType,
-        name: `${subject} ${degreeType} ${label}`.trim(),
+        name: programDisplayName(item),
+        requirementVersion: versionLabel(item.degreeRow.effective_term),
         groups,
         requiredCourses: core,
+        maxSharedCourses: programAllocation.maxSharedCourses,
+        sharedCourses: programAllocation.sharedCourses,
+        courseAllocation: programAllocation.explanations,
+        exceptions: item.exceptions,
       };
 
       if (item.programType === "major") majors.push(programPayload);
       else minors.push(programPayload);
     }
 
-    return res.json({
+    const payload = {
       ok: true,
-      overview: { ...overview, totalCreditsRequired: UNIVERSITY_GRAD_REQ.minimumCredits },
+      overview: { ...overview, totalCreditsRequired: gradReq.minimumCredits },
       sbcRequirements,
       majorRequirements: majors,
       minorRequirements: minors,
-    });
+    };
+
+    if (whatIf) {
+      const creditsByCode = new Map([...courseInfoMap].map(([code, info]) => [code, Number(info.credits)]));
+      const requirementCredits = allocationCreditsRemaining(allocation, creditsByCode);
+      const creditsInProgress = [...enrollmentIdx.values()]
+        .filter((c) => c.inProgress && !c.completed)
+        .reduce((sum, c) => sum + (Number(c.credits) || 0), 0);
+      const lastEnrolledTerm = enrollments.reduce(
+        (latest, r) => laterTerm(latest, r.year ? { semester: r.semester, year: Number(r.year) } : null),
+        null
+      );
+
+      payload.whatIf = true;
+      payload.estimate = estimateCompletion({
+        minimumCredits: gradReq.minimumCredits,
+        creditsCounted: overview.totalCreditsCompleted + creditsInProgress,
+        requirementCredits,
+        lastTerm: laterTerm(lastEnrolledTerm, await loadCurrentTerm(db)),
+      });
+    }
+
+    return res.json(payload);
   } catch (err) {
     console.error("[degree/progress] error:", err);
     return res.status(500).json({ ok: false, error: err.message });
@@ -873,4 +1096,92 @@ router.get("/degree-requirements/:id", async (req, res) => {
   }
 });
 
+/* -------------------------------------
+   REQUIREMENT EXCEPTIONS
+   Advisors and registrars grant substitutions, group waivers and reduced
+   minimums against the requirement version the student follows. Advisors
+   are limited to the students they could place holds on.
+-------------------------------------- */
+router.post("/exceptions", async (req, res) => {
+  const userId = getStudentId(req);
+  if (!userId) return res.status(401).json({ ok: false, error: "Not authenticated" });
+  if (!STAFF_ROLES.includes(roleOf(req))) {
+    return res.status(403).json({ ok: false, error: "Only advisors and registrars can grant requirement exceptions" });
+  }
+
+  const studentId = Number(req.body?.studentId);
+  const programId = Number(req.body?.programId);
+  if (!Number.isInteger(studentId) || !Number.isInteger(programId)) {
+    return res.status(400).json({ ok: false, error: "studentId and programId must be integers" });
+  }
+
+  try {
+    const db = req.db;
+    if (!(await canAdvisorPlaceHold(db, userId, studentId))) {
+      return res.status(403).json({ ok: false, error: "This student is outside your advising scope" });
+    }
+
+    const program = (await loadStudentPrograms(db, studentId)).find((p) => p.programId === programId);
+    if (!program) {
+      return res.status(404).json({ ok: false, error: "Program declaration not found" });
+    }
+    if (!program.degreeRow) {
+      return res.status(400).json({ ok: false, error: "No degree requirements are defined for this program" });
+    }
+
+    const checked = validateRequirementException(safeJson(program.degreeRow.degree_requirements) || {}, req.body);
+    if (checked.error) return res.status(400).json({ ok: false, error: checked.error });
+
+    const exception = await grantRequirementException(db, {
+      studentId,
+      programId,
+      programCode: program.programCode,
+      exception: checked.exception,
+      grantedBy: userId,
+    });
+
+    return res.status(201).json({ ok: true, exception });
+  } catch (err) {
+    console.error("[degree] POST /exceptions failed:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+router.delete("/exceptions/:exceptionId", async (req, res) => {
+  const userId = getStudentId(req);
+  if (!userId) return res.status(401).json({ ok: false, error: "Not authenticated" });
+  if (!STAFF_ROLES.includes(roleOf(req))) {
+    return res.status(403).json({ ok: false, error: "Only advisors and registrars can revoke requirement exceptions" });
+  }
+
+  const exceptionId = Number(req.params.exceptionId);
+  if (!Number.isInteger(exceptionId)) {
+    return res.status(400).json({ ok: false, error: "Invalid exception id" });
+  }
+
+  try {
+    const db = req.db;
+    const studentId = await getActiveExceptionStudentId(db, exceptionId);
+    if (studentId == null) {
+      return res.status(404).json({ ok: false, error: "Active requirement exception not found" });
+    }
+    if (!(await canAdvisorPlaceHold(db, userId, studentId))) {
+      return res.status(403).json({ ok: false, error: "This student is outside your advising scope" });
+    }
+
+    const exception = await revokeRequirementException(db, exceptionId, {
+      revokedBy: userId,
+      reason: req.body?.reason ? String(req.body.reason) : null,
+    });
+    if (!exception) {
+      return res.status(404).json({ ok: false, error: "Active requirement exception not found" });
+    }
+
+    return res.json({ ok: true, exception });
+  } catch (err) {
+    console.error("[degree] DELETE /exceptions/:exceptionId failed:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
 export default router;
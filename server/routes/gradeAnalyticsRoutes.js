@@ -0,0 +1,84 @@
+/**
+ * @file gradeAnalyticsRoutes.js
+ * @description Express routes for grade distribution analytics.
+ * Handles:
+ *   - Grade histograms, mean GPA, withdrawal and incomplete rates per
+ *     section, course and instructor (registrars and advisors)
+ *   - The minimum group size below which results are hidden (registrars)
+ */
+
+import { Router } from 'express';
+import {
+  buildGradeDistributions,
+  getMinGroupSize,
+  loadGradeRows,
+} from '../services/gradeAnalytics.js';
+
+const router = Router();
+
+const roleOf = (req) => String(req.user?.role ?? '').trim().toLowerCase();
+
+/**
+ * GET /api/analytics/grades
+ * Query params: termId, subject
+ */
+router.get('/grades', async (req, res) => {
+  if (!req.user) return res.status(401).json({ ok: false, error: 'Not authenticated' });
+  if (!['registrar', 'advisor'].includes(roleOf(req))) {
+    return res.status(403).json({ ok: false, error: 'Only registrars and advisors can view grade analytics.' });
+  }
+
+  const termId = req.query.termId ? Number(req.query.termId) : null;
+  const subject = req.query.subject ? String(req.query.subject).trim() : null;
+  if (req.query.termId && !Number.isInteger(termId)) {
+    return res.status(400).json({ ok: false, error: 'termId must be an integer' });
+  }
+
+  try {
+    const minGroupSize = await getMinGroupSize(req.db);
+    const rows = await loadGradeRows(req.db, { termId, subject });
+
+    return res.json({ ok: true, minGroupSize, ...buildGradeDistributions(rows, minGroupSize) });
+  } catch (e) {
+    console.error('[analytics] /grades failed:', e);
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+/**
+ * PUT /api/analytics/settings
+ * Body: { minGroupSize }
+ */
+router.put('/settings', async (req, res) => {
+  if (!req.user) return res.status(401).json({ ok: false, error: 'Not authenticated' });
+  if (roleOf(req) !== 'registrar') {
+    return res.status(403).json({ ok: false, error: 'Only registrars can change analytics settings.' });
+  }
+
+  const minGroupSize = Number(req.body?.minGroupSize);
+  if (!Number.isInteger(minGroupSize) || minGroupSize < 1) {
+    return res.status(400).json({ ok: false, error: 'minGroupSize must be a positive integer' });
+  }
+
+  try {
+    const { rowCount } = await req.db.query(
+      `
+      UPDATE system_state
+      SET analytics_min_group_size = $1, updated_at = NOW()
+      WHERE system_state_id = (SELECT MAX(system_state_id) FROM system_state)
+      `,
+      [minGroupSize]
+    );
+
+    if (!rowCount) {
+      return res.status(500).json({ ok: false, error: 'System state has not been initialized' });
+    }
+
+    return res.json({ ok: true, minGroupSize });
+  } catch (e) {
+    console.error('[analytics] /settings failed:', e);
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+export default router;
@@ -39,6 +39,8 @@ router.post("/academic-calendar", upload.single("file"), async (req, res) => {
       major_and_minor_changes_begin,
       advanced_registration_begins,
       semester_end,
+      grade_submission_begins,
+      grade_submission_ends,
     } = data.academic_calendar;
 
     if (!term.semester || !term.year) {
@@ -84,11 +86,13 @@ router.post("/academic-calendar", upload.single("file"), async (req, res) => {
         course_withdrawal_ends,
         major_and_minor_changes_begin,
         advanced_registration_begins,
-        semester_end
+        semester_end,
+        grade_submission_begins,
+        grade_submission_ends
       )
       VALUES (
         $1::jsonb,
-        $2, $3, $4, $5, $6, $7, $8, $9, $10
+        $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12
       )
       RETURNING id
     `;
@@ -104,6 +108,8 @@ router.post("/academic-calendar", upload.single("file"), async (req, res) => {
       major_and_minor_changes_begin || null,
       advanced_registration_begins || null,
       semester_end || null,
+      grade_submission_begins || null,
+      grade_submission_ends || null,
     ];
 
     const result = await req.db.query(insertQuery, values);
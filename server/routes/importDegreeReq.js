@@ -1,6 +1,8 @@
 import express from "express";
 import multer from "multer";
 import yaml from "js-yaml";
+import { parseGraduationRequirements } from "../services/graduationRequirements.js";
+import { versionLabel } from "../services/degreeRequirementVersions.js";
 
 const router = express.Router();
 const upload = multer();
@@ -44,6 +46,12 @@ router.post("/degree-requirements", upload.single("file"), async (req, res) => {
       return res.status(400).json({ error: "YAML missing required fields: subject, degree_type, type" });
     }
 
+    // Versions of a program are keyed by effective_term
+    if (!effective_term?.semester || !Number.isInteger(Number(effective_term?.year))) {
+      return res.status(400).json({ error: "YAML missing required field: effective_term (semester and year)" });
+    }
+    const version = versionLabel(effective_term);
+
     if (!req.db) return res.status(500).json({ error: "Database connection not found" });
 
     const db = req.db;
@@ -52,17 +60,26 @@ router.post("/degree-requirements", upload.single("file"), async (req, res) => {
     try {
       await client.query('BEGIN');
 
-      // Check if the degree requirement already exists
+      // Check if this version of the degree requirement already exists, matching
+      // uq_degree_requirements_version (case-insensitive subject and degree type)
       const existsQuery = `
         SELECT id FROM degree_requirements
-        WHERE subject = $1 AND degree_type = $2
+        WHERE UPPER(subject) = UPPER($1) AND UPPER(degree_type) = UPPER($2) AND LOWER(program_type) = LOWER($3)
+          AND LOWER(effective_term->>'semester') = LOWER($4)
+          AND effective_term->>'year' = $5
       `;
-      const existsResult = await client.query(existsQuery, [subject, degree_type]);
+      const existsResult = await client.query(existsQuery, [
+        subject,
+        degree_type,
+        type,
+        String(effective_term.semester),
+        String(effective_term.year),
+      ]);
 
       if (existsResult.rows.length > 0) {
         await client.query('ROLLBACK');
         return res.status(409).json({ 
-          error: `Degree program "${subject} ${degree_type}" already exists.` 
+          error: `Degree program "${subject} ${degree_type}" already has requirements effective ${version}.` 
         });
       }
 
@@ -80,7 +97,7 @@ router.post("/degree-requirements", upload.single("file"), async (req, res) => {
         subject,
         degree_type,
         type,
-        JSON.stringify(effective_term || {}),
+        JSON.stringify({ semester: effective_term.semester, year: Number(effective_term.year) }),
         JSON.stringify(admission_requirements || {}),
         JSON.stringify(degree_requirements || {})
       ];
@@ -120,11 +137,19 @@ router.post("/degree-requirements", upload.single("file"), async (req, res) => {
         programId = programResult.rows[0].program_id;
       }
 
+      // Students who declared before any version existed follow this one
+      await client.query(
+        `UPDATE student_programs SET degree_requirement_id = $1
+         WHERE program_id = $2 AND degree_requirement_id IS NULL`,
+        [degreeReqId, programId]
+      );
+
       await client.query('COMMIT');
 
       res.json({ 
-        message: "Degree requirements imported successfully", 
+        message: `Degree requirements (${version}) imported successfully`, 
         id: degreeReqId,
+        version,
         programId: programId,
         programCode: programCode,
         programName: programName
@@ -142,6 +167,52 @@ router.post("/degree-requirements", upload.single("file"), async (req, res) => {
   }
 });
 
+/**
+ * POST /graduation-requirements — university-level rules
+ * (minimum_credits, SBCs, LANG_exemptions). Each import replaces the rules
+ * in force; earlier imports are kept as history.
+ */
+router.post("/graduation-requirements", upload.single("file"), async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: "No file uploaded" });
+
+    let data;
+    try {
+      data = yaml.load(req.file.buffer.toString("utf8"));
+    } catch (e) {
+      return res.status(400).json({ error: "Invalid YAML file" });
+    }
+
+    const { requirements, error } = parseGraduationRequirements(data);
+    if (error) return res.status(400).json({ error });
+
+    if (!req.db) return res.status(500).json({ error: "Database connection not found" });
+
+    const { rows } = await req.db.query(
+      `
+      INSERT INTO graduation_requirements (minimum_credits, sbc_categories, lang_exempt_colleges, imported_by)
+      VALUES ($1, $2::jsonb, $3::jsonb, $4)
+      RETURNING graduation_requirements_id
+      `,
+      [
+        requirements.minimumCredits,
+        JSON.stringify(requirements.sbcs),
+        JSON.stringify(requirements.langExemptColleges),
+        req.user?.user_id ?? req.user?.userId ?? null,
+      ]
+    );
+
+    res.json({
+      message: "Graduation requirements imported successfully",
+      id: rows[0].graduation_requirements_id,
+      ...requirements,
+    });
+  } catch (err) {
+    console.error("Graduation requirements import error:", err);
+    res.status(500).json({ error: "Server error importing graduation requirements" });
+  }
+});
+
 export default router;
 
 
@@ -7,6 +7,9 @@ import multer from "multer";
 import yaml from "js-yaml";
 import * as pdfParseMod from "pdf-parse";
 import { scrapeCatalog } from "../services/catalogScraper.js";
+import { findSectionsOverRoomCapacity } from "../services/capacityService.js";
+import { resolveDeclarationVersion } from "../services/degreeRequirementVersions.js";
+import { syncPrimaryInstructor } from "../services/sectionStaff.js";
 
 const require = createRequire(import.meta.url);
 
@@ -706,6 +709,9 @@ router.post("/users", upload.single("file"), async (req, res) => {
 
         for (const classEntry of classes) {
           const { class_id, department, course_num, section, semester, year, credits, GPNC, grade } = classEntry;
+          // GPNC holds the pass threshold the student took the class under (or
+          // null); the threshold itself is the registrar's system_state setting
+
           
           if (!class_id && (!department || !course_num || !section || !semester || !year)) {
             results.warnings.push(
@@ -798,7 +804,7 @@ router.post("/users", upload.single("file"), async (req, res) => {
               [
                 enrollmentStatus,
                 grade && grade !== null && grade.toUpperCase() !== 'NULL' ? grade : null,
-                GPNC || false,
+                Boolean(GPNC),
                 enrollmentCredits || 0,
                 userId,
                 classSectionId
@@ -815,7 +821,7 @@ router.post("/users", upload.single("file"), async (req, res) => {
                 classSectionId,
                 enrollmentStatus,
                 grade && grade !== null && grade.toUpperCase() !== 'NULL' ? grade : null,
-                GPNC || false,
+                Boolean(GPNC),
                 enrollmentCredits || 0
               ]
             );
@@ -886,7 +892,13 @@ router.post("/users", upload.single("file"), async (req, res) => {
           }
         }
 
-        const { majors = [], minors = [], degrees = [] } = studentObj;
+        const {
+          majors = [],
+          minors = [],
+          degrees = [],
+          major_requirement_versions: majorVersions = [],
+          minor_requirement_versions: minorVersions = [],
+        } = studentObj;
 
         // Import majors
         if (Array.isArray(majors) && majors.length > 0) {
@@ -958,11 +970,12 @@ router.post("/users", upload.single("file"), async (req, res) => {
                 );
 
                 if (existingRes.rows.length === 0) {
-                  // Insert into student_programs
+                  // Insert into student_programs with the requirement version the student follows
+                  const degreeRequirementId = await resolveDeclarationVersion(db, program.program_id, majorVersions?.[i]);
                   await db.query(
-                    `INSERT INTO student_programs (student_id, program_id, kind)
-                     VALUES ($1, $2, 'MAJOR'::program_type)`,
-                    [userId, program.program_id]
+                    `INSERT INTO student_programs (student_id, program_id, kind, degree_requirement_id)
+                     VALUES ($1, $2, 'MAJOR'::program_type, $3)`,
+                    [userId, program.program_id, degreeRequirementId]
                   );
                 }
                 continue; // Successfully created and inserted, move to next major
@@ -989,21 +1002,21 @@ router.post("/users", upload.single("file"), async (req, res) => {
             );
 
             if (existingRes.rows.length === 0) {
-              // Insert into student_programs
+              // Insert into student_programs with the requirement version the student follows
+              const degreeRequirementId = await resolveDeclarationVersion(db, program.program_id, majorVersions?.[i]);
               await db.query(
-                `INSERT INTO student_programs (student_id, program_id, kind)
-                 VALUES ($1, $2, 'MAJOR'::program_type)`,
-                [userId, program.program_id]
+                `INSERT INTO student_programs (student_id, program_id, kind, degree_requirement_id)
+                 VALUES ($1, $2, 'MAJOR'::program_type, $3)`,
+                [userId, program.program_id, degreeRequirementId]
               );
             }
           }
         }
 
         // Import minors
-        // Note: YAML might have minor_requirement_versions which could help match
         // For now, try to find minor programs by department code
         if (Array.isArray(minors) && minors.length > 0) {
-          for (const minorCode of minors) {
+          for (const [i, minorCode] of minors.entries()) {
             // Try multiple patterns:
             // 1. Exact match: "CSE-Minor" or similar
             // 2. Department-based: find by department code
@@ -1042,11 +1055,12 @@ router.post("/users", upload.single("file"), async (req, res) => {
             );
 
             if (existingRes.rows.length === 0) {
-              // Insert into student_programs
+              // Insert into student_programs with the requirement version the student follows
+              const degreeRequirementId = await resolveDeclarationVersion(db, program.program_id, minorVersions?.[i]);
               await db.query(
-                `INSERT INTO student_programs (student_id, program_id, kind)
-                 VALUES ($1, $2, 'MINOR'::program_type)`,
-                [userId, program.program_id]
+                `INSERT INTO student_programs (student_id, program_id, kind, degree_requirement_id)
+                 VALUES ($1, $2, 'MINOR'::program_type, $3)`,
+                [userId, program.program_id, degreeRequirementId]
               );
             }
           }
@@ -1302,7 +1316,8 @@ router.post("/rooms", upload.single("file"), async (req, res) => {
       });
     }
 
-    const summary = { inserted: 0, updated: 0, skipped: 0, warnings: [] };
+    const summary = { inserted: 0, updated: 0, skipped: 0, capacityLimited: 0, warnings: [] };
+    const importedRoomIds = [];
 
     for (const [idx, roomObj] of rooms.entries()) {
       if (!roomObj || typeof roomObj !== "object") {
@@ -1346,10 +1361,22 @@ router.post("/rooms", upload.single("file"), async (req, res) => {
       );
 
       const row = result.rows[0];
+      importedRoomIds.push(row.room_id);
       if (row.inserted) summary.inserted++;
       else summary.updated++;
     }
 
+    // Sections larger than their room are capped at the room capacity at registration time
+    const overRoom = importedRoomIds.length
+      ? await findSectionsOverRoomCapacity(req.db, importedRoomIds)
+      : [];
+    summary.capacityLimited = overRoom.length;
+    for (const sec of overRoom) {
+      summary.warnings.push(
+        `${sec.subject} ${sec.course_num} section ${sec.section_num}: section capacity ${sec.section_capacity} exceeds ${sec.building} ${sec.room} capacity ${sec.room_capacity}; enrollment is limited to ${sec.room_capacity}`
+      );
+    }
+
     return res.status(200).json({
       status: "success",
       message: "Rooms imported",
@@ -1358,6 +1385,7 @@ router.post("/rooms", upload.single("file"), async (req, res) => {
         `Inserted: ${summary.inserted}`,
         `Updated: ${summary.updated}`,
         `Skipped: ${summary.skipped}`,
+        `Sections limited by room capacity: ${summary.capacityLimited}`,
         ...summary.warnings,
       ],
     });
@@ -1670,17 +1698,11 @@ router.post("/schedule", upload.single("file"), async (req, res) => {
       const wasInserted = result.rows[0]?.inserted;
       const classId = result.rows[0]?.class_id;
       
-      // Insert instructor into junction table if matched
-      if (instructorId && classId) {
+      // Keep the junction table's primary row in step with instructor_id,
+      // dropping the previous instructor's when the section changed hands
+      if (classId) {
         try {
-          await db.query(
-            `
-            INSERT INTO class_section_instructors (class_id, instructor_id)
-            VALUES ($1, $2)
-            ON CONFLICT (class_id, instructor_id) DO NOTHING
-            `,
-            [classId, instructorId]
-          );
+          await syncPrimaryInstructor(db, classId, instructorId);
         } catch (e) {
           // If table doesn't exist yet (migration not run), that's okay - instructor_id is still set
           if (!e.message.includes('class_section_instructors')) {
@@ -1,5 +1,6 @@
 // server/routes/majorMinorRequestRoutes.js
 import express from 'express';
+import { resolveDeclarationVersion } from '../services/degreeRequirementVersions.js';
 
 const router = express.Router();
 
@@ -452,12 +453,14 @@ router.post('/:requestId/approve', async (req, res) => {
 
       // 5) Insert into student_programs
       // Note: kind column is required and should match program type (MAJOR/MINOR)
+      // The student follows the requirement version in effect when the declaration is approved
+      const degreeRequirementId = await resolveDeclarationVersion(client, request.program_id);
       await client.query(
         `
-        INSERT INTO student_programs (student_id, program_id, kind)
-        VALUES ($1, $2, $3::program_type)
+        INSERT INTO student_programs (student_id, program_id, kind, degree_requirement_id)
+        VALUES ($1, $2, $3::program_type, $4)
         `,
-        [request.student_id, request.program_id, request.program_type]
+        [request.student_id, request.program_id, request.program_type, degreeRequirementId]
       );
     } else if (request.request_type === 'DROP') {
       // 6) For DROP requests, remove from student_programs
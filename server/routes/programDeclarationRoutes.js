@@ -5,13 +5,23 @@
  *   - Declare major/minor
  *   - Get available programs
  *   - Get student's current declarations
+ *   - Requirement versions (catalog years) a student follows
  */
 
 import { Router } from 'express';
 import { getCurrentDate } from '../utils/dateWrapper.js';
+import { createAuditLogEntry } from '../services/registrationChecks.js';
+import {
+  listRequirementVersions,
+  loadStudentRequirementVersions,
+  resolveDeclarationVersion,
+} from '../services/degreeRequirementVersions.js';
 
 const router = Router();
 
+const roleOf = (req) => String(req.user?.role ?? '').trim().toLowerCase();
+const userIdOf = (req) => req.user?.user_id ?? req.user?.userId ?? null;
+
 /**
  * Helper function to check if major/minor changes are currently allowed
  * based on academic calendar dates.
@@ -228,6 +238,8 @@ router.get('/programs', async (req, res) => {
  * Body:
  *   - program_id: Program to declare
  *   - kind: 'MAJOR' or 'MINOR'
+ *   - degree_requirement_id: Requirement version to follow (optional; defaults
+ *     to the newest version in effect for the current term)
  * 
  * @route POST /students/:student_id/declare
  * @returns {Object} 201 - Declaration successful
@@ -238,7 +250,7 @@ router.get('/programs', async (req, res) => {
 router.post('/students/:student_id/declare', async (req, res) => {
   try {
     const { student_id } = req.params;
-    const { program_id, kind } = req.body;
+    const { program_id, kind, degree_requirement_id } = req.body;
 
     if (!program_id || !kind) {
       return res.status(400).json({ 
@@ -324,11 +336,25 @@ router.post('/students/:student_id/declare', async (req, res) => {
       });
     }
 
+    let degreeRequirementId;
+    if (degree_requirement_id != null) {
+      const versions = await listRequirementVersions(req.db, program_id);
+      degreeRequirementId = Number(degree_requirement_id);
+      if (!versions.some((v) => v.degreeRequirementId === degreeRequirementId)) {
+        return res.status(400).json({ 
+          ok: false, 
+          error: 'degree_requirement_id is not a requirement version of this program' 
+        });
+      }
+    } else {
+      degreeRequirementId = await resolveDeclarationVersion(req.db, program_id);
+    }
+
     // Insert declaration
     await req.db.query(
-      `INSERT INTO student_programs (student_id, program_id, kind)
-       VALUES ($1, $2, $3::program_type)`,
-      [student_id, program_id, programKind]
+      `INSERT INTO student_programs (student_id, program_id, kind, degree_requirement_id)
+       VALUES ($1, $2, $3::program_type, $4)`,
+      [student_id, program_id, programKind, degreeRequirementId]
     );
 
     return res.status(201).json({ 
@@ -395,5 +421,108 @@ router.delete('/students/:student_id/declare/:program_id', async (req, res) => {
   }
 });
 
+/**
+ * GET /students/:student_id/requirement-versions
+ * The requirement version each declared program follows, with the versions
+ * available. Students see their own; advisors and registrars any student.
+ *
+ * @route GET /students/:student_id/requirement-versions
+ * @returns {Object} 200 - { ok, programs: [{ programId, kind, code, name, current, versions }] }
+ */
+router.get('/students/:student_id/requirement-versions', async (req, res) => {
+  if (!req.user) return res.status(401).json({ ok: false, error: 'Not authenticated' });
+
+  const studentId = Number(req.params.student_id);
+  if (!Number.isInteger(studentId)) {
+    return res.status(400).json({ ok: false, error: 'student_id must be an integer' });
+  }
+
+  const role = roleOf(req);
+  const isSelf = role === 'student' && Number(userIdOf(req)) === studentId;
+  if (!isSelf && !['advisor', 'registrar'].includes(role)) {
+    return res.status(403).json({ ok: false, error: 'Not authorized' });
+  }
+
+  try {
+    const programs = await loadStudentRequirementVersions(req.db, studentId);
+    return res.json({ ok: true, programs });
+  } catch (e) {
+    console.error('[programs] GET /requirement-versions failed:', e);
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+/**
+ * PUT /students/:student_id/programs/:program_id/requirement-version
+ * Move a student to a newer catalog year for a declared program.
+ *
+ * Body:
+ *   - degree_requirement_id: The newer requirement version
+ *
+ * @route PUT /students/:student_id/programs/:program_id/requirement-version
+ * @returns {Object} 200 - Version changed
+ * @returns {Object} 400 - Not a version of the program, or not newer
+ * @returns {Object} 403 - Caller is not an advisor or registrar
+ * @returns {Object} 404 - Program not declared by the student
+ */
+router.put('/students/:student_id/programs/:program_id/requirement-version', async (req, res) => {
+  if (!req.user) return res.status(401).json({ ok: false, error: 'Not authenticated' });
+  if (!['advisor', 'registrar'].includes(roleOf(req))) {
+    return res.status(403).json({ ok: false, error: 'Only advisors and registrars can change catalog years' });
+  }
+
+  const studentId = Number(req.params.student_id);
+  const programId = Number(req.params.program_id);
+  const degreeRequirementId = Number(req.body?.degree_requirement_id);
+  if (!Number.isInteger(studentId) || !Number.isInteger(programId) || !Number.isInteger(degreeRequirementId)) {
+    return res.status(400).json({ ok: false, error: 'student_id, program_id and degree_requirement_id must be integers' });
+  }
+
+  try {
+    const programs = await loadStudentRequirementVersions(req.db, studentId);
+    const program = programs.find((p) => p.programId === programId);
+    if (!program) {
+      return res.status(404).json({ ok: false, error: 'Program declaration not found' });
+    }
+
+    // versions are newest first
+    const targetIndex = program.versions.findIndex((v) => v.degreeRequirementId === degreeRequirementId);
+    if (targetIndex === -1) {
+      return res.status(400).json({ ok: false, error: 'degree_requirement_id is not a requirement version of this program' });
+    }
+    const currentIndex = program.current
+      ? program.versions.findIndex((v) => v.degreeRequirementId === program.current.degreeRequirementId)
+      : program.versions.length;
+    if (targetIndex >= currentIndex) {
+      return res.status(400).json({
+        ok: false,
+        error: `Students can only move to a newer catalog year than ${program.current?.label || 'their current one'}`,
+      });
+    }
+
+    const target = program.versions[targetIndex];
+    await req.db.query(
+      `UPDATE student_programs
+       SET degree_requirement_id = $1
+       WHERE student_id = $2 AND program_id = $3`,
+      [degreeRequirementId, studentId, programId]
+    );
+
+    await createAuditLogEntry(req.db, {
+      studentId,
+      actionType: 'requirement_version_changed',
+      actionDescription: `${program.code} requirements changed from ${program.current?.label || 'none'} to ${target.label}`,
+      performedBy: userIdOf(req),
+      entityType: 'student_program',
+      entityId: programId,
+    });
+
+    return res.json({ ok: true, programId, previous: program.current, current: target });
+  } catch (e) {
+    console.error('[programs] PUT /requirement-version failed:', e);
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
 export default router;
 
@@ -1,6 +1,46 @@
 // server/routes/registrationScheduleRoutes.js
 import express from 'express';
 import { getCurrentDate } from '../utils/dateWrapper.js';
+import {
+  computeClassStanding,
+  checkRegistrationHolds,
+  checkTimeConflict,
+  hasTimeConflictWaiver,
+  checkCreditLimit,
+  getTermCreditLimit,
+  getRegisteredTermCredits,
+  DEFAULT_MAX_TERM_CREDITS,
+  createAuditLogEntry,
+  getAcademicTotals,
+} from '../services/registrationChecks.js';
+import {
+  isWaitlistOpen,
+  processSectionWaitlist,
+  nextWaitlistPosition,
+  getWaitlistQueue,
+  moveWaitlistEntry,
+} from '../services/waitlistProcessor.js';
+import {
+  getSectionCapacity,
+  getActiveCapacityOverride,
+  consumeCapacityOverride,
+  grantCapacityOverride,
+  listCapacityOverrides,
+  revokeCapacityOverride,
+} from '../services/capacityService.js';
+import { requisitesFromCourseRow } from '../services/courseRequisites.js';
+import { applyRepeatPolicy, checkRepeatLimit, getRepeatPolicy, REPEAT_POLICIES } from '../services/repeatPolicy.js';
+import { getGpncPassThreshold, getGpncSelectionWindow, isLetterGrade } from '../services/gpnc.js';
+import { getTermCalendar, getWithdrawalPhase } from '../services/termCalendar.js';
+import { recordGradeHistory } from '../services/gradeHistory.js';
+import {
+  evaluateRequisite,
+  describeRequisite,
+  requisiteCourses,
+  requisiteLeafTypes,
+  courseLabel,
+  meetsMinGrade,
+} from '../services/requisiteParser.js';
 
 const router = express.Router();
 
@@ -17,159 +57,70 @@ function getUserRole(req) {
   return req.user?.role ?? null;
 }
 
-function computeClassStanding(credits) {
-  if (credits >= 84) return 'U4';
-  if (credits >= 57) return 'U3';
-  if (credits >= 24) return 'U2';
-  return 'U1';
-}
-
-function parseCourseCodes(text) {
-  if (!text) return [];
-  const matches = text.match(/\b([A-Z]{2,4})\s*(\d{3})\b/g);
-  if (!matches) return [];
-  return matches.map((m) => m.replace(/\s+/, ' ').toUpperCase());
-}
-
 /**
- * Parses prerequisite text into requirement groups with OR and AND logic.
- * Semicolons separate AND groups (all must be satisfied).
- * "or" within a group means OR logic (at least one must be satisfied).
- * 
- * @param {string} prerequisitesText - The prerequisite text to parse
- * @returns {Array} Array of requirement groups, each containing:
- *   - minGrade: minimum grade required (e.g., "C", "B-") or null
- *   - courseCodes: array of course codes in this OR group
+ * Passing grades per course ("CSE 214" -> ['B+', ...]) for completed or
+ * graded enrollments. In-progress courses without a grade are not included,
+ * and repeated courses keep only the attempt the repeat policy counts.
  */
-function parsePrerequisiteGroups(prerequisitesText) {
-  if (!prerequisitesText || prerequisitesText.trim() === '') return [];
-
-  // Split by semicolons to get AND groups (different requirement groups)
-  const andGroups = prerequisitesText.split(';').map(g => g.trim()).filter(g => g);
-
-  const requirementGroups = [];
-
-  for (const andGroup of andGroups) {
-    let groupText = andGroup;
-    let minGrade = null;
-
-    // Extract grade requirement (e.g., "C or higher:", "B- or higher:", "C or better:")
-    // Pattern: grade letter optionally followed by +/- followed by "or higher:" or "or better:"
-    const gradeMatch = groupText.match(/^([A-Z][+-]?)\s+or\s+(higher|better):\s*/i);
-    if (gradeMatch) {
-      const gradeStr = gradeMatch[1].toUpperCase();
-      // Normalize grade: "C" -> "C", "B-" -> "B-", "C+" -> "C+"
-      minGrade = gradeStr;
-      groupText = groupText.substring(gradeMatch[0].length).trim();
-    }
-
-    // Extract all course codes from the remaining text
-    const allCourseCodes = parseCourseCodes(groupText);
-    
-    // If no course codes found, skip this group
-    if (allCourseCodes.length === 0) continue;
-
-    // Check if there are OR conditions by looking for "or" between course codes
-    // We need to find "or" that is NOT part of "or higher" or "or better"
-    // Look for pattern: course code, then "or", then another course code
-    // Use a regex that matches "or" not followed by "higher" or "better"
-    const hasOrBetweenCourses = /\b([A-Z]{2,4}\s*\d{3})\s+or\s+(?!higher|better)([A-Z]{2,4}\s*\d{3})/i.test(groupText);
-    
-    // If there's an "or" between courses, it's an OR group (at least one must be satisfied)
-    // If there's no "or", treat each course as a separate requirement (all must be satisfied)
-    // For simplicity, we'll treat single courses as OR groups with one item
-    if (hasOrBetweenCourses) {
-      // OR group: at least one course must be satisfied
-      requirementGroups.push({
-        minGrade,
-        courseCodes: allCourseCodes,
-      });
-    } else if (allCourseCodes.length === 1) {
-      // Single course: must be satisfied
-      requirementGroups.push({
-        minGrade,
-        courseCodes: allCourseCodes,
-      });
-    } else {
-      // Multiple courses without "or": all must be satisfied
-      // Treat each as a separate requirement group (AND logic)
-      for (const courseCode of allCourseCodes) {
-        requirementGroups.push({
-          minGrade,
-          courseCodes: [courseCode],
-        });
-      }
-    }
-  }
-
-  return requirementGroups;
-}
-
-const gradePoints = {
-  'A+': 4.0,
-  A: 4.0,
-  'A-': 3.7,
-  'B+': 3.3,
-  B: 3.0,
-  'B-': 2.7,
-  'C+': 2.3,
-  C: 2.0,
-  'C-': 1.7,
-  'D+': 1.3,
-  D: 1.0,
-  'D-': 0.7,
-  F: 0.0,
-};
-
-async function hasCompletedCourse(db, studentId, courseCode, minGrade = 'D') {
-  const [subject, num] = courseCode.split(' ');
-  if (!subject || !num) return false;
-
-  const result = await db.query(
+async function loadCourseGrades(db, studentId) {
+  const { rows } = await db.query(
     `
-    SELECT e.grade
+    SELECT UPPER(c.subject) AS subject, c.course_num, e.grade, e.gpnc, t.semester, t.year
     FROM enrollments e
     JOIN class_sections cs ON cs.class_id = e.class_id
     JOIN courses c ON c.course_id = cs.course_id
+    LEFT JOIN terms t ON t.term_id = cs.term_id
     WHERE e.student_id = $1
-      AND UPPER(c.subject) = $2
-      AND c.course_num = $3
       AND e.status IN ('completed', 'registered')
       AND e.grade IS NOT NULL
-      AND e.grade != 'F'
-      AND e.grade != 'I'
   `,
-    [studentId, subject.toUpperCase(), num]
+    [studentId]
   );
-
-  if (result.rows.length === 0) return false;
-
-  if (minGrade && minGrade !== 'D') {
-    const minPoints = gradePoints[minGrade] ?? 0;
-    for (const row of result.rows) {
-      const grade = String(row.grade).toUpperCase();
-      if (grade === 'P') return true;
-      const points = gradePoints[grade] ?? 0;
-      if (points >= minPoints) return true;
-    }
-    return false;
+  const { policy } = await getRepeatPolicy(db);
+  const gpncPassThreshold = await getGpncPassThreshold(db);
+
+  const grades = new Map();
+  for (const row of applyRepeatPolicy(rows, policy, gpncPassThreshold)) {
+    const code = `${row.subject} ${row.course_num}`;
+    if (!grades.has(code)) grades.set(code, []);
+    grades.get(code).push(String(row.grade).toUpperCase());
   }
-
-  return true;
+  return grades;
 }
 
-async function hasPrerequisiteWaiver(db, studentId, courseId, prerequisiteCourseCode) {
-  const result = await db.query(
+async function loadPrerequisiteWaivers(db, studentId, courseId) {
+  const { rows } = await db.query(
     `
-    SELECT 1 FROM prerequisite_waivers
+    SELECT waived_course_code FROM prerequisite_waivers
     WHERE student_user_id = $1
       AND course_id = $2
-      AND waived_course_code = $3
       AND status = 'approved'
   `,
-    [studentId, courseId, prerequisiteCourseCode]
+    [studentId, courseId]
   );
-  return result.rows.length > 0;
+  return new Set(rows.map((r) => String(r.waived_course_code).toUpperCase()));
+}
+
+async function getCumulativeCredits(db, studentId) {
+  return (await getAcademicTotals(db, studentId)).cumulativeCredits;
+}
+
+async function getCurrentStanding(db, studentId) {
+  return computeClassStanding(await getCumulativeCredits(db, studentId));
+}
+
+async function loadMajorSubjects(db, studentId) {
+  const { rows } = await db.query(
+    `
+    SELECT DISTINCT UPPER(SPLIT_PART(p.code, '-', 1)) AS subject
+    FROM student_programs sp
+    JOIN programs p ON p.program_id = sp.program_id
+    WHERE sp.student_id = $1
+      AND p.type = 'MAJOR'
+  `,
+    [studentId]
+  );
+  return new Set(rows.map((r) => r.subject));
 }
 
 async function hasDepartmentPermission(db, studentId, courseId) {
@@ -185,19 +136,6 @@ async function hasDepartmentPermission(db, studentId, courseId) {
   return result.rows.length > 0;
 }
 
-async function checkRegistrationHolds(db, studentId) {
-  const result = await db.query(
-    `
-    SELECT hold_type, note, placed_by_user_id, placed_at
-    FROM registration_holds
-    WHERE student_user_id = $1
-      AND resolved_at IS NULL
-    `,
-    [studentId]
-  );
-  return result.rows;
-}
-
 /**
  * Check if an advisor can place/remove a hold on a student.
  * - University-level advisors: can place holds on any student
@@ -340,30 +278,6 @@ export async function canAdvisorPlaceHold(db, advisorId, studentId) {
   }
 }
 
-/**
- * Create an audit log entry
- */
-async function createAuditLogEntry(db, {
-  studentId,
-  actionType,
-  actionDescription,
-  performedBy,
-  entityType = null,
-  entityId = null,
-  note = null
-}) {
-  try {
-    await db.query(
-      `INSERT INTO audit_log (student_id, action_type, action_description, performed_by, entity_type, entity_id, performed_at, note)
-       VALUES ($1, $2, $3, $4, $5, $6, NOW(), $7)`,
-      [studentId, actionType, actionDescription, performedBy, entityType, entityId, note]
-    );
-  } catch (err) {
-    // Log error but don't fail the main operation
-    console.error('[createAuditLogEntry] Error:', err);
-  }
-}
-
 async function checkRegistrationWindow(db, studentId, termId, classStanding, cumulativeCredits) {
   const scheduleRes = await db.query(
     `
@@ -434,424 +348,596 @@ async function checkRegistrationWindow(db, studentId, termId, classStanding, cum
   return { allowed: false, reason: 'No registration window found for your class standing' };
 }
 
-async function checkTimeConflict(db, studentId, newClassId, termId) {
-  console.log('[checkTimeConflict] START - studentId:', studentId, 'newClassId:', newClassId, 'termId:', termId);
-  
-  const newClassRes = await db.query(
+/**
+ * Evaluates a course's prerequisite tree. Courses count when passed with the
+ * required grade or waived; standing, major and permission leaves are only
+ * looked up when the tree contains them.
+ *
+ * @param {Object} course - courses row (course_id, prerequisites, prerequisite_ast, ...)
+ */
+async function checkPrerequisites(db, studentId, course) {
+  const { prerequisiteAst } = requisitesFromCourseRow(course);
+  if (!prerequisiteAst) return { satisfied: true };
+
+  const leafTypes = requisiteLeafTypes(prerequisiteAst);
+  const grades = await loadCourseGrades(db, studentId);
+  const waivers = await loadPrerequisiteWaivers(db, studentId, course.course_id);
+  const standing = leafTypes.has('standing') ? await getCurrentStanding(db, studentId) : null;
+  const majors = leafTypes.has('major') ? await loadMajorSubjects(db, studentId) : new Set();
+  const permitted = leafTypes.has('permission')
+    ? await hasDepartmentPermission(db, studentId, course.course_id)
+    : false;
+
+  const { satisfied, unmet } = evaluateRequisite(prerequisiteAst, {
+    course: (node) =>
+      waivers.has(courseLabel(node)) ||
+      (grades.get(courseLabel(node)) || []).some((g) => meetsMinGrade(g, node.minGrade)),
+    standing: (node) => node.levels.includes(standing),
+    major: (node) => majors.has(node.subject),
+    permission: () => permitted,
+  });
+  if (satisfied) return { satisfied: true };
+
+  const first = unmet[0];
+  switch (first.type) {
+    case 'standing':
+      return { satisfied: false, unmet, reason: `${describeRequisite(first)} required (current: ${standing})` };
+    case 'major':
+      return { satisfied: false, unmet, reason: `${first.subject} major required` };
+    case 'permission':
+      return { satisfied: false, unmet, reason: 'Department permission required' };
+    default:
+      return { satisfied: false, unmet, reason: `Prerequisite not satisfied: ${describeRequisite(first)}` };
+  }
+}
+
+async function checkCorequisites(db, studentId, course, termId, pendingCourses = null) {
+  const { corequisiteAst } = requisitesFromCourseRow(course);
+  if (!corequisiteAst) return { satisfied: true };
+
+  const { rows } = await db.query(
     `
-    SELECT meeting_days, meeting_times
-    FROM class_sections
-    WHERE class_id = $1
+    SELECT UPPER(c.subject) AS subject, c.course_num
+    FROM enrollments e
+    JOIN class_sections cs ON cs.class_id = e.class_id
+    JOIN courses c ON c.course_id = cs.course_id
+    WHERE e.student_id = $1
+      AND cs.term_id = $2
+      AND e.status = 'registered'
   `,
-    [newClassId]
+    [studentId, termId]
   );
+  const registered = new Set([...rows.map((r) => `${r.subject} ${r.course_num}`), ...(pendingCourses ?? [])]);
 
-  console.log('[checkTimeConflict] New class query result:', {
-    rowsCount: newClassRes.rows.length,
-    row: newClassRes.rows[0] ? {
-      meeting_days: newClassRes.rows[0].meeting_days,
-      meeting_days_type: typeof newClassRes.rows[0].meeting_days,
-      meeting_days_is_null: newClassRes.rows[0].meeting_days === null,
-      meeting_days_is_empty: newClassRes.rows[0].meeting_days === '',
-      meeting_times: newClassRes.rows[0].meeting_times,
-      meeting_times_type: typeof newClassRes.rows[0].meeting_times,
-      meeting_times_is_null: newClassRes.rows[0].meeting_times === null,
-      meeting_times_is_empty: newClassRes.rows[0].meeting_times === '',
-    } : null
+  const { satisfied, unmet } = evaluateRequisite(corequisiteAst, {
+    course: (node) => registered.has(courseLabel(node)),
   });
+  if (satisfied) return { satisfied: true };
 
-  // Helper function to check if a value is TBA
-  const isTBA = (value) => {
-    if (!value) return true; // NULL, undefined, empty string
-    const str = String(value).trim().toUpperCase();
-    return str === 'TBA' || str === '';
+  return {
+    satisfied: false,
+    reason: `Corequisite required: ${describeRequisite(unmet[0])} must be taken in the same term`,
   };
+}
 
-  const newMeetingDays = newClassRes.rows[0]?.meeting_days;
-  const newMeetingTimes = newClassRes.rows[0]?.meeting_times;
-  const newIsTBA = isTBA(newMeetingDays) || isTBA(newMeetingTimes);
-
-  console.log('[checkTimeConflict] New class TBA check:', {
-    newMeetingDays,
-    newMeetingTimes,
-    newIsTBA,
-    isTBA_days: isTBA(newMeetingDays),
-    isTBA_times: isTBA(newMeetingTimes)
-  });
+async function checkAntiRequisites(db, studentId, course) {
+  const { antiRequisiteAst } = requisitesFromCourseRow(course);
+  const excluded = requisiteCourses(antiRequisiteAst);
+  if (excluded.length === 0) return { satisfied: true };
 
-  // Query all enrolled classes (including TBA ones)
-  const enrolledRes = await db.query(
+  const { rows } = await db.query(
     `
-    SELECT cs.class_id, cs.meeting_days, cs.meeting_times, c.subject, c.course_num
+    SELECT UPPER(c.subject) AS subject, c.course_num
     FROM enrollments e
     JOIN class_sections cs ON cs.class_id = e.class_id
     JOIN courses c ON c.course_id = cs.course_id
     WHERE e.student_id = $1
-      AND cs.term_id = $2
-      AND e.status = 'registered'
+      AND e.status IN ('completed', 'registered')
+      AND (e.grade IS NULL OR e.grade IN ('P', 'A+', 'A', 'A-', 'B+', 'B', 'B-', 'C+', 'C', 'C-', 'D+', 'D', 'D-'))
   `,
-    [studentId, termId]
+    [studentId]
   );
+  const withCredit = new Set(rows.map((r) => `${r.subject} ${r.course_num}`));
 
-  console.log('[checkTimeConflict] Enrolled classes query result:', {
-    rowsCount: enrolledRes.rows.length,
-    enrolledClasses: enrolledRes.rows.map(row => ({
-      class_id: row.class_id,
-      course: `${row.subject} ${row.course_num}`,
-      meeting_days: row.meeting_days,
-      meeting_days_type: typeof row.meeting_days,
-      meeting_days_is_null: row.meeting_days === null,
-      meeting_times: row.meeting_times,
-      meeting_times_type: typeof row.meeting_times,
-      meeting_times_is_null: row.meeting_times === null,
-    }))
-  });
-
-  // If new class has TBA, conflict with ALL existing enrollments
-  if (newIsTBA) {
-    console.log('[checkTimeConflict] New class has TBA - checking against all enrolled classes');
-    if (enrolledRes.rows.length > 0) {
-      const firstConflict = enrolledRes.rows[0];
-      console.log('[checkTimeConflict] TBA conflict detected with:', {
-        classId: firstConflict.class_id,
-        courseCode: `${firstConflict.subject} ${firstConflict.course_num}`
-      });
-      return {
-        hasConflict: true,
-        conflictingClass: {
-          classId: firstConflict.class_id,
-          courseCode: `${firstConflict.subject} ${firstConflict.course_num}`,
-        },
-      };
-    }
+  const conflict = excluded.find((node) => withCredit.has(courseLabel(node)));
+  if (conflict) {
+    return { satisfied: false, reason: `Anti-requisite: Cannot take this course if you have credit for ${courseLabel(conflict)}` };
   }
 
-  // If new class has known schedule, check against enrolled classes
-  if (!newIsTBA && newMeetingDays && newMeetingTimes) {
-    const newDays = newMeetingDays
-      .split(/[,\s\/]+/)
-      .map((d) => d.trim().toUpperCase())
-      .filter(d => d && d !== 'TBA');
-    const newTimes = newMeetingTimes;
+  return { satisfied: true };
+}
+
+/**
+ * Section, course requisites and term for a registration attempt.
+ * `forUpdate` locks the section row for the rest of the transaction.
+ */
+async function fetchEnrollSection(db, classId, { forUpdate = false } = {}) {
+  const secRes = await db.query(
+    `
+    SELECT
+      cs.*,
+      c.course_id,
+      c.subject,
+      c.course_num,
+      c.prerequisites,
+      c.corequisites,
+      c.anti_requisites,
+      c.prerequisite_ast,
+      c.corequisite_ast,
+      c.anti_requisite_ast,
+      c.requisites_parsed_at,
+      c.credits,
+      t.term_id,
+      t.semester,
+      t.year
+    FROM class_sections cs
+    JOIN courses c ON c.course_id = cs.course_id
+    JOIN terms t ON t.term_id = cs.term_id
+    WHERE cs.class_id = $1
+    ${forUpdate ? 'FOR UPDATE' : ''}
+  `,
+    [classId]
+  );
+  return secRes.rows[0] ?? null;
+}
 
-    console.log('[checkTimeConflict] New class has known schedule:', {
-      newDays,
-      newTimes
+/**
+ * Resolutions a prerequisite failure can be cleared with: a waiver for any
+ * unmet course, and department permission when the tree accepts it.
+ */
+function prerequisiteResolutions(unmet) {
+  const resolutions = [];
+  const waivable = unmet.flatMap((node) => requisiteCourses(node)).map(courseLabel);
+  if (waivable.length > 0) {
+    resolutions.push({
+      type: 'prerequisite_waiver',
+      grantedBy: ['Advisor', 'Registrar'],
+      waivableCourses: [...new Set(waivable)],
+      description: `Prerequisite waiver for ${[...new Set(waivable)].join(' or ')}`,
+    });
+  }
+  if (unmet.some((node) => requisiteLeafTypes(node).has('permission'))) {
+    resolutions.push({
+      type: 'department_permission',
+      grantedBy: ['Advisor'],
+      description: 'Department permission for this course',
     });
+  }
+  return resolutions;
+}
 
-    for (const enrolled of enrolledRes.rows) {
-      const enrolledMeetingDays = enrolled.meeting_days;
-      const enrolledMeetingTimes = enrolled.meeting_times;
-      const enrolledIsTBA = isTBA(enrolledMeetingDays) || isTBA(enrolledMeetingTimes);
-
-      console.log('[checkTimeConflict] Checking enrolled class:', {
-        classId: enrolled.class_id,
-        course: `${enrolled.subject} ${enrolled.course_num}`,
-        enrolledMeetingDays,
-        enrolledMeetingTimes,
-        enrolledIsTBA
-      });
+/**
+ * Runs every /enroll check for a section without writing anything. Unlike
+ * /enroll it does not stop at the first failure, so each check reports
+ * pass/fail along with the waivers, permissions or overrides that would
+ * clear it.
+ *
+ * @returns {Promise<{outcome: 'register'|'waitlist'|'blocked', checks: Object[]}>}
+ */
+async function buildEnrollmentPreview(db, studentId, secRow, { isRegistrar = false } = {}) {
+  const classId = secRow.class_id;
+  const termId = secRow.term_id;
+  const checks = [];
+  const addCheck = (check, label, { passed = true, message = null, resolutions = [], ...details } = {}) => {
+    checks.push({ check, label, passed, message, resolutions, ...details });
+  };
 
-      // If enrolled class has TBA, conflict with new class (known schedule)
-      if (enrolledIsTBA) {
-        console.log('[checkTimeConflict] Enrolled class has TBA - conflict detected');
-        return {
-          hasConflict: true,
-          conflictingClass: {
-            classId: enrolled.class_id,
-            courseCode: `${enrolled.subject} ${enrolled.course_num}`,
-          },
-        };
-      }
+  const holds = await checkRegistrationHolds(db, studentId);
+  addCheck('holds', 'Registration holds', holds.length === 0 ? {} : {
+    passed: false,
+    message: `Registration blocked by holds: ${holds.map((h) => h.hold_type).join(', ')}`,
+    holds: holds.map((h) => ({ type: h.hold_type, note: h.note })),
+    resolutions: [{
+      type: 'hold_release',
+      grantedBy: ['Advisor', 'Registrar'],
+      description: 'An advisor or registrar must remove the hold',
+    }],
+  });
 
-      // Both have known schedules - check for actual overlap
-      if (enrolledMeetingDays && enrolledMeetingTimes && newDays.length > 0 && newTimes) {
-        const enrolledDays = enrolledMeetingDays
-          .split(/[,\s\/]+/)
-          .map((d) => d.trim().toUpperCase())
-          .filter(d => d && d !== 'TBA');
-
-        console.log('[checkTimeConflict] Both have known schedules, checking overlap:', {
-          newDays,
-          enrolledDays,
-          dayOverlap: newDays.some((d) => enrolledDays.includes(d))
-        });
+  // The same rule /enroll applies
+  const enrollmentConflict = await findEnrollmentConflict(db, studentId, secRow);
+  addCheck('already_enrolled', 'Not already enrolled in this course', !enrollmentConflict ? {} : {
+    passed: false,
+    message: enrollmentConflict,
+  });
 
-        const dayOverlap = newDays.some((d) => enrolledDays.includes(d));
-        if (dayOverlap && enrolledMeetingTimes && newTimes) {
-          console.log('[checkTimeConflict] Day overlap detected, checking time overlap');
-          // For now, if days overlap and both have times, consider it a conflict
-          // (Could add actual time range parsing here if needed)
-          console.log('[checkTimeConflict] Conflict detected - day overlap with times');
-          return {
-            hasConflict: true,
-            conflictingClass: {
-              classId: enrolled.class_id,
-              courseCode: `${enrolled.subject} ${enrolled.course_num}`,
-            },
-          };
-        }
-      }
+  const repeatCheck = await checkRepeatLimit(db, studentId, secRow, termId);
+  addCheck('repeat_limit', 'Repeat limit', repeatCheck.allowed ? {} : {
+    passed: false,
+    message: repeatCheck.reason,
+    priorAttempts: repeatCheck.priorAttempts,
+    maxRepeats: repeatCheck.maxRepeats,
+  });
+
+  const cumulativeCredits = await getCumulativeCredits(db, studentId);
+  const windowCheck = await checkRegistrationWindow(
+    db, studentId, termId, computeClassStanding(cumulativeCredits), cumulativeCredits
+  );
+  addCheck('registration_window', 'Registration window', windowCheck.allowed ? {} : {
+    passed: false,
+    message: windowCheck.reason,
+  });
+
+  const prereqCheck = await checkPrerequisites(db, studentId, secRow);
+  addCheck('prerequisites', 'Prerequisites', prereqCheck.satisfied ? {} : {
+    passed: false,
+    message: prereqCheck.reason,
+    resolutions: prerequisiteResolutions(prereqCheck.unmet),
+  });
+
+  const coreqCheck = await checkCorequisites(db, studentId, secRow, termId);
+  addCheck('corequisites', 'Corequisites', coreqCheck.satisfied ? {} : {
+    passed: false,
+    message: coreqCheck.reason,
+  });
+
+  const antiReqCheck = await checkAntiRequisites(db, studentId, secRow);
+  addCheck('anti_requisites', 'Anti-requisites', antiReqCheck.satisfied ? {} : {
+    passed: false,
+    message: antiReqCheck.reason,
+  });
+
+  const timeConflict = await checkTimeConflict(db, studentId, classId, termId);
+  const conflicting = timeConflict.hasConflict ? timeConflict.conflictingClass : null;
+  const conflictWaived = conflicting
+    ? await hasTimeConflictWaiver(db, studentId, classId, conflicting.classId)
+    : false;
+  if (conflictWaived) {
+    addCheck('time_conflict', 'Time conflict', {
+      message: `Time conflict with ${conflicting.courseCode} is covered by an approved waiver`,
+    });
+  } else {
+    addCheck('time_conflict', 'Time conflict', !conflicting ? {} : {
+      passed: false,
+      message: `Time conflict with ${conflicting.courseCode}. Time conflict waiver required.`,
+      conflictingClassId: conflicting.classId,
+      conflictingCourseCode: conflicting.courseCode,
+      resolutions: [{
+        type: 'time_conflict_waiver',
+        grantedBy: ['Instructor', 'Advisor'],
+        description: `Time conflict waiver for ${conflicting.courseCode}, approved by both instructors and an advisor`,
+      }],
+    });
+  }
+
+  const creditCheck = await checkCreditLimit(db, studentId, termId, secRow.credits);
+  addCheck('credit_load', 'Credit load', creditCheck.allowed ? {} : {
+    passed: false,
+    message: creditCheck.reason,
+    resolutions: [{
+      type: 'credit_overload',
+      grantedBy: ['Advisor', 'Registrar'],
+      requestCredits: creditCheck.totalCredits,
+      description: `Credit overload approval for ${creditCheck.totalCredits} credits`,
+    }],
+  });
+
+  const sectionCapacity = await getSectionCapacity(db, classId);
+  const isFull = sectionCapacity.registeredCount >= sectionCapacity.capacity;
+  const capacityOverride = isFull && !isRegistrar
+    ? await getActiveCapacityOverride(db, studentId, classId)
+    : null;
+  const waitlistStatus = isFull && !isRegistrar && !capacityOverride
+    ? await isWaitlistOpen(db, termId)
+    : null;
+
+  if (!waitlistStatus) {
+    addCheck('capacity', 'Seat available', {
+      message: capacityOverride ? 'Section is full; your capacity override will be used' : null,
+    });
+  } else {
+    const resolutions = [{
+      type: 'capacity_override',
+      grantedBy: ['Registrar'],
+      description: 'Capacity override for this section',
+    }];
+    if (waitlistStatus.open) {
+      resolutions.push({
+        type: 'waitlist',
+        position: await nextWaitlistPosition(db, classId),
+        description: 'Registering now adds you to the waitlist',
+      });
     }
+    addCheck('capacity', 'Seat available', {
+      passed: false,
+      message: waitlistStatus.open
+        ? `Section is full (${sectionCapacity.registeredCount}/${sectionCapacity.capacity})`
+        : `Class is full and the waitlist for this term closed on ${waitlistStatus.closesOn}`,
+      resolutions,
+    });
   }
 
-  console.log('[checkTimeConflict] No conflict detected');
-  return { hasConflict: false };
+  const blocked = checks.some((c) => !c.passed && c.check !== 'capacity');
+  let outcome = 'register';
+  if (blocked) outcome = 'blocked';
+  else if (waitlistStatus) outcome = waitlistStatus.open ? 'waitlist' : 'blocked';
+
+  return { outcome, checks, seatsLeft: sectionCapacity.seatsLeft };
 }
 
-async function hasTimeConflictWaiver(db, studentId, classId1, classId2) {
-  const result = await db.query(
+// A withdrawal keeps the row as a W, so the section cannot be registered again
+const WITHDRAWN_SECTION_ERROR =
+  'You withdrew from this section and cannot register for it again; choose another section of the course';
+
+/**
+ * Why the student's existing enrollments rule out `secRow`, or null. Any row
+ * in the section itself blocks, since enrollments holds one row per student
+ * and section: registered, waitlisted, or kept as a W after withdrawal.
+ * Registration in another section of the course blocks as well.
+ * @returns {Promise<?string>}
+ */
+async function findEnrollmentConflict(db, studentId, secRow) {
+  const { rows } = await db.query(
     `
-    SELECT 1 FROM time_conflict_waivers
-    WHERE student_user_id = $1
-      AND ((class_id_1 = $2 AND class_id_2 = $3) OR (class_id_1 = $3 AND class_id_2 = $2))
-      AND instructor_1_approved = true
-      AND instructor_2_approved = true
-      AND advisor_approved = true
-      AND status = 'approved'
+    SELECT cs2.class_id, cs2.section_num, e.status, e.grade
+    FROM enrollments e
+    JOIN class_sections cs2 ON cs2.class_id = e.class_id
+    WHERE e.student_id = $1
+      AND (
+        e.class_id = $2
+        OR (cs2.course_id = $3 AND cs2.term_id = $4 AND e.status = 'registered')
+      )
+    ORDER BY (e.class_id = $2) DESC
   `,
-    [studentId, classId1, classId2]
+    [studentId, secRow.class_id, secRow.course_id, secRow.term_id]
   );
-  return result.rows.length > 0;
-}
-
-async function checkPrerequisites(db, studentId, courseId, prerequisitesText) {
-  if (!prerequisitesText || prerequisitesText.trim() === '') return { satisfied: true };
 
-  const prereqLower = prerequisitesText.toLowerCase();
-
-  // Check for department permission requirement
-  if (prereqLower.includes('permission of department')) {
-    const hasPermission = await hasDepartmentPermission(db, studentId, courseId);
-    if (!hasPermission) return { satisfied: false, reason: 'Department permission required' };
+  const existing = rows[0];
+  if (!existing) return null;
+  if (String(existing.class_id) !== String(secRow.class_id)) {
+    return `Already registered for another section of this course (Section ${existing.section_num})`;
   }
-
-  // Check for major requirements (e.g., "CSE major")
-  const majorMatch = prereqLower.match(/([a-z]{2,4})\s+major/i);
-  if (majorMatch) {
-    const requiredSubject = majorMatch[1].toUpperCase();
-    const majorCheck = await db.query(
-      `
-      SELECT 1
-      FROM student_programs sp
-      JOIN programs p ON p.program_id = sp.program_id
-      WHERE sp.student_id = $1
-        AND p.type = 'MAJOR'
-        AND UPPER(SPLIT_PART(p.code, '-', 1)) = $2
-      `,
-      [studentId, requiredSubject]
-    );
-    if (majorCheck.rows.length === 0) {
-      return { satisfied: false, reason: `${requiredSubject} major required` };
-    }
+  if (String(existing.grade ?? '').toUpperCase() === 'W') {
+    return WITHDRAWN_SECTION_ERROR;
   }
+  return `Already ${existing.status} in this section`;
+}
 
-  // Check for standing requirements (e.g., "U3 or U4 standing")
-  const standingMatch = prereqLower.match(/(u[1-4])\s+or\s+(u[1-4])\s+standing/i);
-  if (standingMatch) {
-    const standing1 = standingMatch[1].toUpperCase();
-    const standing2 = standingMatch[2].toUpperCase();
-    
-    // Get student's current standing
-    const creditsRes = await db.query(
-      `
-      SELECT
-        COALESCE(SUM(CASE WHEN e.grade IS NOT NULL AND e.grade != 'I' THEN c.credits ELSE 0 END), 0) AS cumulative_credits
-      FROM enrollments e
-      JOIN class_sections cs ON cs.class_id = e.class_id
-      JOIN courses c ON c.course_id = cs.course_id
-      WHERE e.student_id = $1
-        AND e.status IN ('completed', 'registered')
-      `,
-      [studentId]
-    );
-    const cumulativeCredits = Number(creditsRes.rows[0]?.cumulative_credits || 0);
-    const currentStanding = computeClassStanding(cumulativeCredits);
-    
-    if (currentStanding !== standing1 && currentStanding !== standing2) {
-      return { satisfied: false, reason: `${standing1} or ${standing2} standing required (current: ${currentStanding})` };
-    }
-  } else {
-    // Check for single standing requirement (e.g., "U3 standing")
-    const singleStandingMatch = prereqLower.match(/(u[1-4])\s+standing/i);
-    if (singleStandingMatch) {
-      const requiredStanding = singleStandingMatch[1].toUpperCase();
-      
-      // Get student's current standing
-      const creditsRes = await db.query(
-        `
-        SELECT
-          COALESCE(SUM(CASE WHEN e.grade IS NOT NULL AND e.grade != 'I' THEN c.credits ELSE 0 END), 0) AS cumulative_credits
-        FROM enrollments e
-        JOIN class_sections cs ON cs.class_id = e.class_id
-        JOIN courses c ON c.course_id = cs.course_id
-        WHERE e.student_id = $1
-          AND e.status IN ('completed', 'registered')
-        `,
-        [studentId]
-      );
-      const cumulativeCredits = Number(creditsRes.rows[0]?.cumulative_credits || 0);
-      const currentStanding = computeClassStanding(cumulativeCredits);
-      
-      if (currentStanding !== requiredStanding) {
-        return { satisfied: false, reason: `${requiredStanding} standing required (current: ${currentStanding})` };
-      }
-    }
+/**
+ * Runs the /enroll checks against a section and inserts the enrollment:
+ * registered, or waitlisted when the section is full. Works on the caller's
+ * transaction and never rolls back itself, so single and batch registration
+ * can each decide what to undo.
+ *
+ * `pendingCourses` ("CSE 214" labels) count as registered this term for
+ * corequisites, so a batch can register a course together with its
+ * corequisite. With `allowWaitlist` off a full section fails instead of
+ * waitlisting.
+ *
+ * @returns {Promise<Object>} `{ ok: true, waitlisted, eRow, sectionCapacity }`,
+ *   or `{ ok: false, status, error, ...details }` for the first failed check
+ */
+async function attemptEnrollment(
+  client,
+  studentId,
+  secRow,
+  { isRegistrar = false, pendingCourses = null, allowWaitlist = true } = {}
+) {
+  const classId = secRow.class_id;
+  const termId = secRow.term_id;
+
+  const holds = await checkRegistrationHolds(client, studentId);
+  if (holds.length > 0) {
+    const holdTypes = holds.map((h) => h.hold_type).join(', ');
+    return {
+      ok: false,
+      status: 403,
+      error: `Registration blocked by holds: ${holdTypes}`,
+      holds: holds.map((h) => ({ type: h.hold_type, note: h.note })),
+    };
   }
 
-  // Parse prerequisite text into requirement groups for course prerequisites
-  // Semicolons separate AND groups, "or" separates OR groups within each AND group
-  const requirementGroups = parsePrerequisiteGroups(prerequisitesText);
-  
-  if (requirementGroups.length === 0) return { satisfied: true };
-
-  // Check each requirement group (AND logic - all groups must be satisfied)
-  for (const group of requirementGroups) {
-    const { minGrade, courseCodes } = group;
-    
-    // Within each group, check if at least one course is satisfied (OR logic)
-    let groupSatisfied = false;
-    let unsatisfiedCourses = [];
-    
-    for (const courseCode of courseCodes) {
-      // Check if course is completed with required grade (or waived)
-      const completed = await hasCompletedCourse(db, studentId, courseCode, minGrade || 'D');
-      const waived = await hasPrerequisiteWaiver(db, studentId, courseId, courseCode);
-      
-      if (completed || waived) {
-        groupSatisfied = true;
-        break; // At least one course in OR group is satisfied
-      } else {
-        unsatisfiedCourses.push(courseCode);
-      }
-    }
-    
-    // If no course in this OR group is satisfied, prerequisite check fails
-    if (!groupSatisfied) {
-      // Format error message based on whether there's a grade requirement
-      const gradeText = minGrade ? `${minGrade} or higher: ` : '';
-      const coursesText = courseCodes.length === 1 
-        ? courseCodes[0] 
-        : courseCodes.join(' or ');
-      return { 
-        satisfied: false, 
-        reason: `Prerequisite not satisfied: ${gradeText}${coursesText}` 
-      };
-    }
+  const enrollmentConflict = await findEnrollmentConflict(client, studentId, secRow);
+  if (enrollmentConflict) return { ok: false, status: 400, error: enrollmentConflict };
+
+  const repeatCheck = await checkRepeatLimit(client, studentId, secRow, termId);
+  if (!repeatCheck.allowed) {
+    return {
+      ok: false,
+      status: 400,
+      error: repeatCheck.reason,
+      repeatLimit: { priorAttempts: repeatCheck.priorAttempts, maxRepeats: repeatCheck.maxRepeats },
+    };
   }
 
-  // All requirement groups are satisfied
-  return { satisfied: true };
-}
+  const cumulativeCredits = await getCumulativeCredits(client, studentId);
+  const classStanding = computeClassStanding(cumulativeCredits);
 
-async function checkCorequisites(db, studentId, courseId, termId, corequisitesText) {
-  if (!corequisitesText || corequisitesText.trim() === '') return { satisfied: true };
+  const windowCheck = await checkRegistrationWindow(client, studentId, termId, classStanding, cumulativeCredits);
+  if (!windowCheck.allowed) return { ok: false, status: 403, error: windowCheck.reason };
 
-  const courseCodes = parseCourseCodes(corequisitesText);
-  if (courseCodes.length === 0) return { satisfied: true };
+  const prereqCheck = await checkPrerequisites(client, studentId, secRow);
+  if (!prereqCheck.satisfied) return { ok: false, status: 400, error: prereqCheck.reason };
 
-  for (const courseCode of courseCodes) {
-    const [subject, num] = courseCode.split(' ');
-    if (!subject || !num) continue;
+  const coreqCheck = await checkCorequisites(client, studentId, secRow, termId, pendingCourses);
+  if (!coreqCheck.satisfied) return { ok: false, status: 400, error: coreqCheck.reason };
 
-    const enrolledRes = await db.query(
-      `
-      SELECT 1
-      FROM enrollments e
-      JOIN class_sections cs ON cs.class_id = e.class_id
-      JOIN courses c ON c.course_id = cs.course_id
-      WHERE e.student_id = $1
-        AND cs.term_id = $2
-        AND UPPER(c.subject) = $3
-        AND c.course_num = $4
-        AND e.status = 'registered'
-    `,
-      [studentId, termId, subject.toUpperCase(), num]
-    );
+  const antiReqCheck = await checkAntiRequisites(client, studentId, secRow);
+  if (!antiReqCheck.satisfied) return { ok: false, status: 400, error: antiReqCheck.reason };
 
-    if (enrolledRes.rows.length === 0) {
-      return { satisfied: false, reason: `Corequisite required: ${courseCode} must be taken in the same term` };
+  const timeConflict = await checkTimeConflict(client, studentId, classId, termId);
+
+  if (timeConflict.hasConflict) {
+    const hasWaiver = await hasTimeConflictWaiver(client, studentId, classId, timeConflict.conflictingClass.classId);
+    if (!hasWaiver) {
+      return {
+        ok: false,
+        status: 400,
+        error: `Time conflict with ${timeConflict.conflictingClass.courseCode}. Time conflict waiver required.`,
+        timeConflict: {
+          newClassId: classId,
+          conflictingClassId: timeConflict.conflictingClass.classId,
+          conflictingCourseCode: timeConflict.conflictingClass.courseCode,
+        },
+      };
     }
   }
 
-  return { satisfied: true };
-}
+  const creditCheck = await checkCreditLimit(client, studentId, termId, secRow.credits);
+  if (!creditCheck.allowed) {
+    return {
+      ok: false,
+      status: 400,
+      error: creditCheck.reason,
+      creditLimit: {
+        termId,
+        currentCredits: creditCheck.currentCredits,
+        requestedCredits: creditCheck.totalCredits,
+        maxCredits: creditCheck.maxCredits,
+      },
+    };
+  }
+
+  const sectionCapacity = await getSectionCapacity(client, classId);
+  const isFull = sectionCapacity.registeredCount >= sectionCapacity.capacity;
 
-async function checkAntiRequisites(db, studentId, antiRequisitesText) {
-  if (!antiRequisitesText || antiRequisitesText.trim() === '') return { satisfied: true };
+  // An override only matters when the section is full, and is used up by this registration
+  const capacityOverride = isFull && !isRegistrar
+    ? await getActiveCapacityOverride(client, studentId, classId)
+    : null;
 
-  const courseCodes = parseCourseCodes(antiRequisitesText);
-  if (courseCodes.length === 0) return { satisfied: true };
+  if (isFull && !isRegistrar && !capacityOverride) {
+    if (!allowWaitlist) {
+      return { ok: false, status: 400, error: `Section ${secRow.section_num} is full` };
+    }
 
-  for (const courseCode of courseCodes) {
-    const [subject, num] = courseCode.split(' ');
-    if (!subject || !num) continue;
+    const waitlistStatus = await isWaitlistOpen(client, termId);
+    if (!waitlistStatus.open) {
+      return {
+        ok: false,
+        status: 400,
+        error: `Class is full and the waitlist for this term closed on ${waitlistStatus.closesOn}`,
+      };
+    }
 
-    const hasCreditRes = await db.query(
+    const waitlistPosition = await nextWaitlistPosition(client, classId);
+    const waitlistRes = await client.query(
       `
-      SELECT 1
-      FROM enrollments e
-      JOIN class_sections cs ON cs.class_id = e.class_id
-      JOIN courses c ON c.course_id = cs.course_id
-      WHERE e.student_id = $1
-        AND UPPER(c.subject) = $2
-        AND c.course_num = $3
-        AND e.status IN ('completed', 'registered')
-        AND (e.grade IS NULL OR e.grade IN ('P', 'A+', 'A', 'A-', 'B+', 'B', 'B-', 'C+', 'C', 'C-', 'D+', 'D', 'D-'))
+      INSERT INTO enrollments (class_id, student_id, status, enrolled_at, waitlist_position)
+      VALUES ($1, $2, 'waitlisted', NOW(), $3)
+      RETURNING class_id, student_id, status, grade, gpnc, credits, enrolled_at, waitlist_position
     `,
-      [studentId, subject.toUpperCase(), num]
+      [classId, studentId, waitlistPosition]
     );
 
-    if (hasCreditRes.rows.length > 0) {
-      return { satisfied: false, reason: `Anti-requisite: Cannot take this course if you have credit for ${courseCode}` };
-    }
+    return { ok: true, waitlisted: true, eRow: waitlistRes.rows[0], sectionCapacity };
   }
 
-  return { satisfied: true };
-}
-
-async function promoteWaitlistStudent(db, classId) {
-  const waitlistRes = await db.query(
-    `
-    SELECT e.student_id
-    FROM enrollments e
-    WHERE e.class_id = $1
-      AND e.status = 'waitlisted'
-    ORDER BY e.enrolled_at ASC NULLS LAST
-    LIMIT 1
-  `,
-    [classId]
-  );
-
-  if (waitlistRes.rows.length === 0) return null;
+  if (capacityOverride) {
+    const consumed = await consumeCapacityOverride(client, capacityOverride.override_id);
+    if (!consumed) return { ok: false, status: 409, error: 'Capacity override is no longer available' };
 
-  const { student_id } = waitlistRes.rows[0];
+    await createAuditLogEntry(client, {
+      studentId,
+      actionType: 'capacity_override_used',
+      actionDescription: `Capacity override used to register for ${secRow.subject} ${secRow.course_num} (Section ${secRow.section_num})`,
+      performedBy: studentId,
+      entityType: 'capacity_override',
+      entityId: capacityOverride.override_id,
+    });
+  }
 
-  await db.query(
+  const enrollRes = await client.query(
     `
-    UPDATE enrollments
-    SET status = 'registered'
-    WHERE class_id = $1
-      AND student_id = $2
-      AND status = 'waitlisted'
+    INSERT INTO enrollments (class_id, student_id, status, enrolled_at)
+    VALUES ($1, $2, 'registered', NOW())
+    RETURNING class_id, student_id, status, grade, gpnc, credits, enrolled_at
   `,
-    [classId, student_id]
+    [classId, studentId]
   );
 
-  return { enrollmentId: classId, studentId: student_id };
-}
-
-function buildScheduleText(row) {
-  const days = row.meeting_days || '';
-  const times = row.meeting_times || '';
-  const combined = `${days} ${times}`.trim();
-  if (combined) return combined;
-  if (row.location_text) return row.location_text;
-  return 'TBA';
+  return { ok: true, waitlisted: false, eRow: enrollRes.rows[0], sectionCapacity };
 }
 
 /**
- * Extract building and room from location text
+ * Registers every cart section on the caller's transaction. Each section is
+ * attempted under its own savepoint, so earlier cart sections count toward
+ * time conflicts and credit load for later ones, and corequisites may be
+ * satisfied by other sections in the same cart.
+ *
+ * Atomic submissions stop being worth committing at the first failure; partial
+ * submissions keep what registered, re-running the batch without any section
+ * whose corequisite partner failed.
+ *
+ * @returns {Promise<{submitted: boolean, results: Object[]}>}
+ */
+async function submitCartSections(client, studentId, secRows, { partial = false, isRegistrar = false } = {}) {
+  const excluded = new Map();
+  let attempts;
+
+  for (;;) {
+    await client.query('SAVEPOINT cart_submit');
+    const batch = secRows.filter((row) => !excluded.has(row.class_id));
+    const pendingCourses = new Set(batch.map((row) => `${String(row.subject).toUpperCase()} ${row.course_num}`));
+    attempts = new Map();
+
+    for (const secRow of batch) {
+      await client.query('SAVEPOINT cart_item');
+      let attempt;
+      try {
+        attempt = await attemptEnrollment(client, studentId, secRow, { isRegistrar, pendingCourses });
+      } catch (err) {
+        // A failed statement aborts the transaction; rolling back to the savepoint fails just this section
+        console.error('[registration/cart/submit] section', secRow.class_id, err);
+        attempt = { ok: false, status: 500, error: `Could not register for this section: ${err.message}` };
+      }
+      await client.query(attempt.ok ? 'RELEASE SAVEPOINT cart_item' : 'ROLLBACK TO SAVEPOINT cart_item');
+      attempts.set(secRow.class_id, attempt);
+    }
+
+    // Corequisites were checked against the whole batch; confirm them against what actually registered
+    const orphaned = [];
+    for (const secRow of batch) {
+      const attempt = attempts.get(secRow.class_id);
+      if (!attempt.ok || attempt.waitlisted) continue;
+      const coreqCheck = await checkCorequisites(client, studentId, secRow, secRow.term_id);
+      if (!coreqCheck.satisfied) orphaned.push([secRow.class_id, { ok: false, status: 400, error: coreqCheck.reason }]);
+    }
+
+    const failed = [...attempts].filter(([, attempt]) => !attempt.ok);
+    if (!partial || orphaned.length === 0) {
+      for (const [classId, attempt] of orphaned) attempts.set(classId, attempt);
+      await client.query('RELEASE SAVEPOINT cart_submit');
+      break;
+    }
+
+    for (const [classId, attempt] of [...failed, ...orphaned]) excluded.set(classId, attempt);
+    await client.query('ROLLBACK TO SAVEPOINT cart_submit');
+  }
+
+  for (const [classId, attempt] of excluded) attempts.set(classId, attempt);
+  const submitted = partial || [...attempts.values()].every((attempt) => attempt.ok);
+
+  const results = secRows.map((secRow) => {
+    const attempt = attempts.get(secRow.class_id);
+    const result = {
+      classId: secRow.class_id,
+      courseCode: `${secRow.subject} ${secRow.course_num}`,
+      sectionNum: secRow.section_num,
+    };
+    if (!attempt.ok) return { ...result, status: 'failed', error: attempt.error };
+    if (!submitted) return { ...result, status: 'not_submitted', error: 'Not registered because other cart sections failed' };
+    return {
+      ...result,
+      status: attempt.waitlisted ? 'waitlisted' : 'registered',
+      waitlistPosition: attempt.eRow.waitlist_position ?? null,
+    };
+  });
+
+  return { submitted, results };
+}
+
+function buildScheduleText(row) {
+  const days = row.meeting_days || '';
+  const times = row.meeting_times || '';
+  const combined = `${days} ${times}`.trim();
+  if (combined) return combined;
+  if (row.location_text) return row.location_text;
+  return 'TBA';
+}
+
+/**
+ * Extract building and room from location text
  * (used to clean location_text that may contain instructor names)
  * Examples: "MELVILLE LBRW4550" -> {building: "MELVILLE", room: "LBRW4550"}
  *           "HUMANITIES 1006Ryan Kaufman" -> {building: "HUMANITIES", room: "1006"}
@@ -1013,7 +1099,7 @@ router.get('/init', async (req, res) => {
         cs.class_id,
         cs.term_id,
         cs.section_num,
-        cs.capacity,
+        LEAST(cs.capacity, COALESCE(r.capacity, cs.capacity)) AS capacity,
         cs.location_text,
         cs.meeting_days,
         cs.meeting_times,
@@ -1060,7 +1146,7 @@ router.get('/init', async (req, res) => {
       GROUP BY cs.class_id, cs.term_id, cs.section_num, cs.capacity, cs.location_text,
                cs.meeting_days, cs.meeting_times, cs.instructor_id,
                c.subject, c.course_num, c.title, c.credits,
-               t.semester, t.year, r.building, r.room,
+               t.semester, t.year, r.building, r.room, r.capacity,
                u.first_name, u.last_name
       ORDER BY t.year DESC, t.semester ASC, c.subject, c.course_num, cs.section_num
     ` : `
@@ -1068,7 +1154,7 @@ router.get('/init', async (req, res) => {
         cs.class_id,
         cs.term_id,
         cs.section_num,
-        cs.capacity,
+        LEAST(cs.capacity, COALESCE(r.capacity, cs.capacity)) AS capacity,
         cs.location_text,
         cs.meeting_days,
         cs.meeting_times,
@@ -1304,10 +1390,8 @@ router.post('/enroll', async (req, res) => {
   const { classId } = req.body;
   if (!classId) return res.status(400).json({ ok: false, error: 'Missing classId' });
 
-  const client = req.db;
-
   // Check if class_section_instructors junction table exists
-  const tableCheck = await client.query(`
+  const tableCheck = await req.db.query(`
     SELECT EXISTS (
       SELECT FROM information_schema.tables 
       WHERE table_schema = 'public' 
@@ -1316,208 +1400,33 @@ router.post('/enroll', async (req, res) => {
   `);
   const hasJunctionTable = tableCheck.rows[0]?.table_exists === true;
 
+  const client = await req.db.connect();
+
   try {
     await client.query('BEGIN');
 
-    const holds = await checkRegistrationHolds(client, studentId);
-    if (holds.length > 0) {
-      await client.query('ROLLBACK');
-      const holdTypes = holds.map((h) => h.hold_type).join(', ');
-      return res.status(403).json({
-        ok: false,
-        error: `Registration blocked by holds: ${holdTypes}`,
-        holds: holds.map((h) => ({ type: h.hold_type, note: h.note })),
-      });
-    }
-
-    const secRes = await client.query(
-      `
-      SELECT
-        cs.*,
-        c.course_id,
-        c.subject,
-        c.course_num,
-        c.prerequisites,
-        c.corequisites,
-        c.anti_requisites,
-        c.credits,
-        t.term_id,
-        t.semester,
-        t.year
-      FROM class_sections cs
-      JOIN courses c ON c.course_id = cs.course_id
-      JOIN terms t ON t.term_id = cs.term_id
-      WHERE cs.class_id = $1
-      FOR UPDATE
-    `,
-      [classId]
-    );
-
-    if (secRes.rows.length === 0) {
+    const secRow = await fetchEnrollSection(client, classId, { forUpdate: true });
+    if (!secRow) {
       await client.query('ROLLBACK');
       return res.status(404).json({ ok: false, error: 'Section not found' });
     }
 
-    const secRow = secRes.rows[0];
-    const termId = secRow.term_id;
-
-    console.log('[enroll] Section details from database:', {
-      class_id: secRow.class_id,
-      course: `${secRow.subject} ${secRow.course_num}`,
-      section_num: secRow.section_num,
-      term_id: termId,
-      meeting_days: secRow.meeting_days,
-      meeting_days_type: typeof secRow.meeting_days,
-      meeting_days_is_null: secRow.meeting_days === null,
-      meeting_days_value: JSON.stringify(secRow.meeting_days),
-      meeting_times: secRow.meeting_times,
-      meeting_times_type: typeof secRow.meeting_times,
-      meeting_times_is_null: secRow.meeting_times === null,
-      meeting_times_value: JSON.stringify(secRow.meeting_times),
-    });
-
-    const sameCourseRes = await client.query(
-      `
-      SELECT cs2.class_id, cs2.section_num
-      FROM enrollments e
-      JOIN class_sections cs2 ON cs2.class_id = e.class_id
-      WHERE e.student_id = $1
-        AND cs2.course_id = $2
-        AND cs2.term_id = $3
-        AND e.status = 'registered'
-    `,
-      [studentId, secRow.course_id, termId]
-    );
-
-    if (sameCourseRes.rows.length > 0) {
-      await client.query('ROLLBACK');
-      const existing = sameCourseRes.rows[0];
-      return res.status(400).json({
-        ok: false,
-        error: `Already registered for another section of this course (Section ${existing.section_num})`,
-      });
-    }
-
-    const studentRes = await client.query(
-      `
-      SELECT
-        COALESCE(SUM(CASE WHEN e.grade IS NOT NULL AND e.grade != 'I' THEN c.credits ELSE 0 END), 0) AS cumulative_credits
-      FROM enrollments e
-      JOIN class_sections cs ON cs.class_id = e.class_id
-      JOIN courses c ON c.course_id = cs.course_id
-      WHERE e.student_id = $1
-        AND e.status IN ('completed', 'registered')
-    `,
-      [studentId]
-    );
-
-    const cumulativeCredits = Number(studentRes.rows[0]?.cumulative_credits || 0);
-    const classStanding = computeClassStanding(cumulativeCredits);
-
-    const windowCheck = await checkRegistrationWindow(client, studentId, termId, classStanding, cumulativeCredits);
-    if (!windowCheck.allowed) {
-      await client.query('ROLLBACK');
-      return res.status(403).json({ ok: false, error: windowCheck.reason });
-    }
-
-    const prereqCheck = await checkPrerequisites(client, studentId, secRow.course_id, secRow.prerequisites || '');
-    if (!prereqCheck.satisfied) {
-      await client.query('ROLLBACK');
-      return res.status(400).json({ ok: false, error: prereqCheck.reason });
-    }
-
-    const coreqCheck = await checkCorequisites(client, studentId, secRow.course_id, termId, secRow.corequisites || '');
-    if (!coreqCheck.satisfied) {
-      await client.query('ROLLBACK');
-      return res.status(400).json({ ok: false, error: coreqCheck.reason });
-    }
-
-    const antiReqCheck = await checkAntiRequisites(client, studentId, secRow.anti_requisites || '');
-    if (!antiReqCheck.satisfied) {
+    const attempt = await attemptEnrollment(client, studentId, secRow, { isRegistrar: userRole === 'Registrar' });
+    if (!attempt.ok) {
       await client.query('ROLLBACK');
-      return res.status(400).json({ ok: false, error: antiReqCheck.reason });
-    }
-
-    console.log('[enroll] About to check time conflict for:', {
-      studentId,
-      classId,
-      termId,
-      course: `${secRow.subject} ${secRow.course_num}`,
-      section: secRow.section_num,
-      meeting_days: secRow.meeting_days,
-      meeting_times: secRow.meeting_times
-    });
-
-    const timeConflict = await checkTimeConflict(client, studentId, classId, termId);
-    
-    console.log('[enroll] Time conflict check result:', {
-      hasConflict: timeConflict.hasConflict,
-      conflictingClass: timeConflict.conflictingClass
-    });
-
-    if (timeConflict.hasConflict) {
-      const hasWaiver = await hasTimeConflictWaiver(client, studentId, classId, timeConflict.conflictingClass.classId);
-      console.log('[enroll] Time conflict waiver check:', {
-        hasWaiver,
-        classId1: classId,
-        classId2: timeConflict.conflictingClass.classId
-      });
-      if (!hasWaiver) {
-        await client.query('ROLLBACK');
-        console.log('[enroll] Time conflict detected, no waiver - blocking enrollment');
-        return res.status(400).json({
-          ok: false,
-          error: `Time conflict with ${timeConflict.conflictingClass.courseCode}. Time conflict waiver required.`,
-          timeConflict: {
-            newClassId: classId,
-            conflictingClassId: timeConflict.conflictingClass.classId,
-            conflictingCourseCode: timeConflict.conflictingClass.courseCode,
-          },
-        });
-      }
-      console.log('[enroll] Time conflict detected but waiver exists - allowing enrollment');
+      const { status, ...body } = attempt;
+      return res.status(status).json(body);
     }
 
-    const countRes = await client.query(
-      `
-      SELECT COUNT(*) AS registered_count
-      FROM enrollments
-      WHERE class_id = $1
-      AND status = 'registered'
-    `,
-      [classId]
-    );
-
-    const registeredCount = Number(countRes.rows[0].registered_count);
-    const isRegistrar = userRole === 'Registrar';
-
-    const overrideRes = await client.query(
-      `
-      SELECT 1 FROM capacity_overrides
-      WHERE student_user_id = $1 AND class_id = $2
-    `,
-      [studentId, classId]
-    );
-    const hasCapacityOverride = overrideRes.rows.length > 0;
-
-    if (registeredCount >= secRow.capacity && !isRegistrar && !hasCapacityOverride) {
-      const waitlistRes = await client.query(
-        `
-        INSERT INTO enrollments (class_id, student_id, status, enrolled_at)
-        VALUES ($1, $2, 'waitlisted', NOW())
-        RETURNING class_id, student_id, status, grade, gpnc, credits, enrolled_at
-      `,
-        [classId, studentId]
-      );
-
-      const eRow = waitlistRes.rows[0];
+    const { eRow, sectionCapacity } = attempt;
 
+    if (attempt.waitlisted) {
       const metaResSql = hasJunctionTable ? `
         SELECT
           cs.class_id,
           cs.term_id,
           cs.section_num,
-          cs.capacity,
+          LEAST(cs.capacity, COALESCE(r.capacity, cs.capacity)) AS capacity,
           cs.location_text,
           cs.meeting_days,
           cs.meeting_times,
@@ -1558,14 +1467,14 @@ router.post('/enroll', async (req, res) => {
         GROUP BY cs.class_id, cs.term_id, cs.section_num, cs.capacity, cs.location_text,
                  cs.meeting_days, cs.meeting_times, cs.instructor_id,
                  c.subject, c.course_num, c.title, c.credits,
-                 t.semester, t.year, r.building, r.room,
+                 t.semester, t.year, r.building, r.room, r.capacity,
                  u.first_name, u.last_name
       ` : `
         SELECT
           cs.class_id,
           cs.term_id,
           cs.section_num,
-          cs.capacity,
+          LEAST(cs.capacity, COALESCE(r.capacity, cs.capacity)) AS capacity,
           cs.location_text,
           cs.meeting_days,
           cs.meeting_times,
@@ -1621,7 +1530,7 @@ router.post('/enroll', async (req, res) => {
       return res.json({
         ok: true,
         waitlisted: true,
-        message: 'Class is full. Added to waitlist.',
+        message: `Class is full. Added to waitlist at position ${eRow.waitlist_position}.`,
         enrollment: {
           enrollmentId: eRow.class_id,
           classId: eRow.class_id,
@@ -1641,6 +1550,7 @@ router.post('/enroll', async (req, res) => {
           gpnc: eRow.gpnc,
           enrollmentCredits: eRow.credits != null ? Number(eRow.credits) : null,
           enrolledAt: eRow.enrolled_at,
+          waitlistPosition: eRow.waitlist_position,
         },
         updatedSection: {
           classId: row.class_id,
@@ -1648,7 +1558,7 @@ router.post('/enroll', async (req, res) => {
           termLabel,
           sectionNum: row.section_num,
           capacity: row.capacity,
-          enrolledCount: registeredCount,
+          enrolledCount: sectionCapacity.registeredCount,
           courseCode: `${row.subject} ${row.course_num}`,
           courseTitle: row.course_title,
           credits: Number(row.credits),
@@ -1661,17 +1571,6 @@ router.post('/enroll', async (req, res) => {
       });
     }
 
-    const enrollRes = await client.query(
-      `
-      INSERT INTO enrollments (class_id, student_id, status, enrolled_at)
-      VALUES ($1, $2, 'registered', NOW())
-      RETURNING class_id, student_id, status, grade, gpnc, credits, enrolled_at
-    `,
-      [classId, studentId]
-    );
-
-    const eRow = enrollRes.rows[0];
-
     const countAfterRes = await client.query(
       `
       SELECT COUNT(*) AS registered_count
@@ -1688,7 +1587,7 @@ router.post('/enroll', async (req, res) => {
         cs.class_id,
         cs.term_id,
         cs.section_num,
-        cs.capacity,
+        LEAST(cs.capacity, COALESCE(r.capacity, cs.capacity)) AS capacity,
         cs.location_text,
         cs.meeting_days,
         cs.meeting_times,
@@ -1729,14 +1628,14 @@ router.post('/enroll', async (req, res) => {
       GROUP BY cs.class_id, cs.term_id, cs.section_num, cs.capacity, cs.location_text,
                cs.meeting_days, cs.meeting_times, cs.instructor_id,
                c.subject, c.course_num, c.title, c.credits,
-               t.semester, t.year, r.building, r.room,
+               t.semester, t.year, r.building, r.room, r.capacity,
                u.first_name, u.last_name
     ` : `
       SELECT
         cs.class_id,
         cs.term_id,
         cs.section_num,
-        cs.capacity,
+        LEAST(cs.capacity, COALESCE(r.capacity, cs.capacity)) AS capacity,
         cs.location_text,
         cs.meeting_days,
         cs.meeting_times,
@@ -1819,103 +1718,439 @@ router.post('/enroll', async (req, res) => {
     } catch (_) {}
     console.error('[registration/enroll]', err);
     res.status(500).json({ ok: false, error: err.message });
+  } finally {
+    client.release();
   }
 });
 
-router.post('/withdraw', async (req, res) => {
+/**
+ * Dry run of POST /enroll: runs every check for the section and returns all
+ * results instead of stopping at the first failure. Nothing is written.
+ */
+router.post('/enroll/preview', async (req, res) => {
   const studentId = getStudentId(req);
-  const { enrollmentId } = req.body;
+  const userRole = getUserRole(req);
 
   if (!studentId) return res.status(401).json({ ok: false, error: 'Not authenticated' });
-  if (!enrollmentId) return res.status(400).json({ ok: false, error: 'Missing enrollmentId' });
-
-  const classId = enrollmentId;
-  const client = req.db;
 
-  // Check if class_section_instructors junction table exists
-  const tableCheck = await client.query(`
-    SELECT EXISTS (
-      SELECT FROM information_schema.tables 
-      WHERE table_schema = 'public' 
-      AND table_name = 'class_section_instructors'
-    ) AS table_exists
-  `);
-  const hasJunctionTable = tableCheck.rows[0]?.table_exists === true;
+  const { classId } = req.body;
+  if (!classId) return res.status(400).json({ ok: false, error: 'Missing classId' });
 
   try {
-    await client.query('BEGIN');
+    const secRow = await fetchEnrollSection(req.db, classId);
+    if (!secRow) return res.status(404).json({ ok: false, error: 'Section not found' });
 
-    const enrRes = await client.query(
+    const { outcome, checks, seatsLeft } = await buildEnrollmentPreview(req.db, studentId, secRow, {
+      isRegistrar: userRole === 'Registrar',
+    });
+
+    return res.json({
+      ok: true,
+      classId: secRow.class_id,
+      termId: secRow.term_id,
+      courseCode: `${secRow.subject} ${secRow.course_num}`,
+      sectionNum: secRow.section_num,
+      seatsLeft,
+      canRegister: outcome !== 'blocked',
+      outcome,
+      checks,
+    });
+  } catch (err) {
+    console.error('[registration/enroll/preview]', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// Cart sections for a term (or every term when termId is omitted)
+router.get('/cart', async (req, res) => {
+  const studentId = getStudentId(req);
+  if (!studentId) return res.status(401).json({ ok: false, error: 'Not authenticated' });
+
+  const { termId } = req.query;
+
+  try {
+    const { rows } = await req.db.query(
       `
-      SELECT class_id, status
-      FROM enrollments
-      WHERE class_id = $1 AND student_id = $2
-      LIMIT 1
+      SELECT
+        rci.class_id,
+        rci.term_id,
+        rci.added_at,
+        cs.section_num,
+        cs.meeting_days,
+        cs.meeting_times,
+        cs.location_text,
+        c.subject,
+        c.course_num,
+        c.title AS course_title,
+        c.credits
+      FROM registration_cart_items rci
+      JOIN class_sections cs ON cs.class_id = rci.class_id
+      JOIN courses c ON c.course_id = cs.course_id
+      WHERE rci.student_user_id = $1
+        AND ($2::int IS NULL OR rci.term_id = $2::int)
+      ORDER BY rci.added_at, rci.class_id
     `,
-      [classId, studentId]
+      [studentId, termId || null]
     );
 
-    if (enrRes.rows.length === 0) {
-      await client.query('ROLLBACK');
-      return res.status(404).json({ ok: false, error: 'Enrollment not found' });
-    }
+    const cart = rows.map((row) => ({
+      classId: row.class_id,
+      termId: row.term_id,
+      courseCode: `${row.subject} ${row.course_num}`,
+      courseTitle: row.course_title,
+      sectionNum: row.section_num,
+      credits: Number(row.credits),
+      scheduleText: buildScheduleText(row),
+      addedAt: row.added_at,
+    }));
 
-    const { class_id, status } = enrRes.rows[0];
+    return res.json({
+      ok: true,
+      cart,
+      totalCredits: cart.reduce((sum, item) => sum + (item.credits || 0), 0),
+    });
+  } catch (err) {
+    console.error('[registration/cart]', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
 
-    if (status !== 'registered') {
-      await client.query('ROLLBACK');
-      return res.status(400).json({ ok: false, error: 'Can only withdraw registered enrollments' });
-    }
+// Sections can be added before the registration window opens; checks run at submission
+router.post('/cart', async (req, res) => {
+  const studentId = getStudentId(req);
+  if (!studentId) return res.status(401).json({ ok: false, error: 'Not authenticated' });
 
-    const secRes = await client.query(
+  const { classId } = req.body;
+  if (!classId) return res.status(400).json({ ok: false, error: 'Missing classId' });
+
+  try {
+    const secRow = await fetchEnrollSection(req.db, classId);
+    if (!secRow) return res.status(404).json({ ok: false, error: 'Section not found' });
+
+    // Any row in the section, including a W kept after withdrawal, rules it out
+    const enrolledRes = await req.db.query(
       `
-      SELECT *
-      FROM class_sections
-      WHERE class_id = $1
-      FOR UPDATE
+      SELECT status, grade FROM enrollments
+      WHERE student_id = $1
+        AND class_id = $2
     `,
-      [class_id]
+      [studentId, classId]
     );
-
-    if (secRes.rows.length === 0) {
-      await client.query('ROLLBACK');
-      return res.status(404).json({ ok: false, error: 'Section not found' });
+    if (enrolledRes.rows.length > 0) {
+      const existing = enrolledRes.rows[0];
+      return res.status(400).json({
+        ok: false,
+        error: String(existing.grade ?? '').toUpperCase() === 'W'
+          ? WITHDRAWN_SECTION_ERROR
+          : `Already ${existing.status} in this section`,
+      });
     }
 
-    const secRow = secRes.rows[0];
-
-    await client.query(
+    const sameCourseRes = await req.db.query(
       `
-      DELETE FROM enrollments
-      WHERE class_id = $1 AND student_id = $2
+      SELECT cs.section_num
+      FROM registration_cart_items rci
+      JOIN class_sections cs ON cs.class_id = rci.class_id
+      WHERE rci.student_user_id = $1
+        AND cs.course_id = $2
+        AND rci.term_id = $3
+        AND rci.class_id <> $4
     `,
-      [class_id, studentId]
+      [studentId, secRow.course_id, secRow.term_id, classId]
     );
+    if (sameCourseRes.rows.length > 0) {
+      return res.status(400).json({
+        ok: false,
+        error: `Another section of this course (Section ${sameCourseRes.rows[0].section_num}) is already in your cart`,
+      });
+    }
 
-    const countAfterRes = await client.query(
+    await req.db.query(
       `
-      SELECT COUNT(*) AS registered_count
-      FROM enrollments
-      WHERE class_id = $1
-      AND status = 'registered'
+      INSERT INTO registration_cart_items (student_user_id, class_id, term_id, added_at)
+      VALUES ($1, $2, $3, NOW())
+      ON CONFLICT (student_user_id, class_id) DO NOTHING
     `,
-      [class_id]
+      [studentId, classId, secRow.term_id]
     );
 
-    const newCount = Number(countAfterRes.rows[0].registered_count);
+    return res.json({
+      ok: true,
+      message: `${secRow.subject} ${secRow.course_num} (Section ${secRow.section_num}) added to your cart`,
+    });
+  } catch (err) {
+    console.error('[registration/cart]', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
 
-    let promotedStudent = null;
-    if (newCount < secRow.capacity) {
-      promotedStudent = await promoteWaitlistStudent(client, class_id);
+router.delete('/cart/:classId', async (req, res) => {
+  const studentId = getStudentId(req);
+  if (!studentId) return res.status(401).json({ ok: false, error: 'Not authenticated' });
+
+  try {
+    const result = await req.db.query(
+      `
+      DELETE FROM registration_cart_items
+      WHERE student_user_id = $1
+        AND class_id = $2
+      RETURNING class_id
+    `,
+      [studentId, req.params.classId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ ok: false, error: 'Section is not in your cart' });
     }
 
-    const metaResSql = hasJunctionTable ? `
-      SELECT
-        cs.class_id,
-        cs.term_id,
-        cs.section_num,
-        cs.capacity,
-        cs.location_text,
+    return res.json({ ok: true, message: 'Section removed from your cart' });
+  } catch (err) {
+    console.error('[registration/cart/:classId]', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+/**
+ * Registers the term's cart as a batch. The default mode is atomic: every
+ * section registers (or waitlists) or none do. mode = 'partial' registers
+ * whatever passes. Registered and waitlisted sections leave the cart.
+ */
+router.post('/cart/submit', async (req, res) => {
+  const studentId = getStudentId(req);
+  const userRole = getUserRole(req);
+  if (!studentId) return res.status(401).json({ ok: false, error: 'Not authenticated' });
+
+  const { termId, mode = 'atomic' } = req.body;
+  if (!termId) return res.status(400).json({ ok: false, error: 'Missing termId' });
+  if (!['atomic', 'partial'].includes(mode)) {
+    return res.status(400).json({ ok: false, error: "mode must be 'atomic' or 'partial'" });
+  }
+
+  const client = await req.db.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Lock sections in class_id order so concurrent submissions can't deadlock
+    const cartRes = await client.query(
+      `
+      SELECT class_id
+      FROM registration_cart_items
+      WHERE student_user_id = $1
+        AND term_id = $2
+      ORDER BY class_id
+    `,
+      [studentId, termId]
+    );
+    if (cartRes.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ ok: false, error: 'Your cart for this term is empty' });
+    }
+
+    const secRows = [];
+    for (const { class_id } of cartRes.rows) {
+      const secRow = await fetchEnrollSection(client, class_id, { forUpdate: true });
+      if (secRow) secRows.push(secRow);
+    }
+
+    const { submitted, results } = await submitCartSections(client, studentId, secRows, {
+      partial: mode === 'partial',
+      isRegistrar: userRole === 'Registrar',
+    });
+    const failedCount = results.filter((r) => r.status === 'failed').length;
+
+    if (!submitted) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        ok: false,
+        error: `Cart not submitted: ${failedCount} of ${results.length} section(s) failed registration checks`,
+        results,
+      });
+    }
+
+    const doneIds = results.filter((r) => r.status !== 'failed').map((r) => r.classId);
+    if (doneIds.length > 0) {
+      await client.query(
+        `
+        DELETE FROM registration_cart_items
+        WHERE student_user_id = $1
+          AND class_id = ANY($2::int[])
+      `,
+        [studentId, doneIds]
+      );
+    }
+
+    await client.query('COMMIT');
+
+    return res.json({
+      ok: true,
+      mode,
+      registeredCount: results.filter((r) => r.status === 'registered').length,
+      waitlistedCount: results.filter((r) => r.status === 'waitlisted').length,
+      failedCount,
+      results,
+    });
+  } catch (err) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (_) {}
+    console.error('[registration/cart/submit]', err);
+    res.status(500).json({ ok: false, error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * Withdraws from a registered section. What happens depends on the term's
+ * academic calendar (getWithdrawalPhase): through late_registration_ends the
+ * enrollment is deleted; through course_withdrawal_ends it is kept with a W
+ * grade; after that only a registrar may withdraw a student, by passing
+ * `override: true`, which records a W and an audit entry.
+ */
+router.post('/withdraw', async (req, res) => {
+  const isRegistrar = getUserRole(req) === 'Registrar';
+  const { enrollmentId, override = false } = req.body;
+  const studentId = isRegistrar && req.body.studentId ? Number(req.body.studentId) : getStudentId(req);
+
+  if (!studentId) return res.status(401).json({ ok: false, error: 'Not authenticated' });
+  if (!enrollmentId) return res.status(400).json({ ok: false, error: 'Missing enrollmentId' });
+
+  const classId = enrollmentId;
+
+  // Check if class_section_instructors junction table exists
+  const tableCheck = await req.db.query(`
+    SELECT EXISTS (
+      SELECT FROM information_schema.tables 
+      WHERE table_schema = 'public' 
+      AND table_name = 'class_section_instructors'
+    ) AS table_exists
+  `);
+  const hasJunctionTable = tableCheck.rows[0]?.table_exists === true;
+
+  const client = await req.db.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const enrRes = await client.query(
+      `
+      SELECT class_id, status, grade
+      FROM enrollments
+      WHERE class_id = $1 AND student_id = $2
+      LIMIT 1
+    `,
+      [classId, studentId]
+    );
+
+    if (enrRes.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ ok: false, error: 'Enrollment not found' });
+    }
+
+    const { class_id, status, grade: oldGrade } = enrRes.rows[0];
+
+    if (status !== 'registered') {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ ok: false, error: 'Can only withdraw registered enrollments' });
+    }
+
+    const secRes = await client.query(
+      `
+      SELECT *
+      FROM class_sections
+      WHERE class_id = $1
+      FOR UPDATE
+    `,
+      [class_id]
+    );
+
+    if (secRes.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ ok: false, error: 'Section not found' });
+    }
+
+    const secRow = secRes.rows[0];
+
+    const calendar = await getTermCalendar(client, secRow.term_id);
+    const phase = getWithdrawalPhase(calendar);
+
+    if (phase === 'closed' && !(isRegistrar && override)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        ok: false,
+        error: `The course withdrawal deadline (${calendar.courseWithdrawalEnds}) has passed. A registrar override is required.`,
+        deadline: calendar.courseWithdrawalEnds,
+      });
+    }
+
+    const outcome = phase === 'drop' ? 'dropped' : 'withdrawn';
+
+    if (outcome === 'dropped') {
+      await client.query(
+        `
+        DELETE FROM enrollments
+        WHERE class_id = $1 AND student_id = $2
+      `,
+        [class_id, studentId]
+      );
+    } else {
+      await client.query(
+        `
+        UPDATE enrollments
+        SET status = 'completed', grade = 'W', waitlist_position = NULL, updated_at = NOW()
+        WHERE class_id = $1 AND student_id = $2
+      `,
+        [class_id, studentId]
+      );
+      await recordGradeHistory(client, {
+        classId: Number(class_id),
+        studentId,
+        oldGrade,
+        newGrade: 'W',
+        source: 'withdraw',
+        changedBy: getStudentId(req),
+      });
+
+      await createAuditLogEntry(client, {
+        studentId,
+        actionType: phase === 'closed' ? 'withdrawal_override' : 'course_withdrawal',
+        actionDescription: phase === 'closed'
+          ? `Registrar withdrew student from class ${class_id} (Section ${secRow.section_num}) after the withdrawal deadline; W recorded`
+          : `Withdrew from class ${class_id} (Section ${secRow.section_num}); W recorded`,
+        performedBy: getStudentId(req),
+        entityType: 'class_section',
+        entityId: Number(class_id),
+      });
+    }
+
+    const countAfterRes = await client.query(
+      `
+      SELECT COUNT(*) AS registered_count
+      FROM enrollments
+      WHERE class_id = $1
+      AND status = 'registered'
+    `,
+      [class_id]
+    );
+
+    let newCount = Number(countAfterRes.rows[0].registered_count);
+
+    const { capacity } = await getSectionCapacity(client, class_id);
+
+    let promotedStudent = null;
+    if (newCount < capacity) {
+      const waitlistResult = await processSectionWaitlist(client, class_id);
+      promotedStudent = waitlistResult.promoted[0] ?? null;
+      newCount += waitlistResult.promoted.length;
+    }
+
+    const metaResSql = hasJunctionTable ? `
+      SELECT
+        cs.class_id,
+        cs.term_id,
+        cs.section_num,
+        LEAST(cs.capacity, COALESCE(r.capacity, cs.capacity)) AS capacity,
+        cs.location_text,
         cs.meeting_days,
         cs.meeting_times,
         cs.instructor_id,
@@ -1955,14 +2190,14 @@ router.post('/withdraw', async (req, res) => {
       GROUP BY cs.class_id, cs.term_id, cs.section_num, cs.capacity, cs.location_text,
                cs.meeting_days, cs.meeting_times, cs.instructor_id,
                c.subject, c.course_num, c.title, c.credits,
-               t.semester, t.year, r.building, r.room,
+               t.semester, t.year, r.building, r.room, r.capacity,
                u.first_name, u.last_name
     ` : `
       SELECT
         cs.class_id,
         cs.term_id,
         cs.section_num,
-        cs.capacity,
+        LEAST(cs.capacity, COALESCE(r.capacity, cs.capacity)) AS capacity,
         cs.location_text,
         cs.meeting_days,
         cs.meeting_times,
@@ -2000,11 +2235,15 @@ router.post('/withdraw', async (req, res) => {
     const scheduleText = buildScheduleText(row);
     const roomLabel = row.building && row.room ? `${row.building} ${row.room}` : '';
 
+    const withdrawnLabel = outcome === 'withdrawn' ? 'Withdrawn with a W grade' : 'Withdrawn';
+
     return res.json({
       ok: true,
+      outcome,
+      grade: outcome === 'withdrawn' ? 'W' : null,
       message: promotedStudent
-        ? 'Withdrawn. Waitlist student automatically promoted.'
-        : 'Withdrawn successfully',
+        ? `${withdrawnLabel}. Waitlist student automatically promoted.`
+        : outcome === 'withdrawn' ? withdrawnLabel : 'Withdrawn successfully',
       promotedStudent: promotedStudent ? { studentId: promotedStudent.studentId } : null,
       updatedSection: {
         classId: row.class_id,
@@ -2027,101 +2266,320 @@ router.post('/withdraw', async (req, res) => {
     } catch (_) {}
     console.error('[registration/withdraw]', err);
     res.status(500).json({ ok: false, error: err.message });
+  } finally {
+    client.release();
   }
 });
 
-router.post('/holds', async (req, res) => {
+/**
+ * Moves a registration to another section of the same course in one
+ * transaction. The old enrollment is removed first so the new section's
+ * checks ignore it (same course, time conflicts, credit load); if the new
+ * section fails any check everything rolls back and the original seat is
+ * kept. The freed seat then goes to the old section's waitlist.
+ */
+router.post('/swap', async (req, res) => {
+  const studentId = getStudentId(req);
   const userRole = getUserRole(req);
-  const userId = req.user?.user_id ?? req.user?.userId ?? null;
-
-  if (!['Registrar', 'Advisor'].includes(userRole)) {
-    return res.status(403).json({ ok: false, error: 'Only registrars and advisors can place holds' });
-  }
 
-  const { studentId, holdType, note } = req.body;
+  if (!studentId) return res.status(401).json({ ok: false, error: 'Not authenticated' });
 
-  if (!studentId || !holdType) {
-    return res.status(400).json({ ok: false, error: 'studentId and holdType are required' });
+  const { fromClassId, toClassId } = req.body;
+  if (!fromClassId || !toClassId) {
+    return res.status(400).json({ ok: false, error: 'fromClassId and toClassId are required' });
   }
-
-  const validHoldTypes = ['academic_advising', 'financial', 'disciplinary', 'other'];
-  if (!validHoldTypes.includes(holdType)) {
-    return res.status(400).json({ ok: false, error: `Invalid holdType. Must be one of: ${validHoldTypes.join(', ')}` });
+  if (String(fromClassId) === String(toClassId)) {
+    return res.status(400).json({ ok: false, error: 'Choose a different section to swap into' });
   }
 
+  const client = await req.db.connect();
+
   try {
-    // Check authorization for academic advising holds
-    if (holdType === 'academic_advising' && userRole === 'Advisor') {
-      console.log('[registration/holds] Checking authorization for advisor:', {
-        advisorId: userId,
-        studentId: studentId,
-        holdType: holdType
-      });
-      const canPlace = await canAdvisorPlaceHold(req.db, userId, studentId);
-      console.log('[registration/holds] Authorization result:', { canPlace, advisorId: userId, studentId });
-      if (!canPlace) {
-        return res.status(403).json({ 
-          ok: false, 
-          error: 'You are not authorized to place academic advising holds on this student. Academic advising holds can only be placed on students in your scope (university/college/department).' 
-        });
-      }
+    await client.query('BEGIN');
+
+    // Lock both sections in class_id order so opposing swaps can't deadlock
+    const [firstId, secondId] = [fromClassId, toClassId].sort((a, b) => Number(a) - Number(b));
+    const first = await fetchEnrollSection(client, firstId, { forUpdate: true });
+    const second = await fetchEnrollSection(client, secondId, { forUpdate: true });
+    const fromSection = String(first?.class_id) === String(fromClassId) ? first : second;
+    const toSection = String(first?.class_id) === String(toClassId) ? first : second;
+
+    if (!fromSection || !toSection) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ ok: false, error: 'Section not found' });
+    }
+    if (fromSection.course_id !== toSection.course_id || fromSection.term_id !== toSection.term_id) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ ok: false, error: 'Can only swap between sections of the same course and term' });
     }
 
-    // Advisors can place all types of holds (financial, disciplinary, other, and academic_advising if authorized)
+    const dropRes = await client.query(
+      `
+      DELETE FROM enrollments
+      WHERE class_id = $1
+        AND student_id = $2
+        AND status = 'registered'
+      RETURNING class_id, gpnc, enrolled_at
+    `,
+      [fromSection.class_id, studentId]
+    );
+    if (dropRes.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ ok: false, error: 'You are not registered in the section you are swapping from' });
+    }
 
-    const result = await req.db.query(
+    // A waitlist entry for the target section is replaced by the registration
+    await client.query(
       `
-      INSERT INTO registration_holds (student_user_id, hold_type, note, placed_by_user_id, placed_at)
-      VALUES ($1, $2, $3, $4, NOW())
-      RETURNING hold_id, student_user_id, hold_type, note, placed_at
+      DELETE FROM enrollments
+      WHERE class_id = $1
+        AND student_id = $2
+        AND status = 'waitlisted'
     `,
-      [studentId, holdType, note || null, userId]
+      [toSection.class_id, studentId]
     );
 
-    const hold = result.rows[0];
-    console.log('[registration/holds] Hold created successfully:', {
-      holdId: hold.hold_id,
-      studentId: hold.student_user_id,
-      holdType: hold.hold_type,
-      placedBy: userId
+    const attempt = await attemptEnrollment(client, studentId, toSection, {
+      isRegistrar: userRole === 'Registrar',
+      allowWaitlist: false,
     });
-
-    // Create audit log entry (don't fail the request if this fails)
-    const actionDescription = `Registration hold placed: ${holdType}${note ? ` - ${note}` : ''}`;
-    try {
-      await createAuditLogEntry(req.db, {
-        studentId: parseInt(studentId),
-        actionType: 'registration_hold_placed',
-        actionDescription,
-        performedBy: userId,
-        entityType: 'registration_hold',
-        entityId: hold.hold_id,
-        note: note || null
+    if (!attempt.ok) {
+      await client.query('ROLLBACK');
+      const { status, error, ...details } = attempt;
+      return res.status(status).json({
+        ok: false,
+        error: `Swap not completed, you are still registered in Section ${fromSection.section_num}: ${error}`,
+        ...details,
       });
-      console.log('[registration/holds] Audit log entry created successfully');
-    } catch (auditErr) {
-      // Log error but don't fail the request
-      console.error('[registration/holds] Failed to create audit log entry (non-fatal):', auditErr);
     }
 
-    return res.json({ ok: true, hold });
-  } catch (err) {
-    console.error('[registration/holds]', err);
-    res.status(500).json({ ok: false, error: err.message });
-  }
-});
+    // The new section keeps the GPNC choice and the original registration time
+    const dropped = dropRes.rows[0];
+    const carriedRes = await client.query(
+      `
+      UPDATE enrollments
+      SET gpnc = $3, enrolled_at = $4
+      WHERE class_id = $1 AND student_id = $2
+      RETURNING class_id, status, gpnc, enrolled_at
+    `,
+      [toSection.class_id, studentId, Boolean(dropped.gpnc), dropped.enrolled_at]
+    );
+    const eRow = carriedRes.rows[0] ?? attempt.eRow;
 
-router.delete('/holds/:holdId', async (req, res) => {
-  const userRole = getUserRole(req);
-  const userId = req.user?.user_id ?? req.user?.userId ?? null;
-  const { holdId } = req.params;
+    const courseCode = `${toSection.subject} ${toSection.course_num}`;
+    await createAuditLogEntry(client, {
+      studentId,
+      actionType: 'section_swap',
+      actionDescription: `Swapped ${courseCode} from Section ${fromSection.section_num} to Section ${toSection.section_num}`,
+      performedBy: studentId,
+      entityType: 'class_section',
+      entityId: toSection.class_id,
+    });
 
-  if (!['Registrar', 'Advisor'].includes(userRole)) {
-    return res.status(403).json({ ok: false, error: 'Only registrars and advisors can remove holds' });
-  }
+    const { registeredCount, capacity } = await getSectionCapacity(client, fromSection.class_id);
+    let promotedStudent = null;
+    if (registeredCount < capacity) {
+      const waitlistResult = await processSectionWaitlist(client, fromSection.class_id);
+      promotedStudent = waitlistResult.promoted[0] ?? null;
+    }
 
-  try {
-    // First, get the hold details to check authorization
+    await client.query('COMMIT');
+
+    return res.json({
+      ok: true,
+      message: `Moved ${courseCode} from Section ${fromSection.section_num} to Section ${toSection.section_num}`,
+      fromClassId: fromSection.class_id,
+      toClassId: toSection.class_id,
+      enrollment: {
+        classId: eRow.class_id,
+        status: eRow.status,
+        gpnc: eRow.gpnc,
+        enrolledAt: eRow.enrolled_at,
+      },
+      promotedStudent: promotedStudent ? { studentId: promotedStudent.studentId } : null,
+    });
+  } catch (err) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (_) {}
+    console.error('[registration/swap]', err);
+    res.status(500).json({ ok: false, error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// Select or reverse the GPNC grading option on a registered enrollment
+router.post('/gpnc', async (req, res) => {
+  const studentId = getStudentId(req);
+  const { classId, gpnc } = req.body;
+
+  if (!studentId) return res.status(401).json({ ok: false, error: 'Not authenticated' });
+  if (!classId || typeof gpnc !== 'boolean') {
+    return res.status(400).json({ ok: false, error: 'classId and gpnc (true/false) are required' });
+  }
+
+  try {
+    const enrRes = await req.db.query(
+      `
+      SELECT e.status, e.grade, e.gpnc, cs.term_id, cs.section_num, c.subject, c.course_num
+      FROM enrollments e
+      JOIN class_sections cs ON cs.class_id = e.class_id
+      JOIN courses c ON c.course_id = cs.course_id
+      WHERE e.class_id = $1 AND e.student_id = $2
+      LIMIT 1
+    `,
+      [classId, studentId]
+    );
+
+    if (enrRes.rows.length === 0) {
+      return res.status(404).json({ ok: false, error: 'Enrollment not found' });
+    }
+
+    const enr = enrRes.rows[0];
+    if (enr.status !== 'registered' || enr.grade) {
+      return res.status(400).json({ ok: false, error: 'GPNC can only be changed on registered, ungraded enrollments' });
+    }
+
+    const { open, deadline } = await getGpncSelectionWindow(req.db, enr.term_id);
+    if (!open) {
+      return res.status(400).json({
+        ok: false,
+        error: `The GPNC selection deadline (${deadline}) has passed`,
+        deadline,
+      });
+    }
+
+    const courseCode = `${enr.subject} ${enr.course_num}`;
+    if (Boolean(enr.gpnc) === gpnc) {
+      return res.json({ ok: true, classId: Number(classId), gpnc, deadline, message: 'No change' });
+    }
+
+    await req.db.query(
+      `
+      UPDATE enrollments
+      SET gpnc = $1, updated_at = NOW()
+      WHERE class_id = $2 AND student_id = $3
+    `,
+      [gpnc, classId, studentId]
+    );
+
+    await createAuditLogEntry(req.db, {
+      studentId,
+      actionType: gpnc ? 'gpnc_selected' : 'gpnc_reversed',
+      actionDescription: gpnc
+        ? `Selected GPNC grading for ${courseCode}`
+        : `Reversed GPNC grading for ${courseCode}`,
+      performedBy: studentId,
+      entityType: 'class_section',
+      entityId: Number(classId),
+    });
+
+    return res.json({
+      ok: true,
+      classId: Number(classId),
+      gpnc,
+      deadline,
+      message: gpnc ? `${courseCode} will be graded GPNC` : `${courseCode} will receive a letter grade`,
+    });
+  } catch (err) {
+    console.error('[registration/gpnc]', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+router.post('/holds', async (req, res) => {
+  const userRole = getUserRole(req);
+  const userId = req.user?.user_id ?? req.user?.userId ?? null;
+
+  if (!['Registrar', 'Advisor'].includes(userRole)) {
+    return res.status(403).json({ ok: false, error: 'Only registrars and advisors can place holds' });
+  }
+
+  const { studentId, holdType, note } = req.body;
+
+  if (!studentId || !holdType) {
+    return res.status(400).json({ ok: false, error: 'studentId and holdType are required' });
+  }
+
+  const validHoldTypes = ['academic_advising', 'financial', 'disciplinary', 'other'];
+  if (!validHoldTypes.includes(holdType)) {
+    return res.status(400).json({ ok: false, error: `Invalid holdType. Must be one of: ${validHoldTypes.join(', ')}` });
+  }
+
+  try {
+    // Check authorization for academic advising holds
+    if (holdType === 'academic_advising' && userRole === 'Advisor') {
+      console.log('[registration/holds] Checking authorization for advisor:', {
+        advisorId: userId,
+        studentId: studentId,
+        holdType: holdType
+      });
+      const canPlace = await canAdvisorPlaceHold(req.db, userId, studentId);
+      console.log('[registration/holds] Authorization result:', { canPlace, advisorId: userId, studentId });
+      if (!canPlace) {
+        return res.status(403).json({ 
+          ok: false, 
+          error: 'You are not authorized to place academic advising holds on this student. Academic advising holds can only be placed on students in your scope (university/college/department).' 
+        });
+      }
+    }
+
+    // Advisors can place all types of holds (financial, disciplinary, other, and academic_advising if authorized)
+
+    const result = await req.db.query(
+      `
+      INSERT INTO registration_holds (student_user_id, hold_type, note, placed_by_user_id, placed_at)
+      VALUES ($1, $2, $3, $4, NOW())
+      RETURNING hold_id, student_user_id, hold_type, note, placed_at
+    `,
+      [studentId, holdType, note || null, userId]
+    );
+
+    const hold = result.rows[0];
+    console.log('[registration/holds] Hold created successfully:', {
+      holdId: hold.hold_id,
+      studentId: hold.student_user_id,
+      holdType: hold.hold_type,
+      placedBy: userId
+    });
+
+    // Create audit log entry (don't fail the request if this fails)
+    const actionDescription = `Registration hold placed: ${holdType}${note ? ` - ${note}` : ''}`;
+    try {
+      await createAuditLogEntry(req.db, {
+        studentId: parseInt(studentId),
+        actionType: 'registration_hold_placed',
+        actionDescription,
+        performedBy: userId,
+        entityType: 'registration_hold',
+        entityId: hold.hold_id,
+        note: note || null
+      });
+      console.log('[registration/holds] Audit log entry created successfully');
+    } catch (auditErr) {
+      // Log error but don't fail the request
+      console.error('[registration/holds] Failed to create audit log entry (non-fatal):', auditErr);
+    }
+
+    return res.json({ ok: true, hold });
+  } catch (err) {
+    console.error('[registration/holds]', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+router.delete('/holds/:holdId', async (req, res) => {
+  const userRole = getUserRole(req);
+  const userId = req.user?.user_id ?? req.user?.userId ?? null;
+  const { holdId } = req.params;
+
+  if (!['Registrar', 'Advisor'].includes(userRole)) {
+    return res.status(403).json({ ok: false, error: 'Only registrars and advisors can remove holds' });
+  }
+
+  try {
+    // First, get the hold details to check authorization
     const holdRes = await req.db.query(
       `
       SELECT hold_id, student_user_id, hold_type, note
@@ -2832,6 +3290,424 @@ router.post('/schedule', async (req, res) => {
   }
 });
 
+// Which attempt of a repeated course counts, and how often a course may be repeated
+router.get('/repeat-policy', async (req, res) => {
+  if (!getStudentId(req)) return res.status(401).json({ ok: false, error: 'Not authenticated' });
+
+  try {
+    const repeatPolicy = await getRepeatPolicy(req.db);
+    return res.json({ ok: true, ...repeatPolicy, policies: REPEAT_POLICIES });
+  } catch (err) {
+    console.error('[registration/repeat-policy]', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+router.put('/repeat-policy', async (req, res) => {
+  if (getUserRole(req) !== 'Registrar') {
+    return res.status(403).json({ ok: false, error: 'Only registrars can change the repeat policy' });
+  }
+
+  const { policy } = req.body ?? {};
+  const maxRepeats = Number(req.body?.maxRepeats);
+
+  if (!REPEAT_POLICIES.includes(policy)) {
+    return res.status(400).json({ ok: false, error: `policy must be one of: ${REPEAT_POLICIES.join(', ')}` });
+  }
+  if (!Number.isInteger(maxRepeats) || maxRepeats < 0) {
+    return res.status(400).json({ ok: false, error: 'maxRepeats must be a non-negative integer' });
+  }
+
+  try {
+    const { rowCount } = await req.db.query(
+      `
+      UPDATE system_state
+      SET repeat_policy = $1,
+          repeat_max_repeats = $2,
+          updated_at = NOW()
+      WHERE system_state_id = (SELECT MAX(system_state_id) FROM system_state)
+    `,
+      [policy, maxRepeats]
+    );
+
+    if (!rowCount) {
+      return res.status(500).json({ ok: false, error: 'System state has not been initialized' });
+    }
+
+    return res.json({ ok: true, policy, maxRepeats });
+  } catch (err) {
+    console.error('[registration/repeat-policy]', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// Lowest letter grade that converts to P for GPNC enrollments
+router.get('/gpnc-threshold', async (req, res) => {
+  if (!getStudentId(req)) return res.status(401).json({ ok: false, error: 'Not authenticated' });
+
+  try {
+    const threshold = await getGpncPassThreshold(req.db);
+    return res.json({ ok: true, threshold });
+  } catch (err) {
+    console.error('[registration/gpnc-threshold]', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+router.put('/gpnc-threshold', async (req, res) => {
+  if (getUserRole(req) !== 'Registrar') {
+    return res.status(403).json({ ok: false, error: 'Only registrars can change the GPNC pass threshold' });
+  }
+
+  const threshold = String(req.body?.threshold ?? '').trim().toUpperCase();
+  if (!isLetterGrade(threshold) || threshold === 'F') {
+    return res.status(400).json({ ok: false, error: 'threshold must be a passing letter grade (A+ through D-)' });
+  }
+
+  try {
+    const { rowCount } = await req.db.query(
+      `
+      UPDATE system_state
+      SET gpnc_pass_threshold = $1,
+          updated_at = NOW()
+      WHERE system_state_id = (SELECT MAX(system_state_id) FROM system_state)
+    `,
+      [threshold]
+    );
+
+    if (!rowCount) {
+      return res.status(500).json({ ok: false, error: 'System state has not been initialized' });
+    }
+
+    return res.json({ ok: true, threshold });
+  } catch (err) {
+    console.error('[registration/gpnc-threshold]', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// Credit caps for a term plus the cap that currently applies to the caller
+router.get('/credit-limits', async (req, res) => {
+  const studentId = getStudentId(req);
+  if (!studentId) return res.status(401).json({ ok: false, error: 'Not authenticated' });
+
+  const { termId } = req.query;
+  if (!termId) return res.status(400).json({ ok: false, error: 'termId is required' });
+
+  try {
+    const { rows } = await req.db.query(
+      `
+      SELECT limit_id, class_standing, min_gpa, max_credits
+      FROM term_credit_limits
+      WHERE term_id = $1
+      ORDER BY class_standing NULLS FIRST, min_gpa NULLS FIRST
+    `,
+      [termId]
+    );
+
+    const limit = await getTermCreditLimit(req.db, studentId, termId);
+    const currentCredits = await getRegisteredTermCredits(req.db, studentId, termId);
+
+    return res.json({
+      ok: true,
+      limits: rows.map((r) => ({
+        limitId: r.limit_id,
+        classStanding: r.class_standing,
+        minGpa: r.min_gpa != null ? Number(r.min_gpa) : null,
+        maxCredits: r.max_credits,
+      })),
+      defaultMaxCredits: DEFAULT_MAX_TERM_CREDITS,
+      myLimit: { ...limit, currentCredits },
+    });
+  } catch (err) {
+    console.error('[registration/credit-limits]', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+router.post('/credit-limits', async (req, res) => {
+  const userRole = getUserRole(req);
+
+  if (userRole !== 'Registrar') {
+    return res.status(403).json({ ok: false, error: 'Only registrars can define credit limits' });
+  }
+
+  const { termId, limits } = req.body;
+
+  if (!termId || !Array.isArray(limits)) {
+    return res.status(400).json({ ok: false, error: 'termId and limits array are required' });
+  }
+
+  const client = await req.db.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query(
+      `
+      DELETE FROM term_credit_limits
+      WHERE term_id = $1
+    `,
+      [termId]
+    );
+
+    for (const limit of limits) {
+      const { classStanding = null, minGpa = null, maxCredits } = limit;
+
+      if (!Number.isInteger(Number(maxCredits)) || Number(maxCredits) <= 0) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ ok: false, error: 'Each limit must have a positive whole-number maxCredits' });
+      }
+      if (classStanding && !['U1', 'U2', 'U3', 'U4'].includes(classStanding)) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ ok: false, error: `Invalid classStanding: ${classStanding}` });
+      }
+
+      await client.query(
+        `
+        INSERT INTO term_credit_limits (term_id, class_standing, min_gpa, max_credits)
+        VALUES ($1, $2, $3, $4)
+      `,
+        [termId, classStanding || null, minGpa ?? null, Number(maxCredits)]
+      );
+    }
+
+    await client.query('COMMIT');
+
+    return res.json({ ok: true, message: `Credit limits defined for term ${termId}`, limits: limits.length });
+  } catch (err) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (_) {}
+    console.error('[registration/credit-limits]', err);
+    res.status(500).json({ ok: false, error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// A new request for the same term replaces a pending or denied one and goes
+// back to pending; an approved overload stands and is not re-requested
+router.post('/credit-overload/request', async (req, res) => {
+  const studentId = getStudentId(req);
+  if (!studentId) return res.status(401).json({ ok: false, error: 'Not authenticated' });
+
+  const { termId, requestedCredits, reason } = req.body;
+  if (!termId || !requestedCredits) {
+    return res.status(400).json({ ok: false, error: 'termId and requestedCredits are required' });
+  }
+
+  try {
+    const { baseMaxCredits } = await getTermCreditLimit(req.db, studentId, termId);
+    if (Number(requestedCredits) <= baseMaxCredits) {
+      return res.status(400).json({
+        ok: false,
+        error: `Your limit for this term is already ${baseMaxCredits} credits; no overload is needed`,
+      });
+    }
+
+    const result = await req.db.query(
+      `
+      INSERT INTO credit_overload_requests (student_user_id, term_id, requested_credits, reason, status, requested_at)
+      VALUES ($1, $2, $3, $4, 'pending', NOW())
+      ON CONFLICT (student_user_id, term_id)
+      DO UPDATE SET requested_credits = EXCLUDED.requested_credits,
+                    reason = EXCLUDED.reason,
+                    status = 'pending',
+                    requested_at = NOW(),
+                    reviewed_by_user_id = NULL,
+                    reviewed_at = NULL,
+                    review_note = NULL
+      WHERE credit_overload_requests.status <> 'approved'
+      RETURNING request_id, student_user_id, term_id, requested_credits, status
+    `,
+      [studentId, termId, Number(requestedCredits), reason || null]
+    );
+    if (result.rows.length === 0) {
+      return res.status(409).json({
+        ok: false,
+        error: 'An overload for this term is already approved; contact your advisor to change it',
+      });
+    }
+
+    return res.json({
+      ok: true,
+      request: result.rows[0],
+      message: 'Credit overload requested. Requires approval from an advisor or registrar.',
+    });
+  } catch (err) {
+    console.error('[registration/credit-overload/request]', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// The caller's own overload requests
+router.get('/credit-overload', async (req, res) => {
+  const studentId = getStudentId(req);
+  if (!studentId) return res.status(401).json({ ok: false, error: 'Not authenticated' });
+
+  try {
+    const { rows } = await req.db.query(
+      `
+      SELECT cor.request_id, cor.term_id, cor.requested_credits, cor.reason, cor.status,
+             cor.requested_at, cor.reviewed_at, cor.review_note, t.semester, t.year
+      FROM credit_overload_requests cor
+      JOIN terms t ON t.term_id = cor.term_id
+      WHERE cor.student_user_id = $1
+      ORDER BY cor.requested_at DESC
+    `,
+      [studentId]
+    );
+
+    return res.json({
+      ok: true,
+      requests: rows.map((r) => ({
+        requestId: r.request_id,
+        termId: r.term_id,
+        term: `${r.semester} ${r.year}`,
+        requestedCredits: r.requested_credits,
+        reason: r.reason,
+        status: r.status,
+        requestedAt: r.requested_at,
+        reviewedAt: r.reviewed_at,
+        reviewNote: r.review_note,
+      })),
+    });
+  } catch (err) {
+    console.error('[registration/credit-overload]', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// Pending overload requests; advisors only see students in their scope
+router.get('/credit-overload/pending', async (req, res) => {
+  const userRole = getUserRole(req);
+  const userId = req.user?.user_id ?? req.user?.userId ?? null;
+
+  if (!['Advisor', 'Registrar'].includes(userRole)) {
+    return res.status(403).json({ ok: false, error: 'Only advisors and registrars can view pending credit overloads' });
+  }
+
+  try {
+    const result = await req.db.query(
+      `
+      SELECT
+        cor.request_id,
+        cor.student_user_id,
+        cor.term_id,
+        cor.requested_credits,
+        cor.reason,
+        cor.requested_at,
+        u.first_name AS student_first_name,
+        u.last_name AS student_last_name,
+        u.email AS student_email,
+        t.semester,
+        t.year
+      FROM credit_overload_requests cor
+      JOIN users u ON u.user_id = cor.student_user_id
+      JOIN terms t ON t.term_id = cor.term_id
+      WHERE cor.status = 'pending'
+      ORDER BY cor.requested_at ASC
+    `
+    );
+
+    const requests = [];
+    for (const row of result.rows) {
+      if (userRole === 'Advisor' && !(await canAdvisorPlaceHold(req.db, userId, row.student_user_id))) continue;
+
+      const limit = await getTermCreditLimit(req.db, row.student_user_id, row.term_id);
+      requests.push({
+        requestId: row.request_id,
+        studentId: row.student_user_id,
+        studentName: `${row.student_first_name} ${row.student_last_name}`,
+        studentEmail: row.student_email,
+        termId: row.term_id,
+        term: `${row.semester} ${row.year}`,
+        requestedCredits: row.requested_credits,
+        currentLimit: limit.baseMaxCredits,
+        classStanding: limit.classStanding,
+        gpa: limit.gpa,
+        reason: row.reason,
+        requestedAt: row.requested_at,
+      });
+    }
+
+    return res.json({ ok: true, requests });
+  } catch (err) {
+    console.error('[registration/credit-overload/pending]', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+router.post('/credit-overload/:requestId/approve', async (req, res) => {
+  const userRole = getUserRole(req);
+  const userId = req.user?.user_id ?? req.user?.userId ?? null;
+  const { requestId } = req.params;
+  const { approved, note } = req.body;
+
+  if (!['Advisor', 'Registrar'].includes(userRole)) {
+    return res.status(403).json({ ok: false, error: 'Only advisors and registrars can approve credit overloads' });
+  }
+  if (typeof approved !== 'boolean') {
+    return res.status(400).json({ ok: false, error: 'approved must be true or false' });
+  }
+
+  try {
+    const requestRes = await req.db.query(
+      `
+      SELECT request_id, student_user_id, term_id, requested_credits, status
+      FROM credit_overload_requests
+      WHERE request_id = $1
+    `,
+      [requestId]
+    );
+
+    if (requestRes.rows.length === 0) {
+      return res.status(404).json({ ok: false, error: 'Credit overload request not found' });
+    }
+
+    const overload = requestRes.rows[0];
+    if (overload.status !== 'pending') {
+      return res.status(400).json({ ok: false, error: `Request is already ${overload.status}` });
+    }
+
+    if (userRole === 'Advisor') {
+      const canApprove = await canAdvisorPlaceHold(req.db, userId, overload.student_user_id);
+      if (!canApprove) {
+        return res.status(403).json({
+          ok: false,
+          error: 'You do not have permission to approve overloads for this student. Only advisors for the student\'s department/college or university-level advisors can approve.',
+        });
+      }
+    }
+
+    const status = approved ? 'approved' : 'denied';
+    await req.db.query(
+      `
+      UPDATE credit_overload_requests
+      SET status = $1, reviewed_by_user_id = $2, reviewed_at = NOW(), review_note = $3
+      WHERE request_id = $4
+    `,
+      [status, userId, note || null, requestId]
+    );
+
+    await createAuditLogEntry(req.db, {
+      studentId: overload.student_user_id,
+      actionType: approved ? 'credit_overload_approved' : 'credit_overload_denied',
+      actionDescription: `Credit overload to ${overload.requested_credits} credits ${status} for term ${overload.term_id}`,
+      performedBy: userId,
+      entityType: 'credit_overload_request',
+      entityId: overload.request_id,
+      note: note || null,
+    });
+
+    return res.json({ ok: true, message: approved ? 'Credit overload approved' : 'Credit overload denied' });
+  } catch (err) {
+    console.error('[registration/credit-overload/:requestId/approve]', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
 router.post('/capacity-override', async (req, res) => {
   const userRole = getUserRole(req);
   const userId = req.user?.user_id ?? req.user?.userId ?? null;
@@ -2840,28 +3716,36 @@ router.post('/capacity-override', async (req, res) => {
     return res.status(403).json({ ok: false, error: 'Only registrars can grant capacity overrides' });
   }
 
-  const { studentId, classId } = req.body;
+  const { studentId, classId, expiresAt } = req.body;
 
   if (!studentId || !classId) {
     return res.status(400).json({ ok: false, error: 'studentId and classId are required' });
   }
+  if (expiresAt && !/^\d{4}-\d{2}-\d{2}$/.test(String(expiresAt))) {
+    return res.status(400).json({ ok: false, error: 'expiresAt must be a YYYY-MM-DD date' });
+  }
 
   try {
-    const result = await req.db.query(
-      `
-      INSERT INTO capacity_overrides (student_user_id, class_id, granted_by_user_id, granted_at)
-      VALUES ($1, $2, $3, NOW())
-      ON CONFLICT (student_user_id, class_id)
-      DO UPDATE SET granted_at = NOW()
-      RETURNING override_id, student_user_id, class_id
-    `,
-      [studentId, classId, userId]
-    );
+    const override = await grantCapacityOverride(req.db, {
+      studentId,
+      classId,
+      grantedBy: userId,
+      expiresAt: expiresAt || null,
+    });
+
+    await createAuditLogEntry(req.db, {
+      studentId: Number(studentId),
+      actionType: 'capacity_override_granted',
+      actionDescription: `Capacity override granted for class ${classId}${expiresAt ? ` (expires ${expiresAt})` : ''}`,
+      performedBy: userId,
+      entityType: 'capacity_override',
+      entityId: override.override_id,
+    });
 
     return res.json({
       ok: true,
-      override: result.rows[0],
-      message: 'Capacity override granted. Student can now register even if class is full.',
+      override,
+      message: 'Capacity override granted. Student can register once even if class is full.',
     });
   } catch (err) {
     console.error('[registration/capacity-override]', err);
@@ -2869,4 +3753,197 @@ router.post('/capacity-override', async (req, res) => {
   }
 });
 
+router.get('/capacity-overrides', async (req, res) => {
+  if (getUserRole(req) !== 'Registrar') {
+    return res.status(403).json({ ok: false, error: 'Only registrars can view capacity overrides' });
+  }
+
+  const classId = req.query.classId ? Number(req.query.classId) : null;
+  const studentId = req.query.studentId ? Number(req.query.studentId) : null;
+  const status = req.query.status ? String(req.query.status) : null;
+
+  if (status && !['active', 'consumed', 'revoked', 'expired'].includes(status)) {
+    return res.status(400).json({ ok: false, error: 'status must be one of: active, consumed, revoked, expired' });
+  }
+
+  try {
+    const overrides = await listCapacityOverrides(req.db, { classId, studentId, status });
+    return res.json({ ok: true, overrides });
+  } catch (err) {
+    console.error('[registration/capacity-overrides]', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+router.delete('/capacity-override/:overrideId', async (req, res) => {
+  const userRole = getUserRole(req);
+  const userId = req.user?.user_id ?? req.user?.userId ?? null;
+
+  if (userRole !== 'Registrar') {
+    return res.status(403).json({ ok: false, error: 'Only registrars can revoke capacity overrides' });
+  }
+
+  const reason = req.body?.reason ? String(req.body.reason).trim() : null;
+
+  try {
+    const revoked = await revokeCapacityOverride(req.db, req.params.overrideId, { revokedBy: userId, reason });
+    if (!revoked) {
+      return res.status(404).json({ ok: false, error: 'Override not found or already used/revoked' });
+    }
+
+    await createAuditLogEntry(req.db, {
+      studentId: revoked.student_user_id,
+      actionType: 'capacity_override_revoked',
+      actionDescription: `Capacity override revoked for class ${revoked.class_id}`,
+      performedBy: userId,
+      entityType: 'capacity_override',
+      entityId: revoked.override_id,
+      note: reason,
+    });
+
+    return res.json({ ok: true, override: revoked });
+  } catch (err) {
+    console.error('[registration/capacity-override/:overrideId]', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// Waitlist positions for the signed-in student's waitlisted sections
+router.get('/waitlist', async (req, res) => {
+  const studentId = getStudentId(req);
+  if (!studentId) {
+    return res.status(401).json({ ok: false, error: 'Not authenticated' });
+  }
+
+  try {
+    const { rows } = await req.db.query(
+      `
+      SELECT e.class_id
+      FROM enrollments e
+      WHERE e.student_id = $1
+        AND e.status = 'waitlisted'
+      ORDER BY e.class_id
+    `,
+      [studentId]
+    );
+
+    const waitlists = [];
+    for (const { class_id } of rows) {
+      const waitlist = await getWaitlistQueue(req.db, class_id);
+      const entry = waitlist?.queue.find((q) => Number(q.studentId) === Number(studentId));
+      if (!entry) continue;
+
+      waitlists.push({
+        classId: waitlist.classId,
+        termId: waitlist.termId,
+        courseCode: waitlist.courseCode,
+        sectionNum: waitlist.sectionNum,
+        position: entry.position,
+        queueLength: waitlist.queue.length,
+        seatsLeft: waitlist.seatsLeft,
+      });
+    }
+
+    return res.json({ ok: true, waitlists });
+  } catch (err) {
+    console.error('[registration/waitlist]', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// Full queue for registrars; students only see their own entry
+router.get('/waitlist/:classId', async (req, res) => {
+  const userRole = getUserRole(req);
+  const userId = getStudentId(req);
+  const classId = Number(req.params.classId);
+
+  if (!userId) {
+    return res.status(401).json({ ok: false, error: 'Not authenticated' });
+  }
+  if (!Number.isInteger(classId)) {
+    return res.status(400).json({ ok: false, error: 'Invalid classId' });
+  }
+
+  try {
+    const waitlist = await getWaitlistQueue(req.db, classId);
+    if (!waitlist) {
+      return res.status(404).json({ ok: false, error: 'Section not found' });
+    }
+
+    const { queue, ...section } = waitlist;
+    const summary = { ...section, queueLength: queue.length };
+
+    if (userRole === 'Registrar') {
+      return res.json({ ok: true, waitlist: { ...summary, queue } });
+    }
+
+    const entry = queue.find((q) => Number(q.studentId) === Number(userId));
+    if (!entry) {
+      return res.status(404).json({ ok: false, error: 'You are not on the waitlist for this section' });
+    }
+
+    return res.json({ ok: true, waitlist: { ...summary, position: entry.position } });
+  } catch (err) {
+    console.error('[registration/waitlist/:classId]', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+router.put('/waitlist/:classId/position', async (req, res) => {
+  const userRole = getUserRole(req);
+  const userId = req.user?.user_id ?? req.user?.userId ?? null;
+  const classId = Number(req.params.classId);
+
+  if (userRole !== 'Registrar') {
+    return res.status(403).json({ ok: false, error: 'Only registrars can reorder waitlists' });
+  }
+
+  const { studentId, position } = req.body;
+  const reason = String(req.body.reason ?? '').trim();
+  const newPosition = Number(position);
+
+  if (!Number.isInteger(classId) || !studentId || !Number.isInteger(newPosition) || newPosition < 1) {
+    return res.status(400).json({ ok: false, error: 'classId, studentId and a position of 1 or more are required' });
+  }
+  if (!reason) {
+    return res.status(400).json({ ok: false, error: 'A reason is required to reorder a waitlist' });
+  }
+
+  const client = await req.db.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const move = await moveWaitlistEntry(client, classId, studentId, newPosition);
+    if (!move) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ ok: false, error: 'Student is not on the waitlist for this section' });
+    }
+
+    const waitlist = await getWaitlistQueue(client, classId);
+
+    await createAuditLogEntry(client, {
+      studentId: Number(studentId),
+      actionType: 'waitlist_reordered',
+      actionDescription: `Waitlist position for ${waitlist.courseCode} (Section ${waitlist.sectionNum}) changed from ${move.fromPosition} to ${move.toPosition}`,
+      performedBy: userId,
+      entityType: 'class_section',
+      entityId: classId,
+      note: reason,
+    });
+
+    await client.query('COMMIT');
+
+    return res.json({ ok: true, move, waitlist });
+  } catch (err) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (_) {}
+    console.error('[registration/waitlist/position]', err);
+    res.status(500).json({ ok: false, error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
 export default router;
@@ -1,6 +1,34 @@
 // server/routes/rostersGradingRoutes.js
 import express from "express";
+import multer from "multer";
+import { getGpncPassThreshold, gradeForEnrollment } from "../services/gpnc.js";
+import { parseGradeFile, validateGradeEntries } from "../services/bulkGrades.js";
+import { recordGradeHistory, getGradeHistory } from "../services/gradeHistory.js";
+import { createAuditLogEntry } from "../services/registrationChecks.js";
+import { getTermCalendar, isOnOrBefore, toYmd } from "../services/termCalendar.js";
+import {
+  SECTION_ROLES,
+  getSectionRole,
+  hasSectionPermission,
+  listSectionStaff,
+  permissionsForRole,
+} from "../services/sectionStaff.js";
+import {
+  ROSTER_EXPORT_FORMATS,
+  loadRosterExport,
+  rosterFileName,
+  toRosterCsv,
+  toRosterYaml,
+  toSignInSheetHtml,
+} from "../services/rosterExport.js";
+import { getCurrentDateString } from "../utils/dateWrapper.js";
+import {
+  INCOMPLETE_LAPSE_GRADES,
+  getIncompletePolicy,
+  listIncompletes,
+} from "../services/incompleteLapse.js";
 const router = express.Router();
+const upload = multer({ limits: { fileSize: 2 * 1024 * 1024 } });
 
 const ALLOWED_GRADES = [
   "A+",
@@ -26,6 +54,11 @@ const ALLOWED_GRADES = [
   "IP",
 ];
 
+// An enrollment still needs a final grade when it has none or a blank one.
+// Final grade submission and the registrar dashboard must agree on this.
+const isMissingGrade = (grade) => grade == null || String(grade).trim() === "";
+const MISSING_GRADE_SQL = "NULLIF(btrim(e.grade), '') IS NULL";
+
 const getUserId = (req) =>
   req.user?.user_id ?? req.user?.userId ?? req.session?.user?.user_id ?? null;
 
@@ -56,6 +89,14 @@ async function requireInstructor(db, req, userId) {
   return role === "instructor";
 }
 
+async function requireRegistrar(db, req, userId) {
+  if (normalizeRole(req.user?.role) === "registrar") return true;
+  if (!userId) return false;
+
+  const { rows } = await db.query(`SELECT role FROM users WHERE user_id = $1`, [userId]);
+  return normalizeRole(rows?.[0]?.role) === "registrar";
+}
+
 async function getCurrentTerm(db) {
   const { rows } = await db.query(
     `
@@ -81,6 +122,83 @@ async function getCurrentTerm(db) {
   };
 }
 
+// Whether the caller is on the section's staff with a role granting `permission`
+async function hasSectionAccess(db, userId, classId, permission) {
+  const section = await getSectionRole(db, userId, classId);
+  return Boolean(section && hasSectionPermission(section.role, permission));
+}
+
+/**
+ * Whether the caller may post grades for a section: they must be an
+ * instructor on its staff whose role grants `permission`, and its final
+ * grades must not have been submitted (which locks the roster). Grades are
+ * entered during the term's grade submission window; a term without one
+ * must be the current term. Final grades may still be submitted late, and
+ * an I may be resolved (`resolvingIncomplete`) in any later term, even on a
+ * locked roster.
+ * @returns {Promise<{ok: true, termId: number, role: string}|{ok: false, status: number, error: string}>}
+ */
+async function checkGradingAccess(
+  db,
+  req,
+  userId,
+  classId,
+  permission = "enter_grades",
+  { resolvingIncomplete = false } = {}
+) {
+  const okRole = await requireInstructor(db, req, userId);
+  if (!okRole) {
+    return { ok: false, status: 403, error: "You must be logged in as an instructor to update grades." };
+  }
+
+  const section = await getSectionRole(db, userId, classId);
+
+  if (!section) {
+    return { ok: false, status: 403, error: "Not allowed to change grades for this class." };
+  }
+
+  if (!hasSectionPermission(section.role, permission)) {
+    return {
+      ok: false,
+      status: 403,
+      error: `Your role on this section (${section.role.replace("_", "-")}) does not allow this action.`,
+    };
+  }
+
+  if (resolvingIncomplete) return { ok: true, termId: section.termId, role: section.role };
+
+  if (section.gradesSubmittedAt) {
+    return {
+      ok: false,
+      status: 409,
+      error: "Final grades have been submitted and the roster is locked. Submit a grade change request, or ask the registrar to unlock the roster.",
+    };
+  }
+
+  const calendar = await getTermCalendar(db, section.termId);
+  if (calendar?.gradeSubmissionBegins || calendar?.gradeSubmissionEnds) {
+    if (permission === "enter_grades" && calendar.gradeSubmissionBegins && getCurrentDateString() < calendar.gradeSubmissionBegins) {
+      return { ok: false, status: 403, error: `Grades can be entered starting ${calendar.gradeSubmissionBegins}.` };
+    }
+    if (permission === "enter_grades" && !isOnOrBefore(calendar.gradeSubmissionEnds)) {
+      return {
+        ok: false,
+        status: 403,
+        error: `Grade entry for this term closed on ${calendar.gradeSubmissionEnds}. Only incomplete (I) grades can still be resolved.`,
+      };
+    }
+    return { ok: true, termId: section.termId, role: section.role };
+  }
+
+  const currentTerm = await getCurrentTerm(db);
+
+  if (!currentTerm || Number(currentTerm.termId) !== section.termId) {
+    return { ok: false, status: 403, error: "Grades may only be changed for the current term." };
+  }
+
+  return { ok: true, termId: section.termId, role: section.role };
+}
+
 router.get("/rosters", async (req, res) => {
   const db = req.db;
   const userId = getUserId(req);
@@ -103,6 +221,8 @@ router.get("/rosters", async (req, res) => {
           cs.term_id,
           cs.meeting_days,
           cs.meeting_times,
+          cs.grades_submitted_at,
+          CASE WHEN cs.instructor_id = $1 THEN 'primary' ELSE csi.role END AS section_role,
           c.course_id,
           c.subject,
           c.course_num,
@@ -112,7 +232,10 @@ router.get("/rosters", async (req, res) => {
         FROM class_sections cs
         JOIN courses c ON c.course_id = cs.course_id
         JOIN terms t ON t.term_id = cs.term_id
-        WHERE cs.instructor_id = $1
+        -- The primary comes from cs.instructor_id; a stale primary row grants nothing
+        LEFT JOIN class_section_instructors csi
+          ON csi.class_id = cs.class_id AND csi.instructor_id = $1 AND csi.role <> 'primary'
+        WHERE cs.instructor_id = $1 OR csi.instructor_id IS NOT NULL
         ORDER BY t.year DESC, t.semester DESC, c.subject, c.course_num
       `,
       [userId]
@@ -128,7 +251,10 @@ router.get("/rosters", async (req, res) => {
           e.class_id,
           e.student_id,
           e.grade,
+          e.gpnc,
+          e.gpnc_letter_grade,
           e.status,
+          u.sbu_id,
           u.first_name,
           u.last_name,
           u.email
@@ -140,6 +266,11 @@ router.get("/rosters", async (req, res) => {
       [classIds]
     );
 
+    const calendars = new Map();
+    for (const termId of new Set(classes.map((c) => Number(c.term_id)))) {
+      calendars.set(termId, await getTermCalendar(db, termId));
+    }
+
     const studentsByClass = new Map();
     for (const r of roster) {
       const cid = Number(r.class_id);
@@ -147,9 +278,12 @@ router.get("/rosters", async (req, res) => {
       studentsByClass.get(cid).push({
         classId: cid,
         studentId: Number(r.student_id),
+        sbuId: r.sbu_id ?? null,
         name: `${r.first_name} ${r.last_name}`,
         email: r.email,
         grade: r.grade,
+        gpnc: Boolean(r.gpnc),
+        letterGrade: r.gpnc_letter_grade ?? null,
         status: r.status,
       });
     }
@@ -170,6 +304,12 @@ router.get("/rosters", async (req, res) => {
         year: c.year,
         termCode: `${c.semester} ${c.year}`,
         isCurrent: currentTerm ? Number(c.term_id) === Number(currentTerm.termId) : false,
+        sectionRole: c.section_role,
+        permissions: permissionsForRole(c.section_role),
+        gradesSubmittedAt: c.grades_submitted_at ?? null,
+        locked: Boolean(c.grades_submitted_at),
+        gradeSubmissionBegins: calendars.get(Number(c.term_id))?.gradeSubmissionBegins ?? null,
+        gradeSubmissionEnds: calendars.get(Number(c.term_id))?.gradeSubmissionEnds ?? null,
         students: studentsByClass.get(cid) || [],
       };
     });
@@ -181,6 +321,52 @@ router.get("/rosters", async (req, res) => {
   }
 });
 
+// Offline roster for one section: ?format=csv | yaml | html (printable sign-in sheet)
+router.get("/rosters/:classId/export", async (req, res) => {
+  const db = req.db;
+  const userId = getUserId(req);
+  if (!userId) return res.status(401).json({ ok: false, error: "Not authenticated" });
+
+  const classId = Number(req.params.classId);
+  const format = String(req.query.format ?? "csv").toLowerCase();
+  if (!ROSTER_EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ ok: false, error: `format must be one of ${ROSTER_EXPORT_FORMATS.join(", ")}` });
+  }
+
+  try {
+    const okRole = await requireInstructor(db, req, userId);
+    if (!okRole) {
+      return res.status(403).json({ ok: false, error: "You must be logged in as an instructor to access rosters." });
+    }
+    if (!(await hasSectionAccess(db, userId, classId, "view_roster"))) {
+      return res.status(403).json({ ok: false, error: "Not allowed to export the roster for this class." });
+    }
+
+    const roster = await loadRosterExport(db, classId);
+    if (!roster) return res.status(404).json({ ok: false, error: "Section not found." });
+
+    const fileName = rosterFileName(roster.section);
+
+    if (format === "html") {
+      res.setHeader("Content-Type", "text/html; charset=utf-8");
+      return res.status(200).send(toSignInSheetHtml(roster));
+    }
+
+    if (format === "yaml") {
+      res.setHeader("Content-Type", "application/x-yaml");
+      res.setHeader("Content-Disposition", `attachment; filename="${fileName}.yaml"`);
+      return res.status(200).send(toRosterYaml(roster));
+    }
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}.csv"`);
+    return res.status(200).send(toRosterCsv(roster));
+  } catch (err) {
+    console.error("[instructor/rosters/export]", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
 router.post("/rosters/:classId/grade", async (req, res) => {
   const db = req.db;
   const userId = getUserId(req);
@@ -203,34 +389,641 @@ router.post("/rosters/:classId/grade", async (req, res) => {
   }
 
   try {
-    const okRole = await requireInstructor(db, req, userId);
-    if (!okRole) {
-      return res.status(403).json({ ok: false, error: "You must be logged in as an instructor to update grades." });
+    const { rows: enrRows } = await db.query(
+      `
+        SELECT grade, gpnc
+        FROM enrollments
+        WHERE class_id = $1 AND student_id = $2
+      `,
+      [classId, studentId]
+    );
+
+    const currGrade = enrRows[0]?.grade ?? null;
+    const access = await checkGradingAccess(db, req, userId, classId, "enter_grades", {
+      resolvingIncomplete: String(currGrade ?? "").toUpperCase() === "I",
+    });
+    if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
+
+    if (!enrRows.length) {
+      return res.status(404).json({ ok: false, error: "Enrollment not found." });
+    }
+
+    if (currGrade && String(currGrade).toUpperCase() !== "I") {
+      return res.status(400).json({
+        ok: false,
+        error: "Only incomplete (I) or missing grades may be edited. Submit a grade change request to correct a posted grade.",
+      });
     }
 
-    const { rows: classCheck } = await db.query(
+    const gpncPassThreshold = await getGpncPassThreshold(db);
+    const { grade: storedGrade, letterGrade } = gradeForEnrollment(gradeUpper, enrRows[0].gpnc, gpncPassThreshold);
+
+    const { rows: updated } = await db.query(
       `
-        SELECT term_id
-        FROM class_sections
-        WHERE class_id = $1 AND instructor_id = $2
+        UPDATE enrollments
+        SET grade = $1, gpnc_letter_grade = $2, updated_at = now()
+        WHERE class_id = $3 AND student_id = $4
+        RETURNING grade, gpnc_letter_grade
+      `,
+      [storedGrade, letterGrade, classId, studentId]
+    );
+
+    await recordGradeHistory(db, {
+      classId,
+      studentId: Number(studentId),
+      oldGrade: currGrade,
+      newGrade: storedGrade,
+      letterGrade,
+      source: "roster",
+      changedBy: userId,
+    });
+
+    return res.json({
+      ok: true,
+      grade: updated[0].grade,
+      letterGrade: updated[0].gpnc_letter_grade ?? null,
+    });
+  } catch (err) {
+    console.error("[update grade error]", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+async function loadGradingRoster(db, classId, { forUpdate = false } = {}) {
+  const { rows } = await db.query(
+    `
+      SELECT
+        e.student_id,
+        e.grade,
+        e.gpnc,
+        u.sbu_id,
+        u.email,
+        u.first_name,
+        u.last_name
+      FROM enrollments e
+      JOIN users u ON u.user_id = e.student_id
+      WHERE e.class_id = $1
+        AND e.status <> 'waitlisted'
+      ${forUpdate ? "FOR UPDATE OF e" : ""}
+    `,
+    [classId]
+  );
+  return rows;
+}
+
+function summarizePreview(rows) {
+  const valid = rows.filter((r) => r.valid).length;
+  return { total: rows.length, valid, invalid: rows.length - valid };
+}
+
+// Parses the uploaded file (multipart field "file") into grade entries
+function readGradeUpload(req) {
+  if (!req.file) throw new Error("No file uploaded");
+  const text = req.file.buffer.toString("utf8");
+  const { entries } = parseGradeFile(text, req.file.originalname);
+  if (!entries.length) throw new Error("The file has no grade rows");
+  return entries;
+}
+
+// Bulk grade entry, step 1: validate every row without writing anything
+router.post("/rosters/:classId/grades/preview", upload.single("file"), async (req, res) => {
+  const db = req.db;
+  const userId = getUserId(req);
+  if (!userId) return res.status(401).json({ ok: false, error: "Not authenticated" });
+
+  const classId = Number(req.params.classId);
+
+  let entries;
+  try {
+    entries = readGradeUpload(req);
+  } catch (e) {
+    return res.status(400).json({ ok: false, error: e.message });
+  }
+
+  try {
+    const access = await checkGradingAccess(db, req, userId, classId);
+    if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
+
+    const roster = await loadGradingRoster(db, classId);
+    const gpncPassThreshold = await getGpncPassThreshold(db);
+    const rows = validateGradeEntries(entries, roster, { allowedGrades: ALLOWED_GRADES, gpncPassThreshold });
+
+    return res.json({ ok: true, classId, rows, summary: summarizePreview(rows) });
+  } catch (err) {
+    console.error("[instructor/grades/preview]", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// Bulk grade entry, step 2: re-validate and apply every valid row in one transaction
+router.post("/rosters/:classId/grades", upload.single("file"), async (req, res) => {
+  const db = req.db;
+  const userId = getUserId(req);
+  if (!userId) return res.status(401).json({ ok: false, error: "Not authenticated" });
+
+  const classId = Number(req.params.classId);
+
+  let entries;
+  try {
+    entries = readGradeUpload(req);
+  } catch (e) {
+    return res.status(400).json({ ok: false, error: e.message });
+  }
+
+  const client = await db.connect();
+
+  try {
+    const access = await checkGradingAccess(client, req, userId, classId);
+    if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
+
+    await client.query("BEGIN");
+
+    const roster = await loadGradingRoster(client, classId, { forUpdate: true });
+    const gpncPassThreshold = await getGpncPassThreshold(client);
+    const rows = validateGradeEntries(entries, roster, { allowedGrades: ALLOWED_GRADES, gpncPassThreshold });
+    const validRows = rows.filter((r) => r.valid);
+
+    if (!validRows.length) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({
+        ok: false,
+        error: "No valid grade rows to apply",
+        rows,
+        summary: summarizePreview(rows),
+      });
+    }
+
+    for (const r of validRows) {
+      await client.query(
+        `
+          UPDATE enrollments
+          SET grade = $1, gpnc_letter_grade = $2, updated_at = now()
+          WHERE class_id = $3 AND student_id = $4
+        `,
+        [r.storedGrade, r.letterGrade, classId, r.studentId]
+      );
+      await recordGradeHistory(client, {
+        classId,
+        studentId: r.studentId,
+        oldGrade: r.currentGrade,
+        newGrade: r.storedGrade,
+        letterGrade: r.letterGrade,
+        source: "bulk_upload",
+        changedBy: userId,
+      });
+    }
+
+    await client.query("COMMIT");
+
+    return res.json({
+      ok: true,
+      classId,
+      applied: validRows.length,
+      rows,
+      summary: summarizePreview(rows),
+    });
+  } catch (err) {
+    try {
+      await client.query("ROLLBACK");
+    } catch (_) {}
+    console.error("[instructor/grades/apply]", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+/* ---------------------- SECTION STAFF ---------------------- */
+
+// Registrars, or section staff whose role grants `permission`
+async function canAccessSection(db, req, userId, classId, permission) {
+  if (await requireRegistrar(db, req, userId)) return true;
+  return (await requireInstructor(db, req, userId)) && (await hasSectionAccess(db, userId, classId, permission));
+}
+
+router.get("/rosters/:classId/staff", async (req, res) => {
+  const db = req.db;
+  const userId = getUserId(req);
+  if (!userId) return res.status(401).json({ ok: false, error: "Not authenticated" });
+
+  const classId = Number(req.params.classId);
+
+  try {
+    if (!(await canAccessSection(db, req, userId, classId, "view_roster"))) {
+      return res.status(403).json({ ok: false, error: "Not allowed to view staff for this class." });
+    }
+
+    return res.json({ ok: true, classId, staff: await listSectionStaff(db, classId) });
+  } catch (err) {
+    console.error("[instructor/rosters/staff]", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// Adds an instructor to a section as a co-instructor or grader, or changes their role
+router.post("/rosters/:classId/staff", async (req, res) => {
+  const db = req.db;
+  const userId = getUserId(req);
+  if (!userId) return res.status(401).json({ ok: false, error: "Not authenticated" });
+
+  const classId = Number(req.params.classId);
+  const email = String(req.body?.email ?? "").trim().toLowerCase();
+  const role = String(req.body?.role ?? "").trim().toLowerCase();
+  const assignable = SECTION_ROLES.filter((r) => r !== "primary");
+
+  if (!email) return res.status(400).json({ ok: false, error: "email is required." });
+  if (!assignable.includes(role)) {
+    return res.status(400).json({ ok: false, error: `role must be one of ${assignable.join(", ")}` });
+  }
+
+  try {
+    if (!(await canAccessSection(db, req, userId, classId, "manage_staff"))) {
+      return res.status(403).json({ ok: false, error: "Only the primary instructor or a registrar can manage section staff." });
+    }
+
+    const { rows: sectionRows } = await db.query(
+      `SELECT instructor_id FROM class_sections WHERE class_id = $1`,
+      [classId]
+    );
+    if (!sectionRows.length) return res.status(404).json({ ok: false, error: "Section not found." });
+
+    const { rows: userRows } = await db.query(
+      `SELECT user_id, role FROM users WHERE lower(email) = $1`,
+      [email]
+    );
+    if (!userRows.length) return res.status(404).json({ ok: false, error: `No user with email ${email}.` });
+
+    const staffId = Number(userRows[0].user_id);
+    if (normalizeRole(userRows[0].role) !== "instructor") {
+      return res.status(400).json({ ok: false, error: "Only instructor accounts can be added to a section." });
+    }
+    if (Number(sectionRows[0].instructor_id) === staffId) {
+      return res.status(400).json({ ok: false, error: "That user is already the section's primary instructor." });
+    }
+
+    await db.query(
+      `
+        INSERT INTO class_section_instructors (class_id, instructor_id, role)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (class_id, instructor_id) DO UPDATE SET role = EXCLUDED.role
+      `,
+      [classId, staffId, role]
+    );
+
+    return res.json({ ok: true, classId, staff: await listSectionStaff(db, classId) });
+  } catch (err) {
+    console.error("[instructor/rosters/staff/add]", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+router.delete("/rosters/:classId/staff/:staffId", async (req, res) => {
+  const db = req.db;
+  const userId = getUserId(req);
+  if (!userId) return res.status(401).json({ ok: false, error: "Not authenticated" });
+
+  const classId = Number(req.params.classId);
+  const staffId = Number(req.params.staffId);
+
+  try {
+    if (!(await canAccessSection(db, req, userId, classId, "manage_staff"))) {
+      return res.status(403).json({ ok: false, error: "Only the primary instructor or a registrar can manage section staff." });
+    }
+
+    const { rows } = await db.query(
+      `
+        DELETE FROM class_section_instructors csi
+        USING class_sections cs
+        WHERE cs.class_id = csi.class_id
+          AND csi.class_id = $1
+          AND csi.instructor_id = $2
+          AND cs.instructor_id IS DISTINCT FROM csi.instructor_id
+        RETURNING csi.instructor_id
+      `,
+      [classId, staffId]
+    );
+
+    if (!rows.length) {
+      return res.status(404).json({ ok: false, error: "No co-instructor or grader with that id on this section." });
+    }
+
+    return res.json({ ok: true, classId, staff: await listSectionStaff(db, classId) });
+  } catch (err) {
+    console.error("[instructor/rosters/staff/remove]", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+/* ---------------------- FINAL GRADE SUBMISSION ---------------------- */
+
+// Submits a section's final grades, which locks its roster. Every enrolled
+// student needs a grade first; submitting after grade_submission_ends is
+// allowed but reported as late.
+router.post("/rosters/:classId/submit", async (req, res) => {
+  const db = req.db;
+  const userId = getUserId(req);
+  if (!userId) return res.status(401).json({ ok: false, error: "Not authenticated" });
+
+  const classId = Number(req.params.classId);
+  if (!classId) return res.status(400).json({ ok: false, error: "Invalid class id." });
+
+  try {
+    const access = await checkGradingAccess(db, req, userId, classId, "submit_final_grades");
+    if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
+
+    const calendar = await getTermCalendar(db, access.termId);
+    const today = getCurrentDateString();
+    if (calendar?.gradeSubmissionBegins && today < calendar.gradeSubmissionBegins) {
+      return res.status(400).json({
+        ok: false,
+        error: `Final grades can be submitted starting ${calendar.gradeSubmissionBegins}.`,
+      });
+    }
+
+    const roster = await loadGradingRoster(db, classId);
+    const missing = roster
+      .filter((r) => isMissingGrade(r.grade))
+      .map((r) => ({ studentId: Number(r.student_id), name: `${r.first_name} ${r.last_name}` }));
+
+    if (missing.length) {
+      return res.status(400).json({
+        ok: false,
+        error: `${missing.length} student(s) still have no grade.`,
+        missing,
+      });
+    }
+
+    const { rows } = await db.query(
+      `
+        UPDATE class_sections
+        SET grades_submitted_at = now(), grades_submitted_by_user_id = $2
+        WHERE class_id = $1 AND grades_submitted_at IS NULL
+        RETURNING grades_submitted_at
       `,
       [classId, userId]
     );
 
-    if (!classCheck.length) {
-      return res.status(403).json({ ok: false, error: "Not allowed to change grades for this class." });
+    if (!rows.length) {
+      return res.status(409).json({ ok: false, error: "Final grades have already been submitted for this section." });
     }
 
-    const classTerm = Number(classCheck[0].term_id);
-    const currentTerm = await getCurrentTerm(db);
+    const late = Boolean(calendar?.gradeSubmissionEnds && today > calendar.gradeSubmissionEnds);
+
+    await createAuditLogEntry(db, {
+      studentId: null,
+      actionType: "final_grades_submitted",
+      actionDescription: `Final grades submitted for class ${classId} (${roster.length} student(s))${late ? ", after the deadline" : ""}`,
+      performedBy: userId,
+      entityType: "class_section",
+      entityId: classId,
+    });
+
+    return res.json({ ok: true, classId, submittedAt: rows[0].grades_submitted_at, late });
+  } catch (err) {
+    console.error("[instructor/rosters/submit]", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// Registrar unlocks a submitted roster; the reason is recorded in roster_unlocks
+router.post("/rosters/:classId/unlock", async (req, res) => {
+  const db = req.db;
+  const userId = getUserId(req);
+  if (!userId) return res.status(401).json({ ok: false, error: "Not authenticated" });
+
+  const classId = Number(req.params.classId);
+  const reason = String(req.body?.reason ?? "").trim();
+  if (!classId) return res.status(400).json({ ok: false, error: "Invalid class id." });
+  if (!reason) return res.status(400).json({ ok: false, error: "A reason is required to unlock a roster." });
+
+  const client = await db.connect();
+
+  try {
+    if (!(await requireRegistrar(client, req, userId))) {
+      return res.status(403).json({ ok: false, error: "Only registrars can unlock rosters." });
+    }
+
+    await client.query("BEGIN");
+
+    const { rows } = await client.query(
+      `
+        SELECT grades_submitted_at
+        FROM class_sections
+        WHERE class_id = $1
+        FOR UPDATE
+      `,
+      [classId]
+    );
+
+    if (!rows.length) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ ok: false, error: "Section not found." });
+    }
+    if (!rows[0].grades_submitted_at) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ ok: false, error: "This roster is not locked." });
+    }
+
+    await client.query(
+      `
+        INSERT INTO roster_unlocks (class_id, reason, grades_submitted_at, unlocked_by_user_id)
+        VALUES ($1, $2, $3, $4)
+      `,
+      [classId, reason, rows[0].grades_submitted_at, userId]
+    );
+
+    await client.query(
+      `
+        UPDATE class_sections
+        SET grades_submitted_at = NULL, grades_submitted_by_user_id = NULL
+        WHERE class_id = $1
+      `,
+      [classId]
+    );
+
+    await createAuditLogEntry(client, {
+      studentId: null,
+      actionType: "roster_unlocked",
+      actionDescription: `Roster for class ${classId} unlocked`,
+      performedBy: userId,
+      entityType: "class_section",
+      entityId: classId,
+      note: reason,
+    });
+
+    await client.query("COMMIT");
+
+    return res.json({ ok: true, classId });
+  } catch (err) {
+    try {
+      await client.query("ROLLBACK");
+    } catch (_) {}
+    console.error("[instructor/rosters/unlock]", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// Registrar dashboard: sections still missing final grades after the
+// grade submission deadline, and sections whose rosters are locked
+router.get("/grade-submissions", async (req, res) => {
+  const db = req.db;
+  const userId = getUserId(req);
+  if (!userId) return res.status(401).json({ ok: false, error: "Not authenticated" });
+
+  const termId = req.query.termId ? Number(req.query.termId) : null;
+
+  try {
+    if (!(await requireRegistrar(db, req, userId))) {
+      return res.status(403).json({ ok: false, error: "Only registrars can view grade submissions." });
+    }
+
+    const { rows } = await db.query(
+      `
+        SELECT
+          cs.class_id,
+          cs.section_num,
+          cs.grades_submitted_at,
+          c.subject,
+          c.course_num,
+          c.title,
+          t.term_id,
+          t.semester,
+          t.year,
+          ac.grade_submission_ends,
+          u.first_name AS instructor_first_name,
+          u.last_name AS instructor_last_name,
+          u.email AS instructor_email,
+          COUNT(e.student_id) AS enrolled_count,
+          COUNT(e.student_id) FILTER (WHERE ${MISSING_GRADE_SQL}) AS missing_count
+        FROM class_sections cs
+        JOIN courses c ON c.course_id = cs.course_id
+        JOIN terms t ON t.term_id = cs.term_id
+        LEFT JOIN academic_calendar ac
+          ON lower(ac.term->>'semester') = lower(t.semester::text)
+         AND (ac.term->>'year')::int = t.year
+        LEFT JOIN users u ON u.user_id = cs.instructor_id
+        JOIN enrollments e ON e.class_id = cs.class_id AND e.status <> 'waitlisted'
+        WHERE ($1::int IS NULL OR cs.term_id = $1::int)
+        GROUP BY cs.class_id, c.course_id, t.term_id, ac.id, u.user_id
+        ORDER BY t.year DESC, t.semester DESC, c.subject, c.course_num, cs.section_num
+      `,
+      [termId]
+    );
+
+    const today = getCurrentDateString();
+    const sections = rows.map((r) => ({
+      classId: Number(r.class_id),
+      sectionNum: r.section_num,
+      courseCode: `${r.subject} ${r.course_num}`,
+      title: r.title,
+      termId: Number(r.term_id),
+      termCode: `${r.semester} ${r.year}`,
+      deadline: toYmd(r.grade_submission_ends),
+      instructorName: r.instructor_first_name ? `${r.instructor_first_name} ${r.instructor_last_name}` : null,
+      instructorEmail: r.instructor_email ?? null,
+      enrolledCount: Number(r.enrolled_count),
+      missingCount: Number(r.missing_count),
+      submittedAt: r.grades_submitted_at ?? null,
+    }));
+
+    return res.json({
+      ok: true,
+      today,
+      overdue: sections.filter((s) => !s.submittedAt && s.missingCount > 0 && s.deadline && today > s.deadline),
+      submitted: sections.filter((s) => s.submittedAt),
+    });
+  } catch (err) {
+    console.error("[instructor/grade-submissions]", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+/* ---------------------- GRADE CHANGE REQUESTS ---------------------- */
+
+// A request's old grade may name the stored P/NC or the letter behind it
+const matchesPostedGrade = (enrollment, grade) => {
+  const g = String(grade ?? "").trim().toUpperCase();
+  return (
+    g === String(enrollment.grade ?? "").toUpperCase() ||
+    (enrollment.gpnc_letter_grade != null && g === String(enrollment.gpnc_letter_grade).toUpperCase())
+  );
+};
+
+function mapGradeChangeRequest(r) {
+  return {
+    requestId: Number(r.request_id),
+    classId: Number(r.class_id),
+    studentId: Number(r.student_id),
+    oldGrade: r.old_grade,
+    newGrade: r.new_grade,
+    justification: r.justification,
+    status: r.status,
+    requestedAt: r.requested_at,
+    reviewedAt: r.reviewed_at ?? null,
+    reviewNote: r.review_note ?? null,
+    courseCode: r.subject ? `${r.subject} ${r.course_num}` : null,
+    sectionNum: r.section_num ?? null,
+    termCode: r.semester ? `${r.semester} ${r.year}` : null,
+    studentName: r.student_first_name ? `${r.student_first_name} ${r.student_last_name}` : null,
+    requestedBy: r.requester_first_name ? `${r.requester_first_name} ${r.requester_last_name}` : null,
+  };
+}
+
+const GRADE_CHANGE_SELECT = `
+  SELECT
+    gcr.*,
+    c.subject,
+    c.course_num,
+    cs.section_num,
+    t.semester,
+    t.year,
+    su.first_name AS student_first_name,
+    su.last_name AS student_last_name,
+    ru.first_name AS requester_first_name,
+    ru.last_name AS requester_last_name
+  FROM grade_change_requests gcr
+  JOIN class_sections cs ON cs.class_id = gcr.class_id
+  JOIN courses c ON c.course_id = cs.course_id
+  JOIN terms t ON t.term_id = cs.term_id
+  JOIN users su ON su.user_id = gcr.student_id
+  LEFT JOIN users ru ON ru.user_id = gcr.requested_by_user_id
+`;
+
+// Instructor asks the registrar to change a posted grade
+router.post("/rosters/:classId/grade-changes", async (req, res) => {
+  const db = req.db;
+  const userId = getUserId(req);
+  if (!userId) return res.status(401).json({ ok: false, error: "Not authenticated" });
+
+  const classId = Number(req.params.classId);
+  const { studentId, oldGrade, newGrade, justification } = req.body;
+
+  if (!classId || !studentId || !oldGrade || !newGrade) {
+    return res.status(400).json({ ok: false, error: "studentId, oldGrade and newGrade are required." });
+  }
+  if (!justification || !String(justification).trim()) {
+    return res.status(400).json({ ok: false, error: "A justification is required." });
+  }
 
-    if (!currentTerm || Number(currentTerm.termId) !== classTerm) {
-      return res.status(403).json({ ok: false, error: "Grades may only be changed for the current term." });
+  const newUpper = String(newGrade).trim().toUpperCase();
+  if (!ALLOWED_GRADES.includes(newUpper)) {
+    return res.status(400).json({
+      ok: false,
+      error: "Invalid grade: must be one of " + ALLOWED_GRADES.join(", "),
+    });
+  }
+
+  try {
+    const okRole = await requireInstructor(db, req, userId);
+    if (!okRole || !(await hasSectionAccess(db, userId, classId, "request_grade_change"))) {
+      return res.status(403).json({ ok: false, error: "Not allowed to request grade changes for this class." });
     }
 
     const { rows: enrRows } = await db.query(
       `
-        SELECT grade
+        SELECT grade, gpnc, gpnc_letter_grade
         FROM enrollments
         WHERE class_id = $1 AND student_id = $2
       `,
@@ -241,24 +1034,390 @@ router.post("/rosters/:classId/grade", async (req, res) => {
       return res.status(404).json({ ok: false, error: "Enrollment not found." });
     }
 
-    const currGrade = enrRows[0].grade;
-    if (currGrade && String(currGrade).toUpperCase() !== "I") {
-      return res.status(400).json({ ok: false, error: "Only incomplete (I) or missing grades may be edited." });
+    const enrollment = enrRows[0];
+    if (!enrollment.grade) {
+      return res.status(400).json({ ok: false, error: "No grade has been posted yet; enter it from the roster instead." });
+    }
+    if (!matchesPostedGrade(enrollment, oldGrade)) {
+      return res.status(409).json({
+        ok: false,
+        error: `The posted grade is ${enrollment.gpnc_letter_grade || enrollment.grade}, not ${oldGrade}.`,
+      });
+    }
+    if (matchesPostedGrade(enrollment, newUpper)) {
+      return res.status(400).json({ ok: false, error: "The new grade is the same as the posted grade." });
     }
 
-    const { rows: updated } = await db.query(
+    let inserted;
+    try {
+      const result = await db.query(
+        `
+          INSERT INTO grade_change_requests
+            (class_id, student_id, old_grade, new_grade, justification, status, requested_by_user_id, requested_at)
+          VALUES ($1, $2, $3, $4, $5, 'pending', $6, NOW())
+          RETURNING *
+        `,
+        [classId, studentId, String(oldGrade).trim().toUpperCase(), newUpper, String(justification).trim(), userId]
+      );
+      inserted = result.rows[0];
+    } catch (e) {
+      if (e.code === "23505") {
+        return res.status(409).json({ ok: false, error: "A grade change request is already pending for this student." });
+      }
+      throw e;
+    }
+
+    await createAuditLogEntry(db, {
+      studentId: Number(studentId),
+      actionType: "grade_change_requested",
+      actionDescription: `Grade change requested for class ${classId}: ${inserted.old_grade} -> ${inserted.new_grade}`,
+      performedBy: userId,
+      entityType: "grade_change_request",
+      entityId: Number(inserted.request_id),
+      note: inserted.justification,
+    });
+
+    return res.json({
+      ok: true,
+      request: mapGradeChangeRequest(inserted),
+      message: "Grade change requested. A registrar must approve it.",
+    });
+  } catch (err) {
+    console.error("[instructor/grade-changes/request]", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// Registrars see every request (pending by default); instructors see their own
+router.get("/grade-changes", async (req, res) => {
+  const db = req.db;
+  const userId = getUserId(req);
+  if (!userId) return res.status(401).json({ ok: false, error: "Not authenticated" });
+
+  const status = req.query.status || "pending";
+
+  try {
+    const isRegistrar = await requireRegistrar(db, req, userId);
+    if (!isRegistrar && !(await requireInstructor(db, req, userId))) {
+      return res.status(403).json({ ok: false, error: "Only instructors and registrars can view grade change requests." });
+    }
+
+    const params = [];
+    const where = [];
+    if (status !== "all") {
+      params.push(status);
+      where.push(`gcr.status = $${params.length}`);
+    }
+    if (!isRegistrar) {
+      params.push(userId);
+      where.push(`gcr.requested_by_user_id = $${params.length}`);
+    }
+
+    const { rows } = await db.query(
       `
-        UPDATE enrollments
-        SET grade = $1, updated_at = now()
-        WHERE class_id = $2 AND student_id = $3
-        RETURNING grade
+        ${GRADE_CHANGE_SELECT}
+        ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+        ORDER BY gcr.requested_at ASC
       `,
-      [gradeUpper, classId, studentId]
+      params
     );
 
-    return res.json({ ok: true, grade: updated[0].grade });
+    return res.json({ ok: true, requests: rows.map(mapGradeChangeRequest) });
   } catch (err) {
-    console.error("[update grade error]", err);
+    console.error("[instructor/grade-changes]", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// Registrar decision: { approved: boolean, note }
+router.post("/grade-changes/:requestId/approve", async (req, res) => {
+  const db = req.db;
+  const userId = getUserId(req);
+  if (!userId) return res.status(401).json({ ok: false, error: "Not authenticated" });
+
+  const requestId = Number(req.params.requestId);
+  const { approved, note } = req.body;
+  if (typeof approved !== "boolean") {
+    return res.status(400).json({ ok: false, error: "approved (true/false) is required." });
+  }
+
+  const client = await db.connect();
+
+  try {
+    if (!(await requireRegistrar(client, req, userId))) {
+      return res.status(403).json({ ok: false, error: "Only registrars can review grade change requests." });
+    }
+
+    await client.query("BEGIN");
+
+    const { rows: reqRows } = await client.query(
+      `
+        SELECT *
+        FROM grade_change_requests
+        WHERE request_id = $1
+        FOR UPDATE
+      `,
+      [requestId]
+    );
+
+    if (!reqRows.length) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ ok: false, error: "Grade change request not found." });
+    }
+
+    const request = reqRows[0];
+    if (request.status !== "pending") {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ ok: false, error: `Request has already been ${request.status}.` });
+    }
+
+    let storedGrade = null;
+    if (approved) {
+      const { rows: enrRows } = await client.query(
+        `
+          SELECT grade, gpnc, gpnc_letter_grade
+          FROM enrollments
+          WHERE class_id = $1 AND student_id = $2
+          FOR UPDATE
+        `,
+        [request.class_id, request.student_id]
+      );
+
+      if (!enrRows.length) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ ok: false, error: "Enrollment no longer exists." });
+      }
+
+      const enrollment = enrRows[0];
+      if (!matchesPostedGrade(enrollment, request.old_grade)) {
+        await client.query("ROLLBACK");
+        return res.status(409).json({
+          ok: false,
+          error: `The posted grade changed to ${enrollment.grade} after this request was made.`,
+        });
+      }
+
+      const gpncPassThreshold = await getGpncPassThreshold(client);
+      const converted = gradeForEnrollment(request.new_grade, enrollment.gpnc, gpncPassThreshold);
+      storedGrade = converted.grade;
+
+      await client.query(
+        `
+          UPDATE enrollments
+          SET grade = $1, gpnc_letter_grade = $2, updated_at = now()
+          WHERE class_id = $3 AND student_id = $4
+        `,
+        [converted.grade, converted.letterGrade, request.class_id, request.student_id]
+      );
+
+      await recordGradeHistory(client, {
+        classId: Number(request.class_id),
+        studentId: Number(request.student_id),
+        oldGrade: enrollment.grade,
+        newGrade: converted.grade,
+        letterGrade: converted.letterGrade,
+        source: "grade_change",
+        changeRequestId: requestId,
+        changedBy: userId,
+      });
+    }
+
+    const { rows: updated } = await client.query(
+      `
+        UPDATE grade_change_requests
+        SET status = $1, reviewed_by_user_id = $2, reviewed_at = NOW(), review_note = $3
+        WHERE request_id = $4
+        RETURNING *
+      `,
+      [approved ? "approved" : "denied", userId, note || null, requestId]
+    );
+
+    await createAuditLogEntry(client, {
+      studentId: Number(request.student_id),
+      actionType: approved ? "grade_change_approved" : "grade_change_denied",
+      actionDescription: approved
+        ? `Grade for class ${request.class_id} changed from ${request.old_grade} to ${storedGrade}`
+        : `Grade change for class ${request.class_id} (${request.old_grade} -> ${request.new_grade}) denied`,
+      performedBy: userId,
+      entityType: "grade_change_request",
+      entityId: requestId,
+      note: note || null,
+    });
+
+    await client.query("COMMIT");
+
+    return res.json({ ok: true, request: mapGradeChangeRequest(updated[0]), grade: storedGrade });
+  } catch (err) {
+    try {
+      await client.query("ROLLBACK");
+    } catch (_) {}
+    console.error("[instructor/grade-changes/approve]", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// Every grade an enrollment has had, plus its grade change requests
+router.get("/rosters/:classId/students/:studentId/grade-history", async (req, res) => {
+  const db = req.db;
+  const userId = getUserId(req);
+  if (!userId) return res.status(401).json({ ok: false, error: "Not authenticated" });
+
+  const classId = Number(req.params.classId);
+  const studentId = Number(req.params.studentId);
+
+  try {
+    const allowed =
+      (await requireRegistrar(db, req, userId)) ||
+      ((await requireInstructor(db, req, userId)) && (await hasSectionAccess(db, userId, classId, "view_roster")));
+    if (!allowed) {
+      return res.status(403).json({ ok: false, error: "Not allowed to view grade history for this class." });
+    }
+
+    const history = await getGradeHistory(db, classId, studentId);
+    const { rows: requestRows } = await db.query(
+      `
+        ${GRADE_CHANGE_SELECT}
+        WHERE gcr.class_id = $1 AND gcr.student_id = $2
+        ORDER BY gcr.requested_at ASC
+      `,
+      [classId, studentId]
+    );
+
+    return res.json({
+      ok: true,
+      classId,
+      studentId,
+      history,
+      requests: requestRows.map(mapGradeChangeRequest),
+    });
+  } catch (err) {
+    console.error("[instructor/grade-history]", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+/* ---------------------- INCOMPLETE (I) GRADES ---------------------- */
+
+router.get("/incompletes/policy", async (req, res) => {
+  const userId = getUserId(req);
+  if (!userId) return res.status(401).json({ ok: false, error: "Not authenticated" });
+
+  const termId = Number(req.query.termId);
+  if (!termId) return res.status(400).json({ ok: false, error: "termId is required." });
+
+  try {
+    const policy = await getIncompletePolicy(req.db, termId);
+    return res.json({ ok: true, policy });
+  } catch (err) {
+    console.error("[instructor/incompletes/policy]", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// Registrar sets a term's resolution deadline (days after semester_end) and lapse grade
+router.put("/incompletes/policy", async (req, res) => {
+  const db = req.db;
+  const userId = getUserId(req);
+  if (!userId) return res.status(401).json({ ok: false, error: "Not authenticated" });
+
+  const { termId, resolutionDays, lapseGrade } = req.body;
+  const days = Number(resolutionDays);
+  const grade = String(lapseGrade ?? "").trim().toUpperCase();
+
+  if (!termId || !Number.isInteger(days) || days < 0) {
+    return res.status(400).json({ ok: false, error: "termId and a non-negative whole number of resolutionDays are required." });
+  }
+  if (!INCOMPLETE_LAPSE_GRADES.includes(grade)) {
+    return res.status(400).json({ ok: false, error: `lapseGrade must be one of ${INCOMPLETE_LAPSE_GRADES.join(", ")}` });
+  }
+
+  try {
+    if (!(await requireRegistrar(db, req, userId))) {
+      return res.status(403).json({ ok: false, error: "Only registrars can set the incomplete policy." });
+    }
+
+    await db.query(
+      `
+        INSERT INTO incomplete_grade_policies (term_id, resolution_days, lapse_grade, updated_by_user_id, updated_at)
+        VALUES ($1, $2, $3, $4, NOW())
+        ON CONFLICT (term_id)
+        DO UPDATE SET resolution_days = EXCLUDED.resolution_days,
+                      lapse_grade = EXCLUDED.lapse_grade,
+                      updated_by_user_id = EXCLUDED.updated_by_user_id,
+                      updated_at = NOW()
+      `,
+      [termId, days, grade, userId]
+    );
+
+    const policy = await getIncompletePolicy(db, termId);
+    return res.json({ ok: true, policy });
+  } catch (err) {
+    console.error("[instructor/incompletes/policy/update]", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// Registrar view: outstanding incompletes with deadlines, and those that lapsed
+router.get("/incompletes", async (req, res) => {
+  const db = req.db;
+  const userId = getUserId(req);
+  if (!userId) return res.status(401).json({ ok: false, error: "Not authenticated" });
+
+  const termId = req.query.termId ? Number(req.query.termId) : null;
+
+  try {
+    if (!(await requireRegistrar(db, req, userId))) {
+      return res.status(403).json({ ok: false, error: "Only registrars can view incomplete grades." });
+    }
+
+    const outstanding = await listIncompletes(db, { termId });
+
+    const { rows: lapsedRows } = await db.query(
+      `
+        SELECT
+          gh.class_id,
+          gh.student_id,
+          gh.new_grade,
+          gh.changed_at,
+          cs.section_num,
+          c.subject,
+          c.course_num,
+          t.semester,
+          t.year,
+          u.first_name,
+          u.last_name,
+          u.email
+        FROM grade_history gh
+        JOIN class_sections cs ON cs.class_id = gh.class_id
+        JOIN courses c ON c.course_id = cs.course_id
+        JOIN terms t ON t.term_id = cs.term_id
+        JOIN users u ON u.user_id = gh.student_id
+        WHERE gh.source = 'incomplete_lapse'
+          AND ($1::int IS NULL OR cs.term_id = $1::int)
+        ORDER BY gh.changed_at DESC
+      `,
+      [termId]
+    );
+
+    const lapsed = lapsedRows.map((r) => ({
+      classId: Number(r.class_id),
+      studentId: Number(r.student_id),
+      grade: r.new_grade,
+      lapsedAt: r.changed_at,
+      courseCode: `${r.subject} ${r.course_num}`,
+      sectionNum: r.section_num,
+      termCode: `${r.semester} ${r.year}`,
+      studentName: `${r.first_name} ${r.last_name}`,
+      email: r.email,
+    }));
+
+    const policy = termId ? await getIncompletePolicy(db, termId) : null;
+
+    return res.json({ ok: true, policy, outstanding, lapsed });
+  } catch (err) {
+    console.error("[instructor/incompletes]", err);
     return res.status(500).json({ ok: false, error: err.message });
   }
 });
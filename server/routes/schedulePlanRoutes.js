@@ -22,6 +22,21 @@
  */
 
 import express from "express";
+import { effectiveGrade, getGpncPassThreshold } from "../services/gpnc.js";
+import {
+  applyRequirementExceptions,
+  listRequirementExceptions,
+  plannedRequiredCourses,
+} from "../services/requirementExceptions.js";
+import { defaultWorkloadLimit, nextTerm, semesterRank, termCompare } from "../services/termCalendar.js";
+import { applyRepeatPolicy, getRepeatPolicy } from "../services/repeatPolicy.js";
+import { getStudentGraduationRequirements, LANG_CATEGORY } from "../services/graduationRequirements.js";
+import {
+  parseRequisiteValue,
+  evaluateRequisite,
+  describeRequisite,
+  compactCourseCode,
+} from "../services/requisiteParser.js";
 const router = express.Router();
 
 const GRADE_POINTS = {
@@ -32,14 +47,6 @@ const GRADE_POINTS = {
   F: 0.0,
 };
 
-const UNIVERSITY_GRAD_REQ = {
-  minimumCredits: 120,
-  sbcs: [
-    "ARTS","GLO","HUM","LANG","QPS","SBS","SNW","TECH","USA","WRT",
-    "STAS","EXP+","HFA+","SBS+","STEM+","CER","DIV","ESI","SPK","WRTD",
-  ],
-};
-
 const normStr = (x) => (x ?? "").toString().trim();
 const normUpper = (x) => {
   const s = normStr(x);
@@ -123,9 +130,9 @@ function normalizeSemesterForClient(raw) {
 /**
  * SBC extraction (PATCHED):
  * - Handles arrays, JSON strings, comma/space separated strings, and "SBS+ HFA+" style.
- * - Filters to the known SBC list so stray tokens don't pollute results.
+ * - Filters to the known SBC list (`sbcs`, from the graduation requirements) so stray tokens don't pollute results.
  */
-function extractSbcCodes(sbcField) {
+function extractSbcCodes(sbcField, sbcs) {
   if (!sbcField) return [];
 
   // If already an array, normalize directly
@@ -133,7 +140,7 @@ function extractSbcCodes(sbcField) {
     return sbcField
       .map(normStr)
       .map(normUpper)
-      .filter((c) => UNIVERSITY_GRAD_REQ.sbcs.includes(c));
+      .filter((c) => sbcs.includes(c));
   }
 
   // If it's an object, stringify and tokenize
@@ -145,7 +152,7 @@ function extractSbcCodes(sbcField) {
     const out = new Set();
     for (const m of up.matchAll(tokenRe)) {
       const tok = m[0];
-      if (UNIVERSITY_GRAD_REQ.sbcs.includes(tok)) out.add(tok);
+      if (sbcs.includes(tok)) out.add(tok);
     }
     return [...out];
   }
@@ -157,7 +164,7 @@ function extractSbcCodes(sbcField) {
   try {
     const parsed = JSON.parse(raw);
     if (parsed != null && parsed !== raw) {
-      return extractSbcCodes(parsed);
+      return extractSbcCodes(parsed, sbcs);
     }
   } catch (_) {}
 
@@ -168,7 +175,7 @@ function extractSbcCodes(sbcField) {
   const out = new Set();
   for (const m of up.matchAll(tokenRe)) {
     const tok = m[0];
-    if (UNIVERSITY_GRAD_REQ.sbcs.includes(tok)) out.add(tok);
+    if (sbcs.includes(tok)) out.add(tok);
   }
   return [...out];
 }
@@ -182,12 +189,13 @@ function computeGpa(rows) {
     const credits = Number(r.credits) || 0;
     if (!credits) continue;
 
-    const g = normUpper(r.grade);
+    // GPNC courses earn credit on a P but never enter GPA
+    const g = normUpper(effectiveGrade(r));
     if (!g) continue;
 
     if (isPassing(g)) completed += credits;
 
-    if (GRADE_POINTS[g] != null) {
+    if (!r.gpnc && GRADE_POINTS[g] != null) {
       num += GRADE_POINTS[g] * credits;
       denom += credits;
     }
@@ -200,13 +208,13 @@ function computeGpa(rows) {
   };
 }
 
-function computeSbcSummary(rows) {
+function computeSbcSummary(rows, gradReq) {
   const sbcMap = new Map(
-    UNIVERSITY_GRAD_REQ.sbcs.map((c) => [c, { code: c, completedCourses: [], inProgressCourses: [] }])
+    gradReq.sbcs.map((c) => [c, { code: c, completedCourses: [], inProgressCourses: [] }])
   );
 
   for (const r of rows) {
-    const codes = extractSbcCodes(r.sbc);
+    const codes = extractSbcCodes(r.sbc, gradReq.sbcs);
     const grade = normUpper(r.grade);
 
     const passed = grade && isPassing(grade);
@@ -229,14 +237,19 @@ function computeSbcSummary(rows) {
   }
 
   return {
-    minimumCredits: UNIVERSITY_GRAD_REQ.minimumCredits,
-    sbcCategories: [...sbcMap.values()].map((cat) => ({
-      ...cat,
-      completed: (cat.completedCourses?.length || 0) > 0,
-      inProgress: (cat.inProgressCourses?.length || 0) > 0,
-      completedCourses: cat.completedCourses || [],
-      inProgressCourses: cat.inProgressCourses || [],
-    })),
+    minimumCredits: gradReq.minimumCredits,
+    langExempt: gradReq.langExempt,
+    sbcCategories: [...sbcMap.values()].map((cat) => {
+      const exempt = cat.code === LANG_CATEGORY && gradReq.langExempt;
+      return {
+        ...cat,
+        exempt,
+        completed: exempt || (cat.completedCourses?.length || 0) > 0,
+        inProgress: (cat.inProgressCourses?.length || 0) > 0,
+        completedCourses: cat.completedCourses || [],
+        inProgressCourses: cat.inProgressCourses || [],
+      };
+    }),
   };
 }
 
@@ -321,12 +334,6 @@ function bestMatchDegreeRequirements(drRows, programType, programCode, programNa
   return best;
 }
 
-// NOTE: expanded to include SummerI / SummerII while still allowing "Summer" in comparisons
-const SEM_ORDER = { SPRING: 1, SUMMER: 2, SUMMERI: 2, SUMMERII: 3, FALL: 4, WINTER: 5 };
-function semKey(semester) {
-  return SEM_ORDER[normUpper(semester).replace(/\s+/g, "")] ?? 99;
-}
-
 // term label shown to frontend — keep "Summer {year}"
 function termLabel(semester, year) {
   const semClient = normalizeSemesterForClient(semester) || "Unknown";
@@ -353,34 +360,6 @@ function parseTermLabel(label) {
   return { semester: semester || null, year: Number.isFinite(year) ? year : null };
 }
 
-function nextTerm(semester, year) {
-  const sem = normUpper(normalizeSemesterForClient(semester)).replace(/\s+/g, "");
-  const yr = Number(year) || new Date().getFullYear();
-
-  const order = ["SPRING", "SUMMER", "FALL"];
-  const idx = order.indexOf(sem);
-  if (idx === -1) return { semester: "Spring", year: yr };
-
-  const nextIdx = (idx + 1) % order.length;
-  const nextYear = nextIdx === 0 ? yr + 1 : yr;
-  const nextSem = order[nextIdx];
-
-  return { semester: nextSem.charAt(0) + nextSem.slice(1).toLowerCase(), year: nextYear };
-}
-
-function defaultWorkloadLimit(semester) {
-  const s = normUpper(semester).replace(/\s+/g, "");
-  if (s === "SUMMER" || s === "SUMMERI" || s === "SUMMERII") return 0;
-  return 15;
-}
-
-function termCompare(aSem, aYear, bSem, bYear) {
-  const ay = Number(aYear) || 0;
-  const by = Number(bYear) || 0;
-  if (ay !== by) return ay - by;
-  return semKey(aSem) - semKey(bSem);
-}
-
 function normalizePlanCourseCode(raw) {
   return normUpper(raw).replace(/\s+/g, "");
 }
@@ -508,7 +487,9 @@ async function loadSavedPlan(db, userId) {
   };
 }
 
-async function getRequiredCourseCodes(db, userId) {
+// takenCodes: courses already passed, in progress or planned, so a
+// requirement met through any approved substitute is not planned again
+async function getRequiredCourseCodes(db, userId, takenCodes = new Set()) {
   // student programs
   const { rows: studentPrograms } = await db.query(
     `
@@ -555,18 +536,23 @@ async function getRequiredCourseCodes(db, userId) {
     }
 
     if (!dr) dr = bestMatchDegreeRequirements(drRows, programType, sp.program_code, sp.program_name);
-    if (dr) chosenReqRows.push({ programType, dr });
+    if (dr) chosenReqRows.push({ programId: Number(sp.program_id), programType, dr });
   }
 
+  // Advisor exceptions: a waived core needs no courses, and an approved
+  // substitute is planned in place of the course it replaces
+  const exceptions = await listRequirementExceptions(db, userId);
+
   const requiredCourseIdsSet = new Set();
   for (const x of chosenReqRows) {
-    const obj = safeJson(x.dr?.degree_requirements) || {};
-    const required = obj.required_courses ?? obj.requiredCourses ?? obj.required ?? [];
-    const list = Array.isArray(required) ? required : [];
-    for (const raw of list) {
-      const code = splitCourseCode(raw).code;
-      if (code) requiredCourseIdsSet.add(code);
-    }
+    const applied = applyRequirementExceptions(
+      safeJson(x.dr?.degree_requirements) || {},
+      exceptions.filter((e) => e.programId === x.programId)
+    );
+
+    const required = applied.reqObj.required_courses ?? applied.reqObj.requiredCourses ?? applied.reqObj.required ?? [];
+    const codes = (Array.isArray(required) ? required : []).map((raw) => splitCourseCode(raw).code).filter(Boolean);
+    for (const code of plannedRequiredCourses(codes, applied, takenCodes)) requiredCourseIdsSet.add(code);
   }
 
   return { requiredCourseIdsSet, requiredCourseIds: [...requiredCourseIdsSet].sort() };
@@ -611,72 +597,12 @@ async function detectPrereqSource(db) {
     cols.has("prerequisites_text") ? "prerequisites_text" :
     null;
 
-  if (candidate) return { kind: "courses_col", col: candidate };
+  // Parsed trees are stored next to the text when the catalog is scraped
+  const hasAst = cols.has("prerequisite_ast") && cols.has("requisites_parsed_at");
+  if (candidate) return { kind: "courses_col", col: candidate, hasAst };
   return { kind: "none" };
 }
 
-function extractCourseCodesFromTextOrJson(val) {
-  if (val == null) return [];
-  const text = typeof val === "string" ? val : JSON.stringify(val);
-
-  const re = /([A-Z]{2,6})\s*(\d{2,4}[A-Z]?)/g;
-  const out = [];
-  let m;
-  while ((m = re.exec(text)) !== null) {
-    out.push(`${m[1]}${m[2]}`.toUpperCase());
-  }
-  return [...new Set(out)];
-}
-
-/**
- * Return groups: [ ["CSE214"], ["MAT125","MAT131"] ] meaning (CSE214) AND (MAT125 OR MAT131)
- * Heuristic for plain strings:
- *  - contains " OR " => one OR-group
- *  - contains " AND " => AND of singletons
- *  - otherwise => AND of singletons
- */
-function prereqGroupsFromValue(val) {
-  if (Array.isArray(val)) {
-    const groups = [];
-    for (const item of val) {
-      if (Array.isArray(item)) {
-        const codes = item.map((x) => normalizePlanCourseCode(x)).filter(Boolean);
-        if (codes.length) groups.push([...new Set(codes)]);
-      } else {
-        const codes = extractCourseCodesFromTextOrJson(item).map(normalizePlanCourseCode).filter(Boolean);
-        for (const c of codes) groups.push([c]);
-      }
-    }
-    return groups;
-  }
-
-  if (val && typeof val === "object" && !Array.isArray(val)) {
-    const keys = Object.keys(val);
-    if (keys.some((k) => ["and", "all", "required"].includes(k))) {
-      const k = keys.find((x) => ["and", "all", "required"].includes(x));
-      return prereqGroupsFromValue(val[k]) || [];
-    }
-    if (keys.some((k) => ["or", "any"].includes(k))) {
-      const k = keys.find((x) => ["or", "any"].includes(x));
-      const codes = extractCourseCodesFromTextOrJson(val[k]).map(normalizePlanCourseCode).filter(Boolean);
-      return codes.length ? [Array.from(new Set(codes))] : [];
-    }
-  }
-
-  if (typeof val === "string") {
-    const up = val.toUpperCase();
-    const codes = extractCourseCodesFromTextOrJson(val).map(normalizePlanCourseCode).filter(Boolean);
-    if (!codes.length) return [];
-
-    if (up.includes(" OR ")) return [Array.from(new Set(codes))];
-    // treat as AND by default
-    return codes.map((c) => [c]);
-  }
-
-  const flat = extractCourseCodesFromTextOrJson(val).map(normalizePlanCourseCode).filter(Boolean);
-  return flat.map((c) => [c]);
-}
-
 async function courseCodeById(db, courseId) {
   const { rows } = await db.query(
     `SELECT subject, course_num FROM public.courses WHERE course_id = $1 LIMIT 1`,
@@ -686,7 +612,11 @@ async function courseCodeById(db, courseId) {
   return `${normUpper(rows[0].subject)}${normStr(rows[0].course_num)}`;
 }
 
-async function getPrereqGroupsForCourse(db, prereqSource, courseId) {
+/**
+ * Prerequisite expression tree for a course (see services/requisiteParser.js),
+ * or null when the course has no prerequisites.
+ */
+async function getPrereqAstForCourse(db, prereqSource, courseId) {
   if (prereqSource.kind === "none") {
     throw new Error(
       "Cannot validate prerequisites: no prerequisite source found (expected public.course_prerequisites or a prereq column on public.courses)."
@@ -703,31 +633,26 @@ async function getPrereqGroupsForCourse(db, prereqSource, courseId) {
       [courseId]
     );
     const prereqIds = (rows || []).map((r) => r.prereq_id).filter(Boolean);
-    if (!prereqIds.length) return [];
+    if (!prereqIds.length) return null;
 
     const codes = [];
     for (const pid of prereqIds) {
       const code = await courseCodeById(db, pid);
       if (code) codes.push(code);
     }
-    return codes.map((c) => [normalizePlanCourseCode(c)]);
+    // each prerequisite row is required on its own
+    return parseRequisiteValue(codes.map((c) => [normalizePlanCourseCode(c)])).ast;
   }
 
+  const astCols = prereqSource.hasAst ? ", prerequisite_ast, requisites_parsed_at" : "";
   const { rows } = await db.query(
-    `SELECT ${prereqSource.col} AS prereq_val FROM public.courses WHERE course_id = $1 LIMIT 1`,
+    `SELECT ${prereqSource.col} AS prereq_val${astCols} FROM public.courses WHERE course_id = $1 LIMIT 1`,
     [courseId]
   );
-  if (!rows.length) return [];
-  const val = rows[0].prereq_val;
-
-  let parsed = val;
-  if (typeof val === "string") {
-    try {
-      parsed = JSON.parse(val);
-    } catch (_) {}
-  }
+  if (!rows.length) return null;
+  if (rows[0].requisites_parsed_at) return rows[0].prerequisite_ast ?? null;
 
-  return prereqGroupsFromValue(parsed);
+  return parseRequisiteValue(rows[0].prereq_val).ast;
 }
 
 /**
@@ -792,6 +717,7 @@ router.get("/prefill", async (req, res) => {
       `
       SELECT
         e.grade,
+        e.gpnc,
         e.status,
         c.subject,
         c.course_num,
@@ -810,9 +736,10 @@ router.get("/prefill", async (req, res) => {
       [userId]
     );
 
+    const gpncPassThreshold = await getGpncPassThreshold(db);
     const enrollments = (enrRaw || []).map((r) => ({
       ...r,
-      grade: normUpper(r.grade) || null,
+      grade: normUpper(effectiveGrade(r, gpncPassThreshold)) || null,
       status: r.status ?? null,
       subject: normUpper(r.subject) || null,
       course_num: normStr(r.course_num) || null,
@@ -822,17 +749,23 @@ router.get("/prefill", async (req, res) => {
       year: r.year ?? null,
     }));
 
-    const overview = computeGpa(enrollments);
-    const sbcRequirements = computeSbcSummary(enrollments);
+    // Locked terms list every attempt; GPA and requirements follow the repeat policy
+    const { policy: repeatPolicy } = await getRepeatPolicy(db);
+    const countedEnrollments = applyRepeatPolicy(enrollments, repeatPolicy);
+
+    const gradReq = await getStudentGraduationRequirements(db, userId);
+
+    const overview = computeGpa(countedEnrollments);
+    const sbcRequirements = computeSbcSummary(countedEnrollments, gradReq);
 
     const passedCodes = new Set(
-      enrollments
+      countedEnrollments
         .filter((r) => r.grade && isPassing(r.grade))
         .map((r) => courseCodeFromRow(r))
         .filter(Boolean)
     );
 
-    const { requiredCourseIdsSet, requiredCourseIds } = await getRequiredCourseCodes(db, userId);
+    const { requiredCourseIdsSet, requiredCourseIds } = await getRequiredCourseCodes(db, userId, passedCodes);
 
     const missingRequired = requiredCourseIds.filter((c) => !passedCodes.has(c));
     const satisfiedRequired = requiredCourseIds.filter((c) => passedCodes.has(c));
@@ -874,7 +807,7 @@ router.get("/prefill", async (req, res) => {
       const ay = Number(a.year) || 0;
       const by = Number(b.year) || 0;
       if (ay !== by) return ay - by;
-      return semKey(a.semester) - semKey(b.semester);
+      return semesterRank(a.semester) - semesterRank(b.semester);
     });
 
     let lastLocked = { semester: "Fall", year: new Date().getFullYear() };
@@ -950,7 +883,7 @@ router.get("/prefill", async (req, res) => {
 
     return res.json({
       ok: true,
-      overview: { ...overview, totalCreditsRequired: UNIVERSITY_GRAD_REQ.minimumCredits },
+      overview: { ...overview, totalCreditsRequired: gradReq.minimumCredits },
       sbcRequirements,
       requiredSummary: {
         requiredCourseIds,
@@ -1092,7 +1025,7 @@ router.post("/save", async (req, res) => {
 // -------------------------
 function termSortKey(t) {
   const y = Number(t.year) || 0;
-  const s = semKey(t.semester);
+  const s = semesterRank(t.semester);
   return y * 100 + s;
 }
 
@@ -1108,8 +1041,8 @@ function parseTermFromAny(term) {
   };
 }
 
-function addSbcHits(sbcSet, sbcField) {
-  const codes = extractSbcCodes(sbcField);
+function addSbcHits(sbcSet, sbcField, sbcs) {
+  const codes = extractSbcCodes(sbcField, sbcs);
   for (const c of codes) sbcSet.add(normStr(c));
 }
 
@@ -1126,6 +1059,8 @@ router.post("/validate", async (req, res) => {
     const guard = await ensureStudent(db, userId);
     if (!guard.ok) return res.status(guard.status).json({ ok: false, error: guard.error });
 
+    const gradReq = await getStudentGraduationRequirements(db, userId);
+
     const body = req.body || {};
     const planTermsRaw = Array.isArray(body.planTerms) ? body.planTerms : [];
     const graduationTermRaw = normStr(body.graduationTerm);
@@ -1139,6 +1074,7 @@ router.post("/validate", async (req, res) => {
       `
       SELECT
         e.grade,
+        e.gpnc,
         e.status,
         c.subject,
         c.course_num,
@@ -1161,10 +1097,11 @@ router.post("/validate", async (req, res) => {
     const countedCodesForGrad = new Set();
     let creditsPlanned = 0;
     const sbcSatisfied = new Set();
+    const gpncPassThreshold = await getGpncPassThreshold(db);
 
     for (const r of enrRaw || []) {
       const code = `${normUpper(r.subject)}${normStr(r.course_num)}`;
-      const grade = normUpper(r.grade);
+      const grade = normUpper(effectiveGrade(r, gpncPassThreshold));
       const status = r.status ?? null;
 
       const semClient = normalizeSemesterForClient(r.semester ?? null);
@@ -1183,7 +1120,7 @@ router.post("/validate", async (req, res) => {
         if (!countedCodesForGrad.has(code)) {
           countedCodesForGrad.add(code);
           creditsPlanned += Number(r.credits) || 0;
-          addSbcHits(sbcSatisfied, r.sbc);
+          addSbcHits(sbcSatisfied, r.sbc, gradReq.sbcs);
         }
       }
     }
@@ -1268,17 +1205,17 @@ router.post("/validate", async (req, res) => {
         }
 
         // RULE 1: prerequisites must be satisfied BEFORE this term (only for planner-added courses)
-        const prereqGroups = await getPrereqGroupsForCourse(db, prereqSource, resolved.courseId);
-        for (const group of prereqGroups) {
-          const ok = group.some((opt) => satisfied.has(opt));
-          if (!ok) {
-            issues.push({
-              type: "PREREQ_MISSING",
-              termLabel: term.termLabel,
-              courseCode: code,
-              message: `Missing prerequisite(s) for ${code}: need one of [${group.join(", ")}] completed before this term.`,
-            });
-          }
+        const prereqAst = await getPrereqAstForCourse(db, prereqSource, resolved.courseId);
+        const { unmet } = evaluateRequisite(prereqAst, {
+          course: (node) => satisfied.has(compactCourseCode(node)),
+        });
+        for (const missing of unmet) {
+          issues.push({
+            type: "PREREQ_MISSING",
+            termLabel: term.termLabel,
+            courseCode: code,
+            message: `Missing prerequisite(s) for ${code}: need ${describeRequisite(missing)} completed before this term.`,
+          });
         }
 
         termCodesThisTerm.push(code);
@@ -1288,7 +1225,7 @@ router.post("/validate", async (req, res) => {
           countedCodesForGrad.add(code);
           const cCredits = Number(course?.credits);
           creditsPlanned += Number.isFinite(cCredits) && cCredits >= 0 ? cCredits : (Number(resolved.credits) || 0);
-          addSbcHits(sbcSatisfied, resolved.sbc);
+          addSbcHits(sbcSatisfied, resolved.sbc, gradReq.sbcs);
         }
       }
 
@@ -1332,14 +1269,14 @@ router.post("/validate", async (req, res) => {
     // -------------------------
     // GRADUATION CHECK (only after plan validity)
     // -------------------------
-    const { requiredCourseIds } = await getRequiredCourseCodes(db, userId);
+    const { requiredCourseIds } = await getRequiredCourseCodes(db, userId, countedCodesForGrad);
 
     const missingRequired = requiredCourseIds.filter((c) => !countedCodesForGrad.has(c));
 
     // SBC missing categories (simple rule: at least one course hits category)
-    const missingSbcCategories = UNIVERSITY_GRAD_REQ.sbcs.filter((cat) => !sbcSatisfied.has(cat));
+    const missingSbcCategories = gradReq.requiredSbcs.filter((cat) => !sbcSatisfied.has(cat));
 
-    const totalCreditsRequired = UNIVERSITY_GRAD_REQ.minimumCredits;
+    const totalCreditsRequired = gradReq.minimumCredits;
     const creditsMissing = Math.max(0, totalCreditsRequired - Math.round(creditsPlanned * 10) / 10);
 
     const graduationOk =
@@ -1368,12 +1305,12 @@ router.post("/validate", async (req, res) => {
 // -------------------------
 // POST /auto-plan (greedy)
 // -------------------------
-function prereqsSatisfied(prereqGroups, satisfiedSet) {
-  for (const group of prereqGroups || []) {
-    const ok = (group || []).some((code) => satisfiedSet.has(normalizePlanCourseCode(code)));
-    if (!ok) return false;
-  }
-  return true;
+// Only course leaves are checked; standing, major and permission leaves are
+// assumed to be met by the time the planned term starts.
+function prereqsSatisfied(prereqAst, satisfiedSet) {
+  return evaluateRequisite(prereqAst, {
+    course: (node) => satisfiedSet.has(compactCourseCode(node)),
+  }).satisfied;
 }
 
 function normalizeIncomingTerms(planTermsRaw) {
@@ -1456,11 +1393,12 @@ function ensureTermsThrough(terms, targetSem, targetYear, maxYear = 2035) {
   return terms;
 }
 
-async function loadEnrollmentBaselineForAuto(db, userId, gradSem, gradYear) {
+async function loadEnrollmentBaselineForAuto(db, userId, gradSem, gradYear, gradReq) {
   const { rows: enrRaw } = await db.query(
     `
     SELECT
       e.grade,
+      e.gpnc,
       e.status,
       c.subject,
       c.course_num,
@@ -1477,14 +1415,17 @@ async function loadEnrollmentBaselineForAuto(db, userId, gradSem, gradYear) {
     [userId]
   );
 
+  const { policy: repeatPolicy } = await getRepeatPolicy(db);
+  const gpncPassThreshold = await getGpncPassThreshold(db);
+
   const satisfied = new Set();
   const countedCodesForGrad = new Set();
   const sbcSatisfied = new Set();
   let creditsPlanned = 0;
 
-  for (const r of enrRaw || []) {
+  for (const r of applyRepeatPolicy(enrRaw || [], repeatPolicy, gpncPassThreshold)) {
     const code = `${normUpper(r.subject)}${normStr(r.course_num)}`;
-    const grade = normUpper(r.grade);
+    const grade = normUpper(effectiveGrade(r, gpncPassThreshold));
     const status = r.status ?? null;
 
     const semClient = normalizeSemesterForClient(r.semester ?? null);
@@ -1503,7 +1444,7 @@ async function loadEnrollmentBaselineForAuto(db, userId, gradSem, gradYear) {
       if (!countedCodesForGrad.has(code)) {
         countedCodesForGrad.add(code);
         creditsPlanned += Number(r.credits) || 0;
-        addSbcHits(sbcSatisfied, r.sbc);
+        addSbcHits(sbcSatisfied, r.sbc, gradReq.sbcs);
       }
     }
   }
@@ -1562,10 +1503,10 @@ async function getSemesterPool(db, semesterClient) {
   }));
 }
 
-function computeCompletionState(requiredCourseIds, countedCodesForGrad, sbcSatisfied, creditsPlanned) {
+function computeCompletionState(requiredCourseIds, countedCodesForGrad, sbcSatisfied, creditsPlanned, gradReq) {
   const missingRequired = (requiredCourseIds || []).filter((c) => !countedCodesForGrad.has(c));
-  const missingSbcCategories = UNIVERSITY_GRAD_REQ.sbcs.filter((cat) => !sbcSatisfied.has(cat));
-  const totalCreditsRequired = UNIVERSITY_GRAD_REQ.minimumCredits;
+  const missingSbcCategories = gradReq.requiredSbcs.filter((cat) => !sbcSatisfied.has(cat));
+  const totalCreditsRequired = gradReq.minimumCredits;
   const creditsMissing = Math.max(0, totalCreditsRequired - Math.round(creditsPlanned * 10) / 10);
 
   return {
@@ -1695,10 +1636,11 @@ router.post("/auto-plan", async (req, res) => {
       if (!t.locked) t.courses = [];
     }
 
-    const baseline = await loadEnrollmentBaselineForAuto(db, userId, requestedGradSem, requestedGradYear);
+    const gradReq = await getStudentGraduationRequirements(db, userId);
+    const baseline = await loadEnrollmentBaselineForAuto(db, userId, requestedGradSem, requestedGradYear, gradReq);
 
     const prereqSource = await detectPrereqSource(db);
-    const { requiredCourseIds } = await getRequiredCourseCodes(db, userId);
+    const { requiredCourseIds } = await getRequiredCourseCodes(db, userId, baseline.countedCodesForGrad);
 
     const reqInfo = new Map();
     const prereqCacheByCourseId = new Map();
@@ -1707,10 +1649,10 @@ router.post("/auto-plan", async (req, res) => {
       const resolved = await resolveCourseLatest(db, code);
       if (!resolved) continue;
 
-      let prereqGroups = prereqCacheByCourseId.get(resolved.courseId);
-      if (prereqGroups === undefined) {
-        prereqGroups = await getPrereqGroupsForCourse(db, prereqSource, resolved.courseId);
-        prereqCacheByCourseId.set(resolved.courseId, prereqGroups);
+      let prereqAst = prereqCacheByCourseId.get(resolved.courseId);
+      if (prereqAst === undefined) {
+        prereqAst = await getPrereqAstForCourse(db, prereqSource, resolved.courseId);
+        prereqCacheByCourseId.set(resolved.courseId, prereqAst);
       }
 
       const offeredSemSet = await getOfferedSemestersForCode(db, resolved.subject, resolved.courseNum);
@@ -1721,7 +1663,7 @@ router.post("/auto-plan", async (req, res) => {
         title: resolved.title ?? "",
         credits: Number(resolved.credits) || 0,
         sbc: resolved.sbc ?? null,
-        prereqGroups,
+        prereqAst,
         offeredSemSet,
       });
     }
@@ -1744,7 +1686,7 @@ router.post("/auto-plan", async (req, res) => {
       const credits = Number(courseMini.credits) || 0;
       creditsPlanned += credits;
 
-      if (courseMini.sbc != null) addSbcHits(sbcSatisfied, courseMini.sbc);
+      if (courseMini.sbc != null) addSbcHits(sbcSatisfied, courseMini.sbc, gradReq.sbcs);
 
       term.courses.push({
         code,
@@ -1801,7 +1743,7 @@ router.post("/auto-plan", async (req, res) => {
         const semKeyU = normUpper(term.semester);
         if (!info.offeredSemSet.has(semKeyU)) continue;
 
-        if (!prereqsSatisfied(info.prereqGroups, satisfiedForPrereqs)) continue;
+        if (!prereqsSatisfied(info.prereqAst, satisfiedForPrereqs)) continue;
 
         const override = Number(workloadOverrides[code]);
         const cCredits = Number.isFinite(override) && override > 0 ? override : (Number(info.credits) || 0);
@@ -1837,14 +1779,14 @@ router.post("/auto-plan", async (req, res) => {
         termCodesThisTerm.push(cand.code);
       }
 
-      const stateAfterRequired = computeCompletionState(requiredCourseIds, countedForGrad, sbcSatisfied, creditsPlanned);
+      const stateAfterRequired = computeCompletionState(requiredCourseIds, countedForGrad, sbcSatisfied, creditsPlanned, gradReq);
       let missingSbcSet = new Set(stateAfterRequired.missingSbcCategories);
 
       // 2) Fill SBC / credits as needed
       while (used < wl) {
         const remainingBudget = wl - used;
 
-        const needCredits = (UNIVERSITY_GRAD_REQ.minimumCredits - creditsPlanned) > 0;
+        const needCredits = (gradReq.minimumCredits - creditsPlanned) > 0;
         const needSbc = missingSbcSet.size > 0;
 
         if (!needCredits && !needSbc) break;
@@ -1870,22 +1812,22 @@ router.post("/auto-plan", async (req, res) => {
           if (cCredits <= 0) return;
           if (cCredits > remainingBudget) return;
 
-          const sbcCodes = extractSbcCodes(c.sbc).map(normStr);
+          const sbcCodes = extractSbcCodes(c.sbc, gradReq.sbcs).map(normStr);
           let cover = 0;
           for (const s of sbcCodes) if (missingSbcSet.has(s)) cover++;
 
           // First pass: if we still need SBC, try to pick something that covers missing SBC.
           if (requireCover && cover === 0) return;
 
-          let groups = prereqCacheByCourseId.get(c.courseId);
-          if (groups === undefined) {
-            groups = await getPrereqGroupsForCourse(db, prereqSource, c.courseId);
-            prereqCacheByCourseId.set(c.courseId, groups);
+          let prereqAst = prereqCacheByCourseId.get(c.courseId);
+          if (prereqAst === undefined) {
+            prereqAst = await getPrereqAstForCourse(db, prereqSource, c.courseId);
+            prereqCacheByCourseId.set(c.courseId, prereqAst);
           }
-          if (!prereqsSatisfied(groups, satisfiedForPrereqs)) return;
+          if (!prereqsSatisfied(prereqAst, satisfiedForPrereqs)) return;
 
           const desiredBonus = desiredSet.has(code) ? 50 : 0;
-          const noPrereqBonus = (groups?.length || 0) === 0 ? 20 : 0;
+          const noPrereqBonus = prereqAst ? 0 : 20;
 
           const score =
             cover * 200 +
@@ -1923,14 +1865,14 @@ router.post("/auto-plan", async (req, res) => {
         used += best.credits;
         termCodesThisTerm.push(best.code);
 
-        const sbcCodes = extractSbcCodes(best.sbc).map(normStr);
+        const sbcCodes = extractSbcCodes(best.sbc, gradReq.sbcs).map(normStr);
         for (const s of sbcCodes) missingSbcSet.delete(s);
       }
 
       // end of term: now courses count for prereqs
       for (const code of termCodesThisTerm) satisfiedForPrereqs.add(code);
 
-      const doneState = computeCompletionState(requiredCourseIds, countedForGrad, sbcSatisfied, creditsPlanned);
+      const doneState = computeCompletionState(requiredCourseIds, countedForGrad, sbcSatisfied, creditsPlanned, gradReq);
       if (doneState.graduationOk) {
         completionTermLabel = term.termLabel;
         break;
@@ -1941,7 +1883,7 @@ router.post("/auto-plan", async (req, res) => {
     }
 
     if (!completionTermLabel) {
-      const finalState = computeCompletionState(requiredCourseIds, countedForGrad, sbcSatisfied, creditsPlanned);
+      const finalState = computeCompletionState(requiredCourseIds, countedForGrad, sbcSatisfied, creditsPlanned, gradReq);
       return res.status(400).json({
         ok: false,
         error:
@@ -1968,7 +1910,7 @@ router.post("/auto-plan", async (req, res) => {
       console.error("[schedule-plan] auto-plan persist failed:", e);
     }
 
-    const finalState = computeCompletionState(requiredCourseIds, countedForGrad, sbcSatisfied, creditsPlanned);
+    const finalState = computeCompletionState(requiredCourseIds, countedForGrad, sbcSatisfied, creditsPlanned, gradReq);
 
     const earlier = termCompare(sugSem, sugYear, requestedGradSem, requestedGradYear) < 0;
     const later = termCompare(sugSem, sugYear, requestedGradSem, requestedGradYear) > 0;
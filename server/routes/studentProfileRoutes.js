@@ -1,38 +1,19 @@
 // server/routes/studentProfileRoutes.js
 import express from "express";
+import {
+  TRANSCRIPT_FORMATS,
+  loadDeclaredPrograms,
+  loadTransferCourses,
+  loadTranscript,
+  summarizeTerms,
+  toTranscriptHtml,
+  transcriptFileName,
+} from "../services/transcript.js";
+import { getStudentStandings } from "../services/academicStanding.js";
+import { getGpncPassThreshold } from "../services/gpnc.js";
+import { getRepeatPolicy } from "../services/repeatPolicy.js";
 const router = express.Router();
 
-/* -------------------------------------
-   GPA POINT MAPPING
--------------------------------------- */
-const gradePoints = {
-  "A+": 4.0, A: 4.0, "A-": 3.7,
-  "B+": 3.3, B: 3.0, "B-": 2.7,
-  "C+": 2.3, C: 2.0, "C-": 1.7,
-  "D+": 1.3, D: 1.0, "D-": 0.7,
-  F: 0.0,
-};
-
-function computeGpa(rows) {
-  let totalPts = 0;
-  let totalCr = 0;
-
-  for (const r of rows) {
-    if (!r.grade) continue;
-
-    const gp = gradePoints[r.grade.toUpperCase()];
-    if (gp === undefined) continue;
-
-    const credits = Number(r.credits || 0); // uses courses.credits ONLY
-    if (!credits) continue;
-
-    totalPts += gp * credits;
-    totalCr += credits;
-  }
-
-  return totalCr > 0 ? totalPts / totalCr : null;
-}
-
 /* -------------------------------------
    Helper: compute class standing
 -------------------------------------- */
@@ -72,63 +53,7 @@ router.get("/", async (req, res) => {
     /* -------------------------------------
          1b. MAJORS & MINORS WITH REQUIREMENT VERSIONS
     -------------------------------------- */
-    // Join student_programs -> programs -> degree_requirements
-    // Match degree_requirements by parsing program code (e.g., "CSE-BS" -> subject="CSE", degree_type="BS")
-    const { rows: programRows } = await db.query(
-      `
-        SELECT 
-          COALESCE(dr.subject, SPLIT_PART(p.code, '-', 1)) as subject,
-          COALESCE(dr.degree_type, SPLIT_PART(p.code, '-', 2)) as degree_type,
-          CASE 
-            WHEN p.type = 'MAJOR' THEN 'major'
-            WHEN p.type = 'MINOR' THEN 'minor'
-            ELSE 'major'
-          END as program_type,
-          dr.effective_term
-        FROM student_programs sp
-        JOIN programs p ON p.program_id = sp.program_id
-        LEFT JOIN degree_requirements dr ON 
-          dr.subject = SPLIT_PART(p.code, '-', 1)
-          AND dr.degree_type = SPLIT_PART(p.code, '-', 2)
-          AND dr.program_type = CASE 
-            WHEN p.type = 'MAJOR' THEN 'major'
-            WHEN p.type = 'MINOR' THEN 'minor'
-            ELSE 'major'
-          END
-        WHERE sp.student_id = $1
-      `,
-      [userId]
-    );
-
-    const declaredMajors = programRows
-      .filter((p) => p.program_type === "major")
-      .map((p) => {
-        const effectiveTerm = typeof p.effective_term === 'string' 
-          ? JSON.parse(p.effective_term) 
-          : p.effective_term;
-        const termStr = effectiveTerm 
-          ? `${effectiveTerm.semester} ${effectiveTerm.year}` 
-          : '';
-        return {
-          program: `${p.subject} ${p.degree_type}`,
-          requirementVersion: termStr
-        };
-      });
-
-    const declaredMinors = programRows
-      .filter((p) => p.program_type === "minor")
-      .map((p) => {
-        const effectiveTerm = typeof p.effective_term === 'string' 
-          ? JSON.parse(p.effective_term) 
-          : p.effective_term;
-        const termStr = effectiveTerm 
-          ? `${effectiveTerm.semester} ${effectiveTerm.year}` 
-          : '';
-        return {
-          program: `${p.subject} ${p.degree_type}`,
-          requirementVersion: termStr
-        };
-      });
+    const { declaredMajors, declaredMinors } = await loadDeclaredPrograms(db, userId);
 
     /* -------------------------------------
          2. CUMULATIVE GPA + CREDITS
@@ -137,6 +62,10 @@ router.get("/", async (req, res) => {
       `
         SELECT 
           e.grade,
+          e.gpnc,
+          c.subject,
+          c.course_num,
+          c.title,
           c.credits,
           t.term_id,
           t.semester,
@@ -146,84 +75,32 @@ router.get("/", async (req, res) => {
         JOIN courses c ON c.course_id = cs.course_id
         JOIN terms t ON t.term_id = cs.term_id
         WHERE e.student_id = $1
+          AND e.status <> 'waitlisted'
         ORDER BY t.year, t.semester
       `,
       [userId]
     );
 
-    const graded = allEnrollments.filter(
-      (e) => e.grade && e.grade.toUpperCase() !== "I"
-    );
-
-    const cumulativeCredits = graded.reduce(
-      (sum, e) => sum + Number(e.credits || 0),
-      0
-    );
+    // Same figures as the transcript, with repeated courses counted once
+    const { policy: repeatPolicy } = await getRepeatPolicy(db);
+    const gpncPassThreshold = await getGpncPassThreshold(db);
+    const academicSummary = summarizeTerms(allEnrollments, repeatPolicy, gpncPassThreshold);
 
-    const cumulativeGPA = computeGpa(graded);
+    const cumulativeCredits = academicSummary.cumulativeEarnedCredits;
+    const cumulativeGPA = academicSummary.cumulativeGpa;
     const classStanding = computeClassStanding(cumulativeCredits);
 
     /* -------------------------------------
          2b. TERM-BY-TERM GPA AND CUMULATIVE GPA/CREDITS
     -------------------------------------- */
-    // Group enrollments by term
-    const enrollmentsByTerm = {};
-    for (const e of allEnrollments) {
-      const termKey = `${e.semester}_${e.year}`;
-      if (!enrollmentsByTerm[termKey]) {
-        enrollmentsByTerm[termKey] = {
-          semester: e.semester,
-          year: e.year,
-          enrollments: []
-        };
-      }
-      enrollmentsByTerm[termKey].enrollments.push(e);
-    }
-
-    // Calculate term-by-term GPA and cumulative GPA/credits
-    const termHistory = [];
-    let runningCredits = 0;
-    let runningPoints = 0;
-
-    // Sort terms chronologically
-    const sortedTerms = Object.values(enrollmentsByTerm).sort((a, b) => {
-      if (a.year !== b.year) return a.year - b.year;
-      const semOrder = { 'Spring': 1, 'SummerI': 2, 'SummerII': 3, 'Fall': 4 };
-      return (semOrder[a.semester] || 99) - (semOrder[b.semester] || 99);
-    });
-
-    for (const termData of sortedTerms) {
-      const termGraded = termData.enrollments.filter(
-        (e) => e.grade && e.grade.toUpperCase() !== "I"
-      );
-      
-      const termGpa = computeGpa(termGraded);
-      const termCredits = termGraded.reduce(
-        (sum, e) => sum + Number(e.credits || 0),
-        0
-      );
-
-      // Update running totals for cumulative GPA
-      for (const e of termGraded) {
-        const gp = gradePoints[e.grade.toUpperCase()];
-        if (gp !== undefined) {
-          const credits = Number(e.credits || 0);
-          runningPoints += gp * credits;
-          runningCredits += credits;
-        }
-      }
-
-      const cumulativeGpaAtTerm = runningCredits > 0 ? runningPoints / runningCredits : null;
-
-      termHistory.push({
-        semester: termData.semester,
-        year: termData.year,
-        termGPA: termGpa,
-        termCredits: termCredits,
-        cumulativeGPA: cumulativeGpaAtTerm,
-        cumulativeCredits: runningCredits
-      });
-    }
+    const termHistory = academicSummary.terms.map((t) => ({
+      semester: t.semester,
+      year: t.year,
+      termGPA: t.termGpa,
+      termCredits: t.earnedCredits,
+      cumulativeGPA: t.cumulativeGpa,
+      cumulativeCredits: t.cumulativeEarnedCredits,
+    }));
 
     /* -------------------------------------
          3. CURRENT TERM GPA + SCHEDULE
@@ -294,15 +171,9 @@ router.get("/", async (req, res) => {
         year: r.year
       }));
 
-      const gradedThisTerm = termRows.filter(
-        (r) => r.grade && r.grade.toUpperCase() !== "I"
-      );
-
-      termGpa = computeGpa(gradedThisTerm);
-      termCredits = gradedThisTerm.reduce(
-        (sum, r) => sum + Number(r.credits || 0),
-        0
-      );
+      const currentTerm = academicSummary.terms.find((t) => t.termId === Number(currentTermId));
+      termGpa = currentTerm?.termGpa ?? null;
+      termCredits = currentTerm?.earnedCredits ?? 0;
     }
 
     /* -------------------------------------
@@ -329,23 +200,7 @@ router.get("/", async (req, res) => {
     /* -------------------------------------
          5. TRANSFER COURSES (if available in database)
     -------------------------------------- */
-    // Note: transfer_courses may not be stored in database
-    let transferCourses = [];
-    try {
-      const { rows: transferRows } = await db.query(
-        `SELECT transfer_courses FROM students WHERE user_id = $1`,
-        [userId]
-      );
-      if (transferRows.length > 0 && transferRows[0].transfer_courses) {
-        transferCourses = typeof transferRows[0].transfer_courses === 'string'
-          ? JSON.parse(transferRows[0].transfer_courses)
-          : transferRows[0].transfer_courses;
-        if (!Array.isArray(transferCourses)) transferCourses = [];
-      }
-    } catch (err) {
-      // Field may not exist, that's okay
-      console.log("transfer_courses field not available:", err.message);
-    }
+    const transferCourses = await loadTransferCourses(db, userId);
 
     /* -------------------------------------
          6. ALL TERM SCHEDULES (for viewing any term)
@@ -427,6 +282,25 @@ router.get("/", async (req, res) => {
       registrationHolds = [];
     }
 
+    /* -------------------------------------
+         8. ACADEMIC STANDING (recorded once a term ends)
+    -------------------------------------- */
+    let standings = [];
+    try {
+      standings = await getStudentStandings(db, userId);
+    } catch (err) {
+      console.log("academic_standings query error:", err.message);
+    }
+
+    for (const entry of termHistory) {
+      const recorded = standings.find(
+        (s) => s.semester === entry.semester && s.year === Number(entry.year)
+      );
+      entry.standing = recorded ? recorded.label : null;
+    }
+
+    const latestStanding = standings[standings.length - 1] ?? null;
+
     /* -------------------------------------
          FINAL RESPONSE
     -------------------------------------- */
@@ -450,6 +324,9 @@ router.get("/", async (req, res) => {
         termHistory, // Term-by-term GPA and cumulative GPA/credits
         registrationHolds,
         transferCourses,
+        academicStanding: latestStanding
+          ? { standing: latestStanding.standing, label: latestStanding.label, term: latestStanding.termCode }
+          : null,
       },
       schedule, // Current term schedule
       schedulesByTerm: Object.values(schedulesByTerm), // All term schedules
@@ -460,4 +337,45 @@ router.get("/", async (req, res) => {
   }
 });
 
+/* -------------------------------------
+   UNOFFICIAL TRANSCRIPT
+   ?format=json | html (printable, save as PDF from the browser)
+   Students see their own; registrars and advisors pass ?studentId.
+-------------------------------------- */
+router.get("/transcript", async (req, res) => {
+  try {
+    const db = req.db;
+    const { userId, role } = req.user || {};
+
+    let studentId = userId;
+    if (role === "Registrar" || role === "Advisor") {
+      studentId = Number(req.query.studentId);
+      if (!Number.isInteger(studentId)) {
+        return res.status(400).json({ error: "studentId is required" });
+      }
+    } else if (!userId || role !== "Student") {
+      return res.status(403).json({ error: "Not authorized" });
+    }
+
+    const format = String(req.query.format ?? "json").toLowerCase();
+    if (!TRANSCRIPT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of ${TRANSCRIPT_FORMATS.join(", ")}` });
+    }
+
+    const transcript = await loadTranscript(db, studentId);
+    if (!transcript) return res.status(404).json({ error: "Student not found" });
+
+    if (format === "html") {
+      res.setHeader("Content-Type", "text/html; charset=utf-8");
+      res.setHeader("Content-Disposition", `inline; filename="${transcriptFileName(transcript)}.html"`);
+      return res.status(200).send(toTranscriptHtml(transcript));
+    }
+
+    return res.json(transcript);
+  } catch (err) {
+    console.error("studentProfile transcript error:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
 export default router;
@@ -0,0 +1,376 @@
+/**
+ * @file academicStanding.js
+ * @description End-of-term academic standing.
+ *
+ * - A term closes once SAM's current date (dateWrapper) is past its
+ *   academic_calendar.grade_submission_ends (semester_end when no grade
+ *   submission window is set), so final grades are in. Every student with a
+ *   non-waitlisted enrollment in a closed term gets exactly one standing for
+ *   it; standings already recorded are never recomputed, so later grade
+ *   changes (including I grades lapsing) and threshold changes only affect
+ *   terms that close afterwards.
+ * - Term and cumulative GPA come from summarizeTerms (transcript.js) under
+ *   the repeat policy, so they match the transcript. Cumulative GPA covers the term and every
+ *   earlier one.
+ * - probation: cumulative GPA below the probation threshold. An
+ *   academic_advising registration hold is placed and audited, but only for
+ *   the student's most recent closed term, only while their current
+ *   cumulative GPA is still below the threshold, and only when they have no
+ *   unresolved one already. Standings backfilled for older terms (the first
+ *   run, or a late enrollment in a past term) are recorded without a hold.
+ *   deans_list: term GPA at or above the dean's list threshold over at least
+ *   the minimum GPA credits, with no I grade that term.
+ *   good_standing: everyone else, including students with no GPA yet.
+ *
+ * Processing runs whenever the current date moves forward.
+ */
+
+import { getCurrentDateString } from '../utils/dateWrapper.js';
+import { createAuditLogEntry } from './registrationChecks.js';
+import { getGpncPassThreshold } from './gpnc.js';
+import { getRepeatPolicy } from './repeatPolicy.js';
+import { termCompare } from './termCalendar.js';
+import { summarizeTerms } from './transcript.js';
+
+export const ACADEMIC_STANDINGS = ['good_standing', 'probation', 'deans_list'];
+
+export const STANDING_LABELS = {
+  good_standing: 'Good Standing',
+  probation: 'Academic Probation',
+  deans_list: "Dean's List",
+};
+
+export const DEFAULT_STANDING_THRESHOLDS = {
+  probationGpa: 2.0,
+  deansListGpa: 3.5,
+  deansListMinCredits: 12,
+};
+
+export const PROBATION_HOLD_TYPE = 'academic_advising';
+
+// Last current-date value seen by processAcademicStandingIfDateAdvanced (YYYY-MM-DD)
+let lastSeenDate = null;
+
+const numberOr = (value, fallback) => (value == null || Number.isNaN(Number(value)) ? fallback : Number(value));
+
+/**
+ * Standing thresholds from system_state, falling back to the defaults.
+ * @returns {Promise<{probationGpa: number, deansListGpa: number, deansListMinCredits: number}>}
+ */
+export async function getStandingThresholds(db) {
+  const { rows } = await db.query(
+    `
+    SELECT standing_probation_gpa, standing_deans_list_gpa, standing_deans_list_min_credits
+    FROM system_state
+    ORDER BY system_state_id DESC
+    LIMIT 1
+    `
+  );
+
+  const row = rows[0] ?? {};
+  return {
+    probationGpa: numberOr(row.standing_probation_gpa, DEFAULT_STANDING_THRESHOLDS.probationGpa),
+    deansListGpa: numberOr(row.standing_deans_list_gpa, DEFAULT_STANDING_THRESHOLDS.deansListGpa),
+    deansListMinCredits: numberOr(row.standing_deans_list_min_credits, DEFAULT_STANDING_THRESHOLDS.deansListMinCredits),
+  };
+}
+
+/**
+ * The standing for one student-term summary (an entry of summarizeTerms).
+ */
+export function determineStanding(term, thresholds) {
+  if (term.cumulativeGpa != null && term.cumulativeGpa < thresholds.probationGpa) return 'probation';
+
+  const hasIncomplete = term.courses.some((c) => c.grade === 'I');
+  if (
+    term.termGpa != null &&
+    term.termGpa >= thresholds.deansListGpa &&
+    term.gpaCredits >= thresholds.deansListMinCredits &&
+    !hasIncomplete
+  ) {
+    return 'deans_list';
+  }
+
+  return 'good_standing';
+}
+
+/**
+ * Terms whose grade submission window (or, without one, semester) ended
+ * before `today` and that still have enrolled students without a standing,
+ * in chronological order.
+ */
+export async function listTermsToClose(db, today) {
+  const { rows } = await db.query(
+    `
+    SELECT t.term_id, t.semester, t.year
+    FROM terms t
+    JOIN academic_calendar ac
+      ON lower(ac.term->>'semester') = lower(t.semester::text)
+     AND (ac.term->>'year')::int = t.year
+    WHERE COALESCE(ac.grade_submission_ends, ac.semester_end) < $1::date
+      AND EXISTS (
+        SELECT 1
+        FROM enrollments e
+        JOIN class_sections cs ON cs.class_id = e.class_id
+        WHERE cs.term_id = t.term_id
+          AND e.status <> 'waitlisted'
+          AND NOT EXISTS (
+            SELECT 1 FROM academic_standings s
+            WHERE s.student_id = e.student_id AND s.term_id = t.term_id
+          )
+      )
+    `,
+    [today]
+  );
+
+  return rows
+    .map((r) => ({ termId: Number(r.term_id), semester: r.semester, year: Number(r.year) }))
+    .sort((a, b) => termCompare(a.semester, a.year, b.semester, b.year));
+}
+
+/**
+ * Ids of every term whose grade submission window (or semester) ended
+ * before `today`.
+ */
+async function listClosedTermIds(db, today) {
+  const { rows } = await db.query(
+    `
+    SELECT t.term_id
+    FROM terms t
+    JOIN academic_calendar ac
+      ON lower(ac.term->>'semester') = lower(t.semester::text)
+     AND (ac.term->>'year')::int = t.year
+    WHERE COALESCE(ac.grade_submission_ends, ac.semester_end) < $1::date
+    `,
+    [today]
+  );
+  return new Set(rows.map((r) => Number(r.term_id)));
+}
+
+/**
+ * All enrollments, across every term, of the students in `termId` who do
+ * not yet have a standing for it.
+ */
+async function loadUnrankedStudentEnrollments(db, termId) {
+  const { rows } = await db.query(
+    `
+    SELECT
+      e.student_id,
+      e.grade,
+      e.gpnc,
+      c.subject,
+      c.course_num,
+      c.title,
+      c.credits,
+      t.term_id,
+      t.semester,
+      t.year
+    FROM enrollments e
+    JOIN class_sections cs ON cs.class_id = e.class_id
+    JOIN courses c ON c.course_id = cs.course_id
+    JOIN terms t ON t.term_id = cs.term_id
+    WHERE e.status <> 'waitlisted'
+      AND e.student_id IN (
+        SELECT e2.student_id
+        FROM enrollments e2
+        JOIN class_sections cs2 ON cs2.class_id = e2.class_id
+        WHERE cs2.term_id = $1
+          AND e2.status <> 'waitlisted'
+          AND NOT EXISTS (
+            SELECT 1 FROM academic_standings s
+            WHERE s.student_id = e2.student_id AND s.term_id = $1
+          )
+      )
+    `,
+    [termId]
+  );
+  return rows;
+}
+
+// Places a probation hold, or returns the student's unresolved one
+async function placeProbationHold(db, { studentId, termCode, cumulativeGpa, thresholds, performedBy }) {
+  const existing = await db.query(
+    `
+    SELECT hold_id
+    FROM registration_holds
+    WHERE student_user_id = $1 AND hold_type = $2 AND resolved_at IS NULL
+    ORDER BY hold_id
+    LIMIT 1
+    `,
+    [studentId, PROBATION_HOLD_TYPE]
+  );
+  if (existing.rows.length > 0) return existing.rows[0].hold_id;
+
+  const note = `Academic probation after ${termCode}: cumulative GPA ${cumulativeGpa.toFixed(3)} is below ${thresholds.probationGpa.toFixed(3)}`;
+
+  const { rows } = await db.query(
+    `
+    INSERT INTO registration_holds (student_user_id, hold_type, note, placed_by_user_id, placed_at)
+    VALUES ($1, $2, $3, $4, NOW())
+    RETURNING hold_id
+    `,
+    [studentId, PROBATION_HOLD_TYPE, note, performedBy]
+  );
+  const holdId = rows[0].hold_id;
+
+  await createAuditLogEntry(db, {
+    studentId,
+    actionType: 'registration_hold_placed',
+    actionDescription: `Registration hold placed automatically: ${PROBATION_HOLD_TYPE} - ${note}`,
+    performedBy,
+    entityType: 'registration_hold',
+    entityId: holdId,
+    note,
+  });
+
+  return holdId;
+}
+
+/**
+ * Records standings for every closed term and places probation holds.
+ * @returns {Promise<{date: string, terms: Array, assigned: number, probation: Array}>}
+ */
+export async function processAcademicStanding(db, { performedBy = null } = {}) {
+  const today = getCurrentDateString();
+  const summary = { date: today, terms: [], assigned: 0, probation: [] };
+
+  const termsToClose = await listTermsToClose(db, today);
+  if (termsToClose.length === 0) return summary;
+
+  const thresholds = await getStandingThresholds(db);
+  const { policy: repeatPolicy } = await getRepeatPolicy(db);
+  const gpncPassThreshold = await getGpncPassThreshold(db);
+  const closedTermIds = await listClosedTermIds(db, today);
+
+  for (const closing of termsToClose) {
+    const termCode = `${closing.semester} ${closing.year}`;
+    const rows = await loadUnrankedStudentEnrollments(db, closing.termId);
+
+    const rowsByStudent = new Map();
+    for (const r of rows) {
+      const studentId = Number(r.student_id);
+      if (!rowsByStudent.has(studentId)) rowsByStudent.set(studentId, []);
+      rowsByStudent.get(studentId).push(r);
+    }
+
+    let assigned = 0;
+    for (const [studentId, studentRows] of rowsByStudent) {
+      const history = summarizeTerms(studentRows, repeatPolicy, gpncPassThreshold);
+      const term = history.terms.find((t) => t.termId === closing.termId);
+      if (!term) continue;
+      const latestClosed = history.terms.filter((t) => closedTermIds.has(t.termId)).at(-1);
+
+      const standing = determineStanding(term, thresholds);
+
+      // A concurrent run may already have recorded this student
+      const insertRes = await db.query(
+        `
+        INSERT INTO academic_standings
+          (student_id, term_id, standing, term_gpa, term_gpa_credits, cumulative_gpa, cumulative_gpa_credits, computed_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+        ON CONFLICT (student_id, term_id) DO NOTHING
+        RETURNING student_id
+        `,
+        [studentId, closing.termId, standing, term.termGpa, term.gpaCredits, term.cumulativeGpa, term.cumulativeGpaCredits]
+      );
+      if (insertRes.rows.length === 0) continue;
+      assigned += 1;
+
+      // Backfilled probations, and students who have since recovered, get no hold
+      if (
+        standing === 'probation' &&
+        latestClosed?.termId === closing.termId &&
+        history.cumulativeGpa != null &&
+        history.cumulativeGpa < thresholds.probationGpa
+      ) {
+        const holdId = await placeProbationHold(db, {
+          studentId,
+          termCode,
+          cumulativeGpa: term.cumulativeGpa,
+          thresholds,
+          performedBy,
+        });
+        await db.query(
+          `UPDATE academic_standings SET hold_id = $1 WHERE student_id = $2 AND term_id = $3`,
+          [holdId, studentId, closing.termId]
+        );
+        summary.probation.push({ studentId, termId: closing.termId, termCode, cumulativeGpa: term.cumulativeGpa, holdId });
+      }
+    }
+
+    summary.terms.push({ ...closing, termCode, assigned });
+    summary.assigned += assigned;
+  }
+
+  return summary;
+}
+
+/**
+ * Runs processAcademicStanding if SAM's current date has moved forward since
+ * the last call. Returns null when the date has not advanced.
+ */
+export async function processAcademicStandingIfDateAdvanced(db, options = {}) {
+  const today = getCurrentDateString();
+  const previous = lastSeenDate;
+  lastSeenDate = today;
+
+  if (previous && today <= previous) return null;
+  return processAcademicStanding(db, options);
+}
+
+const toStanding = (r) => ({
+  studentId: Number(r.student_id),
+  termId: Number(r.term_id),
+  semester: r.semester,
+  year: Number(r.year),
+  termCode: `${r.semester} ${r.year}`,
+  standing: r.standing,
+  label: STANDING_LABELS[r.standing] ?? r.standing,
+  termGpa: r.term_gpa == null ? null : Number(r.term_gpa),
+  termGpaCredits: Number(r.term_gpa_credits ?? 0),
+  cumulativeGpa: r.cumulative_gpa == null ? null : Number(r.cumulative_gpa),
+  cumulativeGpaCredits: Number(r.cumulative_gpa_credits ?? 0),
+  computedAt: r.computed_at,
+});
+
+/**
+ * A student's recorded standings, oldest term first.
+ */
+export async function getStudentStandings(db, studentId) {
+  const { rows } = await db.query(
+    `
+    SELECT s.*, t.semester, t.year
+    FROM academic_standings s
+    JOIN terms t ON t.term_id = s.term_id
+    WHERE s.student_id = $1
+    `,
+    [studentId]
+  );
+
+  return rows.map(toStanding).sort((a, b) => termCompare(a.semester, a.year, b.semester, b.year));
+}
+
+/**
+ * Every standing recorded for a term, with student names.
+ */
+export async function listTermStandings(db, termId) {
+  const { rows } = await db.query(
+    `
+    SELECT s.*, t.semester, t.year, u.sbu_id, u.first_name, u.last_name, u.email
+    FROM academic_standings s
+    JOIN terms t ON t.term_id = s.term_id
+    JOIN users u ON u.user_id = s.student_id
+    WHERE s.term_id = $1
+    ORDER BY u.last_name, u.first_name
+    `,
+    [termId]
+  );
+
+  return rows.map((r) => ({
+    ...toStanding(r),
+    sbuId: r.sbu_id ?? null,
+    studentName: `${r.first_name} ${r.last_name}`,
+    email: r.email,
+    holdId: r.hold_id == null ? null : Number(r.hold_id),
+  }));
+}
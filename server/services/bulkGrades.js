@@ -0,0 +1,209 @@
+/**
+ * @file bulkGrades.js
+ * @description Bulk grade entry from an uploaded CSV or YAML file.
+ *
+ * - A file lists one student per row, identified by SBU ID or email, with the
+ *   grade to post. CSV needs a header row (e.g. `sbu_id,grade` or
+ *   `email,grade`); YAML is a list of the same keys, optionally under `grades:`.
+ * - Every row is checked against the allowed grades and the section roster
+ *   before anything is written, so instructors see a per-row preview first.
+ * - Only rows that pass every check are applied.
+ */
+
+import yaml from 'js-yaml';
+import { gradeForEnrollment } from './gpnc.js';
+
+const ID_KEYS = ['sbu_id', 'sbuid', 'id', 'student_id'];
+const EMAIL_KEYS = ['email', 'e_mail'];
+const GRADE_KEYS = ['grade', 'final_grade', 'new_grade'];
+
+const normalizeKey = (key) =>
+  String(key ?? '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+
+const pick = (record, keys) => {
+  for (const key of keys) {
+    const value = record[key];
+    if (value != null && String(value).trim() !== '') return String(value).trim();
+  }
+  return null;
+};
+
+/**
+ * Splits CSV text into rows of fields. Handles quoted fields, escaped quotes
+ * ("") and CRLF line endings.
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const ch = text[i];
+
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+function detectFormat(fileName, text) {
+  const name = String(fileName ?? '').toLowerCase();
+  if (name.endsWith('.csv')) return 'csv';
+  if (name.endsWith('.yaml') || name.endsWith('.yml')) return 'yaml';
+
+  const firstLine = text.split(/\r?\n/).find((line) => line.trim() !== '') ?? '';
+  return firstLine.includes(',') && !firstLine.includes(':') ? 'csv' : 'yaml';
+}
+
+function toEntry(record, rowNumber) {
+  const normalized = {};
+  for (const [key, value] of Object.entries(record ?? {})) {
+    normalized[normalizeKey(key)] = value;
+  }
+  return {
+    row: rowNumber,
+    sbuId: pick(normalized, ID_KEYS),
+    email: pick(normalized, EMAIL_KEYS),
+    grade: pick(normalized, GRADE_KEYS),
+  };
+}
+
+/**
+ * Parses an uploaded grade file into entries of { row, sbuId, email, grade }.
+ * `row` is the line number for CSV (header is line 1) and the 1-based list
+ * position for YAML.
+ * @throws {Error} when the file cannot be parsed or has no usable columns
+ */
+export function parseGradeFile(text, fileName) {
+  const format = detectFormat(fileName, text);
+
+  if (format === 'csv') {
+    const lines = parseCsv(text);
+    const header = (lines[0] ?? []).map(normalizeKey);
+    const hasId = header.some((h) => ID_KEYS.includes(h) || EMAIL_KEYS.includes(h));
+    if (!hasId || !header.some((h) => GRADE_KEYS.includes(h))) {
+      throw new Error('CSV header must include a grade column and an sbu_id or email column');
+    }
+
+    const entries = [];
+    lines.slice(1).forEach((fields, idx) => {
+      if (fields.every((f) => f.trim() === '')) return;
+      const record = Object.fromEntries(header.map((h, i) => [h, fields[i]]));
+      entries.push(toEntry(record, idx + 2));
+    });
+    return { format, entries };
+  }
+
+  let data;
+  try {
+    data = yaml.load(text);
+  } catch (e) {
+    throw new Error(`Invalid YAML file: ${e.message}`);
+  }
+
+  const list = Array.isArray(data) ? data : data?.grades;
+  if (!Array.isArray(list)) {
+    throw new Error('YAML must be a list of { sbu_id or email, grade } entries, optionally under "grades"');
+  }
+
+  return { format, entries: list.map((record, idx) => toEntry(record, idx + 1)) };
+}
+
+/**
+ * Checks parsed entries against the section roster.
+ * @param {Array} entries - from parseGradeFile
+ * @param {Array} roster - { student_id, sbu_id, email, first_name, last_name, grade, gpnc }
+ * @param {{allowedGrades: string[], gpncPassThreshold?: string}} options
+ * @returns {Array} one preview row per entry with `valid` and `errors`
+ */
+export function validateGradeEntries(entries, roster, { allowedGrades, gpncPassThreshold }) {
+  const bySbuId = new Map(roster.filter((r) => r.sbu_id != null).map((r) => [String(r.sbu_id), r]));
+  const byEmail = new Map(roster.filter((r) => r.email).map((r) => [String(r.email).toLowerCase(), r]));
+  const firstRowForStudent = new Map();
+
+  return entries.map((entry) => {
+    const errors = [];
+    const grade = entry.grade ? entry.grade.toUpperCase() : null;
+
+    if (!grade) errors.push('Missing grade');
+    else if (!allowedGrades.includes(grade)) errors.push(`Invalid grade "${entry.grade}"`);
+
+    let student = null;
+    if (!entry.sbuId && !entry.email) {
+      errors.push('Missing SBU ID or email');
+    } else {
+      const fromId = entry.sbuId ? bySbuId.get(entry.sbuId) : null;
+      const fromEmail = entry.email ? byEmail.get(entry.email.toLowerCase()) : null;
+
+      if (fromId && fromEmail && fromId.student_id !== fromEmail.student_id) {
+        errors.push('SBU ID and email belong to different students');
+      } else {
+        student = fromId ?? fromEmail ?? null;
+        if (!student) errors.push('Student is not on this roster');
+      }
+    }
+
+    if (student) {
+      const studentId = Number(student.student_id);
+      if (firstRowForStudent.has(studentId)) {
+        errors.push(`Duplicate entry for this student (first on row ${firstRowForStudent.get(studentId)})`);
+      } else {
+        firstRowForStudent.set(studentId, entry.row);
+      }
+
+      const current = student.grade ? String(student.grade).toUpperCase() : null;
+      if (current && current !== 'I') {
+        errors.push(`Only incomplete (I) or missing grades may be edited (current grade ${current})`);
+      }
+    }
+
+    const stored = student && grade ? gradeForEnrollment(grade, student.gpnc, gpncPassThreshold) : null;
+
+    return {
+      row: entry.row,
+      sbuId: entry.sbuId,
+      email: entry.email,
+      studentId: student ? Number(student.student_id) : null,
+      name: student ? `${student.first_name} ${student.last_name}` : null,
+      currentGrade: student?.grade ?? null,
+      grade,
+      storedGrade: stored?.grade ?? null,
+      letterGrade: stored?.letterGrade ?? null,
+      gpnc: student ? Boolean(student.gpnc) : false,
+      valid: errors.length === 0,
+      errors,
+    };
+  });
+}
@@ -0,0 +1,229 @@
+/**
+ * @file capacityService.js
+ * @description Single source of truth for class section capacity.
+ *
+ * - The effective capacity of a section is the lesser of the section's own
+ *   capacity and its room's capacity, so the two no longer need to be synced.
+ * - Capacity overrides let one student register past a full section once.
+ *   An override is active until it expires, is consumed by a registration,
+ *   or is revoked by a registrar.
+ */
+
+import { getCurrentDateString } from '../utils/dateWrapper.js';
+
+/**
+ * Lesser of section and room capacity. A missing room capacity is ignored.
+ */
+export function effectiveCapacity(sectionCapacity, roomCapacity) {
+  const section = Number(sectionCapacity) || 0;
+  if (roomCapacity === null || roomCapacity === undefined) return section;
+  return Math.min(section, Number(roomCapacity) || 0);
+}
+
+/**
+ * Loads capacity and seat usage for a section.
+ * @returns {Promise<{classId: number, sectionCapacity: number, roomCapacity: number|null,
+ *   capacity: number, registeredCount: number, seatsLeft: number}|null>} null if the section does not exist
+ */
+export async function getSectionCapacity(db, classId) {
+  const { rows } = await db.query(
+    `
+    SELECT cs.class_id,
+           cs.capacity AS section_capacity,
+           r.capacity AS room_capacity,
+           (SELECT COUNT(*) FROM enrollments e
+             WHERE e.class_id = cs.class_id AND e.status = 'registered') AS registered_count
+    FROM class_sections cs
+    LEFT JOIN rooms r ON r.room_id = cs.room_id
+    WHERE cs.class_id = $1
+    `,
+    [classId]
+  );
+  if (rows.length === 0) return null;
+
+  const row = rows[0];
+  const roomCapacity = row.room_capacity === null || row.room_capacity === undefined ? null : Number(row.room_capacity);
+  const capacity = effectiveCapacity(row.section_capacity, roomCapacity);
+  const registeredCount = Number(row.registered_count) || 0;
+
+  return {
+    classId: row.class_id,
+    sectionCapacity: Number(row.section_capacity) || 0,
+    roomCapacity,
+    capacity,
+    registeredCount,
+    seatsLeft: Math.max(0, capacity - registeredCount),
+  };
+}
+
+/**
+ * Checks a requested section capacity against a room.
+ * @returns {Promise<{exists: boolean, roomCapacity: number|null, fits: boolean}>}
+ */
+export async function checkRoomCapacity(db, roomId, requestedCapacity) {
+  const { rows } = await db.query('SELECT capacity FROM rooms WHERE room_id = $1', [roomId]);
+  if (rows.length === 0) return { exists: false, roomCapacity: null, fits: false };
+
+  const roomCapacity = Number(rows[0].capacity) || 0;
+  return { exists: true, roomCapacity, fits: Number(requestedCapacity) <= roomCapacity };
+}
+
+/**
+ * Sections whose own capacity is larger than their room's capacity. Their
+ * effective capacity is the room capacity.
+ * @param {number[]|null} [roomIds] - limit to these rooms
+ */
+export async function findSectionsOverRoomCapacity(db, roomIds = null) {
+  const { rows } = await db.query(
+    `
+    SELECT cs.class_id, cs.section_num, cs.capacity AS section_capacity,
+           r.room_id, r.building, r.room, r.capacity AS room_capacity,
+           c.subject, c.course_num
+    FROM class_sections cs
+    JOIN rooms r ON r.room_id = cs.room_id
+    JOIN courses c ON c.course_id = cs.course_id
+    WHERE cs.capacity > r.capacity
+      AND ($1::int[] IS NULL OR r.room_id = ANY($1::int[]))
+    ORDER BY r.building, r.room, c.subject, c.course_num, cs.section_num
+    `,
+    [roomIds]
+  );
+  return rows;
+}
+
+// WHERE fragment for usable overrides; `todayParam` is the placeholder holding today's date
+const activeOverrideSql = (todayParam) => `
+  consumed_at IS NULL
+  AND revoked_at IS NULL
+  AND (expires_at IS NULL OR expires_at >= ${todayParam}::date)
+`;
+
+/**
+ * Active (unexpired, unconsumed, unrevoked) override for a student and section.
+ */
+export async function getActiveCapacityOverride(db, studentId, classId) {
+  const { rows } = await db.query(
+    `
+    SELECT override_id, student_user_id, class_id, granted_by_user_id, granted_at, expires_at
+    FROM capacity_overrides
+    WHERE student_user_id = $1
+      AND class_id = $2
+      AND ${activeOverrideSql('$3')}
+    LIMIT 1
+    `,
+    [studentId, classId, getCurrentDateString()]
+  );
+  return rows[0] ?? null;
+}
+
+/**
+ * Marks an override as used. Returns false if it was already consumed,
+ * revoked or expired (e.g. by a concurrent registration).
+ */
+export async function consumeCapacityOverride(db, overrideId) {
+  const { rows } = await db.query(
+    `
+    UPDATE capacity_overrides
+    SET consumed_at = NOW()
+    WHERE override_id = $1
+      AND ${activeOverrideSql('$2')}
+    RETURNING override_id
+    `,
+    [overrideId, getCurrentDateString()]
+  );
+  return rows.length > 0;
+}
+
+/**
+ * Grants (or re-grants) an override. Re-granting resets consumption and
+ * revocation.
+ */
+export async function grantCapacityOverride(db, { studentId, classId, grantedBy, expiresAt = null }) {
+  const { rows } = await db.query(
+    `
+    INSERT INTO capacity_overrides (student_user_id, class_id, granted_by_user_id, granted_at, expires_at)
+    VALUES ($1, $2, $3, NOW(), $4)
+    ON CONFLICT (student_user_id, class_id)
+    DO UPDATE SET granted_at = NOW(),
+                  granted_by_user_id = EXCLUDED.granted_by_user_id,
+                  expires_at = EXCLUDED.expires_at,
+                  consumed_at = NULL,
+                  revoked_at = NULL,
+                  revoked_by_user_id = NULL,
+                  revoke_reason = NULL
+    RETURNING override_id, student_user_id, class_id, granted_at, expires_at
+    `,
+    [studentId, classId, grantedBy, expiresAt]
+  );
+  return rows[0];
+}
+
+/**
+ * Lists overrides with their derived status ('active', 'consumed', 'revoked', 'expired').
+ */
+export async function listCapacityOverrides(db, { classId = null, studentId = null, status = null } = {}) {
+  const { rows } = await db.query(
+    `
+    SELECT co.override_id, co.student_user_id, co.class_id, co.granted_at, co.expires_at,
+           co.consumed_at, co.revoked_at, co.revoke_reason,
+           s.first_name AS student_first_name, s.last_name AS student_last_name, s.email AS student_email,
+           g.first_name AS granted_by_first_name, g.last_name AS granted_by_last_name,
+           cs.section_num, c.subject, c.course_num,
+           CASE
+             WHEN co.revoked_at IS NOT NULL THEN 'revoked'
+             WHEN co.consumed_at IS NOT NULL THEN 'consumed'
+             WHEN co.expires_at IS NOT NULL AND co.expires_at < $3::date THEN 'expired'
+             ELSE 'active'
+           END AS status
+    FROM capacity_overrides co
+    JOIN users s ON s.user_id = co.student_user_id
+    LEFT JOIN users g ON g.user_id = co.granted_by_user_id
+    JOIN class_sections cs ON cs.class_id = co.class_id
+    JOIN courses c ON c.course_id = cs.course_id
+    WHERE ($1::int IS NULL OR co.class_id = $1)
+      AND ($2::int IS NULL OR co.student_user_id = $2)
+    ORDER BY co.granted_at DESC
+    `,
+    [classId, studentId, getCurrentDateString()]
+  );
+
+  const overrides = rows.map((row) => ({
+    overrideId: row.override_id,
+    studentId: row.student_user_id,
+    studentName: `${row.student_first_name ?? ''} ${row.student_last_name ?? ''}`.trim(),
+    studentEmail: row.student_email,
+    classId: row.class_id,
+    courseCode: `${row.subject} ${row.course_num}`,
+    sectionNum: row.section_num,
+    grantedBy: `${row.granted_by_first_name ?? ''} ${row.granted_by_last_name ?? ''}`.trim() || null,
+    grantedAt: row.granted_at,
+    expiresAt: row.expires_at,
+    consumedAt: row.consumed_at,
+    revokedAt: row.revoked_at,
+    revokeReason: row.revoke_reason,
+    status: row.status,
+  }));
+
+  return status ? overrides.filter((o) => o.status === status) : overrides;
+}
+
+/**
+ * Revokes an override that has not been consumed yet.
+ * @returns {Promise<Object|null>} the revoked row, or null if not found / already used
+ */
+export async function revokeCapacityOverride(db, overrideId, { revokedBy, reason = null }) {
+  const { rows } = await db.query(
+    `
+    UPDATE capacity_overrides
+    SET revoked_at = NOW(),
+        revoked_by_user_id = $2,
+        revoke_reason = $3
+    WHERE override_id = $1
+      AND consumed_at IS NULL
+      AND revoked_at IS NULL
+    RETURNING override_id, student_user_id, class_id
+    `,
+    [overrideId, revokedBy, reason]
+  );
+  return rows[0] ?? null;
+}
@@ -0,0 +1,145 @@
+/**
+ * @file completionEstimate.js
+ * @description Rough estimate of the credits and terms a student still needs.
+ *
+ * - Requirement credits come from the requirement slots the allocation left
+ *   open (services/requirementAllocation.js): each open slot costs the
+ *   fewest credits among the courses that fill it, or 3 when unknown, and a
+ *   credit minimum costs whatever its group's slots do not already cover.
+ *   Across programs, a course that fills open slots in two of them costs
+ *   its credits once, as long as both programs may still share a course.
+ * - The student needs the larger of those and the credits still missing
+ *   from the graduation minimum; in-progress courses count as earned.
+ * - Terms follow the auto-planner: regular terms after the student's last
+ *   one, each taking its default workload limit (summers take none).
+ */
+
+import { defaultWorkloadLimit, nextTerm, termCompare } from './termCalendar.js';
+
+export const DEFAULT_COURSE_CREDITS = 3;
+
+// Stops runaway estimates, e.g. when every term has a workload limit of 0
+const MAX_TERMS_SCANNED = 60;
+
+const termLabel = (term) => (term?.semester && term?.year ? `${term.semester} ${term.year}` : null);
+
+/**
+ * Credits still needed for `outstanding` requirement slots.
+ * @param {Array<{groupId: string, codes: string[], creditShortfall: ?number}>} outstanding
+ * @param {Map<string, number>} creditsByCode
+ */
+export function requirementCreditsRemaining(outstanding, creditsByCode) {
+  const byGroup = new Map();
+  for (const item of outstanding || []) {
+    const entry = byGroup.get(item.groupId) ?? { slotCredits: 0, creditShortfall: 0 };
+    if (item.creditShortfall != null) {
+      entry.creditShortfall += Number(item.creditShortfall) || 0;
+    } else {
+      const known = (item.codes || []).map((c) => Number(creditsByCode?.get(c))).filter((n) => n > 0);
+      entry.slotCredits += known.length > 0 ? Math.min(...known) : DEFAULT_COURSE_CREDITS;
+    }
+    byGroup.set(item.groupId, entry);
+  }
+
+  let total = 0;
+  for (const { slotCredits, creditShortfall } of byGroup.values()) total += Math.max(slotCredits, creditShortfall);
+  return total;
+}
+
+/**
+ * Credits still needed for every program of an allocation. Programs are
+ * taken in allocation order; an open slot another program already needs a
+ * course for is filled by that course, without credits, while both
+ * programs' maxSharedCourses allow one more shared course.
+ * @param {Map<number, {outstanding: Array, sharedCourses: string[], maxSharedCourses: ?number}>} allocation
+ * @param {Map<string, number>} creditsByCode
+ */
+export function allocationCreditsRemaining(allocation, creditsByCode) {
+  const sharesLeft = new Map();
+  for (const [programId, a] of allocation || []) {
+    sharesLeft.set(programId, a.maxSharedCourses == null ? Infinity : a.maxSharedCourses - (a.sharedCourses?.length ?? 0));
+  }
+
+  // Courses already counted: the codes that could fill the slot, and the programs it counts toward
+  const planned = [];
+  let total = 0;
+  for (const [programId, a] of allocation || []) {
+    const own = [];
+    for (const item of a.outstanding || []) {
+      const shared =
+        item.creditShortfall == null &&
+        sharesLeft.get(programId) > 0 &&
+        planned.find(
+          (p) =>
+            !p.programIds.has(programId) &&
+            p.codes.some((c) => item.codes.includes(c)) &&
+            (p.programIds.size > 1 || sharesLeft.get([...p.programIds][0]) > 0)
+        );
+      if (!shared) {
+        own.push(item);
+        continue;
+      }
+      // The first share uses up one of the original program's shares too
+      if (shared.programIds.size === 1) {
+        const [first] = shared.programIds;
+        sharesLeft.set(first, sharesLeft.get(first) - 1);
+      }
+      sharesLeft.set(programId, sharesLeft.get(programId) - 1);
+      shared.programIds.add(programId);
+      shared.codes = shared.codes.filter((c) => item.codes.includes(c));
+    }
+
+    total += requirementCreditsRemaining(own, creditsByCode);
+    for (const item of own) {
+      if (item.creditShortfall == null && item.codes?.length) {
+        planned.push({ codes: [...item.codes], programIds: new Set([programId]) });
+      }
+    }
+  }
+  return total;
+}
+
+/**
+ * The later of two { semester, year } terms; either may be null.
+ */
+export function laterTerm(a, b) {
+  if (!a?.year) return b?.year ? b : null;
+  if (!b?.year) return a;
+  return termCompare(a.semester, a.year, b.semester, b.year) >= 0 ? a : b;
+}
+
+/**
+ * @param {Object} input
+ * @param {number} input.minimumCredits - Graduation credit minimum
+ * @param {number} input.creditsCounted - Credits earned plus credits in progress
+ * @param {number} input.requirementCredits - From allocationCreditsRemaining
+ * @param {?{semester: string, year: number}} input.lastTerm - Last term the student has courses in (or the current term)
+ * @returns {{remainingCredits: number, requirementCredits: number, termsRemaining: ?number, estimatedGraduationTerm: ?string}}
+ *   termsRemaining is null when the credits do not fit in the scanned terms.
+ */
+export function estimateCompletion({ minimumCredits, creditsCounted, requirementCredits, lastTerm }) {
+  const remainingCredits = Math.max(
+    0,
+    (Number(minimumCredits) || 0) - (Number(creditsCounted) || 0),
+    Number(requirementCredits) || 0
+  );
+
+  if (remainingCredits === 0) {
+    return { remainingCredits, requirementCredits, termsRemaining: 0, estimatedGraduationTerm: termLabel(lastTerm) };
+  }
+
+  let term = lastTerm ?? null;
+  let left = remainingCredits;
+  let termsRemaining = 0;
+  for (let i = 0; i < MAX_TERMS_SCANNED && left > 0; i++) {
+    term = nextTerm(term?.semester, term?.year);
+    const limit = defaultWorkloadLimit(term.semester);
+    if (limit <= 0) continue;
+    left -= limit;
+    termsRemaining += 1;
+  }
+
+  return left > 0
+    ? { remainingCredits, requirementCredits, termsRemaining: null, estimatedGraduationTerm: null }
+    : { remainingCredits, requirementCredits, termsRemaining, estimatedGraduationTerm: termLabel(term) };
+}
@@ -0,0 +1,139 @@
+/**
+ * @file courseRequisites.js
+ * @description Persistence for parsed course requisites. Trees are parsed
+ * with requisiteParser.js when the catalog is scraped and stored on
+ * `courses`; rows that have not been parsed yet fall back to parsing the
+ * text on read.
+ */
+
+import { parseRequisiteText } from './requisiteParser.js';
+
+const REQUISITE_FIELDS = [
+  { field: 'prerequisites', textKey: 'prerequisites', astKey: 'prerequisiteAst' },
+  { field: 'corequisites', textKey: 'corequisites', astKey: 'corequisiteAst' },
+  { field: 'anti_requisites', textKey: 'antiRequisites', astKey: 'antiRequisiteAst' },
+];
+
+// SQL NULL for a missing tree rather than a JSON null
+export const toJsonb = (value) => (value == null ? null : JSON.stringify(value));
+
+/**
+ * Parses a course's requisite text.
+ *
+ * @param {{prerequisites?: string, corequisites?: string, antiRequisites?: string}} texts
+ * @returns {{prerequisiteAst: Object|null, corequisiteAst: Object|null, antiRequisiteAst: Object|null,
+ *   parseErrors: Array<{field: string, message: string}>}}
+ */
+export function parseCourseRequisites(texts = {}) {
+  const result = { parseErrors: [] };
+  for (const { field, textKey, astKey } of REQUISITE_FIELDS) {
+    const { ast, errors } = parseRequisiteText(texts[textKey]);
+    result[astKey] = ast;
+    result.parseErrors.push(...errors.map((message) => ({ field, message })));
+  }
+  return result;
+}
+
+/**
+ * Requisite trees for a course row, using the stored trees when the row has
+ * been parsed and parsing the text otherwise.
+ *
+ * @param {Object} row - courses row (snake_case columns)
+ */
+export function requisitesFromCourseRow(row) {
+  if (row?.requisites_parsed_at) {
+    return {
+      prerequisiteAst: row.prerequisite_ast ?? null,
+      corequisiteAst: row.corequisite_ast ?? null,
+      antiRequisiteAst: row.anti_requisite_ast ?? null,
+    };
+  }
+  return parseCourseRequisites({
+    prerequisites: row?.prerequisites,
+    corequisites: row?.corequisites,
+    antiRequisites: row?.anti_requisites,
+  });
+}
+
+/**
+ * Re-parses and stores requisite trees.
+ *
+ * @param {Object} db
+ * @param {Object} [options]
+ * @param {number[]|null} [options.courseIds] - limit to these courses
+ * @param {boolean} [options.onlyUnparsed] - only rows never parsed
+ * @returns {Promise<{parsed: number, withErrors: number}>}
+ */
+export async function refreshCourseRequisites(db, { courseIds = null, onlyUnparsed = false } = {}) {
+  const { rows } = await db.query(
+    `
+    SELECT course_id, prerequisites, corequisites, anti_requisites
+    FROM courses
+    WHERE ($1::int[] IS NULL OR course_id = ANY($1::int[]))
+      AND (NOT $2::boolean OR requisites_parsed_at IS NULL)
+    `,
+    [courseIds, onlyUnparsed]
+  );
+
+  let withErrors = 0;
+  for (const row of rows) {
+    const parsed = parseCourseRequisites({
+      prerequisites: row.prerequisites,
+      corequisites: row.corequisites,
+      antiRequisites: row.anti_requisites,
+    });
+    if (parsed.parseErrors.length) withErrors++;
+
+    await db.query(
+      `
+      UPDATE courses
+      SET prerequisite_ast = $2,
+          corequisite_ast = $3,
+          anti_requisite_ast = $4,
+          requisite_parse_errors = $5,
+          requisites_parsed_at = NOW()
+      WHERE course_id = $1
+      `,
+      [
+        row.course_id,
+        toJsonb(parsed.prerequisiteAst),
+        toJsonb(parsed.corequisiteAst),
+        toJsonb(parsed.antiRequisiteAst),
+        JSON.stringify(parsed.parseErrors),
+      ]
+    );
+  }
+
+  return { parsed: rows.length, withErrors };
+}
+
+/**
+ * Courses whose requisite text could not be fully parsed.
+ */
+export async function listUnparsedCourses(db, { subject = null, termId = null } = {}) {
+  const { rows } = await db.query(
+    `
+    SELECT c.course_id, c.subject, c.course_num, c.title, c.catalog_term_id,
+           c.prerequisites, c.corequisites, c.anti_requisites,
+           c.requisite_parse_errors, c.requisites_parsed_at
+    FROM courses c
+    WHERE jsonb_array_length(c.requisite_parse_errors) > 0
+      AND ($1::text IS NULL OR UPPER(c.subject) = UPPER($1))
+      AND ($2::int IS NULL OR c.catalog_term_id = $2)
+    ORDER BY c.subject, c.course_num, c.catalog_term_id
+    `,
+    [subject, termId]
+  );
+
+  return rows.map((row) => ({
+    courseId: row.course_id,
+    courseCode: `${row.subject} ${row.course_num}`,
+    title: row.title,
+    catalogTermId: row.catalog_term_id,
+    prerequisites: row.prerequisites || '',
+    corequisites: row.corequisites || '',
+    antiRequisites: row.anti_requisites || '',
+    errors: row.requisite_parse_errors,
+    parsedAt: row.requisites_parsed_at,
+  }));
+}
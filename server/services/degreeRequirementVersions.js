@@ -0,0 +1,140 @@
+/**
+ * @file degreeRequirementVersions.js
+ * @description Degree requirement versions (catalog years).
+ *
+ * - A program can have several degree_requirements rows, one per
+ *   effective_term. Rows belong to a program through its code
+ *   ("CSE-BS" -> subject CSE, degree_type BS) and type.
+ * - student_programs.degree_requirement_id records the version a student
+ *   follows. Declarations get the newest version in effect for the current
+ *   term (or the oldest one when every version starts later); advisors can
+ *   move a student to a newer version afterwards.
+ */
+
+import { termCompare } from './termCalendar.js';
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+/**
+ * "Fall 2024" for an effective_term ({ semester, year }), or '' when unset.
+ */
+export function versionLabel(effectiveTerm) {
+  const term = parseJson(effectiveTerm);
+  return term?.semester && term?.year ? `${term.semester} ${term.year}` : '';
+}
+
+const toVersion = (r) => {
+  const term = parseJson(r.effective_term) ?? {};
+  return {
+    degreeRequirementId: Number(r.id),
+    semester: term.semester ?? null,
+    year: term.year != null ? Number(term.year) : null,
+    label: versionLabel(term),
+  };
+};
+
+// Newest version first
+const byNewest = (a, b) => termCompare(b.semester, b.year, a.semester, a.year) || b.degreeRequirementId - a.degreeRequirementId;
+
+/**
+ * Every requirement version of a program, newest first.
+ */
+export async function listRequirementVersions(db, programId) {
+  const { rows } = await db.query(
+    `
+    SELECT dr.id, dr.effective_term
+    FROM programs p
+    JOIN degree_requirements dr
+      ON UPPER(dr.subject) = UPPER(SPLIT_PART(p.code, '-', 1))
+     AND UPPER(dr.degree_type) = UPPER(SPLIT_PART(p.code, '-', 2))
+     AND LOWER(dr.program_type) = CASE WHEN p.type = 'MINOR' THEN 'minor' ELSE 'major' END
+    WHERE p.program_id = $1
+    `,
+    [programId]
+  );
+  return rows.map(toVersion).sort(byNewest);
+}
+
+/**
+ * The current term from system_state, or null when none is set.
+ * @returns {Promise<{semester: string, year: number}|null>}
+ */
+export async function loadCurrentTerm(db) {
+  const { rows } = await db.query(
+    `
+    SELECT t.semester, t.year
+    FROM system_state s
+    JOIN terms t ON t.term_id = s.current_term_id
+    ORDER BY s.system_state_id DESC
+    LIMIT 1
+    `
+  );
+  return rows[0] ? { semester: rows[0].semester, year: Number(rows[0].year) } : null;
+}
+
+/**
+ * The version a new declaration follows: the newest one in effect for
+ * `currentTerm`, else the oldest. `versions` is newest first.
+ */
+export function pickDeclarationVersion(versions, currentTerm) {
+  if (versions.length === 0) return null;
+  if (!currentTerm) return versions[0];
+  return (
+    versions.find((v) => termCompare(v.semester, v.year, currentTerm.semester, currentTerm.year) <= 0) ??
+    versions[versions.length - 1]
+  );
+}
+
+/**
+ * degree_requirements id to record when a student declares `programId`.
+ * `requested` ({ semester, year }) selects that version when it exists,
+ * as the user import does with major_requirement_versions.
+ * @returns {Promise<number|null>}
+ */
+export async function resolveDeclarationVersion(db, programId, requested = null) {
+  const versions = await listRequirementVersions(db, programId);
+
+  if (requested?.semester && requested?.year) {
+    const match = versions.find(
+      (v) =>
+        String(v.semester).toLowerCase() === String(requested.semester).toLowerCase() &&
+        v.year === Number(requested.year)
+    );
+    if (match) return match.degreeRequirementId;
+  }
+
+  const picked = pickDeclarationVersion(versions, await loadCurrentTerm(db));
+  return picked ? picked.degreeRequirementId : null;
+}
+
+/**
+ * A student's declared programs with the version each follows and every
+ * version available for it.
+ */
+export async function loadStudentRequirementVersions(db, studentId) {
+  const { rows } = await db.query(
+    `
+    SELECT sp.program_id, sp.kind::text AS kind, sp.degree_requirement_id, p.code, p.name
+    FROM student_programs sp
+    JOIN programs p ON p.program_id = sp.program_id
+    WHERE sp.student_id = $1
+    ORDER BY sp.kind, p.code
+    `,
+    [studentId]
+  );
+
+  const programs = [];
+  for (const r of rows) {
+    const versions = await listRequirementVersions(db, r.program_id);
+    const currentId = r.degree_requirement_id == null ? null : Number(r.degree_requirement_id);
+    programs.push({
+      programId: Number(r.program_id),
+      kind: r.kind,
+      code: r.code,
+      name: r.name,
+      current: versions.find((v) => v.degreeRequirementId === currentId) ?? null,
+      versions,
+    });
+  }
+  return programs;
+}
@@ -0,0 +1,94 @@
+/**
+ * @file gpnc.js
+ * @description GPNC (Pass/No Credit) grading option.
+ *
+ * - Students opt in or out per enrollment until the academic calendar's
+ *   `GPNC_selection_ends` date (inclusive, per dateWrapper).
+ * - A final letter grade at or above the pass threshold becomes P, anything
+ *   below becomes NC. The letter itself is kept in
+ *   enrollments.gpnc_letter_grade. Registrars set the threshold in
+ *   system_state.gpnc_pass_threshold; callers load it with
+ *   getGpncPassThreshold() and pass it along.
+ * - P and NC carry no grade points: they never enter GPA, and only P earns
+ *   credit.
+ */
+
+import { getTermCalendar, isOnOrBefore } from './termCalendar.js';
+
+/** Lowest letter grade that converts to P when system_state sets none. */
+export const DEFAULT_GPNC_PASS_THRESHOLD = 'C';
+
+// Letter grades from best to worst
+const LETTER_GRADES = [
+  'A+', 'A', 'A-',
+  'B+', 'B', 'B-',
+  'C+', 'C', 'C-',
+  'D+', 'D', 'D-',
+  'F',
+];
+
+export function isLetterGrade(grade) {
+  return LETTER_GRADES.includes(String(grade ?? '').trim().toUpperCase());
+}
+
+/**
+ * GPNC pass threshold from system_state, falling back to the default.
+ * @returns {Promise<string>}
+ */
+export async function getGpncPassThreshold(db) {
+  const { rows } = await db.query(
+    `
+    SELECT gpnc_pass_threshold
+    FROM system_state
+    ORDER BY system_state_id DESC
+    LIMIT 1
+    `
+  );
+
+  const threshold = String(rows[0]?.gpnc_pass_threshold ?? '').trim().toUpperCase();
+  return isLetterGrade(threshold) ? threshold : DEFAULT_GPNC_PASS_THRESHOLD;
+}
+
+/**
+ * Converts a letter grade to P or NC. Grades that are not letters (I, W, P,
+ * NC, ...) pass through unchanged.
+ */
+export function convertGpncGrade(grade, threshold = DEFAULT_GPNC_PASS_THRESHOLD) {
+  if (grade == null) return grade;
+  const g = String(grade).trim().toUpperCase();
+  const rank = LETTER_GRADES.indexOf(g);
+  if (rank === -1) return grade;
+  return rank <= LETTER_GRADES.indexOf(threshold) ? 'P' : 'NC';
+}
+
+/**
+ * The grade that counts for an enrollment row ({ grade, gpnc }): the P/NC
+ * conversion when the student chose GPNC, otherwise the stored grade.
+ * Covers imported history where GPNC rows still hold a letter grade.
+ */
+export function effectiveGrade(row, threshold = DEFAULT_GPNC_PASS_THRESHOLD) {
+  return row?.gpnc ? convertGpncGrade(row.grade, threshold) : row?.grade;
+}
+
+/**
+ * What to store when `grade` is posted for an enrollment: GPNC enrollments
+ * record P/NC and keep the letter grade alongside.
+ * @returns {{grade: string, letterGrade: string|null}}
+ */
+export function gradeForEnrollment(grade, gpnc, threshold = DEFAULT_GPNC_PASS_THRESHOLD) {
+  if (!gpnc) return { grade, letterGrade: null };
+  return {
+    grade: convertGpncGrade(grade, threshold),
+    letterGrade: isLetterGrade(grade) ? String(grade).trim().toUpperCase() : null,
+  };
+}
+
+/**
+ * Whether GPNC may still be selected or reversed for a term.
+ * @returns {Promise<{open: boolean, deadline: string|null}>}
+ */
+export async function getGpncSelectionWindow(db, termId) {
+  const calendar = await getTermCalendar(db, termId);
+  const deadline = calendar?.gpncSelectionEnds ?? null;
+  return { open: isOnOrBefore(deadline), deadline };
+}
@@ -0,0 +1,173 @@
+/**
+ * @file gradeAnalytics.js
+ * @description Grade distributions per section, per course (across terms)
+ * and per instructor.
+ *
+ * - Every graded, non-waitlisted enrollment counts once. Histograms use the
+ *   recorded grade, so GPNC enrollments appear as P/NC.
+ * - Mean GPA is the unweighted mean over grades that carry quality points.
+ * - Withdrawal rate is the share of W grades; incomplete rate is the share
+ *   of enrollments that were ever given an I (per grade_history), so
+ *   incompletes that were later resolved or lapsed still count.
+ * - Groups smaller than the configured minimum are returned with
+ *   `suppressed: true` and no counts, histogram or rates.
+ */
+
+import { gradePointsFor } from './gradePoints.js';
+
+export const DEFAULT_ANALYTICS_MIN_GROUP_SIZE = 5;
+
+/**
+ * The minimum group size from system_state, or the default.
+ */
+export async function getMinGroupSize(db) {
+  const { rows } = await db.query(
+    `
+    SELECT analytics_min_group_size
+    FROM system_state
+    ORDER BY system_state_id DESC
+    LIMIT 1
+    `
+  );
+  const value = Number(rows[0]?.analytics_min_group_size);
+  return Number.isInteger(value) && value >= 1 ? value : DEFAULT_ANALYTICS_MIN_GROUP_SIZE;
+}
+
+/**
+ * Graded enrollments, optionally limited to one term and/or subject.
+ */
+export async function loadGradeRows(db, { termId = null, subject = null } = {}) {
+  const { rows } = await db.query(
+    `
+    SELECT
+      e.grade,
+      EXISTS (
+        SELECT 1 FROM grade_history gh
+        WHERE gh.class_id = e.class_id
+          AND gh.student_id = e.student_id
+          AND gh.new_grade = 'I'
+      ) AS had_incomplete,
+      cs.class_id,
+      cs.section_num,
+      c.course_id,
+      c.subject,
+      c.course_num,
+      c.title,
+      t.term_id,
+      t.semester,
+      t.year,
+      cs.instructor_id,
+      u.first_name AS instructor_first_name,
+      u.last_name AS instructor_last_name
+    FROM enrollments e
+    JOIN class_sections cs ON cs.class_id = e.class_id
+    JOIN courses c ON c.course_id = cs.course_id
+    JOIN terms t ON t.term_id = cs.term_id
+    LEFT JOIN users u ON u.user_id = cs.instructor_id
+    WHERE e.status <> 'waitlisted'
+      AND e.grade IS NOT NULL
+      AND ($1::int IS NULL OR cs.term_id = $1::int)
+      AND ($2::text IS NULL OR upper(c.subject) = upper($2::text))
+    `,
+    [termId, subject]
+  );
+  return rows;
+}
+
+const rate = (n, total) => (total ? Math.round((n / total) * 1000) / 1000 : null);
+
+/**
+ * Histogram, mean GPA and rates for one group of grade rows.
+ */
+export function summarizeGrades(rows, minGroupSize) {
+  if (rows.length < minGroupSize) return { suppressed: true };
+
+  const histogram = {};
+  let points = 0;
+  let gpaCount = 0;
+  let withdrawals = 0;
+  let incompletes = 0;
+
+  for (const r of rows) {
+    const grade = String(r.grade).trim().toUpperCase();
+    histogram[grade] = (histogram[grade] ?? 0) + 1;
+
+    const p = gradePointsFor(grade);
+    if (p != null) {
+      points += p;
+      gpaCount += 1;
+    }
+    if (grade === 'W') withdrawals += 1;
+    if (grade === 'I' || r.had_incomplete) incompletes += 1;
+  }
+
+  return {
+    suppressed: false,
+    count: rows.length,
+    histogram,
+    meanGpa: gpaCount ? Math.round((points / gpaCount) * 100) / 100 : null,
+    withdrawalRate: rate(withdrawals, rows.length),
+    incompleteRate: rate(incompletes, rows.length),
+  };
+}
+
+function groupBy(rows, keyOf, describe) {
+  const groups = new Map();
+  for (const r of rows) {
+    const key = keyOf(r);
+    if (!groups.has(key)) groups.set(key, { ...describe(r), rows: [] });
+    groups.get(key).rows.push(r);
+  }
+  return [...groups.values()];
+}
+
+/**
+ * Distributions for the whole selection, each section, each course and each
+ * instructor.
+ */
+export function buildGradeDistributions(rows, minGroupSize) {
+  const finish = (groups) =>
+    groups.map(({ rows: groupRows, ...info }) => ({ ...info, ...summarizeGrades(groupRows, minGroupSize) }));
+
+  const sections = groupBy(
+    rows,
+    (r) => Number(r.class_id),
+    (r) => ({
+      classId: Number(r.class_id),
+      courseCode: `${r.subject} ${r.course_num}`,
+      sectionNum: r.section_num,
+      title: r.title,
+      termId: Number(r.term_id),
+      termCode: `${r.semester} ${r.year}`,
+      instructorName: r.instructor_first_name ? `${r.instructor_first_name} ${r.instructor_last_name}` : null,
+    })
+  );
+
+  const courses = groupBy(
+    rows,
+    (r) => Number(r.course_id),
+    (r) => ({
+      courseId: Number(r.course_id),
+      courseCode: `${r.subject} ${r.course_num}`,
+      title: r.title,
+    })
+  );
+
+  const instructors = groupBy(
+    rows.filter((r) => r.instructor_id != null),
+    (r) => Number(r.instructor_id),
+    (r) => ({
+      instructorId: Number(r.instructor_id),
+      instructorName: `${r.instructor_first_name} ${r.instructor_last_name}`,
+    })
+  );
+
+  const byCode = (a, b) => a.courseCode.localeCompare(b.courseCode, undefined, { numeric: true });
+
+  return {
+    overall: summarizeGrades(rows, minGroupSize),
+    sections: finish(sections).sort((a, b) => byCode(a, b) || a.termCode.localeCompare(b.termCode) || String(a.sectionNum).localeCompare(String(b.sectionNum))),
+    courses: finish(courses).sort(byCode),
+    instructors: finish(instructors).sort((a, b) => a.instructorName.localeCompare(b.instructorName)),
+  };
+}
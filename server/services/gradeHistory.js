@@ -0,0 +1,81 @@
+/**
+ * @file gradeHistory.js
+ * @description Grade history for enrollments. Every write to
+ * enrollments.grade goes through recordGradeHistory so the full sequence of
+ * grades for an enrollment can be queried later.
+ */
+
+/**
+ * Records one grade write. Call on the same client/transaction as the
+ * enrollments update.
+ * @param {Object} entry
+ * @param {number} entry.classId
+ * @param {number} entry.studentId
+ * @param {string|null} entry.oldGrade - grade before the write
+ * @param {string|null} entry.newGrade - grade stored by the write
+ * @param {string|null} [entry.letterGrade] - letter behind a GPNC P/NC
+ * @param {string} entry.source - 'roster', 'bulk_upload', 'grade_change', 'withdraw', ...
+ * @param {number|null} [entry.changeRequestId]
+ * @param {number|null} entry.changedBy - user_id of whoever made the change
+ */
+export async function recordGradeHistory(db, {
+  classId,
+  studentId,
+  oldGrade,
+  newGrade,
+  letterGrade = null,
+  source,
+  changeRequestId = null,
+  changedBy,
+}) {
+  await db.query(
+    `
+    INSERT INTO grade_history
+      (class_id, student_id, old_grade, new_grade, letter_grade, source, change_request_id, changed_by_user_id, changed_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())
+    `,
+    [classId, studentId, oldGrade ?? null, newGrade ?? null, letterGrade, source, changeRequestId, changedBy ?? null]
+  );
+}
+
+/**
+ * Grade history for one enrollment, oldest first, with who made each change
+ * and the grade change request behind it, if any.
+ */
+export async function getGradeHistory(db, classId, studentId) {
+  const { rows } = await db.query(
+    `
+    SELECT
+      gh.history_id,
+      gh.old_grade,
+      gh.new_grade,
+      gh.letter_grade,
+      gh.source,
+      gh.change_request_id,
+      gh.changed_at,
+      u.first_name AS changed_by_first_name,
+      u.last_name AS changed_by_last_name,
+      gcr.justification
+    FROM grade_history gh
+    LEFT JOIN users u ON u.user_id = gh.changed_by_user_id
+    LEFT JOIN grade_change_requests gcr ON gcr.request_id = gh.change_request_id
+    WHERE gh.class_id = $1 AND gh.student_id = $2
+    ORDER BY gh.changed_at ASC, gh.history_id ASC
+    `,
+    [classId, studentId]
+  );
+
+  return rows.map((r) => ({
+    historyId: Number(r.history_id),
+    oldGrade: r.old_grade,
+    newGrade: r.new_grade,
+    letterGrade: r.letter_grade,
+    source: r.source,
+    changeRequestId: r.change_request_id != null ? Number(r.change_request_id) : null,
+    justification: r.justification ?? null,
+    changedAt: r.changed_at,
+    changedBy: r.changed_by_first_name
+      ? `${r.changed_by_first_name} ${r.changed_by_last_name}`
+      : null,
+  }));
+}
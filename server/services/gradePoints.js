@@ -0,0 +1,32 @@
+/**
+ * @file gradePoints.js
+ * @description Quality points for letter grades on the 4.0 scale. Grades not
+ * listed here (P, NC, W, I, ...) carry no points and are left out of GPA.
+ */
+
+export const GRADE_POINTS = {
+  'A+': 4.0,
+  A: 4.0,
+  'A-': 3.7,
+  'B+': 3.3,
+  B: 3.0,
+  'B-': 2.7,
+  'C+': 2.3,
+  C: 2.0,
+  'C-': 1.7,
+  'D+': 1.3,
+  D: 1.0,
+  'D-': 0.7,
+  F: 0.0,
+};
+
+// Graded but no credit earned
+export const NO_CREDIT_GRADES = ['F', 'NC', 'W', 'I'];
+
+/**
+ * Points for a grade, or null when the grade does not count toward GPA.
+ */
+export function gradePointsFor(grade) {
+  const g = String(grade ?? '').trim().toUpperCase();
+  return Object.prototype.hasOwnProperty.call(GRADE_POINTS, g) ? GRADE_POINTS[g] : null;
+}
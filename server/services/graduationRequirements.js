@@ -0,0 +1,162 @@
+/**
+ * @file graduationRequirements.js
+ * @description University-level graduation requirements
+ * (graduation_requirements.yaml).
+ *
+ * - minimum_credits, the SBC category list and LANG_exemptions are imported
+ *   into graduation_requirements; the newest import is in force, and the
+ *   defaults below apply until the first one.
+ * - A student is exempt from LANG when they have at least one major and
+ *   every major belongs to an exempt college (matched on college code or
+ *   name). Minors do not matter. A what-if audit checks its own majors
+ *   instead of the declared ones.
+ */
+
+export const LANG_CATEGORY = 'LANG';
+
+export const DEFAULT_GRADUATION_REQUIREMENTS = {
+  minimumCredits: 120,
+  sbcs: [
+    'ARTS', 'GLO', 'HUM', 'LANG', 'QPS', 'SBS', 'SNW', 'TECH', 'USA', 'WRT',
+    'STAS', 'EXP+', 'HFA+', 'SBS+', 'STEM+', 'CER', 'DIV', 'ESI', 'SPK', 'WRTD',
+  ],
+  langExemptColleges: [],
+};
+
+const toCodeList = (value) => [
+  ...new Set((Array.isArray(value) ? value : []).map((v) => String(v ?? '').trim().toUpperCase()).filter(Boolean)),
+];
+
+/**
+ * Validates the parsed YAML document.
+ * @returns {{requirements?: Object, error?: string}}
+ */
+export function parseGraduationRequirements(doc) {
+  const data = doc?.graduation_requirements;
+  if (!data || typeof data !== 'object') {
+    return { error: 'YAML must include a graduation_requirements section' };
+  }
+
+  const minimumCredits = Number(data.minimum_credits);
+  if (!Number.isInteger(minimumCredits) || minimumCredits <= 0) {
+    return { error: 'minimum_credits must be a positive integer' };
+  }
+
+  if (!Array.isArray(data.SBCs) || data.SBCs.length === 0) {
+    return { error: 'SBCs must be a non-empty list' };
+  }
+  if (data.LANG_exemptions != null && !Array.isArray(data.LANG_exemptions)) {
+    return { error: 'LANG_exemptions must be a list' };
+  }
+
+  return {
+    requirements: {
+      minimumCredits,
+      sbcs: toCodeList(data.SBCs),
+      langExemptColleges: toCodeList(data.LANG_exemptions),
+    },
+  };
+}
+
+/**
+ * The graduation requirements in force.
+ * @returns {Promise<{minimumCredits: number, sbcs: string[], langExemptColleges: string[], importedAt: string|null}>}
+ */
+export async function getGraduationRequirements(db) {
+  const { rows } = await db.query(
+    `
+    SELECT minimum_credits, sbc_categories, lang_exempt_colleges, imported_at
+    FROM graduation_requirements
+    ORDER BY graduation_requirements_id DESC
+    LIMIT 1
+    `
+  );
+
+  const row = rows[0];
+  if (!row) return { ...DEFAULT_GRADUATION_REQUIREMENTS, importedAt: null };
+
+  return {
+    minimumCredits: Number(row.minimum_credits),
+    sbcs: toCodeList(row.sbc_categories),
+    langExemptColleges: toCodeList(row.lang_exempt_colleges),
+    importedAt: row.imported_at ?? null,
+  };
+}
+
+/**
+ * The college (code and name) of each of a student's declared majors.
+ */
+export async function loadMajorColleges(db, studentId) {
+  const { rows } = await db.query(
+    `
+    SELECT p.program_id, col.code AS college_code, col.name AS college_name
+    FROM student_programs sp
+    JOIN programs p ON p.program_id = sp.program_id
+    LEFT JOIN departments d ON d.department_id = p.department_id
+    LEFT JOIN colleges col ON col.college_id = d.college_id
+    WHERE sp.student_id = $1
+      AND UPPER(COALESCE(sp.kind::text, p.type::text)) = 'MAJOR'
+    `,
+    [studentId]
+  );
+
+  return rows.map((r) => ({
+    programId: Number(r.program_id),
+    collegeCode: r.college_code ? String(r.college_code).toUpperCase() : null,
+    collegeName: r.college_name ? String(r.college_name).toUpperCase() : null,
+  }));
+}
+
+/**
+ * The college of each of the given majors, e.g. the ones a what-if audit
+ * tries. Programs without a known college are listed with null codes.
+ */
+export async function loadProgramColleges(db, programIds) {
+  const { rows } = await db.query(
+    `
+    SELECT p.program_id, col.code AS college_code, col.name AS college_name
+    FROM programs p
+    LEFT JOIN departments d ON d.department_id = p.department_id
+    LEFT JOIN colleges col ON col.college_id = d.college_id
+    WHERE p.program_id = ANY($1::int[])
+    `,
+    [programIds]
+  );
+
+  return programIds.map((programId) => {
+    const r = rows.find((row) => Number(row.program_id) === programId);
+    return {
+      programId,
+      collegeCode: r?.college_code ? String(r.college_code).toUpperCase() : null,
+      collegeName: r?.college_name ? String(r.college_name).toUpperCase() : null,
+    };
+  });
+}
+
+export function isLangExempt(majorColleges, requirements) {
+  const exempt = new Set(requirements.langExemptColleges);
+  return (
+    majorColleges.length > 0 &&
+    majorColleges.every((m) => exempt.has(m.collegeCode) || exempt.has(m.collegeName))
+  );
+}
+
+/**
+ * Graduation requirements as they apply to one student: `requiredSbcs`
+ * leaves out LANG when the student is exempt.
+ * @param {Object} [options]
+ * @param {number[]} [options.majorProgramIds] - Majors to check instead of the declared ones
+ */
+export async function getStudentGraduationRequirements(db, studentId, { majorProgramIds } = {}) {
+  const requirements = await getGraduationRequirements(db);
+  const majorColleges = majorProgramIds
+    ? await loadProgramColleges(db, majorProgramIds)
+    : await loadMajorColleges(db, studentId);
+  const langExempt = isLangExempt(majorColleges, requirements);
+
+  return {
+    ...requirements,
+    langExempt,
+    requiredSbcs: langExempt ? requirements.sbcs.filter((c) => c !== LANG_CATEGORY) : requirements.sbcs,
+  };
+}
@@ -0,0 +1,171 @@
+/**
+ * @file incompleteLapse.js
+ * @description Lapse processing for incomplete (I) grades.
+ *
+ * - Each term's incompletes must be resolved within `resolution_days` of the
+ *   term's academic_calendar.semester_end (incomplete_grade_policies, or the
+ *   defaults below). The deadline day itself is still in time.
+ * - Once SAM's current date (dateWrapper) is past the deadline, remaining I
+ *   grades become the term's lapse grade (F or NC). GPNC enrollments get NC
+ *   either way, with the letter kept as for any posted grade.
+ * - Every lapse is written to grade_history and audit_log.
+ *
+ * Processing runs whenever the current date moves forward.
+ */
+
+import { getCurrentDateString } from '../utils/dateWrapper.js';
+import { createAuditLogEntry } from './registrationChecks.js';
+import { getGpncPassThreshold, gradeForEnrollment } from './gpnc.js';
+import { recordGradeHistory } from './gradeHistory.js';
+import { toYmd } from './termCalendar.js';
+
+export const DEFAULT_INCOMPLETE_RESOLUTION_DAYS = 90;
+export const DEFAULT_INCOMPLETE_LAPSE_GRADE = 'F';
+export const INCOMPLETE_LAPSE_GRADES = ['F', 'NC'];
+
+// Last current-date value seen by processIncompleteLapsesIfDateAdvanced (YYYY-MM-DD)
+let lastSeenDate = null;
+
+/**
+ * The incomplete policy for a term, falling back to the defaults.
+ * @returns {Promise<{termId: number, resolutionDays: number, lapseGrade: string, configured: boolean}>}
+ */
+export async function getIncompletePolicy(db, termId) {
+  const { rows } = await db.query(
+    `
+    SELECT resolution_days, lapse_grade
+    FROM incomplete_grade_policies
+    WHERE term_id = $1
+    `,
+    [termId]
+  );
+
+  const row = rows[0];
+  return {
+    termId: Number(termId),
+    resolutionDays: row ? Number(row.resolution_days) : DEFAULT_INCOMPLETE_RESOLUTION_DAYS,
+    lapseGrade: row?.lapse_grade ?? DEFAULT_INCOMPLETE_LAPSE_GRADE,
+    configured: Boolean(row),
+  };
+}
+
+/**
+ * Unresolved incompletes with their resolution deadline. Pass `dueBefore`
+ * (YYYY-MM-DD) to list only those whose deadline is earlier than that date.
+ */
+export async function listIncompletes(db, { termId = null, dueBefore = null } = {}) {
+  const { rows } = await db.query(
+    `
+    SELECT
+      e.class_id,
+      e.student_id,
+      e.gpnc,
+      cs.term_id,
+      cs.section_num,
+      c.subject,
+      c.course_num,
+      t.semester,
+      t.year,
+      u.first_name,
+      u.last_name,
+      u.email,
+      COALESCE(p.lapse_grade, $3) AS lapse_grade,
+      ac.semester_end + COALESCE(p.resolution_days, $4)::int AS deadline
+    FROM enrollments e
+    JOIN class_sections cs ON cs.class_id = e.class_id
+    JOIN courses c ON c.course_id = cs.course_id
+    JOIN terms t ON t.term_id = cs.term_id
+    JOIN users u ON u.user_id = e.student_id
+    JOIN academic_calendar ac
+      ON lower(ac.term->>'semester') = lower(t.semester::text)
+     AND (ac.term->>'year')::int = t.year
+    LEFT JOIN incomplete_grade_policies p ON p.term_id = cs.term_id
+    WHERE e.grade = 'I'
+      AND ac.semester_end IS NOT NULL
+      AND ($1::int IS NULL OR cs.term_id = $1::int)
+      AND ($2::date IS NULL OR ac.semester_end + COALESCE(p.resolution_days, $4)::int < $2::date)
+    ORDER BY deadline, c.subject, c.course_num, u.last_name
+    `,
+    [termId, dueBefore, DEFAULT_INCOMPLETE_LAPSE_GRADE, DEFAULT_INCOMPLETE_RESOLUTION_DAYS]
+  );
+
+  return rows.map((r) => ({
+    classId: Number(r.class_id),
+    studentId: Number(r.student_id),
+    gpnc: Boolean(r.gpnc),
+    termId: Number(r.term_id),
+    termCode: `${r.semester} ${r.year}`,
+    courseCode: `${r.subject} ${r.course_num}`,
+    sectionNum: r.section_num,
+    studentName: `${r.first_name} ${r.last_name}`,
+    email: r.email,
+    lapseGrade: r.lapse_grade,
+    deadline: toYmd(r.deadline),
+  }));
+}
+
+/**
+ * Converts every incomplete whose deadline has passed to its lapse grade.
+ * @returns {Promise<{date: string, lapsed: Array}>}
+ */
+export async function processIncompleteLapses(db, { performedBy = null } = {}) {
+  const today = getCurrentDateString();
+  const due = await listIncompletes(db, { dueBefore: today });
+  const summary = { date: today, lapsed: [] };
+  if (!due.length) return summary;
+
+  const gpncPassThreshold = await getGpncPassThreshold(db);
+  for (const inc of due) {
+    const { grade, letterGrade } = gradeForEnrollment(inc.lapseGrade, inc.gpnc, gpncPassThreshold);
+
+    // Only touch rows still at I, in case the grade was entered meanwhile
+    const updateRes = await db.query(
+      `
+      UPDATE enrollments
+      SET grade = $1, gpnc_letter_grade = $2, updated_at = NOW()
+      WHERE class_id = $3
+        AND student_id = $4
+        AND grade = 'I'
+      RETURNING student_id
+      `,
+      [grade, letterGrade, inc.classId, inc.studentId]
+    );
+    if (updateRes.rows.length === 0) continue;
+
+    await recordGradeHistory(db, {
+      classId: inc.classId,
+      studentId: inc.studentId,
+      oldGrade: 'I',
+      newGrade: grade,
+      letterGrade,
+      source: 'incomplete_lapse',
+      changedBy: performedBy,
+    });
+
+    await createAuditLogEntry(db, {
+      studentId: inc.studentId,
+      actionType: 'incomplete_lapsed',
+      actionDescription: `Incomplete in ${inc.courseCode} (Section ${inc.sectionNum}, ${inc.termCode}) lapsed to ${grade}; deadline was ${inc.deadline}`,
+      performedBy,
+      entityType: 'class_section',
+      entityId: inc.classId,
+    });
+
+    summary.lapsed.push({ ...inc, grade });
+  }
+
+  return summary;
+}
+
+/**
+ * Runs processIncompleteLapses if SAM's current date has moved forward since
+ * the last call. Returns null when the date has not advanced.
+ */
+export async function processIncompleteLapsesIfDateAdvanced(db, options = {}) {
+  const today = getCurrentDateString();
+  const previous = lastSeenDate;
+  lastSeenDate = today;
+
+  if (previous && today <= previous) return null;
+  return processIncompleteLapses(db, options);
+}
@@ -0,0 +1,304 @@
+/**
+ * @file registrationChecks.js
+ * @description Registration checks shared by the registration routes and the
+ * waitlist processor: holds, time conflicts, credit load and audit logging.
+ */
+
+import { GRADE_POINTS, NO_CREDIT_GRADES } from './gradePoints.js';
+import { effectiveGrade, getGpncPassThreshold } from './gpnc.js';
+import { applyRepeatPolicy, getRepeatPolicy } from './repeatPolicy.js';
+
+/**
+ * Maximum number of credits a student may carry in a term when the
+ * registrar has not configured term_credit_limits for it.
+ */
+export const DEFAULT_MAX_TERM_CREDITS = 19;
+
+export function computeClassStanding(credits) {
+  if (credits >= 84) return 'U4';
+  if (credits >= 57) return 'U3';
+  if (credits >= 24) return 'U2';
+  return 'U1';
+}
+
+export async function checkRegistrationHolds(db, studentId) {
+  const result = await db.query(
+    `
+    SELECT hold_type, note, placed_by_user_id, placed_at
+    FROM registration_holds
+    WHERE student_user_id = $1
+      AND resolved_at IS NULL
+    `,
+    [studentId]
+  );
+  return result.rows;
+}
+
+/**
+ * Sums the credits of a student's registered classes in a term.
+ */
+export async function getRegisteredTermCredits(db, studentId, termId) {
+  const result = await db.query(
+    `
+    SELECT COALESCE(SUM(c.credits), 0) AS term_credits
+    FROM enrollments e
+    JOIN class_sections cs ON cs.class_id = e.class_id
+    JOIN courses c ON c.course_id = cs.course_id
+    WHERE e.student_id = $1
+      AND cs.term_id = $2
+      AND e.status = 'registered'
+    `,
+    [studentId, termId]
+  );
+  return Number(result.rows[0]?.term_credits || 0);
+}
+
+/**
+ * Cumulative credits and GPA over graded enrollments. F, NC, I and W
+ * grades earn no credit, attempts replaced under the repeat policy count for
+ * nothing, and GPA is null until the student has a letter grade.
+ */
+export async function getAcademicTotals(db, studentId) {
+  const result = await db.query(
+    `
+    SELECT e.grade, c.credits, e.gpnc, c.subject, c.course_num, t.semester, t.year
+    FROM enrollments e
+    JOIN class_sections cs ON cs.class_id = e.class_id
+    JOIN courses c ON c.course_id = cs.course_id
+    LEFT JOIN terms t ON t.term_id = cs.term_id
+    WHERE e.student_id = $1
+      AND e.status IN ('completed', 'registered')
+      AND e.grade IS NOT NULL
+    `,
+    [studentId]
+  );
+  const { policy } = await getRepeatPolicy(db);
+  const gpncPassThreshold = await getGpncPassThreshold(db);
+
+  let cumulativeCredits = 0;
+  let points = 0;
+  let gpaCredits = 0;
+  for (const row of applyRepeatPolicy(result.rows, policy, gpncPassThreshold)) {
+    const grade = String(effectiveGrade(row, gpncPassThreshold)).toUpperCase();
+    const credits = Number(row.credits) || 0;
+    if (!NO_CREDIT_GRADES.includes(grade)) cumulativeCredits += credits;
+    if (!row.gpnc && GRADE_POINTS[grade] != null) {
+      points += GRADE_POINTS[grade] * credits;
+      gpaCredits += credits;
+    }
+  }
+
+  return {
+    cumulativeCredits,
+    gpa: gpaCredits > 0 ? Number((points / gpaCredits).toFixed(3)) : null,
+  };
+}
+
+/**
+ * The student's credit cap for a term. The most specific term_credit_limits
+ * rule wins: a rule for the student's class standing beats one for every
+ * standing, then the highest GPA threshold the student meets. An approved
+ * overload raises the cap to the approved credits.
+ */
+export async function getTermCreditLimit(db, studentId, termId) {
+  const { cumulativeCredits, gpa } = await getAcademicTotals(db, studentId);
+  const classStanding = computeClassStanding(cumulativeCredits);
+
+  const ruleRes = await db.query(
+    `
+    SELECT limit_id, class_standing, min_gpa, max_credits
+    FROM term_credit_limits
+    WHERE term_id = $1
+      AND (class_standing IS NULL OR class_standing = $2)
+      AND (min_gpa IS NULL OR ($3::numeric IS NOT NULL AND min_gpa <= $3::numeric))
+    ORDER BY (class_standing IS NOT NULL) DESC, min_gpa DESC NULLS LAST
+    LIMIT 1
+    `,
+    [termId, classStanding, gpa]
+  );
+  const rule = ruleRes.rows[0] ?? null;
+  const baseMaxCredits = rule ? Number(rule.max_credits) : DEFAULT_MAX_TERM_CREDITS;
+
+  const overloadRes = await db.query(
+    `
+    SELECT request_id, requested_credits
+    FROM credit_overload_requests
+    WHERE student_user_id = $1
+      AND term_id = $2
+      AND status = 'approved'
+    `,
+    [studentId, termId]
+  );
+  const overload = overloadRes.rows[0] ?? null;
+  const overloadCredits = overload ? Number(overload.requested_credits) : 0;
+
+  return {
+    maxCredits: Math.max(baseMaxCredits, overloadCredits),
+    baseMaxCredits,
+    classStanding,
+    gpa,
+    limitId: rule?.limit_id ?? null,
+    overloadRequestId: overload && overloadCredits > baseMaxCredits ? overload.request_id : null,
+  };
+}
+
+/**
+ * Checks whether adding `additionalCredits` keeps the student within the
+ * term credit limit.
+ */
+export async function checkCreditLimit(db, studentId, termId, additionalCredits) {
+  const currentCredits = await getRegisteredTermCredits(db, studentId, termId);
+  const { maxCredits } = await getTermCreditLimit(db, studentId, termId);
+  const totalCredits = currentCredits + (Number(additionalCredits) || 0);
+
+  if (totalCredits > maxCredits) {
+    return {
+      allowed: false,
+      currentCredits,
+      totalCredits,
+      maxCredits,
+      reason: `Credit limit exceeded: ${totalCredits} credits would exceed the ${maxCredits}-credit limit for this term. Request a credit overload to register for more.`,
+    };
+  }
+
+  return { allowed: true, currentCredits, totalCredits, maxCredits };
+}
+
+/**
+ * Create an audit log entry
+ */
+export async function createAuditLogEntry(db, {
+  studentId,
+  actionType,
+  actionDescription,
+  performedBy,
+  entityType = null,
+  entityId = null,
+  note = null
+}) {
+  try {
+    await db.query(
+      `INSERT INTO audit_log (student_id, action_type, action_description, performed_by, entity_type, entity_id, performed_at, note)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW(), $7)`,
+      [studentId, actionType, actionDescription, performedBy, entityType, entityId, note]
+    );
+  } catch (err) {
+    // Log error but don't fail the main operation
+    console.error('[createAuditLogEntry] Error:', err);
+  }
+}
+
+export async function checkTimeConflict(db, studentId, newClassId, termId) {
+  const newClassRes = await db.query(
+    `
+    SELECT meeting_days, meeting_times
+    FROM class_sections
+    WHERE class_id = $1
+  `,
+    [newClassId]
+  );
+
+  // Helper function to check if a value is TBA
+  const isTBA = (value) => {
+    if (!value) return true; // NULL, undefined, empty string
+    const str = String(value).trim().toUpperCase();
+    return str === 'TBA' || str === '';
+  };
+
+  const newMeetingDays = newClassRes.rows[0]?.meeting_days;
+  const newMeetingTimes = newClassRes.rows[0]?.meeting_times;
+  const newIsTBA = isTBA(newMeetingDays) || isTBA(newMeetingTimes);
+
+  // Query all enrolled classes (including TBA ones)
+  const enrolledRes = await db.query(
+    `
+    SELECT cs.class_id, cs.meeting_days, cs.meeting_times, c.subject, c.course_num
+    FROM enrollments e
+    JOIN class_sections cs ON cs.class_id = e.class_id
+    JOIN courses c ON c.course_id = cs.course_id
+    WHERE e.student_id = $1
+      AND cs.term_id = $2
+      AND e.status = 'registered'
+  `,
+    [studentId, termId]
+  );
+
+  // If new class has TBA, conflict with ALL existing enrollments
+  if (newIsTBA) {
+    if (enrolledRes.rows.length > 0) {
+      const firstConflict = enrolledRes.rows[0];
+      return {
+        hasConflict: true,
+        conflictingClass: {
+          classId: firstConflict.class_id,
+          courseCode: `${firstConflict.subject} ${firstConflict.course_num}`,
+        },
+      };
+    }
+  }
+
+  // If new class has known schedule, check against enrolled classes
+  if (!newIsTBA && newMeetingDays && newMeetingTimes) {
+    const newDays = newMeetingDays
+      .split(/[,\s\/]+/)
+      .map((d) => d.trim().toUpperCase())
+      .filter(d => d && d !== 'TBA');
+    const newTimes = newMeetingTimes;
+
+    for (const enrolled of enrolledRes.rows) {
+      const enrolledMeetingDays = enrolled.meeting_days;
+      const enrolledMeetingTimes = enrolled.meeting_times;
+      const enrolledIsTBA = isTBA(enrolledMeetingDays) || isTBA(enrolledMeetingTimes);
+
+      // If enrolled class has TBA, conflict with new class (known schedule)
+      if (enrolledIsTBA) {
+        return {
+          hasConflict: true,
+          conflictingClass: {
+            classId: enrolled.class_id,
+            courseCode: `${enrolled.subject} ${enrolled.course_num}`,
+          },
+        };
+      }
+
+      // Both have known schedules - check for actual overlap
+      if (enrolledMeetingDays && enrolledMeetingTimes && newDays.length > 0 && newTimes) {
+        const enrolledDays = enrolledMeetingDays
+          .split(/[,\s\/]+/)
+          .map((d) => d.trim().toUpperCase())
+          .filter(d => d && d !== 'TBA');
+
+        const dayOverlap = newDays.some((d) => enrolledDays.includes(d));
+        if (dayOverlap && enrolledMeetingTimes && newTimes) {
+          // For now, if days overlap and both have times, consider it a conflict
+          // (Could add actual time range parsing here if needed)
+          return {
+            hasConflict: true,
+            conflictingClass: {
+              classId: enrolled.class_id,
+              courseCode: `${enrolled.subject} ${enrolled.course_num}`,
+            },
+          };
+        }
+      }
+    }
+  }
+
+  return { hasConflict: false };
+}
+
+export async function hasTimeConflictWaiver(db, studentId, classId1, classId2) {
+  const result = await db.query(
+    `
+    SELECT 1 FROM time_conflict_waivers
+    WHERE student_user_id = $1
+      AND ((class_id_1 = $2 AND class_id_2 = $3) OR (class_id_1 = $3 AND class_id_2 = $2))
+      AND instructor_1_approved = true
+      AND instructor_2_approved = true
+      AND advisor_approved = true
+      AND status = 'approved'
+  `,
+    [studentId, classId1, classId2]
+  );
+  return result.rows.length > 0;
+}
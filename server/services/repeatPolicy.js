@@ -0,0 +1,138 @@
+/**
+ * @file repeatPolicy.js
+ * @description Repeat-course policy.
+ *
+ * - When a course is taken more than once, only one graded attempt counts
+ *   toward GPA, earned credits and prerequisites:
+ *     latest  the most recent graded attempt (by term)
+ *     best    the highest grade; ties go to the most recent attempt
+ *   Attempts without a final grade (in progress, W, I) are never replaced
+ *   and never replace anything.
+ * - A course may be taken again at most `maxRepeats` times after the first
+ *   attempt; /enroll refuses further attempts. W grades do not count as an
+ *   attempt.
+ *
+ * Both settings live in system_state so registrars can change them.
+ */
+
+import { DEFAULT_GPNC_PASS_THRESHOLD, effectiveGrade } from './gpnc.js';
+import { gradePointsFor } from './gradePoints.js';
+import { termCompare } from './termCalendar.js';
+
+export const REPEAT_POLICIES = ['latest', 'best'];
+
+export const DEFAULT_REPEAT_POLICY = 'latest';
+
+export const DEFAULT_MAX_REPEATS = 2;
+
+// Grades that are not final and so never take part in replacement
+const NON_FINAL_GRADES = ['W', 'I'];
+
+/**
+ * Repeat policy from system_state, falling back to the defaults.
+ * @returns {Promise<{policy: string, maxRepeats: number}>}
+ */
+export async function getRepeatPolicy(db) {
+  const { rows } = await db.query(
+    `
+    SELECT repeat_policy, repeat_max_repeats
+    FROM system_state
+    ORDER BY system_state_id DESC
+    LIMIT 1
+    `
+  );
+
+  const row = rows[0] ?? {};
+  const maxRepeats = Number(row.repeat_max_repeats);
+  return {
+    policy: REPEAT_POLICIES.includes(row.repeat_policy) ? row.repeat_policy : DEFAULT_REPEAT_POLICY,
+    maxRepeats: row.repeat_max_repeats == null || !Number.isInteger(maxRepeats) ? DEFAULT_MAX_REPEATS : maxRepeats,
+  };
+}
+
+const courseKey = (r) => `${String(r.subject ?? '').trim().toUpperCase()} ${String(r.course_num ?? '').trim()}`;
+
+const finalGrade = (r, gpncPassThreshold) => {
+  const g = String(effectiveGrade(r, gpncPassThreshold) ?? '').trim().toUpperCase();
+  return g && !NON_FINAL_GRADES.includes(g) ? g : null;
+};
+
+// P/CR/S rank like the lowest grade that converts to P; NC ranks with F
+const gradeRank = (grade, gpncPassThreshold) => {
+  const points = gradePointsFor(grade);
+  if (points != null) return points;
+  if (['P', 'CR', 'S'].includes(grade)) return gradePointsFor(gpncPassThreshold);
+  return 0;
+};
+
+/**
+ * Drops the graded attempts that `policy` replaces. Rows need subject,
+ * course_num, grade, gpnc, semester and year; rows without a final grade are
+ * kept as they are. Order of the remaining rows is preserved. GPNC letter
+ * grades convert at `gpncPassThreshold` before they are compared.
+ */
+export function applyRepeatPolicy(
+  rows,
+  policy = DEFAULT_REPEAT_POLICY,
+  gpncPassThreshold = DEFAULT_GPNC_PASS_THRESHOLD
+) {
+  const counted = new Map();
+
+  for (const r of rows) {
+    const grade = finalGrade(r, gpncPassThreshold);
+    if (!grade) continue;
+
+    const key = courseKey(r);
+    const current = counted.get(key);
+    if (!current) {
+      counted.set(key, r);
+      continue;
+    }
+
+    const order = termCompare(r.semester, r.year, current.semester, current.year);
+    if (policy === 'best') {
+      const currentGrade = finalGrade(current, gpncPassThreshold);
+      const diff = gradeRank(grade, gpncPassThreshold) - gradeRank(currentGrade, gpncPassThreshold);
+      if (diff > 0 || (diff === 0 && order >= 0)) counted.set(key, r);
+    } else if (order >= 0) {
+      counted.set(key, r);
+    }
+  }
+
+  return rows.filter((r) => !finalGrade(r, gpncPassThreshold) || counted.get(courseKey(r)) === r);
+}
+
+/**
+ * Whether a student may take `course` (subject, course_num) again in
+ * `termId`. Attempts in other terms count unless withdrawn with a W.
+ * @returns {Promise<{allowed: boolean, priorAttempts: number, maxRepeats: number, reason?: string}>}
+ */
+export async function checkRepeatLimit(db, studentId, course, termId) {
+  const { maxRepeats } = await getRepeatPolicy(db);
+
+  const { rows } = await db.query(
+    `
+    SELECT COUNT(*)::int AS prior_attempts
+    FROM enrollments e
+    JOIN class_sections cs ON cs.class_id = e.class_id
+    JOIN courses c ON c.course_id = cs.course_id
+    WHERE e.status IN ('completed', 'registered')
+      AND (e.grade IS NULL OR e.grade <> 'W')
+      AND e.student_id = $1
+      AND UPPER(c.subject) = UPPER($2)
+      AND c.course_num = $3
+      AND cs.term_id <> $4
+    `,
+    [studentId, course.subject, String(course.course_num), termId]
+  );
+
+  const priorAttempts = Number(rows[0]?.prior_attempts ?? 0);
+  if (priorAttempts <= maxRepeats) return { allowed: true, priorAttempts, maxRepeats };
+
+  return {
+    allowed: false,
+    priorAttempts,
+    maxRepeats,
+    reason: `${course.subject} ${course.course_num} has already been taken ${priorAttempts} times; it may be repeated at most ${maxRepeats} time${maxRepeats === 1 ? '' : 's'}`,
+  };
+}
@@ -0,0 +1,603 @@
+/**
+ * @file requirementAllocation.js
+ * @description Assigns a student's completed and in-progress courses to the
+ * requirement groups of their declared programs.
+ *
+ * - Within a program a course counts toward at most one requirement. Each
+ *   group is split into slots (one per required course, sequence step,
+ *   elective or option pick) and courses are matched to slots with a
+ *   min-cost flow: as many slots as possible are filled, completed courses
+ *   before in-progress ones. When two placements satisfy the same amount,
+ *   the group listed first in the program wins.
+ * - Groups met by one of several course lists (e.g. a two-course science
+ *   sequence) have one variant per list; every combination of variants is
+ *   tried, up to MAX_VARIANT_COMBINATIONS per program.
+ * - Credit minimums (min_credits) are topped up with allowed courses left
+ *   over after matching.
+ * - Across programs a course may count more than once unless a program
+ *   sets degree_requirements.max_shared_courses, the number of its courses
+ *   that may also count toward another declared program. Majors are
+ *   allocated before minors, so a minor's limit is checked against its
+ *   majors; an earlier program's limit is also respected by later ones.
+ *   Among equally good allocations, earlier programs keep the one that
+ *   leaves the most courses to later programs.
+ * - Advisor exceptions (services/requirementExceptions.js) are applied:
+ *   a substitute course fills any slot its original course would, and a
+ *   waived group takes no courses.
+ * - Every course gets a one-line explanation of where it went and why.
+ */
+
+export const MAX_VARIANT_COMBINATIONS = 64;
+
+// Flow costs: fill slots with completed courses first, then in-progress
+// ones, then avoid shared courses and courses later programs can use, then
+// prefer groups listed earlier
+const COMPLETED_VALUE = 1_000_000;
+const IN_PROGRESS_VALUE = 10_000;
+const SHARED_PENALTY = 100;
+const LATER_DEMAND_PENALTY = 100;
+
+const normStr = (x) => (x ?? '').toString().trim();
+const normCode = (x) => normStr(x).toUpperCase().replace(/\s+/g, '');
+
+/**
+ * degree_requirements.max_shared_courses as a number, or null when unset.
+ */
+export function maxSharedCoursesOf(reqObj) {
+  const n = Number(reqObj?.max_shared_courses);
+  return reqObj?.max_shared_courses != null && Number.isInteger(n) && n >= 0 ? n : null;
+}
+
+/**
+ * "Probability and structures" for a requirement key such as
+ * probability_and_structures.
+ */
+export function titleFromKey(key) {
+  const s = normStr(key).replace(/_/g, ' ');
+  return s ? s.charAt(0).toUpperCase() + s.slice(1) : 'Requirement';
+}
+
+const listCodes = (x) => (Array.isArray(x) ? x : [x]).map(normCode).filter(Boolean);
+
+// A slot filled by any of `codes` or an approved substitute for one of them
+function slotFor(label, codes, substitutions) {
+  const allowed = new Set(codes);
+  const substitutes = new Map();
+  for (const code of codes) {
+    for (const sub of substitutions?.get(code) ?? []) {
+      if (!allowed.has(sub)) substitutes.set(sub, code);
+    }
+  }
+  return {
+    label,
+    codes,
+    accepts: (c) => allowed.has(c.code) || substitutes.has(c.code),
+    substituteFor: (c) => (allowed.has(c.code) ? null : substitutes.get(c.code) ?? null),
+  };
+}
+
+function combinations(items, k) {
+  if (k <= 0) return [[]];
+  if (items.length < k) return [];
+  const [first, ...rest] = items;
+  return [...combinations(rest, k - 1).map((combo) => [first, ...combo]), ...combinations(rest, k)];
+}
+
+/**
+ * Requirement groups of a program's degree_requirements, with the slots
+ * courses are matched to. Group ids and types match the groups that
+ * degree progress reports; `key` is the degree_requirements key ('core'
+ * for required_courses).
+ *
+ * @param {Object} [exceptions] - { substitutions: Map(course -> substitutes), waivedGroups: Set(key) }
+ * @returns {Array<{id: string, key: string, title: string, type: string, waived: boolean, variants: Array<Array<Object>>, creditBucket: ?Object}>}
+ */
+export function defineRequirementGroups(reqObj, programId, exceptions = {}) {
+  const groups = [];
+  const { substitutions = new Map(), waivedGroups = new Set() } = exceptions;
+  const courseSlot = (code) => slotFor(code, [code], substitutions);
+  const anyOfSlot = (label, codes) => slotFor(label, codes, substitutions);
+
+  const requiredList = reqObj?.required_courses ?? reqObj?.requiredCourses ?? reqObj?.required ?? [];
+  const coreCodes = Array.isArray(requiredList) ? requiredList.map(normCode).filter(Boolean) : [];
+  groups.push({
+    id: `${programId}-core`,
+    key: 'core',
+    title: 'Required Courses',
+    type: 'all',
+    variants: [coreCodes.map(courseSlot)],
+    creditBucket: null,
+  });
+
+  for (const [key, rawVal] of Object.entries(reqObj || {})) {
+    if (key === 'required_courses' || key === 'requiredCourses') continue;
+    if (!rawVal || typeof rawVal !== 'object') continue;
+
+    const id = `${programId}-${key}`;
+    const title = key === 'electives' ? 'Electives' : titleFromKey(key);
+    const base = { id, key, title };
+
+    if (key === 'electives') {
+      const minLevel = Number(rawVal.min_level) || 0;
+      const minCourses = Number(rawVal.min_courses) || 0;
+      const fromSubject = normCode(rawVal.from_subject);
+      const exclude = new Set(listCodes(rawVal.exclude_courses || []));
+
+      const accepts = (c) => {
+        if (fromSubject && c.subject !== fromSubject) return false;
+        const num = Number(c.courseNum);
+        if (minLevel && (!Number.isFinite(num) || num < minLevel)) return false;
+        return !exclude.has(c.code);
+      };
+      const slots = Array.from({ length: minCourses }, (_, i) => ({
+        label: `Elective ${i + 1}`,
+        codes: [],
+        accepts,
+        substituteFor: () => null,
+      }));
+
+      groups.push({ ...base, type: 'electives', variants: [slots], creditBucket: null });
+      continue;
+    }
+
+    if (Array.isArray(rawVal.required_sequence)) {
+      const slots = rawVal.required_sequence.map((step) => {
+        const codes = listCodes(step);
+        return anyOfSlot(codes.join(' or '), codes);
+      });
+
+      groups.push({ ...base, type: 'sequence', variants: [slots], creditBucket: null });
+      continue;
+    }
+
+    if (Array.isArray(rawVal.options)) {
+      const required = Number(rawVal.required) || 1;
+      const options = rawVal.options.map(listCodes);
+      const maxGroupLen = options.reduce((m, list) => Math.max(m, list.length), 0);
+
+      if (rawVal.min_credits != null) {
+        const allowed = new Set([...options.flat(), ...listCodes(rawVal.additional_allowed_courses || [])]);
+        const variants = combinations(options, required).map((picked) => [...new Set(picked.flat())].map(courseSlot));
+
+        groups.push({
+          ...base,
+          type: 'credits_core',
+          variants: variants.length > 0 ? variants : [[]],
+          creditBucket: { minCredits: Number(rawVal.min_credits) || 0, accepts: (c) => allowed.has(c.code) },
+        });
+        continue;
+      }
+
+      if (required === 1 && maxGroupLen > 1) {
+        groups.push({
+          ...base,
+          type: 'choose_sequence',
+          variants: options.length > 0 ? options.map((list) => list.map(courseSlot)) : [[]],
+          creditBucket: null,
+        });
+        continue;
+      }
+
+      const pool = [...new Set(options.flat())];
+      const slots = Array.from({ length: required }, () => anyOfSlot(`one of ${pool.join(', ')}`, pool));
+
+      groups.push({ ...base, type: required === 1 ? 'choose_one' : 'choose_n', variants: [slots], creditBucket: null });
+    }
+  }
+
+  return groups.map((g) => ({ ...g, waived: waivedGroups.has(g.key) }));
+}
+
+function createGraph(nodeCount) {
+  return { adj: Array.from({ length: nodeCount }, () => []), edges: [] };
+}
+
+function addEdge(graph, from, to, cap, cost) {
+  graph.adj[from].push(graph.edges.length);
+  graph.edges.push({ to, cap, cost });
+  graph.adj[to].push(graph.edges.length);
+  graph.edges.push({ to: from, cap: 0, cost: -cost });
+  return graph.edges.length - 2;
+}
+
+/**
+ * Successive shortest paths (Bellman-Ford queue) from source to sink while
+ * a path still lowers the total cost. Every path carries one unit here.
+ */
+function runMinCostFlow(graph, source, sink) {
+  const n = graph.adj.length;
+  let total = 0;
+
+  for (;;) {
+    const dist = new Array(n).fill(Infinity);
+    const prevEdge = new Array(n).fill(-1);
+    const queued = new Array(n).fill(false);
+    dist[source] = 0;
+    const queue = [source];
+
+    while (queue.length > 0) {
+      const u = queue.shift();
+      queued[u] = false;
+      for (const ei of graph.adj[u]) {
+        const e = graph.edges[ei];
+        if (e.cap > 0 && dist[u] + e.cost < dist[e.to]) {
+          dist[e.to] = dist[u] + e.cost;
+          prevEdge[e.to] = ei;
+          if (!queued[e.to]) {
+            queued[e.to] = true;
+            queue.push(e.to);
+          }
+        }
+      }
+    }
+
+    if (!(dist[sink] < 0)) break;
+
+    for (let v = sink; v !== source; v = graph.edges[prevEdge[v] ^ 1].to) {
+      graph.edges[prevEdge[v]].cap -= 1;
+      graph.edges[prevEdge[v] ^ 1].cap += 1;
+    }
+    total += dist[sink];
+  }
+
+  return total;
+}
+
+const courseValue = (course) => (course.completed ? COMPLETED_VALUE : IN_PROGRESS_VALUE);
+
+/**
+ * Best matching of candidates to slots. `budget` caps how many shared
+ * candidates are used; `pinned` (candidate index -> allowed group indexes)
+ * restricts where a candidate may go.
+ * @returns {{slotCourse: Array<number|null>, value: number}}
+ */
+function matchSlots(slots, candidates, budget, pinned = null) {
+  const source = 0;
+  const sink = 1;
+  const gate = 2;
+  const courseNode = (i) => 3 + i;
+  const slotNode = (j) => 3 + candidates.length + j;
+  const graph = createGraph(3 + candidates.length + slots.length);
+
+  const sharedCount = candidates.filter((c) => c.shared).length;
+  addEdge(graph, source, gate, Math.min(budget, sharedCount), 0);
+
+  candidates.forEach((cand, i) => {
+    if (cand.shared) addEdge(graph, gate, courseNode(i), 1, SHARED_PENALTY);
+    else addEdge(graph, source, courseNode(i), 1, 0);
+  });
+
+  const slotEdges = [];
+  slots.forEach((slot, j) => {
+    candidates.forEach((cand, i) => {
+      if (!slot.accepts(cand.course)) return;
+      if (pinned?.has(i) && !pinned.get(i).includes(slot.groupIndex)) return;
+      const cost = slot.groupIndex - courseValue(cand.course) + (cand.laterDemand ? LATER_DEMAND_PENALTY : 0);
+      const ei = addEdge(graph, courseNode(i), slotNode(j), 1, cost);
+      slotEdges.push({ ei, i, j });
+    });
+    addEdge(graph, slotNode(j), sink, 1, 0);
+  });
+
+  runMinCostFlow(graph, source, sink);
+
+  const slotCourse = slots.map(() => null);
+  let value = 0;
+  for (const { ei, i, j } of slotEdges) {
+    if (graph.edges[ei].cap === 0) {
+      slotCourse[j] = i;
+      value += courseValue(candidates[i].course);
+    }
+  }
+  return { slotCourse, value };
+}
+
+// How many of a variant's slots some candidate could fill
+const fillableSlots = (variant, candidates) =>
+  variant.filter((slot) => candidates.some((cand) => slot.accepts(cand.course))).length;
+
+function variantCombinations(groups, candidates) {
+  const choices = groups.map((g) => g.variants.map((_, i) => i));
+  const product = () => choices.reduce((n, list) => n * list.length, 1);
+
+  // Too many to try: fix the widest groups to their most promising variant
+  while (product() > MAX_VARIANT_COMBINATIONS) {
+    const widest = choices.reduce((best, list, i) => (list.length > choices[best].length ? i : best), 0);
+    const variants = groups[widest].variants;
+    const likeliest = variants.reduce(
+      (best, v, i) => (fillableSlots(v, candidates) > fillableSlots(variants[best], candidates) ? i : best),
+      0
+    );
+    choices[widest] = [likeliest];
+  }
+
+  return choices.reduce((acc, list) => acc.flatMap((combo) => list.map((v) => [...combo, v])), [[]]);
+}
+
+function slotsFor(groups, combo) {
+  return groups.flatMap((g, groupIndex) =>
+    g.waived ? [] : g.variants[combo[groupIndex]].map((slot) => ({ ...slot, groupIndex }))
+  );
+}
+
+const sharingBudget = (limit, used) => (limit == null ? Infinity : Math.max(0, limit - used));
+
+const acceptsCourse = (group, course) =>
+  group.variants.some((v) => v.some((slot) => slot.accepts(course))) || !!group.creditBucket?.accepts(course);
+
+function allocateProgram(program, groups, courses, earlier, laterGroups) {
+  const limit = maxSharedCoursesOf(program.reqObj);
+
+  // Earlier programs each course already counts toward
+  const countedBy = (code) => earlier.filter((p) => p.courseGroup.has(code));
+
+  const candidates = [];
+  const blocked = new Map(); // code -> program whose limit is used up
+  for (const course of courses) {
+    const owners = countedBy(course.code);
+    const full = owners.find(
+      (p) => sharingBudget(p.maxSharedCourses, p.sharedCodes.size) === 0 && !p.sharedCodes.has(course.code)
+    );
+    if (full) {
+      blocked.set(course.code, full);
+      continue;
+    }
+    candidates.push({
+      course,
+      shared: owners.length > 0,
+      owners,
+      laterDemand: laterGroups.some((g) => !g.waived && acceptsCourse(g, course)),
+    });
+  }
+
+  // A shared course also uses up the budget of every limited earlier program
+  const budget = Math.min(
+    sharingBudget(limit, 0),
+    ...earlier
+      .filter((p) => candidates.some((cand) => cand.owners.includes(p) && !p.sharedCodes.has(cand.course.code)))
+      .map((p) => sharingBudget(p.maxSharedCourses, p.sharedCodes.size))
+  );
+
+  let best = null;
+  for (const combo of variantCombinations(groups, candidates)) {
+    const slots = slotsFor(groups, combo);
+    const match = matchSlots(slots, candidates, budget);
+    if (!best || match.value > best.value) best = { combo, slots, ...match };
+  }
+
+  const placements = groups.map(() => []);
+  const courseGroup = new Map();
+  let sharedUsed = 0;
+
+  best.slots.forEach((slot, j) => {
+    const i = best.slotCourse[j];
+    if (i == null) return;
+    const cand = candidates[i];
+    const placement = {
+      groupId: groups[slot.groupIndex].id,
+      groupTitle: groups[slot.groupIndex].title,
+      slot: slot.label,
+      substituteFor: slot.substituteFor(cand.course),
+    };
+    placements[slot.groupIndex].push({ ...cand.course, slot: slot.label, substituteFor: placement.substituteFor });
+    courseGroup.set(cand.course.code, placement);
+    if (cand.shared) sharedUsed += 1;
+  });
+
+  // Credit minimums take allowed courses that are still unplaced
+  groups.forEach((group, gi) => {
+    if (!group.creditBucket || group.waived) return;
+    const { minCredits, accepts } = group.creditBucket;
+    const creditsOf = (list) => list.reduce((sum, c) => sum + (Number(c.credits) || 0), 0);
+
+    const leftovers = candidates
+      .filter((cand) => !courseGroup.has(cand.course.code) && accepts(cand.course))
+      .sort((a, b) => courseValue(b.course) - courseValue(a.course));
+    for (const cand of leftovers) {
+      if (creditsOf(placements[gi]) >= minCredits) break;
+      if (cand.shared) {
+        if (sharedUsed >= budget) continue;
+        sharedUsed += 1;
+      }
+      placements[gi].push({ ...cand.course, slot: 'Credits', substituteFor: null });
+      courseGroup.set(cand.course.code, { groupId: group.id, groupTitle: group.title, slot: 'Credits', substituteFor: null });
+    }
+  });
+
+  const sharedCodes = new Set(
+    candidates.filter((cand) => cand.shared && courseGroup.has(cand.course.code)).map((cand) => cand.course.code)
+  );
+  for (const code of sharedCodes) {
+    for (const p of countedBy(code)) p.sharedCodes.add(code);
+  }
+
+  return {
+    programId: program.programId,
+    name: program.name,
+    programType: program.programType,
+    maxSharedCourses: limit,
+    groups,
+    combo: best.combo,
+    slots: best.slots,
+    slotCourse: best.slotCourse,
+    value: best.value,
+    budget,
+    candidates,
+    blocked,
+    placements,
+    courseGroup,
+    sharedCodes,
+  };
+}
+
+const joinCodes = (list) => list.map((c) => c.code).join(', ');
+
+function groupsAccepting(result, course) {
+  return result.groups.map((g, gi) => ({ group: g, gi })).filter(({ group }) => acceptsCourse(group, course));
+}
+
+// Value of the best matching with `code` forced into `groupIndex`
+function valueWithCourseIn(result, code, groupIndex) {
+  const i = result.candidates.findIndex((cand) => cand.course.code === code);
+  return matchSlots(result.slots, result.candidates, result.budget, new Map([[i, [groupIndex]]])).value;
+}
+
+function explainCourse(result, course, allResults) {
+  const placed = result.courseGroup.get(course.code);
+  const alsoIn = allResults
+    .filter((other) => other !== result && other.courseGroup.has(course.code))
+    .map((other) => other.name);
+  const alsoNote = alsoIn.length > 0 ? ` Also counts toward ${alsoIn.join(' and ')}.` : '';
+  const eligible = groupsAccepting(result, course);
+
+  const base = {
+    code: course.code,
+    title: course.title ?? null,
+    status: course.completed ? 'completed' : 'in_progress',
+    groupId: placed?.groupId ?? null,
+    groupTitle: placed?.groupTitle ?? null,
+    slot: placed?.slot ?? null,
+    substituteFor: placed?.substituteFor ?? null,
+    sharedWith: alsoIn,
+  };
+
+  if (placed) {
+    const where = placed.slot && placed.slot !== placed.groupTitle ? `${placed.groupTitle} (${placed.slot})` : placed.groupTitle;
+    const placedIndex = result.groups.findIndex((g) => g.id === placed.groupId);
+    const counts = placed.substituteFor
+      ? `Counts toward ${where} as an approved substitute for ${placed.substituteFor}.`
+      : `Counts toward ${where}.`;
+
+    const notes = eligible
+      .filter(({ group }) => group.id !== placed.groupId)
+      .map(({ group, gi }) => {
+        if (group.waived) return `${group.title} is waived.`;
+        const openSlots = result.slots.filter(
+          (slot, j) => slot.groupIndex === gi && result.slotCourse[j] == null && slot.accepts(course)
+        );
+        if (openSlots.length === 0 && !group.creditBucket) {
+          return `${group.title} is already filled by ${joinCodes(result.placements[gi])}.`;
+        }
+        if (valueWithCourseIn(result, course.code, gi) < result.value) {
+          return `Counting it toward ${group.title} instead would satisfy fewer requirements.`;
+        }
+        return placedIndex < gi
+          ? `It also fits ${group.title}, but ${placed.groupTitle} is listed first.`
+          : `Counting it toward ${group.title} instead would not satisfy more requirements.`;
+      });
+
+    return { ...base, reason: [counts, ...notes].join(' ') + alsoNote };
+  }
+
+  const blockedBy = result.blocked.get(course.code);
+  if (blockedBy) {
+    return {
+      ...base,
+      reason: `Not counted: it already counts toward ${blockedBy.name}, which allows at most ${blockedBy.maxSharedCourses} shared course(s).`,
+    };
+  }
+
+  if (eligible.length === 0) {
+    return { ...base, reason: `Does not apply to any requirement of ${result.name}.` };
+  }
+
+  const cand = result.candidates.find((c) => c.course.code === course.code);
+  if (cand?.shared && result.budget !== Infinity) {
+    const sharedHere = result.placements.flat().filter((c) => result.sharedCodes.has(c.code));
+    if (sharedHere.length >= result.budget) {
+      return {
+        ...base,
+        reason:
+          `Not counted: it already counts toward ${cand.owners.map((p) => p.name).join(' and ')}, ` +
+          `and only ${result.budget} shared course(s) may count toward ${result.name}` +
+          (sharedHere.length > 0 ? ` (used by ${joinCodes(sharedHere)}).` : '.'),
+      };
+    }
+  }
+
+  const later = allResults.slice(allResults.indexOf(result) + 1);
+  const leftFor = later.filter((other) => other.courseGroup.has(course.code));
+  const notes = eligible.map(({ group, gi }) => {
+    if (group.waived) return `${group.title} is waived.`;
+    const chosen = result.groups[gi].variants[result.combo[gi]];
+    if (!chosen.some((slot) => slot.accepts(course)) && !group.creditBucket?.accepts(course)) {
+      return `${group.title} is being met with ${chosen.map((s) => s.label).join(', ')} instead.`;
+    }
+    const others = result.placements[gi];
+    return others.length > 0
+      ? `${group.title} is already filled by ${joinCodes(others)}.`
+      : `${group.title} does not need it.`;
+  });
+
+  const prefix = leftFor.length > 0 ? `Left for ${leftFor.map((p) => p.name).join(' and ')}: ` : 'Not counted: ';
+  return { ...base, reason: `${prefix}${notes.join(' ')}` };
+}
+
+// Slots no course fills yet, and credit minimums the placed courses fall short of
+function outstandingOf(result) {
+  const outstanding = [];
+  result.slots.forEach((slot, j) => {
+    if (result.slotCourse[j] != null) return;
+    const group = result.groups[slot.groupIndex];
+    outstanding.push({ groupId: group.id, groupTitle: group.title, slot: slot.label, codes: slot.codes, creditShortfall: null });
+  });
+  result.groups.forEach((group, gi) => {
+    if (!group.creditBucket || group.waived) return;
+    const placed = result.placements[gi].reduce((sum, c) => sum + (Number(c.credits) || 0), 0);
+    if (placed >= group.creditBucket.minCredits) return;
+    outstanding.push({
+      groupId: group.id,
+      groupTitle: group.title,
+      slot: 'Credits',
+      codes: [],
+      creditShortfall: group.creditBucket.minCredits - placed,
+    });
+  });
+  return outstanding;
+}
+
+/**
+ * Allocates courses to the requirement groups of each program.
+ *
+ * @param {Array<{programId: number, programType: string, name: string, reqObj: Object, exceptions?: Object}>} programs
+ *   `exceptions` is the substitutions / waivedGroups part of applyRequirementExceptions.
+ * @param {Array<{code: string, subject: string, courseNum: string, title?: string, credits?: number, completed: boolean, inProgress: boolean}>} courses
+ *   Taken courses; only completed and in-progress ones are allocated.
+ * @returns {Map<number, {groups: Map<string, Array>, courseGroup: Map<string, Object>, sharedCourses: string[], maxSharedCourses: ?number, explanations: Array, outstanding: Array}>}
+ *   `outstanding` lists the slots still unfilled and the credit minimums still short.
+ *   Per program id: the courses counted toward each group id, the group each
+ *   course counts toward, and an explanation for every course.
+ */
+export function allocateRequirements(programs, courses) {
+  const taken = courses
+    .filter((c) => c.completed || c.inProgress)
+    .map((c) => ({ ...c, code: normCode(c.code), subject: normCode(c.subject) }))
+    .sort((a, b) => a.code.localeCompare(b.code));
+
+  const order = [...programs].sort(
+    (a, b) => (a.programType === 'minor') - (b.programType === 'minor') || Number(a.programId) - Number(b.programId)
+  );
+
+  const groupsByProgram = order.map((program) =>
+    defineRequirementGroups(program.reqObj, program.programId, program.exceptions)
+  );
+
+  const results = [];
+  order.forEach((program, i) => {
+    const laterGroups = groupsByProgram.slice(i + 1).flat();
+    results.push(allocateProgram(program, groupsByProgram[i], taken, results, laterGroups));
+  });
+
+  const allocation = new Map();
+  for (const result of results) {
+    allocation.set(Number(result.programId), {
+      groups: new Map(result.groups.map((g, gi) => [g.id, result.placements[gi]])),
+      courseGroup: result.courseGroup,
+      sharedCourses: [...result.sharedCodes].sort(),
+      maxSharedCourses: result.maxSharedCourses,
+      explanations: taken.map((course) => explainCourse(result, course, results)),
+      outstanding: outstandingOf(result),
+    });
+  }
+  return allocation;
+}
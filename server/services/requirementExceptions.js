@@ -0,0 +1,265 @@
+/**
+ * @file requirementExceptions.js
+ * @description Advisor-granted exceptions to a student's degree requirements.
+ *
+ * Each exception applies to one declared program:
+ *   substitute      substitute_course counts wherever requirement_course is
+ *                   listed (e.g. AMS361 for MAT303)
+ *   waive_group     a requirement group is satisfied without courses
+ *   reduce_minimum  a group's min_courses or min_credits is lowered
+ * Groups are named by their degree_requirements key ('core' for
+ * required_courses). Exceptions are checked against the requirement version
+ * the student follows, applied by degree progress (through
+ * requirementAllocation.js) and the auto-planner, and every grant and
+ * revocation is written to audit_log. The auto-planner only schedules
+ * required_courses, so it sees a core waiver and substitutions; other
+ * waivers and reduced minimums show up in degree progress alone.
+ */
+
+import { createAuditLogEntry } from './registrationChecks.js';
+import { defineRequirementGroups, titleFromKey } from './requirementAllocation.js';
+
+export const EXCEPTION_TYPES = ['substitute', 'waive_group', 'reduce_minimum'];
+
+const COURSE_CODE = /^[A-Z]{2,6}\d{2,4}[A-Z]?$/;
+
+const normCode = (x) => (x ?? '').toString().trim().toUpperCase().replace(/\s+/g, '');
+
+/**
+ * Display title of a requirement group key.
+ */
+export function groupTitleForKey(key) {
+  if (key === 'core') return 'Required Courses';
+  if (key === 'electives') return 'Electives';
+  return titleFromKey(key);
+}
+
+const toException = (r) => ({
+  exceptionId: Number(r.exception_id),
+  studentId: Number(r.student_id),
+  programId: Number(r.program_id),
+  type: r.exception_type,
+  groupKey: r.group_key ?? null,
+  requirementCourse: r.requirement_course ?? null,
+  substituteCourse: r.substitute_course ?? null,
+  reducedMinimum: r.reduced_minimum == null ? null : Number(r.reduced_minimum),
+  note: r.note ?? null,
+  grantedBy: r.granted_by_user_id == null ? null : Number(r.granted_by_user_id),
+  grantedByName: r.granted_by_first_name ? `${r.granted_by_first_name} ${r.granted_by_last_name}` : null,
+  grantedAt: r.granted_at,
+});
+
+/**
+ * "AMS361 substitutes for MAT303", "Natural science waived", ...
+ */
+export function describeException(e) {
+  if (e.type === 'substitute') return `${e.substituteCourse} substitutes for ${e.requirementCourse}`;
+  if (e.type === 'waive_group') return `${groupTitleForKey(e.groupKey)} waived`;
+  return `${groupTitleForKey(e.groupKey)} minimum reduced to ${e.reducedMinimum}`;
+}
+
+/**
+ * A student's active exceptions, oldest first.
+ */
+export async function listRequirementExceptions(db, studentId) {
+  const { rows } = await db.query(
+    `
+    SELECT re.*, u.first_name AS granted_by_first_name, u.last_name AS granted_by_last_name
+    FROM requirement_exceptions re
+    LEFT JOIN users u ON u.user_id = re.granted_by_user_id
+    WHERE re.student_id = $1 AND re.revoked_at IS NULL
+    ORDER BY re.granted_at, re.exception_id
+    `,
+    [studentId]
+  );
+  return rows.map((r) => ({ ...toException(r), description: describeException(toException(r)) }));
+}
+
+// The minimum a reduce_minimum exception lowers for a group, if any
+function minimumField(reqObj, groupKey) {
+  const group = reqObj?.[groupKey];
+  if (!group || typeof group !== 'object' || Array.isArray(group)) return null;
+  if (group.min_courses != null) return 'min_courses';
+  if (group.min_credits != null) return 'min_credits';
+  return null;
+}
+
+/**
+ * Applies one program's exceptions to its degree_requirements.
+ * Reduced minimums are written into the returned copy of `reqObj`;
+ * substitutions and waived groups are returned for requirementAllocation.js.
+ * @returns {{reqObj: Object, substitutions: Map<string, string[]>, waivedGroups: Set<string>}}
+ */
+export function applyRequirementExceptions(reqObj, exceptions) {
+  const applied = { ...(reqObj || {}) };
+  const substitutions = new Map();
+  const waivedGroups = new Set();
+
+  for (const e of exceptions || []) {
+    if (e.type === 'substitute') {
+      substitutions.set(e.requirementCourse, [...(substitutions.get(e.requirementCourse) ?? []), e.substituteCourse]);
+    } else if (e.type === 'waive_group') {
+      waivedGroups.add(e.groupKey);
+    } else if (e.type === 'reduce_minimum') {
+      const field = minimumField(applied, e.groupKey);
+      if (!field) continue;
+      const current = Number(applied[e.groupKey][field]) || 0;
+      applied[e.groupKey] = { ...applied[e.groupKey], [field]: Math.min(current, e.reducedMinimum) };
+    }
+  }
+
+  return { reqObj: applied, substitutions, waivedGroups };
+}
+
+/**
+ * The required_courses codes the auto-planner schedules, given the result of
+ * applyRequirementExceptions. A course whose original or substitute is in
+ * `takenCodes` keeps the code that was taken; otherwise its first substitute
+ * (or the course itself) is planned.
+ * @param {string[]} codes - Normalized required_courses codes
+ * @param {{substitutions: Map<string, string[]>, waivedGroups: Set<string>}} applied
+ * @param {Set<string>} [takenCodes] - Courses passed, in progress or already planned
+ * @returns {string[]}
+ */
+export function plannedRequiredCourses(codes, { substitutions, waivedGroups }, takenCodes = new Set()) {
+  if (waivedGroups?.has('core')) return [];
+  return (codes || []).map((code) => {
+    const options = [code, ...(substitutions?.get(code) ?? [])];
+    return options.find((c) => takenCodes.has(c)) ?? options[1] ?? code;
+  });
+}
+
+/**
+ * Checks a requested exception against the program's degree_requirements.
+ * @returns {{exception: Object} | {error: string}}
+ */
+export function validateRequirementException(reqObj, input) {
+  const type = String(input?.type ?? '').trim();
+  if (!EXCEPTION_TYPES.includes(type)) {
+    return { error: `type must be one of ${EXCEPTION_TYPES.join(', ')}` };
+  }
+
+  const groups = defineRequirementGroups(reqObj, 0);
+  const note = input?.note ? String(input.note).trim() || null : null;
+
+  if (type === 'substitute') {
+    const requirementCourse = normCode(input?.requirementCourse);
+    const substituteCourse = normCode(input?.substituteCourse);
+    if (!COURSE_CODE.test(requirementCourse) || !COURSE_CODE.test(substituteCourse)) {
+      return { error: 'requirementCourse and substituteCourse must be course codes such as MAT303' };
+    }
+    if (requirementCourse === substituteCourse) {
+      return { error: 'A course cannot substitute for itself' };
+    }
+    const listed = groups.some((g) => g.variants.some((v) => v.some((slot) => slot.codes.includes(requirementCourse))));
+    if (!listed) {
+      return { error: `${requirementCourse} is not a requirement of this program` };
+    }
+    return { exception: { type, groupKey: null, requirementCourse, substituteCourse, reducedMinimum: null, note } };
+  }
+
+  const groupKey = String(input?.groupKey ?? '').trim();
+  if (!groups.some((g) => g.key === groupKey)) {
+    return { error: `groupKey must be one of ${groups.map((g) => g.key).join(', ')}` };
+  }
+
+  if (type === 'waive_group') {
+    return { exception: { type, groupKey, requirementCourse: null, substituteCourse: null, reducedMinimum: null, note } };
+  }
+
+  const field = minimumField(reqObj, groupKey);
+  if (!field) {
+    return { error: `${groupTitleForKey(groupKey)} has no min_courses or min_credits to reduce` };
+  }
+  const current = Number(reqObj[groupKey][field]) || 0;
+  const reducedMinimum = Number(input?.reducedMinimum);
+  if (!Number.isFinite(reducedMinimum) || reducedMinimum < 0 || reducedMinimum >= current) {
+    return { error: `reducedMinimum must be at least 0 and below the current ${field} of ${current}` };
+  }
+  return { exception: { type, groupKey, requirementCourse: null, substituteCourse: null, reducedMinimum, note } };
+}
+
+/**
+ * Records a validated exception and audits it.
+ */
+export async function grantRequirementException(db, { studentId, programId, programCode, exception, grantedBy }) {
+  const { rows } = await db.query(
+    `
+    INSERT INTO requirement_exceptions
+      (student_id, program_id, exception_type, group_key, requirement_course, substitute_course,
+       reduced_minimum, note, granted_by_user_id, granted_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+    RETURNING *
+    `,
+    [
+      studentId,
+      programId,
+      exception.type,
+      exception.groupKey,
+      exception.requirementCourse,
+      exception.substituteCourse,
+      exception.reducedMinimum,
+      exception.note,
+      grantedBy,
+    ]
+  );
+  const granted = toException(rows[0]);
+  const description = describeException(granted);
+
+  await createAuditLogEntry(db, {
+    studentId,
+    actionType: 'requirement_exception_granted',
+    actionDescription: `${programCode}: ${description}`,
+    performedBy: grantedBy,
+    entityType: 'requirement_exception',
+    entityId: granted.exceptionId,
+    note: exception.note,
+  });
+
+  return { ...granted, description };
+}
+
+/**
+ * The student an active exception belongs to, or null when the exception
+ * does not exist or is already revoked.
+ */
+export async function getActiveExceptionStudentId(db, exceptionId) {
+  const { rows } = await db.query(
+    `SELECT student_id FROM requirement_exceptions WHERE exception_id = $1 AND revoked_at IS NULL`,
+    [exceptionId]
+  );
+  return rows.length ? Number(rows[0].student_id) : null;
+}
+
+/**
+ * Revokes an active exception and audits it. Returns null when the
+ * exception does not exist or is already revoked.
+ */
+export async function revokeRequirementException(db, exceptionId, { revokedBy, reason = null }) {
+  const { rows } = await db.query(
+    `
+    UPDATE requirement_exceptions re
+    SET revoked_at = NOW(), revoked_by_user_id = $2
+    FROM programs p
+    WHERE re.exception_id = $1 AND re.revoked_at IS NULL AND p.program_id = re.program_id
+    RETURNING re.*, p.code AS program_code
+    `,
+    [exceptionId, revokedBy]
+  );
+  if (rows.length === 0) return null;
+
+  const revoked = toException(rows[0]);
+  const description = describeException(revoked);
+
+  await createAuditLogEntry(db, {
+    studentId: revoked.studentId,
+    actionType: 'requirement_exception_revoked',
+    actionDescription: `${rows[0].program_code}: ${description} (revoked)`,
+    performedBy: revokedBy,
+    entityType: 'requirement_exception',
+    entityId: revoked.exceptionId,
+    note: reason,
+  });
+
+  return { ...revoked, description };
+}
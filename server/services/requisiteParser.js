@@ -0,0 +1,478 @@
+/**
+ * @file requisiteParser.js
+ * @description Shared parser for catalog requisite text (prerequisites,
+ * corequisites and anti-requisites).
+ *
+ * Catalog text such as
+ *   "C or higher: CSE 214 or 260; AMS 210 or MAT 211; U3 or U4 standing"
+ * is turned into a boolean expression tree:
+ *
+ *   { type: 'and', children: [
+ *     { type: 'or', children: [
+ *       { type: 'course', subject: 'CSE', number: '214', minGrade: 'C' },
+ *       { type: 'course', subject: 'CSE', number: '260', minGrade: 'C' } ] },
+ *     { type: 'or', children: [ ...AMS 210, MAT 211... ] },
+ *     { type: 'standing', levels: ['U3', 'U4'] } ] }
+ *
+ * Node types: 'and', 'or', 'course', 'standing', 'major', 'permission'.
+ *
+ * Rules:
+ * - Semicolons separate groups that must all be satisfied.
+ * - Within a group "and" binds tighter than "or"; parentheses group.
+ * - Commas take the meaning of the list's explicit connective
+ *   ("AMS 151, AMS 161, or MAT 126" is a three-way "or").
+ * - "one of" makes everything after it in its list a single "or"
+ *   ("one of the following: CSE 101, 102"; "CSE 214 and one of AMS 151,
+ *   161" is CSE 214 and (AMS 151 or AMS 161)).
+ * - A bare number inherits the previous subject ("CSE 214 or 260").
+ * - A grade threshold ("C or higher:", "with a grade of C or better")
+ *   applies to every course in its semicolon group.
+ *
+ * Text the parser does not understand is reported in `errors`; the tree is
+ * still built from the parts that were recognized.
+ */
+
+import { GRADE_POINTS } from './gradePoints.js';
+
+// Words that carry no meaning for the expression tree
+const FILLER_WORDS = new Set([
+  'a', 'an', 'the', 'of', 'one', 'either', 'both', 'following', 'course', 'courses',
+  'in', 'completion', 'completed', 'prior', 'to', 'is', 'are', 'required', 'previous',
+  'previously', 'for', 'with', 'at', 'least', 'any', 'all', 'must', 'be', 'have',
+  'taken', 'passed', 'equivalent', 'its', 'their', 'from', 'plus', 'also',
+]);
+
+// Ordered token rules; the first rule that matches at the current position wins
+const TOKEN_RULES = [
+  ['space', /\s+/y],
+  ['grade', /([A-D][+-]?)\s+or\s+(?:higher|better)(?:\s+in)?\s*:?/y],
+  ['grade', /(?:with\s+)?(?:a\s+)?(?:minimum\s+)?grade\s+of\s+(?:at\s+least\s+)?([A-D][+-]?)(?:\s+or\s+(?:higher|better|above))?/iy],
+  ['standing', /(U[1-4](?:\s*(?:,|or|and)\s*U[1-4])*)\s+standing(\s+or\s+(?:higher|above))?/iy],
+  ['major', /([A-Z]{2,4})\s+majors?\b/y],
+  ['major', /(?:declared\s+)?major\s+in\s+([A-Z]{2,4})\b/y],
+  ['permission', /permission\s+of\s+(?:the\s+)?(department|instructor|program\s+director|director)/iy],
+  ['oneOf', /one\s+of\b/iy],
+  ['course', /([A-Z]{2,4})\s*(\d{3})\b/y],
+  ['number', /(\d{3})\b/y],
+  ['lparen', /[([]/y],
+  ['rparen', /[)\]]/y],
+  ['semi', /;/y],
+  ['comma', /,/y],
+  ['and', /(?:and\b|&)/iy],
+  ['or', /(?:or\b|\/)/iy],
+  ['word', /[A-Za-z0-9][A-Za-z0-9'+-]*/y],
+  ['punct', /[.:]/y],
+  ['other', /[^\s]/y],
+];
+
+const LABEL_RE = /^\s*(?:advisory\s+)?(?:pre-?\s*or\s*co-?requisites?|pre-?requisites?|co-?requisites?|anti-?requisites?|prereqs?)\s*:\s*/i;
+
+function tokenize(text) {
+  const tokens = [];
+  let pos = 0;
+
+  while (pos < text.length) {
+    let matched = false;
+    for (const [type, re] of TOKEN_RULES) {
+      re.lastIndex = pos;
+      const m = re.exec(text);
+      if (!m || m[0].length === 0) continue;
+
+      pos += m[0].length;
+      matched = true;
+      if (type !== 'space') tokens.push({ type, match: m });
+      break;
+    }
+    if (!matched) pos++;
+  }
+
+  return tokens;
+}
+
+function normalizeGrade(grade) {
+  const g = String(grade ?? '').trim().toUpperCase();
+  return g || null;
+}
+
+function standingLevels(match) {
+  const levels = [...new Set(match[1].toUpperCase().match(/U[1-4]/g))].sort();
+  if (match[2]) {
+    const lowest = Number(levels[0].slice(1));
+    for (let n = lowest; n <= 4; n++) levels.push(`U${n}`);
+  }
+  return [...new Set(levels)].sort();
+}
+
+/**
+ * Collapses single-child groups and merges nested groups of the same type.
+ */
+function simplify(node) {
+  if (!node || (node.type !== 'and' && node.type !== 'or')) return node;
+
+  const children = [];
+  for (const child of node.children.map(simplify).filter(Boolean)) {
+    if (child.type === node.type) children.push(...child.children);
+    else children.push(child);
+  }
+
+  if (children.length === 0) return null;
+  if (children.length === 1) return children[0];
+  return { type: node.type, children };
+}
+
+/**
+ * Combines operands joined by connectives. Commas take the list's explicit
+ * connective ("or" only if every explicit connective is "or"), then "and"
+ * binds tighter than "or".
+ */
+function combine(operands, ops) {
+  if (operands.length === 0) return null;
+
+  const explicit = ops.filter((op) => op !== 'comma');
+  const commaOp = explicit.length > 0 && explicit.every((op) => op === 'or') ? 'or' : 'and';
+  const resolved = ops.map((op) => (op === 'comma' ? commaOp : op));
+
+  const orGroups = [[operands[0]]];
+  for (let i = 0; i < resolved.length; i++) {
+    if (resolved[i] === 'or') orGroups.push([operands[i + 1]]);
+    else orGroups[orGroups.length - 1].push(operands[i + 1]);
+  }
+
+  return simplify({
+    type: 'or',
+    children: orGroups.map((children) => ({ type: 'and', children })),
+  });
+}
+
+function applyGrade(node, grade) {
+  if (!node || !grade) return;
+  if (node.type === 'course') {
+    if (!node.minGrade) node.minGrade = grade;
+    return;
+  }
+  if (node.children) node.children.forEach((child) => applyGrade(child, grade));
+}
+
+function parseList(state, depth) {
+  const operands = [];
+  const ops = [];
+  // Index of the first operand after "one of", if the list has one
+  let oneOfStart = null;
+  const pushOperand = (node) => {
+    if (!node) return;
+    if (operands.length > ops.length) ops.push('and');
+    operands.push(node);
+  };
+
+  while (state.pos < state.tokens.length) {
+    const { type, match } = state.tokens[state.pos];
+    if (type !== 'word') state.unknown.push(null);
+
+    if (type === 'rparen') {
+      state.pos++;
+      if (depth > 0) {
+        state.closed = true;
+        break;
+      }
+      state.errors.push('Unmatched ")"');
+      continue;
+    }
+    if (type === 'semi' && depth === 0) break;
+
+    state.pos++;
+
+    if (type === 'oneOf') {
+      if (oneOfStart === null) oneOfStart = operands.length;
+      continue;
+    }
+
+    if (type === 'and' || type === 'or' || type === 'comma' || type === 'semi') {
+      const op = type === 'semi' ? 'and' : type;
+      if (operands.length > ops.length) ops.push(op);
+      else if (ops.length > 0 && ops[ops.length - 1] === 'comma') ops[ops.length - 1] = op;
+      continue;
+    }
+
+    switch (type) {
+      case 'lparen': {
+        state.closed = false;
+        const inner = parseList(state, depth + 1);
+        if (!state.closed) state.errors.push('Unmatched "("');
+        state.closed = false;
+        pushOperand(inner);
+        break;
+      }
+      case 'course':
+        state.lastSubject = match[1];
+        pushOperand({ type: 'course', subject: match[1], number: match[2], minGrade: null });
+        break;
+      case 'number':
+        if (state.lastSubject) {
+          pushOperand({ type: 'course', subject: state.lastSubject, number: match[1], minGrade: null });
+        } else {
+          state.errors.push(`Course number ${match[1]} has no subject`);
+        }
+        break;
+      case 'standing':
+        pushOperand({ type: 'standing', levels: standingLevels(match) });
+        break;
+      case 'major':
+        pushOperand({ type: 'major', subject: match[1].toUpperCase() });
+        break;
+      case 'permission':
+        pushOperand({ type: 'permission', kind: match[1].toLowerCase().replace(/\s+/g, ' ') });
+        break;
+      case 'grade':
+        state.segmentGrade = normalizeGrade(match[1]);
+        break;
+      case 'word': {
+        const word = match[0];
+        state.unknown.push(FILLER_WORDS.has(word.toLowerCase()) ? null : word);
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  if (ops.length >= operands.length) ops.length = Math.max(0, operands.length - 1);
+
+  // The choices after "one of" become one operand, whatever joins them
+  if (oneOfStart !== null && oneOfStart < operands.length) {
+    const choices = operands.splice(oneOfStart);
+    ops.length = oneOfStart;
+    operands.push({ type: 'or', children: choices });
+  }
+
+  return combine(operands, ops);
+}
+
+/**
+ * Parses catalog requisite text into an expression tree.
+ *
+ * @param {string} text - e.g. "C or higher: CSE 214 or 260; AMS 210"
+ * @returns {{ast: Object|null, errors: string[]}} ast is null when the text
+ *   contains no requirements
+ */
+export function parseRequisiteText(text) {
+  const source = String(text ?? '').replace(/ /g, ' ').trim();
+  if (!source || /^(none|n\/a|unknown)\.?$/i.test(source)) return { ast: null, errors: [] };
+
+  const state = {
+    tokens: tokenize(source.replace(LABEL_RE, '')),
+    pos: 0,
+    errors: [],
+    unknown: [],
+    lastSubject: null,
+    segmentGrade: null,
+    closed: false,
+  };
+
+  const segments = [];
+  while (state.pos < state.tokens.length) {
+    state.segmentGrade = null;
+    const segment = parseList(state, 0);
+    applyGrade(segment, state.segmentGrade);
+    if (segment) segments.push(segment);
+    if (state.tokens[state.pos]?.type === 'semi') state.pos++;
+  }
+
+  // Group consecutive unrecognized words into phrases
+  const phrases = [];
+  let current = [];
+  for (const word of [...state.unknown, null]) {
+    if (word) current.push(word);
+    else if (current.length) {
+      phrases.push(current.join(' '));
+      current = [];
+    }
+  }
+  const errors = [...state.errors, ...phrases.map((p) => `Unrecognized text "${p}"`)];
+
+  return { ast: simplify({ type: 'and', children: segments }), errors };
+}
+
+/**
+ * Builds a course node from a code such as "CSE214" or "CSE 214".
+ */
+export function courseNodeFromCode(code, minGrade = null) {
+  const m = String(code ?? '').toUpperCase().trim().match(/^([A-Z]{2,6})\s*(\d{2,4}[A-Z]?)$/);
+  if (!m) return null;
+  return { type: 'course', subject: m[1], number: m[2], minGrade: normalizeGrade(minGrade) };
+}
+
+/**
+ * Parses any stored requisite value: catalog text, a stored tree, a JSON
+ * string of either, or legacy group arrays ([["CSE214"], ["MAT125", "MAT131"]]
+ * meaning CSE214 AND (MAT125 OR MAT131)).
+ *
+ * @returns {{ast: Object|null, errors: string[]}}
+ */
+export function parseRequisiteValue(value) {
+  if (value === null || value === undefined) return { ast: null, errors: [] };
+
+  if (typeof value === 'string') {
+    const s = value.trim();
+    if (s.startsWith('[') || s.startsWith('{')) {
+      try {
+        return parseRequisiteValue(JSON.parse(s));
+      } catch (_) {
+        // not JSON; fall through to text
+      }
+    }
+    return parseRequisiteText(s);
+  }
+
+  if (Array.isArray(value)) {
+    const errors = [];
+    const children = value.map((item) => {
+      if (Array.isArray(item)) {
+        return { type: 'or', children: item.map((code) => courseNodeFromCode(code)).filter(Boolean) };
+      }
+      const parsed = parseRequisiteValue(item);
+      errors.push(...parsed.errors);
+      return parsed.ast;
+    });
+    return { ast: simplify({ type: 'and', children: children.filter(Boolean) }), errors };
+  }
+
+  if (typeof value === 'object') {
+    if (['and', 'or', 'course', 'standing', 'major', 'permission'].includes(value.type)) {
+      return { ast: value, errors: [] };
+    }
+    const key = Object.keys(value).find((k) => ['and', 'all', 'required', 'or', 'any'].includes(k));
+    if (key) {
+      const type = ['or', 'any'].includes(key) ? 'or' : 'and';
+      const items = Array.isArray(value[key]) ? value[key] : [value[key]];
+      const errors = [];
+      const children = items.map((item) => {
+        const node = typeof item === 'string' ? courseNodeFromCode(item) : null;
+        if (node) return node;
+        const parsed = parseRequisiteValue(item);
+        errors.push(...parsed.errors);
+        return parsed.ast;
+      });
+      return { ast: simplify({ type, children: children.filter(Boolean) }), errors };
+    }
+  }
+
+  return { ast: null, errors: ['Unsupported requisite value'] };
+}
+
+/**
+ * All course nodes in a tree, in order.
+ */
+export function requisiteCourses(ast) {
+  if (!ast) return [];
+  if (ast.type === 'course') return [ast];
+  return (ast.children || []).flatMap(requisiteCourses);
+}
+
+/**
+ * Set of leaf node types present in a tree ('course', 'standing', ...).
+ */
+export function requisiteLeafTypes(ast) {
+  const types = new Set();
+  const walk = (node) => {
+    if (!node) return;
+    if (node.children) node.children.forEach(walk);
+    else types.add(node.type);
+  };
+  walk(ast);
+  return types;
+}
+
+/** "CSE 214" */
+export function courseLabel(node) {
+  return `${node.subject} ${node.number}`;
+}
+
+/** "CSE214" — the compact form used by planner and degree progress code */
+export function compactCourseCode(node) {
+  return `${node.subject}${node.number}`;
+}
+
+/**
+ * Whether a recorded grade meets a minimum grade. Without a minimum any
+ * passing grade counts; P counts as passing at any threshold.
+ */
+export function meetsMinGrade(grade, minGrade = null) {
+  const g = normalizeGrade(grade);
+  if (!g || !(g in GRADE_POINTS || g === 'P')) return false;
+  if (g === 'P') return true;
+  if (g === 'F') return false;
+  if (!minGrade) return true;
+  return GRADE_POINTS[g] >= (GRADE_POINTS[normalizeGrade(minGrade)] ?? 0);
+}
+
+function hasNonCourseLeaf(node) {
+  if (node.type === 'and' || node.type === 'or') return node.children.some(hasNonCourseLeaf);
+  return node.type !== 'course';
+}
+
+function sharedGrade(node) {
+  const grades = new Set(requisiteCourses(node).map((c) => c.minGrade));
+  return grades.size === 1 ? [...grades][0] : null;
+}
+
+function describeNode(node, omitGrade) {
+  switch (node.type) {
+    case 'course':
+      return omitGrade || !node.minGrade
+        ? courseLabel(node)
+        : `${courseLabel(node)} (${node.minGrade} or higher)`;
+    case 'standing':
+      return `${node.levels.join(' or ')} standing`;
+    case 'major':
+      return `${node.subject} major`;
+    case 'permission':
+      return `permission of ${node.kind}`;
+    default: {
+      const joiner = node.type === 'or' ? ' or ' : ' and ';
+      return node.children
+        .map((child) => {
+          const text = describeNode(child, omitGrade);
+          return child.children && child.type !== node.type ? `(${text})` : text;
+        })
+        .join(joiner);
+    }
+  }
+}
+
+/**
+ * Human-readable form of a tree, e.g. "C or higher: CSE 214 or CSE 260".
+ */
+export function describeRequisite(ast) {
+  if (!ast) return '';
+  const grade = sharedGrade(ast);
+  if (grade && !hasNonCourseLeaf(ast)) return `${grade} or higher: ${describeNode(ast, true)}`;
+  return describeNode(ast, false);
+}
+
+/**
+ * Evaluates a tree against predicates for each leaf type. A missing
+ * predicate treats that leaf type as satisfied.
+ *
+ * @param {Object|null} ast
+ * @param {Object} predicates - { course(node), standing(node), major(node), permission(node) } → boolean
+ * @returns {{satisfied: boolean, unmet: Object[]}} unmet holds the failing
+ *   subexpressions (the failing children of a top-level "and", or the whole tree)
+ */
+export function evaluateRequisite(ast, predicates = {}) {
+  if (!ast) return { satisfied: true, unmet: [] };
+
+  const check = (node) => {
+    if (node.type === 'and') return node.children.every(check);
+    if (node.type === 'or') return node.children.some(check);
+    const predicate = predicates[node.type];
+    return predicate ? !!predicate(node) : true;
+  };
+
+  if (ast.type === 'and') {
+    const unmet = ast.children.filter((child) => !check(child));
+    return { satisfied: unmet.length === 0, unmet };
+  }
+
+  const satisfied = check(ast);
+  return { satisfied, unmet: satisfied ? [] : [ast] };
+}
@@ -0,0 +1,216 @@
+/**
+ * @file rosterExport.js
+ * @description Offline rosters for a class section: CSV, YAML and a printable
+ * HTML sign-in sheet.
+ *
+ * - Student fields use the names from users1.yaml (SBU_ID, first_name,
+ *   last_name, email, GPNC, grade), so an exported CSV can be filled in and
+ *   uploaded again through bulk grade entry.
+ * - GPNC follows users1.yaml: the registrar's pass threshold when the
+ *   student chose GPNC, otherwise null.
+ * - Waitlisted students are included with status "waitlisted" and their
+ *   waitlist position; the sign-in sheet lists them separately.
+ */
+
+import yaml from 'js-yaml';
+import { getGpncPassThreshold } from './gpnc.js';
+
+export const ROSTER_EXPORT_FORMATS = ['csv', 'yaml', 'html'];
+
+const CSV_COLUMNS = ['SBU_ID', 'first_name', 'last_name', 'email', 'status', 'waitlist_position', 'GPNC', 'grade'];
+
+/**
+ * Loads a section and everyone enrolled or waitlisted in it.
+ * @returns {Promise<{section: Object, students: Array}|null>} null when the section does not exist
+ */
+export async function loadRosterExport(db, classId) {
+  const { rows: sectionRows } = await db.query(
+    `
+    SELECT
+      cs.class_id,
+      cs.section_num,
+      cs.meeting_days,
+      cs.meeting_times,
+      cs.location_text,
+      c.subject,
+      c.course_num,
+      c.title,
+      t.semester,
+      t.year,
+      u.first_name AS instructor_first_name,
+      u.last_name AS instructor_last_name
+    FROM class_sections cs
+    JOIN courses c ON c.course_id = cs.course_id
+    JOIN terms t ON t.term_id = cs.term_id
+    LEFT JOIN users u ON u.user_id = cs.instructor_id
+    WHERE cs.class_id = $1
+    `,
+    [classId]
+  );
+
+  if (sectionRows.length === 0) return null;
+
+  const { rows } = await db.query(
+    `
+    SELECT
+      e.status,
+      e.waitlist_position,
+      e.gpnc,
+      e.grade,
+      u.sbu_id,
+      u.first_name,
+      u.last_name,
+      u.email
+    FROM enrollments e
+    JOIN users u ON u.user_id = e.student_id
+    WHERE e.class_id = $1
+    ORDER BY (e.status = 'waitlisted'), e.waitlist_position NULLS LAST, u.last_name, u.first_name
+    `,
+    [classId]
+  );
+
+  const gpncPassThreshold = await getGpncPassThreshold(db);
+  const s = sectionRows[0];
+  return {
+    section: {
+      classId: Number(s.class_id),
+      subject: s.subject,
+      courseNum: s.course_num,
+      sectionNum: s.section_num,
+      title: s.title,
+      semester: s.semester,
+      year: s.year,
+      meetingDays: s.meeting_days ?? null,
+      meetingTimes: s.meeting_times ?? null,
+      location: s.location_text ?? null,
+      instructor: s.instructor_first_name ? `${s.instructor_first_name} ${s.instructor_last_name}` : null,
+    },
+    students: rows.map((r) => ({
+      SBU_ID: r.sbu_id ?? null,
+      first_name: r.first_name,
+      last_name: r.last_name,
+      email: r.email,
+      status: r.status,
+      waitlist_position: r.status === 'waitlisted' ? r.waitlist_position ?? null : null,
+      GPNC: r.gpnc ? gpncPassThreshold : null,
+      grade: r.grade ?? null,
+    })),
+  };
+}
+
+/**
+ * Base file name for an export, e.g. "CSE416-01_Fall2025_roster".
+ */
+export function rosterFileName(section) {
+  const base = `${section.subject}${section.courseNum}-${section.sectionNum}_${section.semester}${section.year}_roster`;
+  return base.replace(/[^A-Za-z0-9_.-]+/g, '');
+}
+
+const csvField = (value) => {
+  if (value == null) return '';
+  const s = String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+export function toRosterCsv({ students }) {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const student of students) {
+    lines.push(CSV_COLUMNS.map((col) => csvField(student[col])).join(','));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+export function toRosterYaml({ section, students }) {
+  return yaml.dump({
+    class: {
+      class_id: section.classId,
+      subject: section.subject,
+      course_num: section.courseNum,
+      section: section.sectionNum,
+      semester: section.semester,
+      year: section.year,
+    },
+    students,
+  });
+}
+
+const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+function signInRows(students, numbered) {
+  return students
+    .map(
+      (s, idx) => `
+        <tr>
+          <td>${numbered ? idx + 1 : escapeHtml(s.waitlist_position)}</td>
+          <td>${escapeHtml(`${s.last_name}, ${s.first_name}`)}</td>
+          <td>${escapeHtml(s.SBU_ID)}</td>
+          <td class="sign"></td>
+        </tr>`
+    )
+    .join('');
+}
+
+/**
+ * Printable sign-in sheet. Withdrawn (W) students are left off; waitlisted
+ * students get their own table below the enrolled ones.
+ */
+export function toSignInSheetHtml({ section, students }) {
+  const enrolled = students.filter((s) => s.status !== 'waitlisted' && String(s.grade ?? '').toUpperCase() !== 'W');
+  const waitlisted = students.filter((s) => s.status === 'waitlisted');
+  const heading = `${section.subject} ${section.courseNum}.${section.sectionNum} – ${section.title}`;
+  const details = [
+    `${section.semester} ${section.year}`,
+    section.instructor,
+    [section.meetingDays, section.meetingTimes].filter(Boolean).join(' '),
+    section.location,
+  ].filter(Boolean);
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(heading)} – Sign-in Sheet</title>
+  <style>
+    body { font-family: Arial, sans-serif; margin: 24px; }
+    h1 { font-size: 20px; margin: 0 0 4px 0; }
+    h2 { font-size: 16px; margin: 24px 0 8px 0; }
+    .details { color: #555; margin-bottom: 16px; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { border: 1px solid #999; padding: 6px 8px; text-align: left; }
+    td.sign { width: 40%; }
+    .waitlist th, .waitlist td { border-style: dashed; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(heading)}</h1>
+  <div class="details">${details.map(escapeHtml).join(' · ')}</div>
+  <div>Date: ______________________</div>
+
+  <h2>Enrolled (${enrolled.length})</h2>
+  <table>
+    <thead><tr><th>#</th><th>Name</th><th>SBU ID</th><th>Signature</th></tr></thead>
+    <tbody>${signInRows(enrolled, true)}
+    </tbody>
+  </table>
+${
+  waitlisted.length
+    ? `
+  <h2>Waitlisted – not enrolled (${waitlisted.length})</h2>
+  <table class="waitlist">
+    <thead><tr><th>Position</th><th>Name</th><th>SBU ID</th><th>Signature</th></tr></thead>
+    <tbody>${signInRows(waitlisted, false)}
+    </tbody>
+  </table>
+`
+    : ''
+}</body>
+</html>
+`;
+}
@@ -0,0 +1,124 @@
+/**
+ * @file sectionStaff.js
+ * @description Instructors attached to a class section and what each may do.
+ *
+ * - class_sections.instructor_id is always the section's primary instructor.
+ *   Its class_section_instructors row is also marked primary; a primary row
+ *   for anyone else is stale (the section changed hands) and grants nothing.
+ * - Further instructors come from class_section_instructors with a role of
+ *   co_instructor or grader.
+ * - Permissions are per role (SECTION_ROLE_PERMISSIONS); routes check a
+ *   permission rather than a role so the mapping lives in one place.
+ */
+
+export const SECTION_ROLES = ['primary', 'co_instructor', 'grader'];
+
+export const SECTION_ROLE_PERMISSIONS = {
+  primary: ['view_roster', 'enter_grades', 'submit_final_grades', 'request_grade_change', 'manage_staff'],
+  co_instructor: ['view_roster', 'enter_grades', 'submit_final_grades', 'request_grade_change'],
+  grader: ['view_roster', 'enter_grades'],
+};
+
+/**
+ * Permissions granted by a section role; unknown roles get none.
+ */
+export function permissionsForRole(role) {
+  return SECTION_ROLE_PERMISSIONS[role] ?? [];
+}
+
+export function hasSectionPermission(role, permission) {
+  return permissionsForRole(role).includes(permission);
+}
+
+/**
+ * The caller's role on a section, with the section's term and lock state.
+ * @returns {Promise<{termId: number, gradesSubmittedAt: string|null, role: string}|null>}
+ *   null when the user is not on the section's staff
+ */
+export async function getSectionRole(db, userId, classId) {
+  const { rows } = await db.query(
+    `
+    SELECT
+      cs.term_id,
+      cs.grades_submitted_at,
+      CASE WHEN cs.instructor_id = $2 THEN 'primary' ELSE csi.role END AS section_role
+    FROM class_sections cs
+    LEFT JOIN class_section_instructors csi
+      ON csi.class_id = cs.class_id AND csi.instructor_id = $2 AND csi.role <> 'primary'
+    WHERE cs.class_id = $1
+      AND (cs.instructor_id = $2 OR csi.instructor_id IS NOT NULL)
+    `,
+    [classId, userId]
+  );
+
+  if (rows.length === 0) return null;
+
+  return {
+    termId: Number(rows[0].term_id),
+    gradesSubmittedAt: rows[0].grades_submitted_at ?? null,
+    role: rows[0].section_role,
+  };
+}
+
+/**
+ * Everyone on a section's staff, primary instructor first.
+ */
+export async function listSectionStaff(db, classId) {
+  const { rows } = await db.query(
+    `
+    SELECT
+      u.user_id,
+      u.first_name,
+      u.last_name,
+      u.email,
+      CASE WHEN cs.instructor_id = u.user_id THEN 'primary' ELSE csi.role END AS section_role
+    FROM class_sections cs
+    JOIN class_section_instructors csi ON csi.class_id = cs.class_id AND csi.role <> 'primary'
+    JOIN users u ON u.user_id = csi.instructor_id
+    WHERE cs.class_id = $1
+    UNION
+    SELECT u.user_id, u.first_name, u.last_name, u.email, 'primary'
+    FROM class_sections cs
+    JOIN users u ON u.user_id = cs.instructor_id
+    WHERE cs.class_id = $1
+    `,
+    [classId]
+  );
+
+  const order = (role) => SECTION_ROLES.indexOf(role);
+  return rows
+    .map((r) => ({
+      userId: Number(r.user_id),
+      name: `${r.first_name} ${r.last_name}`,
+      email: r.email,
+      role: r.section_role,
+      permissions: permissionsForRole(r.section_role),
+    }))
+    .sort((a, b) => order(a.role) - order(b.role) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Records `instructorId` (null when unknown) as the section's primary in
+ * class_section_instructors after class_sections.instructor_id has been set.
+ * The previous primary's row is removed so they lose access to the section.
+ */
+export async function syncPrimaryInstructor(db, classId, instructorId) {
+  await db.query(
+    `
+    DELETE FROM class_section_instructors
+    WHERE class_id = $1 AND role = 'primary' AND instructor_id IS DISTINCT FROM $2
+    `,
+    [classId, instructorId]
+  );
+
+  if (!instructorId) return;
+
+  await db.query(
+    `
+    INSERT INTO class_section_instructors (class_id, instructor_id, role)
+    VALUES ($1, $2, 'primary')
+    ON CONFLICT (class_id, instructor_id) DO UPDATE SET role = 'primary'
+    `,
+    [classId, instructorId]
+  );
+}
@@ -0,0 +1,141 @@
+/**
+ * @file termCalendar.js
+ * @description Academic calendar deadlines for a term. Calendar rows are keyed
+ * by a JSONB `term` ({ semester, year }) rather than term_id, so every lookup
+ * goes through terms.
+ */
+
+import { getCurrentDate, getCurrentDateString } from '../utils/dateWrapper.js';
+
+/**
+ * Normalizes a DATE column (Date or string) to YYYY-MM-DD.
+ */
+export const toYmd = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) {
+    const y = value.getFullYear();
+    const m = String(value.getMonth() + 1).padStart(2, '0');
+    const d = String(value.getDate()).padStart(2, '0');
+    return `${y}-${m}-${d}`;
+  }
+  const s = String(value).trim();
+  return /^\d{4}-\d{2}-\d{2}/.test(s) ? s.slice(0, 10) : null;
+};
+
+/**
+ * Loads the academic calendar dates for a term as YYYY-MM-DD strings.
+ * @returns {Promise<Object|null>} null when the term has no academic calendar.
+ */
+export async function getTermCalendar(db, termId) {
+  const { rows } = await db.query(
+    `
+    SELECT
+      ac.waitlist,
+      ac.waitlist_process_ends,
+      ac.late_registration_ends,
+      ac.gpnc_selection_ends,
+      ac.course_withdrawal_ends,
+      ac.semester_end,
+      ac.grade_submission_begins,
+      ac.grade_submission_ends
+    FROM terms t
+    JOIN academic_calendar ac
+      ON lower(ac.term->>'semester') = lower(t.semester::text)
+     AND (ac.term->>'year')::int = t.year
+    WHERE t.term_id = $1
+    LIMIT 1
+    `,
+    [termId]
+  );
+
+  if (rows.length === 0) return null;
+
+  const row = rows[0];
+  return {
+    waitlist: toYmd(row.waitlist),
+    waitlistProcessEnds: toYmd(row.waitlist_process_ends),
+    lateRegistrationEnds: toYmd(row.late_registration_ends),
+    gpncSelectionEnds: toYmd(row.gpnc_selection_ends),
+    courseWithdrawalEnds: toYmd(row.course_withdrawal_ends),
+    semesterEnd: toYmd(row.semester_end),
+    gradeSubmissionBegins: toYmd(row.grade_submission_begins),
+    gradeSubmissionEnds: toYmd(row.grade_submission_ends),
+  };
+}
+
+/**
+ * Whether today (per dateWrapper) is on or before `deadline`, inclusive.
+ * A missing deadline never closes.
+ */
+export function isOnOrBefore(deadline) {
+  if (!deadline) return true;
+  return getCurrentDateString() <= deadline;
+}
+
+/**
+ * Which kind of withdrawal applies today for a term's calendar:
+ *   - 'drop'     through late_registration_ends: the enrollment is deleted
+ *   - 'withdraw' through course_withdrawal_ends: a W grade is recorded
+ *   - 'closed'   afterwards: only a registrar override may withdraw (W)
+ * Missing dates leave the earlier phase open, so a term without a calendar
+ * always drops.
+ */
+export function getWithdrawalPhase(calendar) {
+  if (isOnOrBefore(calendar?.lateRegistrationEnds)) return 'drop';
+  if (isOnOrBefore(calendar?.courseWithdrawalEnds)) return 'withdraw';
+  return 'closed';
+}
+
+// Spring, the summer sessions, then Fall within a year
+const SEMESTER_ORDER = { SPRING: 1, SUMMER: 2, SUMMERI: 2, SUMMERII: 3, FALL: 4, WINTER: 5 };
+
+/**
+ * Position of a semester within its year; unknown semesters sort last.
+ */
+export function semesterRank(semester) {
+  return SEMESTER_ORDER[String(semester ?? '').toUpperCase().replace(/\s+/g, '')] ?? 99;
+}
+
+/**
+ * Chronological comparator for (semester, year) pairs; unknown semesters sort
+ * last within their year.
+ */
+export function termCompare(aSem, aYear, bSem, bYear) {
+  const ay = Number(aYear) || 0;
+  const by = Number(bYear) || 0;
+  if (ay !== by) return ay - by;
+  return semesterRank(aSem) - semesterRank(bSem);
+}
+
+const canonicalSemester = (s) => {
+  const key = String(s ?? '').toUpperCase().replace(/\s+/g, '');
+  return key === 'SUMMERI' || key === 'SUMMERII' ? 'SUMMER' : key;
+};
+
+/**
+ * The regular term after (semester, year): Spring, Summer, Fall, then the
+ * next Spring. Unknown semesters continue with Spring of the same year; a
+ * missing year is this year (per dateWrapper).
+ */
+export function nextTerm(semester, year) {
+  const sem = canonicalSemester(semester);
+  const yr = Number(year) || getCurrentDate().getFullYear();
+
+  const order = ['SPRING', 'SUMMER', 'FALL'];
+  const idx = order.indexOf(sem);
+  if (idx === -1) return { semester: 'Spring', year: yr };
+
+  const nextIdx = (idx + 1) % order.length;
+  const nextYear = nextIdx === 0 ? yr + 1 : yr;
+  const nextSem = order[nextIdx];
+
+  return { semester: nextSem.charAt(0) + nextSem.slice(1).toLowerCase(), year: nextYear };
+}
+
+/**
+ * Credits the auto-planner schedules in a term by default; summers are
+ * left empty.
+ */
+export function defaultWorkloadLimit(semester) {
+  return canonicalSemester(semester) === 'SUMMER' ? 0 : 15;
+}
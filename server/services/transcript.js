@@ -0,0 +1,392 @@
+/**
+ * @file transcript.js
+ * @description Unofficial transcript: every term a student attended with its
+ * courses, term GPA and cumulative GPA, plus declared programs and transfer
+ * credit.
+ *
+ * - Terms are listed chronologically (termCompare). Waitlisted enrollments
+ *   are left out; courses without a grade yet are shown as in progress.
+ * - GPA is credit-weighted over grades that carry quality points
+ *   (gradePoints.js). GPNC enrollments show P/NC, never the letter grade.
+ * - Attempts replaced under the repeat policy (repeatPolicy.js) stay listed,
+ *   marked `repeated`, but earn no credit and carry no GPA weight.
+ * - W, I and P grades are also collected into `specialGrades` so they are
+ *   easy to find on a long transcript.
+ * - Transfer credit counts toward earned credits but not toward GPA.
+ */
+
+import { NO_CREDIT_GRADES, gradePointsFor } from './gradePoints.js';
+import { DEFAULT_GPNC_PASS_THRESHOLD, effectiveGrade, getGpncPassThreshold } from './gpnc.js';
+import { DEFAULT_REPEAT_POLICY, applyRepeatPolicy, getRepeatPolicy } from './repeatPolicy.js';
+import { termCompare } from './termCalendar.js';
+import { versionLabel } from './degreeRequirementVersions.js';
+import { getCurrentDateString } from '../utils/dateWrapper.js';
+
+export const TRANSCRIPT_FORMATS = ['json', 'html'];
+
+export const SPECIAL_GRADES = {
+  W: 'Withdrawn',
+  I: 'Incomplete',
+  P: 'Pass (GPNC)',
+};
+
+const roundGpa = (value) => (value == null ? null : Math.round(value * 1000) / 1000);
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+/**
+ * Declared majors and minors with the requirement version the student
+ * follows (the effective term of student_programs.degree_requirement_id,
+ * e.g. "Fall 2023").
+ * @returns {Promise<{declaredMajors: Array, declaredMinors: Array}>}
+ */
+export async function loadDeclaredPrograms(db, studentId) {
+  // Without a recorded version, fall back to the program code (e.g., "CSE-BS" -> subject="CSE", degree_type="BS")
+  const { rows } = await db.query(
+    `
+    SELECT
+      COALESCE(dr.subject, SPLIT_PART(p.code, '-', 1)) AS subject,
+      COALESCE(dr.degree_type, SPLIT_PART(p.code, '-', 2)) AS degree_type,
+      CASE WHEN p.type = 'MINOR' THEN 'minor' ELSE 'major' END AS program_type,
+      dr.effective_term
+    FROM student_programs sp
+    JOIN programs p ON p.program_id = sp.program_id
+    LEFT JOIN degree_requirements dr ON dr.id = sp.degree_requirement_id
+    WHERE sp.student_id = $1
+    `,
+    [studentId]
+  );
+
+  const toProgram = (p) => ({
+    program: `${p.subject} ${p.degree_type}`,
+    requirementVersion: versionLabel(p.effective_term),
+  });
+
+  return {
+    declaredMajors: rows.filter((p) => p.program_type === 'major').map(toProgram),
+    declaredMinors: rows.filter((p) => p.program_type === 'minor').map(toProgram),
+  };
+}
+
+/**
+ * students.transfer_courses as stored by the user import (placement tests
+ * already removed). Older schemas may not have the column.
+ */
+export async function loadTransferCourses(db, studentId) {
+  try {
+    const { rows } = await db.query(`SELECT transfer_courses FROM students WHERE user_id = $1`, [studentId]);
+    const courses = parseJson(rows[0]?.transfer_courses ?? null);
+    return Array.isArray(courses) ? courses : [];
+  } catch (err) {
+    console.log('transfer_courses field not available:', err.message);
+    return [];
+  }
+}
+
+/**
+ * Everything needed for a student's transcript.
+ * @returns {Promise<Object|null>} null when the student does not exist
+ */
+export async function loadTranscript(db, studentId) {
+  const { rows: studentRows } = await db.query(
+    `
+    SELECT user_id, sbu_id, first_name, last_name, email
+    FROM users
+    WHERE user_id = $1 AND role = 'Student'
+    `,
+    [studentId]
+  );
+
+  if (studentRows.length === 0) return null;
+
+  const { rows: enrollments } = await db.query(
+    `
+    SELECT
+      e.grade,
+      e.gpnc,
+      c.subject,
+      c.course_num,
+      c.title,
+      c.credits,
+      t.term_id,
+      t.semester,
+      t.year
+    FROM enrollments e
+    JOIN class_sections cs ON cs.class_id = e.class_id
+    JOIN courses c ON c.course_id = cs.course_id
+    JOIN terms t ON t.term_id = cs.term_id
+    WHERE e.student_id = $1
+      AND e.status <> 'waitlisted'
+    ORDER BY c.subject, c.course_num
+    `,
+    [studentId]
+  );
+
+  const programs = await loadDeclaredPrograms(db, studentId);
+  const transferCourses = await loadTransferCourses(db, studentId);
+  const { policy: repeatPolicy } = await getRepeatPolicy(db);
+  const gpncPassThreshold = await getGpncPassThreshold(db);
+
+  return buildTranscript({
+    student: studentRows[0],
+    enrollments,
+    programs,
+    transferCourses,
+    repeatPolicy,
+    gpncPassThreshold,
+  });
+}
+
+/**
+ * Groups enrollment rows ({ grade, gpnc, subject, course_num, title,
+ * credits, term_id, semester, year }) into chronological terms with term and
+ * cumulative GPA and earned credits. Attempts `repeatPolicy` replaces count
+ * for nothing; GPNC letter grades convert at `gpncPassThreshold`.
+ * @returns {{terms: Array, specialGrades: Array, cumulativeGpa: number|null, cumulativeEarnedCredits: number}}
+ */
+export function summarizeTerms(
+  enrollments,
+  repeatPolicy = DEFAULT_REPEAT_POLICY,
+  gpncPassThreshold = DEFAULT_GPNC_PASS_THRESHOLD
+) {
+  const counted = new Set(applyRepeatPolicy(enrollments, repeatPolicy, gpncPassThreshold));
+
+  const termsById = new Map();
+  for (const row of enrollments) {
+    const termId = Number(row.term_id);
+    if (!termsById.has(termId)) {
+      termsById.set(termId, { termId, semester: row.semester, year: Number(row.year), rows: [] });
+    }
+    termsById.get(termId).rows.push(row);
+  }
+
+  const sortedTerms = [...termsById.values()].sort((a, b) => termCompare(a.semester, a.year, b.semester, b.year));
+
+  let cumulativePoints = 0;
+  let cumulativeGpaCredits = 0;
+  let cumulativeEarnedCredits = 0;
+  const specialGrades = [];
+
+  const terms = sortedTerms.map(({ rows, ...term }) => {
+    let points = 0;
+    let gpaCredits = 0;
+    let earnedCredits = 0;
+
+    const courses = rows.map((row) => {
+      const grade = row.grade == null ? null : String(effectiveGrade(row, gpncPassThreshold)).trim().toUpperCase();
+      const credits = Number(row.credits || 0);
+      const courseCode = `${row.subject} ${row.course_num}`;
+      const repeated = !counted.has(row);
+
+      const p = gradePointsFor(grade);
+      if (p != null && !repeated) {
+        points += p * credits;
+        gpaCredits += credits;
+      }
+      if (grade && !NO_CREDIT_GRADES.includes(grade) && !repeated) earnedCredits += credits;
+      if (grade && SPECIAL_GRADES[grade]) {
+        specialGrades.push({ semester: term.semester, year: term.year, courseCode, title: row.title, grade });
+      }
+
+      return { courseCode, title: row.title, credits, grade, repeated };
+    });
+
+    cumulativePoints += points;
+    cumulativeGpaCredits += gpaCredits;
+    cumulativeEarnedCredits += earnedCredits;
+
+    return {
+      ...term,
+      courses,
+      termGpa: gpaCredits > 0 ? roundGpa(points / gpaCredits) : null,
+      gpaCredits,
+      earnedCredits,
+      cumulativeGpa: cumulativeGpaCredits > 0 ? roundGpa(cumulativePoints / cumulativeGpaCredits) : null,
+      cumulativeGpaCredits,
+      cumulativeEarnedCredits,
+    };
+  });
+
+  return {
+    terms,
+    specialGrades,
+    cumulativeGpa: cumulativeGpaCredits > 0 ? roundGpa(cumulativePoints / cumulativeGpaCredits) : null,
+    cumulativeEarnedCredits,
+  };
+}
+
+/**
+ * Assembles the transcript from loaded rows.
+ */
+export function buildTranscript({
+  student,
+  enrollments,
+  programs,
+  transferCourses = [],
+  repeatPolicy,
+  gpncPassThreshold,
+}) {
+  const { terms, specialGrades, cumulativeGpa, cumulativeEarnedCredits } = summarizeTerms(
+    enrollments,
+    repeatPolicy,
+    gpncPassThreshold
+  );
+
+  const transfer = transferCourses.map((tc) => ({
+    course: tc.class ?? null,
+    institution: tc.university ?? null,
+    credits: Number(tc.credits || 0),
+    equivalent: tc.department && tc.course_num ? `${tc.department} ${tc.course_num}` : null,
+    grade: tc.grade ?? null,
+  }));
+  const transferCredits = transfer.reduce((sum, tc) => sum + tc.credits, 0);
+
+  return {
+    student: {
+      userId: Number(student.user_id),
+      name: `${student.first_name} ${student.last_name}`,
+      sbuId: student.sbu_id ?? null,
+      email: student.email,
+    },
+    declaredMajors: programs.declaredMajors,
+    declaredMinors: programs.declaredMinors,
+    transferCourses: transfer,
+    transferCredits,
+    terms,
+    specialGrades,
+    cumulativeGpa,
+    totalEarnedCredits: cumulativeEarnedCredits + transferCredits,
+  };
+}
+
+/**
+ * File name for a printed transcript, e.g. "Doe_123456789_unofficial_transcript".
+ */
+export function transcriptFileName(transcript) {
+  const lastName = transcript.student.name.split(' ').slice(-1)[0];
+  const base = `${lastName}_${transcript.student.sbuId ?? transcript.student.userId}_unofficial_transcript`;
+  return base.replace(/[^A-Za-z0-9_.-]+/g, '');
+}
+
+const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const formatGpa = (gpa) => (gpa == null ? '—' : gpa.toFixed(3));
+
+const programList = (programs) =>
+  programs.length
+    ? programs
+        .map((p) => `${escapeHtml(p.program)}${p.requirementVersion ? ` (requirements ${escapeHtml(p.requirementVersion)})` : ''}`)
+        .join('; ')
+    : 'None';
+
+function termTable(term) {
+  const rows = term.courses
+    .map(
+      (c) => `
+        <tr>
+          <td>${escapeHtml(c.courseCode)}</td>
+          <td>${escapeHtml(c.title)}</td>
+          <td class="num">${c.credits}</td>
+          <td>${c.grade == null ? '<em>In progress</em>' : escapeHtml(c.grade)}${c.repeated ? ' <em>(repeated)</em>' : ''}</td>
+        </tr>`
+    )
+    .join('');
+
+  return `
+  <h2>${escapeHtml(`${term.semester} ${term.year}`)}</h2>
+  <table>
+    <thead><tr><th>Course</th><th>Title</th><th class="num">Credits</th><th>Grade</th></tr></thead>
+    <tbody>${rows}
+    </tbody>
+  </table>
+  <div class="totals">Term GPA ${formatGpa(term.termGpa)} · Earned ${term.earnedCredits} ·
+    Cumulative GPA ${formatGpa(term.cumulativeGpa)} · Cumulative earned ${term.cumulativeEarnedCredits}</div>`;
+}
+
+/**
+ * Printable transcript; the browser's print dialog saves it as PDF.
+ */
+export function toTranscriptHtml(transcript) {
+  const { student } = transcript;
+  const transferRows = transcript.transferCourses
+    .map(
+      (tc) => `
+        <tr>
+          <td>${escapeHtml(tc.course)}</td>
+          <td>${escapeHtml(tc.institution)}</td>
+          <td>${escapeHtml(tc.equivalent ?? 'No equivalent')}</td>
+          <td class="num">${tc.credits}</td>
+          <td>${escapeHtml(tc.grade ?? '—')}</td>
+        </tr>`
+    )
+    .join('');
+  const specialRows = transcript.specialGrades
+    .map(
+      (g) => `
+        <tr>
+          <td>${escapeHtml(`${g.semester} ${g.year}`)}</td>
+          <td>${escapeHtml(g.courseCode)}</td>
+          <td>${escapeHtml(g.title)}</td>
+          <td>${escapeHtml(`${g.grade} – ${SPECIAL_GRADES[g.grade]}`)}</td>
+        </tr>`
+    )
+    .join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Unofficial Transcript – ${escapeHtml(student.name)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; margin: 24px; }
+    h1 { font-size: 20px; margin: 0 0 4px 0; }
+    h2 { font-size: 16px; margin: 24px 0 8px 0; }
+    .details { color: #555; margin-bottom: 16px; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { border: 1px solid #999; padding: 6px 8px; text-align: left; }
+    .num { text-align: right; }
+    .totals { margin-top: 6px; font-size: 14px; }
+    .print { margin-bottom: 16px; }
+    @media print { body { margin: 0; } .print { display: none; } h2 { break-after: avoid; } }
+  </style>
+</head>
+<body>
+  <button class="print" onclick="window.print()">Print / Save as PDF</button>
+  <h1>Unofficial Transcript</h1>
+  <div class="details">${escapeHtml(student.name)} · SBU ID ${escapeHtml(student.sbuId ?? '—')} · Printed ${escapeHtml(getCurrentDateString())}</div>
+  <div>Majors: ${programList(transcript.declaredMajors)}</div>
+  <div>Minors: ${programList(transcript.declaredMinors)}</div>
+  <div class="totals">Cumulative GPA ${formatGpa(transcript.cumulativeGpa)} · Total earned credits ${transcript.totalEarnedCredits}</div>
+${
+  transcript.transferCourses.length
+    ? `
+  <h2>Transfer Credit (${transcript.transferCredits} credits)</h2>
+  <table>
+    <thead><tr><th>Course</th><th>Institution</th><th>Equivalent</th><th class="num">Credits</th><th>Grade</th></tr></thead>
+    <tbody>${transferRows}
+    </tbody>
+  </table>
+`
+    : ''
+}${transcript.terms.map(termTable).join('\n')}
+${
+  transcript.specialGrades.length
+    ? `
+  <h2>Withdrawals, Incompletes and Pass Grades</h2>
+  <table>
+    <thead><tr><th>Term</th><th>Course</th><th>Title</th><th>Grade</th></tr></thead>
+    <tbody>${specialRows}
+    </tbody>
+  </table>
+`
+    : ''
+}</body>
+</html>
+`;
+}
@@ -0,0 +1,390 @@
+/**
+ * @file waitlistProcessor.js
+ * @description Automatic waitlist processing driven by the academic calendar.
+ *
+ * - Waitlist joins are accepted until the calendar's `waitlist` date.
+ * - Each waitlisted enrollment carries an explicit `waitlist_position`; joins go
+ *   to the back of the queue and registrars may move entries.
+ * - Waitlisted students are promoted in position order while seats are free,
+ *   until the calendar's `waitlist_process_ends` date.
+ * - A student who would hit a registration hold, is already registered in
+ *   another section of the course, or would hit a time conflict (without an
+ *   approved waiver) or the term credit limit is skipped, and the next student
+ *   in line is considered.
+ * - Every promotion is written to audit_log, and a skip whenever its reason
+ *   differs from the student's last skip for the section.
+ *
+ * Processing runs whenever SAM's current date (dateWrapper) moves forward, and
+ * for a single section whenever a seat is released by a withdrawal.
+ */
+
+import { getCurrentDateString } from '../utils/dateWrapper.js';
+import {
+  checkRegistrationHolds,
+  checkTimeConflict,
+  hasTimeConflictWaiver,
+  checkCreditLimit,
+  createAuditLogEntry,
+} from './registrationChecks.js';
+import { getSectionCapacity } from './capacityService.js';
+import { getTermCalendar } from './termCalendar.js';
+
+// Last current-date value seen by processWaitlistsIfDateAdvanced (YYYY-MM-DD)
+let lastSeenDate = null;
+
+/**
+ * Loads the waitlist dates from the academic calendar for a term.
+ * @returns {Promise<{waitlist: string|null, waitlistProcessEnds: string|null}|null>}
+ *   null when the term has no academic calendar.
+ */
+export async function getWaitlistCalendar(db, termId) {
+  const calendar = await getTermCalendar(db, termId);
+  if (!calendar) return null;
+
+  return {
+    waitlist: calendar.waitlist,
+    waitlistProcessEnds: calendar.waitlistProcessEnds,
+  };
+}
+
+/**
+ * Whether students may still join a waitlist for the term.
+ * Joins are accepted through the calendar's `waitlist` date (inclusive).
+ */
+export async function isWaitlistOpen(db, termId) {
+  const calendar = await getWaitlistCalendar(db, termId);
+  if (!calendar?.waitlist) return { open: true, closesOn: null };
+
+  const today = getCurrentDateString();
+  return { open: today <= calendar.waitlist, closesOn: calendar.waitlist };
+}
+
+/**
+ * Whether waitlist promotion is still running for the term.
+ * Promotion runs through the calendar's `waitlist_process_ends` date (inclusive).
+ */
+export async function isWaitlistProcessingActive(db, termId) {
+  const calendar = await getWaitlistCalendar(db, termId);
+  if (!calendar?.waitlistProcessEnds) return { active: true, endsOn: null };
+
+  const today = getCurrentDateString();
+  return { active: today <= calendar.waitlistProcessEnds, endsOn: calendar.waitlistProcessEnds };
+}
+
+/**
+ * Position a new waitlist entry for the section should take (back of the queue).
+ */
+export async function nextWaitlistPosition(db, classId) {
+  const { rows } = await db.query(
+    `
+    SELECT COALESCE(MAX(waitlist_position), 0) + 1 AS next_position
+    FROM enrollments
+    WHERE class_id = $1
+      AND status = 'waitlisted'
+    `,
+    [classId]
+  );
+  return Number(rows[0]?.next_position ?? 1);
+}
+
+/**
+ * Loads a section's waitlist in queue order together with its seat counts.
+ * Positions are reported 1..n even if stored positions have gaps left by
+ * promotions or withdrawals.
+ *
+ * @returns {Promise<{classId: number, termId: number, courseCode: string, sectionNum: string,
+ *   capacity: number, registeredCount: number, seatsLeft: number,
+ *   queue: Array<{studentId: number, position: number, enrolledAt: Date|null,
+ *   firstName: string, lastName: string, email: string}>}|null>} null if the section does not exist
+ */
+export async function getWaitlistQueue(db, classId) {
+  const secRes = await db.query(
+    `
+    SELECT cs.class_id, cs.term_id, cs.section_num,
+           c.subject, c.course_num
+    FROM class_sections cs
+    JOIN courses c ON c.course_id = cs.course_id
+    WHERE cs.class_id = $1
+    `,
+    [classId]
+  );
+  if (secRes.rows.length === 0) return null;
+
+  const section = secRes.rows[0];
+  const queueRes = await db.query(
+    `
+    SELECT e.student_id, e.enrolled_at, u.first_name, u.last_name, u.email
+    FROM enrollments e
+    JOIN users u ON u.user_id = e.student_id
+    WHERE e.class_id = $1
+      AND e.status = 'waitlisted'
+    ORDER BY e.waitlist_position ASC NULLS LAST, e.enrolled_at ASC NULLS LAST
+    `,
+    [classId]
+  );
+
+  const { capacity, registeredCount, seatsLeft } = await getSectionCapacity(db, classId);
+
+  return {
+    classId: section.class_id,
+    termId: section.term_id,
+    courseCode: `${section.subject} ${section.course_num}`,
+    sectionNum: section.section_num,
+    capacity,
+    registeredCount,
+    seatsLeft,
+    queue: queueRes.rows.map((row, i) => ({
+      studentId: row.student_id,
+      position: i + 1,
+      enrolledAt: row.enrolled_at,
+      firstName: row.first_name,
+      lastName: row.last_name,
+      email: row.email,
+    })),
+  };
+}
+
+/**
+ * Moves a waitlisted student to a new position and renumbers the rest of the
+ * queue 1..n. Positions past the end of the queue move the student to the back.
+ *
+ * @returns {Promise<{fromPosition: number, toPosition: number, queueLength: number}|null>}
+ *   null if the student is not on this section's waitlist
+ */
+export async function moveWaitlistEntry(db, classId, studentId, newPosition) {
+  const { rows } = await db.query(
+    `
+    SELECT e.student_id
+    FROM enrollments e
+    WHERE e.class_id = $1
+      AND e.status = 'waitlisted'
+    ORDER BY e.waitlist_position ASC NULLS LAST, e.enrolled_at ASC NULLS LAST
+    `,
+    [classId]
+  );
+
+  const order = rows.map((r) => Number(r.student_id));
+  const fromIndex = order.indexOf(Number(studentId));
+  if (fromIndex === -1) return null;
+
+  const toIndex = Math.min(Math.max(Number(newPosition), 1), order.length) - 1;
+  order.splice(fromIndex, 1);
+  order.splice(toIndex, 0, Number(studentId));
+
+  for (let i = 0; i < order.length; i++) {
+    await db.query(
+      `
+      UPDATE enrollments
+      SET waitlist_position = $3
+      WHERE class_id = $1
+        AND student_id = $2
+        AND status = 'waitlisted'
+      `,
+      [classId, order[i], i + 1]
+    );
+  }
+
+  return { fromPosition: fromIndex + 1, toPosition: toIndex + 1, queueLength: order.length };
+}
+
+/**
+ * Returns the reason a waitlisted student cannot be promoted, or null if the
+ * student can take the seat.
+ */
+async function findSkipReason(db, studentId, section) {
+  const holds = await checkRegistrationHolds(db, studentId);
+  if (holds.length > 0) {
+    return `Registration hold: ${holds.map((h) => h.hold_type).join(', ')}`;
+  }
+
+  const sameCourseRes = await db.query(
+    `
+    SELECT cs2.section_num
+    FROM enrollments e
+    JOIN class_sections cs2 ON cs2.class_id = e.class_id
+    WHERE e.student_id = $1
+      AND cs2.course_id = $2
+      AND cs2.term_id = $3
+      AND e.class_id <> $4
+      AND e.status = 'registered'
+    `,
+    [studentId, section.course_id, section.term_id, section.class_id]
+  );
+  if (sameCourseRes.rows.length > 0) {
+    return `Already registered for another section of this course (Section ${sameCourseRes.rows[0].section_num})`;
+  }
+
+  const timeConflict = await checkTimeConflict(db, studentId, section.class_id, section.term_id);
+  if (timeConflict.hasConflict) {
+    const hasWaiver = await hasTimeConflictWaiver(db, studentId, section.class_id, timeConflict.conflictingClass.classId);
+    if (!hasWaiver) {
+      return `Time conflict with ${timeConflict.conflictingClass.courseCode}`;
+    }
+  }
+
+  const creditCheck = await checkCreditLimit(db, studentId, section.term_id, section.credits);
+  if (!creditCheck.allowed) return creditCheck.reason;
+
+  return null;
+}
+
+// The reason a student was last skipped for a section, so repeated runs
+// only audit a skip when its reason changes
+async function lastSkipReason(db, studentId, classId) {
+  const { rows } = await db.query(
+    `
+    SELECT note
+    FROM audit_log
+    WHERE student_id = $1
+      AND action_type = 'waitlist_skipped'
+      AND entity_type = 'class_section'
+      AND entity_id = $2
+    ORDER BY performed_at DESC, audit_id DESC
+    LIMIT 1
+    `,
+    [studentId, classId]
+  );
+  return rows[0]?.note ?? null;
+}
+
+/**
+ * Promotes waitlisted students of one section, in position order, into any
+ * free seats.
+ *
+ * @param {Object} db - pg pool or client
+ * @param {number} classId - class_sections.class_id
+ * @param {Object} [options]
+ * @param {number|null} [options.performedBy] - user recorded in audit_log (null = system)
+ * @returns {Promise<{classId: number, promoted: Array, skipped: Array, processingClosed?: boolean}>}
+ */
+export async function processSectionWaitlist(db, classId, { performedBy = null } = {}) {
+  const result = { classId, promoted: [], skipped: [] };
+
+  const secRes = await db.query(
+    `
+    SELECT cs.class_id, cs.term_id, cs.section_num, cs.course_id,
+           c.subject, c.course_num, c.credits
+    FROM class_sections cs
+    JOIN courses c ON c.course_id = cs.course_id
+    WHERE cs.class_id = $1
+    `,
+    [classId]
+  );
+  if (secRes.rows.length === 0) return result;
+
+  const section = secRes.rows[0];
+  const courseCode = `${section.subject} ${section.course_num}`;
+
+  const { active } = await isWaitlistProcessingActive(db, section.term_id);
+  if (!active) return { ...result, processingClosed: true };
+
+  let openSeats = (await getSectionCapacity(db, classId)).seatsLeft;
+  if (openSeats <= 0) return result;
+
+  const waitlistRes = await db.query(
+    `
+    SELECT e.student_id
+    FROM enrollments e
+    WHERE e.class_id = $1
+      AND e.status = 'waitlisted'
+    ORDER BY e.waitlist_position ASC NULLS LAST, e.enrolled_at ASC NULLS LAST
+    `,
+    [classId]
+  );
+
+  for (let i = 0; i < waitlistRes.rows.length && openSeats > 0; i++) {
+    const studentId = waitlistRes.rows[i].student_id;
+    const position = i + 1;
+
+    const skipReason = await findSkipReason(db, studentId, section);
+    if (skipReason) {
+      result.skipped.push({ studentId, position, reason: skipReason });
+      if (skipReason === (await lastSkipReason(db, studentId, classId))) continue;
+      await createAuditLogEntry(db, {
+        studentId,
+        actionType: 'waitlist_skipped',
+        actionDescription: `Skipped on waitlist for ${courseCode} (Section ${section.section_num}): ${skipReason}`,
+        performedBy,
+        entityType: 'class_section',
+        entityId: section.class_id,
+        note: skipReason,
+      });
+      continue;
+    }
+
+    const updateRes = await db.query(
+      `
+      UPDATE enrollments
+      SET status = 'registered',
+          waitlist_position = NULL
+      WHERE class_id = $1
+        AND student_id = $2
+        AND status = 'waitlisted'
+      RETURNING student_id
+      `,
+      [classId, studentId]
+    );
+    if (updateRes.rows.length === 0) continue;
+
+    openSeats--;
+    result.promoted.push({ studentId, position });
+    await createAuditLogEntry(db, {
+      studentId,
+      actionType: 'waitlist_promoted',
+      actionDescription: `Promoted from waitlist position ${position} into ${courseCode} (Section ${section.section_num})`,
+      performedBy,
+      entityType: 'class_section',
+      entityId: section.class_id,
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Processes every section that has waitlisted students in a term whose
+ * waitlist processing period has not ended.
+ */
+export async function processWaitlists(db, { performedBy = null } = {}) {
+  const today = getCurrentDateString();
+
+  const { rows } = await db.query(
+    `
+    SELECT DISTINCT cs.class_id
+    FROM enrollments e
+    JOIN class_sections cs ON cs.class_id = e.class_id
+    JOIN terms t ON t.term_id = cs.term_id
+    JOIN academic_calendar ac
+      ON lower(ac.term->>'semester') = lower(t.semester::text)
+     AND (ac.term->>'year')::int = t.year
+    WHERE e.status = 'waitlisted'
+      AND (ac.waitlist_process_ends IS NULL OR ac.waitlist_process_ends >= $1::date)
+    ORDER BY cs.class_id
+    `,
+    [today]
+  );
+
+  const summary = { date: today, sectionsProcessed: 0, promoted: [], skipped: [] };
+
+  for (const { class_id } of rows) {
+    const sectionResult = await processSectionWaitlist(db, class_id, { performedBy });
+    summary.sectionsProcessed++;
+    summary.promoted.push(...sectionResult.promoted.map((p) => ({ ...p, classId: class_id })));
+    summary.skipped.push(...sectionResult.skipped.map((s) => ({ ...s, classId: class_id })));
+  }
+
+  return summary;
+}
+
+/**
+ * Runs processWaitlists if SAM's current date has moved forward since the
+ * last call. Returns null when the date has not advanced.
+ */
+export async function processWaitlistsIfDateAdvanced(db, options = {}) {
+  const today = getCurrentDateString();
+  const previous = lastSeenDate;
+  lastSeenDate = today;
+
+  if (previous && today <= previous) return null;
+  return processWaitlists(db, options);
+}
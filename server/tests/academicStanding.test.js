@@ -0,0 +1,181 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { setCustomDate } from '../utils/dateWrapper.js';
+import {
+  DEFAULT_STANDING_THRESHOLDS,
+  determineStanding,
+  getStandingThresholds,
+  processAcademicStanding,
+  processAcademicStandingIfDateAdvanced,
+} from '../services/academicStanding.js';
+
+let courseNum = 100;
+
+const row = (studentId, grade, termId, semester, year, overrides = {}) => ({
+  student_id: studentId,
+  grade,
+  gpnc: false,
+  subject: 'CSE',
+  course_num: String(courseNum++),
+  title: 'Course',
+  credits: 4,
+  term_id: termId,
+  semester,
+  year,
+  ...overrides,
+});
+
+const fall = (studentId, grade, overrides) => row(studentId, grade, 2, 'Fall', 2025, overrides);
+const spring = (studentId, grade, overrides) => row(studentId, grade, 1, 'Spring', 2025, overrides);
+
+function buildDb({ terms = [{ term_id: 2, semester: 'Fall', year: 2025 }], enrollments = [], inserted = true } = {}) {
+  let holdId = 500;
+  return {
+    query: vi.fn(async (sql) => {
+      if (sql.includes('standing_probation_gpa')) return { rows: [] };
+      if (sql.includes('COALESCE(ac.grade_submission_ends, ac.semester_end) < $1::date')) return { rows: terms };
+      if (sql.includes('e.student_id IN')) return { rows: enrollments };
+      if (sql.includes('INSERT INTO academic_standings')) return { rows: inserted ? [{ student_id: 1 }] : [] };
+      if (sql.includes('INSERT INTO registration_holds')) return { rows: [{ hold_id: holdId++ }] };
+      return { rows: [] };
+    }),
+  };
+}
+
+const insertedStandings = (db) =>
+  db.query.mock.calls
+    .filter(([sql]) => sql.includes('INSERT INTO academic_standings'))
+    .map(([, params]) => ({ studentId: params[0], termId: params[1], standing: params[2], termGpa: params[3], cumulativeGpa: params[5] }));
+
+describe('Academic standing', () => {
+  afterEach(() => setCustomDate(null));
+
+  it('falls back to the default thresholds', async () => {
+    await expect(getStandingThresholds(buildDb())).resolves.toEqual(DEFAULT_STANDING_THRESHOLDS);
+  });
+
+  it('picks probation, dean\'s list or good standing', () => {
+    const term = (termGpa, gpaCredits, cumulativeGpa, grades = ['A']) => ({
+      termGpa, gpaCredits, cumulativeGpa, courses: grades.map((grade) => ({ grade })),
+    });
+    const t = DEFAULT_STANDING_THRESHOLDS;
+
+    expect(determineStanding(term(1.5, 12, 1.9), t)).toBe('probation');
+    expect(determineStanding(term(3.8, 12, 3.1), t)).toBe('deans_list');
+    expect(determineStanding(term(3.8, 9, 3.1), t)).toBe('good_standing');
+    expect(determineStanding(term(3.8, 12, 3.1, ['A', 'I']), t)).toBe('good_standing');
+    expect(determineStanding(term(null, 0, null, ['W']), t)).toBe('good_standing');
+  });
+
+  it('asks only for terms whose grade submission ended before today', async () => {
+    setCustomDate('2025-12-20');
+    const db = buildDb({ terms: [] });
+
+    const summary = await processAcademicStanding(db);
+
+    const [, params] = db.query.mock.calls.find(([sql]) => sql.includes('COALESCE(ac.grade_submission_ends, ac.semester_end) < $1::date'));
+    expect(params).toEqual(['2025-12-20']);
+    expect(summary).toEqual({ date: '2025-12-20', terms: [], assigned: 0, probation: [] });
+  });
+
+  it('records one standing per student using term and cumulative GPA', async () => {
+    setCustomDate('2025-12-20');
+    const db = buildDb({
+      enrollments: [
+        // Student 1: strong term, 12 GPA credits
+        fall(1, 'A'), fall(1, 'A'), fall(1, 'A-'),
+        // Student 2: good term but a weak history keeps the cumulative GPA under 2.0
+        spring(2, 'F'), spring(2, 'F'), fall(2, 'B'), fall(2, 'C'),
+        // Student 3: only a GPNC pass; no GPA yet
+        fall(3, 'A', { gpnc: true }),
+      ],
+    });
+
+    const summary = await processAcademicStanding(db);
+
+    expect(insertedStandings(db)).toEqual([
+      { studentId: 1, termId: 2, standing: 'deans_list', termGpa: 3.9, cumulativeGpa: 3.9 },
+      { studentId: 2, termId: 2, standing: 'probation', termGpa: 2.5, cumulativeGpa: 1.25 },
+      { studentId: 3, termId: 2, standing: 'good_standing', termGpa: null, cumulativeGpa: null },
+    ]);
+    expect(summary.assigned).toBe(3);
+    expect(summary.terms).toEqual([{ termId: 2, semester: 'Fall', year: 2025, termCode: 'Fall 2025', assigned: 3 }]);
+  });
+
+  it('places and audits an academic advising hold for probation', async () => {
+    setCustomDate('2025-12-20');
+    const db = buildDb({ enrollments: [fall(7, 'D'), fall(7, 'F')] });
+
+    const summary = await processAcademicStanding(db, { performedBy: 9 });
+
+    const hold = db.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO registration_holds'));
+    expect(hold[1]).toEqual([7, 'academic_advising', expect.stringContaining('Academic probation after Fall 2025'), 9]);
+    const audit = db.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO audit_log'));
+    expect(audit[1]).toContain('registration_hold_placed');
+    const link = db.query.mock.calls.find(([sql]) => sql.includes('UPDATE academic_standings SET hold_id'));
+    expect(link[1]).toEqual([500, 7, 2]);
+    expect(summary.probation).toEqual([{ studentId: 7, termId: 2, termCode: 'Fall 2025', cumulativeGpa: 0.5, holdId: 500 }]);
+  });
+
+  it('backfills past terms without placing holds for them', async () => {
+    setCustomDate('2026-01-10');
+    const db = buildDb({
+      terms: [
+        { term_id: 1, semester: 'Spring', year: 2025 },
+        { term_id: 2, semester: 'Fall', year: 2025 },
+      ],
+      enrollments: [
+        // Student 4: on probation after Spring, recovered in Fall
+        spring(4, 'F'), fall(4, 'A'), fall(4, 'A'), fall(4, 'A'),
+        // Student 5: on probation after both terms
+        spring(5, 'F'), fall(5, 'D'),
+      ],
+    });
+
+    const summary = await processAcademicStanding(db, { performedBy: 9 });
+
+    expect(insertedStandings(db).map(({ studentId, termId, standing }) => [studentId, termId, standing])).toEqual([
+      [4, 1, 'probation'],
+      [5, 1, 'probation'],
+      [4, 2, 'deans_list'],
+      [5, 2, 'probation'],
+    ]);
+    const holds = db.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO registration_holds'));
+    expect(holds.map(([, params]) => params[0])).toEqual([5]);
+    expect(summary.probation).toEqual([{ studentId: 5, termId: 2, termCode: 'Fall 2025', cumulativeGpa: 0.5, holdId: 500 }]);
+  });
+
+  it('links probation to an unresolved hold instead of placing another', async () => {
+    setCustomDate('2025-12-20');
+    const db = buildDb({ enrollments: [fall(7, 'F')] });
+    const base = db.query.getMockImplementation();
+    db.query.mockImplementation(async (sql, params) =>
+      sql.includes('resolved_at IS NULL') ? { rows: [{ hold_id: 42 }] } : base(sql, params)
+    );
+
+    const summary = await processAcademicStanding(db);
+
+    expect(db.query.mock.calls.some(([sql]) => sql.includes('INSERT INTO registration_holds'))).toBe(false);
+    expect(summary.probation[0].holdId).toBe(42);
+  });
+
+  it('skips students whose standing was recorded meanwhile', async () => {
+    setCustomDate('2025-12-20');
+    const db = buildDb({ enrollments: [fall(7, 'F')], inserted: false });
+
+    const summary = await processAcademicStanding(db);
+
+    expect(db.query.mock.calls.some(([sql]) => sql.includes('INSERT INTO registration_holds'))).toBe(false);
+    expect(summary.assigned).toBe(0);
+  });
+
+  it('only reprocesses when the current date moves forward', async () => {
+    setCustomDate('2026-01-05');
+    const db = buildDb({ terms: [] });
+
+    expect(await processAcademicStandingIfDateAdvanced(db)).not.toBeNull();
+    expect(await processAcademicStandingIfDateAdvanced(db)).toBeNull();
+
+    setCustomDate('2026-01-06');
+    expect(await processAcademicStandingIfDateAdvanced(db)).not.toBeNull();
+  });
+});
@@ -0,0 +1,84 @@
+import express from 'express';
+import request from 'supertest';
+import { describe, it, expect, vi } from 'vitest';
+import academicStandingRoutes from '../routes/academicStandingRoutes.js';
+
+function buildApp(queryImpl, role) {
+  const app = express();
+  app.use(express.json());
+  app.use((req, _res, next) => {
+    req.db = { query: queryImpl };
+    req.user = { user_id: 1, role };
+    next();
+  });
+  app.use('/api/academic-standing', academicStandingRoutes);
+  return app;
+}
+
+const standingRow = {
+  student_id: 7, term_id: 2, standing: 'probation', term_gpa: '1.500', term_gpa_credits: '12.0',
+  cumulative_gpa: '1.800', cumulative_gpa_credits: '40.0', hold_id: 500, computed_at: '2025-12-21T00:00:00Z',
+  semester: 'Fall', year: 2025, sbu_id: '777777777', first_name: 'Pat', last_name: 'Probation', email: 'pat@stonybrook.edu',
+};
+
+describe('Academic standing routes', () => {
+  const query = vi.fn(async (sql) => {
+    if (sql.includes('UPDATE system_state')) return { rowCount: 1, rows: [] };
+    if (sql.includes('standing_probation_gpa')) {
+      return { rows: [{ standing_probation_gpa: '2.000', standing_deans_list_gpa: '3.500', standing_deans_list_min_credits: 12 }] };
+    }
+    if (sql.includes('SELECT DISTINCT t.term_id')) {
+      return { rows: [{ term_id: 1, semester: 'Spring', year: 2025 }, { term_id: 2, semester: 'Fall', year: 2025 }] };
+    }
+    if (sql.includes('WHERE s.term_id = $1')) return { rows: [standingRow] };
+    return { rows: [] };
+  });
+
+  it('defaults to the latest ended term for advisors', async () => {
+    const res = await request(buildApp(query, 'Advisor')).get('/api/academic-standing');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      ok: true,
+      termId: 2,
+      thresholds: { probationGpa: 2, deansListGpa: 3.5, deansListMinCredits: 12 },
+      counts: { good_standing: 0, probation: 1, deans_list: 0 },
+    });
+    expect(res.body.closedTerms.map((t) => t.termId)).toEqual([2, 1]);
+    expect(res.body.standings[0]).toMatchObject({
+      studentId: 7, studentName: 'Pat Probation', label: 'Academic Probation', cumulativeGpa: 1.8, holdId: 500,
+    });
+    const list = query.mock.calls.find(([sql]) => sql.includes('WHERE s.term_id = $1'));
+    expect(list[1]).toEqual([2]);
+  });
+
+  it('keeps standings away from students and instructors', async () => {
+    expect((await request(buildApp(query, 'Student')).get('/api/academic-standing')).status).toBe(403);
+    expect((await request(buildApp(query, 'Instructor')).get('/api/academic-standing')).status).toBe(403);
+  });
+
+  it('lets registrars change the thresholds', async () => {
+    const res = await request(buildApp(query, 'Registrar'))
+      .put('/api/academic-standing/settings')
+      .send({ probationGpa: 1.8, deansListGpa: 3.6, deansListMinCredits: 15 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.thresholds).toEqual({ probationGpa: 1.8, deansListGpa: 3.6, deansListMinCredits: 15 });
+    const update = query.mock.calls.find(([sql]) => sql.includes('UPDATE system_state'));
+    expect(update[1]).toEqual([1.8, 3.6, 15]);
+  });
+
+  it('rejects invalid thresholds and non-registrars', async () => {
+    const app = buildApp(query, 'Registrar');
+    const put = (body) => request(app).put('/api/academic-standing/settings').send(body);
+
+    expect((await put({ probationGpa: 5, deansListGpa: 3.5, deansListMinCredits: 12 })).status).toBe(400);
+    expect((await put({ probationGpa: 3.5, deansListGpa: 3.0, deansListMinCredits: 12 })).status).toBe(400);
+    expect((await put({ probationGpa: 2, deansListGpa: 3.5, deansListMinCredits: 1.5 })).status).toBe(400);
+
+    const advisor = await request(buildApp(query, 'Advisor'))
+      .put('/api/academic-standing/settings')
+      .send({ probationGpa: 2, deansListGpa: 3.5, deansListMinCredits: 12 });
+    expect(advisor.status).toBe(403);
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import { parseCsv, parseGradeFile, validateGradeEntries } from '../services/bulkGrades.js';
+
+const ALLOWED = ['A', 'A-', 'B+', 'B', 'C', 'F', 'P', 'NC', 'I'];
+
+const roster = [
+  { student_id: 101, sbu_id: '111111111', email: 'ada@stonybrook.edu', first_name: 'Ada', last_name: 'L', grade: null, gpnc: false },
+  { student_id: 102, sbu_id: '222222222', email: 'bob@stonybrook.edu', first_name: 'Bob', last_name: 'K', grade: 'I', gpnc: true },
+  { student_id: 103, sbu_id: '333333333', email: 'cy@stonybrook.edu', first_name: 'Cy', last_name: 'M', grade: 'B', gpnc: false },
+];
+
+describe('Bulk grades - parsing', () => {
+  it('parses quoted CSV fields and CRLF line endings', () => {
+    expect(parseCsv('a,b\r\n"x, y","say ""hi"""\r\n')).toEqual([
+      ['a', 'b'],
+      ['x, y', 'say "hi"'],
+    ]);
+  });
+
+  it('reads CSV rows keyed by SBU ID or email, numbering rows by line', () => {
+    const { format, entries } = parseGradeFile('SBU ID,Email,Grade\n111111111,,a-\n\n,bob@stonybrook.edu,B\n', 'grades.csv');
+
+    expect(format).toBe('csv');
+    expect(entries).toEqual([
+      { row: 2, sbuId: '111111111', email: null, grade: 'a-' },
+      { row: 4, sbuId: null, email: 'bob@stonybrook.edu', grade: 'B' },
+    ]);
+  });
+
+  it('reads YAML lists, with or without a grades key', () => {
+    const text = 'grades:\n  - sbu_id: 111111111\n    grade: A\n  - email: cy@stonybrook.edu\n    grade: C\n';
+    const { format, entries } = parseGradeFile(text, 'grades.yaml');
+
+    expect(format).toBe('yaml');
+    expect(entries.map((e) => [e.row, e.sbuId, e.email, e.grade])).toEqual([
+      [1, '111111111', null, 'A'],
+      [2, null, 'cy@stonybrook.edu', 'C'],
+    ]);
+  });
+
+  it('rejects a CSV without identifier and grade columns', () => {
+    expect(() => parseGradeFile('name,score\nAda,90\n', 'grades.csv')).toThrow(/header/);
+  });
+});
+
+describe('Bulk grades - validation', () => {
+  it('flags invalid grades, unknown students, duplicates and locked grades', () => {
+    const rows = validateGradeEntries(
+      [
+        { row: 2, sbuId: '111111111', email: null, grade: 'A' },
+        { row: 3, sbuId: null, email: 'BOB@stonybrook.edu', grade: 'B+' },
+        { row: 4, sbuId: '999999999', email: null, grade: 'A' },
+        { row: 5, sbuId: '111111111', email: null, grade: 'B' },
+        { row: 6, sbuId: '333333333', email: null, grade: 'A' },
+        { row: 7, sbuId: '111111111', email: null, grade: 'Z' },
+      ],
+      roster,
+      { allowedGrades: ALLOWED }
+    );
+
+    expect(rows.map((r) => r.valid)).toEqual([true, true, false, false, false, false]);
+    expect(rows[1]).toMatchObject({ studentId: 102, storedGrade: 'P', letterGrade: 'B+' });
+    expect(rows[2].errors).toEqual(['Student is not on this roster']);
+    expect(rows[3].errors[0]).toMatch(/Duplicate entry .* row 2/);
+    expect(rows[4].errors[0]).toMatch(/current grade B/);
+    expect(rows[5].errors).toContain('Invalid grade "Z"');
+  });
+
+  it('rejects an SBU ID and email that point at different students', () => {
+    const [row] = validateGradeEntries(
+      [{ row: 2, sbuId: '111111111', email: 'bob@stonybrook.edu', grade: 'A' }],
+      roster,
+      { allowedGrades: ALLOWED }
+    );
+
+    expect(row.valid).toBe(false);
+    expect(row.errors).toEqual(['SBU ID and email belong to different students']);
+  });
+});
@@ -0,0 +1,56 @@
+import { describe, it, expect, vi } from 'vitest';
+import { setCustomDate } from '../utils/dateWrapper.js';
+import {
+  effectiveCapacity,
+  getSectionCapacity,
+  getActiveCapacityOverride,
+  consumeCapacityOverride,
+} from '../services/capacityService.js';
+
+describe('Capacity Service', () => {
+  it('uses the lesser of section and room capacity', () => {
+    expect(effectiveCapacity(40, 30)).toBe(30);
+    expect(effectiveCapacity(25, 30)).toBe(25);
+    expect(effectiveCapacity(25, null)).toBe(25);
+  });
+
+  it('reports seats left against the effective capacity', async () => {
+    const db = {
+      query: vi.fn().mockResolvedValue({
+        rows: [{ class_id: 10, section_capacity: 40, room_capacity: 30, registered_count: '28' }],
+      }),
+    };
+
+    const cap = await getSectionCapacity(db, 10);
+
+    expect(cap).toMatchObject({ sectionCapacity: 40, roomCapacity: 30, capacity: 30, registeredCount: 28, seatsLeft: 2 });
+  });
+
+  it('returns null for a missing section', async () => {
+    const db = { query: vi.fn().mockResolvedValue({ rows: [] }) };
+    expect(await getSectionCapacity(db, 999)).toBeNull();
+  });
+
+  it('only treats unexpired, unconsumed, unrevoked overrides as active', async () => {
+    setCustomDate('2025-09-03');
+    const db = { query: vi.fn().mockResolvedValue({ rows: [] }) };
+
+    expect(await getActiveCapacityOverride(db, 101, 10)).toBeNull();
+
+    const [sql, params] = db.query.mock.calls[0];
+    expect(sql).toMatch(/consumed_at IS NULL/);
+    expect(sql).toMatch(/revoked_at IS NULL/);
+    expect(sql).toMatch(/expires_at IS NULL OR expires_at >= \$3::date/);
+    expect(params).toEqual([101, 10, '2025-09-03']);
+  });
+
+  it('consumes an override only once', async () => {
+    const query = vi.fn()
+      .mockResolvedValueOnce({ rows: [{ override_id: 5 }] })
+      .mockResolvedValueOnce({ rows: [] });
+    const db = { query };
+
+    expect(await consumeCapacityOverride(db, 5)).toBe(true);
+    expect(await consumeCapacityOverride(db, 5)).toBe(false);
+  });
+});
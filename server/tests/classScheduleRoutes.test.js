@@ -131,7 +131,7 @@ describe('Class Schedule Routes', () => {
       const query = vi.fn()
         .mockResolvedValueOnce({ rows: [{ capacity: 30, term_id: 1, course_id: 1 }] })
         .mockResolvedValueOnce({ rows: [] })
-        .mockResolvedValueOnce({ rows: [{ count: '25' }] })
+        .mockResolvedValueOnce({ rows: [{ class_id: 1, section_capacity: 30, room_capacity: null, registered_count: '25' }] })
         .mockResolvedValueOnce({ rows: [] });
       const app = buildApp(query);
 
@@ -147,7 +147,8 @@ describe('Class Schedule Routes', () => {
       const query = vi.fn()
         .mockResolvedValueOnce({ rows: [{ capacity: 30, term_id: 1, course_id: 1 }] })
         .mockResolvedValueOnce({ rows: [] })
-        .mockResolvedValueOnce({ rows: [{ count: '30' }] })
+        .mockResolvedValueOnce({ rows: [{ class_id: 1, section_capacity: 40, room_capacity: 30, registered_count: '30' }] })
+        .mockResolvedValueOnce({ rows: [{ next_position: 1 }] })
         .mockResolvedValueOnce({ rows: [] });
       const app = buildApp(query);
 
@@ -0,0 +1,108 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+  allocationCreditsRemaining,
+  estimateCompletion,
+  laterTerm,
+  requirementCreditsRemaining,
+} from '../services/completionEstimate.js';
+import { setCustomDate } from '../utils/dateWrapper.js';
+
+describe('requirementCreditsRemaining', () => {
+  it('costs each open slot its cheapest course', () => {
+    const credits = requirementCreditsRemaining(
+      [
+        { groupId: '1-core', codes: ['CSE316'], creditShortfall: null },
+        { groupId: '1-calc', codes: ['MAT131', 'AMS151'], creditShortfall: null },
+        { groupId: '1-electives', codes: [], creditShortfall: null },
+      ],
+      new Map([['CSE316', 3], ['MAT131', 4], ['AMS151', 3]])
+    );
+    expect(credits).toBe(9);
+  });
+
+  it('counts a credit minimum only beyond what its slots cover', () => {
+    const outstanding = [
+      { groupId: '1-science', codes: ['CHE131'], creditShortfall: null },
+      { groupId: '1-science', codes: [], creditShortfall: 8 },
+    ];
+    expect(requirementCreditsRemaining(outstanding, new Map([['CHE131', 4]]))).toBe(8);
+    expect(requirementCreditsRemaining(outstanding.slice(0, 1), new Map([['CHE131', 4]]))).toBe(4);
+  });
+});
+
+describe('allocationCreditsRemaining', () => {
+  const program = (programId, codes, maxSharedCourses = null, sharedCourses = []) => ({
+    outstanding: codes.map((c) => ({ groupId: `${programId}-core`, codes: c, creditShortfall: null })),
+    sharedCourses,
+    maxSharedCourses,
+  });
+  const creditsByCode = new Map([['MAT211', 3], ['AMS210', 3], ['CSE316', 4]]);
+
+  it('counts a course two programs still need once', () => {
+    const allocation = new Map([
+      [1, program(1, [['MAT211'], ['CSE316']])],
+      [2, program(2, [['AMS210', 'MAT211']])],
+    ]);
+    expect(allocationCreditsRemaining(allocation, creditsByCode)).toBe(7);
+  });
+
+  it('counts it twice when either program may not share another course', () => {
+    const full = new Map([
+      [1, program(1, [['MAT211']])],
+      [2, program(2, [['MAT211']], 1, ['CSE114'])],
+    ]);
+    expect(allocationCreditsRemaining(full, creditsByCode)).toBe(6);
+
+    const none = new Map([
+      [1, program(1, [['MAT211']], 0)],
+      [2, program(2, [['MAT211']])],
+    ]);
+    expect(allocationCreditsRemaining(none, creditsByCode)).toBe(6);
+  });
+});
+
+describe('laterTerm', () => {
+  it('picks the later term and ignores missing ones', () => {
+    expect(laterTerm({ semester: 'Fall', year: 2025 }, { semester: 'Spring', year: 2026 })).toEqual({ semester: 'Spring', year: 2026 });
+    expect(laterTerm(null, { semester: 'Fall', year: 2025 })).toEqual({ semester: 'Fall', year: 2025 });
+    expect(laterTerm(null, null)).toBeNull();
+  });
+});
+
+describe('estimateCompletion', () => {
+  afterEach(() => setCustomDate(null));
+
+  it('fills regular terms at the default workload and skips summers', () => {
+    expect(
+      estimateCompletion({
+        minimumCredits: 120,
+        creditsCounted: 90,
+        requirementCredits: 12,
+        lastTerm: { semester: 'Spring', year: 2026 },
+      })
+    ).toEqual({ remainingCredits: 30, requirementCredits: 12, termsRemaining: 2, estimatedGraduationTerm: 'Spring 2027' });
+  });
+
+  it('uses requirement credits when they exceed the graduation minimum', () => {
+    const estimate = estimateCompletion({
+      minimumCredits: 120,
+      creditsCounted: 118,
+      requirementCredits: 16,
+      lastTerm: { semester: 'Fall', year: 2026 },
+    });
+    expect(estimate).toMatchObject({ remainingCredits: 16, termsRemaining: 2, estimatedGraduationTerm: 'Fall 2027' });
+  });
+
+  it('starts from the current year per dateWrapper without a last term', () => {
+    setCustomDate('2031-03-01');
+    expect(
+      estimateCompletion({ minimumCredits: 120, creditsCounted: 105, requirementCredits: 0, lastTerm: null })
+    ).toMatchObject({ termsRemaining: 1, estimatedGraduationTerm: 'Spring 2031' });
+  });
+
+  it('reports the last term when nothing remains', () => {
+    expect(
+      estimateCompletion({ minimumCredits: 120, creditsCounted: 121, requirementCredits: 0, lastTerm: { semester: 'Fall', year: 2026 } })
+    ).toMatchObject({ remainingCredits: 0, termsRemaining: 0, estimatedGraduationTerm: 'Fall 2026' });
+  });
+});
@@ -2,6 +2,7 @@ import express from 'express';
 import request from 'supertest';
 import { describe, it, expect, vi } from 'vitest';
 import degreeProgressRoutes from '../routes/degreeProgressRoutes.js';
+import { buildTranscript } from '../services/transcript.js';
 
 function buildApp(queryImpl) {
   const app = express();
@@ -99,3 +100,328 @@ describe('Degree Progress Routes', () => {
   });
 });
 
+
+describe('GET /api/degree/progress course allocation', () => {
+  const enrollment = (subject, courseNum, grade, status = 'completed') => ({
+    subject,
+    course_num: courseNum,
+    grade,
+    gpnc: false,
+    status,
+    title: `${subject} ${courseNum}`,
+    credits: 3,
+    sbc: null,
+    semester: 'Fall',
+    year: 2024,
+  });
+
+  const defaultEnrollments = [
+    enrollment('CSE', '114', 'A'),
+    enrollment('CSE', '316', 'B'),
+    enrollment('CSE', '305', 'A'),
+    enrollment('CSE', '320', null, 'registered'),
+  ];
+
+  function buildProgressApp({
+    enrollments = defaultEnrollments,
+    exceptions = [],
+    user = { user_id: 7, role: 'Student' },
+    advisorLevel = 'university',
+  } = {}) {
+    const query = vi.fn(async (sql, params) => {
+      if (sql.includes('FROM enrollments e')) return { rows: enrollments };
+      if (sql.includes('FROM requirement_exceptions re')) return { rows: exceptions };
+      if (sql.includes('SELECT student_id FROM requirement_exceptions')) {
+        return { rows: params[0] === 11 ? [{ student_id: 7 }] : [] };
+      }
+      if (sql.includes('SELECT role FROM users')) return { rows: [{ role: user.role }] };
+      if (sql.includes('FROM advisors a')) return { rows: [{ level: advisorLevel, department_id: 1 }] };
+      if (sql.includes('col.code')) return { rows: [] };
+      if (sql.includes('FROM student_programs sp')) {
+        return {
+          rows: [{ program_id: 1, kind: 'MAJOR', degree_requirement_id: 5, program_code: 'CSE-BS', program_name: 'CSE BS' }],
+        };
+      }
+      if (sql.includes('FROM degree_requirements')) {
+        return {
+          rows: [{
+            id: 5,
+            subject: 'CSE',
+            degree_type: 'BS',
+            program_type: 'major',
+            effective_term: { semester: 'Fall', year: 2024 },
+            degree_requirements: {
+              required_courses: ['CSE114', 'CSE316'],
+              electives: { min_courses: 2, from_subject: 'CSE', min_level: 300, exclude_courses: [] },
+            },
+          }],
+        };
+      }
+      return { rows: [] };
+    });
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, _res, next) => { req.db = { query }; req.user = user; next(); });
+    app.use('/api/degree', degreeProgressRoutes);
+    app.query = query;
+    return app;
+  }
+
+  it('counts each course toward one group and explains where it went', async () => {
+    const res = await request(buildProgressApp()).get('/api/degree/progress');
+
+    expect(res.status).toBe(200);
+    const [major] = res.body.majorRequirements;
+    const core = major.groups.find((g) => g.type === 'all');
+    const electives = major.groups.find((g) => g.type === 'electives');
+
+    expect(core.status).toMatchObject({ completed: true, completedCount: 2 });
+    expect(electives.completedCourses.map((c) => c.code)).toEqual(['CSE305']);
+    expect(electives.inProgressCourses.map((c) => c.code)).toEqual(['CSE320']);
+    expect(electives.status).toMatchObject({ completed: false, completedCount: 1 });
+
+    const cse316 = major.courseAllocation.find((e) => e.code === 'CSE316');
+    expect(cse316).toMatchObject({ groupId: '1-core', status: 'completed' });
+    expect(cse316.reason).toMatch(/^Counts toward Required Courses \(CSE316\)/);
+    expect(major.requirementVersion).toBe('Fall 2024');
+  });
+
+  it('reports the same GPA as the transcript when a course was repeated', async () => {
+    const enrollments = [
+      { ...enrollment('CSE', '114', 'F'), semester: 'Spring', term_id: 1 },
+      { ...enrollment('CSE', '114', 'A'), term_id: 2 },
+      { ...enrollment('CSE', '316', 'B'), term_id: 2 },
+    ];
+
+    const res = await request(buildProgressApp({ enrollments })).get('/api/degree/progress');
+    const transcript = buildTranscript({
+      student: { user_id: 7, first_name: 'Ada', last_name: 'L' },
+      enrollments,
+      programs: { declaredMajors: [], declaredMinors: [] },
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.overview).toMatchObject({ gpa: 3.5, totalCreditsCompleted: 6 });
+    expect(transcript.cumulativeGpa).toBe(res.body.overview.gpa);
+    expect(transcript.totalEarnedCredits).toBe(res.body.overview.totalCreditsCompleted);
+    expect(transcript.terms[0].courses[0]).toMatchObject({ grade: 'F', repeated: true });
+  });
+
+  describe('requirement exceptions', () => {
+    const advisor = { user_id: 3, role: 'Advisor' };
+    const exceptionRow = (fields) => ({
+      exception_id: 11,
+      student_id: 7,
+      program_id: 1,
+      group_key: null,
+      requirement_course: null,
+      substitute_course: null,
+      reduced_minimum: null,
+      note: null,
+      granted_by_user_id: 3,
+      granted_at: '2026-10-01T00:00:00Z',
+      ...fields,
+    });
+
+    it('counts an approved substitute in place of the required course', async () => {
+      const app = buildProgressApp({
+        enrollments: [enrollment('CSE', '114', 'A'), enrollment('AMS', '361', 'B+')],
+        exceptions: [exceptionRow({ exception_type: 'substitute', requirement_course: 'CSE316', substitute_course: 'AMS361' })],
+      });
+      const res = await request(app).get('/api/degree/progress');
+
+      expect(res.status).toBe(200);
+      const [major] = res.body.majorRequirements;
+      const core = major.groups.find((g) => g.type === 'all');
+      expect(core.status.completed).toBe(true);
+      expect(core.items.find((c) => c.code === 'CSE316')).toMatchObject({
+        completed: true,
+        grade: 'B+',
+        counted: true,
+        substitutedBy: 'AMS361',
+      });
+      expect(major.exceptions.map((e) => e.description)).toEqual(['AMS361 substitutes for CSE316']);
+    });
+
+    it('marks a waived group complete', async () => {
+      const app = buildProgressApp({
+        exceptions: [exceptionRow({ exception_type: 'waive_group', group_key: 'electives' })],
+      });
+      const res = await request(app).get('/api/degree/progress');
+
+      const electives = res.body.majorRequirements[0].groups.find((g) => g.type === 'electives');
+      expect(electives).toMatchObject({ waived: true, status: { completed: true, inProgress: false } });
+      expect(electives.completedCourses).toEqual([]);
+    });
+
+    it('lets advisors view a student by id, but not students', async () => {
+      const app = buildProgressApp({ user: advisor });
+      const res = await request(app).get('/api/degree/progress?studentId=7');
+      expect(res.status).toBe(200);
+      const enrollmentsCall = app.query.mock.calls.find(([sql]) => sql.includes('FROM enrollments e'));
+      expect(enrollmentsCall[1]).toEqual([7]);
+
+      const denied = await request(buildProgressApp()).get('/api/degree/progress?studentId=8');
+      expect(denied.status).toBe(403);
+    });
+
+    it('grants an exception and audits it', async () => {
+      const app = buildProgressApp({ user: advisor });
+      const base = app.query.getMockImplementation();
+      app.query.mockImplementation(async (sql, params) => {
+        if (sql.includes('INSERT INTO requirement_exceptions')) {
+          return {
+            rows: [exceptionRow({
+              exception_type: 'substitute',
+              requirement_course: params[4],
+              substitute_course: params[5],
+              note: params[7],
+            })],
+          };
+        }
+        return base(sql, params);
+      });
+
+      const res = await request(app)
+        .post('/api/degree/exceptions')
+        .send({ studentId: 7, programId: 1, type: 'substitute', requirementCourse: 'cse 316', substituteCourse: 'AMS361', note: 'Transfer equivalent' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.exception).toMatchObject({ exceptionId: 11, description: 'AMS361 substitutes for CSE316' });
+      const audit = app.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO audit_log'));
+      expect(audit[1]).toEqual([
+        7,
+        'requirement_exception_granted',
+        'CSE-BS: AMS361 substitutes for CSE316',
+        3,
+        'requirement_exception',
+        11,
+        'Transfer equivalent',
+      ]);
+    });
+
+    it('rejects exceptions that do not fit the program', async () => {
+      const app = buildProgressApp({ user: advisor });
+      const post = (body) => request(app).post('/api/degree/exceptions').send({ studentId: 7, ...body });
+
+      expect((await post({ programId: 1, type: 'substitute', requirementCourse: 'MAT303', substituteCourse: 'AMS361' })).status).toBe(400);
+      expect((await post({ programId: 1, type: 'waive_group', groupKey: 'physics' })).status).toBe(400);
+      expect((await post({ programId: 1, type: 'reduce_minimum', groupKey: 'electives', reducedMinimum: 2 })).status).toBe(400);
+      expect((await post({ programId: 2, type: 'waive_group', groupKey: 'electives' })).status).toBe(404);
+      expect(app.query.mock.calls.some(([sql]) => sql.includes('INSERT INTO requirement_exceptions'))).toBe(false);
+    });
+
+    it('limits advisors to students in their scope', async () => {
+      const app = buildProgressApp({ user: advisor, advisorLevel: 'department' });
+
+      const grant = await request(app)
+        .post('/api/degree/exceptions')
+        .send({ studentId: 7, programId: 1, type: 'waive_group', groupKey: 'electives' });
+      const revoke = await request(app).delete('/api/degree/exceptions/11');
+
+      expect(grant.status).toBe(403);
+      expect(revoke.status).toBe(403);
+      expect(app.query.mock.calls.some(([sql]) => sql.includes('INSERT INTO requirement_exceptions'))).toBe(false);
+      expect(app.query.mock.calls.some(([sql]) => sql.includes('UPDATE requirement_exceptions'))).toBe(false);
+    });
+
+    it('only lets advisors and registrars manage exceptions', async () => {
+      const app = buildProgressApp();
+      const res = await request(app)
+        .post('/api/degree/exceptions')
+        .send({ studentId: 7, programId: 1, type: 'waive_group', groupKey: 'electives' });
+      expect(res.status).toBe(403);
+      expect((await request(app).delete('/api/degree/exceptions/11')).status).toBe(403);
+    });
+
+    it('revokes an active exception and audits it', async () => {
+      const app = buildProgressApp({ user: advisor });
+      const base = app.query.getMockImplementation();
+      app.query.mockImplementation(async (sql, params) => {
+        if (sql.includes('UPDATE requirement_exceptions re')) {
+          return params[0] === 11
+            ? { rows: [{ ...exceptionRow({ exception_type: 'waive_group', group_key: 'electives' }), program_code: 'CSE-BS' }] }
+            : { rows: [] };
+        }
+        return base(sql, params);
+      });
+
+      const res = await request(app).delete('/api/degree/exceptions/11');
+      expect(res.status).toBe(200);
+      expect(res.body.exception.description).toBe('Electives waived');
+      const audit = app.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO audit_log'));
+      expect(audit[1].slice(0, 3)).toEqual([7, 'requirement_exception_revoked', 'CSE-BS: Electives waived (revoked)']);
+
+      expect((await request(app).delete('/api/degree/exceptions/12')).status).toBe(404);
+    });
+  });
+
+  describe('what-if audit', () => {
+    const amsMinor = {
+      id: 9,
+      subject: 'AMS',
+      degree_type: 'MIN',
+      program_type: 'minor',
+      effective_term: { semester: 'Fall', year: 2025 },
+      degree_requirements: { required_courses: ['AMS151', 'AMS161'] },
+      program_id: 4,
+      program_code: 'AMS-MIN',
+      program_name: 'Applied Mathematics Minor',
+    };
+
+    function buildWhatIfApp() {
+      const app = buildProgressApp({
+        enrollments: [enrollment('AMS', '151', 'A'), enrollment('CSE', '114', 'B')],
+      });
+      const base = app.query.getMockImplementation();
+      app.query.mockImplementation(async (sql, params) => {
+        if (sql.includes('WHERE dr.id = ANY')) return { rows: params[0].includes(9) ? [amsMinor] : [] };
+        if (sql.includes('FROM programs p') && sql.includes('JOIN degree_requirements dr')) {
+          return { rows: params[0] === 4 ? [{ id: 9, effective_term: amsMinor.effective_term }] : [] };
+        }
+        if (sql.includes('FROM system_state')) return { rows: [{ semester: 'Spring', year: 2026 }] };
+        if (sql.includes('FROM graduation_requirements')) return { rows: [] };
+        return base(sql, params);
+      });
+      return app;
+    }
+
+    it('audits the courses taken against a degree_requirements id', async () => {
+      const app = buildWhatIfApp();
+      const res = await request(app).get('/api/degree/progress?degreeRequirementId=9');
+
+      expect(res.status).toBe(200);
+      expect(res.body.whatIf).toBe(true);
+      expect(res.body.majorRequirements).toEqual([]);
+      const [minor] = res.body.minorRequirements;
+      expect(minor).toMatchObject({ programId: 4, name: 'AMS MIN Minor', requirementVersion: 'Fall 2025' });
+      expect(minor.groups[0].items.map((c) => [c.code, c.counted])).toEqual([['AMS151', true], ['AMS161', false]]);
+      expect(res.body.estimate).toMatchObject({ requirementCredits: 3 });
+      expect(res.body.estimate.remainingCredits).toBeGreaterThanOrEqual(3);
+
+      // Declared programs are not part of a what-if audit, nor of its LANG exemption
+      expect(app.query.mock.calls.some(([sql]) => sql.includes('program_table_type'))).toBe(false);
+      expect(app.query.mock.calls.some(([sql]) => sql.includes('FROM student_programs sp'))).toBe(false);
+    });
+
+    it('resolves programs to the version a declaration would follow', async () => {
+      const res = await request(buildWhatIfApp()).get('/api/degree/progress?programIds=4');
+
+      expect(res.status).toBe(200);
+      expect(res.body.minorRequirements.map((p) => p.programId)).toEqual([4]);
+
+      const both = await request(buildWhatIfApp()).get('/api/degree/progress?programIds=4&degreeRequirementId=9');
+      expect(both.body.minorRequirements).toHaveLength(1);
+    });
+
+    it('rejects unknown and malformed ids', async () => {
+      const app = buildWhatIfApp();
+
+      expect((await request(app).get('/api/degree/progress?degreeRequirementId=10')).status).toBe(404);
+      expect((await request(app).get('/api/degree/progress?programIds=5')).status).toBe(404);
+      expect((await request(app).get('/api/degree/progress?degreeRequirementId=abc')).status).toBe(400);
+      expect((await request(app).get('/api/degree/progress?programIds=1,2,3,4,5')).status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  pickDeclarationVersion,
+  resolveDeclarationVersion,
+  versionLabel,
+} from '../services/degreeRequirementVersions.js';
+
+const version = (degreeRequirementId, semester, year) => ({
+  degreeRequirementId,
+  semester,
+  year,
+  label: `${semester} ${year}`,
+});
+
+// Newest first, as listRequirementVersions returns them
+const versions = [version(12, 'Fall', 2025), version(11, 'Spring', 2024), version(10, 'Fall', 2022)];
+
+function buildDb({ versionRows, currentTerm }) {
+  return {
+    query: vi.fn(async (sql) => {
+      if (sql.includes('JOIN degree_requirements dr')) return { rows: versionRows };
+      if (sql.includes('FROM system_state')) return { rows: currentTerm ? [currentTerm] : [] };
+      return { rows: [] };
+    }),
+  };
+}
+
+describe('versionLabel', () => {
+  it('labels an effective term', () => {
+    expect(versionLabel({ semester: 'Fall', year: 2024 })).toBe('Fall 2024');
+    expect(versionLabel('{"semester":"Spring","year":2025}')).toBe('Spring 2025');
+    expect(versionLabel({})).toBe('');
+    expect(versionLabel(null)).toBe('');
+  });
+});
+
+describe('pickDeclarationVersion', () => {
+  it('picks the newest version in effect for the current term', () => {
+    expect(pickDeclarationVersion(versions, { semester: 'Fall', year: 2024 }).degreeRequirementId).toBe(11);
+    expect(pickDeclarationVersion(versions, { semester: 'Spring', year: 2024 }).degreeRequirementId).toBe(11);
+    expect(pickDeclarationVersion(versions, { semester: 'Fall', year: 2026 }).degreeRequirementId).toBe(12);
+  });
+
+  it('falls back to the oldest version before any takes effect', () => {
+    expect(pickDeclarationVersion(versions, { semester: 'Spring', year: 2020 }).degreeRequirementId).toBe(10);
+  });
+
+  it('picks the newest version without a current term', () => {
+    expect(pickDeclarationVersion(versions, null).degreeRequirementId).toBe(12);
+    expect(pickDeclarationVersion([], null)).toBeNull();
+  });
+});
+
+describe('resolveDeclarationVersion', () => {
+  const versionRows = [
+    { id: 10, effective_term: { semester: 'Fall', year: 2022 } },
+    { id: 12, effective_term: '{"semester":"Fall","year":2025}' },
+    { id: 11, effective_term: { semester: 'Spring', year: 2024 } },
+  ];
+
+  it('uses the requested version when the program has it', async () => {
+    const db = buildDb({ versionRows, currentTerm: { semester: 'Fall', year: 2025 } });
+    expect(await resolveDeclarationVersion(db, 1, { semester: 'fall', year: '2022' })).toBe(10);
+  });
+
+  it('defaults to the version in effect for the current term', async () => {
+    const db = buildDb({ versionRows, currentTerm: { semester: 'Fall', year: 2024 } });
+    expect(await resolveDeclarationVersion(db, 1)).toBe(11);
+    expect(await resolveDeclarationVersion(db, 1, { semester: 'Fall', year: 2030 })).toBe(11);
+  });
+
+  it('returns null for a program without requirements', async () => {
+    const db = buildDb({ versionRows: [], currentTerm: { semester: 'Fall', year: 2024 } });
+    expect(await resolveDeclarationVersion(db, 1)).toBeNull();
+  });
+});
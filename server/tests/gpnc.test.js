@@ -0,0 +1,75 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { setCustomDate } from '../utils/dateWrapper.js';
+import {
+  DEFAULT_GPNC_PASS_THRESHOLD,
+  convertGpncGrade,
+  effectiveGrade,
+  getGpncPassThreshold,
+  getGpncSelectionWindow,
+  gradeForEnrollment,
+} from '../services/gpnc.js';
+
+describe('GPNC grade conversion', () => {
+  it('converts letter grades at or above the threshold to P', () => {
+    expect(DEFAULT_GPNC_PASS_THRESHOLD).toBe('C');
+    expect(convertGpncGrade('A+')).toBe('P');
+    expect(convertGpncGrade('c')).toBe('P');
+    expect(convertGpncGrade('C-')).toBe('NC');
+    expect(convertGpncGrade('F')).toBe('NC');
+  });
+
+  it('honors a custom threshold', () => {
+    expect(convertGpncGrade('D', 'D-')).toBe('P');
+  });
+
+  it('passes non-letter grades through', () => {
+    expect(convertGpncGrade('I')).toBe('I');
+    expect(convertGpncGrade('P')).toBe('P');
+    expect(convertGpncGrade(null)).toBeNull();
+  });
+
+  it('only converts enrollments taken GPNC', () => {
+    expect(effectiveGrade({ grade: 'B', gpnc: true })).toBe('P');
+    expect(effectiveGrade({ grade: 'B', gpnc: false })).toBe('B');
+  });
+
+  it('converts with the threshold it is given', () => {
+    expect(effectiveGrade({ grade: 'B-', gpnc: true }, 'B')).toBe('NC');
+    expect(gradeForEnrollment('C-', true, 'D')).toEqual({ grade: 'P', letterGrade: 'C-' });
+  });
+});
+
+describe('GPNC pass threshold', () => {
+  const buildDb = (rows) => ({ query: vi.fn(async () => ({ rows })) });
+
+  it('reads the threshold from system_state', async () => {
+    await expect(getGpncPassThreshold(buildDb([{ gpnc_pass_threshold: 'b-' }]))).resolves.toBe('B-');
+  });
+
+  it('falls back to the default when unset or not a letter grade', async () => {
+    await expect(getGpncPassThreshold(buildDb([]))).resolves.toBe('C');
+    await expect(getGpncPassThreshold(buildDb([{ gpnc_pass_threshold: 'P' }]))).resolves.toBe('C');
+  });
+});
+
+describe('GPNC selection window', () => {
+  const buildDb = (gpncSelectionEnds) => ({
+    query: vi.fn(async () => ({ rows: [{ gpnc_selection_ends: gpncSelectionEnds }] })),
+  });
+
+  afterEach(() => setCustomDate(null));
+
+  it('is open through the deadline day', async () => {
+    setCustomDate('2025-10-01');
+    await expect(getGpncSelectionWindow(buildDb('2025-10-01'), 1)).resolves.toEqual({
+      open: true,
+      deadline: '2025-10-01',
+    });
+  });
+
+  it('closes the day after the deadline', async () => {
+    setCustomDate('2025-10-02');
+    const { open } = await getGpncSelectionWindow(buildDb('2025-10-01'), 1);
+    expect(open).toBe(false);
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  DEFAULT_ANALYTICS_MIN_GROUP_SIZE,
+  buildGradeDistributions,
+  getMinGroupSize,
+  summarizeGrades,
+} from '../services/gradeAnalytics.js';
+
+const row = (grade, overrides = {}) => ({
+  grade,
+  had_incomplete: false,
+  class_id: 10,
+  section_num: '01',
+  course_id: 1,
+  subject: 'CSE',
+  course_num: '114',
+  title: 'OOP',
+  term_id: 1,
+  semester: 'Fall',
+  year: 2025,
+  instructor_id: 5,
+  instructor_first_name: 'Alan',
+  instructor_last_name: 'Turing',
+  ...overrides,
+});
+
+describe('Grade analytics', () => {
+  it('builds a histogram, mean GPA and rates', () => {
+    const rows = [row('A'), row('B'), row('W'), row('P'), row('F', { had_incomplete: true }), row('I')];
+
+    expect(summarizeGrades(rows, 5)).toEqual({
+      suppressed: false,
+      count: 6,
+      histogram: { A: 1, B: 1, W: 1, P: 1, F: 1, I: 1 },
+      meanGpa: 2.33,
+      withdrawalRate: 0.167,
+      incompleteRate: 0.333,
+    });
+  });
+
+  it('hides everything for groups below the minimum size', () => {
+    expect(summarizeGrades([row('A'), row('B')], 3)).toEqual({ suppressed: true });
+  });
+
+  it('groups by section, by course across terms and by instructor', () => {
+    const rows = [
+      row('A'),
+      row('B'),
+      row('C', { class_id: 11, term_id: 2, semester: 'Spring', year: 2026 }),
+      row('A', { class_id: 12, course_id: 2, course_num: '214', title: 'DS', instructor_id: 6, instructor_first_name: 'Ada', instructor_last_name: 'Lovelace' }),
+    ];
+
+    const result = buildGradeDistributions(rows, 2);
+
+    expect(result.sections.map((s) => [s.classId, s.suppressed])).toEqual([[10, false], [11, true], [12, true]]);
+    expect(result.courses.find((c) => c.courseId === 1)).toMatchObject({ courseCode: 'CSE 114', count: 3, meanGpa: 3 });
+    expect(result.instructors.map((i) => [i.instructorName, i.suppressed])).toEqual([
+      ['Ada Lovelace', true],
+      ['Alan Turing', false],
+    ]);
+    expect(result.overall.count).toBe(4);
+  });
+
+  it('reads the minimum group size from system_state with a default', async () => {
+    expect(await getMinGroupSize({ query: vi.fn(async () => ({ rows: [{ analytics_min_group_size: 10 }] })) })).toBe(10);
+    expect(await getMinGroupSize({ query: vi.fn(async () => ({ rows: [] })) })).toBe(DEFAULT_ANALYTICS_MIN_GROUP_SIZE);
+  });
+});
@@ -0,0 +1,65 @@
+import express from 'express';
+import request from 'supertest';
+import { describe, it, expect, vi } from 'vitest';
+import gradeAnalyticsRoutes from '../routes/gradeAnalyticsRoutes.js';
+
+function buildApp(queryImpl, role) {
+  const app = express();
+  app.use(express.json());
+  app.use((req, _res, next) => {
+    req.db = { query: queryImpl };
+    req.user = { user_id: 1, role };
+    next();
+  });
+  app.use('/api/analytics', gradeAnalyticsRoutes);
+  return app;
+}
+
+describe('Grade analytics routes', () => {
+  const query = vi.fn(async (sql) => {
+    if (sql.includes('UPDATE system_state')) return { rowCount: 1, rows: [] };
+    if (sql.includes('analytics_min_group_size') && sql.includes('SELECT')) return { rows: [{ analytics_min_group_size: 1 }] };
+    if (sql.includes('FROM enrollments e')) {
+      return {
+        rows: [{
+          grade: 'A', had_incomplete: false, class_id: 10, section_num: '01', course_id: 1, subject: 'CSE', course_num: '114',
+          title: 'OOP', term_id: 1, semester: 'Fall', year: 2025, instructor_id: 5, instructor_first_name: 'Alan', instructor_last_name: 'Turing',
+        }],
+      };
+    }
+    return { rows: [] };
+  });
+
+  it('returns distributions for advisors and passes the filters through', async () => {
+    const res = await request(buildApp(query, 'Advisor')).get('/api/analytics/grades?termId=1&subject=cse');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ ok: true, minGroupSize: 1 });
+    expect(res.body.sections[0]).toMatchObject({ classId: 10, histogram: { A: 1 }, meanGpa: 4 });
+    const load = query.mock.calls.find(([sql]) => sql.includes('FROM enrollments e'));
+    expect(load[1]).toEqual([1, 'cse']);
+  });
+
+  it('is not available to students or instructors', async () => {
+    const student = await request(buildApp(query, 'Student')).get('/api/analytics/grades');
+    const instructor = await request(buildApp(query, 'Instructor')).get('/api/analytics/grades');
+
+    expect(student.status).toBe(403);
+    expect(instructor.status).toBe(403);
+  });
+
+  it('lets registrars change the minimum group size', async () => {
+    const res = await request(buildApp(query, 'Registrar')).put('/api/analytics/settings').send({ minGroupSize: 8 });
+
+    expect(res.status).toBe(200);
+    expect(query.mock.calls.some(([sql, params]) => sql.includes('UPDATE system_state') && params[0] === 8)).toBe(true);
+  });
+
+  it('validates the minimum group size and who may set it', async () => {
+    const bad = await request(buildApp(query, 'Registrar')).put('/api/analytics/settings').send({ minGroupSize: 0 });
+    const advisor = await request(buildApp(query, 'Advisor')).put('/api/analytics/settings').send({ minGroupSize: 8 });
+
+    expect(bad.status).toBe(400);
+    expect(advisor.status).toBe(403);
+  });
+});
@@ -0,0 +1,109 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  DEFAULT_GRADUATION_REQUIREMENTS,
+  getGraduationRequirements,
+  getStudentGraduationRequirements,
+  isLangExempt,
+  parseGraduationRequirements,
+} from '../services/graduationRequirements.js';
+
+describe('parseGraduationRequirements', () => {
+  it('normalizes minimum credits, SBC categories and LANG exemptions', () => {
+    const { requirements, error } = parseGraduationRequirements({
+      graduation_requirements: {
+        minimum_credits: 120,
+        SBCs: ['ARTS', 'lang', 'EXP+', 'ARTS'],
+        LANG_exemptions: ['ceas'],
+      },
+    });
+
+    expect(error).toBeUndefined();
+    expect(requirements).toEqual({ minimumCredits: 120, sbcs: ['ARTS', 'LANG', 'EXP+'], langExemptColleges: ['CEAS'] });
+  });
+
+  it('rejects documents without the required fields', () => {
+    expect(parseGraduationRequirements({}).error).toMatch(/graduation_requirements/);
+    expect(parseGraduationRequirements({ graduation_requirements: { minimum_credits: 0, SBCs: ['ARTS'] } }).error)
+      .toMatch(/minimum_credits/);
+    expect(parseGraduationRequirements({ graduation_requirements: { minimum_credits: 120, SBCs: [] } }).error)
+      .toMatch(/SBCs/);
+    expect(parseGraduationRequirements({
+      graduation_requirements: { minimum_credits: 120, SBCs: ['ARTS'], LANG_exemptions: 'CEAS' },
+    }).error).toMatch(/LANG_exemptions/);
+  });
+});
+
+describe('getGraduationRequirements', () => {
+  it('falls back to the defaults before the first import', async () => {
+    const db = { query: vi.fn().mockResolvedValue({ rows: [] }) };
+    expect(await getGraduationRequirements(db)).toEqual({ ...DEFAULT_GRADUATION_REQUIREMENTS, importedAt: null });
+  });
+
+  it('reads the newest import', async () => {
+    const db = {
+      query: vi.fn().mockResolvedValue({
+        rows: [{ minimum_credits: 124, sbc_categories: ['ARTS', 'LANG'], lang_exempt_colleges: ['CEAS'], imported_at: null }],
+      }),
+    };
+    expect(await getGraduationRequirements(db)).toMatchObject({
+      minimumCredits: 124,
+      sbcs: ['ARTS', 'LANG'],
+      langExemptColleges: ['CEAS'],
+    });
+  });
+});
+
+describe('LANG exemption', () => {
+  const requirements = { langExemptColleges: ['CEAS'] };
+  const major = (collegeCode, collegeName = null) => ({ programId: 1, collegeCode, collegeName });
+
+  it('applies only when every major is in an exempt college', () => {
+    expect(isLangExempt([major('CEAS')], requirements)).toBe(true);
+    expect(isLangExempt([major(null, 'CEAS')], requirements)).toBe(true);
+    expect(isLangExempt([major('CEAS'), major('CAS')], requirements)).toBe(false);
+    expect(isLangExempt([], requirements)).toBe(false);
+  });
+
+  it('drops LANG from the required categories for exempt students', async () => {
+    const db = {
+      query: vi.fn(async (sql) => {
+        if (sql.includes('FROM graduation_requirements')) {
+          return { rows: [{ minimum_credits: 120, sbc_categories: ['ARTS', 'LANG'], lang_exempt_colleges: ['CEAS'] }] };
+        }
+        if (sql.includes('FROM student_programs sp')) {
+          return { rows: [{ program_id: 3, college_code: 'ceas', college_name: 'College of Engineering' }] };
+        }
+        return { rows: [] };
+      }),
+    };
+
+    const result = await getStudentGraduationRequirements(db, 7);
+
+    expect(result.langExempt).toBe(true);
+    expect(result.sbcs).toEqual(['ARTS', 'LANG']);
+    expect(result.requiredSbcs).toEqual(['ARTS']);
+  });
+
+  it('checks the majors of a what-if audit instead of the declared ones', async () => {
+    const db = {
+      query: vi.fn(async (sql) => {
+        if (sql.includes('FROM graduation_requirements')) {
+          return { rows: [{ minimum_credits: 120, sbc_categories: ['ARTS', 'LANG'], lang_exempt_colleges: ['CEAS'] }] };
+        }
+        if (sql.includes('FROM student_programs sp')) {
+          return { rows: [{ program_id: 3, college_code: 'CEAS', college_name: null }] };
+        }
+        if (sql.includes('p.program_id = ANY')) {
+          return { rows: [{ program_id: 5, college_code: 'CEAS', college_name: null }] };
+        }
+        return { rows: [] };
+      }),
+    };
+
+    expect((await getStudentGraduationRequirements(db, 7, { majorProgramIds: [5] })).requiredSbcs).toEqual(['ARTS']);
+    // A major with no known college is not exempt
+    expect((await getStudentGraduationRequirements(db, 7, { majorProgramIds: [5, -9] })).requiredSbcs).toEqual(['ARTS', 'LANG']);
+    expect((await getStudentGraduationRequirements(db, 7, { majorProgramIds: [] })).langExempt).toBe(false);
+    expect(db.query.mock.calls.some(([sql]) => sql.includes('FROM student_programs sp'))).toBe(false);
+  });
+});
@@ -29,6 +29,125 @@ describe('Import Degree Requirements', () => {
 
       expect([400, 500]).toContain(res.status);
     });
+
+    it('requires an effective_term', async () => {
+      const app = buildApp(vi.fn());
+      const res = await request(app)
+        .post('/api/import/degree-requirements')
+        .attach('file', Buffer.from('subject: CSE\ndegree_type: BS\ntype: major\n'), 'cse.yaml');
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toMatch(/effective_term/);
+    });
+  });
+
+  describe('requirement versions', () => {
+    const versionYaml = (semester, year) => [
+      'subject: CSE',
+      'degree_type: BS',
+      'type: major',
+      `effective_term: { semester: ${semester}, year: ${year} }`,
+      'degree_requirements: {}',
+    ].join('\n');
+
+    function buildVersionApp(existingVersion) {
+      const clientQuery = vi.fn(async (sql) => {
+        if (sql.includes('SELECT id FROM degree_requirements')) {
+          return { rows: existingVersion ? [{ id: 3 }] : [] };
+        }
+        if (sql.includes('FROM departments')) return { rows: [{ department_id: 1 }] };
+        if (sql.includes('INSERT INTO degree_requirements')) return { rows: [{ id: 8 }] };
+        if (sql.includes('FROM programs')) return { rows: [{ program_id: 5 }] };
+        return { rows: [] };
+      });
+      const app = express();
+      app.use((req, _res, next) => {
+        req.db = { connect: async () => ({ query: clientQuery, release: vi.fn() }) };
+        next();
+      });
+      app.use('/api/import', importDegreeReq);
+      return { app, clientQuery };
+    }
+
+    it('rejects a version that is already imported', async () => {
+      const { app, clientQuery } = buildVersionApp(true);
+
+      const res = await request(app)
+        .post('/api/import/degree-requirements')
+        .attach('file', Buffer.from(versionYaml('Fall', 2024)), 'cse.yaml');
+
+      expect(res.status).toBe(409);
+      expect(res.body.error).toMatch(/Fall 2024/);
+      expect(clientQuery.mock.calls.some(([sql]) => sql.includes('INSERT INTO degree_requirements'))).toBe(false);
+    });
+
+    it('matches existing versions regardless of subject and degree type case', async () => {
+      const { app, clientQuery } = buildVersionApp(true);
+
+      const res = await request(app)
+        .post('/api/import/degree-requirements')
+        .attach('file', Buffer.from(versionYaml('Fall', 2024).replace('CSE', 'cse').replace('BS', 'bs')), 'cse.yaml');
+
+      expect(res.status).toBe(409);
+      const [existsSql, existsParams] = clientQuery.mock.calls.find(([sql]) => sql.includes('SELECT id FROM degree_requirements'));
+      expect(existsSql).toContain('UPPER(subject) = UPPER($1) AND UPPER(degree_type) = UPPER($2)');
+      expect(existsParams.slice(0, 2)).toEqual(['cse', 'bs']);
+    });
+
+    it('adds a new version alongside existing ones', async () => {
+      const { app, clientQuery } = buildVersionApp(false);
+
+      const res = await request(app)
+        .post('/api/import/degree-requirements')
+        .attach('file', Buffer.from(versionYaml('Spring', 2025)), 'cse.yaml');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ id: 8, version: 'Spring 2025', programId: 5 });
+
+      const [, existsParams] = clientQuery.mock.calls.find(([sql]) => sql.includes('SELECT id FROM degree_requirements'));
+      expect(existsParams).toEqual(['CSE', 'BS', 'major', 'Spring', '2025']);
+
+      const backfill = clientQuery.mock.calls.find(([sql]) => sql.includes('UPDATE student_programs'));
+      expect(backfill[1]).toEqual([8, 5]);
+    });
   });
 });
 
+
+describe('Import Graduation Requirements', () => {
+  const yamlText = [
+    'graduation_requirements:',
+    '  minimum_credits: 120',
+    '  SBCs: [ARTS,GLO,LANG,EXP+]',
+    '  LANG_exemptions: [CEAS]',
+  ].join('\n');
+
+  it('stores the imported rules', async () => {
+    const query = vi.fn().mockResolvedValue({ rows: [{ graduation_requirements_id: 4 }] });
+    const app = buildApp(query);
+
+    const res = await request(app)
+      .post('/api/import/graduation-requirements')
+      .attach('file', Buffer.from(yamlText), 'graduation_requirements.yaml');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ id: 4, minimumCredits: 120, langExemptColleges: ['CEAS'] });
+
+    const [sql, params] = query.mock.calls[0];
+    expect(sql).toContain('INSERT INTO graduation_requirements');
+    expect(params.slice(0, 3)).toEqual([120, '["ARTS","GLO","LANG","EXP+"]', '["CEAS"]']);
+  });
+
+  it('rejects files without minimum_credits', async () => {
+    const query = vi.fn();
+    const app = buildApp(query);
+
+    const res = await request(app)
+      .post('/api/import/graduation-requirements')
+      .attach('file', Buffer.from('graduation_requirements:\n  SBCs: [ARTS]\n'), 'graduation_requirements.yaml');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/minimum_credits/);
+    expect(query).not.toHaveBeenCalled();
+  });
+});
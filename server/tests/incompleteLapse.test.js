@@ -0,0 +1,106 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { setCustomDate } from '../utils/dateWrapper.js';
+import {
+  DEFAULT_INCOMPLETE_RESOLUTION_DAYS,
+  getIncompletePolicy,
+  processIncompleteLapses,
+  processIncompleteLapsesIfDateAdvanced,
+} from '../services/incompleteLapse.js';
+
+const incomplete = (overrides = {}) => ({
+  class_id: 10,
+  student_id: 101,
+  gpnc: false,
+  term_id: 1,
+  section_num: '01',
+  subject: 'CSE',
+  course_num: '214',
+  semester: 'Spring',
+  year: 2025,
+  first_name: 'Ada',
+  last_name: 'L',
+  email: 'ada@stonybrook.edu',
+  lapse_grade: 'F',
+  deadline: '2025-08-15',
+  ...overrides,
+});
+
+function buildDb({ due = [incomplete()], stillIncomplete = true, policy = null } = {}) {
+  return {
+    query: vi.fn(async (sql) => {
+      if (sql.includes("WHERE e.grade = 'I'")) return { rows: due };
+      if (sql.includes('UPDATE enrollments')) return { rows: stillIncomplete ? [{ student_id: 101 }] : [] };
+      if (sql.includes('FROM incomplete_grade_policies')) return { rows: policy ? [policy] : [] };
+      return { rows: [] };
+    }),
+  };
+}
+
+describe('Incomplete grade lapse', () => {
+  afterEach(() => setCustomDate(null));
+
+  it('falls back to the default policy for unconfigured terms', async () => {
+    await expect(getIncompletePolicy(buildDb(), 1)).resolves.toEqual({
+      termId: 1,
+      resolutionDays: DEFAULT_INCOMPLETE_RESOLUTION_DAYS,
+      lapseGrade: 'F',
+      configured: false,
+    });
+  });
+
+  it('asks only for incompletes whose deadline is before today', async () => {
+    setCustomDate('2025-08-16');
+    const db = buildDb();
+
+    await processIncompleteLapses(db);
+
+    const [, params] = db.query.mock.calls.find(([sql]) => sql.includes("WHERE e.grade = 'I'"));
+    expect(params[1]).toBe('2025-08-16');
+  });
+
+  it('converts lapsed incompletes, records history and audits each one', async () => {
+    setCustomDate('2025-08-16');
+    const db = buildDb();
+
+    const summary = await processIncompleteLapses(db, { performedBy: 1 });
+
+    expect(summary.lapsed).toEqual([
+      expect.objectContaining({ classId: 10, studentId: 101, grade: 'F', deadline: '2025-08-15' }),
+    ]);
+    const update = db.query.mock.calls.find(([sql]) => sql.includes('UPDATE enrollments'));
+    expect(update[0]).toContain("AND grade = 'I'");
+    expect(update[1]).toEqual(['F', null, 10, 101]);
+    expect(db.query.mock.calls.some(([sql, params]) => sql.includes('INSERT INTO grade_history') && params.includes('incomplete_lapse'))).toBe(true);
+    expect(db.query.mock.calls.some(([sql, params]) => sql.includes('INSERT INTO audit_log') && params.includes('incomplete_lapsed'))).toBe(true);
+  });
+
+  it('gives GPNC enrollments NC', async () => {
+    setCustomDate('2025-08-16');
+    const db = buildDb({ due: [incomplete({ gpnc: true })] });
+
+    const summary = await processIncompleteLapses(db);
+
+    expect(summary.lapsed[0].grade).toBe('NC');
+  });
+
+  it('skips incompletes resolved since they were listed', async () => {
+    setCustomDate('2025-08-16');
+    const db = buildDb({ stillIncomplete: false });
+
+    const summary = await processIncompleteLapses(db);
+
+    expect(summary.lapsed).toEqual([]);
+    expect(db.query.mock.calls.some(([sql]) => sql.includes('INSERT INTO audit_log'))).toBe(false);
+  });
+
+  it('only runs when the current date advances', async () => {
+    const db = buildDb({ due: [] });
+
+    setCustomDate('2025-08-20');
+    expect(await processIncompleteLapsesIfDateAdvanced(db)).not.toBeNull();
+    expect(await processIncompleteLapsesIfDateAdvanced(db)).toBeNull();
+
+    setCustomDate('2025-08-21');
+    expect(await processIncompleteLapsesIfDateAdvanced(db)).not.toBeNull();
+  });
+});
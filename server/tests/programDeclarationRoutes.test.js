@@ -3,14 +3,33 @@ import request from 'supertest';
 import { describe, it, expect, vi } from 'vitest';
 import programDeclarationRoutes from '../routes/programDeclarationRoutes.js';
 
-function buildApp(queryImpl) {
+function buildApp(queryImpl, user = null) {
   const app = express();
   app.use(express.json());
-  app.use((req, _res, next) => { req.db = { query: queryImpl }; next(); });
+  app.use((req, _res, next) => { req.db = { query: queryImpl }; req.user = user; next(); });
   app.use('/api/programs', programDeclarationRoutes);
   return app;
 }
 
+// Student 7 declared CSE-BS (program 1) under the Fall 2022 requirements
+function versionQuery({ currentId = 10 } = {}) {
+  return vi.fn(async (sql) => {
+    if (sql.includes('FROM student_programs sp')) {
+      return { rows: [{ program_id: 1, kind: 'MAJOR', degree_requirement_id: currentId, code: 'CSE-BS', name: 'CSE BS' }] };
+    }
+    if (sql.includes('JOIN degree_requirements dr')) {
+      return {
+        rows: [
+          { id: 10, effective_term: { semester: 'Fall', year: 2022 } },
+          { id: 12, effective_term: { semester: 'Fall', year: 2025 } },
+          { id: 11, effective_term: { semester: 'Spring', year: 2024 } },
+        ],
+      };
+    }
+    return { rows: [] };
+  });
+}
+
 describe('Program Declaration Routes', () => {
   describe('GET /api/programs/programs', () => {
     it('returns all programs', async () => {
@@ -110,5 +129,75 @@ describe('Program Declaration Routes', () => {
       expect(res.status).toBe(404);
     });
   });
-});
 
+  describe('requirement versions', () => {
+    const advisor = { user_id: 50, role: 'Advisor' };
+
+    it('lists the version each program follows', async () => {
+      const app = buildApp(versionQuery(), { user_id: 7, role: 'Student' });
+
+      const res = await request(app).get('/api/programs/students/7/requirement-versions');
+
+      expect(res.status).toBe(200);
+      expect(res.body.programs[0].current).toMatchObject({ degreeRequirementId: 10, label: 'Fall 2022' });
+      expect(res.body.programs[0].versions.map((v) => v.label)).toEqual(['Fall 2025', 'Spring 2024', 'Fall 2022']);
+    });
+
+    it("does not show students another student's versions", async () => {
+      const app = buildApp(versionQuery(), { user_id: 8, role: 'Student' });
+
+      const res = await request(app).get('/api/programs/students/7/requirement-versions');
+
+      expect(res.status).toBe(403);
+    });
+
+    it('lets an advisor move a student to a newer catalog year', async () => {
+      const query = versionQuery();
+      const app = buildApp(query, advisor);
+
+      const res = await request(app)
+        .put('/api/programs/students/7/programs/1/requirement-version')
+        .send({ degree_requirement_id: 11 });
+
+      expect(res.status).toBe(200);
+      expect(res.body.previous.label).toBe('Fall 2022');
+      expect(res.body.current.label).toBe('Spring 2024');
+
+      const update = query.mock.calls.find(([sql]) => sql.includes('UPDATE student_programs'));
+      expect(update[1]).toEqual([11, 7, 1]);
+      expect(query.mock.calls.some(([sql]) => sql.includes('INSERT INTO audit_log'))).toBe(true);
+    });
+
+    it('rejects moving to an older catalog year', async () => {
+      const query = versionQuery({ currentId: 11 });
+      const app = buildApp(query, advisor);
+
+      const res = await request(app)
+        .put('/api/programs/students/7/programs/1/requirement-version')
+        .send({ degree_requirement_id: 10 });
+
+      expect(res.status).toBe(400);
+      expect(query.mock.calls.some(([sql]) => sql.includes('UPDATE student_programs'))).toBe(false);
+    });
+
+    it('rejects a version of another program', async () => {
+      const app = buildApp(versionQuery(), advisor);
+
+      const res = await request(app)
+        .put('/api/programs/students/7/programs/1/requirement-version')
+        .send({ degree_requirement_id: 99 });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('only lets advisors and registrars change catalog years', async () => {
+      const app = buildApp(versionQuery(), { user_id: 7, role: 'Student' });
+
+      const res = await request(app)
+        .put('/api/programs/students/7/programs/1/requirement-version')
+        .send({ degree_requirement_id: 11 });
+
+      expect(res.status).toBe(403);
+    });
+  });
+});
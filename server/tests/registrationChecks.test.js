@@ -0,0 +1,126 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  DEFAULT_MAX_TERM_CREDITS,
+  getAcademicTotals,
+  getTermCreditLimit,
+  checkCreditLimit,
+} from '../services/registrationChecks.js';
+
+function buildDb({ grades = [], rule = null, overload = null, termCredits = 0 } = {}) {
+  return {
+    query: vi.fn(async (sql) => {
+      if (sql.includes('SELECT e.grade, c.credits')) return { rows: grades };
+      if (sql.includes('FROM term_credit_limits')) return { rows: rule ? [rule] : [] };
+      if (sql.includes('FROM credit_overload_requests')) return { rows: overload ? [overload] : [] };
+      if (sql.includes('AS term_credits')) return { rows: [{ term_credits: termCredits }] };
+      return { rows: [] };
+    }),
+  };
+}
+
+// Each graded row is a different course unless overrides say otherwise
+let nextCourseNum = 100;
+const graded = (grade, credits, overrides = {}) => ({
+  grade,
+  credits,
+  subject: 'CSE',
+  course_num: String(nextCourseNum++),
+  semester: 'Fall',
+  year: 2024,
+  ...overrides,
+});
+
+describe('Registration Checks - credit limits', () => {
+  it('computes cumulative credits and GPA, skipping incompletes and pass grades', async () => {
+    const db = buildDb({
+      grades: [
+        graded('A', 4),
+        graded('B', 3),
+        graded('P', 3),
+        graded('I', 3),
+      ],
+    });
+
+    await expect(getAcademicTotals(db, 1)).resolves.toEqual({ cumulativeCredits: 10, gpa: 3.571 });
+  });
+
+  it('leaves GPNC courses out of GPA', async () => {
+    const db = buildDb({
+      grades: [
+        graded('A', 3, { gpnc: false }),
+        graded('B', 3, { gpnc: true }),
+      ],
+    });
+
+    await expect(getAcademicTotals(db, 1)).resolves.toEqual({ cumulativeCredits: 6, gpa: 4 });
+  });
+
+  it('gives F and NC grades no credit', async () => {
+    const db = buildDb({
+      grades: [
+        graded('A', 3, { gpnc: false }),
+        graded('F', 4, { gpnc: false }),
+        graded('D', 3, { gpnc: true }),
+      ],
+    });
+
+    await expect(getAcademicTotals(db, 1)).resolves.toEqual({ cumulativeCredits: 3, gpa: 1.714 });
+  });
+
+  it('gives W grades no credit and no GPA weight', async () => {
+    const db = buildDb({
+      grades: [
+        graded('B', 3),
+        graded('W', 4),
+      ],
+    });
+
+    await expect(getAcademicTotals(db, 1)).resolves.toEqual({ cumulativeCredits: 3, gpa: 3 });
+  });
+
+  it('counts only the attempt of a repeated course that the repeat policy keeps', async () => {
+    const db = buildDb({
+      grades: [
+        graded('F', 3, { course_num: '214', year: 2023 }),
+        graded('B', 3, { course_num: '214', year: 2024 }),
+        graded('A', 3),
+      ],
+    });
+
+    await expect(getAcademicTotals(db, 1)).resolves.toEqual({ cumulativeCredits: 6, gpa: 3.5 });
+  });
+
+  it('falls back to the default cap when the term has no matching rule', async () => {
+    const limit = await getTermCreditLimit(buildDb(), 1, 7);
+
+    expect(limit).toMatchObject({ maxCredits: DEFAULT_MAX_TERM_CREDITS, limitId: null, gpa: null, classStanding: 'U1' });
+  });
+
+  it('uses the matching rule and passes standing and GPA to the lookup', async () => {
+    const db = buildDb({
+      grades: [graded('A', 60)],
+      rule: { limit_id: 3, class_standing: 'U3', min_gpa: '3.500', max_credits: 21 },
+    });
+
+    const limit = await getTermCreditLimit(db, 1, 7);
+
+    expect(limit).toMatchObject({ maxCredits: 21, baseMaxCredits: 21, limitId: 3 });
+    const ruleCall = db.query.mock.calls.find(([sql]) => sql.includes('FROM term_credit_limits'));
+    expect(ruleCall[1]).toEqual([7, 'U3', 4]);
+  });
+
+  it('raises the cap to an approved overload', async () => {
+    const db = buildDb({ overload: { request_id: 9, requested_credits: 23 }, termCredits: 18 });
+
+    const check = await checkCreditLimit(db, 1, 7, 4);
+
+    expect(check).toMatchObject({ allowed: true, maxCredits: 23 });
+  });
+
+  it('points students at an overload request when over the cap', async () => {
+    const check = await checkCreditLimit(buildDb({ termCredits: 18 }), 1, 7, 3);
+
+    expect(check.allowed).toBe(false);
+    expect(check.reason).toMatch(/21 credits would exceed the 19-credit limit.*credit overload/);
+  });
+});
@@ -0,0 +1,652 @@
+import express from 'express';
+import request from 'supertest';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import registrationScheduleRoutes from '../routes/registrationScheduleRoutes.js';
+import { setCustomDate } from '../utils/dateWrapper.js';
+
+// Transactions run on a client checked out of the pool
+const releaseClient = vi.fn();
+
+function buildApp(queryImpl, user) {
+  const app = express();
+  app.use(express.json());
+  app.use((req, _res, next) => {
+    req.db = { query: queryImpl, connect: async () => ({ query: queryImpl, release: releaseClient }) };
+    req.user = user;
+    next();
+  });
+  app.use('/api/registration', registrationScheduleRoutes);
+  return app;
+}
+
+const registrar = { user_id: 1, role: 'Registrar' };
+const student = { user_id: 102, role: 'Student' };
+
+function buildWaitlistQuery(waitlisted = [101, 102, 103]) {
+  return vi.fn(async (sql) => {
+    if (sql.includes('AS section_capacity')) {
+      return { rows: [{ class_id: 10, section_capacity: 2, room_capacity: 40, registered_count: '2' }] };
+    }
+    if (sql.includes('SELECT cs.class_id, cs.term_id, cs.section_num')) {
+      return { rows: [{ class_id: 10, term_id: 1, section_num: '01', subject: 'CSE', course_num: '214' }] };
+    }
+    if (sql.includes('JOIN users u ON u.user_id = e.student_id')) {
+      return { rows: waitlisted.map((id) => ({ student_id: id, first_name: 'S', last_name: String(id), email: `s${id}@stonybrook.edu` })) };
+    }
+    if (sql.includes("e.status = 'waitlisted'") && sql.includes('ORDER BY e.waitlist_position')) {
+      return { rows: waitlisted.map((id) => ({ student_id: id })) };
+    }
+    if (sql.includes('WHERE e.student_id = $1')) {
+      return { rows: [{ class_id: 10 }] };
+    }
+    return { rows: [] };
+  });
+}
+
+describe('Registration Waitlist Routes', () => {
+  it('returns the student position, queue length and seats left', async () => {
+    const app = buildApp(buildWaitlistQuery(), student);
+
+    const res = await request(app).get('/api/registration/waitlist');
+
+    expect(res.status).toBe(200);
+    expect(res.body.waitlists).toEqual([
+      expect.objectContaining({ classId: 10, courseCode: 'CSE 214', position: 2, queueLength: 3, seatsLeft: 0 }),
+    ]);
+  });
+
+  it('hides other students in the queue from non-registrars', async () => {
+    const app = buildApp(buildWaitlistQuery(), student);
+
+    const res = await request(app).get('/api/registration/waitlist/10');
+
+    expect(res.status).toBe(200);
+    expect(res.body.waitlist.position).toBe(2);
+    expect(res.body.waitlist.queue).toBeUndefined();
+  });
+
+  it('only lets registrars reorder a waitlist', async () => {
+    const app = buildApp(buildWaitlistQuery(), student);
+
+    const res = await request(app)
+      .put('/api/registration/waitlist/10/position')
+      .send({ studentId: 103, position: 1, reason: 'Department priority' });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('requires a reason to reorder', async () => {
+    const app = buildApp(buildWaitlistQuery(), registrar);
+
+    const res = await request(app)
+      .put('/api/registration/waitlist/10/position')
+      .send({ studentId: 103, position: 1 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/reason/i);
+  });
+
+  it('moves the entry, renumbers the queue and audits the reason', async () => {
+    const query = buildWaitlistQuery();
+    const app = buildApp(query, registrar);
+    releaseClient.mockClear();
+
+    const res = await request(app)
+      .put('/api/registration/waitlist/10/position')
+      .send({ studentId: 103, position: 1, reason: 'Department priority' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.move).toEqual({ fromPosition: 3, toPosition: 1, queueLength: 3 });
+
+    const positionUpdates = query.mock.calls
+      .filter(([sql]) => sql.includes('SET waitlist_position'))
+      .map(([, params]) => [params[1], params[2]]);
+    expect(positionUpdates).toEqual([[103, 1], [101, 2], [102, 3]]);
+
+    const audit = query.mock.calls.find(([sql]) => sql.includes('INSERT INTO audit_log'));
+    expect(audit[1]).toEqual(expect.arrayContaining(['waitlist_reordered', 'Department priority']));
+    expect(query.mock.calls[0][0]).toBe('BEGIN');
+    expect(releaseClient).toHaveBeenCalledTimes(1);
+  });
+});
+
+function buildPreviewQuery({ holds = [], grades = [], priorAttempts = 0 } = {}) {
+  return vi.fn(async (sql) => {
+    if (sql.includes('FROM registration_holds')) {
+      return { rows: holds };
+    }
+    if (sql.includes('AS prior_attempts')) {
+      return { rows: [{ prior_attempts: priorAttempts }] };
+    }
+    if (sql.includes('c.prerequisite_ast') && sql.includes('WHERE cs.class_id = $1')) {
+      return {
+        rows: [{
+          class_id: 10, term_id: 1, course_id: 5, subject: 'CSE', course_num: '316', section_num: '01',
+          credits: 3, prerequisites: 'CSE 214', prerequisite_ast: null, requisites_parsed_at: null,
+        }],
+      };
+    }
+    if (sql.includes('c.course_num, e.grade')) {
+      return { rows: grades };
+    }
+    if (sql.includes('SELECT e.grade, c.credits')) {
+      return { rows: [{ grade: 'B', credits: 30, gpnc: false, subject: 'CSE', course_num: '114' }] };
+    }
+    if (sql.includes('AS section_capacity')) {
+      return { rows: [{ class_id: 10, section_capacity: 2, room_capacity: 40, registered_count: '2' }] };
+    }
+    if (sql.includes('AS next_position')) {
+      return { rows: [{ next_position: 4 }] };
+    }
+    return { rows: [] };
+  });
+}
+
+describe('Registration Enroll Preview', () => {
+  it('reports every failing check with its resolutions', async () => {
+    const query = buildPreviewQuery({ holds: [{ hold_type: 'financial', note: 'Unpaid balance' }] });
+    const app = buildApp(query, student);
+
+    const res = await request(app).post('/api/registration/enroll/preview').send({ classId: 10 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.outcome).toBe('blocked');
+    expect(res.body.canRegister).toBe(false);
+
+    const byName = Object.fromEntries(res.body.checks.map((c) => [c.check, c]));
+    expect(byName.holds).toMatchObject({ passed: false, resolutions: [{ type: 'hold_release' }] });
+    expect(byName.prerequisites).toMatchObject({
+      passed: false,
+      resolutions: [{ type: 'prerequisite_waiver', waivableCourses: ['CSE 214'] }],
+    });
+    expect(byName.time_conflict.passed).toBe(true);
+    expect(byName.credit_load.passed).toBe(true);
+    expect(byName.capacity.resolutions.map((r) => r.type)).toEqual(['capacity_override', 'waitlist']);
+  });
+
+  it('reports a waitlist outcome when only capacity fails', async () => {
+    const query = buildPreviewQuery({ grades: [{ subject: 'CSE', course_num: '214', grade: 'B' }] });
+    const app = buildApp(query, student);
+
+    const res = await request(app).post('/api/registration/enroll/preview').send({ classId: 10 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.outcome).toBe('waitlist');
+    expect(res.body.checks.filter((c) => !c.passed).map((c) => c.check)).toEqual(['capacity']);
+    expect(res.body.checks.find((c) => c.check === 'capacity').resolutions[1].position).toBe(4);
+  });
+
+  it('blocks a course already repeated the maximum number of times', async () => {
+    const query = buildPreviewQuery({ grades: [{ subject: 'CSE', course_num: '214', grade: 'B' }], priorAttempts: 3 });
+    const app = buildApp(query, student);
+
+    const res = await request(app).post('/api/registration/enroll/preview').send({ classId: 10 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.outcome).toBe('blocked');
+    expect(res.body.checks.find((c) => c.check === 'repeat_limit')).toMatchObject({
+      passed: false,
+      priorAttempts: 3,
+      maxRepeats: 2,
+    });
+  });
+
+  it('refuses /enroll past the repeat limit', async () => {
+    const query = buildPreviewQuery({ grades: [{ subject: 'CSE', course_num: '214', grade: 'B' }], priorAttempts: 3 });
+    const app = buildApp(query, student);
+    releaseClient.mockClear();
+
+    const res = await request(app).post('/api/registration/enroll').send({ classId: 10 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/repeated at most 2 times/);
+    expect(res.body.repeatLimit).toEqual({ priorAttempts: 3, maxRepeats: 2 });
+    expect(query.mock.calls.some(([sql]) => sql.includes('INSERT INTO enrollments'))).toBe(false);
+    expect(releaseClient).toHaveBeenCalledTimes(1);
+  });
+
+  it('refuses to re-register in a section the student withdrew from', async () => {
+    const base = buildPreviewQuery({ grades: [{ subject: 'CSE', course_num: '214', grade: 'B' }] });
+    const query = vi.fn(async (sql, params) =>
+      sql.includes('ORDER BY (e.class_id = $2) DESC')
+        ? { rows: [{ class_id: 10, section_num: '01', status: 'completed', grade: 'W' }] }
+        : base(sql, params)
+    );
+    const app = buildApp(query, student);
+
+    const res = await request(app).post('/api/registration/enroll').send({ classId: 10 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/withdrew from this section/);
+    expect(query.mock.calls.some(([sql]) => sql.includes('INSERT INTO enrollments'))).toBe(false);
+  });
+
+  it('reports the same already-enrolled answer as /enroll', async () => {
+    const base = buildPreviewQuery({ grades: [{ subject: 'CSE', course_num: '214', grade: 'B' }] });
+    const query = vi.fn(async (sql, params) =>
+      sql.includes('ORDER BY (e.class_id = $2) DESC')
+        ? { rows: [{ class_id: 12, section_num: '02', status: 'registered', grade: null }] }
+        : base(sql, params)
+    );
+    const app = buildApp(query, student);
+
+    const preview = await request(app).post('/api/registration/enroll/preview').send({ classId: 10 });
+    const enroll = await request(app).post('/api/registration/enroll').send({ classId: 10 });
+
+    const check = preview.body.checks.find((c) => c.check === 'already_enrolled');
+    expect(check.passed).toBe(false);
+    expect(check.message).toBe(enroll.body.error);
+    expect(enroll.body.error).toBe('Already registered for another section of this course (Section 02)');
+  });
+
+  it('does not add a withdrawn section to the cart', async () => {
+    const base = buildPreviewQuery();
+    const query = vi.fn(async (sql, params) =>
+      sql.includes('SELECT status, grade FROM enrollments') ? { rows: [{ status: 'completed', grade: 'W' }] } : base(sql, params)
+    );
+    const app = buildApp(query, student);
+
+    const res = await request(app).post('/api/registration/cart').send({ classId: 10 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/withdrew from this section/);
+    expect(query.mock.calls.some(([sql]) => sql.includes('INSERT INTO registration_cart_items'))).toBe(false);
+  });
+
+  it('does not write anything', async () => {
+    const query = buildPreviewQuery();
+    const app = buildApp(query, student);
+
+    await request(app).post('/api/registration/enroll/preview').send({ classId: 10 });
+
+    const writes = query.mock.calls.filter(([sql]) => /\b(INSERT|UPDATE|DELETE|BEGIN|FOR UPDATE)\b/.test(sql));
+    expect(writes).toEqual([]);
+  });
+});
+
+function buildCartQuery() {
+  const sections = {
+    10: { class_id: 10, term_id: 1, course_id: 5, subject: 'CSE', course_num: '316', section_num: '01', credits: 3, prerequisites: 'CSE 214' },
+    11: { class_id: 11, term_id: 1, course_id: 6, subject: 'AMS', course_num: '310', section_num: '02', credits: 3, prerequisites: null },
+  };
+  return vi.fn(async (sql, params = []) => {
+    if (sql.includes('FROM registration_cart_items') && sql.includes('ORDER BY class_id')) {
+      return { rows: [{ class_id: 10 }, { class_id: 11 }] };
+    }
+    if (sql.includes('c.prerequisite_ast') && sql.includes('WHERE cs.class_id = $1')) {
+      return { rows: [{ ...sections[params[0]], prerequisite_ast: null, requisites_parsed_at: null }] };
+    }
+    if (sql.includes('AS section_capacity')) {
+      return { rows: [{ class_id: params[0], section_capacity: 30, room_capacity: 40, registered_count: '0' }] };
+    }
+    if (sql.includes('INSERT INTO enrollments')) {
+      return { rows: [{ class_id: params[0], student_id: params[1], status: 'registered' }] };
+    }
+    return { rows: [] };
+  });
+}
+
+describe('Registration Cart Submission', () => {
+  it('registers nothing when an atomic cart has a failing section', async () => {
+    const query = buildCartQuery();
+    const app = buildApp(query, student);
+
+    const res = await request(app).post('/api/registration/cart/submit').send({ termId: 1 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.results).toEqual([
+      expect.objectContaining({ classId: 10, status: 'failed', error: expect.stringMatching(/CSE 214/) }),
+      expect.objectContaining({ classId: 11, status: 'not_submitted' }),
+    ]);
+    const statements = query.mock.calls.map(([sql]) => sql.trim());
+    expect(statements).toContain('ROLLBACK');
+    expect(statements).not.toContain('COMMIT');
+  });
+
+  it('fails only the section whose registration throws', async () => {
+    const base = buildCartQuery();
+    const query = vi.fn(async (sql, params = []) => {
+      if (sql.includes('INSERT INTO enrollments') && params[0] === 11) {
+        throw Object.assign(new Error('duplicate key value violates unique constraint "enrollments_pkey"'), { code: '23505' });
+      }
+      return base(sql, params);
+    });
+    const app = buildApp(query, student);
+
+    const res = await request(app).post('/api/registration/cart/submit').send({ termId: 1, mode: 'partial' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ registeredCount: 0, failedCount: 2 });
+    expect(res.body.results).toEqual([
+      expect.objectContaining({ classId: 10, status: 'failed' }),
+      expect.objectContaining({ classId: 11, status: 'failed', error: expect.stringMatching(/^Could not register/) }),
+    ]);
+    expect(query.mock.calls.map(([sql]) => sql.trim())).toContain('ROLLBACK TO SAVEPOINT cart_item');
+  });
+
+  it('registers what it can in partial mode and clears those sections from the cart', async () => {
+    releaseClient.mockClear();
+    const query = buildCartQuery();
+    const app = buildApp(query, student);
+
+    const res = await request(app).post('/api/registration/cart/submit').send({ termId: 1, mode: 'partial' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ registeredCount: 1, failedCount: 1 });
+    expect(res.body.results.map((r) => r.status)).toEqual(['failed', 'registered']);
+
+    const cleared = query.mock.calls.find(([sql]) => sql.includes('DELETE FROM registration_cart_items'));
+    expect(cleared[1]).toEqual([102, [11]]);
+    expect(query.mock.calls.map(([sql]) => sql.trim())).toContain('COMMIT');
+    expect(releaseClient).toHaveBeenCalled();
+  });
+
+  it('rejects an unknown submission mode', async () => {
+    const app = buildApp(buildCartQuery(), student);
+
+    const res = await request(app).post('/api/registration/cart/submit').send({ termId: 1, mode: 'some' });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+function buildSwapQuery({ targetRegistered = 0, targetCourseId = 5 } = {}) {
+  const sections = {
+    10: { class_id: 10, term_id: 1, course_id: 5, subject: 'CSE', course_num: '316', section_num: '01', credits: 3 },
+    12: { class_id: 12, term_id: 1, course_id: targetCourseId, subject: 'CSE', course_num: '316', section_num: '02', credits: 3 },
+  };
+  return vi.fn(async (sql, params = []) => {
+    if (sql.includes('c.prerequisite_ast') && sql.includes('WHERE cs.class_id = $1')) {
+      return { rows: [{ ...sections[params[0]], prerequisites: null, prerequisite_ast: null, requisites_parsed_at: null }] };
+    }
+    if (sql.includes('DELETE FROM enrollments') && sql.includes("status = 'registered'")) {
+      return { rows: [{ class_id: params[0], gpnc: true, enrolled_at: '2025-04-02T09:00:00Z' }] };
+    }
+    if (sql.includes('SET gpnc = $3, enrolled_at = $4')) {
+      return { rows: [{ class_id: params[0], status: 'registered', gpnc: params[2], enrolled_at: params[3] }] };
+    }
+    if (sql.includes('AS section_capacity')) {
+      const registered = params[0] === 12 ? targetRegistered : 29;
+      return { rows: [{ class_id: params[0], section_capacity: 30, room_capacity: 40, registered_count: String(registered) }] };
+    }
+    if (sql.includes('INSERT INTO enrollments')) {
+      return { rows: [{ class_id: params[0], student_id: params[1], status: 'registered' }] };
+    }
+    return { rows: [] };
+  });
+}
+
+describe('Registration Section Swap', () => {
+  it('drops the old section only after registering in the new one', async () => {
+    const query = buildSwapQuery();
+    const app = buildApp(query, student);
+
+    const res = await request(app).post('/api/registration/swap').send({ fromClassId: 10, toClassId: 12 });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ fromClassId: 10, toClassId: 12, enrollment: { classId: 12, status: 'registered' } });
+
+    const statements = query.mock.calls.map(([sql]) => sql.trim());
+    const dropIndex = statements.findIndex((sql) => sql.startsWith('DELETE FROM enrollments'));
+    const insertIndex = statements.findIndex((sql) => sql.startsWith('INSERT INTO enrollments'));
+    expect(dropIndex).toBeGreaterThan(-1);
+    expect(insertIndex).toBeGreaterThan(dropIndex);
+    expect(statements[statements.length - 1]).toBe('COMMIT');
+  });
+
+  it('carries the GPNC choice and registration time over to the new section', async () => {
+    const query = buildSwapQuery();
+    const app = buildApp(query, student);
+
+    const res = await request(app).post('/api/registration/swap').send({ fromClassId: 10, toClassId: 12 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.enrollment).toEqual({ classId: 12, status: 'registered', gpnc: true, enrolledAt: '2025-04-02T09:00:00Z' });
+    const carried = query.mock.calls.find(([sql]) => sql.includes('SET gpnc = $3, enrolled_at = $4'));
+    expect(carried[1]).toEqual([12, 102, true, '2025-04-02T09:00:00Z']);
+  });
+
+  it('keeps the original seat when the new section is full', async () => {
+    releaseClient.mockClear();
+    const query = buildSwapQuery({ targetRegistered: 30 });
+    const app = buildApp(query, student);
+
+    const res = await request(app).post('/api/registration/swap').send({ fromClassId: 10, toClassId: 12 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/still registered in Section 01/);
+    const statements = query.mock.calls.map(([sql]) => sql.trim());
+    expect(statements).toContain('ROLLBACK');
+    expect(statements).not.toContain('COMMIT');
+    expect(statements.some((sql) => sql.startsWith('INSERT INTO enrollments'))).toBe(false);
+    expect(releaseClient).toHaveBeenCalledTimes(1);
+  });
+
+  it('only swaps between sections of the same course', async () => {
+    const app = buildApp(buildSwapQuery({ targetCourseId: 9 }), student);
+
+    const res = await request(app).post('/api/registration/swap').send({ fromClassId: 10, toClassId: 12 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/same course/);
+  });
+});
+
+describe('Registration Credit Overloads', () => {
+  const advisor = { user_id: 7, role: 'Advisor' };
+
+  function buildOverloadQuery({ advisorLevel = 'university' } = {}) {
+    return vi.fn(async (sql) => {
+      if (sql.includes('FROM credit_overload_requests') && sql.includes('WHERE request_id = $1')) {
+        return { rows: [{ request_id: 4, student_user_id: 102, term_id: 1, requested_credits: 22, status: 'pending' }] };
+      }
+      if (sql.includes('SELECT role FROM users')) return { rows: [{ role: 'Advisor' }] };
+      if (sql.includes('FROM advisors a')) return { rows: [{ level: advisorLevel, department_id: 1 }] };
+      if (sql.includes('FROM student_programs sp')) return { rows: [{ department_id: 2, college_id: 1 }] };
+      return { rows: [] };
+    });
+  }
+
+  it('does not let students approve overloads', async () => {
+    const app = buildApp(buildOverloadQuery(), student);
+
+    const res = await request(app).post('/api/registration/credit-overload/4/approve').send({ approved: true });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('limits advisors to students in their scope', async () => {
+    const query = buildOverloadQuery({ advisorLevel: 'department' });
+    const app = buildApp(query, advisor);
+
+    const res = await request(app).post('/api/registration/credit-overload/4/approve').send({ approved: true });
+
+    expect(res.status).toBe(403);
+    expect(query.mock.calls.some(([sql]) => sql.includes('UPDATE credit_overload_requests'))).toBe(false);
+  });
+
+  it('records the decision and audits it', async () => {
+    const query = buildOverloadQuery();
+    const app = buildApp(query, advisor);
+
+    const res = await request(app)
+      .post('/api/registration/credit-overload/4/approve')
+      .send({ approved: true, note: 'Strong record' });
+
+    expect(res.status).toBe(200);
+    const update = query.mock.calls.find(([sql]) => sql.includes('UPDATE credit_overload_requests'));
+    expect(update[1]).toEqual(['approved', 7, 'Strong record', '4']);
+    const audit = query.mock.calls.find(([sql]) => sql.includes('INSERT INTO audit_log'));
+    expect(audit[1]).toEqual(expect.arrayContaining(['credit_overload_approved', 'Strong record']));
+  });
+
+  it('keeps an approved overload when the student requests again', async () => {
+    // The upsert skips approved rows, so nothing comes back
+    const query = vi.fn(async () => ({ rows: [] }));
+    const app = buildApp(query, student);
+
+    const res = await request(app).post('/api/registration/credit-overload/request').send({ termId: 1, requestedCredits: 22 });
+
+    expect(res.status).toBe(409);
+    const upsert = query.mock.calls.find(([sql]) => sql.includes('INSERT INTO credit_overload_requests'));
+    expect(upsert[0]).toContain("WHERE credit_overload_requests.status <> 'approved'");
+  });
+
+  it('replaces credit limits in a transaction on its own client', async () => {
+    const query = vi.fn(async () => ({ rows: [] }));
+    releaseClient.mockClear();
+    const app = buildApp(query, registrar);
+
+    const res = await request(app)
+      .post('/api/registration/credit-limits')
+      .send({ termId: 1, limits: [{ classStanding: 'U4', maxCredits: 21 }, { maxCredits: 0 }] });
+
+    expect(res.status).toBe(400);
+    const statements = query.mock.calls.map(([sql]) => sql.trim().split(/\s+/)[0]);
+    expect(statements).toEqual(['BEGIN', 'DELETE', 'INSERT', 'ROLLBACK']);
+    expect(releaseClient).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('Registration GPNC Selection', () => {
+  function buildGpncQuery({ gpncSelectionEnds = '2025-10-01', enrollment = {} } = {}) {
+    return vi.fn(async (sql) => {
+      if (sql.includes('SELECT e.status, e.grade, e.gpnc')) {
+        return {
+          rows: [{ status: 'registered', grade: null, gpnc: false, term_id: 1, section_num: '01', subject: 'CSE', course_num: '214', ...enrollment }],
+        };
+      }
+      if (sql.includes('JOIN academic_calendar ac')) {
+        return { rows: [{ gpnc_selection_ends: gpncSelectionEnds }] };
+      }
+      return { rows: [] };
+    });
+  }
+
+  afterEach(() => setCustomDate(null));
+
+  it('selects GPNC before the deadline and audits it', async () => {
+    setCustomDate('2025-09-15');
+    const query = buildGpncQuery();
+    const app = buildApp(query, student);
+
+    const res = await request(app).post('/api/registration/gpnc').send({ classId: 10, gpnc: true });
+
+    expect(res.status).toBe(200);
+    expect(res.body.gpnc).toBe(true);
+    expect(query.mock.calls.some(([sql, params]) => sql.includes('SET gpnc = $1') && params[0] === true)).toBe(true);
+    expect(query.mock.calls.some(([sql, params]) => sql.includes('INSERT INTO audit_log') && params.includes('gpnc_selected'))).toBe(true);
+  });
+
+  it('locks the selection after GPNC_selection_ends', async () => {
+    setCustomDate('2025-10-02');
+    const query = buildGpncQuery({ enrollment: { gpnc: true } });
+    const app = buildApp(query, student);
+
+    const res = await request(app).post('/api/registration/gpnc').send({ classId: 10, gpnc: false });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/deadline/);
+    expect(query.mock.calls.some(([sql]) => sql.includes('SET gpnc = $1'))).toBe(false);
+  });
+
+  it('rejects changes once a grade is posted', async () => {
+    setCustomDate('2025-09-15');
+    const app = buildApp(buildGpncQuery({ enrollment: { grade: 'A' } }), student);
+
+    const res = await request(app).post('/api/registration/gpnc').send({ classId: 10, gpnc: true });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('lets a registrar set the pass threshold', async () => {
+    const query = vi.fn(async (sql) => (sql.includes('SET gpnc_pass_threshold') ? { rows: [], rowCount: 1 } : { rows: [] }));
+
+    const res = await request(buildApp(query, registrar)).put('/api/registration/gpnc-threshold').send({ threshold: 'b-' });
+    const failing = await request(buildApp(query, registrar)).put('/api/registration/gpnc-threshold').send({ threshold: 'F' });
+    const asStudent = await request(buildApp(query, student)).put('/api/registration/gpnc-threshold').send({ threshold: 'B' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.threshold).toBe('B-');
+    expect(query.mock.calls.filter(([sql]) => sql.includes('SET gpnc_pass_threshold')).map(([, params]) => params)).toEqual([['B-']]);
+    expect(failing.status).toBe(400);
+    expect(asStudent.status).toBe(403);
+  });
+});
+
+describe('Registration Withdrawal', () => {
+  const calendar = { late_registration_ends: '2025-09-10', course_withdrawal_ends: '2025-11-01' };
+
+  function buildWithdrawQuery() {
+    return vi.fn(async (sql) => {
+      if (sql.includes('AS table_exists')) return { rows: [{ table_exists: false }] };
+      if (sql.includes('SELECT class_id, status')) return { rows: [{ class_id: 10, status: 'registered' }] };
+      if (sql.includes('FROM class_sections') && sql.includes('FOR UPDATE')) {
+        return { rows: [{ class_id: 10, term_id: 1, section_num: '01' }] };
+      }
+      if (sql.includes('JOIN academic_calendar ac')) return { rows: [calendar] };
+      if (sql.includes('AS registered_count')) return { rows: [{ registered_count: '1' }] };
+      if (sql.includes('AS section_capacity')) {
+        return { rows: [{ class_id: 10, section_capacity: 1, room_capacity: 40, registered_count: '1' }] };
+      }
+      return { rows: [] };
+    });
+  }
+
+  const ran = (query, text) => query.mock.calls.some(([sql]) => sql.includes(text));
+
+  afterEach(() => setCustomDate(null));
+
+  it('deletes the enrollment during add/drop', async () => {
+    setCustomDate('2025-09-10');
+    const query = buildWithdrawQuery();
+    const app = buildApp(query, student);
+
+    const res = await request(app).post('/api/registration/withdraw').send({ enrollmentId: 10 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.outcome).toBe('dropped');
+    expect(ran(query, 'DELETE FROM enrollments')).toBe(true);
+  });
+
+  it('records a W between add/drop and course_withdrawal_ends', async () => {
+    setCustomDate('2025-10-15');
+    const query = buildWithdrawQuery();
+    const app = buildApp(query, student);
+
+    const res = await request(app).post('/api/registration/withdraw').send({ enrollmentId: 10 });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ outcome: 'withdrawn', grade: 'W' });
+    expect(ran(query, "grade = 'W'")).toBe(true);
+    expect(ran(query, 'DELETE FROM enrollments')).toBe(false);
+    const history = query.mock.calls.find(([sql]) => sql.includes('INSERT INTO grade_history'));
+    expect(history[1]).toEqual([10, 102, null, 'W', null, 'withdraw', null, 102]);
+  });
+
+  it('refuses withdrawal after course_withdrawal_ends', async () => {
+    setCustomDate('2025-11-02');
+    const query = buildWithdrawQuery();
+    const app = buildApp(query, student);
+
+    const res = await request(app).post('/api/registration/withdraw').send({ enrollmentId: 10, override: true });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/registrar override/);
+    expect(ran(query, "grade = 'W'")).toBe(false);
+  });
+
+  it('lets a registrar override the deadline with an audit entry', async () => {
+    setCustomDate('2025-11-02');
+    const query = buildWithdrawQuery();
+    const app = buildApp(query, registrar);
+
+    const res = await request(app)
+      .post('/api/registration/withdraw')
+      .send({ enrollmentId: 10, studentId: 102, override: true });
+
+    expect(res.status).toBe(200);
+    expect(res.body.grade).toBe('W');
+    expect(query.mock.calls.some(([sql, params]) => sql.includes('INSERT INTO audit_log') && params.includes('withdrawal_override'))).toBe(true);
+  });
+});
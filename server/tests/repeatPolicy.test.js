@@ -0,0 +1,99 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  applyRepeatPolicy,
+  checkRepeatLimit,
+  DEFAULT_MAX_REPEATS,
+  DEFAULT_REPEAT_POLICY,
+  getRepeatPolicy,
+} from '../services/repeatPolicy.js';
+
+const attempt = (grade, semester, year, overrides = {}) => ({
+  subject: 'CSE',
+  course_num: '214',
+  credits: 3,
+  grade,
+  gpnc: false,
+  semester,
+  year,
+  ...overrides,
+});
+
+describe('applyRepeatPolicy', () => {
+  it('keeps only the latest graded attempt under the latest policy', () => {
+    const first = attempt('A', 'Fall', 2024);
+    const second = attempt('C', 'Spring', 2025);
+    const other = attempt('B', 'Fall', 2024, { course_num: '216' });
+
+    expect(applyRepeatPolicy([second, other, first], 'latest')).toEqual([second, other]);
+  });
+
+  it('keeps the best grade under the best policy, preferring the later attempt on ties', () => {
+    const failed = attempt('F', 'Fall', 2024);
+    const passed = attempt('B+', 'Spring', 2025);
+    const retake = attempt('D', 'Fall', 2025);
+    expect(applyRepeatPolicy([failed, passed, retake], 'best')).toEqual([passed]);
+
+    const tiedEarly = attempt('B', 'Fall', 2024);
+    const tiedLate = attempt('B', 'SummerI', 2025);
+    expect(applyRepeatPolicy([tiedLate, tiedEarly], 'best')).toEqual([tiedLate]);
+  });
+
+  it('ranks GPNC passes like a C and compares subjects case-insensitively', () => {
+    const gpncPass = attempt('B', 'Fall', 2024, { gpnc: true });
+    const letter = attempt('C-', 'Spring', 2025, { subject: 'cse' });
+    expect(applyRepeatPolicy([gpncPass, letter], 'best')).toEqual([gpncPass]);
+  });
+
+  it('never replaces or drops attempts without a final grade', () => {
+    const failed = attempt('F', 'Fall', 2024);
+    const withdrawn = attempt('W', 'Spring', 2025);
+    const incomplete = attempt('I', 'Fall', 2025);
+    const inProgress = attempt(null, 'Spring', 2026);
+
+    expect(applyRepeatPolicy([failed, withdrawn, incomplete, inProgress], 'latest')).toEqual([
+      failed,
+      withdrawn,
+      incomplete,
+      inProgress,
+    ]);
+  });
+});
+
+describe('getRepeatPolicy', () => {
+  it('falls back to the defaults when system_state has no settings', async () => {
+    const db = { query: vi.fn().mockResolvedValue({ rows: [] }) };
+    expect(await getRepeatPolicy(db)).toEqual({ policy: DEFAULT_REPEAT_POLICY, maxRepeats: DEFAULT_MAX_REPEATS });
+  });
+
+  it('reads the configured policy', async () => {
+    const db = { query: vi.fn().mockResolvedValue({ rows: [{ repeat_policy: 'best', repeat_max_repeats: 0 }] }) };
+    expect(await getRepeatPolicy(db)).toEqual({ policy: 'best', maxRepeats: 0 });
+  });
+});
+
+describe('checkRepeatLimit', () => {
+  const buildDb = (priorAttempts, settings = { repeat_policy: 'latest', repeat_max_repeats: 1 }) => ({
+    query: vi.fn(async (sql) => {
+      if (sql.includes('repeat_max_repeats')) return { rows: [settings] };
+      if (sql.includes('AS prior_attempts')) return { rows: [{ prior_attempts: priorAttempts }] };
+      return { rows: [] };
+    }),
+  });
+  const course = { subject: 'CSE', course_num: '214' };
+
+  it('allows attempts up to the first one plus maxRepeats', async () => {
+    const db = buildDb(1);
+    const result = await checkRepeatLimit(db, 7, course, 3);
+
+    expect(result).toEqual({ allowed: true, priorAttempts: 1, maxRepeats: 1 });
+    const [, params] = db.query.mock.calls.find(([sql]) => sql.includes('AS prior_attempts'));
+    expect(params).toEqual([7, 'CSE', '214', 3]);
+  });
+
+  it('refuses once the course has been repeated maxRepeats times', async () => {
+    const result = await checkRepeatLimit(buildDb(2), 7, course, 3);
+
+    expect(result.allowed).toBe(false);
+    expect(result.reason).toBe('CSE 214 has already been taken 2 times; it may be repeated at most 1 time');
+  });
+});
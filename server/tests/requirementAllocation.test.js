@@ -0,0 +1,215 @@
+import { describe, it, expect } from 'vitest';
+import { allocateRequirements, defineRequirementGroups } from '../services/requirementAllocation.js';
+
+const course = (code, { completed = true, credits = 3 } = {}) => ({
+  code,
+  subject: code.slice(0, 3),
+  courseNum: code.slice(3),
+  title: `${code} title`,
+  credits,
+  completed,
+  inProgress: !completed,
+});
+
+const explanation = (programAllocation, code) => programAllocation.explanations.find((e) => e.code === code);
+
+const cseMajor = {
+  programId: 1,
+  programType: 'major',
+  name: 'CSE BS Major',
+  reqObj: {
+    required_courses: ['CSE114', 'CSE214', 'CSE316'],
+    electives: { min_courses: 2, from_subject: 'CSE', min_level: 300, exclude_courses: ['CSE475'] },
+    linear_algebra: { required: 1, options: [['MAT211'], ['AMS210']] },
+  },
+};
+
+describe('defineRequirementGroups', () => {
+  it('splits each group into slots', () => {
+    const groups = defineRequirementGroups(
+      {
+        ...cseMajor.reqObj,
+        probability: { required_sequence: ['AMS301', ['AMS310', 'AMS311']] },
+        natural_science: { required: 1, options: [['PHY131', 'PHY132'], ['CHE131', 'CHE132']] },
+      },
+      1
+    );
+
+    expect(groups.map((g) => [g.id, g.type, g.variants.map((v) => v.length)])).toEqual([
+      ['1-core', 'all', [3]],
+      ['1-electives', 'electives', [2]],
+      ['1-linear_algebra', 'choose_one', [1]],
+      ['1-probability', 'sequence', [2]],
+      ['1-natural_science', 'choose_sequence', [2, 2]],
+    ]);
+    expect(groups[3].variants[0][1].label).toBe('AMS310 or AMS311');
+  });
+});
+
+describe('allocateRequirements', () => {
+  it('counts a course toward one requirement per program', () => {
+    const allocation = allocateRequirements(
+      [cseMajor],
+      ['CSE114', 'CSE214', 'CSE316', 'CSE305', 'CSE320'].map((c) => course(c))
+    ).get(1);
+
+    expect(allocation.groups.get('1-core').map((c) => c.code)).toEqual(['CSE114', 'CSE214', 'CSE316']);
+    expect(allocation.groups.get('1-electives').map((c) => c.code)).toEqual(['CSE305', 'CSE320']);
+    expect(explanation(allocation, 'CSE316').reason).toMatch(/^Counts toward Required Courses \(CSE316\)\. .*Electives/);
+  });
+
+  it('moves a course to the group that needs it', () => {
+    // CSE316 could be an elective, but only it satisfies the required course
+    const allocation = allocateRequirements(
+      [cseMajor],
+      ['CSE316', 'CSE305', 'CSE320', 'CSE475'].map((c) => course(c))
+    ).get(1);
+
+    expect(allocation.courseGroup.get('CSE316').groupId).toBe('1-core');
+    expect(allocation.groups.get('1-electives').map((c) => c.code)).toEqual(['CSE305', 'CSE320']);
+    expect(explanation(allocation, 'CSE475').reason).toBe('Does not apply to any requirement of CSE BS Major.');
+  });
+
+  it('does not depend on the order courses are listed in', () => {
+    const courses = ['CSE316', 'CSE305', 'CSE320', 'CSE310', 'MAT211', 'AMS210'].map((c) => course(c));
+    const forward = allocateRequirements([cseMajor], courses).get(1);
+    const reversed = allocateRequirements([cseMajor], [...courses].reverse()).get(1);
+
+    expect([...reversed.courseGroup]).toEqual([...forward.courseGroup]);
+  });
+
+  it('prefers completed courses over in-progress ones', () => {
+    const allocation = allocateRequirements(
+      [cseMajor],
+      [course('AMS210', { completed: false }), course('MAT211')]
+    ).get(1);
+
+    expect(allocation.courseGroup.get('MAT211').groupId).toBe('1-linear_algebra');
+    expect(explanation(allocation, 'AMS210').reason).toBe('Not counted: Linear algebra is already filled by MAT211.');
+  });
+
+  it('picks the option of a choose-sequence group the student has taken', () => {
+    const program = {
+      programId: 3,
+      programType: 'major',
+      name: 'AMS BA Major',
+      reqObj: { natural_science: { required: 1, options: [['PHY131', 'PHY132'], ['CHE131', 'CHE132']] } },
+    };
+    const allocation = allocateRequirements([program], [course('PHY131'), course('CHE131'), course('CHE132')]).get(3);
+
+    expect(allocation.groups.get('3-natural_science').map((c) => c.code)).toEqual(['CHE131', 'CHE132']);
+    expect(explanation(allocation, 'PHY131').reason).toBe(
+      'Not counted: Natural science is being met with CHE131, CHE132 instead.'
+    );
+  });
+
+  it('tops up credit minimums with leftover allowed courses', () => {
+    const program = {
+      programId: 4,
+      programType: 'major',
+      name: 'BIO BA Major',
+      reqObj: {
+        science: {
+          required: 1,
+          min_credits: 9,
+          options: [['CHE131'], ['PHY131']],
+          additional_allowed_courses: ['AST203', 'GEO102'],
+        },
+      },
+    };
+    const allocation = allocateRequirements(
+      [program],
+      [course('CHE131', { credits: 4 }), course('AST203'), course('GEO102')]
+    ).get(4);
+
+    expect(allocation.groups.get('4-science').map((c) => [c.code, c.slot])).toEqual([
+      ['CHE131', 'CHE131'],
+      ['AST203', 'Credits'],
+      ['GEO102', 'Credits'],
+    ]);
+  });
+
+  it('counts an approved substitute in place of the listed course', () => {
+    const allocation = allocateRequirements(
+      [{ ...cseMajor, exceptions: { substitutions: new Map([['CSE316', ['AMS361']]]) } }],
+      ['CSE114', 'CSE214', 'AMS361'].map((c) => course(c))
+    ).get(1);
+
+    expect(allocation.courseGroup.get('AMS361')).toMatchObject({ groupId: '1-core', substituteFor: 'CSE316' });
+    expect(explanation(allocation, 'AMS361').reason).toBe(
+      'Counts toward Required Courses (CSE316) as an approved substitute for CSE316.'
+    );
+  });
+
+  it('places no courses in a waived group', () => {
+    const allocation = allocateRequirements(
+      [{ ...cseMajor, exceptions: { waivedGroups: new Set(['linear_algebra']) } }],
+      [course('MAT211')]
+    ).get(1);
+
+    expect(allocation.groups.get('1-linear_algebra')).toEqual([]);
+    expect(explanation(allocation, 'MAT211').reason).toBe('Not counted: Linear algebra is waived.');
+  });
+
+  it('lists the requirements still outstanding', () => {
+    const allocation = allocateRequirements([cseMajor], ['CSE114', 'CSE305'].map((c) => course(c))).get(1);
+
+    expect(allocation.outstanding.map((o) => [o.groupId, o.slot, o.codes])).toEqual([
+      ['1-core', 'CSE214', ['CSE214']],
+      ['1-core', 'CSE316', ['CSE316']],
+      ['1-electives', 'Elective 2', []],
+      ['1-linear_algebra', 'one of MAT211, AMS210', ['MAT211', 'AMS210']],
+    ]);
+  });
+
+  describe('across programs', () => {
+    const amsMinor = {
+      programId: 2,
+      programType: 'minor',
+      name: 'AMS MIN Minor',
+      reqObj: {
+        required_courses: ['AMS151', 'AMS161', 'AMS210'],
+        max_shared_courses: 1,
+      },
+    };
+    const major = {
+      ...cseMajor,
+      reqObj: {
+        ...cseMajor.reqObj,
+        calculus: { required: 2, options: [['AMS151', 'AMS161'], ['MAT131', 'MAT132']] },
+      },
+    };
+    const courses = ['AMS151', 'AMS161', 'AMS210', 'MAT211'].map((c) => course(c));
+
+    it("respects a program's limit on shared courses", () => {
+      const allocation = allocateRequirements([amsMinor, major], courses);
+      const minor = allocation.get(2);
+
+      expect(minor.sharedCourses).toEqual(['AMS151']);
+      expect(minor.maxSharedCourses).toBe(1);
+      expect(minor.courseGroup.has('AMS161')).toBe(false);
+      expect(explanation(minor, 'AMS161').reason).toBe(
+        'Not counted: it already counts toward CSE BS Major, and only 1 shared course(s) may count toward AMS MIN Minor (used by AMS151).'
+      );
+      expect(explanation(allocation.get(1), 'AMS151').sharedWith).toEqual(['AMS MIN Minor']);
+    });
+
+    it('leaves interchangeable courses to later programs', () => {
+      const allocation = allocateRequirements([amsMinor, major], courses);
+
+      // MAT211 and AMS210 both satisfy linear algebra; only AMS210 helps the minor
+      expect(allocation.get(1).courseGroup.get('MAT211').groupId).toBe('1-linear_algebra');
+      expect(allocation.get(2).courseGroup.get('AMS210').groupId).toBe('2-core');
+      expect(explanation(allocation.get(1), 'AMS210').reason).toBe(
+        'Left for AMS MIN Minor: Linear algebra is already filled by MAT211.'
+      );
+    });
+
+    it('shares freely without a limit', () => {
+      const allocation = allocateRequirements([{ ...amsMinor, reqObj: { required_courses: ['AMS151', 'AMS161'] } }, major], courses);
+
+      expect(allocation.get(2).sharedCourses).toEqual(['AMS151', 'AMS161']);
+      expect(allocation.get(2).maxSharedCourses).toBeNull();
+    });
+  });
+});
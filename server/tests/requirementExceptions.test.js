@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest';
+import {
+  applyRequirementExceptions,
+  describeException,
+  plannedRequiredCourses,
+  validateRequirementException,
+} from '../services/requirementExceptions.js';
+
+const reqObj = {
+  required_courses: ['CSE114', 'CSE214', 'MAT303'],
+  electives: { min_courses: 4, from_subject: 'CSE', min_level: 300 },
+  natural_science: { required: 1, min_credits: 8, options: [['PHY131'], ['CHE131']] },
+};
+
+describe('applyRequirementExceptions', () => {
+  it('collects substitutions and waivers and lowers minimums', () => {
+    const applied = applyRequirementExceptions(reqObj, [
+      { type: 'substitute', requirementCourse: 'MAT303', substituteCourse: 'AMS361' },
+      { type: 'waive_group', groupKey: 'natural_science' },
+      { type: 'reduce_minimum', groupKey: 'electives', reducedMinimum: 3 },
+    ]);
+
+    expect(applied.substitutions).toEqual(new Map([['MAT303', ['AMS361']]]));
+    expect(applied.waivedGroups).toEqual(new Set(['natural_science']));
+    expect(applied.reqObj.electives.min_courses).toBe(3);
+    expect(reqObj.electives.min_courses).toBe(4);
+  });
+
+  it('reduces a credit minimum', () => {
+    const applied = applyRequirementExceptions(reqObj, [
+      { type: 'reduce_minimum', groupKey: 'natural_science', reducedMinimum: 4 },
+    ]);
+    expect(applied.reqObj.natural_science.min_credits).toBe(4);
+  });
+});
+
+describe('plannedRequiredCourses', () => {
+  const codes = ['CSE114', 'MAT303'];
+
+  it('plans the substitute the student already took', () => {
+    const applied = applyRequirementExceptions(reqObj, [
+      { type: 'substitute', requirementCourse: 'MAT303', substituteCourse: 'AMS361' },
+      { type: 'substitute', requirementCourse: 'MAT303', substituteCourse: 'MAT305' },
+    ]);
+
+    expect(plannedRequiredCourses(codes, applied)).toEqual(['CSE114', 'AMS361']);
+    expect(plannedRequiredCourses(codes, applied, new Set(['MAT305']))).toEqual(['CSE114', 'MAT305']);
+    expect(plannedRequiredCourses(codes, applied, new Set(['MAT303']))).toEqual(['CSE114', 'MAT303']);
+  });
+
+  it('only changes for core waivers, not other groups', () => {
+    const waived = (groupKey) => applyRequirementExceptions(reqObj, [{ type: 'waive_group', groupKey }]);
+    const reduced = applyRequirementExceptions(reqObj, [{ type: 'reduce_minimum', groupKey: 'electives', reducedMinimum: 1 }]);
+
+    expect(plannedRequiredCourses(codes, waived('core'))).toEqual([]);
+    expect(plannedRequiredCourses(codes, waived('natural_science'))).toEqual(codes);
+    expect(plannedRequiredCourses(codes, reduced)).toEqual(codes);
+  });
+});
+
+describe('validateRequirementException', () => {
+  it('accepts a substitute for a listed course', () => {
+    expect(
+      validateRequirementException(reqObj, { type: 'substitute', requirementCourse: 'mat 303', substituteCourse: 'AMS361' })
+    ).toEqual({
+      exception: {
+        type: 'substitute',
+        groupKey: null,
+        requirementCourse: 'MAT303',
+        substituteCourse: 'AMS361',
+        reducedMinimum: null,
+        note: null,
+      },
+    });
+  });
+
+  it('rejects substitutes for courses the program does not list', () => {
+    expect(
+      validateRequirementException(reqObj, { type: 'substitute', requirementCourse: 'MAT211', substituteCourse: 'AMS210' }).error
+    ).toBe('MAT211 is not a requirement of this program');
+  });
+
+  it('requires an existing group and a lower minimum', () => {
+    expect(validateRequirementException(reqObj, { type: 'waive_group', groupKey: 'physics' }).error).toMatch(/^groupKey must be one of core/);
+    expect(validateRequirementException(reqObj, { type: 'reduce_minimum', groupKey: 'core', reducedMinimum: 1 }).error).toBe(
+      'Required Courses has no min_courses or min_credits to reduce'
+    );
+    expect(validateRequirementException(reqObj, { type: 'reduce_minimum', groupKey: 'electives', reducedMinimum: 4 }).error).toBe(
+      'reducedMinimum must be at least 0 and below the current min_courses of 4'
+    );
+    expect(validateRequirementException(reqObj, { type: 'reduce_minimum', groupKey: 'electives', reducedMinimum: 2 }).exception)
+      .toMatchObject({ groupKey: 'electives', reducedMinimum: 2 });
+  });
+
+  it('rejects unknown types', () => {
+    expect(validateRequirementException(reqObj, { type: 'exempt' }).error).toMatch(/^type must be one of/);
+  });
+});
+
+describe('describeException', () => {
+  it('names the group being changed', () => {
+    expect(describeException({ type: 'waive_group', groupKey: 'natural_science' })).toBe('Natural science waived');
+    expect(describeException({ type: 'reduce_minimum', groupKey: 'electives', reducedMinimum: 3 })).toBe(
+      'Electives minimum reduced to 3'
+    );
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseRequisiteText,
+  parseRequisiteValue,
+  describeRequisite,
+  evaluateRequisite,
+  meetsMinGrade,
+  compactCourseCode,
+} from '../services/requisiteParser.js';
+
+const course = (subject, number, minGrade = null) => ({ type: 'course', subject, number, minGrade });
+
+describe('Requisite Parser', () => {
+  it('splits semicolon groups and applies a leading grade threshold to its group', () => {
+    const { ast, errors } = parseRequisiteText('C or higher: CSE 214 or 260; AMS 210 or MAT 211');
+
+    expect(errors).toEqual([]);
+    expect(ast).toEqual({
+      type: 'and',
+      children: [
+        { type: 'or', children: [course('CSE', '214', 'C'), course('CSE', '260', 'C')] },
+        { type: 'or', children: [course('AMS', '210'), course('MAT', '211')] },
+      ],
+    });
+  });
+
+  it('gives "and" precedence over "or" and honours parentheses', () => {
+    expect(describeRequisite(parseRequisiteText('CSE 114 and CSE 215 or CSE 150').ast))
+      .toBe('(CSE 114 and CSE 215) or CSE 150');
+    expect(describeRequisite(parseRequisiteText('(CSE 214 or CSE 260) and AMS 301').ast))
+      .toBe('(CSE 214 or CSE 260) and AMS 301');
+  });
+
+  it('reads comma lists with the list connective', () => {
+    const { ast } = parseRequisiteText('Prerequisites: AMS 151, AMS 161, or MAT 126');
+    expect(ast.type).toBe('or');
+    expect(ast.children).toHaveLength(3);
+  });
+
+  it('reads "one of" lists as "or"', () => {
+    const { ast, errors } = parseRequisiteText('one of the following: CSE 101, 102');
+
+    expect(errors).toEqual([]);
+    expect(ast).toEqual({ type: 'or', children: [course('CSE', '101'), course('CSE', '102')] });
+    expect(describeRequisite(parseRequisiteText('CSE 214 and one of AMS 151, 161, 171').ast))
+      .toBe('CSE 214 and (AMS 151 or AMS 161 or AMS 171)');
+  });
+
+  it('parses standing, major and permission leaves', () => {
+    const { ast, errors } = parseRequisiteText('U3 or U4 standing; CSE major; CSE 214 or permission of instructor');
+
+    expect(errors).toEqual([]);
+    expect(ast.children).toEqual([
+      { type: 'standing', levels: ['U3', 'U4'] },
+      { type: 'major', subject: 'CSE' },
+      { type: 'or', children: [course('CSE', '214'), { type: 'permission', kind: 'instructor' }] },
+    ]);
+  });
+
+  it('reports text it cannot parse but keeps what it recognised', () => {
+    const { ast, errors } = parseRequisiteText('CSE 220 and junior standing');
+
+    expect(ast).toEqual(course('CSE', '220'));
+    expect(errors).toEqual(['Unrecognized text "junior standing"']);
+  });
+
+  it('accepts legacy group arrays', () => {
+    const { ast } = parseRequisiteValue('[["CSE214"], ["MAT125", "MAT131"]]');
+    expect(describeRequisite(ast)).toBe('CSE 214 and (MAT 125 or MAT 131)');
+  });
+
+  it('evaluates trees and reports the unmet groups', () => {
+    const { ast } = parseRequisiteText('C or higher: CSE 214; AMS 210 or MAT 211');
+    const grades = { CSE214: 'C-', MAT211: 'B' };
+
+    const result = evaluateRequisite(ast, {
+      course: (node) => meetsMinGrade(grades[compactCourseCode(node)], node.minGrade),
+    });
+
+    expect(result.satisfied).toBe(false);
+    expect(result.unmet.map(describeRequisite)).toEqual(['C or higher: CSE 214']);
+  });
+
+  it('compares grades against minimum grades', () => {
+    expect(meetsMinGrade('B', 'C')).toBe(true);
+    expect(meetsMinGrade('C-', 'C')).toBe(false);
+    expect(meetsMinGrade('P', 'C')).toBe(true);
+    expect(meetsMinGrade('F')).toBe(false);
+    expect(meetsMinGrade('I')).toBe(false);
+  });
+});
@@ -0,0 +1,89 @@
+import { describe, it, expect, vi } from 'vitest';
+import yaml from 'js-yaml';
+import {
+  loadRosterExport,
+  rosterFileName,
+  toRosterCsv,
+  toRosterYaml,
+  toSignInSheetHtml,
+} from '../services/rosterExport.js';
+import { parseGradeFile } from '../services/bulkGrades.js';
+
+const sectionRow = {
+  class_id: 10, section_num: '01', meeting_days: 'TuTh', meeting_times: '11:00-12:20', location_text: 'Javits 100',
+  subject: 'CSE', course_num: '416', title: 'Software Engineering', semester: 'Fall', year: 2025,
+  instructor_first_name: 'Scott', instructor_last_name: 'Stoller',
+};
+
+const enrollmentRows = [
+  { status: 'registered', waitlist_position: null, gpnc: false, grade: null, sbu_id: '111111111', first_name: 'Ada', last_name: 'Lovelace', email: 'ada@stonybrook.edu' },
+  { status: 'registered', waitlist_position: null, gpnc: true, grade: null, sbu_id: '222222222', first_name: 'Bob', last_name: 'O"Neil, Jr', email: 'bob@stonybrook.edu' },
+  { status: 'completed', waitlist_position: null, gpnc: false, grade: 'W', sbu_id: '333333333', first_name: 'Cy', last_name: 'Gone', email: 'cy@stonybrook.edu' },
+  { status: 'waitlisted', waitlist_position: 1, gpnc: false, grade: null, sbu_id: '444444444', first_name: 'Dee', last_name: '<Waiting>', email: 'dee@stonybrook.edu' },
+];
+
+async function loadSample({ gpncPassThreshold } = {}) {
+  const query = vi.fn(async (sql) => {
+    if (sql.includes('FROM class_sections cs')) return { rows: [sectionRow] };
+    if (sql.includes('gpnc_pass_threshold')) return { rows: gpncPassThreshold ? [{ gpnc_pass_threshold: gpncPassThreshold }] : [] };
+    if (sql.includes('FROM enrollments e')) return { rows: enrollmentRows };
+    return { rows: [] };
+  });
+  return loadRosterExport({ query }, 10);
+}
+
+describe('Roster export', () => {
+  it('uses the users1.yaml field names and GPNC thresholds', async () => {
+    const { students } = await loadSample();
+
+    expect(students[1]).toEqual({
+      SBU_ID: '222222222', first_name: 'Bob', last_name: 'O"Neil, Jr', email: 'bob@stonybrook.edu',
+      status: 'registered', waitlist_position: null, GPNC: 'C', grade: null,
+    });
+    expect(students[3].waitlist_position).toBe(1);
+  });
+
+  it("reports the registrar's GPNC pass threshold", async () => {
+    const { students } = await loadSample({ gpncPassThreshold: 'B-' });
+
+    expect(students[1].GPNC).toBe('B-');
+    expect(students[0].GPNC).toBeNull();
+  });
+
+  it('returns null for a missing section', async () => {
+    expect(await loadRosterExport({ query: vi.fn(async () => ({ rows: [] })) }, 99)).toBeNull();
+  });
+
+  it('writes CSV that bulk grade entry can read back', async () => {
+    const roster = await loadSample();
+    const csv = toRosterCsv(roster);
+
+    expect(csv.split('\n')[0]).toBe('SBU_ID,first_name,last_name,email,status,waitlist_position,GPNC,grade');
+    expect(csv).toContain('"O""Neil, Jr"');
+
+    const { entries } = parseGradeFile(csv.replace('ada@stonybrook.edu,registered,,,', 'ada@stonybrook.edu,registered,,,A'), 'roster.csv');
+    expect(entries[0]).toMatchObject({ sbuId: '111111111', grade: 'A' });
+  });
+
+  it('writes YAML with the section and a students list', async () => {
+    const data = yaml.load(toRosterYaml(await loadSample()));
+
+    expect(data.class).toMatchObject({ subject: 'CSE', course_num: '416', section: '01', semester: 'Fall', year: 2025 });
+    expect(data.students).toHaveLength(4);
+    expect(data.students[0].SBU_ID).toBe('111111111');
+  });
+
+  it('lists waitlisted students separately on the sign-in sheet and leaves out withdrawals', async () => {
+    const html = toSignInSheetHtml(await loadSample());
+    const [enrolled, waitlist] = html.split('Waitlisted');
+
+    expect(enrolled).toContain('Lovelace, Ada');
+    expect(enrolled).not.toContain('Gone, Cy');
+    expect(waitlist).toContain('&lt;Waiting&gt;, Dee');
+    expect(html).not.toContain('<Waiting>');
+  });
+
+  it('builds a safe file name', async () => {
+    expect(rosterFileName((await loadSample()).section)).toBe('CSE416-01_Fall2025_roster');
+  });
+});
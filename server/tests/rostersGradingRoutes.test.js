@@ -11,6 +11,33 @@ function buildApp(queryImpl) {
   return app;
 }
 
+// Transactions run on a client checked out of the pool
+const releaseClient = vi.fn();
+
+function buildInstructorApp(queryImpl) {
+  const app = express();
+  app.use(express.json());
+  app.use((req, _res, next) => {
+    req.db = { query: queryImpl, connect: async () => ({ query: queryImpl, release: releaseClient }) };
+    req.user = { user_id: 5, role: 'Instructor' };
+    next();
+  });
+  app.use('/api/instructor', rostersGradingRoutes);
+  return app;
+}
+
+function buildRegistrarApp(queryImpl) {
+  const app = express();
+  app.use(express.json());
+  app.use((req, _res, next) => {
+    req.db = { query: queryImpl, connect: async () => ({ query: queryImpl, release: releaseClient }) };
+    req.user = { user_id: 1, role: 'Registrar' };
+    next();
+  });
+  app.use('/api/instructor', rostersGradingRoutes);
+  return app;
+}
+
 describe('Rosters and Grading Routes', () => {
   describe('GET /api/rosters/instructors/:instructor_id/sections', () => {
     it('returns instructor sections', async () => {
@@ -138,3 +165,568 @@ describe('Rosters and Grading Routes', () => {
   });
 });
 
+
+describe('POST /api/instructor/rosters/:classId/grade - GPNC', () => {
+  function buildGradeQuery(gpnc, { gpncPassThreshold = null } = {}) {
+    return vi.fn(async (sql, params) => {
+      if (sql.includes('FROM class_sections')) return { rows: [{ term_id: 1, section_role: 'primary' }] };
+      if (sql.includes('gpnc_pass_threshold')) return { rows: [{ gpnc_pass_threshold: gpncPassThreshold }] };
+      if (sql.includes('FROM system_state')) return { rows: [{ term_id: 1, semester: 'Fall', year: 2025 }] };
+      if (sql.includes('SELECT grade, gpnc')) return { rows: [{ grade: null, gpnc }] };
+      if (sql.includes('UPDATE enrollments')) return { rows: [{ grade: params[0], gpnc_letter_grade: params[1] }] };
+      return { rows: [] };
+    });
+  }
+
+  it('records P/NC for GPNC enrollments and keeps the letter grade', async () => {
+    const app = buildInstructorApp(buildGradeQuery(true));
+
+    const res = await request(app).post('/api/instructor/rosters/10/grade').send({ studentId: 102, newGrade: 'C-' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ ok: true, grade: 'NC', letterGrade: 'C-' });
+  });
+
+  it("converts at the registrar's pass threshold", async () => {
+    const app = buildInstructorApp(buildGradeQuery(true, { gpncPassThreshold: 'D' }));
+
+    const res = await request(app).post('/api/instructor/rosters/10/grade').send({ studentId: 102, newGrade: 'C-' });
+
+    expect(res.body).toMatchObject({ ok: true, grade: 'P', letterGrade: 'C-' });
+  });
+
+  it('stores letter grades unchanged for other enrollments', async () => {
+    const app = buildInstructorApp(buildGradeQuery(false));
+
+    const res = await request(app).post('/api/instructor/rosters/10/grade').send({ studentId: 102, newGrade: 'b+' });
+
+    expect(res.body).toMatchObject({ ok: true, grade: 'B+', letterGrade: null });
+  });
+});
+
+describe('POST /api/instructor/rosters/:classId/grades - bulk entry', () => {
+  function buildBulkQuery() {
+    return vi.fn(async (sql) => {
+      if (sql.includes('FROM class_sections')) return { rows: [{ term_id: 1, section_role: 'primary' }] };
+      if (sql.includes('FROM system_state')) return { rows: [{ term_id: 1, semester: 'Fall', year: 2025 }] };
+      if (sql.includes("e.status <> 'waitlisted'")) {
+        return {
+          rows: [
+            { student_id: 101, sbu_id: '111111111', email: 'ada@stonybrook.edu', first_name: 'Ada', last_name: 'L', grade: null, gpnc: false },
+            { student_id: 102, sbu_id: '222222222', email: 'bob@stonybrook.edu', first_name: 'Bob', last_name: 'K', grade: null, gpnc: false },
+          ],
+        };
+      }
+      return { rows: [] };
+    });
+  }
+
+  const csv = 'sbu_id,grade\n111111111,A\n222222222,Q\n';
+
+  it('previews every row without writing', async () => {
+    const query = buildBulkQuery();
+    const app = buildInstructorApp(query);
+
+    const res = await request(app)
+      .post('/api/instructor/rosters/10/grades/preview')
+      .attach('file', Buffer.from(csv), 'grades.csv');
+
+    expect(res.status).toBe(200);
+    expect(res.body.summary).toEqual({ total: 2, valid: 1, invalid: 1 });
+    expect(res.body.rows[1].errors).toEqual(['Invalid grade "Q"']);
+    expect(query.mock.calls.some(([sql]) => sql.includes('UPDATE enrollments'))).toBe(false);
+  });
+
+  it('applies only the valid rows inside one transaction', async () => {
+    const query = buildBulkQuery();
+    releaseClient.mockClear();
+    const app = buildInstructorApp(query);
+
+    const res = await request(app)
+      .post('/api/instructor/rosters/10/grades')
+      .attach('file', Buffer.from(csv), 'grades.csv');
+
+    expect(res.status).toBe(200);
+    expect(res.body.applied).toBe(1);
+
+    const statements = query.mock.calls.map(([sql]) => sql.trim());
+    const updates = query.mock.calls.filter(([sql]) => sql.includes('UPDATE enrollments'));
+    expect(updates).toHaveLength(1);
+    expect(updates[0][1]).toEqual(['A', null, 10, 101]);
+    expect(statements.indexOf('BEGIN')).toBeLessThan(statements.findIndex((sql) => sql.includes('UPDATE enrollments')));
+    expect(statements).toContain('COMMIT');
+    expect(releaseClient).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('Grade change requests', () => {
+  function buildChangeQuery({ enrollment = { grade: 'B', gpnc: false, gpnc_letter_grade: null }, request = {} } = {}) {
+    return vi.fn(async (sql, params) => {
+      if (sql.includes('FROM class_sections')) return { rows: [{ term_id: 1, section_role: 'primary' }] };
+      if (sql.includes('SELECT grade, gpnc, gpnc_letter_grade')) return { rows: [enrollment] };
+      if (sql.includes('INSERT INTO grade_change_requests')) {
+        return { rows: [{ request_id: 9, class_id: 10, student_id: 102, old_grade: params[2], new_grade: params[3], justification: params[4], status: 'pending' }] };
+      }
+      if (sql.includes('FROM grade_change_requests') && sql.includes('FOR UPDATE')) {
+        return { rows: [{ request_id: 9, class_id: 10, student_id: 102, old_grade: 'B', new_grade: 'A-', status: 'pending', ...request }] };
+      }
+      if (sql.includes('UPDATE grade_change_requests')) {
+        return { rows: [{ request_id: 9, class_id: 10, student_id: 102, old_grade: 'B', new_grade: 'A-', status: params[0] }] };
+      }
+      return { rows: [] };
+    });
+  }
+
+  const ran = (query, text) => query.mock.calls.some(([sql]) => sql.includes(text));
+
+  it('lets the instructor request a change with a justification', async () => {
+    const query = buildChangeQuery();
+    const app = buildInstructorApp(query);
+
+    const res = await request(app)
+      .post('/api/instructor/rosters/10/grade-changes')
+      .send({ studentId: 102, oldGrade: 'B', newGrade: 'a-', justification: 'Final exam was mis-scored' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.request).toMatchObject({ requestId: 9, oldGrade: 'B', newGrade: 'A-', status: 'pending' });
+    expect(ran(query, 'UPDATE enrollments')).toBe(false);
+  });
+
+  it('rejects a request whose old grade no longer matches', async () => {
+    const app = buildInstructorApp(buildChangeQuery());
+
+    const res = await request(app)
+      .post('/api/instructor/rosters/10/grade-changes')
+      .send({ studentId: 102, oldGrade: 'C', newGrade: 'A-', justification: 'Typo' });
+
+    expect(res.status).toBe(409);
+  });
+
+  it('requires a justification', async () => {
+    const app = buildInstructorApp(buildChangeQuery());
+
+    const res = await request(app)
+      .post('/api/instructor/rosters/10/grade-changes')
+      .send({ studentId: 102, oldGrade: 'B', newGrade: 'A-', justification: '  ' });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('does not let instructors approve their own requests', async () => {
+    const query = buildChangeQuery();
+    const app = buildInstructorApp(query);
+
+    const res = await request(app).post('/api/instructor/grade-changes/9/approve').send({ approved: true });
+
+    expect(res.status).toBe(403);
+    expect(ran(query, 'UPDATE enrollments')).toBe(false);
+  });
+
+  it('applies an approved change, records history and audits it', async () => {
+    const query = buildChangeQuery();
+    releaseClient.mockClear();
+    const app = buildRegistrarApp(query);
+
+    const res = await request(app).post('/api/instructor/grade-changes/9/approve').send({ approved: true, note: 'ok' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.grade).toBe('A-');
+    const update = query.mock.calls.find(([sql]) => sql.includes('UPDATE enrollments'));
+    expect(update[1]).toEqual(['A-', null, 10, 102]);
+    expect(ran(query, 'INSERT INTO grade_history')).toBe(true);
+    expect(query.mock.calls.some(([sql, params]) => sql.includes('INSERT INTO audit_log') && params.includes('grade_change_approved'))).toBe(true);
+    expect(ran(query, 'COMMIT')).toBe(true);
+    expect(releaseClient).toHaveBeenCalledTimes(1);
+  });
+
+  it('leaves the grade alone when a request is denied', async () => {
+    const query = buildChangeQuery();
+    const app = buildRegistrarApp(query);
+
+    const res = await request(app).post('/api/instructor/grade-changes/9/approve').send({ approved: false });
+
+    expect(res.status).toBe(200);
+    expect(res.body.request.status).toBe('denied');
+    expect(ran(query, 'UPDATE enrollments')).toBe(false);
+  });
+
+  it('refuses to approve when the posted grade changed after the request', async () => {
+    const query = buildChangeQuery({ enrollment: { grade: 'C', gpnc: false, gpnc_letter_grade: null } });
+    const app = buildRegistrarApp(query);
+
+    const res = await request(app).post('/api/instructor/grade-changes/9/approve').send({ approved: true });
+
+    expect(res.status).toBe(409);
+    expect(ran(query, 'ROLLBACK')).toBe(true);
+    expect(ran(query, 'UPDATE enrollments')).toBe(false);
+  });
+});
+
+describe('Final grade submission and roster locks', () => {
+  function buildSubmitQuery({ submittedAt = null, roster, calendar = {}, role = 'primary', grade = null } = {}) {
+    return vi.fn(async (sql, params) => {
+      if (sql.includes('FROM class_sections') && sql.includes('section_role')) {
+        return { rows: [{ term_id: 1, grades_submitted_at: submittedAt, section_role: role }] };
+      }
+      if (sql.includes('FROM class_sections') && sql.includes('FOR UPDATE')) {
+        return { rows: [{ grades_submitted_at: submittedAt }] };
+      }
+      if (sql.includes('FROM system_state')) return { rows: [{ term_id: 1, semester: 'Fall', year: 2025 }] };
+      if (sql.includes('JOIN academic_calendar ac')) return { rows: [calendar] };
+      if (sql.includes("e.status <> 'waitlisted'")) {
+        return {
+          rows: roster ?? [
+            { student_id: 101, first_name: 'Ada', last_name: 'L', grade: 'A' },
+            { student_id: 102, first_name: 'Bob', last_name: 'K', grade: 'I' },
+          ],
+        };
+      }
+      if (sql.includes('UPDATE class_sections')) return { rows: [{ grades_submitted_at: '2025-12-20T10:00:00Z' }] };
+      if (sql.includes('SELECT grade, gpnc')) return { rows: [{ grade, gpnc: false }] };
+      if (sql.includes('UPDATE enrollments')) return { rows: [{ grade: params[0], gpnc_letter_grade: params[1] }] };
+      return { rows: [] };
+    });
+  }
+
+  const ran = (query, text) => query.mock.calls.some(([sql]) => sql.includes(text));
+
+  it('locks the roster once every student has a grade', async () => {
+    const query = buildSubmitQuery();
+    const app = buildInstructorApp(query);
+
+    const res = await request(app).post('/api/instructor/rosters/10/submit');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ ok: true, classId: 10, late: false });
+    expect(query.mock.calls.some(([sql, params]) => sql.includes('INSERT INTO audit_log') && params.includes('final_grades_submitted'))).toBe(true);
+  });
+
+  it('refuses to submit while grades are missing', async () => {
+    const query = buildSubmitQuery({
+      roster: [{ student_id: 101, first_name: 'Ada', last_name: 'L', grade: null }],
+    });
+    const app = buildInstructorApp(query);
+
+    const res = await request(app).post('/api/instructor/rosters/10/submit');
+
+    expect(res.status).toBe(400);
+    expect(res.body.missing).toEqual([{ studentId: 101, name: 'Ada L' }]);
+    expect(ran(query, 'UPDATE class_sections')).toBe(false);
+  });
+
+  it('refuses to submit before the grade submission window opens', async () => {
+    const query = buildSubmitQuery({ calendar: { grade_submission_begins: '2999-01-01' } });
+    const app = buildInstructorApp(query);
+
+    const res = await request(app).post('/api/instructor/rosters/10/submit');
+
+    expect(res.status).toBe(400);
+    expect(ran(query, 'UPDATE class_sections')).toBe(false);
+  });
+
+  it('reports submissions after the deadline as late', async () => {
+    const app = buildInstructorApp(buildSubmitQuery({ calendar: { grade_submission_ends: '2000-01-01' } }));
+
+    const res = await request(app).post('/api/instructor/rosters/10/submit');
+
+    expect(res.body).toMatchObject({ ok: true, late: true });
+  });
+
+  it('blocks grade edits on a locked roster', async () => {
+    const query = buildSubmitQuery({ submittedAt: '2025-12-20T10:00:00Z' });
+    const app = buildInstructorApp(query);
+
+    const res = await request(app).post('/api/instructor/rosters/10/grade').send({ studentId: 102, newGrade: 'B' });
+
+    expect(res.status).toBe(409);
+    expect(ran(query, 'UPDATE enrollments')).toBe(false);
+  });
+
+  it('closes grade entry once the grade submission window has ended', async () => {
+    const query = buildSubmitQuery({ calendar: { grade_submission_ends: '2000-01-01' } });
+    const app = buildInstructorApp(query);
+
+    const res = await request(app).post('/api/instructor/rosters/10/grade').send({ studentId: 101, newGrade: 'B' });
+
+    expect(res.status).toBe(403);
+    expect(ran(query, 'UPDATE enrollments')).toBe(false);
+  });
+
+  it('accepts grades during the submission window after the term has ended', async () => {
+    const query = vi.fn(async (sql, params) => {
+      if (sql.includes('FROM class_sections') && sql.includes('section_role')) {
+        return { rows: [{ term_id: 1, grades_submitted_at: null, section_role: 'primary' }] };
+      }
+      // The current term has moved on to Spring
+      if (sql.includes('FROM system_state')) return { rows: [{ term_id: 2, semester: 'Spring', year: 2026 }] };
+      if (sql.includes('JOIN academic_calendar ac')) return { rows: [{ grade_submission_ends: '2999-01-01' }] };
+      if (sql.includes('SELECT grade, gpnc')) return { rows: [{ grade: null, gpnc: false }] };
+      if (sql.includes('UPDATE enrollments')) return { rows: [{ grade: params[0], gpnc_letter_grade: params[1] }] };
+      return { rows: [] };
+    });
+    const app = buildInstructorApp(query);
+
+    const res = await request(app).post('/api/instructor/rosters/10/grade').send({ studentId: 101, newGrade: 'B' });
+
+    expect(res.status).toBe(200);
+    expect(ran(query, 'UPDATE enrollments')).toBe(true);
+  });
+
+  it('still lets an incomplete be resolved on a locked roster after grade entry closes', async () => {
+    const query = buildSubmitQuery({
+      submittedAt: '2025-12-20T10:00:00Z',
+      calendar: { grade_submission_ends: '2000-01-01' },
+      grade: 'I',
+    });
+    const app = buildInstructorApp(query);
+
+    const res = await request(app).post('/api/instructor/rosters/10/grade').send({ studentId: 102, newGrade: 'B' });
+
+    expect(res.status).toBe(200);
+    expect(ran(query, 'UPDATE enrollments')).toBe(true);
+  });
+
+  it('lets a registrar unlock a roster with a recorded reason', async () => {
+    const query = buildSubmitQuery({ submittedAt: '2025-12-20T10:00:00Z' });
+    releaseClient.mockClear();
+    const app = buildRegistrarApp(query);
+
+    const res = await request(app).post('/api/instructor/rosters/10/unlock').send({ reason: 'Regrade after appeal' });
+
+    expect(res.status).toBe(200);
+    const insert = query.mock.calls.find(([sql]) => sql.includes('INSERT INTO roster_unlocks'));
+    expect(insert[1]).toEqual([10, 'Regrade after appeal', '2025-12-20T10:00:00Z', 1]);
+    expect(ran(query, 'grades_submitted_at = NULL')).toBe(true);
+    expect(ran(query, 'COMMIT')).toBe(true);
+    expect(releaseClient).toHaveBeenCalledTimes(1);
+  });
+
+  it('requires a reason and a registrar to unlock', async () => {
+    const query = buildSubmitQuery({ submittedAt: '2025-12-20T10:00:00Z' });
+
+    const noReason = await request(buildRegistrarApp(query)).post('/api/instructor/rosters/10/unlock').send({});
+    const instructor = await request(buildInstructorApp(query)).post('/api/instructor/rosters/10/unlock').send({ reason: 'x' });
+
+    expect(noReason.status).toBe(400);
+    expect(instructor.status).toBe(403);
+    expect(ran(query, 'INSERT INTO roster_unlocks')).toBe(false);
+  });
+
+  it('lists sections still missing final grades after the deadline', async () => {
+    const section = {
+      class_id: 10, section_num: '01', subject: 'CSE', course_num: '416', title: 'Software Engineering',
+      term_id: 1, semester: 'Fall', year: 2025, instructor_first_name: 'Scott', instructor_last_name: 'S',
+      instructor_email: 's@stonybrook.edu', enrolled_count: '30', missing_count: '4',
+    };
+    const query = vi.fn(async (sql) => {
+      if (sql.includes('GROUP BY cs.class_id')) {
+        return {
+          rows: [
+            { ...section, grades_submitted_at: null, grade_submission_ends: '2000-01-01' },
+            { ...section, class_id: 11, grades_submitted_at: null, grade_submission_ends: '2999-01-01' },
+            { ...section, class_id: 12, grades_submitted_at: '2025-12-20T10:00:00Z', grade_submission_ends: '2000-01-01' },
+            // Fully graded but never submitted: nothing is outstanding
+            { ...section, class_id: 13, grades_submitted_at: null, grade_submission_ends: '2000-01-01', missing_count: '0' },
+          ],
+        };
+      }
+      return { rows: [] };
+    });
+    const app = buildRegistrarApp(query);
+
+    const res = await request(app).get('/api/instructor/grade-submissions');
+
+    expect(res.status).toBe(200);
+    expect(res.body.overdue.map((s) => s.classId)).toEqual([10]);
+    expect(res.body.overdue[0]).toMatchObject({ missingCount: 4, deadline: '2000-01-01', instructorName: 'Scott S' });
+    expect(res.body.submitted.map((s) => s.classId)).toEqual([12]);
+    // Blank grades count as missing, as they do when grades are submitted
+    expect(ran(query, "FILTER (WHERE NULLIF(btrim(e.grade), '') IS NULL) AS missing_count")).toBe(true);
+  });
+});
+
+describe('Section staff roles', () => {
+  function buildStaffQuery(role, { userRole = 'Instructor' } = {}) {
+    return vi.fn(async (sql, params) => {
+      if (sql.includes('section_role') && sql.includes('csi.instructor_id = $2')) {
+        return { rows: [{ term_id: 1, grades_submitted_at: null, section_role: role }] };
+      }
+      if (sql.includes('FROM system_state')) return { rows: [{ term_id: 1, semester: 'Fall', year: 2025 }] };
+      if (sql.includes('SELECT grade, gpnc')) return { rows: [{ grade: null, gpnc: false, gpnc_letter_grade: null }] };
+      if (sql.includes('UPDATE enrollments')) return { rows: [{ grade: params[0], gpnc_letter_grade: params[1] }] };
+      if (sql.includes("e.status <> 'waitlisted'")) return { rows: [{ student_id: 101, first_name: 'Ada', last_name: 'L', grade: 'A' }] };
+      if (sql.includes('UPDATE class_sections')) return { rows: [{ grades_submitted_at: '2025-12-20T10:00:00Z' }] };
+      if (sql.includes('SELECT instructor_id FROM class_sections')) return { rows: [{ instructor_id: 5 }] };
+      if (sql.includes('FROM users WHERE lower(email)')) return { rows: [{ user_id: 7, role: userRole }] };
+      return { rows: [] };
+    });
+  }
+
+  const ran = (query, text) => query.mock.calls.some(([sql]) => sql.includes(text));
+
+  it('lets graders enter grades', async () => {
+    const app = buildInstructorApp(buildStaffQuery('grader'));
+
+    const res = await request(app).post('/api/instructor/rosters/10/grade').send({ studentId: 101, newGrade: 'B' });
+
+    expect(res.status).toBe(200);
+  });
+
+  it('does not let graders submit the final roster', async () => {
+    const query = buildStaffQuery('grader');
+    const app = buildInstructorApp(query);
+
+    const res = await request(app).post('/api/instructor/rosters/10/submit');
+
+    expect(res.status).toBe(403);
+    expect(ran(query, 'UPDATE class_sections')).toBe(false);
+  });
+
+  it('lets co-instructors submit the final roster', async () => {
+    const app = buildInstructorApp(buildStaffQuery('co_instructor'));
+
+    const res = await request(app).post('/api/instructor/rosters/10/submit');
+
+    expect(res.status).toBe(200);
+  });
+
+  it('does not let graders request grade changes', async () => {
+    const app = buildInstructorApp(buildStaffQuery('grader'));
+
+    const res = await request(app)
+      .post('/api/instructor/rosters/10/grade-changes')
+      .send({ studentId: 101, oldGrade: 'A', newGrade: 'B', justification: 'typo' });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('rejects instructors who are not on the section', async () => {
+    const query = vi.fn(async () => ({ rows: [] }));
+    const app = buildInstructorApp(query);
+
+    const res = await request(app).post('/api/instructor/rosters/10/grade').send({ studentId: 101, newGrade: 'B' });
+
+    expect(res.status).toBe(403);
+    expect(ran(query, 'UPDATE enrollments')).toBe(false);
+  });
+
+  it('lets the primary instructor add a grader', async () => {
+    const query = buildStaffQuery('primary');
+    const app = buildInstructorApp(query);
+
+    const res = await request(app).post('/api/instructor/rosters/10/staff').send({ email: 'TA@stonybrook.edu', role: 'grader' });
+
+    expect(res.status).toBe(200);
+    const insert = query.mock.calls.find(([sql]) => sql.includes('INSERT INTO class_section_instructors'));
+    expect(insert[1]).toEqual([10, 7, 'grader']);
+  });
+
+  it('only lets the primary instructor manage staff', async () => {
+    const query = buildStaffQuery('co_instructor');
+    const app = buildInstructorApp(query);
+
+    const res = await request(app).post('/api/instructor/rosters/10/staff').send({ email: 'ta@stonybrook.edu', role: 'grader' });
+
+    expect(res.status).toBe(403);
+    expect(ran(query, 'INSERT INTO class_section_instructors')).toBe(false);
+  });
+
+  it('does not list sections through a stale primary row', async () => {
+    const query = buildStaffQuery('primary');
+    const app = buildInstructorApp(query);
+
+    const res = await request(app).get('/api/instructor/rosters');
+
+    expect(res.status).toBe(200);
+    const [sql] = query.mock.calls.find(([text]) => text.includes('AS section_role'));
+    expect(sql).toContain("csi.role <> 'primary'");
+  });
+
+  it('only adds instructor accounts as staff', async () => {
+    const query = buildStaffQuery('primary', { userRole: 'Student' });
+    const app = buildInstructorApp(query);
+
+    const res = await request(app).post('/api/instructor/rosters/10/staff').send({ email: 'ta@stonybrook.edu', role: 'grader' });
+
+    expect(res.status).toBe(400);
+    expect(ran(query, 'INSERT INTO class_section_instructors')).toBe(false);
+  });
+});
+
+describe('GET /api/instructor/rosters/:classId/export', () => {
+  function buildExportQuery(role) {
+    return vi.fn(async (sql) => {
+      if (sql.includes('section_role')) return { rows: role ? [{ term_id: 1, grades_submitted_at: null, section_role: role }] : [] };
+      if (sql.includes('FROM class_sections cs') && sql.includes('cs.location_text')) {
+        return { rows: [{ class_id: 10, section_num: '01', subject: 'CSE', course_num: '416', title: 'SE', semester: 'Fall', year: 2025 }] };
+      }
+      if (sql.includes('FROM enrollments e')) {
+        return { rows: [{ status: 'registered', gpnc: false, grade: null, sbu_id: '111111111', first_name: 'Ada', last_name: 'L', email: 'ada@stonybrook.edu' }] };
+      }
+      return { rows: [] };
+    });
+  }
+
+  it('downloads a CSV roster for section staff', async () => {
+    const app = buildInstructorApp(buildExportQuery('grader'));
+
+    const res = await request(app).get('/api/instructor/rosters/10/export?format=csv');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toContain('text/csv');
+    expect(res.headers['content-disposition']).toContain('CSE416-01_Fall2025_roster.csv');
+    expect(res.text).toContain('111111111,Ada,L,ada@stonybrook.edu,registered');
+  });
+
+  it('serves the sign-in sheet as HTML', async () => {
+    const app = buildInstructorApp(buildExportQuery('primary'));
+
+    const res = await request(app).get('/api/instructor/rosters/10/export?format=html');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toContain('text/html');
+    expect(res.text).toContain('L, Ada');
+  });
+
+  it('refuses instructors who are not on the section', async () => {
+    const query = buildExportQuery(null);
+    const app = buildInstructorApp(query);
+
+    const res = await request(app).get('/api/instructor/rosters/10/export?format=yaml');
+
+    expect(res.status).toBe(403);
+    expect(query.mock.calls.some(([sql]) => sql.includes('FROM enrollments e'))).toBe(false);
+  });
+
+  it('rejects unknown formats', async () => {
+    const app = buildInstructorApp(buildExportQuery('primary'));
+
+    const res = await request(app).get('/api/instructor/rosters/10/export?format=pdf');
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('PUT /api/instructor/incompletes/policy', () => {
+  it('only lets registrars set the policy', async () => {
+    const query = vi.fn(async () => ({ rows: [] }));
+    const app = buildInstructorApp(query);
+
+    const res = await request(app)
+      .put('/api/instructor/incompletes/policy')
+      .send({ termId: 1, resolutionDays: 60, lapseGrade: 'F' });
+
+    expect(res.status).toBe(403);
+    expect(query.mock.calls.some(([sql]) => sql.includes('INSERT INTO incomplete_grade_policies'))).toBe(false);
+  });
+
+  it('rejects lapse grades other than F or NC', async () => {
+    const app = buildInstructorApp(vi.fn(async () => ({ rows: [] })));
+
+    const res = await request(app)
+      .put('/api/instructor/incompletes/policy')
+      .send({ termId: 1, resolutionDays: 60, lapseGrade: 'D' });
+
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it, expect, vi } from 'vitest';
+import { syncPrimaryInstructor } from '../services/sectionStaff.js';
+
+// class_section_instructors for one section, kept in memory
+function buildDb(staff) {
+  const rows = [...staff];
+  const query = vi.fn(async (sql, params) => {
+    if (sql.includes('DELETE FROM class_section_instructors')) {
+      const [, keepId] = params;
+      for (let i = rows.length - 1; i >= 0; i--) {
+        if (rows[i].role === 'primary' && rows[i].instructor_id !== keepId) rows.splice(i, 1);
+      }
+    } else if (sql.includes('INSERT INTO class_section_instructors')) {
+      const [, instructorId] = params;
+      const existing = rows.find((r) => r.instructor_id === instructorId);
+      if (existing) existing.role = 'primary';
+      else rows.push({ instructor_id: instructorId, role: 'primary' });
+    }
+    return { rows: [] };
+  });
+  return { db: { query }, rows };
+}
+
+describe('Section staff', () => {
+  it('drops the previous primary when a section changes instructor', async () => {
+    const { db, rows } = buildDb([
+      { instructor_id: 5, role: 'primary' },
+      { instructor_id: 6, role: 'grader' },
+    ]);
+
+    await syncPrimaryInstructor(db, 10, 7);
+
+    expect(rows).toEqual([
+      { instructor_id: 6, role: 'grader' },
+      { instructor_id: 7, role: 'primary' },
+    ]);
+  });
+
+  it('promotes a co-instructor who becomes the instructor of record', async () => {
+    const { db, rows } = buildDb([
+      { instructor_id: 5, role: 'primary' },
+      { instructor_id: 6, role: 'co_instructor' },
+    ]);
+
+    await syncPrimaryInstructor(db, 10, 6);
+
+    expect(rows).toEqual([{ instructor_id: 6, role: 'primary' }]);
+  });
+
+  it('leaves no primary row when the instructor is unknown', async () => {
+    const { db, rows } = buildDb([{ instructor_id: 5, role: 'primary' }]);
+
+    await syncPrimaryInstructor(db, 10, null);
+
+    expect(rows).toEqual([]);
+    expect(db.query).toHaveBeenCalledTimes(1);
+  });
+});
@@ -132,3 +132,70 @@ describe('Student Profile Routes', () => {
   });
 });
 
+
+describe('GET /api/student/profile/transcript', () => {
+  function buildTranscriptApp(user, rowsFor) {
+    const query = vi.fn(async (sql) => {
+      if (sql.includes('FROM users')) return { rows: rowsFor.student ? [rowsFor.student] : [] };
+      if (sql.includes('FROM enrollments e')) return { rows: rowsFor.enrollments ?? [] };
+      return { rows: [] };
+    });
+    const app = express();
+    app.use((req, _res, next) => { req.db = { query }; req.user = user; next(); });
+    app.use('/api/student/profile', studentProfileRoutes);
+    return { app, query };
+  }
+
+  const student = { user_id: 5, sbu_id: '555555555', first_name: 'Sam', last_name: 'Student', email: 'sam@stonybrook.edu' };
+  const enrollments = [
+    { grade: 'A', gpnc: false, subject: 'CSE', course_num: '114', title: 'OOP', credits: 4, term_id: 1, semester: 'Fall', year: 2024 },
+  ];
+
+  it('returns the student their own transcript as JSON', async () => {
+    const { app, query } = buildTranscriptApp({ userId: 5, role: 'Student' }, { student, enrollments });
+
+    const res = await request(app).get('/api/student/profile/transcript?studentId=9');
+
+    expect(res.status).toBe(200);
+    expect(res.body.student.userId).toBe(5);
+    expect(res.body.terms[0]).toMatchObject({ semester: 'Fall', year: 2024, termGpa: 4, cumulativeGpa: 4 });
+    expect(query.mock.calls[0][1]).toEqual([5]);
+  });
+
+  it('serves a printable HTML view', async () => {
+    const { app } = buildTranscriptApp({ userId: 5, role: 'Student' }, { student, enrollments });
+
+    const res = await request(app).get('/api/student/profile/transcript?format=html');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toContain('text/html');
+    expect(res.text).toContain('Unofficial Transcript');
+  });
+
+  it('lets registrars and advisors look up a student by id', async () => {
+    const { app, query } = buildTranscriptApp({ userId: 1, role: 'Advisor' }, { student, enrollments });
+
+    const res = await request(app).get('/api/student/profile/transcript?studentId=5');
+
+    expect(res.status).toBe(200);
+    expect(query.mock.calls[0][1]).toEqual([5]);
+
+    const missing = await request(buildTranscriptApp({ userId: 1, role: 'Registrar' }, {}).app)
+      .get('/api/student/profile/transcript');
+    expect(missing.status).toBe(400);
+  });
+
+  it('rejects instructors, unknown students and unknown formats', async () => {
+    const instructor = await request(buildTranscriptApp({ userId: 2, role: 'Instructor' }, { student }).app)
+      .get('/api/student/profile/transcript');
+    expect(instructor.status).toBe(403);
+
+    const unknown = await request(buildTranscriptApp({ userId: 1, role: 'Registrar' }, {}).app)
+      .get('/api/student/profile/transcript?studentId=99');
+    expect(unknown.status).toBe(404);
+
+    const badFormat = await request(buildTranscriptApp({ userId: 5, role: 'Student' }, { student }).app)
+      .get('/api/student/profile/transcript?format=pdf');
+    expect(badFormat.status).toBe(400);
+  });
+});
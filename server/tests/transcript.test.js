@@ -0,0 +1,116 @@
+import { describe, it, expect, vi } from 'vitest';
+import { buildTranscript, loadTranscript, toTranscriptHtml } from '../services/transcript.js';
+import { termCompare } from '../services/termCalendar.js';
+
+const student = { user_id: 7, sbu_id: '123456789', first_name: 'Ada', last_name: 'Lovelace', email: 'ada@stonybrook.edu' };
+
+const enrollments = [
+  { grade: 'B', gpnc: false, subject: 'CSE', course_num: '214', title: 'Data Structures', credits: 4, term_id: 2, semester: 'Spring', year: 2021 },
+  { grade: 'W', gpnc: false, subject: 'AMS', course_num: '161', title: 'Calculus II', credits: 3, term_id: 2, semester: 'Spring', year: 2021 },
+  { grade: 'A', gpnc: false, subject: 'CSE', course_num: '114', title: 'Intro to OOP', credits: 4, term_id: 1, semester: 'Fall', year: 2020 },
+  { grade: 'B+', gpnc: true, subject: 'WRT', course_num: '102', title: 'Writing', credits: 3, term_id: 1, semester: 'Fall', year: 2020 },
+  { grade: 'C', gpnc: false, subject: 'PHY', course_num: '131', title: 'Physics I', credits: 4, term_id: 3, semester: 'SummerI', year: 2021 },
+  { grade: null, gpnc: false, subject: 'CSE', course_num: '316', title: 'Systems', credits: 3, term_id: 4, semester: 'Fall', year: 2021 },
+];
+
+const programs = {
+  declaredMajors: [{ program: 'CSE BS', requirementVersion: 'Fall 2020' }],
+  declaredMinors: [],
+};
+
+const transferCourses = [
+  { class: 'CSE101', university: 'SCCC', credits: 3, department: 'CSE', course_num: 101, grade: 'A' },
+  { class: 'CSE999', university: 'SCCC', credits: 3, department: null, course_num: null, grade: null },
+];
+
+describe('termCompare', () => {
+  it('orders terms within a year as Spring, summer sessions, Fall', () => {
+    const terms = [['Fall', 2021], ['SummerII', 2021], ['Spring', 2022], ['SummerI', 2021], ['Spring', 2021]];
+    terms.sort((a, b) => termCompare(a[0], a[1], b[0], b[1]));
+    expect(terms).toEqual([['Spring', 2021], ['SummerI', 2021], ['SummerII', 2021], ['Fall', 2021], ['Spring', 2022]]);
+  });
+});
+
+describe('Transcript', () => {
+  it('groups courses by term in chronological order', () => {
+    const t = buildTranscript({ student, enrollments, programs, transferCourses });
+
+    expect(t.terms.map((term) => `${term.semester} ${term.year}`)).toEqual([
+      'Fall 2020', 'Spring 2021', 'SummerI 2021', 'Fall 2021',
+    ]);
+    expect(t.terms[0].courses.map((c) => c.courseCode)).toEqual(['CSE 114', 'WRT 102']);
+  });
+
+  it('computes credit-weighted term and cumulative GPA', () => {
+    const t = buildTranscript({ student, enrollments, programs, transferCourses: [] });
+
+    // Fall 2020: A (4 cr) only; the GPNC course is P and stays out of GPA
+    expect(t.terms[0]).toMatchObject({ termGpa: 4, gpaCredits: 4, earnedCredits: 7, cumulativeGpa: 4 });
+    // Spring 2021: B (4 cr); the W counts for nothing
+    expect(t.terms[1]).toMatchObject({ termGpa: 3, gpaCredits: 4, earnedCredits: 4, cumulativeGpa: 3.5 });
+    // Summer: C (4 cr) -> (16 + 12 + 8) / 12
+    expect(t.terms[2]).toMatchObject({ termGpa: 2, cumulativeGpa: 3, cumulativeEarnedCredits: 15 });
+    // In-progress term has no GPA yet and keeps the cumulative figure
+    expect(t.terms[3]).toMatchObject({ termGpa: null, cumulativeGpa: 3 });
+    expect(t.terms[3].courses[0].grade).toBeNull();
+    expect(t.cumulativeGpa).toBe(3);
+  });
+
+  it('shows GPNC grades as P/NC and lists W, I and P grades', () => {
+    const t = buildTranscript({ student, enrollments, programs, transferCourses: [] });
+
+    expect(t.terms[0].courses[1].grade).toBe('P');
+    expect(t.specialGrades).toEqual([
+      { semester: 'Fall', year: 2020, courseCode: 'WRT 102', title: 'Writing', grade: 'P' },
+      { semester: 'Spring', year: 2021, courseCode: 'AMS 161', title: 'Calculus II', grade: 'W' },
+    ]);
+  });
+
+  it('adds transfer credit to earned credits but not to GPA', () => {
+    const t = buildTranscript({ student, enrollments, programs, transferCourses });
+
+    expect(t.transferCourses[0]).toEqual({ course: 'CSE101', institution: 'SCCC', credits: 3, equivalent: 'CSE 101', grade: 'A' });
+    expect(t.transferCourses[1].equivalent).toBeNull();
+    expect(t.transferCredits).toBe(6);
+    expect(t.totalEarnedCredits).toBe(21);
+    expect(t.cumulativeGpa).toBe(3);
+  });
+
+  it('loads the student, enrollments, programs and transfer courses', async () => {
+    const query = vi.fn(async (sql) => {
+      if (sql.includes('FROM users')) return { rows: [student] };
+      if (sql.includes('FROM enrollments e')) return { rows: enrollments };
+      if (sql.includes('FROM student_programs sp')) {
+        return { rows: [{ subject: 'CSE', degree_type: 'BS', program_type: 'major', effective_term: '{"semester":"Fall","year":2020}' }] };
+      }
+      if (sql.includes('transfer_courses')) return { rows: [{ transfer_courses: transferCourses }] };
+      return { rows: [] };
+    });
+
+    const t = await loadTranscript({ query }, 7);
+
+    expect(t.student).toEqual({ userId: 7, name: 'Ada Lovelace', sbuId: '123456789', email: 'ada@stonybrook.edu' });
+    expect(t.declaredMajors).toEqual([{ program: 'CSE BS', requirementVersion: 'Fall 2020' }]);
+    expect(t.transferCourses).toHaveLength(2);
+    expect(query.mock.calls.find(([sql]) => sql.includes('FROM enrollments e'))[0]).toContain("e.status <> 'waitlisted'");
+  });
+
+  it('returns null for an unknown student', async () => {
+    expect(await loadTranscript({ query: vi.fn(async () => ({ rows: [] })) }, 99)).toBeNull();
+  });
+
+  it('renders an escaped printable page', () => {
+    const html = toTranscriptHtml(
+      buildTranscript({ student: { ...student, last_name: '<Lovelace>' }, enrollments, programs, transferCourses })
+    );
+
+    expect(html).toContain('Unofficial Transcript');
+    expect(html).toContain('&lt;Lovelace&gt;');
+    expect(html).not.toContain('<Lovelace>');
+    expect(html).toContain('CSE BS (requirements Fall 2020)');
+    expect(html).toContain('Transfer Credit (6 credits)');
+    expect(html).toContain('W – Withdrawn');
+    expect(html).toContain('<em>In progress</em>');
+    expect(html.indexOf('Fall 2020')).toBeLessThan(html.indexOf('Spring 2021'));
+  });
+});
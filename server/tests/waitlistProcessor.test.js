@@ -0,0 +1,155 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { setCustomDate } from '../utils/dateWrapper.js';
+import {
+  isWaitlistOpen,
+  processSectionWaitlist,
+  processWaitlistsIfDateAdvanced,
+} from '../services/waitlistProcessor.js';
+
+const CALENDAR = { waitlist: '2025-09-05', waitlist_process_ends: '2025-09-12' };
+
+function buildDb({
+  capacity = 2,
+  registered = 1,
+  waitlisted = [],
+  holds = {},
+  termCredits = {},
+  lastSkips = {},
+  otherSections = {},
+} = {}) {
+  const query = vi.fn(async (sql, params = []) => {
+    if (sql.includes("action_type = 'waitlist_skipped'")) {
+      return { rows: lastSkips[params[0]] ? [{ note: lastSkips[params[0]] }] : [] };
+    }
+    if (sql.includes('FROM terms t') && sql.includes('JOIN academic_calendar ac')) {
+      return { rows: [CALENDAR] };
+    }
+    if (sql.includes('AS section_capacity')) {
+      return { rows: [{ class_id: 10, section_capacity: capacity, room_capacity: null, registered_count: String(registered) }] };
+    }
+    if (sql.includes('SELECT cs.class_id, cs.term_id, cs.section_num')) {
+      return { rows: [{ class_id: 10, term_id: 1, section_num: '01', course_id: 5, subject: 'CSE', course_num: '214', credits: 3 }] };
+    }
+    if (sql.includes("e.status = 'waitlisted'") && sql.includes('ORDER BY e.waitlist_position')) {
+      return { rows: waitlisted.map((id) => ({ student_id: id })) };
+    }
+    if (sql.includes('cs2.course_id = $2')) {
+      return { rows: otherSections[params[0]] ? [{ section_num: otherSections[params[0]] }] : [] };
+    }
+    if (sql.includes('FROM registration_holds')) {
+      return { rows: holds[params[0]] ? [{ hold_type: holds[params[0]] }] : [] };
+    }
+    if (sql.includes('SELECT meeting_days, meeting_times')) {
+      return { rows: [{ meeting_days: 'Tue,Thu', meeting_times: '2:00-3:20 PM' }] };
+    }
+    if (sql.includes('AS term_credits')) {
+      return { rows: [{ term_credits: termCredits[params[0]] ?? 0 }] };
+    }
+    if (sql.includes('UPDATE enrollments')) {
+      return { rows: [{ student_id: params[1] }] };
+    }
+    return { rows: [] };
+  });
+  return { query };
+}
+
+const auditCalls = (db, actionType) =>
+  db.query.mock.calls.filter(([sql, params]) => sql.includes('INSERT INTO audit_log') && params[1] === actionType);
+
+describe('Waitlist Processor', () => {
+  beforeEach(() => {
+    setCustomDate('2025-09-03');
+  });
+
+  it('closes waitlist joins after the calendar waitlist date', async () => {
+    const db = buildDb();
+    expect((await isWaitlistOpen(db, 1)).open).toBe(true);
+
+    setCustomDate('2025-09-06');
+    const status = await isWaitlistOpen(db, 1);
+    expect(status.open).toBe(false);
+    expect(status.closesOn).toBe('2025-09-05');
+  });
+
+  it('promotes waitlisted students in position order into free seats', async () => {
+    const db = buildDb({ capacity: 3, registered: 1, waitlisted: [101, 102, 103] });
+
+    const result = await processSectionWaitlist(db, 10);
+
+    expect(result.promoted).toEqual([
+      { studentId: 101, position: 1 },
+      { studentId: 102, position: 2 },
+    ]);
+    expect(auditCalls(db, 'waitlist_promoted')).toHaveLength(2);
+  });
+
+  it('skips students with holds or over the credit limit and audits each skip', async () => {
+    const db = buildDb({
+      capacity: 2,
+      registered: 1,
+      waitlisted: [101, 102, 103],
+      holds: { 101: 'financial' },
+      termCredits: { 102: 18 },
+    });
+
+    const result = await processSectionWaitlist(db, 10);
+
+    expect(result.promoted).toEqual([{ studentId: 103, position: 3 }]);
+    expect(result.skipped.map((s) => s.studentId)).toEqual([101, 102]);
+    expect(result.skipped[0].reason).toMatch(/hold/i);
+    expect(result.skipped[1].reason).toMatch(/credit limit/i);
+    expect(auditCalls(db, 'waitlist_skipped')).toHaveLength(2);
+  });
+
+  it('skips students already registered in another section of the course', async () => {
+    const db = buildDb({ capacity: 2, registered: 1, waitlisted: [101, 102], otherSections: { 101: '02' } });
+
+    const result = await processSectionWaitlist(db, 10);
+
+    expect(result.promoted).toEqual([{ studentId: 102, position: 2 }]);
+    expect(result.skipped).toEqual([
+      { studentId: 101, position: 1, reason: 'Already registered for another section of this course (Section 02)' },
+    ]);
+    const [, params] = db.query.mock.calls.find(([sql]) => sql.includes('cs2.course_id = $2'));
+    expect(params).toEqual([101, 5, 1, 10]);
+  });
+
+  it('only audits a skip when its reason changes', async () => {
+    const db = buildDb({ capacity: 2, registered: 1, waitlisted: [101, 102, 103], holds: { 101: 'financial', 102: 'advising' } });
+    const first = await processSectionWaitlist(db, 10);
+    const [reason101, reason102] = first.skipped.map((s) => s.reason);
+
+    const rerun = buildDb({
+      capacity: 2,
+      registered: 1,
+      waitlisted: [101, 102, 103],
+      holds: { 101: 'financial', 102: 'advising' },
+      lastSkips: { 101: reason101, 102: `${reason102} (earlier)` },
+    });
+    const result = await processSectionWaitlist(rerun, 10);
+
+    expect(result.skipped.map((s) => s.studentId)).toEqual([101, 102]);
+    expect(auditCalls(rerun, 'waitlist_skipped').map(([, params]) => params[0])).toEqual([102]);
+  });
+
+  it('does not promote after waitlist processing ends', async () => {
+    setCustomDate('2025-09-13');
+    const db = buildDb({ capacity: 3, registered: 1, waitlisted: [101] });
+
+    const result = await processSectionWaitlist(db, 10);
+
+    expect(result.processingClosed).toBe(true);
+    expect(result.promoted).toHaveLength(0);
+  });
+
+  it('only runs the full sweep when the current date moves forward', async () => {
+    const db = buildDb();
+
+    setCustomDate('2025-09-09');
+    expect(await processWaitlistsIfDateAdvanced(db)).not.toBeNull();
+    expect(await processWaitlistsIfDateAdvanced(db)).toBeNull();
+
+    setCustomDate('2025-09-10');
+    expect(await processWaitlistsIfDateAdvanced(db)).not.toBeNull();
+  });
+});
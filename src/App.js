@@ -17,6 +17,12 @@ import Plan from './pages/Plan.jsx';
 import ClassManage from './pages/ClassManage.jsx';
 import WaiversHolds from './pages/WaiversHolds.jsx';
 import TimeConflictWaivers from './pages/TimeConflictWaivers.jsx';
+import CreditOverloads from './pages/CreditOverloads.jsx';
+import GradeChangeRequests from './pages/GradeChangeRequests.jsx';
+import Incompletes from './pages/Incompletes.jsx';
+import GradeSubmissions from './pages/GradeSubmissions.jsx';
+import GradeAnalytics from './pages/GradeAnalytics.jsx';
+import AcademicStanding from './pages/AcademicStanding.jsx';
 import AuditLog from './pages/AuditLog.jsx';
 import AcademicCalendar from './pages/AcademicCalendar.jsx';
 import DegreeRequirements from './pages/DegreeRequirements.jsx';
@@ -44,6 +50,12 @@ export default function App() {
           <Route path="classManage" element={<ClassManage />} />
           <Route path="waiversHolds" element={<WaiversHolds />} />
           <Route path="timeConflictWaivers" element={<TimeConflictWaivers />} />
+          <Route path="creditOverloads" element={<CreditOverloads />} />
+          <Route path="gradeChanges" element={<GradeChangeRequests />} />
+          <Route path="incompletes" element={<Incompletes />} />
+          <Route path="gradeSubmissions" element={<GradeSubmissions />} />
+          <Route path="gradeAnalytics" element={<GradeAnalytics />} />
+          <Route path="academicStanding" element={<AcademicStanding />} />
           <Route path="auditLog" element={<AuditLog />} />
           <Route path="academicCalendar" element={<AcademicCalendar />} />
           <Route path="degreeRequirements" element={<DegreeRequirements />} />
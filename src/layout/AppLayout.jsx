@@ -137,6 +137,9 @@ export default function AppLayout() {
                 <NavItem to="/app/academicCalendar">Academic Calendar</NavItem>
                 <NavItem to="/app/waiversHolds">Waivers & Holds</NavItem>
                 <NavItem to="/app/timeConflictWaivers">Time Conflict Waivers</NavItem>
+                <NavItem to="/app/creditOverloads">Credit Overloads</NavItem>
+                <NavItem to="/app/gradeAnalytics">Grade Analytics</NavItem>
+                <NavItem to="/app/academicStanding">Academic Standing</NavItem>
                 <NavItem to="/app/auditLog">Audit Log</NavItem>
               </>
             ) : role === 'instructor' ? (
@@ -159,6 +162,12 @@ export default function AppLayout() {
                 <NavItem to="/app/academicCalendar">Academic Calendar</NavItem>
                 <NavItem to="/app/currentDate">Current Date</NavItem>
                 <NavItem to="/app/waiversHolds">Waivers & Holds</NavItem>
+                <NavItem to="/app/creditOverloads">Credit Overloads</NavItem>
+                <NavItem to="/app/gradeChanges">Grade Changes</NavItem>
+                <NavItem to="/app/incompletes">Incompletes</NavItem>
+                <NavItem to="/app/gradeSubmissions">Grade Submissions</NavItem>
+                <NavItem to="/app/gradeAnalytics">Grade Analytics</NavItem>
+                <NavItem to="/app/academicStanding">Academic Standing</NavItem>
                 <NavItem to="/app/auditLog">Audit Log</NavItem>
               </>
             ) : null}
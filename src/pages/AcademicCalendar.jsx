@@ -356,6 +356,27 @@ export default function AcademicCalendar() {
                   </span>
                 </div>
               )}
+              {(calendar.gradeSubmissionBegins || calendar.gradeSubmissionEnds) && (
+                <div
+                  style={{
+                    display: 'grid',
+                    gridTemplateColumns: '250px 1fr',
+                    gap: 16,
+                    padding: 12,
+                    marginTop: 12,
+                    background: '#d1ecf1',
+                    borderRadius: 6,
+                    border: '1px solid #0c5460',
+                  }}
+                >
+                  <strong>Grade Submission:</strong>
+                  <span style={{ fontWeight: 'bold', color: '#0c5460' }}>
+                    {calendar.gradeSubmissionBegins ? formatDate(calendar.gradeSubmissionBegins) : 'Any time'}
+                    {' – '}
+                    {calendar.gradeSubmissionEnds ? formatDate(calendar.gradeSubmissionEnds) : 'no deadline'}
+                  </span>
+                </div>
+              )}
             </div>
           </div>
         </div>
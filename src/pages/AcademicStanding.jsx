@@ -0,0 +1,253 @@
+import React, { useState, useEffect, useCallback } from 'react';
+
+const STANDING_COLORS = {
+  deans_list: '#2e7d32',
+  good_standing: '#333',
+  probation: '#c62828'
+};
+
+const formatGpa = (gpa) => (gpa == null ? '—' : gpa.toFixed(3));
+
+export default function AcademicStanding() {
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [role, setRole] = useState(null);
+  const [termId, setTermId] = useState('');
+  const [data, setData] = useState(null);
+  const [form, setForm] = useState({ probationGpa: '', deansListGpa: '', deansListMinCredits: '' });
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    async function loadRole() {
+      try {
+        const res = await fetch('/api/dashboard', { credentials: 'include' });
+        const body = await res.json().catch(() => ({}));
+        if (res.ok && body.role) setRole(String(body.role).toLowerCase());
+      } catch (err) {
+        console.error('[AcademicStanding] Error loading role:', err);
+      }
+    }
+    loadRole();
+  }, []);
+
+  const loadStandings = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+
+      const query = termId ? `?termId=${encodeURIComponent(termId)}` : '';
+      const res = await fetch(`/api/academic-standing${query}`, {
+        credentials: 'include',
+        cache: 'no-cache'
+      });
+
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok || body.ok === false) {
+        throw new Error(body.error || 'Failed to load academic standing');
+      }
+
+      setData(body);
+      setForm({
+        probationGpa: String(body.thresholds.probationGpa),
+        deansListGpa: String(body.thresholds.deansListGpa),
+        deansListMinCredits: String(body.thresholds.deansListMinCredits)
+      });
+    } catch (err) {
+      setError(err.message);
+      console.error('[AcademicStanding] Error loading standings:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [termId]);
+
+  useEffect(() => {
+    loadStandings();
+  }, [loadStandings]);
+
+  async function handleSaveThresholds() {
+    try {
+      setSaving(true);
+      setError('');
+      setMessage('');
+
+      const res = await fetch('/api/academic-standing/settings', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({
+          probationGpa: Number(form.probationGpa),
+          deansListGpa: Number(form.deansListGpa),
+          deansListMinCredits: Number(form.deansListMinCredits)
+        })
+      });
+
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok || body.ok === false) {
+        throw new Error(body.error || 'Failed to save thresholds');
+      }
+
+      setMessage('Thresholds saved. They apply to terms that end from now on.');
+      await loadStandings();
+    } catch (err) {
+      setError(err.message);
+      console.error('[AcademicStanding] Error saving thresholds:', err);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  const inputStyle = { padding: 8, borderRadius: 6, border: '1px solid #ddd' };
+  const cellStyle = { padding: 8, borderBottom: '1px solid #eee', textAlign: 'left' };
+  const isRegistrar = role === 'registrar';
+
+  return (
+    <div style={{ padding: 20 }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 24 }}>
+        <h1 style={{ margin: 0 }}>Academic Standing</h1>
+        <select value={termId || data?.termId || ''} onChange={e => setTermId(e.target.value)} style={inputStyle}>
+          {(data?.closedTerms || []).length === 0 && <option value="">No ended terms</option>}
+          {(data?.closedTerms || []).map(t => (
+            <option key={t.termId} value={t.termId}>{t.semester} {t.year}</option>
+          ))}
+        </select>
+      </div>
+
+      {error && (
+        <div style={{
+          padding: 12,
+          marginBottom: 16,
+          borderRadius: 6,
+          background: '#ffebee',
+          color: '#c62828',
+          border: '1px solid #ef5350'
+        }}>
+          {error}
+        </div>
+      )}
+
+      {message && (
+        <div style={{
+          padding: 12,
+          marginBottom: 16,
+          borderRadius: 6,
+          background: '#e8f5e9',
+          color: '#2e7d32',
+          border: '1px solid #66bb6a'
+        }}>
+          {message}
+        </div>
+      )}
+
+      {data && (
+        <div style={{ padding: 16, marginBottom: 24, borderRadius: 8, background: '#f5f5f5' }}>
+          <h3 style={{ marginTop: 0 }}>Thresholds</h3>
+          <div style={{ display: 'flex', gap: 16, alignItems: 'flex-end', flexWrap: 'wrap' }}>
+            <label>
+              <div style={{ fontSize: 12, color: '#666' }}>Probation below cumulative GPA</div>
+              <input
+                type="number"
+                step="0.1"
+                min="0"
+                max="4"
+                value={form.probationGpa}
+                disabled={!isRegistrar}
+                onChange={e => setForm({ ...form, probationGpa: e.target.value })}
+                style={{ ...inputStyle, width: 100 }}
+              />
+            </label>
+            <label>
+              <div style={{ fontSize: 12, color: '#666' }}>Dean's list term GPA at least</div>
+              <input
+                type="number"
+                step="0.1"
+                min="0"
+                max="4"
+                value={form.deansListGpa}
+                disabled={!isRegistrar}
+                onChange={e => setForm({ ...form, deansListGpa: e.target.value })}
+                style={{ ...inputStyle, width: 100 }}
+              />
+            </label>
+            <label>
+              <div style={{ fontSize: 12, color: '#666' }}>Dean's list minimum GPA credits</div>
+              <input
+                type="number"
+                min="0"
+                value={form.deansListMinCredits}
+                disabled={!isRegistrar}
+                onChange={e => setForm({ ...form, deansListMinCredits: e.target.value })}
+                style={{ ...inputStyle, width: 100 }}
+              />
+            </label>
+            {isRegistrar && (
+              <button
+                onClick={handleSaveThresholds}
+                disabled={saving}
+                style={{
+                  padding: '8px 16px',
+                  borderRadius: 6,
+                  border: 'none',
+                  background: '#1976d2',
+                  color: 'white',
+                  cursor: saving ? 'not-allowed' : 'pointer',
+                  fontWeight: 'bold',
+                  opacity: saving ? 0.6 : 1
+                }}
+              >
+                {saving ? 'Saving...' : 'Save'}
+              </button>
+            )}
+          </div>
+          <p style={{ marginBottom: 0, color: '#666', fontSize: 13 }}>
+            Standings are recorded once a term's final grade submission deadline passes. Students on probation get an
+            academic advising hold.
+          </p>
+        </div>
+      )}
+
+      {loading ? (
+        <div>Loading...</div>
+      ) : data && (
+        <>
+          <h2>
+            Students ({data.standings.length}) · Dean's List {data.counts.deans_list} · Good Standing{' '}
+            {data.counts.good_standing} · Probation {data.counts.probation}
+          </h2>
+          {data.standings.length === 0 ? (
+            <p style={{ color: '#666' }}>No standings recorded yet.</p>
+          ) : (
+            <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+              <thead>
+                <tr style={{ background: '#f8f9fa' }}>
+                  <th style={cellStyle}>Student</th>
+                  <th style={cellStyle}>SBU ID</th>
+                  <th style={cellStyle}>Standing</th>
+                  <th style={cellStyle}>Term GPA</th>
+                  <th style={cellStyle}>Term GPA Credits</th>
+                  <th style={cellStyle}>Cumulative GPA</th>
+                  <th style={cellStyle}>Cumulative GPA Credits</th>
+                </tr>
+              </thead>
+              <tbody>
+                {data.standings.map(s => (
+                  <tr key={s.studentId}>
+                    <td style={cellStyle}>{s.studentName}</td>
+                    <td style={cellStyle}>{s.sbuId || '—'}</td>
+                    <td style={{ ...cellStyle, color: STANDING_COLORS[s.standing], fontWeight: 'bold' }}>
+                      {s.label}{s.holdId ? ' (hold placed)' : ''}
+                    </td>
+                    <td style={cellStyle}>{formatGpa(s.termGpa)}</td>
+                    <td style={cellStyle}>{s.termGpaCredits}</td>
+                    <td style={cellStyle}>{formatGpa(s.cumulativeGpa)}</td>
+                    <td style={cellStyle}>{s.cumulativeGpaCredits}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
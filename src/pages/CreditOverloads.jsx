@@ -0,0 +1,204 @@
+import React, { useState, useEffect } from 'react';
+
+export default function CreditOverloads() {
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [requests, setRequests] = useState([]);
+  const [processingRequest, setProcessingRequest] = useState(null);
+  const [notes, setNotes] = useState({});
+
+  async function loadRequests() {
+    try {
+      setLoading(true);
+      setError('');
+
+      const res = await fetch('/api/registration/credit-overload/pending', {
+        credentials: 'include',
+        cache: 'no-cache'
+      });
+
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok || data.ok === false) {
+        throw new Error(data.error || 'Failed to load credit overload requests');
+      }
+
+      setRequests(data.requests || []);
+    } catch (err) {
+      setError(err.message);
+      console.error('[CreditOverloads] Error loading requests:', err);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    loadRequests();
+  }, []);
+
+  async function handleDecision(requestId, approved) {
+    const verb = approved ? 'approve' : 'deny';
+    if (!window.confirm(`Are you sure you want to ${verb} this credit overload?`)) {
+      return;
+    }
+
+    try {
+      setProcessingRequest(requestId);
+      setError('');
+
+      const res = await fetch(`/api/registration/credit-overload/${requestId}/approve`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ approved, note: notes[requestId] || null })
+      });
+
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok || data.ok === false) {
+        throw new Error(data.error || `Failed to ${verb} credit overload`);
+      }
+
+      await loadRequests();
+    } catch (err) {
+      setError(err.message);
+      console.error('[CreditOverloads] Error recording decision:', err);
+    } finally {
+      setProcessingRequest(null);
+    }
+  }
+
+  if (loading) {
+    return (
+      <div style={{ padding: 20 }}>
+        <h1>Credit Overloads</h1>
+        <div>Loading...</div>
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ padding: 20 }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 24 }}>
+        <h1 style={{ margin: 0 }}>Credit Overloads</h1>
+        <button
+          onClick={loadRequests}
+          style={{
+            padding: '8px 16px',
+            borderRadius: 6,
+            border: '1px solid #ddd',
+            background: 'white',
+            cursor: 'pointer',
+            fontWeight: 'bold'
+          }}
+        >
+          Refresh
+        </button>
+      </div>
+
+      {error && (
+        <div style={{
+          padding: 12,
+          marginBottom: 16,
+          borderRadius: 6,
+          background: '#ffebee',
+          color: '#c62828',
+          border: '1px solid #ef5350'
+        }}>
+          {error}
+        </div>
+      )}
+
+      {requests.length === 0 ? (
+        <div style={{
+          padding: 24,
+          textAlign: 'center',
+          background: '#f5f5f5',
+          borderRadius: 8,
+          color: '#666'
+        }}>
+          <p style={{ fontSize: 18, margin: 0 }}>No pending credit overload requests</p>
+          <p style={{ fontSize: 14, marginTop: 8 }}>All requests requiring your approval have been processed.</p>
+        </div>
+      ) : (
+        <div style={{ display: 'grid', gap: 16 }}>
+          {requests.map(request => (
+            <div
+              key={request.requestId}
+              style={{
+                padding: 20,
+                borderRadius: 8,
+                background: '#fff3cd',
+                border: '1px solid #ffc107',
+                boxShadow: '0 2px 4px rgba(0,0,0,0.1)'
+              }}
+            >
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'start', gap: 16 }}>
+                <div style={{ flex: 1 }}>
+                  <h3 style={{ margin: '0 0 12px 0', color: '#856404' }}>
+                    {request.requestedCredits} credits in {request.term}
+                  </h3>
+                  <div style={{ marginBottom: 8 }}>
+                    <strong>Student:</strong> {request.studentName} ({request.studentEmail})
+                  </div>
+                  <div style={{ marginBottom: 8, fontSize: 14 }}>
+                    <strong>Current limit:</strong> {request.currentLimit} credits •{' '}
+                    <strong>Standing:</strong> {request.classStanding} •{' '}
+                    <strong>GPA:</strong> {request.gpa != null ? request.gpa.toFixed(2) : 'N/A'}
+                  </div>
+                  {request.reason && (
+                    <div style={{ marginBottom: 8, fontSize: 14 }}>
+                      <strong>Reason:</strong> {request.reason}
+                    </div>
+                  )}
+                  <div style={{ marginBottom: 8, fontSize: 14, color: '#666' }}>
+                    <strong>Requested:</strong> {new Date(request.requestedAt).toLocaleString()}
+                  </div>
+                  <input
+                    type="text"
+                    placeholder="Note (optional)"
+                    value={notes[request.requestId] || ''}
+                    onChange={e => setNotes(prev => ({ ...prev, [request.requestId]: e.target.value }))}
+                    style={{ width: '100%', padding: 8, borderRadius: 6, border: '1px solid #ddd', boxSizing: 'border-box' }}
+                  />
+                </div>
+                <div style={{ display: 'flex', gap: 8 }}>
+                  <button
+                    onClick={() => handleDecision(request.requestId, true)}
+                    disabled={processingRequest === request.requestId}
+                    style={{
+                      padding: '8px 16px',
+                      borderRadius: 6,
+                      border: 'none',
+                      background: '#28a745',
+                      color: 'white',
+                      cursor: processingRequest === request.requestId ? 'not-allowed' : 'pointer',
+                      fontWeight: 'bold',
+                      opacity: processingRequest === request.requestId ? 0.6 : 1
+                    }}
+                  >
+                    {processingRequest === request.requestId ? 'Processing...' : 'Approve'}
+                  </button>
+                  <button
+                    onClick={() => handleDecision(request.requestId, false)}
+                    disabled={processingRequest === request.requestId}
+                    style={{
+                      padding: '8px 16px',
+                      borderRadius: 6,
+                      border: 'none',
+                      background: '#dc3545',
+                      color: 'white',
+                      cursor: processingRequest === request.requestId ? 'not-allowed' : 'pointer',
+                      fontWeight: 'bold',
+                      opacity: processingRequest === request.requestId ? 0.6 : 1
+                    }}
+                  >
+                    Deny
+                  </button>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
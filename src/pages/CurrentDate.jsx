@@ -52,7 +52,21 @@ export default function CurrentDateConfig() {
       const data = await res.json();
       if (data.ok) {
         setCurrent(new Date(data.currentDateObject));
-        setMessage(data.message || 'Date updated successfully');
+        // Moving the date forward runs waitlist processing on the server
+        const wp = data.waitlistProcessing;
+        const waitlistNote = wp && (wp.promoted.length > 0 || wp.skipped.length > 0)
+          ? ` Waitlist processing: ${wp.promoted.length} promoted, ${wp.skipped.length} skipped.`
+          : '';
+        const lapsedCount = data.incompleteLapses?.lapsed?.length || 0;
+        const lapseNote = lapsedCount > 0
+          ? ` ${lapsedCount} incomplete grade${lapsedCount === 1 ? '' : 's'} lapsed.`
+          : '';
+        const closedTerms = data.academicStanding?.terms || [];
+        const probationCount = data.academicStanding?.probation?.length || 0;
+        const standingNote = closedTerms.length > 0
+          ? ` Academic standing recorded for ${closedTerms.map(t => t.termCode).join(', ')} (${probationCount} on probation).`
+          : '';
+        setMessage((data.message || 'Date updated successfully') + waitlistNote + lapseNote + standingNote);
         setManualDate(''); // Clear the input
       }
     } catch (err) {
@@ -142,7 +142,12 @@ export default function Dashboard() {
         value: stats.currentGpa != null ? stats.currentGpa.toFixed(2) : 'N/A',
         color: '#ff9800'
       },
-      { label: 'Credits to Graduate', value: stats.creditsToGraduate, color: '#9c27b0' }
+      { label: 'Credits to Graduate', value: stats.creditsToGraduate, color: '#9c27b0' },
+      {
+        label: stats.academicStanding ? `Standing (${stats.academicStanding.term})` : 'Academic Standing',
+        value: stats.academicStanding ? stats.academicStanding.label : 'N/A',
+        color: stats.academicStanding?.standing === 'probation' ? '#f44336' : '#009688'
+      }
     ];
   } else if (role === 'instructor' && stats) {
     statCards = [
@@ -20,6 +20,12 @@ export default function DeclareMajorMinor() {
   const [effectiveTermMajor, setEffectiveTermMajor] = useState(''); // e.g., "Fall 2025"
   const [effectiveTermMinor, setEffectiveTermMinor] = useState(''); // e.g., "Fall 2025"
 
+  // What-if audit: how current coursework would count toward other programs
+  const [whatIfProgramIds, setWhatIfProgramIds] = useState([]);
+  const [whatIfResult, setWhatIfResult] = useState(null);
+  const [whatIfLoading, setWhatIfLoading] = useState(false);
+  const [whatIfError, setWhatIfError] = useState('');
+
   // Load initial data from backend
   useEffect(() => {
     async function loadPrograms() {
@@ -86,6 +92,47 @@ export default function DeclareMajorMinor() {
   const canAddMajor = majors.length < maxMajors && majorOptions.length > 0;
   const canAddMinor = minors.length < maxMinors && minorOptions.length > 0;
 
+  const toggleWhatIfProgram = (programId) => {
+    setWhatIfResult(null);
+    setWhatIfProgramIds((prev) =>
+      prev.includes(programId) ? prev.filter((id) => id !== programId) : [...prev, programId]
+    );
+  };
+
+  const handleRunWhatIf = async () => {
+    if (whatIfProgramIds.length === 0) {
+      setWhatIfError('Select at least one program.');
+      return;
+    }
+    try {
+      setWhatIfLoading(true);
+      setWhatIfError('');
+
+      const res = await fetch(
+        `/api/degree/progress?programIds=${encodeURIComponent(whatIfProgramIds.join(','))}`,
+        { credentials: 'include' }
+      );
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok || data.ok === false) {
+        throw new Error(data.error || 'Failed to run what-if audit.');
+      }
+
+      setWhatIfResult(data);
+    } catch (e) {
+      console.error(e);
+      setWhatIfError(e.message || 'Failed to run what-if audit.');
+    } finally {
+      setWhatIfLoading(false);
+    }
+  };
+
+  const groupStatusLabel = (group) => {
+    if (group.waived) return 'Waived';
+    if (group.status?.completed) return 'Satisfied';
+    if (group.status?.inProgress) return 'In progress';
+    return 'Not satisfied';
+  };
+
   const handleAddMajor = async () => {
     if (!selectedMajorId) {
       alert('Please select a major to add.');
@@ -532,6 +579,83 @@ export default function DeclareMajorMinor() {
               )}
             </div>
           </div>
+
+          {/* What-If Audit */}
+          <div
+            style={{
+              marginTop: 24,
+              padding: 16,
+              borderRadius: 8,
+              background: '#fff',
+              border: '1px solid #e0e0e0',
+            }}
+          >
+            <h3 style={{ marginTop: 0 }}>What-If Audit</h3>
+            <p style={{ color: '#666', marginTop: 0 }}>
+              See how the courses you have taken would count toward other programs. Nothing is declared.
+            </p>
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: 12, marginBottom: 12 }}>
+              {[...availableMajors, ...availableMinors].map((p) => (
+                <label key={p.programId} style={{ fontSize: 14 }}>
+                  <input
+                    type="checkbox"
+                    checked={whatIfProgramIds.includes(p.programId)}
+                    onChange={() => toggleWhatIfProgram(p.programId)}
+                  />{' '}
+                  {p.programName}
+                  {p.programCode ? ` (${p.programCode})` : ''}
+                </label>
+              ))}
+            </div>
+            <button
+              onClick={handleRunWhatIf}
+              disabled={whatIfLoading}
+              style={{
+                padding: '10px 16px',
+                borderRadius: 6,
+                border: 'none',
+                background: '#1976d2',
+                color: 'white',
+                fontWeight: 'bold',
+                cursor: whatIfLoading ? 'not-allowed' : 'pointer',
+              }}
+            >
+              {whatIfLoading ? 'Running...' : 'Run What-If'}
+            </button>
+
+            {whatIfError && <p style={{ color: '#c62828' }}>{whatIfError}</p>}
+
+            {whatIfResult && (
+              <div style={{ marginTop: 16 }}>
+                {whatIfResult.estimate && (
+                  <p>
+                    <strong>{whatIfResult.estimate.remainingCredits}</strong> credits remaining
+                    {whatIfResult.estimate.termsRemaining != null
+                      ? ` · about ${whatIfResult.estimate.termsRemaining} more term(s)`
+                      : ''}
+                    {whatIfResult.estimate.estimatedGraduationTerm
+                      ? ` · estimated graduation ${whatIfResult.estimate.estimatedGraduationTerm}`
+                      : ''}
+                  </p>
+                )}
+                {[...(whatIfResult.majorRequirements || []), ...(whatIfResult.minorRequirements || [])].map(
+                  (program) => (
+                    <div key={program.programId} style={{ marginBottom: 12 }}>
+                      <strong>{program.name}</strong>
+                      {program.requirementVersion ? ` (${program.requirementVersion} requirements)` : ''}
+                      <ul style={{ margin: '6px 0' }}>
+                        {(program.groups || []).map((g) => (
+                          <li key={g.id}>
+                            {g.title}: {groupStatusLabel(g)}
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )
+                )}
+              </div>
+            )}
+          </div>
         </>
       )}
     </div>
@@ -11,13 +11,39 @@ export default function DegreeProgress() {
   const [majorReqs, setMajorReqs] = useState([]);
   const [minorReqs, setMinorReqs] = useState([]);
 
+  // Advisors and registrars look up a student and manage their requirement exceptions
+  const [role, setRole] = useState(null);
+  const [studentIdInput, setStudentIdInput] = useState("");
+  const [studentId, setStudentId] = useState("");
+  const [reloadKey, setReloadKey] = useState(0);
+  const [exceptionForms, setExceptionForms] = useState({});
+  const [exceptionMessage, setExceptionMessage] = useState("");
+  const [savingException, setSavingException] = useState(false);
+
+  const isStaff = role === "advisor" || role === "registrar";
+  const canManageExceptions = isStaff && !!studentId;
+
+  useEffect(() => {
+    async function loadRole() {
+      try {
+        const res = await fetch("/api/dashboard", { credentials: "include" });
+        const body = await res.json().catch(() => ({}));
+        if (res.ok && body.role) setRole(String(body.role).toLowerCase());
+      } catch (e) {
+        console.error("[DegreeProgress] Error loading role:", e);
+      }
+    }
+    loadRole();
+  }, []);
+
   useEffect(() => {
     async function load() {
       try {
         setLoading(true);
         setError("");
 
-        const res = await fetch("/api/degree/progress", { credentials: "include" });
+        const query = studentId ? `?studentId=${encodeURIComponent(studentId)}` : "";
+        const res = await fetch(`/api/degree/progress${query}`, { credentials: "include" });
         const data = await res.json().catch(() => ({}));
 
         if (!res.ok || data.ok === false) {
@@ -50,7 +76,84 @@ export default function DegreeProgress() {
     }
 
     load();
-  }, []);
+  }, [studentId, reloadKey]);
+
+  const exceptionFormFor = (programId) =>
+    exceptionForms[programId] ?? {
+      type: "substitute",
+      requirementCourse: "",
+      substituteCourse: "",
+      groupKey: "",
+      reducedMinimum: "",
+      note: "",
+    };
+
+  const updateExceptionForm = (programId, changes) =>
+    setExceptionForms((prev) => ({ ...prev, [programId]: { ...exceptionFormFor(programId), ...changes } }));
+
+  async function grantException(programId) {
+    try {
+      setSavingException(true);
+      setError("");
+      setExceptionMessage("");
+
+      const form = exceptionFormFor(programId);
+      const res = await fetch("/api/degree/exceptions", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify({
+          studentId: Number(studentId),
+          programId,
+          type: form.type,
+          requirementCourse: form.requirementCourse,
+          substituteCourse: form.substituteCourse,
+          groupKey: form.groupKey,
+          reducedMinimum: form.reducedMinimum === "" ? null : Number(form.reducedMinimum),
+          note: form.note,
+        }),
+      });
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok || body.ok === false) {
+        throw new Error(body.error || "Failed to grant exception.");
+      }
+
+      setExceptionMessage(`Granted: ${body.exception.description}.`);
+      setExceptionForms((prev) => ({ ...prev, [programId]: undefined }));
+      setReloadKey((k) => k + 1);
+    } catch (e) {
+      console.error(e);
+      setError(e.message || "Failed to grant exception.");
+    } finally {
+      setSavingException(false);
+    }
+  }
+
+  async function revokeException(exception) {
+    if (!window.confirm(`Revoke "${exception.description}"?`)) return;
+    try {
+      setSavingException(true);
+      setError("");
+      setExceptionMessage("");
+
+      const res = await fetch(`/api/degree/exceptions/${exception.exceptionId}`, {
+        method: "DELETE",
+        credentials: "include",
+      });
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok || body.ok === false) {
+        throw new Error(body.error || "Failed to revoke exception.");
+      }
+
+      setExceptionMessage(`Revoked: ${exception.description}.`);
+      setReloadKey((k) => k + 1);
+    } catch (e) {
+      console.error(e);
+      setError(e.message || "Failed to revoke exception.");
+    } finally {
+      setSavingException(false);
+    }
+  }
 
   const calculateProgress = (completed, total) => {
     const t = Number(total) || 0;
@@ -107,7 +210,7 @@ export default function DegreeProgress() {
             : [];
 
         total += core.length;
-        done += core.filter((c) => !!c.completed).length;
+        done += core.filter((c) => !!c.completed && c.counted !== false).length;
       }
 
       return { programs: (programs || []).length, totalCourses: total, completedCourses: done };
@@ -232,6 +335,191 @@ export default function DegreeProgress() {
             Enrolled
           </span>
         ) : null}
+
+        {c?.substitutedBy ? (
+          <div style={{ fontSize: 12, marginTop: 8, color: "#666" }}>
+            Met by approved substitute {c.substitutedBy}
+          </div>
+        ) : null}
+
+        {(completed || inProgress) && c?.counted === false ? (
+          <div style={{ fontSize: 12, marginTop: 8, color: "#666" }}>
+            {c?.countsToward
+              ? `Counted toward ${c.countsToward.title}`
+              : "Not counted toward this program (see Course Allocation)"}
+          </div>
+        ) : null}
+
+        {!completed && !inProgress && c?.prerequisites ? (
+          <div style={{ fontSize: 12, marginTop: 8, color: c?.prerequisitesMet === false ? "#c62828" : "#666" }}>
+            Prerequisites: {c.prerequisites}
+            {c?.prerequisitesMet === false ? " (not yet met)" : ""}
+          </div>
+        ) : null}
+      </div>
+    );
+  };
+
+  const renderAllocation = (program) => {
+    const rows = Array.isArray(program?.courseAllocation) ? program.courseAllocation : [];
+    if (rows.length === 0) return null;
+
+    const cell = { padding: 8, borderBottom: "1px solid #eee", textAlign: "left", verticalAlign: "top" };
+
+    return (
+      <details style={{ marginTop: 12 }}>
+        <summary style={{ cursor: "pointer", fontWeight: "bold" }}>
+          Course Allocation
+          {program?.maxSharedCourses != null && (
+            <span style={{ fontWeight: "normal", color: "#666" }}>
+              {" "}
+              · {program.sharedCourses?.length ?? 0} of {program.maxSharedCourses} shared courses used
+            </span>
+          )}
+        </summary>
+        <table style={{ width: "100%", borderCollapse: "collapse", marginTop: 8, fontSize: 13 }}>
+          <thead>
+            <tr style={{ background: "#f8f9fa" }}>
+              <th style={cell}>Course</th>
+              <th style={cell}>Counts Toward</th>
+              <th style={cell}>Why</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((r) => (
+              <tr key={r.code}>
+                <td style={cell}>
+                  {r.code}
+                  {r.status === "in_progress" ? " (enrolled)" : ""}
+                </td>
+                <td style={cell}>{r.groupTitle ?? "—"}</td>
+                <td style={cell}>{r.reason}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </details>
+    );
+  };
+
+  const renderExceptions = (program) => {
+    const exceptions = Array.isArray(program?.exceptions) ? program.exceptions : [];
+    if (exceptions.length === 0 && !canManageExceptions) return null;
+
+    const programId = program?.programId;
+    const form = exceptionFormFor(programId);
+    const groupKeys = (program?.groups || []).map((g) => ({
+      key: String(g.id).slice(`${programId}-`.length),
+      title: g.title,
+    }));
+    const inputStyle = { padding: 6, borderRadius: 6, border: "1px solid #ddd" };
+
+    return (
+      <div style={{ marginTop: 12, padding: 16, borderRadius: 8, background: "#f5f5f5" }}>
+        <div style={{ fontWeight: "bold", marginBottom: 8 }}>Requirement Exceptions</div>
+
+        {exceptions.length === 0 ? (
+          <div style={{ color: "#777", fontSize: 13 }}>No exceptions granted.</div>
+        ) : (
+          exceptions.map((e) => (
+            <div
+              key={e.exceptionId}
+              style={{ display: "flex", justifyContent: "space-between", gap: 12, fontSize: 13, marginBottom: 6 }}
+            >
+              <span>
+                {e.description}
+                <span style={{ color: "#666" }}>
+                  {" "}
+                  · granted{e.grantedByName ? ` by ${e.grantedByName}` : ""}
+                  {e.grantedAt ? ` on ${new Date(e.grantedAt).toLocaleDateString()}` : ""}
+                  {e.note ? ` · ${e.note}` : ""}
+                </span>
+              </span>
+              {canManageExceptions ? (
+                <button onClick={() => revokeException(e)} disabled={savingException} style={{ cursor: "pointer" }}>
+                  Revoke
+                </button>
+              ) : null}
+            </div>
+          ))
+        )}
+
+        {canManageExceptions ? (
+          <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center", marginTop: 12 }}>
+            <select
+              value={form.type}
+              onChange={(e) => updateExceptionForm(programId, { type: e.target.value })}
+              style={inputStyle}
+            >
+              <option value="substitute">Substitute a course</option>
+              <option value="waive_group">Waive a requirement</option>
+              <option value="reduce_minimum">Reduce a minimum</option>
+            </select>
+
+            {form.type === "substitute" ? (
+              <>
+                <input
+                  placeholder="Required course (e.g. MAT303)"
+                  value={form.requirementCourse}
+                  onChange={(e) => updateExceptionForm(programId, { requirementCourse: e.target.value })}
+                  style={inputStyle}
+                />
+                <input
+                  placeholder="Substitute (e.g. AMS361)"
+                  value={form.substituteCourse}
+                  onChange={(e) => updateExceptionForm(programId, { substituteCourse: e.target.value })}
+                  style={inputStyle}
+                />
+              </>
+            ) : (
+              <select
+                value={form.groupKey}
+                onChange={(e) => updateExceptionForm(programId, { groupKey: e.target.value })}
+                style={inputStyle}
+              >
+                <option value="">Requirement…</option>
+                {groupKeys.map((g) => (
+                  <option key={g.key} value={g.key}>
+                    {g.title}
+                  </option>
+                ))}
+              </select>
+            )}
+
+            {form.type === "reduce_minimum" ? (
+              <input
+                type="number"
+                min="0"
+                placeholder="New minimum"
+                value={form.reducedMinimum}
+                onChange={(e) => updateExceptionForm(programId, { reducedMinimum: e.target.value })}
+                style={{ ...inputStyle, width: 110 }}
+              />
+            ) : null}
+
+            <input
+              placeholder="Note"
+              value={form.note}
+              onChange={(e) => updateExceptionForm(programId, { note: e.target.value })}
+              style={{ ...inputStyle, flex: 1, minWidth: 160 }}
+            />
+            <button
+              onClick={() => grantException(programId)}
+              disabled={savingException}
+              style={{
+                padding: "6px 14px",
+                borderRadius: 6,
+                border: "none",
+                background: "#1976d2",
+                color: "white",
+                fontWeight: "bold",
+                cursor: savingException ? "not-allowed" : "pointer",
+              }}
+            >
+              Grant
+            </button>
+          </div>
+        ) : null}
       </div>
     );
   };
@@ -241,7 +529,7 @@ export default function DegreeProgress() {
     const completed = !!status.completed;
     const inProgress = !!status.inProgress;
 
-    const headerBg = completed ? "#4caf50" : inProgress ? "#ff9800" : "#f44336";
+    const headerBg = group?.waived ? "#607d8b" : completed ? "#4caf50" : inProgress ? "#ff9800" : "#f44336";
 
     return (
       <div
@@ -263,7 +551,10 @@ export default function DegreeProgress() {
           }}
         >
           <div style={{ fontWeight: "bold", fontSize: 16 }}>{group?.title ?? "Requirement"}</div>
-          {pill(completed ? "Satisfied" : inProgress ? "In progress" : "Not satisfied", headerBg)}
+          {pill(
+            group?.waived ? "Waived" : completed ? "Satisfied" : inProgress ? "In progress" : "Not satisfied",
+            headerBg
+          )}
         </div>
 
         {group?.type === "all" && Array.isArray(group.items) ? (
@@ -484,7 +775,14 @@ export default function DegreeProgress() {
 
       return (
         <div key={`${kindLabel}-${programId}`} style={{ marginBottom: 28 }}>
-          <h2 style={{ marginBottom: 12 }}>{programName}</h2>
+          <h2 style={{ marginBottom: 12 }}>
+            {programName}
+            {program?.requirementVersion && (
+              <span style={{ marginLeft: 8, fontSize: 14, fontWeight: "normal", color: "#666" }}>
+                ({program.requirementVersion} requirements)
+              </span>
+            )}
+          </h2>
 
           {groups.length > 0 ? (
             <div style={{ marginTop: 12 }}>
@@ -513,6 +811,9 @@ export default function DegreeProgress() {
               )}
             </div>
           )}
+
+          {renderExceptions(program)}
+          {renderAllocation(program)}
         </div>
       );
     });
@@ -522,6 +823,42 @@ export default function DegreeProgress() {
     <div style={{ padding: 20 }}>
       <h1>Degree Progress</h1>
 
+      {isStaff ? (
+        <div style={{ display: "flex", gap: 8, alignItems: "center", marginBottom: 16 }}>
+          <input
+            placeholder="Student ID"
+            value={studentIdInput}
+            onChange={(e) => setStudentIdInput(e.target.value)}
+            style={{ padding: 8, borderRadius: 6, border: "1px solid #ddd" }}
+          />
+          <button
+            onClick={() => {
+              setExceptionMessage("");
+              setStudentId(studentIdInput.trim());
+            }}
+            style={{ padding: "8px 16px", borderRadius: 6, border: "1px solid #ddd", cursor: "pointer" }}
+          >
+            View Student
+          </button>
+          {studentId ? <span style={{ color: "#666" }}>Viewing student {studentId}</span> : null}
+        </div>
+      ) : null}
+
+      {exceptionMessage ? (
+        <div
+          style={{
+            padding: 12,
+            borderRadius: 6,
+            background: "#e8f5e9",
+            color: "#2e7d32",
+            border: "1px solid #66bb6a",
+            marginBottom: 16,
+          }}
+        >
+          {exceptionMessage}
+        </div>
+      ) : null}
+
       {loading ? <p style={{ color: "#666" }}>Loading degree progress...</p> : null}
 
       {error ? (
@@ -705,7 +1042,7 @@ export default function DegreeProgress() {
                         fontWeight: "bold",
                       }}
                     >
-                      {cat.completed ? "Satisfied" : cat.inProgress ? "In progress" : "Not satisfied"}
+                      {cat.exempt ? "Exempt" : cat.completed ? "Satisfied" : cat.inProgress ? "In progress" : "Not satisfied"}
                     </span>
                   </div>
 
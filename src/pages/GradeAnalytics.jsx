@@ -0,0 +1,309 @@
+import React, { useState, useEffect, useCallback } from 'react';
+
+const GRADE_ORDER = ['A+', 'A', 'A-', 'B+', 'B', 'B-', 'C+', 'C', 'C-', 'D+', 'D', 'D-', 'F', 'P', 'NC', 'I', 'W'];
+
+const percent = (value) => (value == null ? '—' : `${(value * 100).toFixed(1)}%`);
+
+function Histogram({ histogram, count }) {
+  const grades = Object.keys(histogram).sort((a, b) => {
+    const ia = GRADE_ORDER.indexOf(a);
+    const ib = GRADE_ORDER.indexOf(b);
+    return (ia === -1 ? 99 : ia) - (ib === -1 ? 99 : ib) || a.localeCompare(b);
+  });
+
+  return (
+    <div style={{ display: 'flex', alignItems: 'flex-end', gap: 4, height: 60 }}>
+      {grades.map(g => (
+        <div key={g} title={`${g}: ${histogram[g]}`} style={{ textAlign: 'center', fontSize: 10 }}>
+          <div
+            style={{
+              width: 18,
+              height: Math.max(2, Math.round((histogram[g] / count) * 44)),
+              background: g === 'W' || g === 'I' ? '#ff9800' : '#1976d2',
+              borderRadius: 2
+            }}
+          />
+          <div>{g}</div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function DistributionTable({ title, rows, labelOf, minGroupSize }) {
+  const cellStyle = { padding: 8, borderBottom: '1px solid #eee', textAlign: 'left', verticalAlign: 'bottom' };
+
+  return (
+    <>
+      <h2>{title} ({rows.length})</h2>
+      {rows.length === 0 ? (
+        <p style={{ color: '#666' }}>No graded enrollments.</p>
+      ) : (
+        <table style={{ width: '100%', borderCollapse: 'collapse', marginBottom: 24 }}>
+          <thead>
+            <tr style={{ background: '#f8f9fa' }}>
+              <th style={cellStyle}>{title.replace(/s$/, '')}</th>
+              <th style={cellStyle}>Grades</th>
+              <th style={cellStyle}>Count</th>
+              <th style={cellStyle}>Mean GPA</th>
+              <th style={cellStyle}>Withdrawal Rate</th>
+              <th style={cellStyle}>Incomplete Rate</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(r => (
+              <tr key={labelOf(r).key}>
+                <td style={cellStyle}>{labelOf(r).label}</td>
+                {r.suppressed ? (
+                  <td style={{ ...cellStyle, color: '#999' }} colSpan={5}>
+                    Hidden: fewer than {minGroupSize} graded students
+                  </td>
+                ) : (
+                  <>
+                    <td style={cellStyle}><Histogram histogram={r.histogram} count={r.count} /></td>
+                    <td style={cellStyle}>{r.count}</td>
+                    <td style={cellStyle}>{r.meanGpa == null ? '—' : r.meanGpa.toFixed(2)}</td>
+                    <td style={cellStyle}>{percent(r.withdrawalRate)}</td>
+                    <td style={cellStyle}>{percent(r.incompleteRate)}</td>
+                  </>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </>
+  );
+}
+
+export default function GradeAnalytics() {
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [role, setRole] = useState(null);
+  const [terms, setTerms] = useState([]);
+  const [termId, setTermId] = useState('');
+  const [subject, setSubject] = useState('');
+  const [appliedSubject, setAppliedSubject] = useState('');
+  const [data, setData] = useState(null);
+  const [minGroupInput, setMinGroupInput] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    async function loadContext() {
+      try {
+        const [roleRes, termsRes] = await Promise.all([
+          fetch('/api/dashboard', { credentials: 'include' }),
+          fetch('/api/calendar/terms', { credentials: 'include' })
+        ]);
+        const roleData = await roleRes.json().catch(() => ({}));
+        const termsData = await termsRes.json().catch(() => ({}));
+        if (roleRes.ok && roleData.role) setRole(String(roleData.role).toLowerCase());
+        if (termsRes.ok && termsData.ok !== false) setTerms(termsData.terms || []);
+      } catch (err) {
+        console.error('[GradeAnalytics] Error loading terms:', err);
+      }
+    }
+    loadContext();
+  }, []);
+
+  const loadAnalytics = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+
+      const params = new URLSearchParams();
+      if (termId) params.set('termId', termId);
+      if (appliedSubject) params.set('subject', appliedSubject);
+      const query = params.toString() ? `?${params}` : '';
+
+      const res = await fetch(`/api/analytics/grades${query}`, {
+        credentials: 'include',
+        cache: 'no-cache'
+      });
+
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok || body.ok === false) {
+        throw new Error(body.error || 'Failed to load grade analytics');
+      }
+
+      setData(body);
+      setMinGroupInput(String(body.minGroupSize));
+    } catch (err) {
+      setError(err.message);
+      console.error('[GradeAnalytics] Error loading analytics:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [termId, appliedSubject]);
+
+  useEffect(() => {
+    loadAnalytics();
+  }, [loadAnalytics]);
+
+  async function handleSaveMinGroupSize() {
+    try {
+      setSaving(true);
+      setError('');
+      setMessage('');
+
+      const res = await fetch('/api/analytics/settings', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ minGroupSize: Number(minGroupInput) })
+      });
+
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok || body.ok === false) {
+        throw new Error(body.error || 'Failed to save minimum group size');
+      }
+
+      setMessage(`Groups smaller than ${body.minGroupSize} are now hidden.`);
+      await loadAnalytics();
+    } catch (err) {
+      setError(err.message);
+      console.error('[GradeAnalytics] Error saving settings:', err);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  const inputStyle = { padding: 8, borderRadius: 6, border: '1px solid #ddd' };
+
+  return (
+    <div style={{ padding: 20 }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 24 }}>
+        <h1 style={{ margin: 0 }}>Grade Analytics</h1>
+        <div style={{ display: 'flex', gap: 8 }}>
+          <select value={termId} onChange={e => setTermId(e.target.value)} style={inputStyle}>
+            <option value="">All terms</option>
+            {terms.map(t => (
+              <option key={t.termId} value={t.termId}>{t.semester} {t.year}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={subject}
+            onChange={e => setSubject(e.target.value)}
+            onKeyDown={e => { if (e.key === 'Enter') setAppliedSubject(subject.trim()); }}
+            placeholder="Subject (e.g. CSE)"
+            style={{ ...inputStyle, width: 140 }}
+          />
+          <button
+            onClick={() => setAppliedSubject(subject.trim())}
+            style={{
+              padding: '8px 16px',
+              borderRadius: 6,
+              border: '1px solid #ddd',
+              background: 'white',
+              cursor: 'pointer',
+              fontWeight: 'bold'
+            }}
+          >
+            Apply
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div style={{
+          padding: 12,
+          marginBottom: 16,
+          borderRadius: 6,
+          background: '#ffebee',
+          color: '#c62828',
+          border: '1px solid #ef5350'
+        }}>
+          {error}
+        </div>
+      )}
+
+      {message && (
+        <div style={{
+          padding: 12,
+          marginBottom: 16,
+          borderRadius: 6,
+          background: '#e8f5e9',
+          color: '#2e7d32',
+          border: '1px solid #66bb6a'
+        }}>
+          {message}
+        </div>
+      )}
+
+      {data && (
+        <div style={{ padding: 16, marginBottom: 24, borderRadius: 8, background: '#f5f5f5' }}>
+          <div style={{ display: 'flex', gap: 8, alignItems: 'center', flexWrap: 'wrap' }}>
+            <span>Results for groups with fewer than</span>
+            {role === 'registrar' ? (
+              <>
+                <input
+                  type="number"
+                  min="1"
+                  value={minGroupInput}
+                  onChange={e => setMinGroupInput(e.target.value)}
+                  style={{ ...inputStyle, width: 80 }}
+                />
+                <span>graded students are hidden.</span>
+                <button
+                  onClick={handleSaveMinGroupSize}
+                  disabled={saving}
+                  style={{
+                    padding: '8px 16px',
+                    borderRadius: 6,
+                    border: 'none',
+                    background: '#1976d2',
+                    color: 'white',
+                    cursor: saving ? 'not-allowed' : 'pointer',
+                    fontWeight: 'bold',
+                    opacity: saving ? 0.6 : 1
+                  }}
+                >
+                  {saving ? 'Saving...' : 'Save'}
+                </button>
+              </>
+            ) : (
+              <span><strong>{data.minGroupSize}</strong> graded students are hidden.</span>
+            )}
+          </div>
+          {!data.overall.suppressed && (
+            <div style={{ marginTop: 12 }}>
+              <strong>Overall:</strong> {data.overall.count} grades · mean GPA{' '}
+              {data.overall.meanGpa == null ? '—' : data.overall.meanGpa.toFixed(2)} · withdrawals{' '}
+              {percent(data.overall.withdrawalRate)} · incompletes {percent(data.overall.incompleteRate)}
+            </div>
+          )}
+        </div>
+      )}
+
+      {loading ? (
+        <div>Loading...</div>
+      ) : data && (
+        <>
+          <DistributionTable
+            title="Sections"
+            rows={data.sections}
+            minGroupSize={data.minGroupSize}
+            labelOf={s => ({
+              key: s.classId,
+              label: `${s.courseCode}.${s.sectionNum} (${s.termCode})${s.instructorName ? ` – ${s.instructorName}` : ''}`
+            })}
+          />
+          <DistributionTable
+            title="Courses"
+            rows={data.courses}
+            minGroupSize={data.minGroupSize}
+            labelOf={c => ({ key: c.courseId, label: `${c.courseCode} – ${c.title}` })}
+          />
+          <DistributionTable
+            title="Instructors"
+            rows={data.instructors}
+            minGroupSize={data.minGroupSize}
+            labelOf={i => ({ key: i.instructorId, label: i.instructorName })}
+          />
+        </>
+      )}
+    </div>
+  );
+}
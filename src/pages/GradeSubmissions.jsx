@@ -0,0 +1,275 @@
+import React, { useState, useEffect, useCallback } from 'react';
+
+export default function GradeSubmissions() {
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [terms, setTerms] = useState([]);
+  const [termId, setTermId] = useState('');
+  const [overdue, setOverdue] = useState([]);
+  const [submitted, setSubmitted] = useState([]);
+  const [unlockingId, setUnlockingId] = useState(null);
+  const [unlockReason, setUnlockReason] = useState('');
+  const [processing, setProcessing] = useState(false);
+
+  useEffect(() => {
+    async function loadTerms() {
+      try {
+        const res = await fetch('/api/calendar/terms', { credentials: 'include' });
+        const data = await res.json().catch(() => ({}));
+        if (res.ok && data.ok !== false) {
+          setTerms(data.terms || []);
+        }
+      } catch (err) {
+        console.error('[GradeSubmissions] Error loading terms:', err);
+      }
+    }
+    loadTerms();
+  }, []);
+
+  const loadSubmissions = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+
+      const query = termId ? `?termId=${termId}` : '';
+      const res = await fetch(`/api/instructor/grade-submissions${query}`, {
+        credentials: 'include',
+        cache: 'no-cache'
+      });
+
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok || data.ok === false) {
+        throw new Error(data.error || 'Failed to load grade submissions');
+      }
+
+      setOverdue(data.overdue || []);
+      setSubmitted(data.submitted || []);
+    } catch (err) {
+      setError(err.message);
+      console.error('[GradeSubmissions] Error loading submissions:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [termId]);
+
+  useEffect(() => {
+    loadSubmissions();
+  }, [loadSubmissions]);
+
+  async function handleUnlock(section) {
+    if (!unlockReason.trim()) {
+      setError('Enter a reason for unlocking the roster.');
+      return;
+    }
+
+    try {
+      setProcessing(true);
+      setError('');
+      setMessage('');
+
+      const res = await fetch(`/api/instructor/rosters/${section.classId}/unlock`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ reason: unlockReason.trim() })
+      });
+
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok || data.ok === false) {
+        throw new Error(data.error || 'Failed to unlock roster');
+      }
+
+      setMessage(`Roster for ${section.courseCode} Section ${section.sectionNum} unlocked.`);
+      setUnlockingId(null);
+      setUnlockReason('');
+      await loadSubmissions();
+    } catch (err) {
+      setError(err.message);
+      console.error('[GradeSubmissions] Error unlocking roster:', err);
+    } finally {
+      setProcessing(false);
+    }
+  }
+
+  const cellStyle = { padding: 8, borderBottom: '1px solid #eee', textAlign: 'left' };
+
+  return (
+    <div style={{ padding: 20 }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 24 }}>
+        <h1 style={{ margin: 0 }}>Grade Submissions</h1>
+        <div style={{ display: 'flex', gap: 8 }}>
+          <select
+            value={termId}
+            onChange={e => setTermId(e.target.value)}
+            style={{ padding: 8, borderRadius: 6, border: '1px solid #ddd' }}
+          >
+            <option value="">All terms</option>
+            {terms.map(t => (
+              <option key={t.termId} value={t.termId}>{t.semester} {t.year}</option>
+            ))}
+          </select>
+          <button
+            onClick={loadSubmissions}
+            style={{
+              padding: '8px 16px',
+              borderRadius: 6,
+              border: '1px solid #ddd',
+              background: 'white',
+              cursor: 'pointer',
+              fontWeight: 'bold'
+            }}
+          >
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div style={{
+          padding: 12,
+          marginBottom: 16,
+          borderRadius: 6,
+          background: '#ffebee',
+          color: '#c62828',
+          border: '1px solid #ef5350'
+        }}>
+          {error}
+        </div>
+      )}
+
+      {message && (
+        <div style={{
+          padding: 12,
+          marginBottom: 16,
+          borderRadius: 6,
+          background: '#e8f5e9',
+          color: '#2e7d32',
+          border: '1px solid #66bb6a'
+        }}>
+          {message}
+        </div>
+      )}
+
+      {loading ? (
+        <div>Loading...</div>
+      ) : (
+        <>
+          <h2>Missing Final Grades After Deadline ({overdue.length})</h2>
+          {overdue.length === 0 ? (
+            <p style={{ color: '#666' }}>Every section past its deadline has submitted final grades.</p>
+          ) : (
+            <table style={{ width: '100%', borderCollapse: 'collapse', marginBottom: 24 }}>
+              <thead>
+                <tr style={{ background: '#f8f9fa' }}>
+                  <th style={cellStyle}>Course</th>
+                  <th style={cellStyle}>Term</th>
+                  <th style={cellStyle}>Instructor</th>
+                  <th style={cellStyle}>Deadline</th>
+                  <th style={cellStyle}>Missing Grades</th>
+                </tr>
+              </thead>
+              <tbody>
+                {overdue.map(s => (
+                  <tr key={s.classId}>
+                    <td style={cellStyle}>{s.courseCode} Section {s.sectionNum} – {s.title}</td>
+                    <td style={cellStyle}>{s.termCode}</td>
+                    <td style={cellStyle}>
+                      {s.instructorName ? `${s.instructorName} (${s.instructorEmail})` : 'Unassigned'}
+                    </td>
+                    <td style={cellStyle}>{s.deadline}</td>
+                    <td style={cellStyle}>{s.missingCount} of {s.enrolledCount}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          <h2>Submitted Rosters ({submitted.length})</h2>
+          {submitted.length === 0 ? (
+            <p style={{ color: '#666' }}>No rosters have been submitted.</p>
+          ) : (
+            <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+              <thead>
+                <tr style={{ background: '#f8f9fa' }}>
+                  <th style={cellStyle}>Course</th>
+                  <th style={cellStyle}>Term</th>
+                  <th style={cellStyle}>Instructor</th>
+                  <th style={cellStyle}>Submitted</th>
+                  <th style={cellStyle}>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {submitted.map(s => (
+                  <tr key={s.classId}>
+                    <td style={cellStyle}>{s.courseCode} Section {s.sectionNum} – {s.title}</td>
+                    <td style={cellStyle}>{s.termCode}</td>
+                    <td style={cellStyle}>{s.instructorName || 'Unassigned'}</td>
+                    <td style={cellStyle}>{new Date(s.submittedAt).toLocaleString()}</td>
+                    <td style={cellStyle}>
+                      {unlockingId === s.classId ? (
+                        <div style={{ display: 'flex', gap: 8 }}>
+                          <input
+                            type="text"
+                            value={unlockReason}
+                            onChange={e => setUnlockReason(e.target.value)}
+                            placeholder="Reason for unlocking"
+                            style={{ flex: 1, padding: 6, borderRadius: 6, border: '1px solid #ddd' }}
+                          />
+                          <button
+                            onClick={() => handleUnlock(s)}
+                            disabled={processing}
+                            style={{
+                              padding: '6px 12px',
+                              borderRadius: 6,
+                              border: 'none',
+                              background: '#f44336',
+                              color: 'white',
+                              cursor: processing ? 'not-allowed' : 'pointer',
+                              fontWeight: 'bold',
+                              opacity: processing ? 0.6 : 1
+                            }}
+                          >
+                            Unlock
+                          </button>
+                          <button
+                            onClick={() => { setUnlockingId(null); setUnlockReason(''); }}
+                            disabled={processing}
+                            style={{
+                              padding: '6px 12px',
+                              borderRadius: 6,
+                              border: '1px solid #ddd',
+                              background: 'white',
+                              cursor: 'pointer'
+                            }}
+                          >
+                            Cancel
+                          </button>
+                        </div>
+                      ) : (
+                        <button
+                          onClick={() => { setUnlockingId(s.classId); setUnlockReason(''); }}
+                          style={{
+                            padding: '6px 12px',
+                            borderRadius: 6,
+                            border: '1px solid #f44336',
+                            background: 'white',
+                            color: '#f44336',
+                            cursor: 'pointer',
+                            fontWeight: 'bold'
+                          }}
+                        >
+                          Unlock Roster
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
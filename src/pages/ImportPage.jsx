@@ -8,6 +8,7 @@ export default function ImportPage() {
     schedule: null,
     calendar: null,
     degreeReq: null,
+    gradReq: null,
     rooms: null, 
   });
   const [messages, setMessages] = useState({});
@@ -396,6 +397,7 @@ export default function ImportPage() {
       {renderFileInput('Import Class Schedule', 'schedule', 'api/import/schedule', '.pdf', terms.length > 0, true)}
       {renderFileInput('Import Academic Calendar', 'calendar', 'api/import/academic-calendar', '.yaml,.yml')}
       {renderFileInput('Import Degree Requirements', 'degreeReq', 'api/import/degree-requirements', '.yaml,.yml')}
+      {renderFileInput('Import Graduation Requirements', 'gradReq', 'api/import/graduation-requirements', '.yaml,.yml')}
       {renderFileInput('Import Rooms', 'rooms', 'api/import/rooms', '.yaml,.yml')}
     </div>
   );
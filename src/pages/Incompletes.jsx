@@ -0,0 +1,265 @@
+import React, { useState, useEffect, useCallback } from 'react';
+
+export default function Incompletes() {
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [terms, setTerms] = useState([]);
+  const [termId, setTermId] = useState('');
+  const [policy, setPolicy] = useState(null);
+  const [policyForm, setPolicyForm] = useState({ resolutionDays: '', lapseGrade: 'F' });
+  const [saving, setSaving] = useState(false);
+  const [outstanding, setOutstanding] = useState([]);
+  const [lapsed, setLapsed] = useState([]);
+
+  useEffect(() => {
+    async function loadTerms() {
+      try {
+        const res = await fetch('/api/calendar/terms', { credentials: 'include' });
+        const data = await res.json().catch(() => ({}));
+        if (res.ok && data.ok !== false) {
+          setTerms(data.terms || []);
+        }
+      } catch (err) {
+        console.error('[Incompletes] Error loading terms:', err);
+      }
+    }
+    loadTerms();
+  }, []);
+
+  const loadIncompletes = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+
+      const query = termId ? `?termId=${termId}` : '';
+      const res = await fetch(`/api/instructor/incompletes${query}`, {
+        credentials: 'include',
+        cache: 'no-cache'
+      });
+
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok || data.ok === false) {
+        throw new Error(data.error || 'Failed to load incomplete grades');
+      }
+
+      setOutstanding(data.outstanding || []);
+      setLapsed(data.lapsed || []);
+      setPolicy(data.policy || null);
+      if (data.policy) {
+        setPolicyForm({
+          resolutionDays: String(data.policy.resolutionDays),
+          lapseGrade: data.policy.lapseGrade
+        });
+      }
+    } catch (err) {
+      setError(err.message);
+      console.error('[Incompletes] Error loading incompletes:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [termId]);
+
+  useEffect(() => {
+    loadIncompletes();
+  }, [loadIncompletes]);
+
+  async function handleSavePolicy() {
+    try {
+      setSaving(true);
+      setError('');
+      setMessage('');
+
+      const res = await fetch('/api/instructor/incompletes/policy', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({
+          termId: Number(termId),
+          resolutionDays: Number(policyForm.resolutionDays),
+          lapseGrade: policyForm.lapseGrade
+        })
+      });
+
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok || data.ok === false) {
+        throw new Error(data.error || 'Failed to save incomplete policy');
+      }
+
+      setMessage('Incomplete policy saved.');
+      await loadIncompletes();
+    } catch (err) {
+      setError(err.message);
+      console.error('[Incompletes] Error saving policy:', err);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  const cellStyle = { padding: 8, borderBottom: '1px solid #eee', textAlign: 'left' };
+
+  return (
+    <div style={{ padding: 20 }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 24 }}>
+        <h1 style={{ margin: 0 }}>Incomplete Grades</h1>
+        <div style={{ display: 'flex', gap: 8 }}>
+          <select
+            value={termId}
+            onChange={e => setTermId(e.target.value)}
+            style={{ padding: 8, borderRadius: 6, border: '1px solid #ddd' }}
+          >
+            <option value="">All terms</option>
+            {terms.map(t => (
+              <option key={t.termId} value={t.termId}>{t.semester} {t.year}</option>
+            ))}
+          </select>
+          <button
+            onClick={loadIncompletes}
+            style={{
+              padding: '8px 16px',
+              borderRadius: 6,
+              border: '1px solid #ddd',
+              background: 'white',
+              cursor: 'pointer',
+              fontWeight: 'bold'
+            }}
+          >
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div style={{
+          padding: 12,
+          marginBottom: 16,
+          borderRadius: 6,
+          background: '#ffebee',
+          color: '#c62828',
+          border: '1px solid #ef5350'
+        }}>
+          {error}
+        </div>
+      )}
+
+      {message && (
+        <div style={{
+          padding: 12,
+          marginBottom: 16,
+          borderRadius: 6,
+          background: '#e8f5e9',
+          color: '#2e7d32',
+          border: '1px solid #66bb6a'
+        }}>
+          {message}
+        </div>
+      )}
+
+      {policy && (
+        <div style={{ padding: 16, marginBottom: 24, borderRadius: 8, background: '#f5f5f5' }}>
+          <h3 style={{ margin: '0 0 8px 0' }}>Resolution Policy</h3>
+          <p style={{ margin: '0 0 12px 0', fontSize: 14, color: '#666' }}>
+            Incompletes must be resolved within this many days after the semester ends, or they
+            become the lapse grade.{!policy.configured && ' This term uses the default policy.'}
+          </p>
+          <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+            <input
+              type="number"
+              min="0"
+              value={policyForm.resolutionDays}
+              onChange={e => setPolicyForm(prev => ({ ...prev, resolutionDays: e.target.value }))}
+              style={{ width: 100, padding: 8, borderRadius: 6, border: '1px solid #ddd' }}
+            />
+            <span>days, then</span>
+            <select
+              value={policyForm.lapseGrade}
+              onChange={e => setPolicyForm(prev => ({ ...prev, lapseGrade: e.target.value }))}
+              style={{ padding: 8, borderRadius: 6, border: '1px solid #ddd' }}
+            >
+              <option value="F">F</option>
+              <option value="NC">NC</option>
+            </select>
+            <button
+              onClick={handleSavePolicy}
+              disabled={saving}
+              style={{
+                padding: '8px 16px',
+                borderRadius: 6,
+                border: 'none',
+                background: '#1976d2',
+                color: 'white',
+                cursor: saving ? 'not-allowed' : 'pointer',
+                fontWeight: 'bold',
+                opacity: saving ? 0.6 : 1
+              }}
+            >
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {loading ? (
+        <div>Loading...</div>
+      ) : (
+        <>
+          <h2>Outstanding ({outstanding.length})</h2>
+          {outstanding.length === 0 ? (
+            <p style={{ color: '#666' }}>No unresolved incomplete grades.</p>
+          ) : (
+            <table style={{ width: '100%', borderCollapse: 'collapse', marginBottom: 24 }}>
+              <thead>
+                <tr style={{ background: '#f8f9fa' }}>
+                  <th style={cellStyle}>Student</th>
+                  <th style={cellStyle}>Course</th>
+                  <th style={cellStyle}>Term</th>
+                  <th style={cellStyle}>Deadline</th>
+                  <th style={cellStyle}>Lapses To</th>
+                </tr>
+              </thead>
+              <tbody>
+                {outstanding.map(inc => (
+                  <tr key={`${inc.classId}-${inc.studentId}`}>
+                    <td style={cellStyle}>{inc.studentName} ({inc.email})</td>
+                    <td style={cellStyle}>{inc.courseCode} Section {inc.sectionNum}</td>
+                    <td style={cellStyle}>{inc.termCode}</td>
+                    <td style={cellStyle}>{inc.deadline}</td>
+                    <td style={cellStyle}>{inc.gpnc ? 'NC' : inc.lapseGrade}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          <h2>Lapsed ({lapsed.length})</h2>
+          {lapsed.length === 0 ? (
+            <p style={{ color: '#666' }}>No incomplete grades have lapsed.</p>
+          ) : (
+            <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+              <thead>
+                <tr style={{ background: '#f8f9fa' }}>
+                  <th style={cellStyle}>Student</th>
+                  <th style={cellStyle}>Course</th>
+                  <th style={cellStyle}>Term</th>
+                  <th style={cellStyle}>Grade</th>
+                  <th style={cellStyle}>Lapsed</th>
+                </tr>
+              </thead>
+              <tbody>
+                {lapsed.map(l => (
+                  <tr key={`${l.classId}-${l.studentId}-${l.lapsedAt}`}>
+                    <td style={cellStyle}>{l.studentName} ({l.email})</td>
+                    <td style={cellStyle}>{l.courseCode} Section {l.sectionNum}</td>
+                    <td style={cellStyle}>{l.termCode}</td>
+                    <td style={cellStyle}>{l.grade}</td>
+                    <td style={cellStyle}>{new Date(l.lapsedAt).toLocaleString()}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
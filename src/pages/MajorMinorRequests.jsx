@@ -8,6 +8,9 @@ export default function MajorMinorRequests() {
   const [requests, setRequests] = useState([]);
   const [denialReason, setDenialReason] = useState({}); // requestId -> reason
   const [userRole, setUserRole] = useState(null); // Actual role from backend
+  const [catalogStudentId, setCatalogStudentId] = useState('');
+  const [catalogPrograms, setCatalogPrograms] = useState(null);
+  const [catalogChoice, setCatalogChoice] = useState({}); // programId -> degreeRequirementId
 
   // Fetch user role from backend on mount
   useEffect(() => {
@@ -139,6 +142,69 @@ export default function MajorMinorRequests() {
     }
   };
 
+  const loadCatalogYears = async () => {
+    try {
+      setActionLoading(true);
+      setError('');
+      setMessage('');
+
+      const res = await fetch(
+        `/api/programs/students/${encodeURIComponent(catalogStudentId.trim())}/requirement-versions`,
+        { credentials: 'include' }
+      );
+      const data = await res.json().catch(() => ({}));
+
+      if (!res.ok || data.ok === false) {
+        throw new Error(data.error || 'Failed to load catalog years.');
+      }
+
+      setCatalogPrograms(data.programs || []);
+      setCatalogChoice({});
+    } catch (e) {
+      console.error(e);
+      setCatalogPrograms(null);
+      setError(e.message || 'Failed to load catalog years.');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleChangeCatalogYear = async (program) => {
+    const degreeRequirementId = Number(catalogChoice[program.programId]);
+    if (!degreeRequirementId) return;
+    const target = program.versions.find((v) => v.degreeRequirementId === degreeRequirementId);
+    if (!window.confirm(`Move ${program.code} to the ${target?.label} requirements?`)) return;
+
+    try {
+      setActionLoading(true);
+      setError('');
+      setMessage('');
+
+      const res = await fetch(
+        `/api/programs/students/${encodeURIComponent(catalogStudentId.trim())}/programs/${program.programId}/requirement-version`,
+        {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          credentials: 'include',
+          body: JSON.stringify({ degree_requirement_id: degreeRequirementId }),
+        }
+      );
+      const data = await res.json().catch(() => ({}));
+
+      if (!res.ok || data.ok === false) {
+        throw new Error(data.error || 'Failed to change catalog year.');
+      }
+
+      setMessage(`${program.code} now follows the ${data.current.label} requirements.`);
+      await loadCatalogYears();
+    } catch (e) {
+      console.error(e);
+      setError(e.message || 'Failed to change catalog year.');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
   // Show loading state while fetching role
   if (userRole === null) {
     return (
@@ -300,7 +366,103 @@ export default function MajorMinorRequests() {
           ))}
         </div>
       )}
+
+      {userRole === 'advisor' && (
+        <div style={{ marginTop: 32, paddingTop: 16, borderTop: '1px solid #e0e0e0' }}>
+          <h2 style={{ marginTop: 0 }}>Catalog Year</h2>
+          <p style={{ color: '#555', margin: '0 0 12px 0' }}>
+            Each declared program follows the degree requirements in effect when it was declared. Move a
+            student to a newer catalog year here.
+          </p>
+          <div style={{ display: 'flex', gap: 8, marginBottom: 16 }}>
+            <input
+              type="number"
+              value={catalogStudentId}
+              onChange={(e) => setCatalogStudentId(e.target.value)}
+              placeholder="Student user ID"
+              style={{ padding: 8, borderRadius: 6, border: '1px solid #ccc', fontSize: 14 }}
+            />
+            <button
+              onClick={loadCatalogYears}
+              disabled={actionLoading || !catalogStudentId.trim()}
+              style={{
+                padding: '8px 16px',
+                borderRadius: 6,
+                border: '1px solid #ccc',
+                background: '#fff',
+                cursor: actionLoading ? 'not-allowed' : 'pointer',
+                fontSize: 14,
+              }}
+            >
+              Look Up
+            </button>
+          </div>
+
+          {catalogPrograms && catalogPrograms.length === 0 && (
+            <p style={{ color: '#666' }}>This student has no declared programs.</p>
+          )}
+
+          {catalogPrograms && catalogPrograms.map((program) => {
+            const currentIndex = program.current
+              ? program.versions.findIndex((v) => v.degreeRequirementId === program.current.degreeRequirementId)
+              : program.versions.length;
+            const newer = program.versions.slice(0, currentIndex);
+
+            return (
+              <div
+                key={program.programId}
+                style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: 12,
+                  padding: 12,
+                  marginBottom: 8,
+                  borderRadius: 8,
+                  border: '1px solid #e0e0e0',
+                }}
+              >
+                <div style={{ flex: 1 }}>
+                  <strong>{program.name}</strong> ({program.code}, {program.kind})
+                  <div style={{ color: '#666', fontSize: 13 }}>
+                    Requirements: {program.current?.label || 'Not recorded'}
+                  </div>
+                </div>
+                {newer.length === 0 ? (
+                  <span style={{ color: '#666', fontSize: 13 }}>No newer catalog year</span>
+                ) : (
+                  <>
+                    <select
+                      value={catalogChoice[program.programId] || ''}
+                      onChange={(e) => setCatalogChoice({ ...catalogChoice, [program.programId]: e.target.value })}
+                      style={{ padding: 6, borderRadius: 6, border: '1px solid #ccc' }}
+                    >
+                      <option value="">Select catalog year</option>
+                      {newer.map((v) => (
+                        <option key={v.degreeRequirementId} value={v.degreeRequirementId}>{v.label}</option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={() => handleChangeCatalogYear(program)}
+                      disabled={actionLoading || !catalogChoice[program.programId]}
+                      style={{
+                        padding: '6px 12px',
+                        borderRadius: 6,
+                        border: 'none',
+                        background: '#1976d2',
+                        color: 'white',
+                        fontWeight: 'bold',
+                        cursor: actionLoading ? 'not-allowed' : 'pointer',
+                      }}
+                    >
+                      Move
+                    </button>
+                  </>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
     </div>
   );
 }
-
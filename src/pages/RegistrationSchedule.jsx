@@ -1,4 +1,4 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useState } from "react";
 
 export default function RegistrationSchedule() {
   const [activeTab, setActiveTab] = useState("register");
@@ -9,6 +9,7 @@ export default function RegistrationSchedule() {
 
   const [sections, setSections] = useState([]);
   const [enrollments, setEnrollments] = useState([]);
+  const [waitlistPositions, setWaitlistPositions] = useState({});
 
   const [searchTerm, setSearchTerm] = useState("");
   const [filterSubject, setFilterSubject] = useState("");
@@ -20,6 +21,10 @@ export default function RegistrationSchedule() {
   const [error, setError] = useState("");
   const [timeConflictInfo, setTimeConflictInfo] = useState(null);
   const [waiverRequestLoading, setWaiverRequestLoading] = useState(false);
+  const [overloadInfo, setOverloadInfo] = useState(null);
+  const [previews, setPreviews] = useState({});
+  const [cart, setCart] = useState([]);
+  const [cartResults, setCartResults] = useState(null);
 
   const [page, setPage] = useState(1);
   const PAGE_SIZE = 50;
@@ -161,6 +166,70 @@ export default function RegistrationSchedule() {
     loadRegistrationData();
   }, []);
 
+  // Refresh waitlist positions whenever the set of waitlisted enrollments changes
+  const waitlistedKey = useMemo(() => {
+    return enrollments
+      .filter(e => e.status === 'waitlisted')
+      .map(e => e.classId)
+      .sort()
+      .join(',');
+  }, [enrollments]);
+
+  useEffect(() => {
+    async function loadWaitlistPositions() {
+      if (!waitlistedKey) {
+        setWaitlistPositions({});
+        return;
+      }
+
+      try {
+        const res = await fetch("/api/registration/waitlist", {
+          credentials: "include",
+        });
+        if (!res.ok) return;
+
+        const data = await res.json();
+        if (data.ok !== false) {
+          const byClass = {};
+          (data.waitlists || []).forEach(w => {
+            byClass[String(w.classId)] = w;
+          });
+          setWaitlistPositions(byClass);
+        }
+      } catch (e) {
+        console.error("Failed to load waitlist positions:", e);
+      }
+    }
+
+    loadWaitlistPositions();
+  }, [waitlistedKey]);
+
+  const loadCart = useCallback(async () => {
+    if (!selectedTermId) {
+      setCart([]);
+      return;
+    }
+
+    try {
+      const res = await fetch(`/api/registration/cart?termId=${encodeURIComponent(selectedTermId)}`, {
+        credentials: "include",
+      });
+      if (!res.ok) return;
+
+      const data = await res.json();
+      if (data.ok !== false) {
+        setCart(data.cart || []);
+      }
+    } catch (e) {
+      console.error("Failed to load cart:", e);
+    }
+  }, [selectedTermId]);
+
+  useEffect(() => {
+    setCartResults(null);
+    loadCart();
+  }, [loadCart]);
+
   // Create a stable string representation of selected days for dependency tracking
   const filterDaysKey = useMemo(() => {
     return Object.keys(filterDays)
@@ -282,7 +351,7 @@ export default function RegistrationSchedule() {
 
   const getTotalCredits = (termId) => {
     return enrollments
-      .filter((e) => String(e.termId) === String(termId))
+      .filter((e) => String(e.termId) === String(termId) && e.grade !== "W")
       .reduce((sum, e) => sum + (e.credits || 0), 0);
   };
 
@@ -355,13 +424,15 @@ export default function RegistrationSchedule() {
         } else {
           setTimeConflictInfo(null);
         }
+        setOverloadInfo(data.creditLimit || null);
         throw new Error(
           data.error || `Failed to register for ${section.courseCode}.`
         );
       }
 
-      // Clear time conflict info on successful enrollment
+      // Clear time conflict and overload info on successful enrollment
       setTimeConflictInfo(null);
+      setOverloadInfo(null);
 
       const { enrollment, updatedSection, waitlisted, message: responseMessage } = data;
 
@@ -392,6 +463,169 @@ export default function RegistrationSchedule() {
     }
   };
 
+  const handleAddToCart = async (section) => {
+    try {
+      setActionLoading(true);
+      setMessage("");
+      setError("");
+
+      const res = await fetch("/api/registration/cart", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify({ classId: section.classId }),
+      });
+
+      const data = await res.json().catch(() => ({}));
+
+      if (!res.ok || data.ok === false) {
+        throw new Error(data.error || `Failed to add ${section.courseCode} to your cart.`);
+      }
+
+      await loadCart();
+      setMessage(data.message || `${section.courseCode} added to your cart.`);
+    } catch (e) {
+      console.error(e);
+      setError(e.message || "Failed to add to cart.");
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleRemoveFromCart = async (item) => {
+    try {
+      setActionLoading(true);
+      setMessage("");
+      setError("");
+
+      const res = await fetch(`/api/registration/cart/${item.classId}`, {
+        method: "DELETE",
+        credentials: "include",
+      });
+
+      const data = await res.json().catch(() => ({}));
+
+      if (!res.ok || data.ok === false) {
+        throw new Error(data.error || `Failed to remove ${item.courseCode} from your cart.`);
+      }
+
+      setCart((prev) => prev.filter((c) => String(c.classId) !== String(item.classId)));
+    } catch (e) {
+      console.error(e);
+      setError(e.message || "Failed to remove from cart.");
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  // Moves a registration to another section; the current seat is kept if the new one fails
+  const handleSwap = async (fromEnrollment, section) => {
+    try {
+      setActionLoading(true);
+      setMessage("");
+      setError("");
+
+      const res = await fetch("/api/registration/swap", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify({ fromClassId: fromEnrollment.classId, toClassId: section.classId }),
+      });
+
+      const data = await res.json().catch(() => ({}));
+
+      if (!res.ok || data.ok === false) {
+        throw new Error(data.error || `Failed to swap into ${section.courseCode}-${section.sectionNum}.`);
+      }
+
+      const initRes = await fetch("/api/registration/init", {
+        credentials: "include",
+      });
+      if (initRes.ok) {
+        const initData = await initRes.json();
+        if (initData.ok !== false && initData.enrollments) {
+          setEnrollments(initData.enrollments);
+        }
+      }
+
+      setMessage(data.message || `Moved to ${section.courseCode}-${section.sectionNum}.`);
+    } catch (e) {
+      console.error(e);
+      setError(e.message || "Failed to swap sections.");
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  // mode "atomic" registers every cart section or none; "partial" registers what it can
+  const handleSubmitCart = async (mode) => {
+    try {
+      setActionLoading(true);
+      setMessage("");
+      setError("");
+
+      const res = await fetch("/api/registration/cart/submit", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify({ termId: selectedTermId, mode }),
+      });
+
+      const data = await res.json().catch(() => ({}));
+      setCartResults(data.results || null);
+
+      if (!res.ok || data.ok === false) {
+        throw new Error(data.error || "Failed to submit your cart.");
+      }
+
+      const initRes = await fetch("/api/registration/init", {
+        credentials: "include",
+      });
+      if (initRes.ok) {
+        const initData = await initRes.json();
+        if (initData.ok !== false && initData.enrollments) {
+          setEnrollments(initData.enrollments);
+        }
+      }
+
+      await loadCart();
+      setMessage(
+        `Cart submitted: ${data.registeredCount} registered, ${data.waitlistedCount} waitlisted, ${data.failedCount} failed.`
+      );
+    } catch (e) {
+      console.error(e);
+      setError(e.message || "Failed to submit cart.");
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  // Dry run of every registration check for a section; nothing is saved
+  const handlePreview = async (section) => {
+    const key = String(section.classId);
+    setPreviews((prev) => ({ ...prev, [key]: { loading: true } }));
+
+    try {
+      const res = await fetch("/api/registration/enroll/preview", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify({ classId: section.classId }),
+      });
+
+      const data = await res.json().catch(() => ({}));
+
+      if (!res.ok || data.ok === false) {
+        throw new Error(data.error || `Failed to check eligibility for ${section.courseCode}.`);
+      }
+
+      setPreviews((prev) => ({ ...prev, [key]: { data } }));
+    } catch (e) {
+      console.error(e);
+      setPreviews((prev) => ({ ...prev, [key]: { error: e.message || "Failed to check eligibility." } }));
+    }
+  };
+
   const handleRequestWaiver = async () => {
     if (!timeConflictInfo) return;
 
@@ -431,6 +665,43 @@ export default function RegistrationSchedule() {
     }
   };
 
+  const handleRequestOverload = async () => {
+    if (!overloadInfo) return;
+
+    try {
+      setWaiverRequestLoading(true);
+      setError("");
+      setMessage("");
+
+      const res = await fetch("/api/registration/credit-overload/request", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify({
+          termId: overloadInfo.termId,
+          requestedCredits: overloadInfo.requestedCredits,
+        }),
+      });
+
+      const data = await res.json().catch(() => ({}));
+
+      if (!res.ok || data.ok === false) {
+        throw new Error(data.error || "Failed to request a credit overload.");
+      }
+
+      setMessage(
+        data.message ||
+        `Credit overload to ${overloadInfo.requestedCredits} credits requested. It requires approval from an advisor or registrar.`
+      );
+      setOverloadInfo(null);
+    } catch (e) {
+      console.error(e);
+      setError(e.message || "Failed to request overload.");
+    } finally {
+      setWaiverRequestLoading(false);
+    }
+  };
+
   const handleWithdraw = async (enrollment) => {
     try {
       setActionLoading(true);
@@ -452,10 +723,17 @@ export default function RegistrationSchedule() {
         );
       }
 
-      const { updatedSection, promotedStudent, message: responseMessage } = data;
+      const { updatedSection, promotedStudent, message: responseMessage, outcome } = data;
 
+      // A withdrawal after add/drop stays on the record with a W grade
       setEnrollments((prev) =>
-        prev.filter((e) => e.enrollmentId !== enrollment.enrollmentId)
+        outcome === "withdrawn"
+          ? prev.map((e) =>
+              e.enrollmentId === enrollment.enrollmentId
+                ? { ...e, status: "completed", grade: "W" }
+                : e
+            )
+          : prev.filter((e) => e.enrollmentId !== enrollment.enrollmentId)
       );
 
       if (updatedSection) {
@@ -500,6 +778,46 @@ export default function RegistrationSchedule() {
     }
   };
 
+  const handleToggleGpnc = async (enrollment) => {
+    try {
+      setActionLoading(true);
+      setMessage("");
+      setError("");
+
+      const res = await fetch("/api/registration/gpnc", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify({
+          classId: enrollment.classId,
+          gpnc: !enrollment.gpnc,
+        }),
+      });
+
+      const data = await res.json().catch(() => ({}));
+
+      if (!res.ok || data.ok === false) {
+        throw new Error(
+          data.error || `Failed to change grading for ${enrollment.courseCode}.`
+        );
+      }
+
+      setEnrollments((prev) =>
+        prev.map((e) =>
+          e.enrollmentId === enrollment.enrollmentId
+            ? { ...e, gpnc: data.gpnc }
+            : e
+        )
+      );
+      setMessage(data.message || `Updated grading for ${enrollment.courseCode}.`);
+    } catch (e) {
+      console.error(e);
+      setError(e.message || "Failed to change grading option.");
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
   const termLabel = getTermLabel(selectedTermId);
   const totalCredits = getTotalCredits(selectedTermId);
 
@@ -662,6 +980,26 @@ export default function RegistrationSchedule() {
                 {waiverRequestLoading ? "Requesting..." : "Request Waiver"}
               </button>
             )}
+            {overloadInfo && error && (
+              <button
+                onClick={handleRequestOverload}
+                disabled={waiverRequestLoading}
+                style={{
+                  padding: "6px 16px",
+                  border: "none",
+                  borderRadius: 6,
+                  background: "#1976d2",
+                  color: "white",
+                  cursor: waiverRequestLoading ? "not-allowed" : "pointer",
+                  fontWeight: "bold",
+                  fontSize: 13,
+                  whiteSpace: "nowrap",
+                  opacity: waiverRequestLoading ? 0.7 : 1,
+                }}
+              >
+                {waiverRequestLoading ? "Requesting..." : `Request Overload (${overloadInfo.requestedCredits} credits)`}
+              </button>
+            )}
           </div>
         </div>
       )}
@@ -746,8 +1084,127 @@ export default function RegistrationSchedule() {
           {enrollmentsForSelectedTerm.length !== 1 ? "s" : ""}, {totalCredits}{" "}
           credits)
         </button>
+        <button
+          onClick={() => setActiveTab("cart")}
+          style={{
+            padding: "12px 24px",
+            border: "none",
+            borderRadius: 6,
+            background: activeTab === "cart" ? "#1976d2" : "#f5f5f5",
+            color: activeTab === "cart" ? "white" : "#333",
+            cursor: "pointer",
+            fontWeight: "bold",
+          }}
+        >
+          Cart ({cart.length})
+        </button>
       </div>
 
+      {activeTab === "cart" && (
+        <div>
+          <h2>Cart – {termLabel || "selected term"}</h2>
+          <p style={{ color: "#666", fontSize: 14 }}>
+            Add sections before your registration window opens, then submit them together. Time
+            conflicts and credit load are checked across the whole cart.
+          </p>
+
+          {cart.length === 0 ? (
+            <div
+              style={{
+                textAlign: "center",
+                padding: 40,
+                color: "#666",
+                background: "#f9f9f9",
+                borderRadius: 8,
+                border: "1px solid #e0e0e0",
+              }}
+            >
+              <p>Your cart for this term is empty.</p>
+            </div>
+          ) : (
+            <div style={{ display: "grid", gap: 12 }}>
+              {cart.map((item) => {
+                const result = cartResults?.find((r) => String(r.classId) === String(item.classId));
+                return (
+                  <div
+                    key={item.classId}
+                    style={{
+                      display: "flex",
+                      justifyContent: "space-between",
+                      alignItems: "center",
+                      border: "1px solid #e0e0e0",
+                      borderRadius: 8,
+                      padding: 16,
+                      background: "#fff",
+                    }}
+                  >
+                    <div>
+                      <div style={{ fontWeight: 700, color: "#1976d2" }}>
+                        {item.courseCode}-{item.sectionNum}
+                      </div>
+                      <div style={{ fontSize: 14, color: "#333" }}>{item.courseTitle}</div>
+                      <div style={{ fontSize: 13, color: "#666" }}>
+                        {item.credits} credits · {item.scheduleText}
+                      </div>
+                      {result?.error && (
+                        <div style={{ fontSize: 13, color: "#c62828", marginTop: 4 }}>{result.error}</div>
+                      )}
+                    </div>
+                    <button
+                      onClick={() => handleRemoveFromCart(item)}
+                      disabled={actionLoading}
+                      style={{
+                        padding: "6px 12px",
+                        border: "1px solid #dc3545",
+                        borderRadius: 6,
+                        background: "white",
+                        color: "#dc3545",
+                        cursor: actionLoading ? "not-allowed" : "pointer",
+                      }}
+                    >
+                      Remove
+                    </button>
+                  </div>
+                );
+              })}
+
+              <div style={{ display: "flex", gap: 8, justifyContent: "flex-end" }}>
+                <button
+                  onClick={() => handleSubmitCart("partial")}
+                  disabled={actionLoading}
+                  style={{
+                    padding: "10px 16px",
+                    border: "1px solid #28a745",
+                    borderRadius: 6,
+                    background: "white",
+                    color: "#28a745",
+                    cursor: actionLoading ? "not-allowed" : "pointer",
+                    fontWeight: "bold",
+                  }}
+                >
+                  Register What I Can
+                </button>
+                <button
+                  onClick={() => handleSubmitCart("atomic")}
+                  disabled={actionLoading}
+                  style={{
+                    padding: "10px 16px",
+                    border: "none",
+                    borderRadius: 6,
+                    background: "#28a745",
+                    color: "white",
+                    cursor: actionLoading ? "not-allowed" : "pointer",
+                    fontWeight: "bold",
+                  }}
+                >
+                  Register All
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
       {activeTab === "register" && (
         <div>
           <h2 style={{ marginBottom: 20 }}>Available Sections for {termLabel || "selected term"}</h2>
@@ -927,6 +1384,14 @@ export default function RegistrationSchedule() {
           <div style={{ display: "grid", gap: 16 }}>
             {pagedSections.map((sec) => {
               const isFull = (sec.enrolledCount || 0) >= (sec.capacity || 0);
+              const preview = previews[String(sec.classId)];
+              const inCart = cart.some((c) => String(c.classId) === String(sec.classId));
+              const swapFrom = enrollmentsForSelectedTerm.find(
+                (e) =>
+                  e.status === "registered" &&
+                  e.courseCode === sec.courseCode &&
+                  String(e.classId) !== String(sec.classId)
+              );
               return (
                 <div
                   key={sec.classId}
@@ -1032,25 +1497,109 @@ export default function RegistrationSchedule() {
                       >
                         {sec.enrolledCount}/{sec.capacity} enrolled
                       </div>
-                      <button
-                        onClick={() => handleRegister(sec)}
-                        disabled={isFull || actionLoading}
-                        style={{
-                          padding: "8px 16px",
-                          border: "none",
-                          borderRadius: 6,
-                          background: isFull ? "#ccc" : "#28a745",
-                          color: "white",
-                          cursor:
-                            isFull || actionLoading ? "not-allowed" : "pointer",
-                          fontWeight: "bold",
-                          opacity: actionLoading ? 0.8 : 1,
-                        }}
-                      >
-                        {isFull ? "Full" : "Register"}
-                      </button>
+                      {swapFrom ? (
+                        <button
+                          onClick={() => handleSwap(swapFrom, sec)}
+                          disabled={isFull || actionLoading}
+                          title={`Keeps your seat in Section ${swapFrom.sectionNum} unless the swap succeeds`}
+                          style={{
+                            padding: "8px 16px",
+                            border: "none",
+                            borderRadius: 6,
+                            background: isFull ? "#ccc" : "#1976d2",
+                            color: "white",
+                            cursor:
+                              isFull || actionLoading ? "not-allowed" : "pointer",
+                            fontWeight: "bold",
+                            opacity: actionLoading ? 0.8 : 1,
+                          }}
+                        >
+                          {isFull ? "Full" : `Swap from Section ${swapFrom.sectionNum}`}
+                        </button>
+                      ) : (
+                        <button
+                          onClick={() => handleRegister(sec)}
+                          disabled={isFull || actionLoading}
+                          style={{
+                            padding: "8px 16px",
+                            border: "none",
+                            borderRadius: 6,
+                            background: isFull ? "#ccc" : "#28a745",
+                            color: "white",
+                            cursor:
+                              isFull || actionLoading ? "not-allowed" : "pointer",
+                            fontWeight: "bold",
+                            opacity: actionLoading ? 0.8 : 1,
+                          }}
+                        >
+                          {isFull ? "Full" : "Register"}
+                        </button>
+                      )}
+                      <div>
+                        <button
+                          onClick={() => handlePreview(sec)}
+                          disabled={preview?.loading}
+                          style={{
+                            marginTop: 6,
+                            padding: "4px 10px",
+                            border: "1px solid #1976d2",
+                            borderRadius: 6,
+                            background: "white",
+                            color: "#1976d2",
+                            cursor: preview?.loading ? "not-allowed" : "pointer",
+                            fontSize: 12,
+                          }}
+                        >
+                          {preview?.loading ? "Checking..." : "Check eligibility"}
+                        </button>
+                      </div>
+                      <div>
+                        <button
+                          onClick={() => handleAddToCart(sec)}
+                          disabled={inCart || actionLoading}
+                          style={{
+                            marginTop: 6,
+                            padding: "4px 10px",
+                            border: "1px solid #28a745",
+                            borderRadius: 6,
+                            background: "white",
+                            color: "#28a745",
+                            cursor: inCart || actionLoading ? "not-allowed" : "pointer",
+                            fontSize: 12,
+                          }}
+                        >
+                          {inCart ? "In cart" : "Add to cart"}
+                        </button>
+                      </div>
                     </div>
                   </div>
+
+                  {preview?.error && (
+                    <div style={{ marginTop: 12, fontSize: 13, color: "#c62828" }}>{preview.error}</div>
+                  )}
+
+                  {preview?.data && (
+                    <div style={{ marginTop: 12, padding: 12, background: "#f8f9fa", borderRadius: 6, fontSize: 13 }}>
+                      <div style={{ fontWeight: "bold", marginBottom: 6 }}>
+                        {preview.data.outcome === "register" && "You can register for this section."}
+                        {preview.data.outcome === "waitlist" && "You would be added to the waitlist."}
+                        {preview.data.outcome === "blocked" && "Registration would be blocked:"}
+                      </div>
+                      <ul style={{ margin: 0, paddingLeft: 18 }}>
+                        {preview.data.checks.map((check) => (
+                          <li key={check.check} style={{ color: check.passed ? "#2e7d32" : "#c62828" }}>
+                            {check.passed ? "✓" : "✗"} {check.label}
+                            {check.message ? ` – ${check.message}` : ""}
+                            {check.resolutions.length > 0 && (
+                              <span style={{ color: "#555" }}>
+                                {" "}(Resolve with: {check.resolutions.map((r) => r.description).join("; ")})
+                              </span>
+                            )}
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
                 </div>
               );
             })}
@@ -1164,8 +1713,24 @@ export default function RegistrationSchedule() {
                         <div>
                           <strong>Status:</strong>{" "}
                           {enr.status === 'waitlisted' ? (
-                            <span style={{ color: "#ff9800", fontWeight: "bold" }}>
-                              Waitlisted
+                            <>
+                              <span style={{ color: "#ff9800", fontWeight: "bold" }}>
+                                Waitlisted
+                              </span>
+                              {waitlistPositions[String(enr.classId)] && (
+                                <span style={{ color: "#666" }}>
+                                  {" "}
+                                  (Position {waitlistPositions[String(enr.classId)].position} of{" "}
+                                  {waitlistPositions[String(enr.classId)].queueLength}
+                                  {" · "}
+                                  {waitlistPositions[String(enr.classId)].seatsLeft} seat
+                                  {waitlistPositions[String(enr.classId)].seatsLeft === 1 ? "" : "s"} left)
+                                </span>
+                              )}
+                            </>
+                          ) : enr.grade === "W" ? (
+                            <span style={{ color: "#6c757d", fontWeight: "bold" }}>
+                              Withdrawn (W)
                             </span>
                           ) : (
                             <span style={{ color: "#28a745", fontWeight: "bold" }}>
@@ -1173,6 +1738,9 @@ export default function RegistrationSchedule() {
                             </span>
                           )}
                         </div>
+                        <div>
+                          <strong>Grading:</strong> {enr.gpnc ? "GPNC" : "Letter grade"}
+                        </div>
                       </div>
                     </div>
 
@@ -1191,7 +1759,7 @@ export default function RegistrationSchedule() {
                         >
                           On Waitlist
                         </span>
-                      ) : (
+                      ) : enr.status === 'registered' && (
                         <button
                           onClick={() => handleWithdraw(enr)}
                           disabled={actionLoading}
@@ -1209,6 +1777,26 @@ export default function RegistrationSchedule() {
                           Withdraw
                         </button>
                       )}
+                      {enr.status === 'registered' && (
+                        <button
+                          onClick={() => handleToggleGpnc(enr)}
+                          disabled={actionLoading}
+                          style={{
+                            display: "block",
+                            marginTop: 8,
+                            marginLeft: "auto",
+                            padding: "6px 12px",
+                            border: "1px solid #6c757d",
+                            borderRadius: 6,
+                            background: "white",
+                            color: "#333",
+                            cursor: actionLoading ? "not-allowed" : "pointer",
+                            fontSize: 13,
+                          }}
+                        >
+                          {enr.gpnc ? "Use Letter Grade" : "Take GPNC"}
+                        </button>
+                      )}
                     </div>
                   </div>
                 </div>
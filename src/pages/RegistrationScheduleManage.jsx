@@ -9,8 +9,60 @@ export default function RegistrationScheduleManage() {
   const [error, setError] = useState('');
   const [successMsg, setSuccessMsg] = useState('');
 
+  const [repeatPolicy, setRepeatPolicy] = useState({ policy: 'latest', maxRepeats: '2' });
+  const [savingRepeatPolicy, setSavingRepeatPolicy] = useState(false);
+
   const classStandings = ['U4', 'U3', 'U2', 'U1'];
 
+  useEffect(() => {
+    async function fetchRepeatPolicy() {
+      try {
+        const res = await fetch('/api/registration/repeat-policy', {
+          credentials: 'include',
+        });
+        const data = await res.json().catch(() => ({}));
+        if (res.ok && data.ok) {
+          setRepeatPolicy({ policy: data.policy, maxRepeats: String(data.maxRepeats) });
+        }
+      } catch (err) {
+        console.error('Failed to fetch repeat policy:', err);
+      }
+    }
+    fetchRepeatPolicy();
+  }, []);
+
+  const handleSaveRepeatPolicy = async () => {
+    setSavingRepeatPolicy(true);
+    setError('');
+    setSuccessMsg('');
+
+    try {
+      const res = await fetch('/api/registration/repeat-policy', {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        credentials: 'include',
+        body: JSON.stringify({
+          policy: repeatPolicy.policy,
+          maxRepeats: Number(repeatPolicy.maxRepeats),
+        }),
+      });
+
+      const data = await res.json().catch(() => ({}));
+      if (data.ok) {
+        setSuccessMsg('Repeat policy saved');
+      } else {
+        setError(data.error || 'Failed to save repeat policy');
+      }
+    } catch (err) {
+      console.error('Failed to save repeat policy:', err);
+      setError('Failed to save repeat policy');
+    } finally {
+      setSavingRepeatPolicy(false);
+    }
+  };
+
   useEffect(() => {
     async function fetchTerms() {
       try {
@@ -226,6 +278,52 @@ export default function RegistrationScheduleManage() {
         </div>
       )}
 
+      <div style={{ marginBottom: 24, padding: 16, background: '#f9f9f9', borderRadius: 6, border: '1px solid #eee' }}>
+        <h2 style={{ fontSize: 20, fontWeight: 600, marginTop: 0 }}>Repeated Courses</h2>
+        <div style={{ display: 'flex', gap: 16, alignItems: 'flex-end', flexWrap: 'wrap' }}>
+          <label>
+            <div style={{ marginBottom: 4, fontSize: 14 }}>Attempt that counts</div>
+            <select
+              value={repeatPolicy.policy}
+              onChange={(e) => setRepeatPolicy({ ...repeatPolicy, policy: e.target.value })}
+              style={{ padding: '8px 12px', borderRadius: 6, border: '1px solid #ccc', fontSize: 14 }}
+            >
+              <option value="latest">Latest grade replaces earlier ones</option>
+              <option value="best">Best grade counts</option>
+            </select>
+          </label>
+          <label>
+            <div style={{ marginBottom: 4, fontSize: 14 }}>Maximum repeats per course</div>
+            <input
+              type="number"
+              min="0"
+              value={repeatPolicy.maxRepeats}
+              onChange={(e) => setRepeatPolicy({ ...repeatPolicy, maxRepeats: e.target.value })}
+              style={{ padding: '8px 12px', borderRadius: 6, border: '1px solid #ccc', fontSize: 14, width: 100 }}
+            />
+          </label>
+          <button
+            onClick={handleSaveRepeatPolicy}
+            disabled={savingRepeatPolicy}
+            style={{
+              padding: '8px 16px',
+              background: savingRepeatPolicy ? '#ccc' : '#0066cc',
+              color: '#fff',
+              border: 'none',
+              borderRadius: 6,
+              cursor: savingRepeatPolicy ? 'not-allowed' : 'pointer',
+              fontWeight: 600,
+            }}
+          >
+            {savingRepeatPolicy ? 'Saving...' : 'Save Repeat Policy'}
+          </button>
+        </div>
+        <div style={{ marginTop: 12, fontSize: 14, color: '#666' }}>
+          Applies to GPA, earned credits, degree progress and prerequisite checks. Registration is refused once a
+          course has been repeated the maximum number of times; W grades do not count as attempts.
+        </div>
+      </div>
+
       <div style={{ marginBottom: 24 }}>
         <label style={{ display: 'block', marginBottom: 8, fontWeight: 600 }}>
           Select Term:
@@ -1,6 +1,12 @@
 // src/pages/RostersGrading.jsx
 import React, { useEffect, useState } from "react";
 
+const roleLabels = {
+  primary: "Primary instructor",
+  co_instructor: "Co-instructor",
+  grader: "Grader",
+};
+
 export default function RostersGrading() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
@@ -13,6 +19,28 @@ export default function RostersGrading() {
   const [editingStudentId, setEditingStudentId] = useState(null);
   const [gradeInput, setGradeInput] = useState("");
 
+  // Bulk grade upload state
+  const [bulkFile, setBulkFile] = useState(null);
+  const [bulkPreview, setBulkPreview] = useState(null);
+  const [bulkLoading, setBulkLoading] = useState(false);
+  const [bulkInputKey, setBulkInputKey] = useState(0);
+
+  // Grade change request / history state
+  const [changeStudent, setChangeStudent] = useState(null);
+  const [changeGrade, setChangeGrade] = useState("");
+  const [changeJustification, setChangeJustification] = useState("");
+  const [changeLoading, setChangeLoading] = useState(false);
+  const [historyView, setHistoryView] = useState(null);
+
+  // Final grade submission state
+  const [submittingFinal, setSubmittingFinal] = useState(false);
+
+  // Section staff state (primary instructor only)
+  const [staff, setStaff] = useState([]);
+  const [staffEmail, setStaffEmail] = useState("");
+  const [staffRole, setStaffRole] = useState("grader");
+  const [staffLoading, setStaffLoading] = useState(false);
+
   // Capacity override state (for registrars)
   const [userRole, setUserRole] = useState(null);
   const [capacityOverrideStudentSearch, setCapacityOverrideStudentSearch] = useState("");
@@ -42,6 +70,8 @@ export default function RostersGrading() {
   };
 
   const selectedCourse = courses.find((c) => c.classId === selectedClassId) || null;
+  const can = (course, permission) =>
+    Boolean(course?.permissions?.includes(permission));
 
   /* ---------------------- LOAD DATA ---------------------- */
   useEffect(() => {
@@ -127,6 +157,27 @@ export default function RostersGrading() {
     loadClassesForOverride();
   }, [userRole]);
 
+  // Load section staff when the primary instructor selects a section
+  const selectedCanManageStaff = can(selectedCourse, "manage_staff");
+  useEffect(() => {
+    setStaff([]);
+    if (!selectedClassId || !selectedCanManageStaff) return;
+
+    async function loadStaff() {
+      try {
+        const res = await fetch(
+          `/api/instructor/rosters/${selectedClassId}/staff`,
+          { credentials: "include" }
+        );
+        const data = await res.json().catch(() => ({}));
+        if (res.ok && data.ok !== false) setStaff(data.staff || []);
+      } catch (err) {
+        console.error("Error loading section staff:", err);
+      }
+    }
+    loadStaff();
+  }, [selectedClassId, selectedCanManageStaff]);
+
   // Search students for capacity override
   useEffect(() => {
     async function searchStudents() {
@@ -165,6 +216,11 @@ export default function RostersGrading() {
       return;
     }
 
+    if (course.locked) {
+      setMessage("Final grades have been submitted. The roster is locked.");
+      return;
+    }
+
     const currentGrade = student.grade ? String(student.grade).toUpperCase() : null;
     if (currentGrade && currentGrade !== "I") {
       setMessage("Grade changes are only allowed for Incompletes (I).");
@@ -237,6 +293,353 @@ export default function RostersGrading() {
     }
   };
 
+  /* ---------------------- BULK GRADE HANDLERS ---------------------- */
+
+  const resetBulkUpload = () => {
+    setBulkFile(null);
+    setBulkPreview(null);
+    setBulkInputKey((k) => k + 1);
+  };
+
+  const postBulkFile = async (course, path) => {
+    const formData = new FormData();
+    formData.append("file", bulkFile);
+
+    const res = await fetch(
+      `/api/instructor/rosters/${course.classId}/${path}`,
+      {
+        method: "POST",
+        credentials: "include",
+        body: formData,
+      }
+    );
+    const data = await res.json().catch(() => ({}));
+    return { res, data };
+  };
+
+  const handleBulkPreview = async (course) => {
+    if (!bulkFile) {
+      setMessage("Choose a CSV or YAML file first.");
+      return;
+    }
+
+    try {
+      setBulkLoading(true);
+      setMessage("");
+
+      const { res, data } = await postBulkFile(course, "grades/preview");
+      if (!res.ok || data.ok === false) {
+        throw new Error(data.error || "Failed to preview grades.");
+      }
+
+      setBulkPreview({ rows: data.rows || [], summary: data.summary });
+    } catch (err) {
+      console.error(err);
+      setBulkPreview(null);
+      setMessage(err.message || "Failed to preview grades.");
+    } finally {
+      setBulkLoading(false);
+    }
+  };
+
+  const handleBulkApply = async (course) => {
+    try {
+      setBulkLoading(true);
+      setMessage("");
+
+      const { res, data } = await postBulkFile(course, "grades");
+      if (!res.ok || data.ok === false) {
+        if (data.rows) setBulkPreview({ rows: data.rows, summary: data.summary });
+        throw new Error(data.error || "Failed to apply grades.");
+      }
+
+      const applied = new Map(
+        (data.rows || [])
+          .filter((r) => r.valid)
+          .map((r) => [r.studentId, r])
+      );
+
+      setCourses((prev) =>
+        prev.map((c) => {
+          if (c.classId !== course.classId) return c;
+          return {
+            ...c,
+            students: c.students.map((s) =>
+              applied.has(s.studentId)
+                ? {
+                    ...s,
+                    grade: applied.get(s.studentId).storedGrade,
+                    letterGrade: applied.get(s.studentId).letterGrade,
+                  }
+                : s
+            ),
+          };
+        })
+      );
+
+      resetBulkUpload();
+      setMessage(
+        `Grades applied successfully for ${data.applied} student(s).` +
+          (data.summary?.invalid
+            ? ` ${data.summary.invalid} row(s) with errors were skipped.`
+            : "")
+      );
+    } catch (err) {
+      console.error(err);
+      setMessage(err.message || "Failed to apply grades.");
+    } finally {
+      setBulkLoading(false);
+    }
+  };
+
+  /* ---------------------- FINAL GRADE SUBMISSION ---------------------- */
+
+  const handleSubmitFinalGrades = async (course) => {
+    if (
+      !window.confirm(
+        `Submit final grades for ${course.subject} ${course.courseNum}.${course.sectionNum}? The roster will be locked.`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      setSubmittingFinal(true);
+      setMessage("");
+
+      const res = await fetch(
+        `/api/instructor/rosters/${course.classId}/submit`,
+        {
+          method: "POST",
+          credentials: "include",
+        }
+      );
+      const data = await res.json().catch(() => ({}));
+
+      if (!res.ok || data.ok === false) {
+        const names = (data.missing || []).map((m) => m.name).join(", ");
+        throw new Error(
+          (data.error || "Failed to submit final grades.") +
+            (names ? ` Missing: ${names}.` : "")
+        );
+      }
+
+      setCourses((prev) =>
+        prev.map((c) =>
+          c.classId === course.classId
+            ? { ...c, locked: true, gradesSubmittedAt: data.submittedAt }
+            : c
+        )
+      );
+      setEditingStudentId(null);
+      resetBulkUpload();
+      setMessage(
+        data.late
+          ? "Final grades submitted after the deadline. The roster is now locked."
+          : "Final grades submitted. The roster is now locked."
+      );
+    } catch (err) {
+      console.error(err);
+      setMessage(err.message || "Failed to submit final grades.");
+    } finally {
+      setSubmittingFinal(false);
+    }
+  };
+
+  /* ---------------------- ROSTER EXPORT ---------------------- */
+
+  const handleExportRoster = async (course, format) => {
+    try {
+      setMessage("");
+
+      const res = await fetch(
+        `/api/instructor/rosters/${course.classId}/export?format=${format}`,
+        { credentials: "include" }
+      );
+
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        throw new Error(data.error || "Failed to export roster.");
+      }
+
+      const blob = await res.blob();
+      const url = URL.createObjectURL(blob);
+
+      if (format === "html") {
+        // Sign-in sheet opens in a new tab for printing
+        window.open(url, "_blank");
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+        return;
+      }
+
+      const disposition = res.headers.get("content-disposition") || "";
+      const match = disposition.match(/filename="([^"]+)"/);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = match ? match[1] : `roster.${format}`;
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error(err);
+      setMessage(err.message || "Failed to export roster.");
+    }
+  };
+
+  /* ---------------------- SECTION STAFF HANDLERS ---------------------- */
+
+  const handleAddStaff = async (course) => {
+    if (!staffEmail.trim()) {
+      setMessage("Enter the instructor's email to add them to this section.");
+      return;
+    }
+
+    try {
+      setStaffLoading(true);
+      setMessage("");
+
+      const res = await fetch(`/api/instructor/rosters/${course.classId}/staff`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify({ email: staffEmail.trim(), role: staffRole }),
+      });
+      const data = await res.json().catch(() => ({}));
+
+      if (!res.ok || data.ok === false) {
+        throw new Error(data.error || "Failed to add section staff.");
+      }
+
+      setStaff(data.staff || []);
+      setStaffEmail("");
+      setMessage("Section staff updated.");
+    } catch (err) {
+      console.error(err);
+      setMessage(err.message || "Failed to add section staff.");
+    } finally {
+      setStaffLoading(false);
+    }
+  };
+
+  const handleRemoveStaff = async (course, member) => {
+    if (!window.confirm(`Remove ${member.name} from this section?`)) return;
+
+    try {
+      setStaffLoading(true);
+      setMessage("");
+
+      const res = await fetch(
+        `/api/instructor/rosters/${course.classId}/staff/${member.userId}`,
+        {
+          method: "DELETE",
+          credentials: "include",
+        }
+      );
+      const data = await res.json().catch(() => ({}));
+
+      if (!res.ok || data.ok === false) {
+        throw new Error(data.error || "Failed to remove section staff.");
+      }
+
+      setStaff(data.staff || []);
+      setMessage(`${member.name} removed from this section.`);
+    } catch (err) {
+      console.error(err);
+      setMessage(err.message || "Failed to remove section staff.");
+    } finally {
+      setStaffLoading(false);
+    }
+  };
+
+  /* ---------------------- GRADE CHANGE HANDLERS ---------------------- */
+
+  const openChangeRequest = (student) => {
+    setMessage("");
+    setHistoryView(null);
+    setChangeStudent(student);
+    setChangeGrade("");
+    setChangeJustification("");
+  };
+
+  const closeChangeRequest = () => {
+    setChangeStudent(null);
+    setChangeGrade("");
+    setChangeJustification("");
+  };
+
+  const handleSubmitChangeRequest = async (course) => {
+    const newGrade = changeGrade.trim().toUpperCase();
+    if (!validGrades.includes(newGrade)) {
+      setMessage("Invalid grade. Must be one of: " + validGrades.join(", "));
+      return;
+    }
+    if (!changeJustification.trim()) {
+      setMessage("Please explain why the grade needs to change.");
+      return;
+    }
+
+    try {
+      setChangeLoading(true);
+      setMessage("");
+
+      const res = await fetch(
+        `/api/instructor/rosters/${course.classId}/grade-changes`,
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          credentials: "include",
+          body: JSON.stringify({
+            studentId: changeStudent.studentId,
+            oldGrade: changeStudent.letterGrade || changeStudent.grade,
+            newGrade,
+            justification: changeJustification.trim(),
+          }),
+        }
+      );
+
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok || data.ok === false) {
+        throw new Error(data.error || "Failed to request grade change.");
+      }
+
+      setMessage(
+        `Grade change requested successfully for ${changeStudent.name}. A registrar must approve it.`
+      );
+      closeChangeRequest();
+    } catch (err) {
+      console.error(err);
+      setMessage(err.message || "Failed to request grade change.");
+    } finally {
+      setChangeLoading(false);
+    }
+  };
+
+  const handleShowHistory = async (course, student) => {
+    try {
+      setMessage("");
+      closeChangeRequest();
+
+      const res = await fetch(
+        `/api/instructor/rosters/${course.classId}/students/${student.studentId}/grade-history`,
+        { credentials: "include" }
+      );
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok || data.ok === false) {
+        throw new Error(data.error || "Failed to load grade history.");
+      }
+
+      setHistoryView({
+        student,
+        history: data.history || [],
+        requests: data.requests || [],
+      });
+    } catch (err) {
+      console.error(err);
+      setMessage(err.message || "Failed to load grade history.");
+    }
+  };
+
   /* ---------------------- CAPACITY OVERRIDE HANDLERS ---------------------- */
 
   const handleGrantCapacityOverride = async () => {
@@ -537,6 +940,9 @@ export default function RostersGrading() {
                 setEditingStudentId(null);
                 setGradeInput("");
                 setMessage("");
+                resetBulkUpload();
+                closeChangeRequest();
+                setHistoryView(null);
               }}
               style={{
                 padding: "8px 12px",
@@ -550,7 +956,11 @@ export default function RostersGrading() {
                 <option key={c.classId} value={c.classId}>
                   {c.subject} {c.courseNum}.{c.sectionNum} – {c.title} (
                   {c.termCode}
-                  {c.isCurrent ? ", Current" : ""})
+                  {c.isCurrent ? ", Current" : ""}
+                  {c.sectionRole && c.sectionRole !== "primary"
+                    ? `, ${roleLabels[c.sectionRole] || c.sectionRole}`
+                    : ""}
+                  )
                 </option>
               ))}
             </select>
@@ -593,6 +1003,14 @@ export default function RostersGrading() {
                   {" | "}
                   <strong>Students:</strong>{" "}
                   {selectedCourse.students.length}
+                  {selectedCourse.sectionRole && (
+                    <>
+                      {" | "}
+                      <strong>Your role:</strong>{" "}
+                      {roleLabels[selectedCourse.sectionRole] ||
+                        selectedCourse.sectionRole}
+                    </>
+                  )}
                 </div>
                 {!selectedCourse.isCurrent && (
                   <div
@@ -605,8 +1023,411 @@ export default function RostersGrading() {
                     Grades in past terms are read-only.
                   </div>
                 )}
+                <div style={{ marginTop: 8, display: "flex", gap: 8 }}>
+                  {[
+                    ["csv", "Export CSV"],
+                    ["yaml", "Export YAML"],
+                    ["html", "Sign-in Sheet"],
+                  ].map(([format, label]) => (
+                    <button
+                      key={format}
+                      onClick={() => handleExportRoster(selectedCourse, format)}
+                      style={{
+                        padding: "4px 10px",
+                        border: "1px solid #ddd",
+                        borderRadius: 6,
+                        background: "white",
+                        fontSize: 12,
+                        cursor: "pointer",
+                      }}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+                {(selectedCourse.gradeSubmissionBegins ||
+                  selectedCourse.gradeSubmissionEnds) && (
+                  <div style={{ marginTop: 6, fontSize: 12, color: "#666" }}>
+                    <strong>Grade submission:</strong>{" "}
+                    {selectedCourse.gradeSubmissionBegins || "any time"} –{" "}
+                    {selectedCourse.gradeSubmissionEnds || "no deadline"}
+                  </div>
+                )}
+                {selectedCourse.locked ? (
+                  <div
+                    style={{
+                      marginTop: 8,
+                      fontSize: 13,
+                      color: "#2e7d32",
+                      fontWeight: "bold",
+                    }}
+                  >
+                    Final grades submitted
+                    {selectedCourse.gradesSubmittedAt &&
+                      ` on ${new Date(
+                        selectedCourse.gradesSubmittedAt
+                      ).toLocaleString()}`}
+                    . The roster is locked; use a grade change request to
+                    correct a grade.
+                  </div>
+                ) : (
+                  selectedCourse.isCurrent &&
+                  can(selectedCourse, "submit_final_grades") && (
+                    <button
+                      onClick={() => handleSubmitFinalGrades(selectedCourse)}
+                      disabled={submittingFinal}
+                      style={{
+                        marginTop: 10,
+                        padding: "6px 14px",
+                        border: "none",
+                        borderRadius: 6,
+                        background: submittingFinal ? "#ccc" : "#28a745",
+                        color: "white",
+                        fontWeight: "bold",
+                        cursor: submittingFinal ? "not-allowed" : "pointer",
+                      }}
+                    >
+                      {submittingFinal ? "Submitting..." : "Submit Final Grades"}
+                    </button>
+                  )
+                )}
               </div>
 
+              {/* Section Staff */}
+              {can(selectedCourse, "manage_staff") && (
+                <div
+                  style={{
+                    padding: 20,
+                    borderRadius: 12,
+                    background: "#fff",
+                    border: "1px solid #e0e0e0",
+                    marginBottom: 24,
+                  }}
+                >
+                  <h3 style={{ margin: "0 0 8px 0" }}>Section Staff</h3>
+                  <p style={{ margin: "0 0 12px 0", color: "#666", fontSize: 14 }}>
+                    Co-instructors can grade and submit final grades. Graders
+                    can enter grades only.
+                  </p>
+                  <ul style={{ margin: "0 0 12px 0", paddingLeft: 20 }}>
+                    {staff.map((m) => (
+                      <li key={m.userId} style={{ marginBottom: 4 }}>
+                        {m.name} ({m.email}) – {roleLabels[m.role] || m.role}
+                        {m.role !== "primary" && (
+                          <button
+                            onClick={() => handleRemoveStaff(selectedCourse, m)}
+                            disabled={staffLoading}
+                            style={{
+                              marginLeft: 8,
+                              padding: "2px 8px",
+                              border: "1px solid #ddd",
+                              borderRadius: 4,
+                              background: "white",
+                              fontSize: 12,
+                              cursor: staffLoading ? "not-allowed" : "pointer",
+                            }}
+                          >
+                            Remove
+                          </button>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                  <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+                    <input
+                      type="email"
+                      value={staffEmail}
+                      onChange={(e) => setStaffEmail(e.target.value)}
+                      placeholder="Instructor email"
+                      style={{
+                        padding: "6px 10px",
+                        border: "1px solid #ddd",
+                        borderRadius: 6,
+                        minWidth: 240,
+                      }}
+                    />
+                    <select
+                      value={staffRole}
+                      onChange={(e) => setStaffRole(e.target.value)}
+                      style={{ padding: "6px 10px", border: "1px solid #ddd", borderRadius: 6 }}
+                    >
+                      <option value="grader">Grader</option>
+                      <option value="co_instructor">Co-instructor</option>
+                    </select>
+                    <button
+                      onClick={() => handleAddStaff(selectedCourse)}
+                      disabled={staffLoading}
+                      style={{
+                        padding: "6px 14px",
+                        border: "none",
+                        borderRadius: 6,
+                        background: staffLoading ? "#ccc" : "#007bff",
+                        color: "white",
+                        fontWeight: "bold",
+                        cursor: staffLoading ? "not-allowed" : "pointer",
+                      }}
+                    >
+                      Add
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              {/* Bulk Grade Upload */}
+              {selectedCourse.isCurrent && !selectedCourse.locked && (
+                <div
+                  style={{
+                    padding: 20,
+                    borderRadius: 12,
+                    background: "#fff",
+                    border: "1px solid #e0e0e0",
+                    marginBottom: 24,
+                  }}
+                >
+                  <h3 style={{ margin: "0 0 8px 0" }}>Bulk Grade Upload</h3>
+                  <p style={{ margin: "0 0 12px 0", color: "#666", fontSize: 14 }}>
+                    Upload a CSV (header <code>sbu_id,grade</code> or{" "}
+                    <code>email,grade</code>) or a YAML list with the same
+                    keys. Every row is checked before anything is saved.
+                  </p>
+                  <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+                    <input
+                      key={bulkInputKey}
+                      type="file"
+                      accept=".csv,.yaml,.yml"
+                      onChange={(e) => {
+                        setBulkFile(e.target.files?.[0] || null);
+                        setBulkPreview(null);
+                      }}
+                    />
+                    <button
+                      onClick={() => handleBulkPreview(selectedCourse)}
+                      disabled={!bulkFile || bulkLoading}
+                      style={{
+                        padding: "6px 14px",
+                        border: "none",
+                        borderRadius: 6,
+                        background: !bulkFile || bulkLoading ? "#ccc" : "#007bff",
+                        color: "white",
+                        cursor: !bulkFile || bulkLoading ? "not-allowed" : "pointer",
+                        fontSize: 14,
+                      }}
+                    >
+                      {bulkLoading && !bulkPreview ? "Checking..." : "Preview"}
+                    </button>
+                  </div>
+
+                  {bulkPreview && (
+                    <div style={{ marginTop: 16 }}>
+                      <div style={{ marginBottom: 8, fontSize: 14 }}>
+                        <strong>{bulkPreview.summary?.valid ?? 0}</strong> of{" "}
+                        {bulkPreview.summary?.total ?? 0} rows ready
+                        {bulkPreview.summary?.invalid > 0 && (
+                          <span style={{ color: "#b71c1c" }}>
+                            {" "}({bulkPreview.summary.invalid} with errors will be skipped)
+                          </span>
+                        )}
+                      </div>
+                      <div style={{ maxHeight: 320, overflowY: "auto", border: "1px solid #e0e0e0", borderRadius: 6 }}>
+                        <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+                          <thead>
+                            <tr style={{ background: "#f8f9fa" }}>
+                              <th style={{ padding: 8, textAlign: "left" }}>Row</th>
+                              <th style={{ padding: 8, textAlign: "left" }}>SBU ID / Email</th>
+                              <th style={{ padding: 8, textAlign: "left" }}>Student</th>
+                              <th style={{ padding: 8, textAlign: "center" }}>Grade</th>
+                              <th style={{ padding: 8, textAlign: "left" }}>Status</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {bulkPreview.rows.map((r) => (
+                              <tr
+                                key={r.row}
+                                style={{ background: r.valid ? "#fff" : "#fdecea" }}
+                              >
+                                <td style={{ padding: 8 }}>{r.row}</td>
+                                <td style={{ padding: 8 }}>{r.sbuId || r.email || "–"}</td>
+                                <td style={{ padding: 8 }}>{r.name || "–"}</td>
+                                <td style={{ padding: 8, textAlign: "center" }}>
+                                  {r.grade || "–"}
+                                  {r.storedGrade && r.storedGrade !== r.grade && (
+                                    <span style={{ color: "#666" }}> → {r.storedGrade} (GPNC)</span>
+                                  )}
+                                </td>
+                                <td style={{ padding: 8, color: r.valid ? "#2e7d32" : "#b71c1c" }}>
+                                  {r.valid ? "✓ Ready" : r.errors.join("; ")}
+                                </td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                      <div style={{ marginTop: 12, display: "flex", gap: 8 }}>
+                        <button
+                          onClick={() => handleBulkApply(selectedCourse)}
+                          disabled={bulkLoading || !bulkPreview.summary?.valid}
+                          style={{
+                            padding: "8px 16px",
+                            border: "none",
+                            borderRadius: 6,
+                            background:
+                              bulkLoading || !bulkPreview.summary?.valid ? "#ccc" : "#28a745",
+                            color: "white",
+                            fontWeight: "bold",
+                            cursor:
+                              bulkLoading || !bulkPreview.summary?.valid ? "not-allowed" : "pointer",
+                          }}
+                        >
+                          {bulkLoading
+                            ? "Applying..."
+                            : `Apply ${bulkPreview.summary?.valid ?? 0} Grade(s)`}
+                        </button>
+                        <button
+                          onClick={resetBulkUpload}
+                          disabled={bulkLoading}
+                          style={{
+                            padding: "8px 16px",
+                            border: "none",
+                            borderRadius: 6,
+                            background: "#6c757d",
+                            color: "white",
+                            cursor: bulkLoading ? "not-allowed" : "pointer",
+                          }}
+                        >
+                          Cancel
+                        </button>
+                      </div>
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {/* Grade Change Request */}
+              {changeStudent && (
+                <div
+                  style={{
+                    padding: 20,
+                    borderRadius: 12,
+                    background: "#fffaf0",
+                    border: "1px solid #ffc107",
+                    marginBottom: 24,
+                  }}
+                >
+                  <h3 style={{ margin: "0 0 8px 0" }}>
+                    Request Grade Change – {changeStudent.name}
+                  </h3>
+                  <p style={{ margin: "0 0 12px 0", fontSize: 14, color: "#666" }}>
+                    Posted grade:{" "}
+                    <strong>{changeStudent.letterGrade || changeStudent.grade}</strong>
+                    {changeStudent.letterGrade && ` (recorded as ${changeStudent.grade})`}.
+                    A registrar reviews every change.
+                  </p>
+                  <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "flex-start" }}>
+                    <input
+                      type="text"
+                      value={changeGrade}
+                      onChange={(e) => setChangeGrade(e.target.value)}
+                      placeholder="New grade"
+                      style={{
+                        width: 90,
+                        padding: "6px 8px",
+                        border: "1px solid #ddd",
+                        borderRadius: 4,
+                      }}
+                    />
+                    <textarea
+                      value={changeJustification}
+                      onChange={(e) => setChangeJustification(e.target.value)}
+                      placeholder="Justification"
+                      rows={2}
+                      style={{
+                        flex: 1,
+                        minWidth: 240,
+                        padding: "6px 8px",
+                        border: "1px solid #ddd",
+                        borderRadius: 4,
+                      }}
+                    />
+                    <button
+                      onClick={() => handleSubmitChangeRequest(selectedCourse)}
+                      disabled={changeLoading}
+                      style={{
+                        padding: "6px 14px",
+                        border: "none",
+                        borderRadius: 6,
+                        background: changeLoading ? "#ccc" : "#ff9800",
+                        color: "white",
+                        cursor: changeLoading ? "not-allowed" : "pointer",
+                      }}
+                    >
+                      {changeLoading ? "Submitting..." : "Submit Request"}
+                    </button>
+                    <button
+                      onClick={closeChangeRequest}
+                      style={{
+                        padding: "6px 14px",
+                        border: "none",
+                        borderRadius: 6,
+                        background: "#6c757d",
+                        color: "white",
+                        cursor: "pointer",
+                      }}
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              {/* Grade History */}
+              {historyView && (
+                <div
+                  style={{
+                    padding: 20,
+                    borderRadius: 12,
+                    background: "#fff",
+                    border: "1px solid #e0e0e0",
+                    marginBottom: 24,
+                  }}
+                >
+                  <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+                    <h3 style={{ margin: 0 }}>Grade History – {historyView.student.name}</h3>
+                    <button
+                      onClick={() => setHistoryView(null)}
+                      style={{
+                        padding: "4px 10px",
+                        border: "1px solid #ddd",
+                        borderRadius: 6,
+                        background: "white",
+                        cursor: "pointer",
+                      }}
+                    >
+                      Close
+                    </button>
+                  </div>
+                  {historyView.history.length === 0 ? (
+                    <p style={{ color: "#666", fontSize: 14 }}>No grade changes recorded.</p>
+                  ) : (
+                    <ul style={{ fontSize: 14, paddingLeft: 20 }}>
+                      {historyView.history.map((h) => (
+                        <li key={h.historyId} style={{ marginBottom: 4 }}>
+                          {new Date(h.changedAt).toLocaleString()}:{" "}
+                          {h.oldGrade || "none"} → <strong>{h.newGrade}</strong>
+                          {h.letterGrade && ` (${h.letterGrade})`}
+                          {h.changedBy && ` by ${h.changedBy}`}
+                          {h.justification && ` – ${h.justification}`}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                  {historyView.requests.some((r) => r.status === "pending") && (
+                    <p style={{ fontSize: 13, color: "#856404", margin: 0 }}>
+                      A grade change request is awaiting registrar review.
+                    </p>
+                  )}
+                </div>
+              )}
+
               {/* Roster Table */}
               <div
                 style={{
@@ -692,6 +1513,7 @@ export default function RostersGrading() {
 
                         const canEdit =
                           selectedCourse.isCurrent &&
+                          !selectedCourse.locked &&
                           (!currentGrade || currentGrade === "I");
 
                         return (
@@ -829,9 +1651,11 @@ export default function RostersGrading() {
                                           student
                                         )
                                       : setMessage(
-                                          selectedCourse.isCurrent
-                                            ? "Grade changes are only allowed for Incompletes (I)."
-                                            : "Grades in past terms are read-only."
+                                          !selectedCourse.isCurrent
+                                            ? "Grades in past terms are read-only."
+                                            : selectedCourse.locked
+                                            ? "Final grades have been submitted. The roster is locked."
+                                            : "Grade changes are only allowed for Incompletes (I)."
                                         )
                                   }
                                   disabled={!canEdit}
@@ -852,6 +1676,50 @@ export default function RostersGrading() {
                                   {canEdit ? "Edit Grade" : "Locked"}
                                 </button>
                               )}
+                              {!isRowEditing &&
+                                currentGrade &&
+                                (currentGrade !== "I" || selectedCourse.locked) && (
+                                <div
+                                  style={{
+                                    display: "flex",
+                                    gap: 4,
+                                    justifyContent: "center",
+                                    marginTop: 4,
+                                  }}
+                                >
+                                  {can(selectedCourse, "request_grade_change") && (
+                                  <button
+                                    onClick={() => openChangeRequest(student)}
+                                    style={{
+                                      padding: "4px 8px",
+                                      border: "none",
+                                      borderRadius: 4,
+                                      background: "#ff9800",
+                                      color: "white",
+                                      fontSize: 12,
+                                      cursor: "pointer",
+                                    }}
+                                  >
+                                    Request Change
+                                  </button>
+                                  )}
+                                  <button
+                                    onClick={() =>
+                                      handleShowHistory(selectedCourse, student)
+                                    }
+                                    style={{
+                                      padding: "4px 8px",
+                                      border: "1px solid #ddd",
+                                      borderRadius: 4,
+                                      background: "white",
+                                      fontSize: 12,
+                                      cursor: "pointer",
+                                    }}
+                                  >
+                                    History
+                                  </button>
+                                </div>
+                              )}
                             </td>
                           </tr>
                         );
@@ -33,7 +33,23 @@ export default function StudentProfile() {
 
   return (
     <div style={{ padding: 20 }}>
-      <h1>Student Profile</h1>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <h1>Student Profile</h1>
+        {/* Printable transcript opens in a new tab; print it to save as PDF */}
+        <button
+          onClick={() => window.open("/api/student/profile/transcript?format=html", "_blank")}
+          style={{
+            padding: "10px 20px",
+            borderRadius: 6,
+            border: "1px solid #ddd",
+            background: "white",
+            fontWeight: "bold",
+            cursor: "pointer",
+          }}
+        >
+          Unofficial Transcript
+        </button>
+      </div>
 
       {/* Tabs */}
       <div style={{ display: "flex", gap: 8, marginBottom: 24 }}>
@@ -131,6 +147,16 @@ export default function StudentProfile() {
             <h2>Academic Info</h2>
             <p><strong>Cumulative GPA:</strong> {academic.cumulativeGPA ? academic.cumulativeGPA.toFixed(2) : "N/A"}</p>
             <p><strong>Cumulative Credits:</strong> {academic.cumulativeCredits}</p>
+            <p>
+              <strong>Academic Standing:</strong>{" "}
+              {academic.academicStanding ? (
+                <span style={{ color: academic.academicStanding.standing === "probation" ? "#d32f2f" : "inherit" }}>
+                  {academic.academicStanding.label} ({academic.academicStanding.term})
+                </span>
+              ) : (
+                "Not yet determined"
+              )}
+            </p>
             
             <div style={{ marginTop: 12, marginBottom: 12 }}>
               <strong>Registration Holds:</strong>
@@ -227,6 +253,7 @@ export default function StudentProfile() {
                   <th style={{ padding: "12px", textAlign: "right" }}>Term Credits</th>
                   <th style={{ padding: "12px", textAlign: "right" }}>Cumulative GPA</th>
                   <th style={{ padding: "12px", textAlign: "right" }}>Cumulative Credits</th>
+                  <th style={{ padding: "12px", textAlign: "left" }}>Standing</th>
                 </tr>
               </thead>
               <tbody>
@@ -245,6 +272,7 @@ export default function StudentProfile() {
                     <td style={{ padding: "12px", textAlign: "right" }}>
                       {term.cumulativeCredits}
                     </td>
+                    <td style={{ padding: "12px" }}>{term.standing || "—"}</td>
                   </tr>
                 ))}
               </tbody>